@@ -2,7 +2,8 @@
  * ControlPanel Component
  * 
  * Manages UI controls (buttons) and their interactions for the SVG Plotter Editor.
- * Provides buttons for: New Project, Save, Open, Regenerate, and Export.
+ * Provides buttons for: New Project, Page Setup, Projects, Save, Open, Regenerate, Export,
+ * Export G-code, Export HPGL, Simulate Plot, New Seed and Lock Seed.
  * 
  * Requirements: 6.4
  */
@@ -23,10 +24,18 @@ export class ControlPanel {
         this.buttons = {};
         this.callbacks = {
             newProject: [],
+            pageSetup: [],
+            library: [],
+            snippets: [],
             save: [],
             open: [],
             regenerate: [],
-            export: []
+            export: [],
+            exportGCode: [],
+            exportHPGL: [],
+            simulate: [],
+            rerollSeed: [],
+            lockSeed: []
         };
 
         this._initializeButtons();
@@ -54,6 +63,27 @@ export class ControlPanel {
                 primary: false,
                 tooltip: 'Create a new project with custom name and viewport size'
             },
+            { 
+                id: 'pageSetup', 
+                label: 'Page Setup', 
+                icon: '📐', 
+                primary: false,
+                tooltip: 'Change the paper size or orientation, keeping the code'
+            },
+            { 
+                id: 'library', 
+                label: 'Projects', 
+                icon: '🗂️', 
+                primary: false,
+                tooltip: 'Browse, search and open the projects saved in this browser'
+            },
+            { 
+                id: 'snippets', 
+                label: 'Snippets', 
+                icon: '🧩', 
+                primary: false,
+                tooltip: 'Edit the snippet library any sketch can import from'
+            },
             { 
                 id: 'save', 
                 label: 'Save as', 
@@ -81,6 +111,41 @@ export class ControlPanel {
                 icon: '📥', 
                 primary: false,
                 tooltip: 'Export the generated SVG for use with pen plotter software'
+            },
+            { 
+                id: 'exportGCode', 
+                label: 'Export G-code', 
+                icon: '🛠️', 
+                primary: false,
+                tooltip: 'Export G-code for GRBL-based pen plotters'
+            },
+            { 
+                id: 'exportHPGL', 
+                label: 'Export HPGL', 
+                icon: '🖊️', 
+                primary: false,
+                tooltip: 'Export HPGL for HP 7475A-style pen plotters'
+            },
+            { 
+                id: 'simulate', 
+                label: 'Simulate Plot', 
+                icon: '🎬', 
+                primary: false,
+                tooltip: 'Animate the pen drawing the paths in export order'
+            },
+            { 
+                id: 'rerollSeed', 
+                label: 'New Seed', 
+                icon: '🎲', 
+                primary: false,
+                tooltip: 'Pick a new random seed and regenerate'
+            },
+            { 
+                id: 'lockSeed', 
+                label: 'Lock Seed', 
+                icon: '🔓', 
+                primary: false,
+                tooltip: 'Keep the current seed when regenerating'
             }
         ];
 
@@ -197,6 +262,42 @@ export class ControlPanel {
         this.callbacks.newProject.push(callback);
     }
 
+    /**
+     * Register a callback for the Page Setup button
+     * 
+     * @param {Function} callback - Function to call when button is clicked
+     */
+    onPageSetup(callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+        this.callbacks.pageSetup.push(callback);
+    }
+
+    /**
+     * Register a callback for the Projects button
+     * 
+     * @param {Function} callback - Function to call when button is clicked
+     */
+    onLibrary(callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+        this.callbacks.library.push(callback);
+    }
+
+    /**
+     * Register a callback for the Snippets button
+     * 
+     * @param {Function} callback - Function to call when button is clicked
+     */
+    onSnippets(callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+        this.callbacks.snippets.push(callback);
+    }
+
     /**
      * Register a callback for the Save button
      * 
@@ -245,10 +346,87 @@ export class ControlPanel {
         this.callbacks.export.push(callback);
     }
 
+    /**
+     * Register a callback for the Export G-code button
+     * 
+     * @param {Function} callback - Function to call when button is clicked
+     */
+    onExportGCode(callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+        this.callbacks.exportGCode.push(callback);
+    }
+
+    /**
+     * Register a callback for the Export HPGL button
+     * 
+     * @param {Function} callback - Function to call when button is clicked
+     */
+    onExportHPGL(callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+        this.callbacks.exportHPGL.push(callback);
+    }
+
+    /**
+     * Register a callback for the Simulate Plot button
+     * 
+     * @param {Function} callback - Function to call when button is clicked
+     */
+    onSimulate(callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+        this.callbacks.simulate.push(callback);
+    }
+
+    /**
+     * Register a callback for the New Seed button
+     * 
+     * @param {Function} callback - Function to call when button is clicked
+     */
+    onRerollSeed(callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+        this.callbacks.rerollSeed.push(callback);
+    }
+
+    /**
+     * Register a callback for the Lock Seed button
+     * 
+     * @param {Function} callback - Function to call when button is clicked
+     */
+    onToggleSeedLock(callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+        this.callbacks.lockSeed.push(callback);
+    }
+
+    /**
+     * Update the Lock Seed button to reflect the project's lock state
+     * 
+     * @param {boolean} locked - Whether the seed is locked
+     */
+    setSeedLocked(locked) {
+        const button = this.buttons.lockSeed;
+        const [iconSpan, labelSpan] = button.querySelectorAll('span');
+
+        iconSpan.textContent = locked ? '🔒' : '🔓';
+        labelSpan.textContent = locked ? 'Unlock Seed' : 'Lock Seed';
+        button.title = locked
+            ? 'Pick a new seed on every regenerate'
+            : 'Keep the current seed when regenerating';
+        button.setAttribute('aria-pressed', String(locked));
+    }
+
     /**
      * Set the enabled/disabled state of a button
      * 
-     * @param {string} button - Button identifier ('newProject', 'save', 'open', 'regenerate', 'export')
+     * @param {string} button - Button identifier ('newProject', 'pageSetup', 'library', 'snippets', 'save', 'open', 'regenerate', 'export', 'exportGCode', 'exportHPGL', 'simulate', 'rerollSeed', 'lockSeed')
      * @param {boolean} enabled - Whether the button should be enabled
      */
     setButtonState(button, enabled) {
@@ -31,17 +31,25 @@ describe('ControlPanel', () => {
             controlPanel = new ControlPanel(container);
             
             expect(controlPanel.buttons.newProject).toBeDefined();
+            expect(controlPanel.buttons.pageSetup).toBeDefined();
+            expect(controlPanel.buttons.library).toBeDefined();
+            expect(controlPanel.buttons.snippets).toBeDefined();
             expect(controlPanel.buttons.save).toBeDefined();
             expect(controlPanel.buttons.open).toBeDefined();
             expect(controlPanel.buttons.regenerate).toBeDefined();
             expect(controlPanel.buttons.export).toBeDefined();
+            expect(controlPanel.buttons.exportGCode).toBeDefined();
+            expect(controlPanel.buttons.exportHPGL).toBeDefined();
+            expect(controlPanel.buttons.simulate).toBeDefined();
+            expect(controlPanel.buttons.rerollSeed).toBeDefined();
+            expect(controlPanel.buttons.lockSeed).toBeDefined();
         });
 
         it('should create buttons in the DOM', () => {
             controlPanel = new ControlPanel(container);
             
             const buttons = container.querySelectorAll('button');
-            expect(buttons.length).toBe(5);
+            expect(buttons.length).toBe(13);
         });
 
         it('should create buttons with correct labels', () => {
@@ -73,6 +81,27 @@ describe('ControlPanel', () => {
             expect(controlPanel.callbacks.newProject).toContain(callback);
         });
 
+        it('should register callback for Page Setup button', () => {
+            const callback = vi.fn();
+            controlPanel.onPageSetup(callback);
+            
+            expect(controlPanel.callbacks.pageSetup).toContain(callback);
+        });
+
+        it('should register callback for Projects button', () => {
+            const callback = vi.fn();
+            controlPanel.onLibrary(callback);
+            
+            expect(controlPanel.callbacks.library).toContain(callback);
+        });
+
+        it('should register callback for Snippets button', () => {
+            const callback = vi.fn();
+            controlPanel.onSnippets(callback);
+            
+            expect(controlPanel.callbacks.snippets).toContain(callback);
+        });
+
         it('should register callback for Save button', () => {
             const callback = vi.fn();
             controlPanel.onSave(callback);
@@ -165,6 +194,51 @@ describe('ControlPanel', () => {
             expect(callback).toHaveBeenCalledTimes(1);
         });
 
+        it('should trigger callback when Export G-code button is clicked', () => {
+            const callback = vi.fn();
+            controlPanel.onExportGCode(callback);
+            
+            controlPanel.getButton('exportGCode').click();
+            
+            expect(callback).toHaveBeenCalledTimes(1);
+        });
+
+        it('should trigger callback when Export HPGL button is clicked', () => {
+            const callback = vi.fn();
+            controlPanel.onExportHPGL(callback);
+            
+            controlPanel.getButton('exportHPGL').click();
+            
+            expect(callback).toHaveBeenCalledTimes(1);
+        });
+
+        it('should trigger callback when Simulate Plot button is clicked', () => {
+            const callback = vi.fn();
+            controlPanel.onSimulate(callback);
+            
+            controlPanel.getButton('simulate').click();
+            
+            expect(callback).toHaveBeenCalledTimes(1);
+        });
+
+        it('should trigger callback when New Seed button is clicked', () => {
+            const callback = vi.fn();
+            controlPanel.onRerollSeed(callback);
+            
+            controlPanel.getButton('rerollSeed').click();
+            
+            expect(callback).toHaveBeenCalledTimes(1);
+        });
+
+        it('should trigger callback when Lock Seed button is clicked', () => {
+            const callback = vi.fn();
+            controlPanel.onToggleSeedLock(callback);
+            
+            controlPanel.getButton('lockSeed').click();
+            
+            expect(callback).toHaveBeenCalledTimes(1);
+        });
+
         it('should trigger multiple callbacks for the same button', () => {
             const callback1 = vi.fn();
             const callback2 = vi.fn();
@@ -273,6 +347,25 @@ describe('ControlPanel', () => {
         });
     });
 
+    describe('Seed Lock State', () => {
+        beforeEach(() => {
+            controlPanel = new ControlPanel(container);
+        });
+
+        it('should show the lock state on the Lock Seed button', () => {
+            const button = controlPanel.getButton('lockSeed');
+            expect(button.textContent).toContain('Lock Seed');
+
+            controlPanel.setSeedLocked(true);
+            expect(button.textContent).toContain('Unlock Seed');
+            expect(button.getAttribute('aria-pressed')).toBe('true');
+
+            controlPanel.setSeedLocked(false);
+            expect(button.textContent).toContain('Lock Seed');
+            expect(button.getAttribute('aria-pressed')).toBe('false');
+        });
+    });
+
     describe('Button Styling', () => {
         beforeEach(() => {
             controlPanel = new ControlPanel(container);
@@ -0,0 +1,175 @@
+/**
+ * FileTabs Component
+ *
+ * Tab bar above the code editor listing the sketch's files: the main
+ * sketch first, then its helper modules. Helper tabs have a close button
+ * that deletes the file, and the + button asks for the name of a new one.
+ */
+
+import { SKETCH_MAIN_FILE, resolveModuleName } from '../generators/sketch-modules.js';
+
+/**
+ * FileTabs class builds the tab bar and reports tab actions
+ */
+export class FileTabs {
+    /**
+     * @param {HTMLElement} containerElement - The DOM element to contain the tabs
+     */
+    constructor(containerElement) {
+        if (!containerElement) {
+            throw new Error('Container element is required for FileTabs');
+        }
+
+        this.container = containerElement;
+        this.names = [SKETCH_MAIN_FILE];
+        this.callbacks = {
+            select: [],
+            add: [],
+            remove: []
+        };
+
+        this.render(this.names, SKETCH_MAIN_FILE);
+    }
+
+    /**
+     * Rebuild the tabs
+     *
+     * @param {string[]} names - File names, main sketch first
+     * @param {string} active - Name of the file shown in the editor
+     */
+    render(names, active) {
+        this.names = [...names];
+        this.container.innerHTML = '';
+
+        names.forEach(name => this.container.appendChild(this._createTab(name, name === active)));
+
+        const addButton = document.createElement('button');
+        addButton.type = 'button';
+        addButton.dataset.action = 'add';
+        addButton.className = 'px-2 py-1 text-sm text-gray-500 rounded hover:bg-gray-200';
+        addButton.textContent = '+';
+        addButton.title = 'Add a helper module';
+        addButton.addEventListener('click', () => this._handleAdd());
+        this.container.appendChild(addButton);
+    }
+
+    /**
+     * Create the tab for one file
+     *
+     * @private
+     * @param {string} name - File name
+     * @param {boolean} active - Whether the file is open
+     * @returns {HTMLElement} Tab element
+     */
+    _createTab(name, active) {
+        const tab = document.createElement('div');
+        tab.className = `file-tab flex items-center gap-1 px-3 py-1 text-sm font-mono rounded-t ${
+            active ? 'bg-white text-gray-900 border border-b-0 border-gray-200' : 'text-gray-600 hover:bg-gray-200'
+        }`;
+        tab.dataset.file = name;
+        if (active) {
+            tab.classList.add('active');
+        }
+
+        const label = document.createElement('button');
+        label.type = 'button';
+        label.dataset.action = 'select';
+        label.textContent = name;
+        label.addEventListener('click', () => this._triggerCallbacks('select', name));
+        tab.appendChild(label);
+
+        if (name !== SKETCH_MAIN_FILE) {
+            const close = document.createElement('button');
+            close.type = 'button';
+            close.dataset.action = 'remove';
+            close.className = 'text-gray-400 hover:text-red-600';
+            close.textContent = '×';
+            close.title = `Delete ${name}`;
+            close.addEventListener('click', () => {
+                if (confirm(`Delete ${name}? This cannot be undone.`)) {
+                    this._triggerCallbacks('remove', name);
+                }
+            });
+            tab.appendChild(close);
+        }
+
+        return tab;
+    }
+
+    /**
+     * Ask for a file name and report it if it can be used
+     *
+     * @private
+     */
+    _handleAdd() {
+        const input = prompt('Name for the new file:', 'helpers.js');
+        if (input === null) {
+            return;
+        }
+
+        const name = resolveModuleName(input.trim());
+        if (!name) {
+            alert(`Invalid file name: ${input}. Use letters, digits, - and _, ending in .js`);
+        } else if (this.names.includes(name)) {
+            alert(`A file named ${name} already exists`);
+        } else {
+            this._triggerCallbacks('add', name);
+        }
+    }
+
+    /**
+     * Register a callback for showing a file
+     *
+     * @param {Function} callback - Called with the file name
+     */
+    onSelect(callback) {
+        this._addCallback('select', callback);
+    }
+
+    /**
+     * Register a callback for adding a file
+     *
+     * @param {Function} callback - Called with the new file name
+     */
+    onAdd(callback) {
+        this._addCallback('add', callback);
+    }
+
+    /**
+     * Register a callback for deleting a file
+     *
+     * @param {Function} callback - Called with the file name
+     */
+    onRemove(callback) {
+        this._addCallback('remove', callback);
+    }
+
+    /**
+     * @private
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback to register
+     */
+    _addCallback(event, callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+        this.callbacks[event].push(callback);
+    }
+
+    /**
+     * Trigger all callbacks for an event
+     *
+     * @private
+     * @param {string} event - Event name
+     * @param {...*} args - Arguments to pass to callbacks
+     */
+    _triggerCallbacks(event, ...args) {
+        this.callbacks[event].forEach(callback => {
+            try {
+                callback(...args);
+            } catch (error) {
+                console.error(`Error in ${event} callback:`, error);
+            }
+        });
+    }
+}
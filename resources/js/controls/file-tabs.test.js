@@ -0,0 +1,75 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { FileTabs } from './file-tabs.js';
+
+describe('FileTabs', () => {
+    let container;
+    let tabs;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        tabs = new FileTabs(container);
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('should throw error if no container element provided', () => {
+        expect(() => new FileTabs(null)).toThrow('Container element is required for FileTabs');
+    });
+
+    it('should show a tab per file with the open one marked', () => {
+        tabs.render(['main.js', 'hatching.js'], 'hatching.js');
+
+        const items = container.querySelectorAll('.file-tab');
+        expect([...items].map(item => item.dataset.file)).toEqual(['main.js', 'hatching.js']);
+        expect(items[1].classList.contains('active')).toBe(true);
+        expect(items[0].querySelector('[data-action="remove"]')).toBeNull();
+        expect(items[1].querySelector('[data-action="remove"]')).not.toBeNull();
+    });
+
+    it('should report selecting and confirmed deletes', () => {
+        const select = vi.fn();
+        const remove = vi.fn();
+        const confirm = vi.fn().mockReturnValueOnce(false).mockReturnValueOnce(true);
+        vi.stubGlobal('confirm', confirm);
+        tabs.onSelect(select);
+        tabs.onRemove(remove);
+        tabs.render(['main.js', 'a.js'], 'main.js');
+
+        container.querySelector('[data-file="a.js"] [data-action="select"]').click();
+        container.querySelector('[data-file="a.js"] [data-action="remove"]').click();
+        container.querySelector('[data-file="a.js"] [data-action="remove"]').click();
+
+        expect(select).toHaveBeenCalledWith('a.js');
+        expect(remove).toHaveBeenCalledTimes(1);
+        expect(remove).toHaveBeenCalledWith('a.js');
+    });
+
+    it('should add files with a usable, unused name', () => {
+        const add = vi.fn();
+        const alert = vi.fn();
+        vi.stubGlobal('alert', alert);
+        vi.stubGlobal('prompt', vi.fn()
+            .mockReturnValueOnce(' noise ')
+            .mockReturnValueOnce('a.js')
+            .mockReturnValueOnce('../bad name')
+            .mockReturnValueOnce(null));
+        tabs.onAdd(add);
+        tabs.render(['main.js', 'a.js'], 'main.js');
+
+        const addButton = container.querySelector('[data-action="add"]');
+        for (let i = 0; i < 4; i++) {
+            addButton.click();
+        }
+
+        expect(add).toHaveBeenCalledTimes(1);
+        expect(add).toHaveBeenCalledWith('noise.js');
+        expect(alert).toHaveBeenCalledTimes(2);
+        expect(alert.mock.calls[0][0]).toContain('already exists');
+    });
+
+    it('should refuse a non-function callback', () => {
+        expect(() => tabs.onAdd('nope')).toThrow('Callback must be a function');
+    });
+});
@@ -0,0 +1,257 @@
+/**
+ * GuidesPanel Component
+ *
+ * Settings for the guides drawn over the preview: rulers, a grid and the
+ * paper margins. Distances are stored in inches and shown in the units
+ * chosen for the rulers.
+ */
+
+import { DEFAULT_MARGINS, DEFAULT_GUIDE_OPTIONS, GUIDE_UNITS } from '../models/project.js';
+import { UNITS_PER_INCH } from '../models/paper-sizes.js';
+import { formatCoordinate } from '../geometry/polyline.js';
+
+/**
+ * Margin inputs, in display order
+ */
+const MARGIN_SIDES = [
+    { id: 'top', label: 'Top' },
+    { id: 'right', label: 'Right' },
+    { id: 'bottom', label: 'Bottom' },
+    { id: 'left', label: 'Left' }
+];
+
+/**
+ * GuidesPanel class manages the ruler, grid and margin inputs
+ */
+export class GuidesPanel {
+    /**
+     * @param {HTMLElement} containerElement - The DOM element to contain the panel
+     */
+    constructor(containerElement) {
+        if (!containerElement) {
+            throw new Error('Container element is required for GuidesPanel');
+        }
+
+        this.container = containerElement;
+        this.inputs = {};
+        this.margins = { ...DEFAULT_MARGINS };
+        this.guides = { ...DEFAULT_GUIDE_OPTIONS };
+        this.callbacks = {
+            change: []
+        };
+
+        this._initializeContainer();
+    }
+
+    /**
+     * Build the guide and margin inputs
+     *
+     * @private
+     */
+    _initializeContainer() {
+        this.container.innerHTML = '';
+
+        const row = document.createElement('div');
+        row.className = 'flex flex-wrap items-center gap-x-4 gap-y-2 text-sm text-gray-700';
+
+        [
+            { id: 'rulers', label: 'Rulers', tooltip: 'Show rulers along the preview edges' },
+            { id: 'grid', label: 'Grid', tooltip: 'Show a grid over the page' }
+        ].forEach(config => {
+            const label = document.createElement('label');
+            label.className = 'inline-flex items-center gap-2 cursor-pointer';
+            label.title = config.tooltip;
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.option = config.id;
+            checkbox.className = 'accent-blue-600';
+            checkbox.addEventListener('change', () => this._handleChange());
+
+            const text = document.createElement('span');
+            text.textContent = config.label;
+
+            label.appendChild(checkbox);
+            label.appendChild(text);
+            row.appendChild(label);
+            this.inputs[config.id] = checkbox;
+        });
+
+        row.appendChild(this._createNumberInput('gridSpacing', 'Every', 'Grid spacing'));
+
+        const unitsSelect = document.createElement('select');
+        unitsSelect.dataset.option = 'units';
+        unitsSelect.className = 'px-2 py-0.5 border border-gray-300 rounded text-xs';
+        unitsSelect.title = 'Units of the rulers, grid and margins';
+        GUIDE_UNITS.forEach(units => {
+            const option = document.createElement('option');
+            option.value = units;
+            option.textContent = units;
+            unitsSelect.appendChild(option);
+        });
+        unitsSelect.addEventListener('change', () => this._handleUnitsChange());
+        row.appendChild(unitsSelect);
+        this.inputs.units = unitsSelect;
+
+        const marginsText = document.createElement('span');
+        marginsText.className = 'ml-2 font-medium';
+        marginsText.textContent = 'Margins';
+        row.appendChild(marginsText);
+
+        MARGIN_SIDES.forEach(({ id, label }) => {
+            row.appendChild(this._createNumberInput(id, label, `${label} margin`));
+        });
+
+        this.container.appendChild(row);
+    }
+
+    /**
+     * Build a labelled number input for a distance
+     *
+     * @private
+     * @param {string} id - Input name
+     * @param {string} text - Label text
+     * @param {string} tooltip - Label tooltip
+     * @returns {HTMLElement} Label containing the input
+     */
+    _createNumberInput(id, text, tooltip) {
+        const label = document.createElement('label');
+        label.className = 'inline-flex items-center gap-1';
+        label.title = tooltip;
+
+        const span = document.createElement('span');
+        span.textContent = text;
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.step = 'any';
+        input.dataset.option = id;
+        input.className = 'w-16 px-2 py-0.5 border border-gray-300 rounded font-mono text-xs';
+        input.addEventListener('change', () => this._handleChange());
+
+        label.appendChild(span);
+        label.appendChild(input);
+        this.inputs[id] = input;
+        return label;
+    }
+
+    /**
+     * Show the given margins and guide options in the inputs
+     *
+     * @param {import('../models/project').Margins} margins - Margins in inches
+     * @param {import('../models/project').GuideOptions} guides - Guide options
+     */
+    setGuides(margins, guides) {
+        this.margins = { ...margins };
+        this.guides = { ...guides };
+
+        this.inputs.rulers.checked = guides.rulers;
+        this.inputs.grid.checked = guides.grid;
+        this.inputs.units.value = guides.units;
+        this.inputs.gridSpacing.value = this._formatDistance(guides.gridSpacing);
+        this.inputs.gridSpacing.disabled = !guides.grid;
+        MARGIN_SIDES.forEach(({ id }) => {
+            this.inputs[id].value = this._formatDistance(margins[id]);
+        });
+    }
+
+    /**
+     * Get the margins and guide options entered in the inputs
+     * Invalid distances keep the last valid setting.
+     *
+     * @returns {{margins: import('../models/project').Margins, guides: import('../models/project').GuideOptions}} Settings in inches
+     */
+    getGuides() {
+        const margins = {};
+        MARGIN_SIDES.forEach(({ id }) => {
+            margins[id] = this._parseDistance(this.inputs[id].value, this.margins[id], true);
+        });
+
+        return {
+            margins,
+            guides: {
+                rulers: this.inputs.rulers.checked,
+                grid: this.inputs.grid.checked,
+                gridSpacing: this._parseDistance(this.inputs.gridSpacing.value, this.guides.gridSpacing, false),
+                units: this.guides.units
+            }
+        };
+    }
+
+    /**
+     * Register a callback for guide changes
+     *
+     * @param {Function} callback - Called with {margins, guides}
+     */
+    onChange(callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+        this.callbacks.change.push(callback);
+    }
+
+    /**
+     * Format a distance in inches in the current units
+     *
+     * @private
+     * @param {number} inches - Distance in inches
+     * @returns {string} Formatted distance
+     */
+    _formatDistance(inches) {
+        return formatCoordinate(inches * UNITS_PER_INCH[this.guides.units], 3);
+    }
+
+    /**
+     * Parse a distance in the current units to inches
+     *
+     * @private
+     * @param {string} text - Entered value
+     * @param {number} fallback - Value in inches to keep when the entry is invalid
+     * @param {boolean} allowZero - Whether 0 is valid
+     * @returns {number} Distance in inches
+     */
+    _parseDistance(text, fallback, allowZero) {
+        const value = parseFloat(text);
+        const valid = Number.isFinite(value) && (allowZero ? value >= 0 : value > 0);
+        return valid ? value / UNITS_PER_INCH[this.guides.units] : fallback;
+    }
+
+    /**
+     * Show the same distances in the newly selected units
+     *
+     * @private
+     */
+    _handleUnitsChange() {
+        const { margins, guides } = this.getGuides();
+        this.setGuides(margins, { ...guides, units: this.inputs.units.value });
+        this._triggerChange();
+    }
+
+    /**
+     * Handle an input change
+     *
+     * @private
+     */
+    _handleChange() {
+        const { margins, guides } = this.getGuides();
+        this.setGuides(margins, guides);
+        this._triggerChange();
+    }
+
+    /**
+     * Notify listeners of the current settings
+     *
+     * @private
+     */
+    _triggerChange() {
+        const settings = { margins: { ...this.margins }, guides: { ...this.guides } };
+        this.callbacks.change.forEach(callback => {
+            try {
+                callback(settings);
+            } catch (error) {
+                console.error('Error in change callback:', error);
+            }
+        });
+    }
+}
@@ -0,0 +1,73 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { GuidesPanel } from './guides-panel.js';
+import { DEFAULT_MARGINS, DEFAULT_GUIDE_OPTIONS } from '../models/project.js';
+
+describe('GuidesPanel', () => {
+    let container;
+    let panel;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        panel = new GuidesPanel(container);
+        panel.setGuides(DEFAULT_MARGINS, DEFAULT_GUIDE_OPTIONS);
+    });
+
+    it('should throw error if no container element provided', () => {
+        expect(() => new GuidesPanel(null)).toThrow('Container element is required for GuidesPanel');
+    });
+
+    it('should show the given settings', () => {
+        const margins = { top: 1, right: 0.5, bottom: 1, left: 0.5 };
+        const guides = { rulers: true, grid: true, gridSpacing: 0.25, units: 'in' };
+        panel.setGuides(margins, guides);
+
+        expect(panel.inputs.rulers.checked).toBe(true);
+        expect(panel.inputs.top.value).toBe('1');
+        expect(panel.inputs.gridSpacing.value).toBe('0.25');
+        expect(panel.getGuides()).toEqual({ margins, guides });
+    });
+
+    it('should disable the grid spacing while the grid is off', () => {
+        expect(panel.inputs.gridSpacing.disabled).toBe(true);
+        panel.inputs.grid.checked = true;
+        panel.inputs.grid.dispatchEvent(new Event('change'));
+        expect(panel.inputs.gridSpacing.disabled).toBe(false);
+    });
+
+    it('should report margin changes in inches and reset invalid values', () => {
+        const callback = vi.fn();
+        panel.onChange(callback);
+
+        panel.inputs.left.value = '0.75';
+        panel.inputs.left.dispatchEvent(new Event('change'));
+        expect(callback).toHaveBeenLastCalledWith({
+            margins: { ...DEFAULT_MARGINS, left: 0.75 },
+            guides: DEFAULT_GUIDE_OPTIONS
+        });
+
+        panel.inputs.left.value = '-1';
+        panel.inputs.left.dispatchEvent(new Event('change'));
+        expect(callback.mock.lastCall[0].margins.left).toBe(0.75);
+        expect(panel.inputs.left.value).toBe('0.75');
+    });
+
+    it('should show and enter distances in millimetres', () => {
+        const callback = vi.fn();
+        panel.onChange(callback);
+        panel.setGuides({ ...DEFAULT_MARGINS, top: 1 }, DEFAULT_GUIDE_OPTIONS);
+
+        panel.inputs.units.value = 'mm';
+        panel.inputs.units.dispatchEvent(new Event('change'));
+        expect(panel.inputs.top.value).toBe('25.4');
+        expect(panel.inputs.gridSpacing.value).toBe('12.7');
+        expect(callback.mock.lastCall[0].guides.units).toBe('mm');
+
+        panel.inputs.bottom.value = '10';
+        panel.inputs.bottom.dispatchEvent(new Event('change'));
+        expect(callback.mock.lastCall[0].margins.bottom).toBeCloseTo(10 / 25.4);
+    });
+
+    it('should throw error if callback is not a function', () => {
+        expect(() => panel.onChange(null)).toThrow('Callback must be a function');
+    });
+});
@@ -0,0 +1,201 @@
+/**
+ * HistoryPanel Component
+ *
+ * Sidebar listing the open project's snapshots, newest first, each with a
+ * thumbnail of its render. A snapshot can be compared with the current
+ * code or restored; the Snapshot button records the current state.
+ */
+
+/**
+ * HistoryPanel class builds the snapshot list and reports actions
+ */
+export class HistoryPanel {
+    /**
+     * @param {HTMLElement} containerElement - The DOM element to contain the history list
+     */
+    constructor(containerElement) {
+        if (!containerElement) {
+            throw new Error('Container element is required for HistoryPanel');
+        }
+
+        this.container = containerElement;
+        this.callbacks = {
+            snapshot: [],
+            compare: [],
+            restore: []
+        };
+
+        this._initializeContainer();
+    }
+
+    /**
+     * Build the heading, Snapshot button and list
+     *
+     * @private
+     */
+    _initializeContainer() {
+        this.container.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'flex items-center justify-between mb-3';
+
+        const title = document.createElement('h3');
+        title.className = 'text-sm font-semibold text-gray-700';
+        title.textContent = 'History';
+        header.appendChild(title);
+
+        this.snapshotButton = document.createElement('button');
+        this.snapshotButton.type = 'button';
+        this.snapshotButton.dataset.action = 'snapshot';
+        this.snapshotButton.className = 'px-3 py-1 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200';
+        this.snapshotButton.textContent = '📸 Snapshot';
+        this.snapshotButton.title = 'Keep the current code, parameters and seed in the history';
+        this.snapshotButton.addEventListener('click', () => this._triggerCallbacks('snapshot'));
+        header.appendChild(this.snapshotButton);
+
+        this.container.appendChild(header);
+
+        this.list = document.createElement('ul');
+        this.list.className = 'space-y-3';
+        this.container.appendChild(this.list);
+
+        this.render([]);
+    }
+
+    /**
+     * Rebuild the list for a project's snapshots
+     *
+     * @param {import('../managers/snapshot-history').Snapshot[]} snapshots - Snapshots, newest first
+     */
+    render(snapshots) {
+        this.list.innerHTML = '';
+
+        if (snapshots.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'history-empty text-sm text-gray-500';
+            empty.textContent = 'Snapshots appear here each time the sketch runs';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        snapshots.forEach(snapshot => this.list.appendChild(this._createItem(snapshot)));
+    }
+
+    /**
+     * Create the entry for one snapshot
+     *
+     * @private
+     * @param {import('../managers/snapshot-history').Snapshot} snapshot - Snapshot to show
+     * @returns {HTMLElement} List item
+     */
+    _createItem(snapshot) {
+        const item = document.createElement('li');
+        item.className = 'history-item border border-gray-200 rounded-lg overflow-hidden bg-white';
+        item.dataset.snapshotId = snapshot.id;
+
+        if (snapshot.thumbnail) {
+            const thumbnail = document.createElement('img');
+            thumbnail.className = 'history-thumbnail w-full h-24 object-contain bg-gray-50 p-1';
+            thumbnail.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(snapshot.thumbnail)}`;
+            thumbnail.alt = 'Render of this snapshot';
+            item.appendChild(thumbnail);
+        }
+
+        const meta = document.createElement('div');
+        meta.className = 'flex items-center gap-2 px-2 pt-1 text-xs text-gray-600';
+
+        const time = document.createElement('span');
+        time.className = 'history-time';
+        time.textContent = new Date(snapshot.createdAt).toLocaleString();
+        meta.appendChild(time);
+
+        if (snapshot.manual) {
+            const badge = document.createElement('span');
+            badge.className = 'history-badge px-1.5 py-0.5 text-blue-700 bg-blue-50 rounded';
+            badge.textContent = 'Snapshot';
+            meta.appendChild(badge);
+        }
+
+        const seed = document.createElement('span');
+        seed.className = 'ml-auto font-mono';
+        seed.textContent = `seed ${snapshot.seed}`;
+        meta.appendChild(seed);
+
+        item.appendChild(meta);
+
+        const actions = document.createElement('div');
+        actions.className = 'flex gap-1 p-2 text-xs';
+        [
+            { action: 'compare', label: 'Compare', title: 'Show the differences from the current code' },
+            { action: 'restore', label: 'Restore', title: 'Go back to this code, parameters and seed' }
+        ].forEach(({ action, label, title }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dataset.action = action;
+            button.className = 'px-2 py-1 text-gray-700 bg-gray-100 rounded hover:bg-gray-200';
+            button.textContent = label;
+            button.title = title;
+            button.addEventListener('click', () => this._triggerCallbacks(action, snapshot.id));
+            actions.appendChild(button);
+        });
+        item.appendChild(actions);
+
+        return item;
+    }
+
+    /**
+     * Register a callback for the Snapshot button
+     *
+     * @param {Function} callback - Function to call when button is clicked
+     */
+    onSnapshot(callback) {
+        this._addCallback('snapshot', callback);
+    }
+
+    /**
+     * Register a callback for comparing a snapshot
+     *
+     * @param {Function} callback - Called with the snapshot id
+     */
+    onCompare(callback) {
+        this._addCallback('compare', callback);
+    }
+
+    /**
+     * Register a callback for restoring a snapshot
+     *
+     * @param {Function} callback - Called with the snapshot id
+     */
+    onRestore(callback) {
+        this._addCallback('restore', callback);
+    }
+
+    /**
+     * @private
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback to register
+     */
+    _addCallback(event, callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+        this.callbacks[event].push(callback);
+    }
+
+    /**
+     * Trigger all callbacks for an event
+     *
+     * @private
+     * @param {string} event - Event name
+     * @param {...*} args - Arguments to pass to callbacks
+     */
+    _triggerCallbacks(event, ...args) {
+        this.callbacks[event].forEach(callback => {
+            try {
+                callback(...args);
+            } catch (error) {
+                console.error(`Error in ${event} callback:`, error);
+            }
+        });
+    }
+}
@@ -0,0 +1,55 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { HistoryPanel } from './history-panel.js';
+
+describe('HistoryPanel', () => {
+    let container;
+    let panel;
+
+    const snapshots = [
+        { id: 's2', projectId: 'p', createdAt: '2026-03-01T10:05:00.000Z', manual: true, code: 'b', params: {}, seed: 42, thumbnail: '<svg xmlns="http://www.w3.org/2000/svg"/>' },
+        { id: 's1', projectId: 'p', createdAt: '2026-03-01T10:00:00.000Z', manual: false, code: 'a', params: {}, seed: 7, thumbnail: null }
+    ];
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        panel = new HistoryPanel(container);
+    });
+
+    it('should throw error if no container element provided', () => {
+        expect(() => new HistoryPanel(null)).toThrow('Container element is required for HistoryPanel');
+    });
+
+    it('should show an empty state until snapshots exist', () => {
+        expect(container.querySelector('.history-empty')).not.toBeNull();
+
+        panel.render(snapshots);
+        const items = container.querySelectorAll('.history-item');
+        expect([...items].map(item => item.dataset.snapshotId)).toEqual(['s2', 's1']);
+        expect(items[0].querySelector('img.history-thumbnail')).not.toBeNull();
+        expect(items[0].querySelector('.history-badge').textContent).toBe('Snapshot');
+        expect(items[1].querySelector('.history-badge')).toBeNull();
+        expect(items[1].textContent).toContain('seed 7');
+    });
+
+    it('should report snapshot, compare and restore clicks', () => {
+        const snapshot = vi.fn();
+        const compare = vi.fn();
+        const restore = vi.fn();
+        panel.onSnapshot(snapshot);
+        panel.onCompare(compare);
+        panel.onRestore(restore);
+        panel.render(snapshots);
+
+        container.querySelector('button[data-action="snapshot"]').click();
+        container.querySelector('[data-snapshot-id="s1"] button[data-action="compare"]').click();
+        container.querySelector('[data-snapshot-id="s2"] button[data-action="restore"]').click();
+
+        expect(snapshot).toHaveBeenCalledTimes(1);
+        expect(compare).toHaveBeenCalledWith('s1');
+        expect(restore).toHaveBeenCalledWith('s2');
+    });
+
+    it('should throw error if callback is not a function', () => {
+        expect(() => panel.onRestore('nope')).toThrow('Callback must be a function');
+    });
+});
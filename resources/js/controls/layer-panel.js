@@ -0,0 +1,155 @@
+/**
+ * LayerPanel Component
+ *
+ * Lists the layers a sketch creates with `draw.layer()`, each with a
+ * visibility toggle and a swatch of its pen color. Hidden layers are hidden
+ * in the preview and left out of exports. The panel is hidden while the
+ * sketch has no layers.
+ */
+
+/**
+ * LayerPanel class builds the layer list and reports visibility changes
+ */
+export class LayerPanel {
+    /**
+     * @param {HTMLElement} containerElement - The DOM element to contain the layer list
+     */
+    constructor(containerElement) {
+        if (!containerElement) {
+            throw new Error('Container element is required for LayerPanel');
+        }
+
+        this.container = containerElement;
+        this.layers = [];
+        this.hidden = new Set();
+        this.callbacks = {
+            toggle: []
+        };
+
+        this.container.classList.add('hidden');
+    }
+
+    /**
+     * Rebuild the list for the layers of the last run
+     *
+     * @param {import('../generators/sketch-layers').LayerInfo[]} layers - Layers in document order
+     * @param {string[]} [hiddenLayers=[]] - Names of hidden layers
+     */
+    render(layers, hiddenLayers = []) {
+        this.layers = layers;
+        this.hidden = new Set(hiddenLayers);
+        this.container.innerHTML = '';
+
+        if (layers.length === 0) {
+            this.container.classList.add('hidden');
+            return;
+        }
+
+        const title = document.createElement('h3');
+        title.className = 'text-sm font-semibold text-gray-700 mb-2';
+        title.textContent = 'Layers';
+        this.container.appendChild(title);
+
+        const list = document.createElement('ul');
+        list.className = 'flex flex-wrap gap-x-4 gap-y-2';
+        layers.forEach(layer => {
+            list.appendChild(this._createRow(layer));
+        });
+        this.container.appendChild(list);
+
+        this.container.classList.remove('hidden');
+    }
+
+    /**
+     * Create the toggle, swatch and name for one layer
+     *
+     * @private
+     * @param {import('../generators/sketch-layers').LayerInfo} layer - Layer description
+     * @returns {HTMLElement} Row element
+     */
+    _createRow(layer) {
+        const row = document.createElement('li');
+        row.dataset.layer = layer.name;
+
+        const label = document.createElement('label');
+        label.className = 'inline-flex items-center gap-2 text-sm text-gray-700 cursor-pointer';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = !this.hidden.has(layer.name);
+        checkbox.className = 'accent-blue-600';
+        checkbox.title = 'Show this layer in the preview and in exports';
+        checkbox.addEventListener('change', () => {
+            this._setVisible(layer.name, checkbox.checked);
+        });
+
+        const swatch = document.createElement('span');
+        swatch.className = 'layer-swatch inline-block w-4 h-4 rounded-full border border-gray-300';
+        swatch.style.backgroundColor = layer.color || 'transparent';
+        swatch.title = layer.color ? `Pen color: ${layer.color}` : 'No stroke color';
+
+        const name = document.createElement('span');
+        name.className = 'font-mono text-xs';
+        name.textContent = layer.name;
+
+        label.appendChild(checkbox);
+        label.appendChild(swatch);
+        label.appendChild(name);
+        row.appendChild(label);
+        return row;
+    }
+
+    /**
+     * Store a visibility change and notify listeners
+     *
+     * @private
+     * @param {string} name - Layer name
+     * @param {boolean} visible - Whether the layer is shown
+     */
+    _setVisible(name, visible) {
+        if (visible) {
+            this.hidden.delete(name);
+        } else {
+            this.hidden.add(name);
+        }
+        this._triggerCallbacks('toggle', name, visible);
+    }
+
+    /**
+     * Register a callback for visibility toggles
+     *
+     * @param {Function} callback - Called with (name, visible)
+     */
+    onToggle(callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+        this.callbacks.toggle.push(callback);
+    }
+
+    /**
+     * Get the names of the hidden layers
+     *
+     * @returns {string[]} Hidden layer names
+     */
+    getHiddenLayers() {
+        return [...this.hidden];
+    }
+
+    /**
+     * Trigger all callbacks for an event
+     *
+     * @private
+     * @param {string} eventName - Event identifier
+     * @param {...*} args - Arguments passed to the callbacks
+     */
+    _triggerCallbacks(eventName, ...args) {
+        this.callbacks[eventName].forEach(callback => {
+            try {
+                callback(...args);
+            } catch (error) {
+                console.error(`Error in ${eventName} callback:`, error);
+            }
+        });
+    }
+}
@@ -0,0 +1,55 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { LayerPanel } from './layer-panel.js';
+
+describe('LayerPanel', () => {
+    let container;
+    let panel;
+
+    const layers = [
+        { name: '1-black', color: '#000000' },
+        { name: '2-red', color: null }
+    ];
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        panel = new LayerPanel(container);
+    });
+
+    it('should throw error if no container element provided', () => {
+        expect(() => new LayerPanel(null)).toThrow('Container element is required for LayerPanel');
+    });
+
+    it('should stay hidden while there are no layers', () => {
+        panel.render([]);
+        expect(container.classList.contains('hidden')).toBe(true);
+    });
+
+    it('should list layers with visibility and pen swatches', () => {
+        panel.render(layers, ['2-red']);
+
+        expect(container.classList.contains('hidden')).toBe(false);
+        const rows = container.querySelectorAll('li[data-layer]');
+        expect(Array.from(rows).map(row => row.textContent)).toEqual(['1-black', '2-red']);
+        expect(rows[0].querySelector('input').checked).toBe(true);
+        expect(rows[1].querySelector('input').checked).toBe(false);
+        expect(rows[0].querySelector('.layer-swatch').style.backgroundColor).toBe('rgb(0, 0, 0)');
+        expect(rows[1].querySelector('.layer-swatch').title).toBe('No stroke color');
+    });
+
+    it('should report visibility toggles', () => {
+        const callback = vi.fn();
+        panel.onToggle(callback);
+        panel.render(layers);
+
+        const checkbox = container.querySelector('li[data-layer="1-black"] input');
+        checkbox.checked = false;
+        checkbox.dispatchEvent(new Event('change'));
+
+        expect(callback).toHaveBeenCalledWith('1-black', false);
+        expect(panel.getHiddenLayers()).toEqual(['1-black']);
+    });
+
+    it('should throw error if callback is not a function', () => {
+        expect(() => panel.onToggle('nope')).toThrow('Callback must be a function');
+    });
+});
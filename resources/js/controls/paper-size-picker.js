@@ -0,0 +1,362 @@
+/**
+ * PaperSizePicker Component
+ *
+ * Paper size inputs: a menu of standard and saved presets, the page
+ * orientation, and the width and height in inches, millimetres or
+ * centimetres. Any size can be entered; sizes the user saves are kept in
+ * localStorage and listed under "My sizes".
+ */
+
+import {
+    PAPER_SIZES,
+    PAPER_UNITS,
+    CUSTOM_PAPER_GROUP,
+    toInches,
+    fromInches,
+    formatPaperDimensions,
+    findPaperSize
+} from '../models/paper-sizes.js';
+import { VIEWPORT_PRESETS } from '../models/project.js';
+import { savePaperSizesToLocalStorage, loadPaperSizesFromLocalStorage } from '../utils/local-storage.js';
+import { formatCoordinate } from '../geometry/polyline.js';
+
+/**
+ * Menu value for sizes that match no preset
+ */
+const CUSTOM_VALUE = 'custom';
+
+/**
+ * PaperSizePicker class manages the paper menu and dimension inputs
+ */
+export class PaperSizePicker {
+    /**
+     * @param {HTMLElement} containerElement - The DOM element to contain the picker
+     */
+    constructor(containerElement) {
+        if (!containerElement) {
+            throw new Error('Container element is required for PaperSizePicker');
+        }
+
+        this.container = containerElement;
+        this.inputs = {};
+        this.savedSizes = loadPaperSizesFromLocalStorage();
+        this.callbacks = {
+            change: []
+        };
+
+        this._initializeContainer();
+        this.setViewportSize(VIEWPORT_PRESETS[0]);
+    }
+
+    /**
+     * Build the paper menu and dimension inputs
+     *
+     * @private
+     */
+    _initializeContainer() {
+        this.container.innerHTML = '';
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'space-y-3 text-sm text-gray-700';
+
+        const menuRow = document.createElement('div');
+        menuRow.className = 'flex gap-2';
+
+        this.paperSelect = document.createElement('select');
+        this.paperSelect.dataset.option = 'paper';
+        this.paperSelect.className = 'flex-1 min-w-0 px-3 py-2 border-2 border-gray-300 rounded-lg';
+        this.paperSelect.title = 'Paper size';
+        this.paperSelect.addEventListener('change', () => this._handlePaperChange());
+        menuRow.appendChild(this.paperSelect);
+
+        this.orientationSelect = document.createElement('select');
+        this.orientationSelect.dataset.option = 'orientation';
+        this.orientationSelect.className = 'px-3 py-2 border-2 border-gray-300 rounded-lg';
+        this.orientationSelect.title = 'Page orientation';
+        [['portrait', 'Portrait'], ['landscape', 'Landscape']].forEach(([value, label]) => {
+            this.orientationSelect.appendChild(this._createOption(value, label));
+        });
+        this.orientationSelect.addEventListener('change', () => this._handleOrientationChange());
+        menuRow.appendChild(this.orientationSelect);
+
+        wrapper.appendChild(menuRow);
+
+        const sizeRow = document.createElement('div');
+        sizeRow.className = 'flex items-center gap-2';
+
+        ['width', 'height'].forEach((id, index) => {
+            if (index > 0) {
+                const times = document.createElement('span');
+                times.textContent = '×';
+                sizeRow.appendChild(times);
+            }
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.step = 'any';
+            input.dataset.option = id;
+            input.className = 'w-24 px-2 py-1 border-2 border-gray-300 rounded-lg font-mono';
+            input.title = id === 'width' ? 'Paper width' : 'Paper height';
+            input.addEventListener('change', () => this._handleDimensionChange());
+            sizeRow.appendChild(input);
+            this.inputs[id] = input;
+        });
+
+        const unitSelect = document.createElement('select');
+        unitSelect.dataset.option = 'unit';
+        unitSelect.className = 'px-2 py-1 border-2 border-gray-300 rounded-lg';
+        unitSelect.title = 'Units of the paper size';
+        PAPER_UNITS.forEach(unit => unitSelect.appendChild(this._createOption(unit, unit)));
+        unitSelect.addEventListener('change', () => this._handleUnitChange());
+        sizeRow.appendChild(unitSelect);
+        this.inputs.unit = unitSelect;
+
+        this.saveButton = document.createElement('button');
+        this.saveButton.type = 'button';
+        this.saveButton.dataset.action = 'save-paper';
+        this.saveButton.className = 'ml-auto px-3 py-1 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200';
+        this.saveButton.textContent = 'Save size';
+        this.saveButton.title = 'Add this size to My sizes';
+        this.saveButton.addEventListener('click', () => this._handleSave());
+        sizeRow.appendChild(this.saveButton);
+
+        wrapper.appendChild(sizeRow);
+        this.container.appendChild(wrapper);
+
+        this._renderPaperOptions();
+    }
+
+    /**
+     * Fill the paper menu with saved and standard sizes, grouped
+     *
+     * @private
+     */
+    _renderPaperOptions() {
+        this.paperSelect.innerHTML = '';
+
+        const groups = new Map();
+        [...this.savedSizes, ...PAPER_SIZES].forEach(paper => {
+            if (!groups.has(paper.group)) {
+                const optgroup = document.createElement('optgroup');
+                optgroup.label = paper.group;
+                groups.set(paper.group, optgroup);
+                this.paperSelect.appendChild(optgroup);
+            }
+            groups.get(paper.group).appendChild(
+                this._createOption(paper.id, `${paper.name} — ${formatPaperDimensions(paper.width, paper.height, paper.unit)}`)
+            );
+        });
+
+        this.paperSelect.appendChild(this._createOption(CUSTOM_VALUE, 'Custom size'));
+    }
+
+    /**
+     * @private
+     * @param {string} value - Option value
+     * @param {string} label - Option text
+     * @returns {HTMLOptionElement} Option element
+     */
+    _createOption(value, label) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        return option;
+    }
+
+    /**
+     * Show a viewport size in the inputs
+     * The menu selects the matching preset, or Custom size.
+     *
+     * @param {import('../models/project').ViewportSize} viewportSize - Size in inches
+     */
+    setViewportSize(viewportSize) {
+        this.size = { width: viewportSize.width, height: viewportSize.height };
+        this.unit = viewportSize.unit || 'in';
+        this._render();
+    }
+
+    /**
+     * Get the viewport size shown in the inputs
+     *
+     * @returns {import('../models/project').ViewportSize} Size in inches with its label and unit
+     */
+    getViewportSize() {
+        const { width, height } = this.size;
+        const dimensions = formatPaperDimensions(fromInches(width, this.unit), fromInches(height, this.unit), this.unit);
+        const match = this._match();
+        const paper = match ? match.paper : null;
+        return {
+            width,
+            height,
+            label: paper ? `${paper.name} (${dimensions})` : dimensions,
+            unit: this.unit
+        };
+    }
+
+    /**
+     * Save the current size as a preset under "My sizes"
+     * A saved size with the same name is replaced.
+     *
+     * @param {string} name - Preset name
+     * @returns {boolean} True if the preset was stored
+     */
+    savePaperSize(name) {
+        const trimmed = name.trim();
+        if (!trimmed) {
+            return false;
+        }
+
+        const portrait = [this.size.width, this.size.height]
+            .map(inches => fromInches(inches, this.unit))
+            .sort((a, b) => a - b);
+        const paper = {
+            id: `saved-${trimmed.toLowerCase().replace(/\s+/g, '-')}`,
+            name: trimmed,
+            group: CUSTOM_PAPER_GROUP,
+            width: portrait[0],
+            height: portrait[1],
+            unit: this.unit
+        };
+
+        this.savedSizes = [...this.savedSizes.filter(saved => saved.id !== paper.id), paper];
+        const stored = savePaperSizesToLocalStorage(this.savedSizes);
+        this._renderPaperOptions();
+        this._render();
+        return stored;
+    }
+
+    /**
+     * Register a callback for paper size changes
+     *
+     * @param {Function} callback - Called with the new ViewportSize
+     */
+    onChange(callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+        this.callbacks.change.push(callback);
+    }
+
+    /**
+     * Preset matching the current size, saved sizes first
+     *
+     * @private
+     * @returns {{paper: import('../models/paper-sizes').PaperSize, orientation: string}|null} Match, or null
+     */
+    _match() {
+        return findPaperSize(this.size, [...this.savedSizes, ...PAPER_SIZES]);
+    }
+
+    /**
+     * Show the current size in the inputs
+     *
+     * @private
+     */
+    _render() {
+        const match = this._match();
+        this.paperSelect.value = match ? match.paper.id : CUSTOM_VALUE;
+        this.orientationSelect.value = match
+            ? match.orientation
+            : (this.size.width > this.size.height ? 'landscape' : 'portrait');
+        this.inputs.unit.value = this.unit;
+        this.inputs.width.value = formatCoordinate(fromInches(this.size.width, this.unit), 3);
+        this.inputs.height.value = formatCoordinate(fromInches(this.size.height, this.unit), 3);
+    }
+
+    /**
+     * Apply the preset chosen from the menu, in its own unit
+     *
+     * @private
+     */
+    _handlePaperChange() {
+        const paper = [...this.savedSizes, ...PAPER_SIZES].find(({ id }) => id === this.paperSelect.value);
+        if (!paper) {
+            // Custom size keeps the current dimensions for editing
+            return;
+        }
+
+        const landscape = this.orientationSelect.value === 'landscape';
+        const width = toInches(paper.width, paper.unit);
+        const height = toInches(paper.height, paper.unit);
+        this.size = landscape ? { width: height, height: width } : { width, height };
+        this.unit = paper.unit;
+        this._render();
+        this._triggerChange();
+    }
+
+    /**
+     * Swap width and height when the orientation changes
+     *
+     * @private
+     */
+    _handleOrientationChange() {
+        const landscape = this.orientationSelect.value === 'landscape';
+        const { width, height } = this.size;
+        if (landscape !== width > height && width !== height) {
+            this.size = { width: height, height: width };
+        }
+        this._render();
+        this._triggerChange();
+    }
+
+    /**
+     * Handle a width or height entry
+     * Invalid entries keep the last valid size.
+     *
+     * @private
+     */
+    _handleDimensionChange() {
+        const parse = (input, fallback) => {
+            const value = parseFloat(input.value);
+            return Number.isFinite(value) && value > 0 ? toInches(value, this.unit) : fallback;
+        };
+        this.size = {
+            width: parse(this.inputs.width, this.size.width),
+            height: parse(this.inputs.height, this.size.height)
+        };
+        this._render();
+        this._triggerChange();
+    }
+
+    /**
+     * Show the same size in the newly selected unit
+     *
+     * @private
+     */
+    _handleUnitChange() {
+        this.unit = this.inputs.unit.value;
+        this._render();
+        this._triggerChange();
+    }
+
+    /**
+     * Ask for a name and save the current size
+     *
+     * @private
+     */
+    _handleSave() {
+        const { width, height } = this.size;
+        const suggestion = formatPaperDimensions(fromInches(width, this.unit), fromInches(height, this.unit), this.unit);
+        const name = prompt('Name for this paper size:', suggestion);
+        if (name !== null) {
+            this.savePaperSize(name);
+        }
+    }
+
+    /**
+     * Notify listeners of the current size
+     *
+     * @private
+     */
+    _triggerChange() {
+        const viewportSize = this.getViewportSize();
+        this.callbacks.change.forEach(callback => {
+            try {
+                callback(viewportSize);
+            } catch (error) {
+                console.error('Error in change callback:', error);
+            }
+        });
+    }
+}
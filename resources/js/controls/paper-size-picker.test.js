@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { PaperSizePicker } from './paper-size-picker.js';
+import { STORAGE_KEYS } from '../utils/local-storage.js';
+
+describe('PaperSizePicker', () => {
+    let container;
+    let picker;
+
+    /** Set a control's value and fire its change event */
+    const change = (element, value) => {
+        element.value = value;
+        element.dispatchEvent(new Event('change'));
+    };
+
+    beforeEach(() => {
+        localStorage.clear();
+        container = document.createElement('div');
+        picker = new PaperSizePicker(container);
+    });
+
+    it('should throw error if no container element provided', () => {
+        expect(() => new PaperSizePicker(null)).toThrow('Container element is required for PaperSizePicker');
+    });
+
+    it('should group the standard sizes in the menu', () => {
+        const groups = [...picker.paperSelect.querySelectorAll('optgroup')].map(group => group.label);
+        expect(groups).toEqual(['US', 'ISO A', 'ISO B', 'Cards', 'Watercolor blocks']);
+        expect(picker.paperSelect.querySelector('option[value="a4"]').textContent).toBe('A4 — 210 × 297 mm');
+        expect(picker.paperSelect.value).toBe('letter');
+    });
+
+    it('should apply a preset in its own unit and orientation', () => {
+        const callback = vi.fn();
+        picker.onChange(callback);
+
+        change(picker.orientationSelect, 'landscape');
+        change(picker.paperSelect, 'a3');
+
+        expect(picker.inputs.width.value).toBe('420');
+        expect(picker.inputs.height.value).toBe('297');
+        expect(picker.inputs.unit.value).toBe('mm');
+        expect(callback.mock.lastCall[0].label).toBe('A3 (420 × 297 mm)');
+    });
+
+    it('should swap width and height when rotated', () => {
+        change(picker.orientationSelect, 'landscape');
+        expect(picker.getViewportSize()).toMatchObject({ width: 11, height: 8.5 });
+        expect(picker.paperSelect.value).toBe('letter');
+
+        change(picker.orientationSelect, 'portrait');
+        expect(picker.getViewportSize()).toMatchObject({ width: 8.5, height: 11 });
+    });
+
+    it('should convert the size when the unit changes', () => {
+        change(picker.paperSelect, 'a4');
+        change(picker.inputs.unit, 'in');
+
+        expect(picker.inputs.width.value).toBe('8.268');
+        // The stored size keeps full precision, so A4 is still recognised
+        expect(picker.paperSelect.value).toBe('a4');
+        expect(picker.getViewportSize().unit).toBe('in');
+    });
+
+    it('should switch to a custom size and keep the last valid entry', () => {
+        change(picker.inputs.width, '7');
+        expect(picker.paperSelect.value).toBe('custom');
+        expect(picker.getViewportSize()).toMatchObject({ width: 7, height: 11, label: '7 × 11 in' });
+
+        change(picker.inputs.height, '-2');
+        expect(picker.inputs.height.value).toBe('11');
+    });
+
+    it('should select the matching preset for a viewport size', () => {
+        picker.setViewportSize({ width: 148 / 25.4, height: 105 / 25.4, unit: 'mm' });
+        expect(picker.paperSelect.value).toBe('a6');
+        expect(picker.orientationSelect.value).toBe('landscape');
+        expect(picker.inputs.width.value).toBe('148');
+    });
+
+    it('should save sizes to localStorage and list them under My sizes', () => {
+        change(picker.inputs.unit, 'cm');
+        change(picker.inputs.width, '40');
+        change(picker.inputs.height, '30');
+
+        expect(picker.savePaperSize('Sketchbook spread')).toBe(true);
+        expect(picker.paperSelect.value).toBe('saved-sketchbook-spread');
+        expect(picker.orientationSelect.value).toBe('landscape');
+        expect(picker.getViewportSize().label).toBe('Sketchbook spread (40 × 30 cm)');
+
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.PAPER_SIZES));
+        expect(stored).toEqual([
+            { id: 'saved-sketchbook-spread', name: 'Sketchbook spread', group: 'My sizes', width: 30, height: 40, unit: 'cm' }
+        ]);
+
+        const reloaded = new PaperSizePicker(document.createElement('div'));
+        expect(reloaded.paperSelect.querySelector('optgroup').label).toBe('My sizes');
+        expect(picker.savePaperSize('  ')).toBe(false);
+    });
+
+    it('should throw error if callback is not a function', () => {
+        expect(() => picker.onChange('nope')).toThrow('Callback must be a function');
+    });
+});
@@ -0,0 +1,235 @@
+/**
+ * ParamPanel Component
+ *
+ * Renders a control for every parameter a sketch declares through `params()`:
+ * sliders for numbers and integers, checkboxes for booleans, color pickers
+ * and select lists. The panel is hidden while the sketch declares nothing.
+ */
+
+/**
+ * ParamPanel class builds parameter controls and reports value changes
+ */
+export class ParamPanel {
+    /**
+     * @param {HTMLElement} containerElement - The DOM element to contain the parameter controls
+     */
+    constructor(containerElement) {
+        if (!containerElement) {
+            throw new Error('Container element is required for ParamPanel');
+        }
+
+        this.container = containerElement;
+        this.definitions = [];
+        this.values = {};
+        this.callbacks = {
+            change: [],
+            reset: []
+        };
+
+        this.container.classList.add('hidden');
+    }
+
+    /**
+     * Rebuild the controls for the parameters declared by the last run
+     *
+     * @param {import('../generators/sketch-params').DeclaredParam[]} definitions - Declared parameters
+     */
+    render(definitions) {
+        this.definitions = definitions;
+        this.values = {};
+        definitions.forEach(definition => {
+            this.values[definition.name] = definition.value ?? definition.default;
+        });
+
+        this.container.innerHTML = '';
+
+        if (definitions.length === 0) {
+            this.container.classList.add('hidden');
+            return;
+        }
+
+        const header = document.createElement('div');
+        header.className = 'flex items-center justify-between mb-2';
+
+        const title = document.createElement('h3');
+        title.className = 'text-sm font-semibold text-gray-700';
+        title.textContent = 'Parameters';
+
+        const resetButton = document.createElement('button');
+        resetButton.type = 'button';
+        resetButton.dataset.action = 'reset';
+        resetButton.className = 'text-xs font-medium text-blue-600 hover:text-blue-800 focus:outline-none focus:underline';
+        resetButton.textContent = 'Reset to defaults';
+        resetButton.title = 'Restore the default value of every parameter';
+        resetButton.addEventListener('click', () => this._triggerCallbacks('reset'));
+
+        header.appendChild(title);
+        header.appendChild(resetButton);
+        this.container.appendChild(header);
+
+        const list = document.createElement('div');
+        list.className = 'grid grid-cols-1 sm:grid-cols-2 gap-x-4 gap-y-2';
+        definitions.forEach(definition => {
+            list.appendChild(this._createRow(definition));
+        });
+        this.container.appendChild(list);
+
+        this.container.classList.remove('hidden');
+    }
+
+    /**
+     * Create the label and control for one parameter
+     *
+     * @private
+     * @param {import('../generators/sketch-params').DeclaredParam} definition - Parameter definition
+     * @returns {HTMLElement} Row element
+     */
+    _createRow(definition) {
+        const row = document.createElement('label');
+        row.className = 'flex items-center gap-2 text-sm text-gray-700';
+        row.dataset.param = definition.name;
+
+        const labelSpan = document.createElement('span');
+        labelSpan.className = 'w-28 shrink-0 truncate';
+        labelSpan.textContent = definition.label;
+        labelSpan.title = definition.label;
+        row.appendChild(labelSpan);
+
+        const value = this.values[definition.name];
+
+        switch (definition.type) {
+            case 'number':
+            case 'int': {
+                const slider = document.createElement('input');
+                slider.type = 'range';
+                slider.min = String(definition.min);
+                slider.max = String(definition.max);
+                slider.step = String(definition.step);
+                slider.value = String(value);
+                slider.className = 'flex-1 min-w-0 accent-blue-600';
+
+                const readout = document.createElement('span');
+                readout.className = 'w-14 text-right font-mono text-xs text-gray-600';
+                readout.textContent = String(value);
+
+                // Update the readout while dragging, re-run once on release
+                slider.addEventListener('input', () => {
+                    readout.textContent = slider.value;
+                });
+                slider.addEventListener('change', () => {
+                    this._setValue(definition.name, Number(slider.value));
+                });
+
+                row.appendChild(slider);
+                row.appendChild(readout);
+                break;
+            }
+
+            case 'boolean': {
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = Boolean(value);
+                checkbox.className = 'accent-blue-600';
+                checkbox.addEventListener('change', () => {
+                    this._setValue(definition.name, checkbox.checked);
+                });
+                row.appendChild(checkbox);
+                break;
+            }
+
+            case 'color': {
+                const picker = document.createElement('input');
+                picker.type = 'color';
+                picker.value = value;
+                picker.className = 'h-6 w-10 cursor-pointer';
+                picker.addEventListener('change', () => {
+                    this._setValue(definition.name, picker.value);
+                });
+                row.appendChild(picker);
+                break;
+            }
+
+            case 'select': {
+                const select = document.createElement('select');
+                select.className = 'flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded-md text-sm';
+                definition.options.forEach((option, index) => {
+                    const optionElement = document.createElement('option');
+                    optionElement.value = String(index);
+                    optionElement.textContent = String(option);
+                    optionElement.selected = option === value;
+                    select.appendChild(optionElement);
+                });
+                // Options may be numbers, so map the selected index back to the original value
+                select.addEventListener('change', () => {
+                    this._setValue(definition.name, definition.options[Number(select.value)]);
+                });
+                row.appendChild(select);
+                break;
+            }
+        }
+
+        return row;
+    }
+
+    /**
+     * Store a changed value and notify listeners
+     *
+     * @private
+     * @param {string} name - Parameter name
+     * @param {*} value - New value
+     */
+    _setValue(name, value) {
+        this.values[name] = value;
+        this._triggerCallbacks('change', name, value);
+    }
+
+    /**
+     * Register a callback for parameter value changes
+     *
+     * @param {Function} callback - Called with (name, value)
+     */
+    onChange(callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+        this.callbacks.change.push(callback);
+    }
+
+    /**
+     * Register a callback for the Reset to defaults button
+     *
+     * @param {Function} callback - Function to call when button is clicked
+     */
+    onReset(callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+        this.callbacks.reset.push(callback);
+    }
+
+    /**
+     * Get the current value of every rendered parameter
+     *
+     * @returns {Object<string, *>} Values keyed by parameter name
+     */
+    getValues() {
+        return { ...this.values };
+    }
+
+    /**
+     * Trigger all callbacks for an event
+     *
+     * @private
+     * @param {string} eventName - Event identifier
+     * @param {...*} args - Arguments passed to the callbacks
+     */
+    _triggerCallbacks(eventName, ...args) {
+        this.callbacks[eventName].forEach(callback => {
+            try {
+                callback(...args);
+            } catch (error) {
+                console.error(`Error in ${eventName} callback:`, error);
+            }
+        });
+    }
+}
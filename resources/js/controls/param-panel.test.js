@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ParamPanel } from './param-panel.js';
+import { normalizeParamDefinition } from '../generators/sketch-params.js';
+
+const declare = (name, spec, value) => {
+    const definition = normalizeParamDefinition(name, spec);
+    return { ...definition, value: value ?? definition.default };
+};
+
+describe('ParamPanel', () => {
+    let container;
+    let paramPanel;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        paramPanel = new ParamPanel(container);
+    });
+
+    afterEach(() => {
+        document.body.removeChild(container);
+    });
+
+    it('should throw error if no container element provided', () => {
+        expect(() => new ParamPanel(null)).toThrow('Container element is required for ParamPanel');
+    });
+
+    it('should stay hidden when no parameters are declared', () => {
+        paramPanel.render([]);
+        expect(container.classList.contains('hidden')).toBe(true);
+        expect(container.querySelector('input')).toBeNull();
+    });
+
+    it('should render a control for each parameter type', () => {
+        paramPanel.render([
+            declare('size', { type: 'number', min: 0, max: 2, step: 0.1 }, 1.5),
+            declare('count', { type: 'int', min: 1, max: 10 }),
+            declare('fill', { type: 'boolean', default: true }),
+            declare('ink', { type: 'color', default: '#ff0000' }),
+            declare('shape', { type: 'select', options: ['circle', 'square'], default: 'square' })
+        ]);
+
+        expect(container.classList.contains('hidden')).toBe(false);
+
+        const slider = container.querySelector('[data-param="size"] input[type="range"]');
+        expect(slider.min).toBe('0');
+        expect(slider.max).toBe('2');
+        expect(slider.step).toBe('0.1');
+        expect(slider.value).toBe('1.5');
+        expect(container.querySelector('[data-param="count"] input[type="range"]').value).toBe('1');
+        expect(container.querySelector('[data-param="fill"] input[type="checkbox"]').checked).toBe(true);
+        expect(container.querySelector('[data-param="ink"] input[type="color"]').value).toBe('#ff0000');
+
+        const select = container.querySelector('[data-param="shape"] select');
+        expect(select.options[select.selectedIndex].textContent).toBe('square');
+    });
+
+    it('should show parameter labels', () => {
+        paramPanel.render([declare('n', { type: 'int', min: 0, max: 5, label: 'Rings' })]);
+        expect(container.querySelector('[data-param="n"]').textContent).toContain('Rings');
+    });
+
+    it('should report slider values as numbers on change', () => {
+        const callback = vi.fn();
+        paramPanel.onChange(callback);
+        paramPanel.render([declare('size', { type: 'number', min: 0, max: 2, step: 0.1 })]);
+
+        const slider = container.querySelector('input[type="range"]');
+        slider.value = '0.7';
+        slider.dispatchEvent(new Event('input'));
+        expect(callback).not.toHaveBeenCalled();
+        expect(container.querySelector('[data-param="size"]').textContent).toContain('0.7');
+
+        slider.dispatchEvent(new Event('change'));
+        expect(callback).toHaveBeenCalledWith('size', 0.7);
+        expect(paramPanel.getValues()).toEqual({ size: 0.7 });
+    });
+
+    it('should report checkbox, color and select changes', () => {
+        const callback = vi.fn();
+        paramPanel.onChange(callback);
+        paramPanel.render([
+            declare('fill', { type: 'boolean' }),
+            declare('ink', { type: 'color' }),
+            declare('sides', { type: 'select', options: [3, 4, 6] })
+        ]);
+
+        const checkbox = container.querySelector('input[type="checkbox"]');
+        checkbox.checked = true;
+        checkbox.dispatchEvent(new Event('change'));
+
+        const picker = container.querySelector('input[type="color"]');
+        picker.value = '#00ff00';
+        picker.dispatchEvent(new Event('change'));
+
+        const select = container.querySelector('select');
+        select.value = '2';
+        select.dispatchEvent(new Event('change'));
+
+        expect(callback.mock.calls).toEqual([
+            ['fill', true],
+            ['ink', '#00ff00'],
+            ['sides', 6]
+        ]);
+    });
+
+    it('should trigger reset callbacks', () => {
+        const callback = vi.fn();
+        paramPanel.onReset(callback);
+        paramPanel.render([declare('fill', { type: 'boolean' })]);
+
+        container.querySelector('[data-action="reset"]').click();
+
+        expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    it('should throw error if callback is not a function', () => {
+        expect(() => paramPanel.onChange('nope')).toThrow('Callback must be a function');
+        expect(() => paramPanel.onReset(null)).toThrow('Callback must be a function');
+    });
+
+    it('should handle callback errors gracefully', () => {
+        const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+        const goodCallback = vi.fn();
+        paramPanel.onChange(() => { throw new Error('boom'); });
+        paramPanel.onChange(goodCallback);
+        paramPanel.render([declare('fill', { type: 'boolean' })]);
+
+        container.querySelector('input[type="checkbox"]').dispatchEvent(new Event('change'));
+
+        expect(goodCallback).toHaveBeenCalled();
+        expect(consoleSpy).toHaveBeenCalled();
+        consoleSpy.mockRestore();
+    });
+});
@@ -0,0 +1,337 @@
+/**
+ * PlotOptionsPanel Component
+ *
+ * Settings for the export-time plot processing (path cleanup and
+ * optimization, fill hatching) and a readout of the pen-up travel before
+ * and after.
+ */
+
+import { DEFAULT_MERGE_TOLERANCE } from '../geometry/path-cleanup.js';
+import { DEFAULT_HATCH_SPACING, DEFAULT_HATCH_ANGLE } from '../utils/svg-hatching.js';
+
+/**
+ * PlotOptionsPanel class manages plot option inputs and the stats readout
+ */
+export class PlotOptionsPanel {
+    /**
+     * @param {HTMLElement} containerElement - The DOM element to contain the options
+     */
+    constructor(containerElement) {
+        if (!containerElement) {
+            throw new Error('Container element is required for PlotOptionsPanel');
+        }
+
+        this.container = containerElement;
+        this.inputs = {};
+        this.callbacks = {
+            change: []
+        };
+
+        this._initializeContainer();
+    }
+
+    /**
+     * Build the option inputs and the stats readout
+     *
+     * @private
+     */
+    _initializeContainer() {
+        this.container.innerHTML = '';
+
+        const row = document.createElement('div');
+        row.className = 'flex flex-wrap items-center gap-x-4 gap-y-2 text-sm text-gray-700';
+
+        const optionConfigs = [
+            {
+                id: 'optimizePaths',
+                label: 'Optimize path order',
+                tooltip: 'Flatten shapes and reorder them on export to reduce pen-up travel'
+            },
+            {
+                id: 'reversePaths',
+                label: 'Allow reversing paths',
+                tooltip: 'Let the optimizer draw paths in the opposite direction'
+            },
+            {
+                id: 'mergePaths',
+                label: 'Merge paths',
+                tooltip: 'Join paths whose ends touch and remove lines that are drawn twice'
+            },
+            {
+                id: 'separateLayers',
+                label: 'One file per layer',
+                tooltip: 'Export each layer as its own SVG file'
+            },
+            {
+                id: 'clipToPage',
+                label: 'Clip to page',
+                tooltip: 'Cut lines at the edge of the page so the pen never runs off the paper'
+            },
+            {
+                id: 'clipToMargins',
+                label: 'At margins',
+                tooltip: 'Cut lines at the margins instead of the edge of the page'
+            }
+        ];
+
+        optionConfigs.forEach(config => row.appendChild(this._createCheckbox(config)));
+
+        row.appendChild(this._createNumberInput({
+            id: 'mergeTolerance',
+            label: 'Tolerance',
+            tooltip: 'Endpoints and overlapping lines closer than this are merged (inches)',
+            min: '0',
+            step: '0.001'
+        }));
+
+        this.statsElement = document.createElement('span');
+        this.statsElement.className = 'plot-stats ml-auto font-mono text-xs text-gray-600';
+        row.appendChild(this.statsElement);
+
+        // Plotters ignore fills, so they are either hatched or lost
+        const fillRow = document.createElement('div');
+        fillRow.className = 'flex flex-wrap items-center gap-x-4 gap-y-2 mt-2 text-sm text-gray-700';
+
+        fillRow.appendChild(this._createCheckbox({
+            id: 'hatchFills',
+            label: 'Hatch fills',
+            tooltip: 'Replace filled shapes with hatch lines on export'
+        }));
+        fillRow.appendChild(this._createNumberInput({
+            id: 'hatchSpacing',
+            label: 'Spacing',
+            tooltip: 'Distance between hatch lines (inches)',
+            min: '0.001',
+            step: '0.005'
+        }));
+        fillRow.appendChild(this._createNumberInput({
+            id: 'hatchAngle',
+            label: 'Angle',
+            tooltip: 'Hatch angle in degrees, clockwise from horizontal',
+            step: '15'
+        }));
+        fillRow.appendChild(this._createCheckbox({
+            id: 'crossHatch',
+            label: 'Cross-hatch',
+            tooltip: 'Add a second set of hatch lines at right angles'
+        }));
+        fillRow.appendChild(this._createCheckbox({
+            id: 'removeHiddenLines',
+            label: 'Remove hidden lines',
+            tooltip: 'Leave out the parts of lines covered by filled shapes drawn after them'
+        }));
+        fillRow.appendChild(this._createCheckbox({
+            id: 'previewPlotted',
+            label: 'Preview as plotted',
+            tooltip: 'Show fills in the preview the way the plotter will draw them'
+        }));
+
+        this.container.appendChild(row);
+        this.container.appendChild(fillRow);
+    }
+
+    /**
+     * Build a labelled checkbox
+     *
+     * @private
+     * @param {{id: string, label: string, tooltip: string}} config - Option key, label and tooltip
+     * @returns {HTMLLabelElement} The label containing the checkbox
+     */
+    _createCheckbox(config) {
+        const label = document.createElement('label');
+        label.className = 'inline-flex items-center gap-2 cursor-pointer';
+        label.title = config.tooltip;
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.dataset.option = config.id;
+        checkbox.className = 'accent-blue-600';
+        checkbox.addEventListener('change', () => this._handleChange());
+
+        const text = document.createElement('span');
+        text.textContent = config.label;
+
+        label.appendChild(checkbox);
+        label.appendChild(text);
+        this.inputs[config.id] = checkbox;
+        return label;
+    }
+
+    /**
+     * Build a labelled number input
+     *
+     * @private
+     * @param {{id: string, label: string, tooltip: string, min?: string, step: string}} config - Option key, label, tooltip and input limits
+     * @returns {HTMLLabelElement} The label containing the input
+     */
+    _createNumberInput(config) {
+        const label = document.createElement('label');
+        label.className = 'inline-flex items-center gap-2';
+        label.title = config.tooltip;
+
+        const text = document.createElement('span');
+        text.textContent = config.label;
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        if (config.min) {
+            input.min = config.min;
+        }
+        input.step = config.step;
+        input.dataset.option = config.id;
+        input.className = 'w-20 px-2 py-0.5 border border-gray-300 rounded font-mono text-xs';
+        input.addEventListener('change', () => this._handleChange());
+
+        label.appendChild(text);
+        label.appendChild(input);
+        this.inputs[config.id] = input;
+        return label;
+    }
+
+    /**
+     * Show the given options in the inputs
+     *
+     * @param {import('../models/project').PlotOptions} options - Plot options
+     */
+    setOptions(options) {
+        this.inputs.optimizePaths.checked = options.optimizePaths;
+        this.inputs.reversePaths.checked = options.reversePaths;
+        this.inputs.mergePaths.checked = options.mergePaths;
+        this.inputs.separateLayers.checked = options.separateLayers;
+        this.inputs.clipToPage.checked = options.clipToPage;
+        this.inputs.clipToMargins.checked = options.clipToMargins;
+        this.inputs.mergeTolerance.value = String(options.mergeTolerance);
+        this.inputs.hatchFills.checked = options.hatchFills;
+        this.inputs.hatchSpacing.value = String(options.hatchSpacing);
+        this.inputs.hatchAngle.value = String(options.hatchAngle);
+        this.inputs.crossHatch.checked = options.crossHatch;
+        this.inputs.removeHiddenLines.checked = options.removeHiddenLines;
+        this.inputs.previewPlotted.checked = options.previewPlotted;
+        this._updateDisabledInputs(options);
+    }
+
+    /**
+     * Get the options currently selected in the inputs
+     * Invalid numbers fall back to their defaults.
+     *
+     * @returns {import('../models/project').PlotOptions} Plot options
+     */
+    getOptions() {
+        const tolerance = parseFloat(this.inputs.mergeTolerance.value);
+        const spacing = parseFloat(this.inputs.hatchSpacing.value);
+        const angle = parseFloat(this.inputs.hatchAngle.value);
+        return {
+            optimizePaths: this.inputs.optimizePaths.checked,
+            reversePaths: this.inputs.reversePaths.checked,
+            mergePaths: this.inputs.mergePaths.checked,
+            separateLayers: this.inputs.separateLayers.checked,
+            clipToPage: this.inputs.clipToPage.checked,
+            clipToMargins: this.inputs.clipToMargins.checked,
+            mergeTolerance: Number.isFinite(tolerance) && tolerance >= 0 ? tolerance : DEFAULT_MERGE_TOLERANCE,
+            hatchFills: this.inputs.hatchFills.checked,
+            hatchSpacing: Number.isFinite(spacing) && spacing > 0 ? spacing : DEFAULT_HATCH_SPACING,
+            hatchAngle: Number.isFinite(angle) ? angle : DEFAULT_HATCH_ANGLE,
+            crossHatch: this.inputs.crossHatch.checked,
+            removeHiddenLines: this.inputs.removeHiddenLines.checked,
+            previewPlotted: this.inputs.previewPlotted.checked
+        };
+    }
+
+    /**
+     * Display pen-up travel and cleanup statistics
+     *
+     * @param {import('../utils/svg-exporter').PlotStats} stats - Plot statistics
+     */
+    showStats(stats) {
+        const before = formatDistance(stats.penUpBefore);
+        const parts = [];
+
+        if (stats.penUpAfter < stats.penUpBefore) {
+            const saved = Math.round((1 - stats.penUpAfter / stats.penUpBefore) * 100);
+            parts.push(`Pen-up travel: ${before} → ${formatDistance(stats.penUpAfter)} (−${saved}%)`);
+        } else {
+            parts.push(`Pen-up travel: ${before}`);
+        }
+        parts.push(`${stats.pathCount} ${stats.pathCount === 1 ? 'path' : 'paths'}`);
+
+        if (stats.joinedCount > 0) {
+            parts.push(`${stats.joinedCount} ${stats.joinedCount === 1 ? 'join' : 'joins'}`);
+        }
+        if (stats.removedLength > 0) {
+            parts.push(`${formatDistance(stats.removedLength)} duplicate removed`);
+        }
+        if (stats.hiddenLength > 0) {
+            parts.push(`${formatDistance(stats.hiddenLength)} hidden removed`);
+        }
+        if (stats.clippedCount > 0) {
+            parts.push(`${stats.clippedCount} clipped`);
+        }
+
+        this.statsElement.textContent = parts.join(' · ');
+    }
+
+    /**
+     * Clear the statistics readout
+     */
+    clearStats() {
+        this.statsElement.textContent = '';
+    }
+
+    /**
+     * Register a callback for option changes
+     *
+     * @param {Function} callback - Called with the new PlotOptions
+     */
+    onChange(callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+        this.callbacks.change.push(callback);
+    }
+
+    /**
+     * Disable inputs whose stage is switched off
+     *
+     * @private
+     * @param {import('../models/project').PlotOptions} options - Plot options
+     */
+    _updateDisabledInputs(options) {
+        this.inputs.reversePaths.disabled = !options.optimizePaths;
+        this.inputs.mergeTolerance.disabled = !options.mergePaths;
+        this.inputs.clipToMargins.disabled = !options.clipToPage;
+        this.inputs.hatchSpacing.disabled = !options.hatchFills;
+        this.inputs.hatchAngle.disabled = !options.hatchFills;
+        this.inputs.crossHatch.disabled = !options.hatchFills;
+    }
+
+    /**
+     * Handle an input change
+     *
+     * @private
+     */
+    _handleChange() {
+        const options = this.getOptions();
+        this.inputs.mergeTolerance.value = String(options.mergeTolerance);
+        this.inputs.hatchSpacing.value = String(options.hatchSpacing);
+        this.inputs.hatchAngle.value = String(options.hatchAngle);
+        this._updateDisabledInputs(options);
+
+        this.callbacks.change.forEach(callback => {
+            try {
+                callback(options);
+            } catch (error) {
+                console.error('Error in change callback:', error);
+            }
+        });
+    }
+}
+
+/**
+ * Format a distance in inches for display
+ *
+ * @param {number} inches - Distance in inches
+ * @returns {string} Formatted distance
+ */
+export function formatDistance(inches) {
+    return `${inches.toFixed(inches < 10 ? 2 : 1)} in`;
+}
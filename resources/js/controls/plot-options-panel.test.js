@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { PlotOptionsPanel, formatDistance } from './plot-options-panel.js';
+import { DEFAULT_PLOT_OPTIONS } from '../models/project.js';
+
+describe('PlotOptionsPanel', () => {
+    let container;
+    let panel;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        panel = new PlotOptionsPanel(container);
+    });
+
+    it('should throw error if no container element provided', () => {
+        expect(() => new PlotOptionsPanel(null)).toThrow('Container element is required for PlotOptionsPanel');
+    });
+
+    it('should show the given options', () => {
+        const options = {
+            optimizePaths: true,
+            reversePaths: false,
+            mergePaths: true,
+            mergeTolerance: 0.01,
+            separateLayers: true,
+            clipToPage: true,
+            clipToMargins: true,
+            hatchFills: true,
+            hatchSpacing: 0.03,
+            hatchAngle: -30,
+            crossHatch: true,
+            removeHiddenLines: true,
+            previewPlotted: true
+        };
+        panel.setOptions(options);
+        expect(panel.inputs.optimizePaths.checked).toBe(true);
+        expect(panel.inputs.reversePaths.checked).toBe(false);
+        expect(panel.inputs.mergeTolerance.value).toBe('0.01');
+        expect(panel.inputs.hatchAngle.value).toBe('-30');
+        expect(panel.getOptions()).toEqual(options);
+    });
+
+    it('should disable inputs of stages that are off', () => {
+        panel.setOptions({ ...DEFAULT_PLOT_OPTIONS, optimizePaths: false, mergePaths: false, clipToPage: false });
+        expect(panel.inputs.reversePaths.disabled).toBe(true);
+        expect(panel.inputs.mergeTolerance.disabled).toBe(true);
+        expect(panel.inputs.clipToMargins.disabled).toBe(true);
+        expect(panel.inputs.hatchSpacing.disabled).toBe(true);
+        expect(panel.inputs.crossHatch.disabled).toBe(true);
+        expect(panel.inputs.previewPlotted.disabled).toBe(false);
+    });
+
+    it('should reset an invalid hatch spacing', () => {
+        const callback = vi.fn();
+        panel.onChange(callback);
+        panel.setOptions({ ...DEFAULT_PLOT_OPTIONS, hatchFills: true });
+
+        panel.inputs.hatchSpacing.value = '0';
+        panel.inputs.hatchSpacing.dispatchEvent(new Event('change'));
+        expect(callback).toHaveBeenLastCalledWith({ ...DEFAULT_PLOT_OPTIONS, hatchFills: true });
+        expect(panel.inputs.hatchSpacing.value).toBe(String(DEFAULT_PLOT_OPTIONS.hatchSpacing));
+    });
+
+    it('should report option changes', () => {
+        const callback = vi.fn();
+        panel.onChange(callback);
+        panel.setOptions(DEFAULT_PLOT_OPTIONS);
+
+        panel.inputs.optimizePaths.checked = false;
+        panel.inputs.optimizePaths.dispatchEvent(new Event('change'));
+
+        expect(callback).toHaveBeenCalledWith({ ...DEFAULT_PLOT_OPTIONS, optimizePaths: false });
+        expect(panel.inputs.reversePaths.disabled).toBe(true);
+    });
+
+    it('should report tolerance changes and reset invalid values', () => {
+        const callback = vi.fn();
+        panel.onChange(callback);
+        panel.setOptions(DEFAULT_PLOT_OPTIONS);
+
+        panel.inputs.mergeTolerance.value = '0.02';
+        panel.inputs.mergeTolerance.dispatchEvent(new Event('change'));
+        expect(callback).toHaveBeenLastCalledWith({ ...DEFAULT_PLOT_OPTIONS, mergeTolerance: 0.02 });
+
+        panel.inputs.mergeTolerance.value = '-1';
+        panel.inputs.mergeTolerance.dispatchEvent(new Event('change'));
+        expect(callback).toHaveBeenLastCalledWith(DEFAULT_PLOT_OPTIONS);
+        expect(panel.inputs.mergeTolerance.value).toBe(String(DEFAULT_PLOT_OPTIONS.mergeTolerance));
+    });
+
+    it('should throw error if callback is not a function', () => {
+        expect(() => panel.onChange(42)).toThrow('Callback must be a function');
+    });
+
+    it('should show travel before and after optimization', () => {
+        panel.showStats({ pathCount: 12, penUpBefore: 40, penUpAfter: 10 });
+        expect(container.textContent).toContain('Pen-up travel: 40.0 in → 10.0 in (−75%) · 12 paths');
+
+        panel.showStats({ pathCount: 1, penUpBefore: 2, penUpAfter: 2 });
+        expect(container.textContent).toContain('Pen-up travel: 2.00 in · 1 path');
+
+        panel.showStats({ pathCount: 3, penUpBefore: 2, penUpAfter: 2, joinedCount: 4, removedLength: 1.5 });
+        expect(container.textContent).toContain('3 paths · 4 joins · 1.50 in duplicate removed');
+
+        panel.showStats({ pathCount: 2, penUpBefore: 2, penUpAfter: 2, hiddenLength: 0.5 });
+        expect(container.textContent).toContain('2 paths · 0.50 in hidden removed');
+
+        panel.showStats({ pathCount: 2, penUpBefore: 2, penUpAfter: 2, clippedCount: 3 });
+        expect(container.textContent).toContain('2 paths · 3 clipped');
+
+        panel.clearStats();
+        expect(container.textContent).not.toContain('Pen-up');
+    });
+
+    it('should format distances', () => {
+        expect(formatDistance(1.234)).toBe('1.23 in');
+        expect(formatDistance(123.45)).toBe('123.5 in');
+    });
+});
@@ -0,0 +1,223 @@
+/**
+ * PlotStatsPanel Component
+ *
+ * Shows the plot estimate for the current drawing (time, distances drawn
+ * and travelled, pen lifts) and the motion profile it is based on, with
+ * presets for common plotters.
+ */
+
+import { MOTION_PRESETS, findMotionPreset, formatDuration } from '../geometry/plot-stats.js';
+import { DEFAULT_MOTION_PROFILE } from '../geometry/plot-timeline.js';
+import { formatDistance } from './plot-options-panel.js';
+
+/**
+ * Display names of the motion presets
+ */
+const PRESET_LABELS = {
+    axidraw: 'AxiDraw',
+    grbl: 'GRBL plotter',
+    hp7475a: 'HP 7475A'
+};
+
+/**
+ * Motion profile inputs, in display order
+ */
+const PROFILE_FIELDS = [
+    { id: 'drawSpeed', label: 'Draw', unit: 'in/s', step: '0.1', tooltip: 'Pen-down speed' },
+    { id: 'travelSpeed', label: 'Travel', unit: 'in/s', step: '0.1', tooltip: 'Pen-up speed' },
+    { id: 'acceleration', label: 'Accel', unit: 'in/s²', step: '1', tooltip: 'How quickly the plotter reaches full speed' },
+    { id: 'penDelay', label: 'Pen delay', unit: 's', step: '0.05', tooltip: 'Time to lower or raise the pen' }
+];
+
+/**
+ * PlotStatsPanel class manages the estimate readout and motion profile inputs
+ */
+export class PlotStatsPanel {
+    /**
+     * @param {HTMLElement} containerElement - The DOM element to contain the panel
+     */
+    constructor(containerElement) {
+        if (!containerElement) {
+            throw new Error('Container element is required for PlotStatsPanel');
+        }
+
+        this.container = containerElement;
+        this.inputs = {};
+        this.profile = { ...DEFAULT_MOTION_PROFILE };
+        this.callbacks = {
+            change: []
+        };
+
+        this._initializeContainer();
+    }
+
+    /**
+     * Build the readout, preset menu and profile inputs
+     *
+     * @private
+     */
+    _initializeContainer() {
+        this.container.innerHTML = '';
+
+        const row = document.createElement('div');
+        row.className = 'flex flex-wrap items-center gap-x-4 gap-y-2 text-sm text-gray-700';
+
+        this.statsElement = document.createElement('span');
+        this.statsElement.className = 'plot-estimate font-mono text-xs text-gray-600';
+        row.appendChild(this.statsElement);
+
+        const presetLabel = document.createElement('label');
+        presetLabel.className = 'inline-flex items-center gap-2 ml-auto';
+        presetLabel.title = 'Speeds used for the time estimate and the plot simulation';
+
+        const presetText = document.createElement('span');
+        presetText.textContent = 'Plotter';
+
+        this.presetSelect = document.createElement('select');
+        this.presetSelect.dataset.option = 'preset';
+        this.presetSelect.className = 'px-2 py-0.5 border border-gray-300 rounded text-xs';
+        [...Object.keys(MOTION_PRESETS).map(name => [name, PRESET_LABELS[name] || name]), ['custom', 'Custom']]
+            .forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                this.presetSelect.appendChild(option);
+            });
+        this.presetSelect.addEventListener('change', () => this._handlePresetChange());
+
+        presetLabel.appendChild(presetText);
+        presetLabel.appendChild(this.presetSelect);
+        row.appendChild(presetLabel);
+
+        PROFILE_FIELDS.forEach(field => {
+            const label = document.createElement('label');
+            label.className = 'inline-flex items-center gap-1';
+            label.title = field.tooltip;
+
+            const text = document.createElement('span');
+            text.textContent = field.label;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.step = field.step;
+            input.dataset.option = field.id;
+            input.className = 'w-16 px-2 py-0.5 border border-gray-300 rounded font-mono text-xs';
+            input.addEventListener('change', () => this._handleInputChange());
+
+            const unit = document.createElement('span');
+            unit.className = 'text-xs text-gray-500';
+            unit.textContent = field.unit;
+
+            label.appendChild(text);
+            label.appendChild(input);
+            label.appendChild(unit);
+            row.appendChild(label);
+            this.inputs[field.id] = input;
+        });
+
+        this.container.appendChild(row);
+    }
+
+    /**
+     * Show a motion profile in the inputs
+     *
+     * @param {import('../geometry/plot-timeline').MotionProfile} profile - Motion profile
+     */
+    setProfile(profile) {
+        this.profile = { ...profile };
+        PROFILE_FIELDS.forEach(({ id }) => {
+            this.inputs[id].value = String(profile[id]);
+        });
+        this.presetSelect.value = findMotionPreset(profile) || 'custom';
+    }
+
+    /**
+     * Get the motion profile entered in the inputs
+     * Invalid values keep the last valid setting.
+     *
+     * @returns {import('../geometry/plot-timeline').MotionProfile} Motion profile
+     */
+    getProfile() {
+        const profile = {};
+        PROFILE_FIELDS.forEach(({ id }) => {
+            const value = parseFloat(this.inputs[id].value);
+            const valid = Number.isFinite(value) && (id === 'penDelay' ? value >= 0 : value > 0);
+            profile[id] = valid ? value : this.profile[id];
+        });
+        return profile;
+    }
+
+    /**
+     * Display the plot estimate
+     *
+     * @param {import('../geometry/plot-stats').PlotEstimate} estimate - Plot estimate
+     */
+    showStats(estimate) {
+        this.statsElement.textContent = [
+            `Est. time: ${formatDuration(estimate.estimatedTime)}`,
+            `${formatDistance(estimate.penDownLength)} drawn`,
+            `${formatDistance(estimate.penUpLength)} pen-up`,
+            `${estimate.penLifts} ${estimate.penLifts === 1 ? 'pen lift' : 'pen lifts'}`
+        ].join(' · ');
+    }
+
+    /**
+     * Clear the estimate readout
+     */
+    clearStats() {
+        this.statsElement.textContent = '';
+    }
+
+    /**
+     * Register a callback for motion profile changes
+     *
+     * @param {Function} callback - Called with the new MotionProfile
+     */
+    onChange(callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+        this.callbacks.change.push(callback);
+    }
+
+    /**
+     * Apply the selected preset
+     *
+     * @private
+     */
+    _handlePresetChange() {
+        const preset = MOTION_PRESETS[this.presetSelect.value];
+        if (!preset) {
+            return;
+        }
+        this.setProfile(preset);
+        this._triggerChange();
+    }
+
+    /**
+     * Handle a profile input change
+     *
+     * @private
+     */
+    _handleInputChange() {
+        this.setProfile(this.getProfile());
+        this._triggerChange();
+    }
+
+    /**
+     * Notify listeners of the current profile
+     *
+     * @private
+     */
+    _triggerChange() {
+        const profile = { ...this.profile };
+        this.callbacks.change.forEach(callback => {
+            try {
+                callback(profile);
+            } catch (error) {
+                console.error('Error in change callback:', error);
+            }
+        });
+    }
+}
@@ -0,0 +1,71 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { PlotStatsPanel } from './plot-stats-panel.js';
+import { MOTION_PRESETS } from '../geometry/plot-stats.js';
+import { DEFAULT_MOTION_PROFILE } from '../geometry/plot-timeline.js';
+
+describe('PlotStatsPanel', () => {
+    let container;
+    let panel;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        panel = new PlotStatsPanel(container);
+    });
+
+    it('should throw error if no container element provided', () => {
+        expect(() => new PlotStatsPanel(null)).toThrow('Container element is required for PlotStatsPanel');
+    });
+
+    it('should show the given profile and its preset', () => {
+        panel.setProfile(MOTION_PRESETS.axidraw);
+        expect(panel.inputs.drawSpeed.value).toBe(String(MOTION_PRESETS.axidraw.drawSpeed));
+        expect(panel.presetSelect.value).toBe('axidraw');
+        expect(panel.getProfile()).toEqual(MOTION_PRESETS.axidraw);
+
+        panel.setProfile({ ...MOTION_PRESETS.axidraw, penDelay: 0.5 });
+        expect(panel.presetSelect.value).toBe('custom');
+    });
+
+    it('should apply a preset when selected', () => {
+        const callback = vi.fn();
+        panel.onChange(callback);
+        panel.setProfile(DEFAULT_MOTION_PROFILE);
+
+        panel.presetSelect.value = 'hp7475a';
+        panel.presetSelect.dispatchEvent(new Event('change'));
+
+        expect(callback).toHaveBeenCalledWith(MOTION_PRESETS.hp7475a);
+        expect(panel.inputs.travelSpeed.value).toBe(String(MOTION_PRESETS.hp7475a.travelSpeed));
+    });
+
+    it('should report input changes and reset invalid values', () => {
+        const callback = vi.fn();
+        panel.onChange(callback);
+        panel.setProfile(DEFAULT_MOTION_PROFILE);
+
+        panel.inputs.drawSpeed.value = '2.5';
+        panel.inputs.drawSpeed.dispatchEvent(new Event('change'));
+        expect(callback).toHaveBeenLastCalledWith({ ...DEFAULT_MOTION_PROFILE, drawSpeed: 2.5 });
+
+        panel.inputs.acceleration.value = '0';
+        panel.inputs.acceleration.dispatchEvent(new Event('change'));
+        expect(callback).toHaveBeenLastCalledWith({ ...DEFAULT_MOTION_PROFILE, drawSpeed: 2.5 });
+        expect(panel.inputs.acceleration.value).toBe(String(DEFAULT_MOTION_PROFILE.acceleration));
+
+        panel.inputs.penDelay.value = '0';
+        panel.inputs.penDelay.dispatchEvent(new Event('change'));
+        expect(callback).toHaveBeenLastCalledWith({ ...DEFAULT_MOTION_PROFILE, drawSpeed: 2.5, penDelay: 0 });
+    });
+
+    it('should show and clear the estimate', () => {
+        panel.showStats({ pathCount: 3, penLifts: 1, penDownLength: 12, penUpLength: 3.5, estimatedTime: 95 });
+        expect(container.textContent).toContain('Est. time: 1:35 · 12.0 in drawn · 3.50 in pen-up · 1 pen lift');
+
+        panel.clearStats();
+        expect(container.textContent).not.toContain('Est. time');
+    });
+
+    it('should throw error if callback is not a function', () => {
+        expect(() => panel.onChange('nope')).toThrow('Callback must be a function');
+    });
+});
@@ -0,0 +1,309 @@
+/**
+ * ExportOptionsDialog Component
+ *
+ * Base class for the export settings dialogs (G-code, HPGL). Builds a form
+ * from field definitions, fills it with the current settings and reports
+ * the edited settings on confirm. Subclasses supply the fields and the
+ * validation.
+ */
+
+/**
+ * @typedef {Object} FieldConfig
+ * @property {string} id - Option key
+ * @property {string} label - Label text
+ * @property {'select'|'text'|'number'|'checkbox'} type - Input type
+ * @property {Array<Array<string>>} [options] - [value, label] pairs for selects
+ * @property {string} [step] - Step for number inputs
+ * @property {string} [min] - Minimum for number inputs
+ * @property {Array<string>} [showIf] - [fieldId, value]: only shown while that field has that value
+ */
+
+/**
+ * ExportOptionsDialog class manages a modal dialog of export settings
+ */
+export class ExportOptionsDialog {
+    /**
+     * The fields container, confirm and cancel buttons are found by the
+     * IDs `<name>-fields`, `confirm-<name>` and `cancel-<name>`.
+     *
+     * @param {string} dialogId - The ID of the dialog element
+     * @param {string} name - Short name used in the element IDs
+     * @param {FieldConfig[]} fieldConfigs - Field definitions, in display order
+     */
+    constructor(dialogId, name, fieldConfigs) {
+        this.dialog = document.getElementById(dialogId);
+        if (!this.dialog) {
+            throw new Error(`Dialog element with ID '${dialogId}' not found`);
+        }
+
+        this.fieldsContainer = document.getElementById(`${name}-fields`);
+        this.confirmButton = document.getElementById(`confirm-${name}`);
+        this.cancelButton = document.getElementById(`cancel-${name}`);
+
+        if (!this.fieldsContainer || !this.confirmButton || !this.cancelButton) {
+            throw new Error('Required dialog elements not found');
+        }
+
+        this.fieldConfigs = fieldConfigs;
+        this.inputs = {};
+        this.callbacks = {
+            confirm: [],
+            cancel: []
+        };
+
+        this._createFields();
+        this._initializeEventListeners();
+    }
+
+    /**
+     * Build a labelled input for every setting
+     *
+     * @private
+     */
+    _createFields() {
+        this.fieldsContainer.innerHTML = '';
+
+        this.fieldConfigs.forEach(config => {
+            const row = document.createElement('label');
+            row.className = 'flex items-center justify-between gap-4 text-sm text-gray-700';
+            row.dataset.field = config.id;
+
+            const text = document.createElement('span');
+            text.textContent = config.label;
+            row.appendChild(text);
+
+            let input;
+            if (config.type === 'select') {
+                input = document.createElement('select');
+                config.options.forEach(([value, label]) => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = label;
+                    input.appendChild(option);
+                });
+                input.className = 'w-44 px-2 py-1 border border-gray-300 rounded-md text-sm';
+            } else {
+                input = document.createElement('input');
+                input.type = config.type;
+                if (config.type === 'checkbox') {
+                    input.className = 'accent-blue-600';
+                } else {
+                    input.className = 'w-44 px-2 py-1 border border-gray-300 rounded-md text-sm font-mono';
+                    if (config.step) {
+                        input.step = config.step;
+                    }
+                    if (config.min) {
+                        input.min = config.min;
+                    }
+                }
+            }
+            input.dataset.option = config.id;
+            row.appendChild(input);
+
+            this.fieldsContainer.appendChild(row);
+            this.inputs[config.id] = input;
+        });
+
+        const controllers = new Set(this.fieldConfigs.filter(config => config.showIf).map(config => config.showIf[0]));
+        controllers.forEach(id => {
+            this.inputs[id].addEventListener('change', () => this._updateConditionalFields());
+        });
+    }
+
+    /**
+     * Initialize event listeners for dialog interactions
+     *
+     * @private
+     */
+    _initializeEventListeners() {
+        this.confirmButton.addEventListener('click', () => {
+            this._handleConfirm();
+        });
+
+        this.cancelButton.addEventListener('click', () => {
+            this._handleCancel();
+        });
+
+        // Escape key to close dialog
+        this.dialog.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this._handleCancel();
+            }
+        });
+
+        // Click outside dialog to close
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target === this.dialog) {
+                this._handleCancel();
+            }
+        });
+    }
+
+    /**
+     * Show the dialog with the given settings
+     *
+     * @param {Object} options - Current settings
+     */
+    show(options) {
+        this.fieldConfigs.forEach(({ id, type }) => {
+            if (type === 'checkbox') {
+                this.inputs[id].checked = Boolean(options[id]);
+            } else {
+                this.inputs[id].value = String(options[id]);
+            }
+        });
+        this._updateConditionalFields();
+
+        this.dialog.classList.remove('hidden');
+        this.dialog.classList.add('flex');
+    }
+
+    /**
+     * Hide the dialog
+     */
+    hide() {
+        this.dialog.classList.remove('flex');
+        this.dialog.classList.add('hidden');
+    }
+
+    /**
+     * Get the settings entered in the dialog
+     *
+     * @returns {Object} Settings keyed by field ID
+     */
+    getOptions() {
+        const options = {};
+        this.fieldConfigs.forEach(({ id, type }) => {
+            const input = this.inputs[id];
+            if (type === 'checkbox') {
+                options[id] = input.checked;
+            } else if (type === 'number') {
+                options[id] = input.value.trim() === '' ? NaN : Number(input.value);
+            } else {
+                options[id] = input.value.trim();
+            }
+        });
+        return options;
+    }
+
+    /**
+     * Validate the entered settings
+     *
+     * @returns {Object} Validation result with isValid and error properties
+     */
+    validate() {
+        const error = this._validateOptions(this.getOptions());
+        return {
+            isValid: error === null,
+            error
+        };
+    }
+
+    /**
+     * Check settings before they are confirmed
+     * Subclasses override this with their own rules.
+     *
+     * @protected
+     * @param {Object} options - Settings from getOptions()
+     * @returns {string|null} Error message, or null when valid
+     */
+    _validateOptions(options) {
+        return null;
+    }
+
+    /**
+     * Show only the fields whose showIf condition holds
+     *
+     * @private
+     */
+    _updateConditionalFields() {
+        this.fieldConfigs.filter(config => config.showIf).forEach(config => {
+            const [fieldId, value] = config.showIf;
+            this.inputs[config.id].closest('label').classList.toggle('hidden', this.inputs[fieldId].value !== value);
+        });
+    }
+
+    /**
+     * Handle confirm button click
+     *
+     * @private
+     */
+    _handleConfirm() {
+        const validation = this.validate();
+
+        if (!validation.isValid) {
+            alert(validation.error);
+            return;
+        }
+
+        const options = this.getOptions();
+        this.hide();
+        this._triggerCallbacks('confirm', options);
+    }
+
+    /**
+     * Handle cancel button click
+     *
+     * @private
+     */
+    _handleCancel() {
+        this.hide();
+        this._triggerCallbacks('cancel');
+    }
+
+    /**
+     * Register a callback for when the dialog is confirmed
+     *
+     * @param {Function} callback - Function to call with the settings
+     */
+    onConfirm(callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+        this.callbacks.confirm.push(callback);
+    }
+
+    /**
+     * Register a callback for when the dialog is cancelled
+     *
+     * @param {Function} callback - Function to call when cancelled
+     */
+    onCancel(callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+        this.callbacks.cancel.push(callback);
+    }
+
+    /**
+     * Trigger all callbacks for a specific event
+     *
+     * @private
+     * @param {string} event - Event name ('confirm' or 'cancel')
+     * @param {*} data - Data to pass to callbacks
+     */
+    _triggerCallbacks(event, data) {
+        const callbacks = this.callbacks[event];
+        if (!callbacks) {
+            return;
+        }
+
+        callbacks.forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`Error in ${event} callback:`, error);
+            }
+        });
+    }
+
+    /**
+     * Check if the dialog is currently visible
+     *
+     * @returns {boolean} True if dialog is visible
+     */
+    isVisible() {
+        return !this.dialog.classList.contains('hidden');
+    }
+}
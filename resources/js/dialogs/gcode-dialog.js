@@ -0,0 +1,56 @@
+/**
+ * GCodeDialog Component
+ *
+ * Manages the G-code export dialog, where users adjust the machine settings
+ * (units, pen commands, feed rates, origin) before downloading G-code.
+ */
+
+import { ExportOptionsDialog } from './export-options-dialog.js';
+import { GCODE_ORIGINS, PEN_MODES, isValidGCodeOptions } from '../utils/gcode-exporter.js';
+
+/**
+ * Field definitions, in display order
+ * @type {import('./export-options-dialog').FieldConfig[]}
+ */
+const FIELD_CONFIGS = [
+    { id: 'units', label: 'Units', type: 'select', options: [['mm', 'Millimetres (G21)'], ['in', 'Inches (G20)']] },
+    { id: 'penMode', label: 'Pen lift', type: 'select', options: PEN_MODES.map(mode => [mode, mode === 'servo' ? 'Servo (M3/M5)' : 'Z axis']) },
+    { id: 'penUpCommand', label: 'Pen-up command', type: 'text', showIf: ['penMode', 'servo'] },
+    { id: 'penDownCommand', label: 'Pen-down command', type: 'text', showIf: ['penMode', 'servo'] },
+    { id: 'zUp', label: 'Z pen up', type: 'number', step: '0.1', showIf: ['penMode', 'z'] },
+    { id: 'zDown', label: 'Z pen down', type: 'number', step: '0.1', showIf: ['penMode', 'z'] },
+    { id: 'penDelay', label: 'Pen delay (s)', type: 'number', step: '0.05', min: '0' },
+    { id: 'drawFeedRate', label: 'Draw feed (per min)', type: 'number', step: '100', min: '1' },
+    { id: 'travelFeedRate', label: 'Travel feed (per min)', type: 'number', step: '100', min: '1' },
+    { id: 'origin', label: 'Origin', type: 'select', options: GCODE_ORIGINS.map(origin => [origin, origin.replace('-', ' ')]) },
+    { id: 'flipY', label: 'Y axis points up', type: 'checkbox' }
+];
+
+/**
+ * GCodeDialog class manages the G-code settings modal dialog
+ */
+export class GCodeDialog extends ExportOptionsDialog {
+    /**
+     * @param {string} dialogId - The ID of the dialog element (default: 'gcode-dialog')
+     */
+    constructor(dialogId = 'gcode-dialog') {
+        super(dialogId, 'gcode', FIELD_CONFIGS);
+    }
+
+    /**
+     * Require pen commands in servo mode and valid numbers
+     *
+     * @protected
+     * @param {import('../utils/gcode-exporter').GCodeOptions} options - Entered settings
+     * @returns {string|null} Error message, or null when valid
+     */
+    _validateOptions(options) {
+        if (options.penMode === 'servo' && (!options.penUpCommand || !options.penDownCommand)) {
+            return 'Pen-up and pen-down commands are required';
+        }
+        if (!isValidGCodeOptions(options)) {
+            return 'Feed rates must be positive and all numbers must be valid';
+        }
+        return null;
+    }
+}
@@ -0,0 +1,156 @@
+/**
+ * Tests for GCodeDialog Component
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { GCodeDialog } from './gcode-dialog.js';
+import { DEFAULT_GCODE_OPTIONS } from '../utils/gcode-exporter.js';
+
+describe('GCodeDialog', () => {
+    let dialog;
+    let gcodeDialog;
+
+    const input = (id) => dialog.querySelector(`[data-option="${id}"]`);
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="gcode-dialog" class="hidden">
+                <div id="gcode-fields"></div>
+                <button id="confirm-gcode">Export</button>
+                <button id="cancel-gcode">Cancel</button>
+            </div>
+        `;
+
+        dialog = document.getElementById('gcode-dialog');
+    });
+
+    afterEach(() => {
+        document.body.innerHTML = '';
+        vi.restoreAllMocks();
+    });
+
+    describe('Constructor', () => {
+        it('should throw error if dialog element not found', () => {
+            document.body.innerHTML = '';
+            expect(() => new GCodeDialog()).toThrow("Dialog element with ID 'gcode-dialog' not found");
+        });
+
+        it('should throw error if required elements not found', () => {
+            document.body.innerHTML = '<div id="gcode-dialog"></div>';
+            expect(() => new GCodeDialog()).toThrow('Required dialog elements not found');
+        });
+
+        it('should create an input for every setting', () => {
+            gcodeDialog = new GCodeDialog();
+            Object.keys(DEFAULT_GCODE_OPTIONS).forEach(key => {
+                expect(input(key)).not.toBeNull();
+            });
+        });
+    });
+
+    describe('show() and getOptions()', () => {
+        beforeEach(() => {
+            gcodeDialog = new GCodeDialog();
+        });
+
+        it('should show the dialog with the given settings', () => {
+            gcodeDialog.show({ ...DEFAULT_GCODE_OPTIONS, drawFeedRate: 900, flipY: false });
+
+            expect(dialog.classList.contains('hidden')).toBe(false);
+            expect(dialog.classList.contains('flex')).toBe(true);
+            expect(input('drawFeedRate').value).toBe('900');
+            expect(input('flipY').checked).toBe(false);
+        });
+
+        it('should round-trip the settings', () => {
+            gcodeDialog.show(DEFAULT_GCODE_OPTIONS);
+            expect(gcodeDialog.getOptions()).toEqual(DEFAULT_GCODE_OPTIONS);
+        });
+
+        it('should only show the fields for the selected pen mode', () => {
+            gcodeDialog.show(DEFAULT_GCODE_OPTIONS);
+            const row = (id) => dialog.querySelector(`label[data-field="${id}"]`);
+
+            expect(row('penUpCommand').classList.contains('hidden')).toBe(false);
+            expect(row('zUp').classList.contains('hidden')).toBe(true);
+
+            input('penMode').value = 'z';
+            input('penMode').dispatchEvent(new Event('change'));
+
+            expect(row('penUpCommand').classList.contains('hidden')).toBe(true);
+            expect(row('zUp').classList.contains('hidden')).toBe(false);
+        });
+    });
+
+    describe('validate()', () => {
+        beforeEach(() => {
+            gcodeDialog = new GCodeDialog();
+            gcodeDialog.show(DEFAULT_GCODE_OPTIONS);
+        });
+
+        it('should accept the defaults', () => {
+            expect(gcodeDialog.validate()).toEqual({ isValid: true, error: null });
+        });
+
+        it('should require pen commands in servo mode', () => {
+            input('penDownCommand').value = '  ';
+            expect(gcodeDialog.validate().error).toBe('Pen-up and pen-down commands are required');
+        });
+
+        it('should reject empty and non-positive feed rates', () => {
+            input('drawFeedRate').value = '';
+            expect(gcodeDialog.validate().isValid).toBe(false);
+
+            input('drawFeedRate').value = '0';
+            expect(gcodeDialog.validate().isValid).toBe(false);
+        });
+    });
+
+    describe('Confirm and Cancel', () => {
+        beforeEach(() => {
+            gcodeDialog = new GCodeDialog();
+            gcodeDialog.show(DEFAULT_GCODE_OPTIONS);
+        });
+
+        it('should pass the settings to confirm callbacks and hide', () => {
+            const callback = vi.fn();
+            gcodeDialog.onConfirm(callback);
+
+            input('units').value = 'in';
+            document.getElementById('confirm-gcode').click();
+
+            expect(callback).toHaveBeenCalledWith({ ...DEFAULT_GCODE_OPTIONS, units: 'in' });
+            expect(gcodeDialog.isVisible()).toBe(false);
+        });
+
+        it('should alert and stay open on invalid settings', () => {
+            const alertSpy = vi.spyOn(window, 'alert').mockImplementation(() => {});
+            const callback = vi.fn();
+            gcodeDialog.onConfirm(callback);
+
+            input('travelFeedRate').value = '-5';
+            document.getElementById('confirm-gcode').click();
+
+            expect(alertSpy).toHaveBeenCalled();
+            expect(callback).not.toHaveBeenCalled();
+            expect(gcodeDialog.isVisible()).toBe(true);
+        });
+
+        it('should cancel on button click and Escape', () => {
+            const callback = vi.fn();
+            gcodeDialog.onCancel(callback);
+
+            document.getElementById('cancel-gcode').click();
+            gcodeDialog.show(DEFAULT_GCODE_OPTIONS);
+            dialog.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+
+            expect(callback).toHaveBeenCalledTimes(2);
+            expect(gcodeDialog.isVisible()).toBe(false);
+        });
+
+        it('should throw for non-function callbacks', () => {
+            expect(() => gcodeDialog.onConfirm('nope')).toThrow('Callback must be a function');
+            expect(() => gcodeDialog.onCancel(null)).toThrow('Callback must be a function');
+        });
+    });
+});
@@ -0,0 +1,52 @@
+/**
+ * HPGLDialog Component
+ *
+ * Manages the HPGL export dialog, where users set the page rotation, the
+ * number of pens in the carousel and how long PD commands may get before
+ * downloading HPGL.
+ */
+
+import { ExportOptionsDialog } from './export-options-dialog.js';
+import { HPGL_ROTATIONS, MAX_HPGL_PENS, isValidHPGLOptions } from '../utils/hpgl-exporter.js';
+
+const ROTATION_LABELS = {
+    auto: 'Landscape pages',
+    always: 'Always',
+    never: 'Never'
+};
+
+/**
+ * Field definitions, in display order
+ * @type {import('./export-options-dialog').FieldConfig[]}
+ */
+const FIELD_CONFIGS = [
+    { id: 'rotate', label: 'Rotate 90°', type: 'select', options: HPGL_ROTATIONS.map(value => [value, ROTATION_LABELS[value]]) },
+    { id: 'penCount', label: 'Pens in carousel', type: 'number', step: '1', min: '1' },
+    { id: 'maxPointsPerCommand', label: 'Max points per PD (0 = no limit)', type: 'number', step: '10', min: '0' }
+];
+
+/**
+ * HPGLDialog class manages the HPGL settings modal dialog
+ */
+export class HPGLDialog extends ExportOptionsDialog {
+    /**
+     * @param {string} dialogId - The ID of the dialog element (default: 'hpgl-dialog')
+     */
+    constructor(dialogId = 'hpgl-dialog') {
+        super(dialogId, 'hpgl', FIELD_CONFIGS);
+    }
+
+    /**
+     * Require whole numbers in range
+     *
+     * @protected
+     * @param {import('../utils/hpgl-exporter').HPGLOptions} options - Entered settings
+     * @returns {string|null} Error message, or null when valid
+     */
+    _validateOptions(options) {
+        if (!isValidHPGLOptions(options)) {
+            return `Pen count must be a whole number from 1 to ${MAX_HPGL_PENS} and the point limit a whole number of 0 or more`;
+        }
+        return null;
+    }
+}
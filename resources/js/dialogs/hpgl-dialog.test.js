@@ -0,0 +1,68 @@
+/**
+ * Tests for HPGLDialog Component
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { HPGLDialog } from './hpgl-dialog.js';
+import { DEFAULT_HPGL_OPTIONS } from '../utils/hpgl-exporter.js';
+
+describe('HPGLDialog', () => {
+    let dialog;
+    let hpglDialog;
+
+    const input = (id) => dialog.querySelector(`[data-option="${id}"]`);
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="hpgl-dialog" class="hidden">
+                <div id="hpgl-fields"></div>
+                <button id="confirm-hpgl">Export</button>
+                <button id="cancel-hpgl">Cancel</button>
+            </div>
+        `;
+
+        dialog = document.getElementById('hpgl-dialog');
+        hpglDialog = new HPGLDialog();
+    });
+
+    afterEach(() => {
+        document.body.innerHTML = '';
+        vi.restoreAllMocks();
+    });
+
+    it('should throw error if required elements not found', () => {
+        document.body.innerHTML = '<div id="hpgl-dialog"></div>';
+        expect(() => new HPGLDialog()).toThrow('Required dialog elements not found');
+    });
+
+    it('should round-trip the settings', () => {
+        hpglDialog.show(DEFAULT_HPGL_OPTIONS);
+        expect(dialog.classList.contains('hidden')).toBe(false);
+        expect(hpglDialog.getOptions()).toEqual(DEFAULT_HPGL_OPTIONS);
+    });
+
+    it('should reject pen counts outside the carousel size', () => {
+        hpglDialog.show(DEFAULT_HPGL_OPTIONS);
+
+        input('penCount').value = '12';
+        expect(hpglDialog.validate().isValid).toBe(false);
+
+        input('penCount').value = '1.5';
+        expect(hpglDialog.validate().isValid).toBe(false);
+
+        input('penCount').value = '4';
+        expect(hpglDialog.validate().isValid).toBe(true);
+    });
+
+    it('should pass the settings to confirm callbacks', () => {
+        const callback = vi.fn();
+        hpglDialog.onConfirm(callback);
+        hpglDialog.show(DEFAULT_HPGL_OPTIONS);
+
+        input('rotate').value = 'never';
+        document.getElementById('confirm-hpgl').click();
+
+        expect(callback).toHaveBeenCalledWith({ ...DEFAULT_HPGL_OPTIONS, rotate: 'never' });
+        expect(hpglDialog.isVisible()).toBe(false);
+    });
+});
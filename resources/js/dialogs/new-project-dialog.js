@@ -1,13 +1,14 @@
 /**
  * NewProjectDialog Component
  * 
- * Manages the new project creation dialog UI, including project name input
- * and viewport size selection.
+ * Manages the new project creation dialog UI, including project name input,
+ * paper size selection and the units the sketch draws in.
  * 
  * Requirements: 3.1, 3.2, 3.3, 3.4
  */
 
 import { VIEWPORT_PRESETS } from '../models/project.js';
+import { PaperSizePicker } from '../controls/paper-size-picker.js';
 
 /**
  * NewProjectDialog class manages the project creation modal dialog
@@ -25,11 +26,16 @@ export class NewProjectDialog {
         this.projectNameInput = document.getElementById('project-name');
         this.confirmButton = document.getElementById('confirm-new-project');
         this.cancelButton = document.getElementById('cancel-new-project');
+        this.paperContainer = document.getElementById('new-project-paper');
+        this.drawingUnitsInput = document.getElementById('drawing-units-mm');
         
-        if (!this.projectNameInput || !this.confirmButton || !this.cancelButton) {
+        if (!this.projectNameInput || !this.confirmButton || !this.cancelButton ||
+            !this.paperContainer || !this.drawingUnitsInput) {
             throw new Error('Required dialog elements not found');
         }
 
+        this.paperPicker = new PaperSizePicker(this.paperContainer);
+
         this.callbacks = {
             confirm: [],
             cancel: []
@@ -88,6 +94,7 @@ export class NewProjectDialog {
         // Reset form to defaults
         this.projectNameInput.value = '';
         this._setDefaultViewport();
+        this.drawingUnitsInput.checked = false;
         
         // Show dialog
         this.dialog.classList.remove('hidden');
@@ -113,33 +120,25 @@ export class NewProjectDialog {
      * @private
      */
     _setDefaultViewport() {
-        const defaultRadio = this.dialog.querySelector('input[name="viewport"][value="8.5x11"]');
-        if (defaultRadio) {
-            defaultRadio.checked = true;
-        }
+        this.paperPicker.setViewportSize(VIEWPORT_PRESETS[0]);
     }
 
     /**
      * Get the selected viewport size
      * 
-     * @returns {Object} ViewportSize object with width, height, and label
+     * @returns {import('../models/project').ViewportSize} Size in inches with its label and unit
      */
     getSelectedViewport() {
-        const selectedRadio = this.dialog.querySelector('input[name="viewport"]:checked');
-        if (!selectedRadio) {
-            // Default to 8.5x11 if nothing selected
-            return VIEWPORT_PRESETS[0];
-        }
-
-        const label = selectedRadio.value;
-        const viewport = VIEWPORT_PRESETS.find(preset => preset.label === label);
-        
-        if (!viewport) {
-            // Fallback to default
-            return VIEWPORT_PRESETS[0];
-        }
+        return this.paperPicker.getViewportSize();
+    }
 
-        return viewport;
+    /**
+     * Get the units the sketch's viewBox will use
+     * 
+     * @returns {'in'|'mm'} Drawing units
+     */
+    getDrawingUnits() {
+        return this.drawingUnitsInput.checked ? 'mm' : 'in';
     }
 
     /**
@@ -194,7 +193,8 @@ export class NewProjectDialog {
 
         const projectData = {
             name: this.getProjectName(),
-            viewportSize: this.getSelectedViewport()
+            viewportSize: this.getSelectedViewport(),
+            drawingUnits: this.getDrawingUnits()
         };
 
         this.hide();
@@ -11,6 +11,8 @@ describe('NewProjectDialog', () => {
     let dialogElement;
 
     beforeEach(() => {
+        localStorage.clear();
+
         // Create dialog HTML structure
         document.body.innerHTML = `
             <div id="new-project-dialog" class="hidden fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -21,25 +23,12 @@ describe('NewProjectDialog', () => {
                         <input type="text" id="project-name" class="w-full px-3 py-2 border border-gray-300 rounded-md" placeholder="My Plotter Art">
                     </div>
                     <div class="mb-6">
-                        <label class="block text-sm font-medium text-gray-700 mb-2">Viewport Size</label>
-                        <div class="space-y-2">
-                            <label class="flex items-center">
-                                <input type="radio" name="viewport" value="8.5x11" checked class="mr-2">
-                                <span>8.5" × 11" (Letter Portrait)</span>
-                            </label>
-                            <label class="flex items-center">
-                                <input type="radio" name="viewport" value="11x8.5" class="mr-2">
-                                <span>11" × 8.5" (Letter Landscape)</span>
-                            </label>
-                            <label class="flex items-center">
-                                <input type="radio" name="viewport" value="6x6" class="mr-2">
-                                <span>6" × 6" (Square)</span>
-                            </label>
-                            <label class="flex items-center">
-                                <input type="radio" name="viewport" value="4x5" class="mr-2">
-                                <span>4" × 5" (Small Portrait)</span>
-                            </label>
-                        </div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">Paper Size</label>
+                        <div id="new-project-paper"></div>
+                        <label class="flex items-center mt-3">
+                            <input type="checkbox" id="drawing-units-mm" class="mr-2">
+                            <span>Draw in millimetres</span>
+                        </label>
                     </div>
                     <div class="flex gap-3 justify-end">
                         <button id="cancel-new-project" class="px-4 py-2 text-gray-700 bg-gray-200 rounded-md">Cancel</button>
@@ -87,13 +76,15 @@ describe('NewProjectDialog', () => {
         });
 
         it('should set default viewport to 8.5x11', () => {
-            const radio11x85 = document.querySelector('input[name="viewport"][value="11x8.5"]');
-            radio11x85.checked = true;
+            dialog.paperPicker.paperSelect.value = 'a4';
+            dialog.paperPicker.paperSelect.dispatchEvent(new Event('change'));
+            dialog.drawingUnitsInput.checked = true;
             
             dialog.show();
             
-            const defaultRadio = document.querySelector('input[name="viewport"][value="8.5x11"]');
-            expect(defaultRadio.checked).toBe(true);
+            expect(dialog.paperPicker.paperSelect.value).toBe('letter');
+            expect(dialog.paperPicker.orientationSelect.value).toBe('portrait');
+            expect(dialog.getDrawingUnits()).toBe('in');
         });
     });
 
@@ -107,40 +98,59 @@ describe('NewProjectDialog', () => {
     });
 
     describe('getSelectedViewport', () => {
+        const selectPaper = (id, orientation = 'portrait') => {
+            const { paperSelect, orientationSelect } = dialog.paperPicker;
+            orientationSelect.value = orientation;
+            orientationSelect.dispatchEvent(new Event('change'));
+            paperSelect.value = id;
+            paperSelect.dispatchEvent(new Event('change'));
+        };
+
         it('should return default viewport (8.5x11) when default is selected', () => {
             const viewport = dialog.getSelectedViewport();
-            expect(viewport).toEqual(VIEWPORT_PRESETS[0]);
-            expect(viewport.label).toBe('8.5x11');
+            expect(viewport).toEqual({ ...VIEWPORT_PRESETS[0], label: 'Letter (8.5 × 11 in)', unit: 'in' });
         });
 
         it('should return selected viewport', () => {
-            const radio = document.querySelector('input[name="viewport"][value="11x8.5"]');
-            radio.checked = true;
+            selectPaper('letter', 'landscape');
             
             const viewport = dialog.getSelectedViewport();
-            expect(viewport.label).toBe('11x8.5');
+            expect(viewport.label).toBe('Letter (11 × 8.5 in)');
             expect(viewport.width).toBe(11);
             expect(viewport.height).toBe(8.5);
         });
 
         it('should return 6x6 viewport when selected', () => {
-            const radio = document.querySelector('input[name="viewport"][value="6x6"]');
-            radio.checked = true;
+            selectPaper('square');
             
             const viewport = dialog.getSelectedViewport();
-            expect(viewport.label).toBe('6x6');
+            expect(viewport.label).toBe('Square (6 × 6 in)');
             expect(viewport.width).toBe(6);
             expect(viewport.height).toBe(6);
         });
 
-        it('should return 4x5 viewport when selected', () => {
-            const radio = document.querySelector('input[name="viewport"][value="4x5"]');
-            radio.checked = true;
+        it('should return metric viewports in inches with their unit', () => {
+            selectPaper('a4');
+            
+            const viewport = dialog.getSelectedViewport();
+            expect(viewport.label).toBe('A4 (210 × 297 mm)');
+            expect(viewport.unit).toBe('mm');
+            expect(viewport.width).toBeCloseTo(210 / 25.4, 10);
+            expect(viewport.height).toBeCloseTo(297 / 25.4, 10);
+        });
+
+        it('should return a custom size', () => {
+            const { inputs } = dialog.paperPicker;
+            inputs.unit.value = 'cm';
+            inputs.unit.dispatchEvent(new Event('change'));
+            inputs.width.value = '30';
+            inputs.height.value = '20';
+            inputs.width.dispatchEvent(new Event('change'));
             
             const viewport = dialog.getSelectedViewport();
-            expect(viewport.label).toBe('4x5');
-            expect(viewport.width).toBe(4);
-            expect(viewport.height).toBe(5);
+            expect(dialog.paperPicker.paperSelect.value).toBe('custom');
+            expect(viewport.label).toBe('30 × 20 cm');
+            expect(viewport.width).toBeCloseTo(30 / 2.54, 10);
         });
     });
 
@@ -212,10 +222,22 @@ describe('NewProjectDialog', () => {
             
             expect(callback).toHaveBeenCalledWith({
                 name: 'Test Project',
-                viewportSize: VIEWPORT_PRESETS[0]
+                viewportSize: { ...VIEWPORT_PRESETS[0], label: 'Letter (8.5 × 11 in)', unit: 'in' },
+                drawingUnits: 'in'
             });
         });
 
+        it('should confirm with millimetre drawing units when chosen', () => {
+            const callback = vi.fn();
+            dialog.onConfirm(callback);
+            
+            dialog.projectNameInput.value = 'Metric';
+            dialog.drawingUnitsInput.checked = true;
+            dialog.confirmButton.click();
+            
+            expect(callback.mock.lastCall[0].drawingUnits).toBe('mm');
+        });
+
         it('should hide dialog after confirm', () => {
             dialog.show();
             dialog.projectNameInput.value = 'Test Project';
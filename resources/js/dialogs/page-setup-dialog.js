@@ -0,0 +1,169 @@
+/**
+ * PageSetupDialog Component
+ *
+ * Changes the paper size or orientation of the open project. Unlike New
+ * Project, the sketch code and settings are kept.
+ */
+
+import { PaperSizePicker } from '../controls/paper-size-picker.js';
+
+/**
+ * PageSetupDialog class manages the page setup modal dialog
+ */
+export class PageSetupDialog {
+    /**
+     * @param {string} dialogId - The ID of the dialog element (default: 'page-setup-dialog')
+     */
+    constructor(dialogId = 'page-setup-dialog') {
+        this.dialog = document.getElementById(dialogId);
+        if (!this.dialog) {
+            throw new Error(`Dialog element with ID '${dialogId}' not found`);
+        }
+
+        this.paperContainer = document.getElementById('page-setup-paper');
+        this.confirmButton = document.getElementById('confirm-page-setup');
+        this.cancelButton = document.getElementById('cancel-page-setup');
+
+        if (!this.paperContainer || !this.confirmButton || !this.cancelButton) {
+            throw new Error('Required dialog elements not found');
+        }
+
+        this.paperPicker = new PaperSizePicker(this.paperContainer);
+        this.callbacks = {
+            confirm: [],
+            cancel: []
+        };
+
+        this._initializeEventListeners();
+    }
+
+    /**
+     * Initialize event listeners for dialog interactions
+     *
+     * @private
+     */
+    _initializeEventListeners() {
+        this.confirmButton.addEventListener('click', () => {
+            this._handleConfirm();
+        });
+
+        this.cancelButton.addEventListener('click', () => {
+            this._handleCancel();
+        });
+
+        // Escape key to close dialog
+        this.dialog.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this._handleCancel();
+            }
+        });
+
+        // Click outside dialog to close
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target === this.dialog) {
+                this._handleCancel();
+            }
+        });
+    }
+
+    /**
+     * Show the dialog with the project's current page
+     *
+     * @param {import('../models/project').ViewportSize} viewportSize - Current viewport size
+     */
+    show(viewportSize) {
+        this.paperPicker.setViewportSize(viewportSize);
+
+        this.dialog.classList.remove('hidden');
+        this.dialog.classList.add('flex');
+    }
+
+    /**
+     * Hide the dialog
+     */
+    hide() {
+        this.dialog.classList.remove('flex');
+        this.dialog.classList.add('hidden');
+    }
+
+    /**
+     * Get the page chosen in the dialog
+     *
+     * @returns {import('../models/project').ViewportSize} Size in inches with its label and unit
+     */
+    getViewportSize() {
+        return this.paperPicker.getViewportSize();
+    }
+
+    /**
+     * Handle confirm button click
+     *
+     * @private
+     */
+    _handleConfirm() {
+        const viewportSize = this.getViewportSize();
+        this.hide();
+        this._triggerCallbacks('confirm', viewportSize);
+    }
+
+    /**
+     * Handle cancel button click
+     *
+     * @private
+     */
+    _handleCancel() {
+        this.hide();
+        this._triggerCallbacks('cancel');
+    }
+
+    /**
+     * Register a callback for when the dialog is confirmed
+     *
+     * @param {Function} callback - Function to call with the new ViewportSize
+     */
+    onConfirm(callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+        this.callbacks.confirm.push(callback);
+    }
+
+    /**
+     * Register a callback for when the dialog is cancelled
+     *
+     * @param {Function} callback - Function to call when cancelled
+     */
+    onCancel(callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+        this.callbacks.cancel.push(callback);
+    }
+
+    /**
+     * Trigger all callbacks for a specific event
+     *
+     * @private
+     * @param {string} event - Event name ('confirm' or 'cancel')
+     * @param {*} data - Data to pass to callbacks
+     */
+    _triggerCallbacks(event, data) {
+        this.callbacks[event].forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`Error in ${event} callback:`, error);
+            }
+        });
+    }
+
+    /**
+     * Check if the dialog is currently visible
+     *
+     * @returns {boolean} True if dialog is visible
+     */
+    isVisible() {
+        return !this.dialog.classList.contains('hidden');
+    }
+}
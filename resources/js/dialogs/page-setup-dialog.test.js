@@ -0,0 +1,78 @@
+/**
+ * Tests for PageSetupDialog Component
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { PageSetupDialog } from './page-setup-dialog.js';
+
+describe('PageSetupDialog', () => {
+    let dialog;
+    let pageSetupDialog;
+
+    const a4 = { width: 210 / 25.4, height: 297 / 25.4, label: 'A4 (210 × 297 mm)', unit: 'mm' };
+
+    beforeEach(() => {
+        localStorage.clear();
+        document.body.innerHTML = `
+            <div id="page-setup-dialog" class="hidden">
+                <div id="page-setup-paper"></div>
+                <button id="confirm-page-setup">Apply</button>
+                <button id="cancel-page-setup">Cancel</button>
+            </div>
+        `;
+
+        dialog = document.getElementById('page-setup-dialog');
+        pageSetupDialog = new PageSetupDialog();
+    });
+
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    it('should throw error if required elements not found', () => {
+        document.body.innerHTML = '<div id="page-setup-dialog"></div>';
+        expect(() => new PageSetupDialog()).toThrow('Required dialog elements not found');
+    });
+
+    it('should show the current page', () => {
+        pageSetupDialog.show(a4);
+
+        expect(pageSetupDialog.isVisible()).toBe(true);
+        expect(pageSetupDialog.paperPicker.paperSelect.value).toBe('a4');
+        expect(pageSetupDialog.paperPicker.orientationSelect.value).toBe('portrait');
+        expect(pageSetupDialog.getViewportSize()).toEqual(a4);
+    });
+
+    it('should confirm a rotated page', () => {
+        const callback = vi.fn();
+        pageSetupDialog.onConfirm(callback);
+        pageSetupDialog.show(a4);
+
+        const orientation = pageSetupDialog.paperPicker.orientationSelect;
+        orientation.value = 'landscape';
+        orientation.dispatchEvent(new Event('change'));
+        document.getElementById('confirm-page-setup').click();
+
+        expect(pageSetupDialog.isVisible()).toBe(false);
+        expect(callback).toHaveBeenCalledWith({ width: a4.height, height: a4.width, label: 'A4 (297 × 210 mm)', unit: 'mm' });
+    });
+
+    it('should cancel without confirming', () => {
+        const confirm = vi.fn();
+        const cancel = vi.fn();
+        pageSetupDialog.onConfirm(confirm);
+        pageSetupDialog.onCancel(cancel);
+        pageSetupDialog.show(a4);
+
+        dialog.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+
+        expect(cancel).toHaveBeenCalledTimes(1);
+        expect(confirm).not.toHaveBeenCalled();
+        expect(pageSetupDialog.isVisible()).toBe(false);
+    });
+
+    it('should throw error for non-function callbacks', () => {
+        expect(() => pageSetupDialog.onConfirm('nope')).toThrow('Callback must be a function');
+        expect(() => pageSetupDialog.onCancel(null)).toThrow('Callback must be a function');
+    });
+});
@@ -0,0 +1,312 @@
+/**
+ * ProjectGalleryDialog Component
+ *
+ * Shows the project library as a grid of thumbnails with a search box.
+ * Each project can be opened, duplicated, tagged or deleted; the dialog
+ * reports these actions and the app carries them out.
+ */
+
+import { filterProjects, parseTags } from '../managers/project-library.js';
+
+/**
+ * ProjectGalleryDialog class manages the project library modal dialog
+ */
+export class ProjectGalleryDialog {
+    /**
+     * @param {string} dialogId - The ID of the dialog element (default: 'project-gallery-dialog')
+     */
+    constructor(dialogId = 'project-gallery-dialog') {
+        this.dialog = document.getElementById(dialogId);
+        if (!this.dialog) {
+            throw new Error(`Dialog element with ID '${dialogId}' not found`);
+        }
+
+        this.searchInput = document.getElementById('project-gallery-search');
+        this.list = document.getElementById('project-gallery-list');
+        this.closeButton = document.getElementById('close-project-gallery');
+
+        if (!this.searchInput || !this.list || !this.closeButton) {
+            throw new Error('Required dialog elements not found');
+        }
+
+        this.projects = [];
+        this.currentId = null;
+        this.callbacks = {
+            open: [],
+            duplicate: [],
+            delete: [],
+            tags: []
+        };
+
+        this._initializeEventListeners();
+    }
+
+    /**
+     * Initialize event listeners for dialog interactions
+     *
+     * @private
+     */
+    _initializeEventListeners() {
+        this.closeButton.addEventListener('click', () => {
+            this.hide();
+        });
+
+        this.searchInput.addEventListener('input', () => {
+            this.render();
+        });
+
+        // Escape key to close dialog
+        this.dialog.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.hide();
+            }
+        });
+
+        // Click outside dialog to close
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target === this.dialog) {
+                this.hide();
+            }
+        });
+    }
+
+    /**
+     * Show the dialog with the library's projects
+     *
+     * @param {import('../managers/project-library').ProjectSummary[]} projects - Projects, most recent first
+     * @param {string|null} currentId - Id of the open project, which cannot be deleted
+     */
+    show(projects, currentId) {
+        this.currentId = currentId;
+        this.searchInput.value = '';
+        this.setProjects(projects);
+
+        this.dialog.classList.remove('hidden');
+        this.dialog.classList.add('flex');
+
+        setTimeout(() => {
+            this.searchInput.focus();
+        }, 100);
+    }
+
+    /**
+     * Hide the dialog
+     */
+    hide() {
+        this.dialog.classList.remove('flex');
+        this.dialog.classList.add('hidden');
+    }
+
+    /**
+     * Replace the listed projects, keeping the search
+     *
+     * @param {import('../managers/project-library').ProjectSummary[]} projects - Projects to list
+     */
+    setProjects(projects) {
+        this.projects = projects;
+        this.render();
+    }
+
+    /**
+     * Render the projects matching the search
+     */
+    render() {
+        this.list.innerHTML = '';
+
+        const query = this.searchInput.value.trim();
+        const matches = filterProjects(this.projects, query);
+
+        if (matches.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'project-gallery-empty col-span-full py-12 text-center text-gray-500';
+            empty.textContent = this.projects.length === 0 ? 'No saved projects yet' : `No projects match "${query}"`;
+            this.list.appendChild(empty);
+            return;
+        }
+
+        matches.forEach(project => this.list.appendChild(this._createCard(project)));
+    }
+
+    /**
+     * Build the card for one project
+     *
+     * @private
+     * @param {import('../managers/project-library').ProjectSummary} project - Project to show
+     * @returns {HTMLElement} Card element
+     */
+    _createCard(project) {
+        const isCurrent = project.id === this.currentId;
+
+        const card = document.createElement('div');
+        card.className = 'project-card flex flex-col border-2 border-gray-200 rounded-xl overflow-hidden bg-white';
+        card.dataset.projectId = project.id;
+
+        const preview = document.createElement(project.thumbnail ? 'img' : 'div');
+        preview.className = 'project-thumbnail h-36 w-full bg-gray-50 object-contain p-2';
+        if (project.thumbnail) {
+            preview.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(project.thumbnail)}`;
+            preview.alt = project.name;
+        } else {
+            preview.classList.add('flex', 'items-center', 'justify-center', 'text-sm', 'text-gray-400');
+            preview.textContent = 'No preview';
+        }
+        card.appendChild(preview);
+
+        const body = document.createElement('div');
+        body.className = 'flex-1 p-3 space-y-1';
+
+        const name = document.createElement('div');
+        name.className = 'project-name font-semibold text-gray-800 truncate';
+        name.textContent = isCurrent ? `${project.name} (open)` : project.name;
+        name.title = project.name;
+        body.appendChild(name);
+
+        const meta = document.createElement('div');
+        meta.className = 'project-meta text-xs text-gray-500';
+        meta.textContent = `${project.paper} · Edited ${new Date(project.updatedAt).toLocaleString()}`;
+        body.appendChild(meta);
+
+        if (project.tags.length > 0) {
+            const tags = document.createElement('div');
+            tags.className = 'project-tags flex flex-wrap gap-1 pt-1';
+            project.tags.forEach(tag => {
+                const chip = document.createElement('button');
+                chip.type = 'button';
+                chip.className = 'px-2 py-0.5 text-xs text-blue-700 bg-blue-50 rounded-full hover:bg-blue-100';
+                chip.textContent = tag;
+                chip.title = `Show projects tagged "${tag}"`;
+                chip.addEventListener('click', () => {
+                    this.searchInput.value = tag;
+                    this.render();
+                });
+                tags.appendChild(chip);
+            });
+            body.appendChild(tags);
+        }
+        card.appendChild(body);
+
+        const actions = document.createElement('div');
+        actions.className = 'flex gap-1 p-2 border-t border-gray-100 text-sm';
+        [
+            { action: 'open', label: 'Open', title: 'Open this project' },
+            { action: 'duplicate', label: 'Duplicate', title: 'Save a copy of this project' },
+            { action: 'tags', label: 'Tags', title: 'Edit the tags of this project' },
+            { action: 'delete', label: 'Delete', title: isCurrent ? 'The open project cannot be deleted' : 'Delete this project' }
+        ].forEach(({ action, label, title }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dataset.action = action;
+            button.className = action === 'open'
+                ? 'px-3 py-1 text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50'
+                : 'px-3 py-1 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-50';
+            button.textContent = label;
+            button.title = title;
+            button.disabled = isCurrent && (action === 'open' || action === 'delete');
+            button.addEventListener('click', () => this._handleAction(action, project));
+            actions.appendChild(button);
+        });
+        card.appendChild(actions);
+
+        return card;
+    }
+
+    /**
+     * Handle a card button click
+     *
+     * @private
+     * @param {string} action - 'open', 'duplicate', 'tags' or 'delete'
+     * @param {import('../managers/project-library').ProjectSummary} project - Project of the card
+     */
+    _handleAction(action, project) {
+        if (action === 'open') {
+            this.hide();
+            this._triggerCallbacks('open', project.id);
+        } else if (action === 'duplicate') {
+            this._triggerCallbacks('duplicate', project.id);
+        } else if (action === 'tags') {
+            const text = prompt('Tags (comma separated):', project.tags.join(', '));
+            if (text !== null) {
+                this._triggerCallbacks('tags', project.id, parseTags(text));
+            }
+        } else if (action === 'delete') {
+            if (confirm(`Delete "${project.name}"? This cannot be undone.`)) {
+                this._triggerCallbacks('delete', project.id);
+            }
+        }
+    }
+
+    /**
+     * Register a callback for opening a project
+     *
+     * @param {Function} callback - Function to call with the project id
+     */
+    onOpen(callback) {
+        this._addCallback('open', callback);
+    }
+
+    /**
+     * Register a callback for duplicating a project
+     *
+     * @param {Function} callback - Function to call with the project id
+     */
+    onDuplicate(callback) {
+        this._addCallback('duplicate', callback);
+    }
+
+    /**
+     * Register a callback for deleting a project
+     *
+     * @param {Function} callback - Function to call with the project id
+     */
+    onDelete(callback) {
+        this._addCallback('delete', callback);
+    }
+
+    /**
+     * Register a callback for editing a project's tags
+     *
+     * @param {Function} callback - Function to call with the project id and new tags
+     */
+    onTags(callback) {
+        this._addCallback('tags', callback);
+    }
+
+    /**
+     * @private
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback to register
+     */
+    _addCallback(event, callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+        this.callbacks[event].push(callback);
+    }
+
+    /**
+     * Trigger all callbacks for a specific event
+     *
+     * @private
+     * @param {string} event - Event name
+     * @param {...*} args - Arguments to pass to callbacks
+     */
+    _triggerCallbacks(event, ...args) {
+        this.callbacks[event].forEach(callback => {
+            try {
+                callback(...args);
+            } catch (error) {
+                console.error(`Error in ${event} callback:`, error);
+            }
+        });
+    }
+
+    /**
+     * Check if the dialog is currently visible
+     *
+     * @returns {boolean} True if dialog is visible
+     */
+    isVisible() {
+        return !this.dialog.classList.contains('hidden');
+    }
+}
@@ -0,0 +1,109 @@
+/**
+ * Tests for ProjectGalleryDialog Component
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ProjectGalleryDialog } from './project-gallery-dialog.js';
+
+describe('ProjectGalleryDialog', () => {
+    let gallery;
+
+    const projects = [
+        { id: 'p1', name: 'Flow field', tags: ['a4', 'black'], paper: 'A4 (210 × 297 mm)', createdAt: '2026-01-02T00:00:00.000Z', updatedAt: '2026-01-02T00:00:00.000Z', thumbnail: '<svg xmlns="http://www.w3.org/2000/svg"></svg>' },
+        { id: 'p2', name: 'Circles', tags: [], paper: '8.5x11', createdAt: '2026-01-01T00:00:00.000Z', updatedAt: '2026-01-01T00:00:00.000Z', thumbnail: null }
+    ];
+
+    /** Ids of the rendered cards, in order */
+    const cardIds = () => [...document.querySelectorAll('.project-card')].map(card => card.dataset.projectId);
+    const button = (id, action) => document.querySelector(`.project-card[data-project-id="${id}"] button[data-action="${action}"]`);
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="project-gallery-dialog" class="hidden">
+                <input id="project-gallery-search" />
+                <div id="project-gallery-list"></div>
+                <button id="close-project-gallery">Close</button>
+            </div>
+        `;
+        gallery = new ProjectGalleryDialog();
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+        document.body.innerHTML = '';
+    });
+
+    it('should throw error if required elements not found', () => {
+        document.body.innerHTML = '<div id="project-gallery-dialog"></div>';
+        expect(() => new ProjectGalleryDialog()).toThrow('Required dialog elements not found');
+    });
+
+    it('should show a card per project with its thumbnail', () => {
+        gallery.show(projects, 'p2');
+
+        expect(gallery.isVisible()).toBe(true);
+        expect(cardIds()).toEqual(['p1', 'p2']);
+        expect(document.querySelector('img.project-thumbnail').src).toContain('data:image/svg+xml');
+        expect(document.querySelector('[data-project-id="p2"] .project-name').textContent).toBe('Circles (open)');
+        expect(button('p2', 'delete').disabled).toBe(true);
+        expect(button('p1', 'delete').disabled).toBe(false);
+    });
+
+    it('should filter by the search box and by tag chips', () => {
+        gallery.show(projects, null);
+        const search = document.getElementById('project-gallery-search');
+
+        search.value = 'circ';
+        search.dispatchEvent(new Event('input'));
+        expect(cardIds()).toEqual(['p2']);
+
+        search.value = 'hexagon';
+        search.dispatchEvent(new Event('input'));
+        expect(document.querySelector('.project-gallery-empty').textContent).toBe('No projects match "hexagon"');
+
+        search.value = '';
+        search.dispatchEvent(new Event('input'));
+        document.querySelector('.project-tags button').click();
+        expect(search.value).toBe('a4');
+        expect(cardIds()).toEqual(['p1']);
+    });
+
+    it('should report open, duplicate, tag and delete actions', () => {
+        const open = vi.fn();
+        const duplicate = vi.fn();
+        const tags = vi.fn();
+        const remove = vi.fn();
+        gallery.onOpen(open);
+        gallery.onDuplicate(duplicate);
+        gallery.onTags(tags);
+        gallery.onDelete(remove);
+        gallery.show(projects, null);
+
+        vi.spyOn(window, 'prompt').mockReturnValue('print, a3, print');
+        button('p2', 'tags').click();
+        expect(tags).toHaveBeenCalledWith('p2', ['print', 'a3']);
+
+        vi.spyOn(window, 'confirm').mockReturnValueOnce(false).mockReturnValueOnce(true);
+        button('p1', 'delete').click();
+        expect(remove).not.toHaveBeenCalled();
+        button('p1', 'delete').click();
+        expect(remove).toHaveBeenCalledWith('p1');
+
+        button('p1', 'duplicate').click();
+        expect(duplicate).toHaveBeenCalledWith('p1');
+
+        button('p1', 'open').click();
+        expect(open).toHaveBeenCalledWith('p1');
+        expect(gallery.isVisible()).toBe(false);
+    });
+
+    it('should show an empty library message', () => {
+        gallery.show([], null);
+        expect(document.querySelector('.project-gallery-empty').textContent).toBe('No saved projects yet');
+    });
+
+    it('should throw error for non-function callbacks', () => {
+        expect(() => gallery.onOpen('nope')).toThrow('Callback must be a function');
+        expect(() => gallery.onDelete(null)).toThrow('Callback must be a function');
+    });
+});
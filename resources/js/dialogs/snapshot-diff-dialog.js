@@ -0,0 +1,249 @@
+/**
+ * SnapshotDiffDialog Component
+ *
+ * Shows a snapshot's code next to the current code in Monaco's diff
+ * editor, with a button to restore the snapshot. A picker switches between
+ * the main sketch and the helper modules of either version.
+ */
+
+import { SKETCH_MAIN_FILE } from '../generators/sketch-modules.js';
+
+/**
+ * SnapshotDiffDialog class manages the snapshot comparison modal dialog
+ */
+export class SnapshotDiffDialog {
+    /**
+     * @param {string} dialogId - The ID of the dialog element (default: 'snapshot-diff-dialog')
+     */
+    constructor(dialogId = 'snapshot-diff-dialog') {
+        this.dialog = document.getElementById(dialogId);
+        if (!this.dialog) {
+            throw new Error(`Dialog element with ID '${dialogId}' not found`);
+        }
+
+        this.editorContainer = document.getElementById('snapshot-diff-editor');
+        this.title = document.getElementById('snapshot-diff-title');
+        this.filePicker = document.getElementById('snapshot-diff-file');
+        this.restoreButton = document.getElementById('restore-snapshot');
+        this.closeButton = document.getElementById('close-snapshot-diff');
+
+        if (!this.editorContainer || !this.title || !this.filePicker || !this.restoreButton || !this.closeButton) {
+            throw new Error('Required dialog elements not found');
+        }
+
+        // Created on first show, once Monaco is certain to be loaded
+        this.diffEditor = null;
+        this.snapshot = null;
+        // Sources of both versions by file name, null where a file is missing
+        this.sources = new Map();
+        this.callbacks = {
+            restore: []
+        };
+
+        this._initializeEventListeners();
+    }
+
+    /**
+     * Initialize event listeners for dialog interactions
+     *
+     * @private
+     */
+    _initializeEventListeners() {
+        this.filePicker.addEventListener('change', () => {
+            this._showFile(this.filePicker.value);
+        });
+
+        this.restoreButton.addEventListener('click', () => {
+            this._handleRestore();
+        });
+
+        this.closeButton.addEventListener('click', () => {
+            this.hide();
+        });
+
+        // Escape key to close dialog
+        this.dialog.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.hide();
+            }
+        });
+
+        // Click outside dialog to close
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target === this.dialog) {
+                this.hide();
+            }
+        });
+    }
+
+    /**
+     * Show the differences between a snapshot and the current code
+     *
+     * Every file of either version can be picked; a file missing from one
+     * side is compared with an empty file. The main sketch is shown first,
+     * unless it is unchanged and a helper module is not.
+     *
+     * @param {import('../managers/snapshot-history').Snapshot} snapshot - Snapshot to compare
+     * @param {Object} current - Sources in the editor
+     * @param {string} current.code - Main sketch code
+     * @param {import('../generators/sketch-modules').SketchFile[]} [current.files=[]] - Helper modules
+     */
+    show(snapshot, { code, files = [] }) {
+        if (!window.monaco) {
+            throw new Error('Monaco Editor is not loaded');
+        }
+
+        if (!this.diffEditor) {
+            this.diffEditor = window.monaco.editor.createDiffEditor(this.editorContainer, {
+                readOnly: true,
+                originalEditable: false,
+                automaticLayout: true,
+                theme: 'vs-dark'
+            });
+        }
+
+        this.sources = new Map([[SKETCH_MAIN_FILE, { original: snapshot.code, modified: code }]]);
+        (snapshot.files ?? []).forEach(file => {
+            this.sources.set(file.name, { original: file.code, modified: null });
+        });
+        files.forEach(file => {
+            const source = this.sources.get(file.name) ?? { original: null };
+            this.sources.set(file.name, { original: source.original, modified: file.code });
+        });
+
+        this.filePicker.innerHTML = '';
+        this.sources.forEach((source, name) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = `${name}${_changeLabel(source)}`;
+            this.filePicker.appendChild(option);
+        });
+
+        const changed = Array.from(this.sources.keys())
+            .find(name => _changeLabel(this.sources.get(name)) !== '');
+        const main = this.sources.get(SKETCH_MAIN_FILE);
+        this._showFile(main.original === main.modified && changed ? changed : SKETCH_MAIN_FILE);
+
+        this.snapshot = snapshot;
+        this.title.textContent = `Snapshot of ${new Date(snapshot.createdAt).toLocaleString()} (left) and current code (right)`;
+
+        this.dialog.classList.remove('hidden');
+        this.dialog.classList.add('flex');
+    }
+
+    /**
+     * Hide the dialog
+     */
+    hide() {
+        this.dialog.classList.remove('flex');
+        this.dialog.classList.add('hidden');
+        this._disposeModels();
+        this.snapshot = null;
+        this.sources = new Map();
+    }
+
+    /**
+     * Compare one file of the two versions
+     *
+     * @private
+     * @param {string} name - File name
+     */
+    _showFile(name) {
+        const source = this.sources.get(name);
+        if (!source || !this.diffEditor) {
+            return;
+        }
+
+        this._disposeModels();
+        this.diffEditor.setModel({
+            original: window.monaco.editor.createModel(source.original ?? '', 'javascript'),
+            modified: window.monaco.editor.createModel(source.modified ?? '', 'javascript')
+        });
+        this.filePicker.value = name;
+    }
+
+    /**
+     * Release the models of the previous comparison
+     *
+     * @private
+     */
+    _disposeModels() {
+        const model = this.diffEditor?.getModel();
+        if (model) {
+            this.diffEditor.setModel(null);
+            model.original.dispose();
+            model.modified.dispose();
+        }
+    }
+
+    /**
+     * Handle restore button click
+     *
+     * @private
+     */
+    _handleRestore() {
+        if (!this.snapshot) {
+            return;
+        }
+
+        const id = this.snapshot.id;
+        this.hide();
+        this._triggerCallbacks('restore', id);
+    }
+
+    /**
+     * Register a callback for restoring the compared snapshot
+     *
+     * @param {Function} callback - Function to call with the snapshot id
+     */
+    onRestore(callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+        this.callbacks.restore.push(callback);
+    }
+
+    /**
+     * Trigger all callbacks for a specific event
+     *
+     * @private
+     * @param {string} event - Event name
+     * @param {*} data - Data to pass to callbacks
+     */
+    _triggerCallbacks(event, data) {
+        this.callbacks[event].forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`Error in ${event} callback:`, error);
+            }
+        });
+    }
+
+    /**
+     * Check if the dialog is currently visible
+     *
+     * @returns {boolean} True if dialog is visible
+     */
+    isVisible() {
+        return !this.dialog.classList.contains('hidden');
+    }
+}
+
+/**
+ * Suffix describing how a file differs between the two versions
+ *
+ * @private
+ * @param {{original: string|null, modified: string|null}} source - Both versions of the file
+ * @returns {string} Empty if unchanged
+ */
+function _changeLabel({ original, modified }) {
+    if (original === null) {
+        return ' (added)';
+    }
+    if (modified === null) {
+        return ' (removed)';
+    }
+    return original === modified ? '' : ' (changed)';
+}
@@ -0,0 +1,139 @@
+/**
+ * Tests for SnapshotDiffDialog Component
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SnapshotDiffDialog } from './snapshot-diff-dialog.js';
+
+describe('SnapshotDiffDialog', () => {
+    let diffDialog;
+    let diffEditor;
+    let originalMonaco;
+
+    const snapshot = { id: 's1', projectId: 'p', createdAt: '2026-03-01T10:00:00.000Z', manual: false, code: 'old code', params: {}, seed: 1, thumbnail: null };
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="snapshot-diff-dialog" class="hidden">
+                <h2 id="snapshot-diff-title"></h2>
+                <select id="snapshot-diff-file"></select>
+                <div id="snapshot-diff-editor"></div>
+                <button id="restore-snapshot">Restore</button>
+                <button id="close-snapshot-diff">Close</button>
+            </div>
+        `;
+
+        let model = null;
+        diffEditor = {
+            setModel: vi.fn(next => { model = next; }),
+            getModel: vi.fn(() => model)
+        };
+        originalMonaco = window.monaco;
+        window.monaco = {
+            editor: {
+                createDiffEditor: vi.fn(() => diffEditor),
+                createModel: vi.fn(value => ({ value, dispose: vi.fn() }))
+            }
+        };
+
+        diffDialog = new SnapshotDiffDialog();
+    });
+
+    afterEach(() => {
+        window.monaco = originalMonaco;
+        document.body.innerHTML = '';
+    });
+
+    it('should throw error if required elements not found', () => {
+        document.body.innerHTML = '<div id="snapshot-diff-dialog"></div>';
+        expect(() => new SnapshotDiffDialog()).toThrow('Required dialog elements not found');
+    });
+
+    it('should compare the snapshot with the current code', () => {
+        diffDialog.show(snapshot, { code: 'new code' });
+
+        expect(diffDialog.isVisible()).toBe(true);
+        expect(window.monaco.editor.createDiffEditor).toHaveBeenCalledWith(
+            document.getElementById('snapshot-diff-editor'),
+            expect.objectContaining({ readOnly: true })
+        );
+        expect(diffEditor.getModel().original.value).toBe('old code');
+        expect(diffEditor.getModel().modified.value).toBe('new code');
+    });
+
+    it('should offer every file of both versions', () => {
+        const withFiles = {
+            ...snapshot,
+            code: 'same',
+            files: [{ name: 'kept.js', code: 'a' }, { name: 'changed.js', code: 'b' }, { name: 'removed.js', code: 'c' }]
+        };
+        diffDialog.show(withFiles, {
+            code: 'same',
+            files: [{ name: 'kept.js', code: 'a' }, { name: 'added.js', code: 'd' }, { name: 'changed.js', code: 'B' }]
+        });
+
+        const picker = document.getElementById('snapshot-diff-file');
+        expect(Array.from(picker.options).map(option => option.textContent)).toEqual([
+            'main.js', 'kept.js', 'changed.js (changed)', 'removed.js (removed)', 'added.js (added)'
+        ]);
+
+        // The main sketch is unchanged, so the first changed file is shown
+        expect(picker.value).toBe('changed.js');
+        expect(diffEditor.getModel().original.value).toBe('b');
+        expect(diffEditor.getModel().modified.value).toBe('B');
+
+        picker.value = 'removed.js';
+        picker.dispatchEvent(new Event('change'));
+        expect(diffEditor.getModel().original.value).toBe('c');
+        expect(diffEditor.getModel().modified.value).toBe('');
+
+        picker.value = 'added.js';
+        picker.dispatchEvent(new Event('change'));
+        expect(diffEditor.getModel().original.value).toBe('');
+        expect(diffEditor.getModel().modified.value).toBe('d');
+    });
+
+    it('should show the main sketch first when it changed', () => {
+        diffDialog.show({ ...snapshot, files: [{ name: 'a.js', code: 'x' }] }, { code: 'new code', files: [{ name: 'a.js', code: 'y' }] });
+
+        expect(document.getElementById('snapshot-diff-file').value).toBe('main.js');
+        expect(diffEditor.getModel().original.value).toBe('old code');
+    });
+
+    it('should compare snapshots without helper modules', () => {
+        diffDialog.show(snapshot, { code: 'new code', files: [{ name: 'a.js', code: 'y' }] });
+
+        expect(Array.from(document.getElementById('snapshot-diff-file').options).map(option => option.value))
+            .toEqual(['main.js', 'a.js']);
+    });
+
+    it('should reuse the diff editor and dispose old models', () => {
+        diffDialog.show(snapshot, { code: 'first' });
+        const first = diffEditor.getModel();
+        diffDialog.show(snapshot, { code: 'second' });
+
+        expect(window.monaco.editor.createDiffEditor).toHaveBeenCalledTimes(1);
+        expect(first.original.dispose).toHaveBeenCalled();
+        expect(first.modified.dispose).toHaveBeenCalled();
+
+        diffDialog.hide();
+        expect(diffDialog.isVisible()).toBe(false);
+        expect(diffEditor.getModel()).toBeNull();
+    });
+
+    it('should restore the compared snapshot', () => {
+        const callback = vi.fn();
+        diffDialog.onRestore(callback);
+        diffDialog.show(snapshot, { code: 'new code' });
+
+        document.getElementById('restore-snapshot').click();
+
+        expect(callback).toHaveBeenCalledWith('s1');
+        expect(diffDialog.isVisible()).toBe(false);
+    });
+
+    it('should throw if Monaco is not loaded', () => {
+        window.monaco = undefined;
+        expect(() => diffDialog.show(snapshot, { code: '' })).toThrow('Monaco Editor is not loaded');
+    });
+});
@@ -0,0 +1,342 @@
+/**
+ * SnippetLibraryDialog Component
+ *
+ * Edits the snippet library: a list of snippets next to a Monaco editor
+ * for the selected one. Edits are saved when another snippet is selected
+ * or the dialog closes. The dialog reports save, delete, export and import
+ * actions and the app carries them out.
+ */
+
+import { resolveModuleName } from '../generators/sketch-modules.js';
+import { isValidSnippetName } from '../models/snippet.js';
+
+/**
+ * Code a new snippet starts with
+ */
+const NEW_SNIPPET_CODE = `// Import from any sketch with: import { example } from 'NAME';
+export function example() {
+}
+`;
+
+/**
+ * SnippetLibraryDialog class manages the snippet library modal dialog
+ */
+export class SnippetLibraryDialog {
+    /**
+     * @param {string} dialogId - The ID of the dialog element (default: 'snippet-library-dialog')
+     */
+    constructor(dialogId = 'snippet-library-dialog') {
+        this.dialog = document.getElementById(dialogId);
+        if (!this.dialog) {
+            throw new Error(`Dialog element with ID '${dialogId}' not found`);
+        }
+
+        this.list = document.getElementById('snippet-library-list');
+        this.editorContainer = document.getElementById('snippet-library-editor');
+        this.nameLabel = document.getElementById('snippet-library-name');
+        this.buttons = {
+            new: document.getElementById('new-snippet'),
+            save: document.getElementById('save-snippet'),
+            delete: document.getElementById('delete-snippet'),
+            export: document.getElementById('export-snippets'),
+            import: document.getElementById('import-snippets'),
+            close: document.getElementById('close-snippet-library')
+        };
+
+        if (!this.list || !this.editorContainer || !this.nameLabel || Object.values(this.buttons).some(button => !button)) {
+            throw new Error('Required dialog elements not found');
+        }
+
+        // Created on first show, once Monaco is certain to be loaded
+        this.editor = null;
+        this.snippets = [];
+        this.selected = null;
+        this.callbacks = {
+            save: [],
+            delete: [],
+            export: [],
+            import: []
+        };
+
+        this._initializeEventListeners();
+    }
+
+    /**
+     * Initialize event listeners for dialog interactions
+     *
+     * @private
+     */
+    _initializeEventListeners() {
+        this.buttons.new.addEventListener('click', () => this._handleNew());
+        this.buttons.save.addEventListener('click', () => this._commitEdits());
+        this.buttons.delete.addEventListener('click', () => this._handleDelete());
+        this.buttons.export.addEventListener('click', () => {
+            this._commitEdits();
+            this._triggerCallbacks('export');
+        });
+        this.buttons.import.addEventListener('click', () => {
+            this._commitEdits();
+            this._triggerCallbacks('import');
+        });
+        this.buttons.close.addEventListener('click', () => this.hide());
+
+        // Escape key to close dialog
+        this.dialog.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.hide();
+            }
+        });
+
+        // Click outside dialog to close
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target === this.dialog) {
+                this.hide();
+            }
+        });
+    }
+
+    /**
+     * Show the dialog with the library's snippets
+     *
+     * @param {import('../models/snippet').Snippet[]} snippets - Snippets, sorted by name
+     */
+    show(snippets) {
+        if (!window.monaco) {
+            throw new Error('Monaco Editor is not loaded');
+        }
+
+        if (!this.editor) {
+            this.editor = window.monaco.editor.create(this.editorContainer, {
+                value: '',
+                language: 'javascript',
+                theme: 'vs-dark',
+                automaticLayout: true,
+                minimap: { enabled: false }
+            });
+        }
+
+        this.selected = null;
+        this.setSnippets(snippets);
+
+        this.dialog.classList.remove('hidden');
+        this.dialog.classList.add('flex');
+    }
+
+    /**
+     * Hide the dialog, saving any edits
+     */
+    hide() {
+        this._commitEdits();
+        this.dialog.classList.remove('flex');
+        this.dialog.classList.add('hidden');
+    }
+
+    /**
+     * Replace the listed snippets
+     * Keeps the selection if the snippet still exists, otherwise selects the first.
+     *
+     * @param {import('../models/snippet').Snippet[]} snippets - Snippets, sorted by name
+     */
+    setSnippets(snippets) {
+        this.snippets = snippets;
+
+        const selected = snippets.find(snippet => snippet.name === this.selected) || snippets[0] || null;
+        this._show(selected);
+    }
+
+    /**
+     * Name of the snippet in the editor
+     *
+     * @returns {string|null} Snippet name, or null if the library is empty
+     */
+    getSelected() {
+        return this.selected;
+    }
+
+    /**
+     * Put a snippet in the editor and rebuild the list
+     *
+     * @private
+     * @param {import('../models/snippet').Snippet|null} snippet - Snippet to edit, or null for none
+     */
+    _show(snippet) {
+        this.selected = snippet ? snippet.name : null;
+
+        if (this.editor) {
+            const code = snippet ? snippet.code : '';
+            if (this.editor.getValue() !== code) {
+                this.editor.setValue(code);
+            }
+            this.editor.updateOptions({ readOnly: !snippet });
+        }
+
+        this.nameLabel.textContent = snippet ? snippet.name : 'No snippets yet';
+        this.buttons.save.disabled = !snippet;
+        this.buttons.delete.disabled = !snippet;
+        this._renderList();
+    }
+
+    /**
+     * Rebuild the list of snippet names
+     *
+     * @private
+     */
+    _renderList() {
+        this.list.innerHTML = '';
+
+        if (this.snippets.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'snippet-empty text-sm text-gray-500 p-2';
+            empty.textContent = 'Create a snippet to import it from any sketch';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        this.snippets.forEach(snippet => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `snippet-item w-full text-left px-3 py-2 text-sm font-mono rounded-lg ${
+                snippet.name === this.selected ? 'bg-blue-50 text-blue-700' : 'text-gray-700 hover:bg-gray-100'
+            }`;
+            button.dataset.snippet = snippet.name;
+            button.textContent = snippet.name;
+            button.title = `Last edited ${new Date(snippet.updatedAt).toLocaleString()}`;
+            button.addEventListener('click', () => {
+                this._commitEdits();
+                this._show(this.snippets.find(existing => existing.name === snippet.name) || null);
+            });
+            item.appendChild(button);
+            this.list.appendChild(item);
+        });
+    }
+
+    /**
+     * Report the editor's code if it differs from the selected snippet
+     *
+     * @private
+     */
+    _commitEdits() {
+        if (!this.editor || !this.selected) {
+            return;
+        }
+
+        const snippet = this.snippets.find(existing => existing.name === this.selected);
+        const code = this.editor.getValue();
+        if (snippet && snippet.code !== code) {
+            this._triggerCallbacks('save', this.selected, code);
+        }
+    }
+
+    /**
+     * Ask for a name and create a snippet
+     *
+     * @private
+     */
+    _handleNew() {
+        const input = prompt('Name for the new snippet:', 'hatching.js');
+        if (input === null) {
+            return;
+        }
+
+        const name = resolveModuleName(input.trim());
+        if (!isValidSnippetName(name)) {
+            alert(`Invalid snippet name: ${input}. Use letters, digits, - and _, ending in .js`);
+            return;
+        }
+        if (this.snippets.some(snippet => snippet.name === name)) {
+            alert(`A snippet named ${name} already exists`);
+            return;
+        }
+
+        this._commitEdits();
+        this.selected = name;
+        this._triggerCallbacks('save', name, NEW_SNIPPET_CODE.replace('NAME', name.replace(/\.js$/, '')));
+    }
+
+    /**
+     * Confirm and report deleting the selected snippet
+     *
+     * @private
+     */
+    _handleDelete() {
+        if (this.selected && confirm(`Delete the snippet ${this.selected}? Sketches importing it will fail.`)) {
+            this._triggerCallbacks('delete', this.selected);
+        }
+    }
+
+    /**
+     * Register a callback for saving a snippet
+     *
+     * @param {Function} callback - Called with the snippet name and code
+     */
+    onSave(callback) {
+        this._addCallback('save', callback);
+    }
+
+    /**
+     * Register a callback for deleting a snippet
+     *
+     * @param {Function} callback - Called with the snippet name
+     */
+    onDelete(callback) {
+        this._addCallback('delete', callback);
+    }
+
+    /**
+     * Register a callback for the Export button
+     *
+     * @param {Function} callback - Function to call when button is clicked
+     */
+    onExport(callback) {
+        this._addCallback('export', callback);
+    }
+
+    /**
+     * Register a callback for the Import button
+     *
+     * @param {Function} callback - Function to call when button is clicked
+     */
+    onImport(callback) {
+        this._addCallback('import', callback);
+    }
+
+    /**
+     * @private
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback to register
+     */
+    _addCallback(event, callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+        this.callbacks[event].push(callback);
+    }
+
+    /**
+     * Trigger all callbacks for an event
+     *
+     * @private
+     * @param {string} event - Event name
+     * @param {...*} args - Arguments to pass to callbacks
+     */
+    _triggerCallbacks(event, ...args) {
+        this.callbacks[event].forEach(callback => {
+            try {
+                callback(...args);
+            } catch (error) {
+                console.error(`Error in ${event} callback:`, error);
+            }
+        });
+    }
+
+    /**
+     * Check if the dialog is currently visible
+     *
+     * @returns {boolean} True if dialog is visible
+     */
+    isVisible() {
+        return !this.dialog.classList.contains('hidden');
+    }
+}
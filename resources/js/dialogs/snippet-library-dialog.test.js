@@ -0,0 +1,138 @@
+/**
+ * Tests for SnippetLibraryDialog Component
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SnippetLibraryDialog } from './snippet-library-dialog.js';
+
+describe('SnippetLibraryDialog', () => {
+    let snippetDialog;
+    let editor;
+    let originalMonaco;
+
+    const snippets = [
+        { name: 'hatching.js', code: 'export function hatchPolygon() {}', updatedAt: '2026-03-01T10:00:00.000Z' },
+        { name: 'noise.js', code: 'export const octaves = 4;', updatedAt: '2026-03-02T10:00:00.000Z' }
+    ];
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="snippet-library-dialog" class="hidden">
+                <ul id="snippet-library-list"></ul>
+                <span id="snippet-library-name"></span>
+                <div id="snippet-library-editor"></div>
+                <button id="new-snippet">New</button>
+                <button id="save-snippet">Save</button>
+                <button id="delete-snippet">Delete</button>
+                <button id="export-snippets">Export</button>
+                <button id="import-snippets">Import</button>
+                <button id="close-snippet-library">Close</button>
+            </div>
+        `;
+
+        let text = '';
+        editor = {
+            getValue: vi.fn(() => text),
+            setValue: vi.fn(value => { text = value; }),
+            updateOptions: vi.fn()
+        };
+        originalMonaco = window.monaco;
+        window.monaco = { editor: { create: vi.fn(() => editor) } };
+
+        snippetDialog = new SnippetLibraryDialog();
+    });
+
+    afterEach(() => {
+        window.monaco = originalMonaco;
+        document.body.innerHTML = '';
+        vi.unstubAllGlobals();
+    });
+
+    it('should throw error if required elements not found', () => {
+        document.body.innerHTML = '<div id="snippet-library-dialog"></div>';
+        expect(() => new SnippetLibraryDialog()).toThrow('Required dialog elements not found');
+    });
+
+    it('should list the snippets and edit the first one', () => {
+        snippetDialog.show(snippets);
+
+        expect(snippetDialog.isVisible()).toBe(true);
+        expect([...document.querySelectorAll('.snippet-item')].map(item => item.dataset.snippet)).toEqual(['hatching.js', 'noise.js']);
+        expect(snippetDialog.getSelected()).toBe('hatching.js');
+        expect(editor.getValue()).toBe(snippets[0].code);
+        expect(document.getElementById('snippet-library-name').textContent).toBe('hatching.js');
+    });
+
+    it('should save edits when switching snippets and closing', () => {
+        const save = vi.fn();
+        snippetDialog.onSave(save);
+        snippetDialog.show(snippets);
+
+        editor.setValue('edited');
+        document.querySelector('[data-snippet="noise.js"]').click();
+        expect(save).toHaveBeenCalledWith('hatching.js', 'edited');
+        expect(editor.getValue()).toBe(snippets[1].code);
+
+        document.getElementById('close-snippet-library').click();
+        expect(save).toHaveBeenCalledTimes(1);
+        expect(snippetDialog.isVisible()).toBe(false);
+
+        snippetDialog.show(snippets);
+        editor.setValue('edited again');
+        document.getElementById('close-snippet-library').click();
+        expect(save).toHaveBeenLastCalledWith('hatching.js', 'edited again');
+    });
+
+    it('should create snippets with a usable, unused name', () => {
+        const save = vi.fn();
+        const alert = vi.fn();
+        vi.stubGlobal('alert', alert);
+        vi.stubGlobal('prompt', vi.fn().mockReturnValueOnce('noise').mockReturnValueOnce('shapes'));
+        snippetDialog.onSave(save);
+        snippetDialog.show(snippets);
+
+        document.getElementById('new-snippet').click();
+        expect(alert).toHaveBeenCalledWith(expect.stringContaining('already exists'));
+        expect(save).not.toHaveBeenCalled();
+
+        document.getElementById('new-snippet').click();
+        expect(save).toHaveBeenCalledWith('shapes.js', expect.stringContaining("from 'shapes'"));
+
+        // The app answers with the updated library
+        snippetDialog.setSnippets([...snippets, { name: 'shapes.js', code: save.mock.calls[0][1], updatedAt: '' }]);
+        expect(snippetDialog.getSelected()).toBe('shapes.js');
+        expect(editor.getValue()).toBe(save.mock.calls[0][1]);
+    });
+
+    it('should report confirmed deletes, export and import', () => {
+        const remove = vi.fn();
+        const exportBundle = vi.fn();
+        const importBundle = vi.fn();
+        vi.stubGlobal('confirm', vi.fn(() => true));
+        snippetDialog.onDelete(remove);
+        snippetDialog.onExport(exportBundle);
+        snippetDialog.onImport(importBundle);
+        snippetDialog.show(snippets);
+
+        document.getElementById('delete-snippet').click();
+        document.getElementById('export-snippets').click();
+        document.getElementById('import-snippets').click();
+
+        expect(remove).toHaveBeenCalledWith('hatching.js');
+        expect(exportBundle).toHaveBeenCalled();
+        expect(importBundle).toHaveBeenCalled();
+    });
+
+    it('should disable editing while the library is empty', () => {
+        snippetDialog.show([]);
+
+        expect(document.querySelector('.snippet-empty')).not.toBeNull();
+        expect(document.getElementById('delete-snippet').disabled).toBe(true);
+        expect(editor.updateOptions).toHaveBeenLastCalledWith({ readOnly: true });
+    });
+
+    it('should throw if Monaco is not loaded', () => {
+        window.monaco = undefined;
+        expect(() => snippetDialog.show(snippets)).toThrow('Monaco Editor is not loaded');
+    });
+});
@@ -6,10 +6,13 @@
  * - Error highlighting
  * - Auto-save functionality
  * - Code change event handling
+ * - Tabs for the helper modules of multi-file projects
  * 
  * Requirements: 1.1, 1.4, 7.1, 7.5, 8.1
  */
 
+import { SKETCH_MAIN_FILE } from '../generators/sketch-modules.js';
+
 /**
  * CodeEditor class manages the Monaco Editor instance
  */
@@ -25,9 +28,16 @@ export class CodeEditor {
         this.container = containerElement;
         this.editor = null;
         this.changeListeners = [];
+        this.fileOpenListeners = [];
         this.autoSaveTimer = null;
         this.autoSaveDelay = 1000; // 1 second debounce
         this.decorations = []; // Store error decorations
+
+        // One Monaco model per file, in tab order, so each keeps its own undo
+        // history; view states keep the cursor and scroll of hidden tabs
+        this.models = new Map();
+        this.viewStates = new Map();
+        this.activeFile = SKETCH_MAIN_FILE;
     }
 
     /**
@@ -42,10 +52,12 @@ export class CodeEditor {
             throw new Error('Monaco Editor is not loaded');
         }
 
+        this.models.set(SKETCH_MAIN_FILE, this._createModel(initialValue));
+        this.activeFile = SKETCH_MAIN_FILE;
+
         // Create Monaco Editor instance
         this.editor = window.monaco.editor.create(this.container, {
-            value: initialValue,
-            language: 'javascript',
+            model: this.models.get(SKETCH_MAIN_FILE),
             theme: 'vs-dark',
             automaticLayout: true,
             minimap: { enabled: false },
@@ -67,7 +79,7 @@ export class CodeEditor {
     }
 
     /**
-     * Get the current code value from the editor
+     * Get the code of the main sketch file, whichever tab is open
      * 
      * @returns {string} The current code content
      */
@@ -75,11 +87,11 @@ export class CodeEditor {
         if (!this.editor) {
             throw new Error('Editor is not initialized');
         }
-        return this.editor.getValue();
+        return this._getSource(SKETCH_MAIN_FILE);
     }
 
     /**
-     * Set the code value in the editor
+     * Set the code of the main sketch file
      * 
      * @param {string} code - The code to set
      * @returns {void}
@@ -88,39 +100,203 @@ export class CodeEditor {
         if (!this.editor) {
             throw new Error('Editor is not initialized');
         }
-        this.editor.setValue(code);
+        this.models.get(SKETCH_MAIN_FILE).setValue(code);
+    }
+
+    /**
+     * Get the helper modules, in tab order
+     * 
+     * @returns {import('../generators/sketch-modules').SketchFile[]} Files besides the main sketch
+     */
+    getFiles() {
+        if (!this.editor) {
+            throw new Error('Editor is not initialized');
+        }
+        return this.getFileNames()
+            .filter(name => name !== SKETCH_MAIN_FILE)
+            .map(name => ({ name, code: this._getSource(name) }));
+    }
+
+    /**
+     * Replace the helper modules and show the main sketch
+     * 
+     * @param {import('../generators/sketch-modules').SketchFile[]} files - Files besides the main sketch
+     * @returns {void}
+     */
+    setFiles(files) {
+        this.openFile(SKETCH_MAIN_FILE);
+        this.getFileNames()
+            .filter(name => name !== SKETCH_MAIN_FILE)
+            .forEach(name => this._disposeFile(name));
+        files.forEach(file => this.models.set(file.name, this._createModel(file.code)));
+    }
+
+    /**
+     * Get the names of all files, main sketch first
+     * 
+     * @returns {string[]} File names in tab order
+     */
+    getFileNames() {
+        return [...this.models.keys()];
+    }
+
+    /**
+     * Get the name of the file shown in the editor
+     * 
+     * @returns {string} File name
+     */
+    getActiveFile() {
+        return this.activeFile;
+    }
+
+    /**
+     * Show a file in the editor
+     * Its cursor, selection and scroll position are restored.
+     * 
+     * @param {string} name - File name
+     * @returns {void}
+     * @throws {Error} If there is no such file
+     */
+    openFile(name) {
+        if (!this.editor) {
+            throw new Error('Editor is not initialized');
+        }
+        if (!this.models.has(name)) {
+            throw new Error(`Unknown file: ${name}`);
+        }
+        if (name === this.activeFile) {
+            return;
+        }
+
+        this.clearErrors();
+        this.viewStates.set(this.activeFile, this.editor.saveViewState());
+        this.activeFile = name;
+
+        // Swapping models is not an edit, so it does not trigger auto-save
+        this.editor.setModel(this.models.get(name));
+        if (this.viewStates.has(name)) {
+            this.editor.restoreViewState(this.viewStates.get(name));
+        }
+
+        this.fileOpenListeners.forEach(callback => {
+            try {
+                callback(name);
+            } catch (error) {
+                console.error('Error in file open listener:', error);
+            }
+        });
+    }
+
+    /**
+     * Add a helper module and show it
+     * 
+     * @param {string} name - File name
+     * @param {string} [code=''] - Initial code
+     * @returns {void}
+     * @throws {Error} If a file with that name exists
+     */
+    addFile(name, code = '') {
+        if (this.models.has(name)) {
+            throw new Error(`File already exists: ${name}`);
+        }
+        this.models.set(name, this._createModel(code));
+        this.openFile(name);
+    }
+
+    /**
+     * Remove a helper module
+     * The main sketch file cannot be removed.
+     * 
+     * @param {string} name - File name
+     * @returns {void}
+     */
+    removeFile(name) {
+        if (name === SKETCH_MAIN_FILE) {
+            throw new Error('The main sketch file cannot be removed');
+        }
+        if (name === this.activeFile) {
+            this.openFile(SKETCH_MAIN_FILE);
+        }
+        this._disposeFile(name);
+    }
+
+    /**
+     * Code of a file
+     * 
+     * @private
+     * @param {string} name - File name
+     * @returns {string} Code
+     */
+    _getSource(name) {
+        return this.models.get(name).getValue();
+    }
+
+    /**
+     * Create the Monaco model holding a file
+     * 
+     * @private
+     * @param {string} code - Code of the file
+     * @returns {Object} Monaco text model
+     */
+    _createModel(code) {
+        return window.monaco.editor.createModel(code, 'javascript');
+    }
+
+    /**
+     * Forget a file and release its model
+     * 
+     * @private
+     * @param {string} name - File name
+     * @returns {void}
+     */
+    _disposeFile(name) {
+        const model = this.models.get(name);
+        if (model) {
+            model.dispose();
+        }
+        this.models.delete(name);
+        this.viewStates.delete(name);
     }
 
     /**
      * Register an event listener for code changes
      * 
-     * @param {string} event - Event name (currently only 'change' is supported)
+     * 'change' is called with the main sketch code on every edit and
+     * 'fileopen' with the file name when another tab is shown.
+     * 
+     * @param {string} event - Event name ('change' or 'fileopen')
      * @param {Function} callback - Callback function to execute on event
      * @returns {void}
      */
     on(event, callback) {
-        if (event === 'change') {
-            if (typeof callback !== 'function') {
-                throw new Error('Callback must be a function');
-            }
-            this.changeListeners.push(callback);
-        } else {
+        const listeners = { change: this.changeListeners, fileopen: this.fileOpenListeners }[event];
+        if (!listeners) {
             throw new Error(`Unsupported event: ${event}`);
         }
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+        listeners.push(callback);
     }
 
     /**
      * Highlight an error in the editor
+     * Shows the file the error is in first.
      * 
      * @param {number} line - Line number where the error occurred (1-indexed)
      * @param {string} message - Error message to display
+     * @param {string} [file] - File the line is in (default: the main sketch)
      * @returns {void}
      */
-    highlightError(line, message) {
+    highlightError(line, message, file = SKETCH_MAIN_FILE) {
         if (!this.editor) {
             throw new Error('Editor is not initialized');
         }
 
+        if (this.models.has(file)) {
+            this.openFile(file);
+        }
+
         // Clear previous error decorations
         this.clearErrors();
 
@@ -198,7 +374,7 @@ export class CodeEditor {
     _triggerAutoSave() {
         // Dispatch custom event for auto-save
         const event = new CustomEvent('autosave', {
-            detail: { code: this.getValue() }
+            detail: { code: this.getValue(), files: this.getFiles() }
         });
         this.container.dispatchEvent(event);
     }
@@ -248,8 +424,12 @@ export class CodeEditor {
             this.editor.dispose();
             this.editor = null;
         }
+        this.models.forEach(model => model.dispose());
+        this.models.clear();
+        this.viewStates.clear();
 
         this.changeListeners = [];
+        this.fileOpenListeners = [];
         this.decorations = [];
     }
 }
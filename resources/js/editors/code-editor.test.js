@@ -7,12 +7,78 @@
  * - Event listeners
  * - Error highlighting
  * - Auto-save functionality
+ * - File tabs
  */
 
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import * as fc from 'fast-check';
 import { CodeEditor } from './code-editor.js';
 
+/**
+ * Mock Monaco with text models; the editor shows one model at a time and,
+ * like Monaco, reports changes to the shown model as edits
+ */
+const createMockMonaco = () => {
+    let shown = null;
+    const editorInstance = {
+        getValue: vi.fn(() => shown.getValue()),
+        setValue: vi.fn((value) => shown.setValue(value)),
+        getModel: vi.fn(() => shown),
+        setModel: vi.fn((model) => { shown = model; }),
+        saveViewState: vi.fn(() => ({ cursor: shown.getValue().length })),
+        restoreViewState: vi.fn(),
+        onDidChangeModelContent: vi.fn((callback) => {
+            editorInstance._changeCallback = callback;
+            return { dispose: vi.fn() };
+        }),
+        deltaDecorations: vi.fn((oldDecorations, newDecorations) => {
+            return newDecorations.map((_, i) => `decoration-${i}`);
+        }),
+        dispose: vi.fn(),
+        _changeCallback: null,
+        _triggerChange: function() {
+            if (this._changeCallback) {
+                this._changeCallback();
+            }
+        }
+    };
+
+    const createModel = vi.fn((value = '') => {
+        let text = value;
+        const model = {
+            getValue: vi.fn(() => text),
+            setValue: vi.fn((next) => {
+                text = next;
+                if (shown === model) {
+                    editorInstance._triggerChange();
+                }
+            }),
+            dispose: vi.fn()
+        };
+        return model;
+    });
+
+    const monaco = {
+        editor: {
+            create: vi.fn((container, options) => {
+                shown = options.model;
+                return editorInstance;
+            }),
+            createModel
+        },
+        Range: class Range {
+            constructor(startLine, startCol, endLine, endCol) {
+                this.startLineNumber = startLine;
+                this.startColumn = startCol;
+                this.endLineNumber = endLine;
+                this.endColumn = endCol;
+            }
+        }
+    };
+
+    return { monaco, editorInstance };
+};
+
 describe('CodeEditor', () => {
     let container;
     let editor;
@@ -25,38 +91,7 @@ describe('CodeEditor', () => {
         document.body.appendChild(container);
 
         // Mock Monaco Editor
-        const mockEditorInstance = {
-            getValue: vi.fn(() => ''),
-            setValue: vi.fn(),
-            onDidChangeModelContent: vi.fn((callback) => {
-                mockEditorInstance._changeCallback = callback;
-                return { dispose: vi.fn() };
-            }),
-            deltaDecorations: vi.fn((oldDecorations, newDecorations) => {
-                return newDecorations.map((_, i) => `decoration-${i}`);
-            }),
-            dispose: vi.fn(),
-            _changeCallback: null,
-            _triggerChange: function() {
-                if (this._changeCallback) {
-                    this._changeCallback();
-                }
-            }
-        };
-
-        mockMonaco = {
-            editor: {
-                create: vi.fn(() => mockEditorInstance)
-            },
-            Range: class Range {
-                constructor(startLine, startCol, endLine, endCol) {
-                    this.startLineNumber = startLine;
-                    this.startColumn = startCol;
-                    this.endLineNumber = endLine;
-                    this.endColumn = endCol;
-                }
-            }
-        };
+        mockMonaco = createMockMonaco().monaco;
 
         // Set up global Monaco
         window.monaco = mockMonaco;
@@ -95,11 +130,11 @@ describe('CodeEditor', () => {
             editor = new CodeEditor(container);
             editor.init();
 
+            expect(mockMonaco.editor.createModel).toHaveBeenCalledWith('', 'javascript');
             expect(mockMonaco.editor.create).toHaveBeenCalledWith(
                 container,
                 expect.objectContaining({
-                    value: '',
-                    language: 'javascript',
+                    model: mockMonaco.editor.createModel.mock.results[0].value,
                     theme: 'vs-dark',
                     automaticLayout: true,
                 })
@@ -111,12 +146,8 @@ describe('CodeEditor', () => {
             const initialCode = 'console.log("Hello");';
             editor.init(initialCode);
 
-            expect(mockMonaco.editor.create).toHaveBeenCalledWith(
-                container,
-                expect.objectContaining({
-                    value: initialCode
-                })
-            );
+            expect(mockMonaco.editor.createModel).toHaveBeenCalledWith(initialCode, 'javascript');
+            expect(editor.getValue()).toBe(initialCode);
         });
 
         it('should set up change listener on initialization', () => {
@@ -140,10 +171,9 @@ describe('CodeEditor', () => {
 
         it('should get current code value', () => {
             const testCode = 'const x = 10;';
-            editor.editor.getValue.mockReturnValue(testCode);
+            editor.editor.getModel().setValue(testCode);
 
             expect(editor.getValue()).toBe(testCode);
-            expect(editor.editor.getValue).toHaveBeenCalled();
         });
 
         it('should throw error when setting value before initialization', () => {
@@ -155,7 +185,8 @@ describe('CodeEditor', () => {
             const testCode = 'const y = 20;';
             editor.setValue(testCode);
 
-            expect(editor.editor.setValue).toHaveBeenCalledWith(testCode);
+            expect(editor.editor.getModel().setValue).toHaveBeenCalledWith(testCode);
+            expect(editor.getValue()).toBe(testCode);
         });
     });
 
@@ -185,7 +216,7 @@ describe('CodeEditor', () => {
             editor.on('change', callback);
 
             const testCode = 'const z = 30;';
-            editor.editor.getValue.mockReturnValue(testCode);
+            editor.editor.getModel().setValue(testCode);
 
             // Simulate code change
             editor.editor._triggerChange();
@@ -200,7 +231,7 @@ describe('CodeEditor', () => {
             editor.on('change', callback2);
 
             const testCode = 'const a = 1;';
-            editor.editor.getValue.mockReturnValue(testCode);
+            editor.editor.getModel().setValue(testCode);
 
             editor.editor._triggerChange();
 
@@ -216,7 +247,7 @@ describe('CodeEditor', () => {
             editor.on('change', goodCallback);
 
             const testCode = 'const b = 2;';
-            editor.editor.getValue.mockReturnValue(testCode);
+            editor.editor.getModel().setValue(testCode);
 
             // Should not throw
             expect(() => editor.editor._triggerChange()).not.toThrow();
@@ -324,7 +355,7 @@ describe('CodeEditor', () => {
             container.addEventListener('autosave', autoSaveListener);
 
             const testCode = 'const x = 1;';
-            editor.editor.getValue.mockReturnValue(testCode);
+            editor.editor.getModel().setValue(testCode);
 
             // Trigger change
             editor.editor._triggerChange();
@@ -362,6 +393,118 @@ describe('CodeEditor', () => {
         });
     });
 
+    describe('Files', () => {
+        beforeEach(() => {
+            editor = new CodeEditor(container);
+            editor.init();
+        });
+
+        it('should start with only the main sketch', () => {
+            expect(editor.getFileNames()).toEqual(['main.js']);
+            expect(editor.getActiveFile()).toBe('main.js');
+            expect(editor.getFiles()).toEqual([]);
+        });
+
+        it('should keep each file\'s code while switching tabs', () => {
+            editor.setValue('main code');
+            editor.addFile('helpers.js', 'helper code');
+
+            expect(editor.getActiveFile()).toBe('helpers.js');
+            expect(editor.editor.getValue()).toBe('helper code');
+            expect(editor.getValue()).toBe('main code');
+
+            editor.editor.setValue('edited helper');
+            editor.openFile('main.js');
+
+            expect(editor.editor.getValue()).toBe('main code');
+            expect(editor.getFiles()).toEqual([{ name: 'helpers.js', code: 'edited helper' }]);
+            expect(() => editor.addFile('helpers.js')).toThrow('File already exists: helpers.js');
+            expect(() => editor.openFile('missing.js')).toThrow('Unknown file: missing.js');
+        });
+
+        it('should give each file its own model and view state', () => {
+            editor.addFile('helpers.js', 'helper code');
+            const helperModel = editor.editor.getModel();
+            editor.openFile('main.js');
+            const mainModel = editor.editor.getModel();
+            editor.openFile('helpers.js');
+
+            // The models are swapped, not rewritten, so their undo history survives
+            expect(editor.editor.getModel()).toBe(helperModel);
+            expect(helperModel.setValue).not.toHaveBeenCalled();
+            expect(mainModel).not.toBe(helperModel);
+            expect(editor.editor.restoreViewState).toHaveBeenCalledWith({ cursor: 'helper code'.length });
+        });
+
+        it('should dispose the models of removed and replaced files', () => {
+            editor.addFile('old.js', 'old');
+            const oldModel = editor.editor.getModel();
+            editor.addFile('gone.js', 'gone');
+            const goneModel = editor.editor.getModel();
+
+            editor.removeFile('gone.js');
+            expect(goneModel.dispose).toHaveBeenCalled();
+            expect(oldModel.dispose).not.toHaveBeenCalled();
+
+            editor.setFiles([{ name: 'a.js', code: 'a' }]);
+            expect(oldModel.dispose).toHaveBeenCalled();
+
+            const models = mockMonaco.editor.createModel.mock.results.map(result => result.value);
+            editor.dispose();
+            models.forEach(model => expect(model.dispose).toHaveBeenCalled());
+        });
+
+        it('should not report switching tabs as a change', () => {
+            const change = vi.fn();
+            const fileOpen = vi.fn();
+            editor.on('change', change);
+            editor.on('fileopen', fileOpen);
+
+            editor.setFiles([{ name: 'a.js', code: 'a' }]);
+            editor.openFile('a.js');
+
+            expect(change).not.toHaveBeenCalled();
+            expect(fileOpen).toHaveBeenCalledWith('a.js');
+        });
+
+        it('should replace and remove helper files', () => {
+            editor.addFile('old.js');
+            editor.setFiles([{ name: 'a.js', code: 'a' }, { name: 'b.js', code: 'b' }]);
+
+            expect(editor.getActiveFile()).toBe('main.js');
+            expect(editor.getFileNames()).toEqual(['main.js', 'a.js', 'b.js']);
+
+            editor.openFile('a.js');
+            editor.removeFile('a.js');
+
+            expect(editor.getActiveFile()).toBe('main.js');
+            expect(editor.getFiles()).toEqual([{ name: 'b.js', code: 'b' }]);
+            expect(() => editor.removeFile('main.js')).toThrow('The main sketch file cannot be removed');
+        });
+
+        it('should open the file an error is in', () => {
+            editor.setFiles([{ name: 'a.js', code: 'a' }]);
+
+            editor.highlightError(1, 'Boom', 'a.js');
+
+            expect(editor.getActiveFile()).toBe('a.js');
+            expect(editor.decorations).toHaveLength(1);
+        });
+
+        it('should include helper files in auto-save', () => {
+            vi.useFakeTimers();
+            const autoSaveListener = vi.fn();
+            container.addEventListener('autosave', autoSaveListener);
+
+            editor.setFiles([{ name: 'a.js', code: 'a' }]);
+            editor.setValue('main');
+            vi.advanceTimersByTime(1000);
+
+            expect(autoSaveListener.mock.calls[0][0].detail).toEqual({ code: 'main', files: [{ name: 'a.js', code: 'a' }] });
+            vi.useRealTimers();
+        });
+    });
+
     describe('Dispose', () => {
         beforeEach(() => {
             editor = new CodeEditor(container);
@@ -447,37 +590,7 @@ describe('CodeEditor', () => {
                         document.body.appendChild(testContainer);
                         
                         // Create a mock Monaco instance that properly stores values
-                        let storedValue = '';
-                        const mockEditorInstance = {
-                            getValue: vi.fn(() => storedValue),
-                            setValue: vi.fn((value) => { storedValue = value; }),
-                            onDidChangeModelContent: vi.fn((callback) => {
-                                mockEditorInstance._changeCallback = callback;
-                                return { dispose: vi.fn() };
-                            }),
-                            deltaDecorations: vi.fn(() => []),
-                            dispose: vi.fn(),
-                            _changeCallback: null,
-                            _triggerChange: function() {
-                                if (this._changeCallback) {
-                                    this._changeCallback();
-                                }
-                            }
-                        };
-
-                        const mockMonacoLocal = {
-                            editor: {
-                                create: vi.fn(() => mockEditorInstance)
-                            },
-                            Range: class Range {
-                                constructor(startLine, startCol, endLine, endCol) {
-                                    this.startLineNumber = startLine;
-                                    this.startColumn = startCol;
-                                    this.endLineNumber = endLine;
-                                    this.endColumn = endCol;
-                                }
-                            }
-                        };
+                        const { monaco: mockMonacoLocal, editorInstance: mockEditorInstance } = createMockMonaco();
 
                         // Temporarily replace global Monaco
                         const originalMonaco = window.monaco;
@@ -493,7 +606,6 @@ describe('CodeEditor', () => {
 
                             // Set the code value
                             testEditor.setValue(code);
-                            mockEditorInstance.getValue.mockReturnValue(code);
 
                             // Trigger a code change
                             mockEditorInstance._triggerChange();
@@ -535,37 +647,7 @@ describe('CodeEditor', () => {
                         document.body.appendChild(testContainer);
                         
                         // Create a mock Monaco instance
-                        let storedValue = '';
-                        const mockEditorInstance = {
-                            getValue: vi.fn(() => storedValue),
-                            setValue: vi.fn((value) => { storedValue = value; }),
-                            onDidChangeModelContent: vi.fn((callback) => {
-                                mockEditorInstance._changeCallback = callback;
-                                return { dispose: vi.fn() };
-                            }),
-                            deltaDecorations: vi.fn(() => []),
-                            dispose: vi.fn(),
-                            _changeCallback: null,
-                            _triggerChange: function() {
-                                if (this._changeCallback) {
-                                    this._changeCallback();
-                                }
-                            }
-                        };
-
-                        const mockMonacoLocal = {
-                            editor: {
-                                create: vi.fn(() => mockEditorInstance)
-                            },
-                            Range: class Range {
-                                constructor(startLine, startCol, endLine, endCol) {
-                                    this.startLineNumber = startLine;
-                                    this.startColumn = startCol;
-                                    this.endLineNumber = endLine;
-                                    this.endColumn = endCol;
-                                }
-                            }
-                        };
+                        const { monaco: mockMonacoLocal, editorInstance: mockEditorInstance } = createMockMonaco();
 
                         // Temporarily replace global Monaco
                         const originalMonaco = window.monaco;
@@ -581,9 +663,7 @@ describe('CodeEditor', () => {
 
                             // Trigger multiple rapid changes (within debounce window)
                             for (let i = 0; i < codeArray.length; i++) {
-                                storedValue = codeArray[i];
-                                mockEditorInstance.getValue.mockReturnValue(codeArray[i]);
-                                mockEditorInstance._triggerChange();
+                                mockEditorInstance.setValue(codeArray[i]);
                                 
                                 // Advance time by less than debounce delay
                                 vi.advanceTimersByTime(300);
@@ -625,37 +705,7 @@ describe('CodeEditor', () => {
                         document.body.appendChild(testContainer);
                         
                         // Create a mock Monaco instance
-                        let storedValue = '';
-                        const mockEditorInstance = {
-                            getValue: vi.fn(() => storedValue),
-                            setValue: vi.fn((value) => { storedValue = value; }),
-                            onDidChangeModelContent: vi.fn((callback) => {
-                                mockEditorInstance._changeCallback = callback;
-                                return { dispose: vi.fn() };
-                            }),
-                            deltaDecorations: vi.fn(() => []),
-                            dispose: vi.fn(),
-                            _changeCallback: null,
-                            _triggerChange: function() {
-                                if (this._changeCallback) {
-                                    this._changeCallback();
-                                }
-                            }
-                        };
-
-                        const mockMonacoLocal = {
-                            editor: {
-                                create: vi.fn(() => mockEditorInstance)
-                            },
-                            Range: class Range {
-                                constructor(startLine, startCol, endLine, endCol) {
-                                    this.startLineNumber = startLine;
-                                    this.startColumn = startCol;
-                                    this.endLineNumber = endLine;
-                                    this.endColumn = endCol;
-                                }
-                            }
-                        };
+                        const { monaco: mockMonacoLocal, editorInstance: mockEditorInstance } = createMockMonaco();
 
                         // Temporarily replace global Monaco
                         const originalMonaco = window.monaco;
@@ -671,7 +721,6 @@ describe('CodeEditor', () => {
 
                             // Set empty code
                             testEditor.setValue(code);
-                            mockEditorInstance.getValue.mockReturnValue(code);
 
                             // Trigger a code change
                             mockEditorInstance._triggerChange();
@@ -724,28 +773,7 @@ describe('CodeEditor', () => {
                         document.body.appendChild(testContainer);
                         
                         // Create a mock Monaco instance that properly stores values
-                        let storedValue = '';
-                        const mockEditorInstance = {
-                            getValue: vi.fn(() => storedValue),
-                            setValue: vi.fn((value) => { storedValue = value; }),
-                            onDidChangeModelContent: vi.fn(() => ({ dispose: vi.fn() })),
-                            deltaDecorations: vi.fn(() => []),
-                            dispose: vi.fn()
-                        };
-
-                        const mockMonacoLocal = {
-                            editor: {
-                                create: vi.fn(() => mockEditorInstance)
-                            },
-                            Range: class Range {
-                                constructor(startLine, startCol, endLine, endCol) {
-                                    this.startLineNumber = startLine;
-                                    this.startColumn = startCol;
-                                    this.endLineNumber = endLine;
-                                    this.endColumn = endCol;
-                                }
-                            }
-                        };
+                        const { monaco: mockMonacoLocal, editorInstance: mockEditorInstance } = createMockMonaco();
 
                         // Temporarily replace global Monaco
                         const originalMonaco = window.monaco;
@@ -808,28 +836,7 @@ describe('CodeEditor', () => {
                         document.body.appendChild(testContainer);
                         
                         // Create a mock Monaco instance that properly stores values
-                        let storedValue = '';
-                        const mockEditorInstance = {
-                            getValue: vi.fn(() => storedValue),
-                            setValue: vi.fn((value) => { storedValue = value; }),
-                            onDidChangeModelContent: vi.fn(() => ({ dispose: vi.fn() })),
-                            deltaDecorations: vi.fn(() => []),
-                            dispose: vi.fn()
-                        };
-
-                        const mockMonacoLocal = {
-                            editor: {
-                                create: vi.fn(() => mockEditorInstance)
-                            },
-                            Range: class Range {
-                                constructor(startLine, startCol, endLine, endCol) {
-                                    this.startLineNumber = startLine;
-                                    this.startColumn = startCol;
-                                    this.endLineNumber = endLine;
-                                    this.endColumn = endCol;
-                                }
-                            }
-                        };
+                        const { monaco: mockMonacoLocal, editorInstance: mockEditorInstance } = createMockMonaco();
 
                         // Temporarily replace global Monaco
                         const originalMonaco = window.monaco;
@@ -867,28 +874,7 @@ describe('CodeEditor', () => {
                         document.body.appendChild(testContainer);
                         
                         // Create a mock Monaco instance that properly stores values
-                        let storedValue = '';
-                        const mockEditorInstance = {
-                            getValue: vi.fn(() => storedValue),
-                            setValue: vi.fn((value) => { storedValue = value; }),
-                            onDidChangeModelContent: vi.fn(() => ({ dispose: vi.fn() })),
-                            deltaDecorations: vi.fn(() => []),
-                            dispose: vi.fn()
-                        };
-
-                        const mockMonacoLocal = {
-                            editor: {
-                                create: vi.fn(() => mockEditorInstance)
-                            },
-                            Range: class Range {
-                                constructor(startLine, startCol, endLine, endCol) {
-                                    this.startLineNumber = startLine;
-                                    this.startColumn = startCol;
-                                    this.endLineNumber = endLine;
-                                    this.endColumn = endCol;
-                                }
-                            }
-                        };
+                        const { monaco: mockMonacoLocal, editorInstance: mockEditorInstance } = createMockMonaco();
 
                         // Temporarily replace global Monaco
                         const originalMonaco = window.monaco;
@@ -2,7 +2,9 @@
  * ErrorDisplay class
  * 
  * Manages the display of code execution errors with proper formatting,
- * type distinction, and line number information.
+ * type distinction, and line number information. Plottability warnings
+ * share the same panel but are styled apart from errors and never replace
+ * one.
  * 
  * Requirements: 8.1, 8.2, 8.3, 8.4, 8.5
  */
@@ -18,6 +20,7 @@ export class ErrorDisplay {
         }
         
         this.container = containerElement;
+        this.showingWarnings = false;
         this._initializeContainer();
     }
 
@@ -47,11 +50,12 @@ export class ErrorDisplay {
      * @param {'syntax'|'runtime'} [error.type] - Error type
      * @param {number|null} [error.line] - Line number where error occurred
      * @param {number|null} [error.column] - Column number where error occurred
+     * @param {string|null} [error.file] - Sketch file the line is in
      */
     showError(error) {
         // Handle string errors
         if (typeof error === 'string') {
-            this._displayFormattedError('Error', error, null, null);
+            this._displayFormattedError('Error', error, null, null, null);
             return;
         }
         
@@ -60,9 +64,10 @@ export class ErrorDisplay {
         const message = error.message || 'An unknown error occurred';
         const line = error.line || null;
         const column = error.column || null;
+        const file = error.file || null;
         
         // Format and display the error
-        this._displayFormattedError(errorType, message, line, column);
+        this._displayFormattedError(errorType, message, line, column, file);
     }
 
     /**
@@ -73,10 +78,12 @@ export class ErrorDisplay {
      * @param {string} message - Error message
      * @param {number|null} line - Line number
      * @param {number|null} column - Column number
+     * @param {string|null} file - Sketch file name
      */
-    _displayFormattedError(type, message, line, column) {
+    _displayFormattedError(type, message, line, column, file) {
         // Clear previous content
         this.contentContainer.innerHTML = '';
+        this._setWarningStyle(false);
         
         // Create error type header
         const typeHeader = document.createElement('div');
@@ -111,6 +118,9 @@ export class ErrorDisplay {
             if (column !== null) {
                 locationText += `, Column ${column}`;
             }
+            if (file !== null) {
+                locationText += ` in ${file}`;
+            }
             
             locationContainer.textContent = locationText;
             this.contentContainer.appendChild(locationContainer);
@@ -122,12 +132,81 @@ export class ErrorDisplay {
     }
 
     /**
-     * Clear the error display
+     * Show plottability warnings, one line per category
+     * Nothing changes while an error is displayed; an empty list clears
+     * earlier warnings.
+     * 
+     * @param {import('../utils/svg-lint').PlotWarning[]} warnings - Warnings to show
+     */
+    showWarnings(warnings) {
+        if (this.hasError()) {
+            return;
+        }
+        if (!warnings || warnings.length === 0) {
+            this.clearWarnings();
+            return;
+        }
+
+        this.contentContainer.innerHTML = '';
+        this._setWarningStyle(true);
+
+        const header = document.createElement('div');
+        header.className = 'font-bold mb-2 text-base text-amber-800';
+        header.textContent = '💡 Plotting Warnings';
+        this.contentContainer.appendChild(header);
+
+        const list = document.createElement('ul');
+        list.className = 'space-y-1 text-amber-900';
+        warnings.forEach(warning => {
+            const item = document.createElement('li');
+            item.className = 'warning-item';
+            item.dataset.category = warning.category;
+
+            const noun = warning.count === 1 ? 'element' : 'elements';
+            let text = `${warning.message} (${warning.count} ${noun})`;
+            if (warning.line) {
+                text += ` · 📍 Line ${warning.line}`;
+                if (warning.file) {
+                    text += ` in ${warning.file}`;
+                }
+            }
+            item.textContent = text;
+            list.appendChild(item);
+        });
+        this.contentContainer.appendChild(list);
+
+        this.container.classList.remove('hidden');
+        this.container.classList.add('block');
+    }
+
+    /**
+     * Clear the warnings, leaving a displayed error in place
+     */
+    clearWarnings() {
+        if (this.showingWarnings) {
+            this.clearError();
+        }
+    }
+
+    /**
+     * Switch the container between error and warning styling
+     * 
+     * @private
+     * @param {boolean} warning - True for warnings
+     */
+    _setWarningStyle(warning) {
+        this.showingWarnings = warning;
+        this.container.classList.toggle('warning-display', warning);
+    }
+
+    /**
+     * Clear the error display, and any warnings with it
      * 
      * Requirement: 8.4
      */
     clearError() {
         this.contentContainer.innerHTML = '';
+        this._setWarningStyle(false);
         this.container.classList.add('hidden');
         this.container.classList.remove('block');
     }
@@ -138,7 +217,16 @@ export class ErrorDisplay {
      * @returns {boolean} True if error is displayed
      */
     hasError() {
-        return !this.container.classList.contains('hidden');
+        return !this.showingWarnings && !this.container.classList.contains('hidden');
+    }
+
+    /**
+     * Check if warnings are currently displayed
+     * 
+     * @returns {boolean} True if warnings are displayed
+     */
+    hasWarnings() {
+        return this.showingWarnings;
     }
 
     /**
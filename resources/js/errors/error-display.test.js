@@ -111,6 +111,12 @@ describe('ErrorDisplay', () => {
             expect(container.textContent).toContain('Column 25');
         });
 
+        it('should name the file the error is in', () => {
+            errorDisplay.showError({ message: 'Boom', type: 'runtime', line: 3, column: 7, file: 'hatching.js' });
+
+            expect(container.textContent).toContain('Line 3, Column 7 in hatching.js');
+        });
+
         it('should handle error without line number', () => {
             const error = {
                 message: 'Generic error',
@@ -260,4 +266,52 @@ describe('ErrorDisplay', () => {
             expect(container.textContent).toContain(specialMessage);
         });
     });
+
+    describe('showWarnings', () => {
+        const warnings = [
+            { category: 'fill', message: 'Fills are not plotted', count: 3, line: 4, file: 'main.js' },
+            { category: 'text', message: 'Text is not plotted', count: 1, line: null, file: null }
+        ];
+
+        it('should list each category with its count and line', () => {
+            errorDisplay.showWarnings(warnings);
+
+            const items = container.querySelectorAll('.warning-item');
+            expect(container.classList.contains('hidden')).toBe(false);
+            expect(container.textContent).toContain('Plotting Warnings');
+            expect(items).toHaveLength(2);
+            expect(items[0].textContent).toBe('Fills are not plotted (3 elements) · 📍 Line 4 in main.js');
+            expect(items[1].textContent).toBe('Text is not plotted (1 element)');
+        });
+
+        it('should be styled apart from errors', () => {
+            errorDisplay.showWarnings(warnings);
+
+            expect(container.classList.contains('warning-display')).toBe(true);
+            expect(errorDisplay.hasWarnings()).toBe(true);
+            expect(errorDisplay.hasError()).toBe(false);
+
+            errorDisplay.showError('Broken');
+            expect(container.classList.contains('warning-display')).toBe(false);
+            expect(errorDisplay.hasWarnings()).toBe(false);
+            expect(errorDisplay.hasError()).toBe(true);
+        });
+
+        it('should never replace an error', () => {
+            errorDisplay.showError('Broken');
+            errorDisplay.showWarnings(warnings);
+            errorDisplay.clearWarnings();
+
+            expect(container.textContent).toContain('Broken');
+            expect(container.querySelector('.warning-item')).toBeNull();
+        });
+
+        it('should clear when there is nothing to report', () => {
+            errorDisplay.showWarnings(warnings);
+            errorDisplay.showWarnings([]);
+
+            expect(container.classList.contains('hidden')).toBe(true);
+            expect(errorDisplay.hasWarnings()).toBe(false);
+        });
+    });
 });
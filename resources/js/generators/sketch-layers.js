@@ -0,0 +1,88 @@
+/**
+ * Sketch Layers
+ *
+ * Implements `draw.layer(name)`, which gives sketches one top-level group
+ * per plotter pen. Layer groups are marked with a data attribute in the
+ * generated markup; the exporter turns them into Inkscape layers. Layer
+ * descriptions travel back from the sketch worker as plain objects so the
+ * app can build the layer list.
+ *
+ * @typedef {Object} LayerInfo
+ * @property {string} name - Layer name as passed to draw.layer()
+ * @property {string|null} color - First stroke color used in the layer, null if none
+ */
+
+/**
+ * Attribute that marks a top-level group as a layer
+ * @type {string}
+ */
+export const LAYER_ATTRIBUTE = 'data-layer';
+
+/**
+ * Attach `layer()` to an SVG.js drawing
+ *
+ * Calling `draw.layer(name)` with a new name appends a group to the drawing;
+ * calling it again with the same name returns the same group, so sketches can
+ * switch back and forth between pens.
+ *
+ * @param {Object} draw - SVG.js root element
+ * @returns {{layer: Function, describeLayers: Function}} The layer function and a
+ *     function returning LayerInfo for every layer in document order
+ */
+export function createLayersApi(draw) {
+    const layers = new Map();
+
+    const layer = (name) => {
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new Error('Invalid layer name: must be a non-empty string');
+        }
+
+        const key = name.trim();
+        if (!layers.has(key)) {
+            layers.set(key, draw.group().attr(LAYER_ATTRIBUTE, key));
+        }
+        return layers.get(key);
+    };
+
+    const describeLayers = () => Array.from(layers.entries())
+        .filter(([, group]) => group.node.parentNode === draw.node)
+        .map(([name, group]) => ({ name, color: findStrokeColor(group.node) }));
+
+    draw.layer = layer;
+
+    return { layer, describeLayers };
+}
+
+/**
+ * First stroke color set on an element or its descendants
+ *
+ * @param {Element} element - Element to search
+ * @returns {string|null} Stroke color, or null if nothing is stroked
+ */
+export function findStrokeColor(element) {
+    const stroke = _ownStroke(element);
+    if (stroke) {
+        return stroke;
+    }
+
+    for (const child of Array.from(element.children)) {
+        const color = findStrokeColor(child);
+        if (color) {
+            return color;
+        }
+    }
+    return null;
+}
+
+/**
+ * Stroke set directly on an element, with the style attribute taking precedence
+ *
+ * @private
+ * @param {Element} element - Element to read
+ * @returns {string|null} Stroke color, or null if unset or 'none'
+ */
+function _ownStroke(element) {
+    const match = /(?:^|;)\s*stroke\s*:\s*([^;]+)/.exec(element.getAttribute('style') || '');
+    const stroke = match ? match[1].trim() : element.getAttribute('stroke');
+    return stroke && stroke !== 'none' ? stroke : null;
+}
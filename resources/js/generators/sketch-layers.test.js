@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { runSketch } from './sketch-runtime.js';
+import { findStrokeColor, LAYER_ATTRIBUTE } from './sketch-layers.js';
+
+describe('sketch layers', () => {
+    const viewport = { width: 4, height: 4 };
+
+    describe('draw.layer', () => {
+        it('should put shapes in a marked top-level group', () => {
+            const { svg, layers } = runSketch(`
+                draw.layer('1-black').circle(1).center(1, 1).stroke('#000');
+            `, viewport);
+
+            expect(svg).toContain(`<g ${LAYER_ATTRIBUTE}="1-black"><circle`);
+            expect(layers).toEqual([{ name: '1-black', color: '#000000' }]);
+        });
+
+        it('should return the same group for the same name', () => {
+            const { svg, layers } = runSketch(`
+                const black = draw.layer('1-black');
+                draw.layer('2-red').line(0, 0, 1, 1).stroke({ color: '#f00', width: 0.02 });
+                draw.layer(' 1-black ').rect(1, 1);
+                if (black !== draw.layer('1-black')) throw new Error('different group');
+            `, viewport);
+
+            expect(svg.match(/data-layer="1-black"/g)).toHaveLength(1);
+            expect(layers).toEqual([
+                { name: '1-black', color: null },
+                { name: '2-red', color: '#ff0000' }
+            ]);
+        });
+
+        it('should reject empty layer names', () => {
+            expect(() => runSketch("draw.layer('  ');", viewport)).toThrow('Invalid layer name: must be a non-empty string');
+            expect(() => runSketch('draw.layer(3);', viewport)).toThrow('Invalid layer name');
+        });
+
+        it('should not report layers the sketch removed', () => {
+            const { layers } = runSketch("draw.layer('gone').remove();", viewport);
+            expect(layers).toEqual([]);
+        });
+    });
+
+    describe('findStrokeColor', () => {
+        it('should prefer the style attribute and skip unstroked elements', () => {
+            const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            group.innerHTML = '<rect stroke="none"/><line stroke="blue" style="fill: red; stroke: green"/>';
+            expect(findStrokeColor(group)).toBe('green');
+            expect(findStrokeColor(group.firstChild)).toBeNull();
+        });
+    });
+});
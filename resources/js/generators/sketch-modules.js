@@ -0,0 +1,602 @@
+/**
+ * Sketch Modules
+ *
+ * Lets a sketch be split into files: the main sketch plus helper modules
+ * that can `import`/`require` each other. Import and export statements are
+ * rewritten into CommonJS-style calls without moving any code to another
+ * line, and every file is compiled with a `sourceURL` naming it, so errors
+ * can be traced back to the file and line they came from.
+ */
+
+/**
+ * Name of the main sketch file, shown as the first editor tab
+ * @type {string}
+ */
+export const SKETCH_MAIN_FILE = 'main.js';
+
+/**
+ * Prefix of the source URLs sketch files are compiled with
+ * @type {string}
+ */
+const SOURCE_URL_PREFIX = 'sketch://files/';
+
+/**
+ * Stack frame location in a sketch file: file, line and column
+ * @type {RegExp}
+ */
+const FRAME_PATTERN = /sketch:\/\/files\/([^:\s()]+):(\d+):(\d+)/;
+
+/**
+ * Kinds of characters in a code mask: comment, code and string-like literal
+ */
+const COMMENT = 0;
+const CODE = 1;
+const LITERAL = 2;
+
+/**
+ * Keywords after which a slash starts a regular expression
+ */
+const REGEX_KEYWORDS = new Set([
+    'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await'
+]);
+
+/**
+ * Characters after which, or before which, a line break does not end a statement
+ */
+const CONTINUES_AFTER = ',=+-*/%&|^!?:<>~.';
+const CONTINUES_BEFORE = ',=+-*/%&|^?:<>.';
+
+/**
+ * Lines the Function constructor adds before the body, measured on first use
+ * @type {number|null}
+ */
+let functionLineOffset = null;
+
+/**
+ * @typedef {Object} SketchFile
+ * @property {string} name - File name, e.g. "hatching.js"
+ * @property {string} code - Source code
+ */
+
+/**
+ * @typedef {Object} SketchLocation
+ * @property {string} file - Name of the sketch file
+ * @property {number} line - Line in that file (1-indexed)
+ * @property {number|null} column - Column in that line (1-indexed), null for syntax errors
+ */
+
+/**
+ * Whether a name can be used for a sketch file
+ * Names are flat (no folders) and end in .js.
+ *
+ * @param {any} name - Value to check
+ * @returns {boolean} True for names like "noise-field.js"
+ */
+export function isValidModuleName(name) {
+    return typeof name === 'string' && /^[A-Za-z_$][\w$-]*\.js$/.test(name);
+}
+
+/**
+ * Resolve an import specifier to a file name
+ * "./hatching.js", "./hatching", "hatching.js" and "hatching" all name
+ * the file "hatching.js".
+ *
+ * @param {string} specifier - Specifier from import or require()
+ * @returns {string|null} File name, or null if the specifier cannot name a sketch file
+ */
+export function resolveModuleName(specifier) {
+    if (typeof specifier !== 'string') {
+        return null;
+    }
+
+    const name = specifier.replace(/^\.\//, '');
+    const withExtension = name.endsWith('.js') ? name : `${name}.js`;
+    return isValidModuleName(withExtension) ? withExtension : null;
+}
+
+/**
+ * Rewrite import and export statements into require(), module and exports
+ *
+ * Statements must start on their own line; lines inside comments, strings
+ * and template literals are left alone. Each statement is replaced on the
+ * line it started on and padded with the newlines it spanned, and exported
+ * names are assigned after the last line, so every other line of the file
+ * keeps its number.
+ *
+ * @param {string} source - Module source code
+ * @returns {string} Function body using require, module and exports
+ * @throws {SyntaxError} For import and export forms that are not supported, with the line
+ */
+export function transformModule(source) {
+    const exported = [];
+    let code = source;
+
+    // import 'x';
+    code = _replaceStatements(code, /^([ \t]*)import\s*(['"])([^'"\n]+)\2[ \t]*;?/gm, (match, indent, quote, specifier) =>
+        _sameLines(match, `${indent}require(${JSON.stringify(specifier)});`)
+    );
+    // import def, { a, b as c } from 'x';  import * as ns from 'x';
+    code = _replaceStatements(code, /^([ \t]*)import\s+([\w$*{][^'";]*?)\s+from\s*(['"])([^'"\n]+)\3[ \t]*;?/gm,
+        (match, indent, clause, quote, specifier) =>
+            _sameLines(match, `${indent}${_importDeclaration(clause, JSON.stringify(specifier))}`)
+    );
+    // export { a, b as c } from 'x';  export * from 'x';
+    code = _replaceStatements(code, /^([ \t]*)export\s*(\*|\{[^}]*\})\s*from\s*(['"])([^'"\n]+)\3[ \t]*;?/gm,
+        (match, indent, clause, quote, specifier) => {
+            const required = `require(${JSON.stringify(specifier)})`;
+            const statement = clause === '*'
+                ? `{ const { default: __default, ...__names } = ${required}; Object.assign(exports, __names); }`
+                : `{ const __module = ${required}; ${_specifiers(clause)
+                    .map(([local, name]) => `exports.${name} = __module.${local};`)
+                    .join(' ')} }`;
+            return _sameLines(match, `${indent}${statement}`);
+        }
+    );
+    // export { a, b as c };
+    code = _replaceStatements(code, /^([ \t]*)export\s*(\{[^}]*\})[ \t]*;?/gm, (match, indent, clause) => {
+        exported.push(..._specifiers(clause));
+        return _sameLines(match, indent);
+    });
+    // export default function name() {}  export default class Name {}
+    code = _replaceStatements(code, /^([ \t]*)export\s+default\s+((?:async\s+)?function\s*\*?\s*([\w$]+)|class\s+([\w$]+))/gm,
+        (match, indent, declaration, functionName, className) => {
+            exported.push([functionName || className, 'default']);
+            return `${indent}${declaration}`;
+        }
+    );
+    // export default expression
+    code = _replaceStatements(code, /^([ \t]*)export\s+default\s+/gm, (match, indent) => `${indent}exports.default = `);
+    // export function f() {}  export class C {}
+    code = _replaceStatements(code, /^([ \t]*)export\s+((?:async\s+)?function\s*\*?\s*([\w$]+)|class\s+([\w$]+))/gm,
+        (match, indent, declaration, functionName, className) => {
+            const name = functionName || className;
+            exported.push([name, name]);
+            return `${indent}${declaration}`;
+        }
+    );
+    // export const x = 1, y = 2;
+    code = _replaceStatements(code, /^([ \t]*)export\s+(const|let|var)(?![\w$])/gm, (match, indent, kind, offset, text) => {
+        _declaredNames(text, offset + match.length, kind).forEach(name => exported.push([name, name]));
+        return `${indent}${kind}`;
+    });
+
+    const assignments = exported.map(([local, name]) => `exports.${name} = ${local};`);
+    return assignments.length > 0 ? `${code}\n${assignments.join(' ')}` : code;
+}
+
+/**
+ * Run a multi-file sketch
+ *
+ * Every file is called with the sketch scope (draw, params, random
+ * helpers...) plus require, module and exports, and runs in a block of its
+ * own, so its declarations can reuse those names. Modules run once, the
+ * first time they are required; circular imports see the exports assigned
+ * so far, as in CommonJS.
+ *
+ * @param {string} mainCode - Code of the main sketch file
+ * @param {Object<string, string>} modules - Helper module code keyed by file name
+ * @param {Object<string, *>} scope - Variables available to every file
+ * @throws {Error} Any error thrown while compiling or running a file; compile errors carry the file and line
+ */
+export function runModules(mainCode, modules, scope) {
+    const names = Object.keys(scope);
+    const values = names.map(name => scope[name]);
+    const loaded = new Map();
+
+    const parameters = [...names, 'require', 'module', 'exports'];
+
+    const load = (name, source) => {
+        const module = { exports: {} };
+        loaded.set(name, module);
+
+        let body = null;
+        let compiled;
+        try {
+            body = transformModule(source);
+            compiled = new Function(...parameters, `${_block(body)}\n//# sourceURL=${SOURCE_URL_PREFIX}${name}`);
+        } catch (error) {
+            // Syntax errors have no stack frame in the file
+            error.file = name;
+            if (body !== null && error.line === undefined) {
+                error.line = _syntaxErrorLine(parameters, body, error.message, source.split('\n').length);
+            }
+            throw error;
+        }
+
+        compiled(...values, require, module, module.exports);
+        return module.exports;
+    };
+
+    const require = (specifier) => {
+        const name = resolveModuleName(specifier);
+        if (!name || name === SKETCH_MAIN_FILE || !Object.hasOwn(modules, name)) {
+            throw new Error(`Cannot find module '${specifier}'`);
+        }
+        return loaded.has(name) ? loaded.get(name).exports : load(name, modules[name]);
+    };
+
+    load(SKETCH_MAIN_FILE, mainCode);
+}
+
+/**
+ * Find where in the sketch files an error was thrown
+ * Compile errors carry their file and line; other errors are located by
+ * the innermost stack frame in a sketch file.
+ *
+ * @param {Error} error - Error thrown by runModules
+ * @returns {SketchLocation|null} Location, or null if the stack has none
+ */
+export function locateSketchError(error) {
+    if (typeof error?.file === 'string' && Number.isInteger(error.line)) {
+        return { file: error.file, line: error.line, column: null };
+    }
+
+    const match = typeof error?.stack === 'string' ? error.stack.match(FRAME_PATTERN) : null;
+    if (!match) {
+        return null;
+    }
+
+    return {
+        file: match[1],
+        line: Math.max(1, parseInt(match[2], 10) - _functionLineOffset()),
+        column: parseInt(match[3], 10)
+    };
+}
+
+/**
+ * Put a file's code in a block of its own
+ * Top-level declarations in the block shadow the parameters a file is
+ * called with, where they would otherwise redeclare them (const seed = 42).
+ *
+ * @private
+ * @param {string} body - Function body
+ * @returns {string} The body in braces, on lines of their own
+ */
+function _block(body) {
+    return `{\n${body}\n}`;
+}
+
+/**
+ * Lines the Function constructor and _block put before the body in this engine
+ *
+ * @private
+ * @returns {number} Offset to subtract from reported line numbers
+ */
+function _functionLineOffset() {
+    if (functionLineOffset === null) {
+        try {
+            new Function(`${_block('throw new Error();')}\n//# sourceURL=${SOURCE_URL_PREFIX}probe.js`)();
+        } catch (error) {
+            const match = typeof error.stack === 'string' ? error.stack.match(FRAME_PATTERN) : null;
+            functionLineOffset = match ? parseInt(match[2], 10) - 1 : 0;
+        }
+    }
+    return functionLineOffset;
+}
+
+/**
+ * Line of a compile error
+ * The Function constructor does not say where code failed to compile, so
+ * ever longer beginnings of the code are compiled until one fails the same
+ * way. Code that is only unfinished fails at its last line.
+ *
+ * @private
+ * @param {string[]} parameters - Parameter names the code was compiled with
+ * @param {string} body - Code that failed to compile
+ * @param {string} message - Message of the compile error
+ * @param {number} lineCount - Lines in the file (the body may have more)
+ * @returns {number|null} Line (1-indexed), or null if it cannot be found
+ */
+function _syntaxErrorLine(parameters, body, message, lineCount) {
+    if (message === _compileError(parameters, '(')) {
+        return lineCount;
+    }
+
+    const lines = body.split('\n');
+    for (let count = 1; count <= lines.length; count++) {
+        if (_compileError(parameters, lines.slice(0, count).join('\n')) === message) {
+            return Math.min(count, lineCount);
+        }
+    }
+    return null;
+}
+
+/**
+ * Message of the error compiling code throws, if any
+ *
+ * @private
+ * @param {string[]} parameters - Parameter names
+ * @param {string} body - Function body, compiled in a block as files are
+ * @returns {string|null} Error message, or null if the code compiles
+ */
+function _compileError(parameters, body) {
+    try {
+        new Function(...parameters, _block(body));
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Build the declaration an import clause turns into
+ *
+ * @private
+ * @param {string} clause - Text between "import" and "from"
+ * @param {string} source - Quoted specifier
+ * @returns {string} const declaration using require()
+ */
+function _importDeclaration(clause, source) {
+    const match = clause.trim().match(/^(?:([\w$]+)\s*(?:,\s*|$))?(?:\*\s*as\s+([\w$]+)|(\{[^}]*\}))?$/);
+    if (!match) {
+        throw new SyntaxError(`Unsupported import: import ${clause.trim()} from ${source}`);
+    }
+
+    const [, defaultName, namespace, named] = match;
+    if (namespace) {
+        return defaultName
+            ? `const ${namespace} = require(${source}), ${defaultName} = ${namespace}.default;`
+            : `const ${namespace} = require(${source});`;
+    }
+
+    const bindings = named ? _specifiers(named).map(([name, local]) => (name === local ? name : `${name}: ${local}`)) : [];
+    if (defaultName) {
+        bindings.unshift(`default: ${defaultName}`);
+    }
+    return `const { ${bindings.join(', ')} } = require(${source});`;
+}
+
+/**
+ * Parse "{ a, b as c }" into [name, alias] pairs
+ *
+ * @private
+ * @param {string} clause - Braced specifier list
+ * @returns {Array<[string, string]>} Pairs of the name before and after "as"
+ */
+function _specifiers(clause) {
+    return clause
+        .replace(/[{}]/g, '')
+        .split(',')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+            const [name, alias] = part.split(/\s+as\s+/);
+            return [name, alias || name];
+        });
+}
+
+/**
+ * Pad a replacement with the newlines of the text it replaces
+ *
+ * @private
+ * @param {string} original - Replaced text
+ * @param {string} replacement - New text
+ * @returns {string} Replacement spanning the same number of lines
+ */
+function _sameLines(original, replacement) {
+    return replacement + '\n'.repeat((original.match(/\n/g) || []).length);
+}
+
+/**
+ * Replace statements matched at the start of a line, skipping matches that
+ * start inside a comment, string or template literal
+ *
+ * Errors thrown by the replacer get the line of the statement, which is
+ * the same in the source since replacements keep every line in place.
+ *
+ * @private
+ * @param {string} code - Code to rewrite
+ * @param {RegExp} pattern - Global, multiline pattern starting with the indentation
+ * @param {Function} replacer - Called like a String.replace callback
+ * @returns {string} Rewritten code
+ */
+function _replaceStatements(code, pattern, replacer) {
+    const mask = _codeMask(code);
+    return code.replace(pattern, (match, indent, ...rest) => {
+        const offset = rest[rest.length - 2];
+        if (mask[offset + indent.length] !== CODE) {
+            return match;
+        }
+        try {
+            return replacer(match, indent, ...rest);
+        } catch (error) {
+            if (error.line === undefined) {
+                error.line = code.slice(0, offset).split('\n').length;
+            }
+            throw error;
+        }
+    });
+}
+
+/**
+ * Names declared by a variable statement, read up to its end
+ *
+ * @private
+ * @param {string} code - Code containing the statement
+ * @param {number} start - Position just after const, let or var
+ * @param {string} kind - The keyword, for error messages
+ * @returns {string[]} Declared names in order
+ * @throws {SyntaxError} If a declarator is a destructuring pattern
+ */
+function _declaredNames(code, start, kind) {
+    const mask = _codeMask(code);
+    const names = [];
+    let expectName = true;
+    let depth = 0;
+    let last = '';
+
+    for (let i = start; i < code.length; i++) {
+        const c = code[i];
+        if (mask[i] === COMMENT) {
+            continue;
+        }
+        if (mask[i] === LITERAL) {
+            last = '"';
+            continue;
+        }
+        if (/\s/.test(c)) {
+            // Without a semicolon the statement ends at a line that does not continue it
+            if (c === '\n' && depth === 0 && !expectName && _endsStatement(last, _nextCodeCharacter(code, mask, i + 1))) {
+                break;
+            }
+            continue;
+        }
+
+        if (expectName) {
+            const name = code.slice(i).match(/^[A-Za-z_$][\w$]*/);
+            if (!name) {
+                throw new SyntaxError(
+                    `Unsupported export: export ${kind} with destructuring (declare the variables, then export { ... } them)`
+                );
+            }
+            names.push(name[0]);
+            i += name[0].length - 1;
+            expectName = false;
+            last = 'a';
+            continue;
+        }
+
+        if ('([{'.includes(c)) {
+            depth++;
+        } else if (')]}'.includes(c)) {
+            depth--;
+        } else if (depth === 0 && c === ';') {
+            break;
+        } else if (depth === 0 && c === ',') {
+            expectName = true;
+        }
+        last = c;
+    }
+
+    return names;
+}
+
+/**
+ * Whether a line break between two characters ends a statement
+ *
+ * @private
+ * @param {string} last - Last character before the break ('a' for names, '"' for literals)
+ * @param {string} next - First character after it, '' at the end of the code
+ * @returns {boolean} True if the statement ends
+ */
+function _endsStatement(last, next) {
+    return !CONTINUES_AFTER.includes(last) && (next === '' || !CONTINUES_BEFORE.includes(next));
+}
+
+/**
+ * First character of code (not whitespace or comment) from a position
+ *
+ * @private
+ * @param {string} code - Code to search
+ * @param {Uint8Array} mask - Result of _codeMask for the code
+ * @param {number} from - Position to start at
+ * @returns {string} The character, '"' for a literal, '' at the end of the code
+ */
+function _nextCodeCharacter(code, mask, from) {
+    for (let i = from; i < code.length; i++) {
+        if (mask[i] === LITERAL) {
+            return '"';
+        }
+        if (mask[i] === CODE && !/\s/.test(code[i])) {
+            return code[i];
+        }
+    }
+    return '';
+}
+
+/**
+ * Classify every character of some code as code, comment or literal
+ * Strings, template literals (with their ${} expressions) and regular
+ * expression literals are literals.
+ *
+ * @private
+ * @param {string} code - JavaScript code
+ * @returns {Uint8Array} COMMENT, CODE or LITERAL per character
+ */
+function _codeMask(code) {
+    const mask = new Uint8Array(code.length);
+    // Brace depth at which each open template ${} expression closes
+    const templates = [];
+    let braces = 0;
+    let i = 0;
+
+    // Skip template text from i to just past its closing backtick or next ${
+    const skipTemplateText = () => {
+        while (i < code.length && code[i] !== '`' && !(code[i] === '$' && code[i + 1] === '{')) {
+            i += code[i] === '\\' ? 2 : 1;
+        }
+        if (code[i] === '$') {
+            templates.push(braces);
+            i++;
+        }
+        i++;
+    };
+
+    while (i < code.length) {
+        const c = code[i];
+        const from = i;
+        let kind = LITERAL;
+
+        if (c === '/' && (code[i + 1] === '/' || code[i + 1] === '*')) {
+            const end = code[i + 1] === '/' ? code.indexOf('\n', i) : code.indexOf('*/', i + 2);
+            i = end === -1 ? code.length : end + (code[i + 1] === '/' ? 0 : 2);
+            kind = COMMENT;
+        } else if (c === '"' || c === "'") {
+            i++;
+            while (i < code.length && code[i] !== c && code[i] !== '\n') {
+                i += code[i] === '\\' ? 2 : 1;
+            }
+            i++;
+        } else if (c === '`') {
+            i++;
+            skipTemplateText();
+        } else if (c === '}' && templates.length > 0 && braces === templates[templates.length - 1]) {
+            templates.pop();
+            i++;
+            skipTemplateText();
+        } else if (c === '/' && _startsRegex(code, i)) {
+            let inClass = false;
+            i++;
+            while (i < code.length && code[i] !== '\n' && (inClass || code[i] !== '/')) {
+                if (code[i] === '[' || code[i] === ']') {
+                    inClass = code[i] === '[';
+                }
+                i += code[i] === '\\' ? 2 : 1;
+            }
+            i++;
+        } else {
+            braces += c === '{' ? 1 : c === '}' ? -1 : 0;
+            // Template expressions count as part of their literal
+            kind = templates.length > 0 ? LITERAL : CODE;
+            i++;
+        }
+
+        mask.fill(kind, from, Math.min(i, code.length));
+    }
+
+    return mask;
+}
+
+/**
+ * Whether a slash in code starts a regular expression rather than a division
+ *
+ * @private
+ * @param {string} code - JavaScript code
+ * @param {number} index - Position of the slash
+ * @returns {boolean} True at the start, after operators and openers, and after keywords like return
+ */
+function _startsRegex(code, index) {
+    let end = index;
+    while (end > 0 && /\s/.test(code[end - 1])) {
+        end--;
+    }
+    let start = end;
+    while (start > 0 && /[\w$]/.test(code[start - 1])) {
+        start--;
+    }
+
+    if (start < end) {
+        return REGEX_KEYWORDS.has(code.slice(start, end));
+    }
+    return end === 0 || !')]}'.includes(code[end - 1]);
+}
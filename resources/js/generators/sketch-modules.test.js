@@ -0,0 +1,255 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    SKETCH_MAIN_FILE,
+    isValidModuleName,
+    resolveModuleName,
+    transformModule,
+    runModules,
+    locateSketchError
+} from './sketch-modules.js';
+
+describe('sketch modules', () => {
+    /**
+     * Run a sketch and return what it passed to out()
+     */
+    const run = (mainCode, modules = {}) => {
+        const calls = [];
+        runModules(mainCode, modules, { out: (...values) => calls.push(values) });
+        return calls;
+    };
+
+    const runError = (mainCode, modules = {}) => {
+        try {
+            run(mainCode, modules);
+        } catch (error) {
+            return error;
+        }
+        throw new Error('Sketch did not fail');
+    };
+
+    it('should name flat .js files', () => {
+        expect(isValidModuleName('noise-field.js')).toBe(true);
+        expect(isValidModuleName('noise field.js')).toBe(false);
+        expect(isValidModuleName('lib/noise.js')).toBe(false);
+        expect(isValidModuleName('noise')).toBe(false);
+
+        for (const specifier of ['./hatch.js', './hatch', 'hatch.js', 'hatch']) {
+            expect(resolveModuleName(specifier)).toBe('hatch.js');
+        }
+        expect(resolveModuleName('../hatch.js')).toBeNull();
+    });
+
+    it('should resolve named, default and namespace imports', () => {
+        const modules = {
+            'shapes.js': [
+                "import { clamp } from './math';",
+                'export function size(n) { return clamp(n) * 2; }',
+                "export const NAME = 'shapes';",
+                'export default function label() { return NAME; }'
+            ].join('\n'),
+            'math.js': 'const clamp = n => Math.min(n, 10);\nexport { clamp };\nexport * from "./more.js";',
+            'more.js': 'export const answer = 42;',
+            'legacy.js': 'module.exports = { legacy: true };'
+        };
+
+        const [[size, name, label, math, legacy]] = run([
+            "import label, { size, NAME as name } from './shapes.js';",
+            "import * as math from 'math';",
+            "const { legacy } = require('./legacy');",
+            'out(size(50), name, label(), Object.keys(math).sort(), legacy);'
+        ].join('\n'), modules);
+
+        expect([size, name, label, math, legacy]).toEqual([20, 'shapes', 'shapes', ['answer', 'clamp'], true]);
+    });
+
+    it('should run each module once', () => {
+        const calls = run("import './counter.js';\nrequire('./counter');\nrequire('counter.js');", {
+            'counter.js': 'out("loaded");'
+        });
+        expect(calls).toHaveLength(1);
+    });
+
+    it('should keep every line where it was', () => {
+        fc.assert(
+            fc.property(fc.array(fc.constantFrom(
+                "import { a,\n  b as c } from './x.js';",
+                "import * as ns from './x';",
+                "import './x';",
+                'export function f() {}',
+                'export const v = 1;',
+                'export { v as w };',
+                'export default 3;',
+                'draw();'
+            ), { maxLength: 12 }), statements => {
+                const source = statements.join('\n');
+                const transformed = transformModule(source).split('\n');
+                source.split('\n').forEach((line, index) => {
+                    if (line === 'draw();') {
+                        expect(transformed[index]).toBe('draw();');
+                    }
+                });
+            }),
+            { numRuns: 100 }
+        );
+    });
+
+    it('should report runtime errors against the file and line that threw', () => {
+        const error = runError("import { boom } from './boom.js';\n\nboom();", {
+            'boom.js': 'export function boom() {\n  const value = null;\n  return value.size;\n}'
+        });
+        expect(locateSketchError(error)).toMatchObject({ file: 'boom.js', line: 3 });
+
+        const main = runError('\n\nundefinedFunction();');
+        expect(locateSketchError(main)).toMatchObject({ file: SKETCH_MAIN_FILE, line: 3 });
+    });
+
+    it('should report missing modules at the import and syntax errors by file', () => {
+        const missing = runError("const x = 1;\nimport { y } from './nope.js';");
+        expect(missing.message).toBe("Cannot find module './nope.js'");
+        expect(locateSketchError(missing)).toMatchObject({ file: SKETCH_MAIN_FILE, line: 2 });
+
+        const syntax = runError("import './broken.js';", { 'broken.js': 'draw.circle(' });
+        expect(syntax).toBeInstanceOf(SyntaxError);
+        expect(syntax.file).toBe('broken.js');
+
+        expect(locateSketchError(new Error('elsewhere'))).toBeNull();
+    });
+
+    it('should let files declare the names of the scope', () => {
+        const calls = [];
+        runModules(
+            "import { random } from './noise.js';\nconst seed = 42;\nout(seed, random());",
+            { 'noise.js': 'const seed = 7;\nexport const random = () => seed;\nfunction out() {}' },
+            { out: (...values) => calls.push(values), seed: 1, random: () => 0.5 }
+        );
+        expect(calls).toEqual([[42, 7]]);
+
+        const error = runError('const seed = 1;\n\nundefinedFunction();');
+        expect(locateSketchError(error)).toMatchObject({ file: SKETCH_MAIN_FILE, line: 3 });
+    });
+
+    it('should export every name of a declarator list', () => {
+        const [[values]] = run("import * as values from './values.js';\nout(values);", {
+            'values.js': [
+                'export const a = 1, b = [2, 3].map((n, i) => n + i), c = { d: 4, e: 5 };',
+                'export let f = `${a},${b}`,',
+                '    g = a > 0 ? "x, y" : 0',
+                'export var h',
+                'let later = 6;'
+            ].join('\n')
+        });
+
+        expect(values).toEqual({ a: 1, b: [2, 4], c: { d: 4, e: 5 }, f: '1,2,4', g: 'x, y', h: undefined });
+    });
+
+    it('should reject exported destructuring with the line it is on', () => {
+        const error = runError("import './values.js';", {
+            'values.js': 'const point = { x: 1 };\nexport const { x } = point;'
+        });
+
+        expect(error).toBeInstanceOf(SyntaxError);
+        expect(error.message).toContain('export const with destructuring');
+        expect(locateSketchError(error)).toEqual({ file: 'values.js', line: 2, column: null });
+    });
+
+    it('should leave import and export text in strings, templates and comments alone', () => {
+        const source = [
+            'const help = `',
+            "import { a } from './a.js';",
+            'export const b = 1;',
+            '`;',
+            '/*',
+            'export default 2;',
+            '*/',
+            "const quoted = 'export const c = 3;';",
+            'const pattern = /`/;',
+            'export const d = help.length;'
+        ].join('\n');
+
+        const transformed = transformModule(source).split('\n');
+        expect(transformed.slice(0, 9)).toEqual(source.split('\n').slice(0, 9));
+        expect(transformed[9]).toBe('const d = help.length;');
+        expect(transformed[10]).toBe('exports.d = d;');
+
+        const [[exported]] = run("import * as m from './m.js';\nout(m);", { 'm.js': source });
+        expect(exported).toEqual({ d: 49 });
+    });
+
+    it('should export default expressions, functions and classes', () => {
+        const defaults = (source) => run("import value from './m.js';\nout(value);", { 'm.js': source })[0][0];
+
+        expect(defaults('export default 1 + 2;')).toBe(3);
+        expect(defaults('export default {\n  size: 2\n};')).toEqual({ size: 2 });
+        expect(defaults('export default (x) => x * 2;')(4)).toBe(8);
+        expect(defaults('export default function () { return 5; }')()).toBe(5);
+        expect(new (defaults('export default class {\n  get size() { return 1; }\n}'))().size).toBe(1);
+
+        // Named declarations are hoisted and keep their name
+        const [[hoisted], [named]] = run("import twice from './m.js';\nout(twice);", {
+            'm.js': 'out(typeof twice);\nexport default function twice(x) { return x * 2; }'
+        });
+        expect(hoisted).toBe('function');
+        expect(named.name).toBe('twice');
+        expect(defaults('export default class Shape {}\nShape.sides = 3;').sides).toBe(3);
+    });
+
+    it('should re-export names from other files', () => {
+        const [[all]] = run("import * as all from './index.js';\nout(all);", {
+            'index.js': [
+                "export { a, b as renamed } from './one.js';",
+                "export * from './two.js';",
+                'export const own = 0;'
+            ].join('\n'),
+            'one.js': 'export const a = 1;\nexport const b = 2;',
+            'two.js': 'export const c = 3;\nexport default 4;'
+        });
+
+        // export * leaves out the default export, as in ES modules
+        expect(all).toEqual({ a: 1, renamed: 2, c: 3, own: 0 });
+    });
+
+    it('should tell regular expressions from division', () => {
+        const source = [
+            'const half = 10 / 2 / 1;',
+            "const slash = /\\/'/.test(\"/'\");",
+            'const inClass = /[/]/.source;',
+            'const ratio = (half) / 5;',
+            'export const values = [half, slash, inClass, ratio];',
+            'if (half) /x/.test("x");',
+            "export const after = 'ok';"
+        ].join('\n');
+
+        const [[m]] = run("import * as m from './m.js';\nout(m);", { 'm.js': source });
+        expect(m).toEqual({ values: [5, true, '[/]', 1], after: 'ok' });
+    });
+
+    it('should follow template literals nested in template expressions', () => {
+        const source = [
+            'const inner = `${`a${"}"}`}`;',
+            'const text = `',
+            '${inner}',
+            "export const hidden = 1;",
+            '`;',
+            'export { text };'
+        ].join('\n');
+
+        expect(transformModule(source).split('\n').slice(0, 5)).toEqual(source.split('\n').slice(0, 5));
+        const [[m]] = run("import * as m from './m.js';\nout(m);", { 'm.js': source });
+        expect(m).toEqual({ text: '\na}\nexport const hidden = 1;\n' });
+    });
+
+    it('should report the line of syntax errors in helper files', () => {
+        const broken = runError("import { f } from './broken.js';", {
+            'broken.js': 'export function f() {\n  return 1;\n}\n\nconst x = ;\nconst y = 2;'
+        });
+        expect(broken).toBeInstanceOf(SyntaxError);
+        expect(locateSketchError(broken)).toEqual({ file: 'broken.js', line: 5, column: null });
+
+        const unfinished = runError("import './open.js';", { 'open.js': 'draw.circle(\n  1,\n  2' });
+        expect(locateSketchError(unfinished)).toEqual({ file: 'open.js', line: 3, column: null });
+
+        const main = runError('const a = 1;\nconst a = 2;');
+        expect(locateSketchError(main)).toEqual({ file: SKETCH_MAIN_FILE, line: 2, column: null });
+    });
+});
@@ -0,0 +1,211 @@
+/**
+ * Sketch Parameters
+ *
+ * Normalizes the parameter declarations a sketch makes through `params()`
+ * and resolves the values it runs with. Declarations travel back from the
+ * sketch worker as plain objects so the app can build the parameter panel.
+ *
+ * @typedef {'number'|'int'|'boolean'|'color'|'select'} ParamType
+ *
+ * @typedef {Object} ParamDefinition
+ * @property {string} name - Parameter name (key in the params() spec)
+ * @property {ParamType} type - Control type
+ * @property {string} label - Display label
+ * @property {number|boolean|string} default - Default value
+ * @property {number} [min] - Lower bound (number and int)
+ * @property {number} [max] - Upper bound (number and int)
+ * @property {number} [step] - Slider step (number and int)
+ * @property {Array<string|number>} [options] - Choices (select)
+ *
+ * @typedef {ParamDefinition & {value: number|boolean|string}} DeclaredParam
+ * A definition together with the value the sketch ran with
+ */
+
+/**
+ * Supported parameter types
+ * @type {ParamType[]}
+ */
+export const PARAM_TYPES = ['number', 'int', 'boolean', 'color', 'select'];
+
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Expand a #rgb color to #rrggbb, as required by color inputs
+ *
+ * @param {string} color - Hex color
+ * @returns {string} Lower-case six digit hex color
+ */
+function normalizeColor(color) {
+    const hex = color.slice(1).toLowerCase();
+    if (hex.length === 3) {
+        return '#' + hex.split('').map(digit => digit + digit).join('');
+    }
+    return '#' + hex;
+}
+
+/**
+ * Normalize a single parameter declaration
+ *
+ * @param {string} name - Parameter name
+ * @param {Object} spec - Declaration from the sketch
+ * @returns {ParamDefinition} Complete definition
+ * @throws {Error} If the declaration is invalid
+ */
+export function normalizeParamDefinition(name, spec) {
+    const fail = (reason) => {
+        throw new Error(`Invalid parameter "${name}": ${reason}`);
+    };
+
+    if (!spec || typeof spec !== 'object') {
+        fail('declaration must be an object');
+    }
+    if (!PARAM_TYPES.includes(spec.type)) {
+        fail(`type must be one of ${PARAM_TYPES.join(', ')}`);
+    }
+
+    const definition = {
+        name,
+        type: spec.type,
+        label: typeof spec.label === 'string' && spec.label ? spec.label : name
+    };
+
+    switch (spec.type) {
+        case 'number':
+        case 'int': {
+            const { min, max } = spec;
+            if (!Number.isFinite(min) || !Number.isFinite(max) || min > max) {
+                fail('min and max must be numbers with min <= max');
+            }
+            const step = spec.step ?? (spec.type === 'int' ? 1 : (max - min) / 100 || 1);
+            if (!Number.isFinite(step) || step <= 0) {
+                fail('step must be a positive number');
+            }
+            const fallback = spec.default ?? min;
+            if (!Number.isFinite(fallback)) {
+                fail('default must be a number');
+            }
+
+            Object.assign(definition, { min, max, step });
+            definition.default = clampNumber(definition, fallback);
+            break;
+        }
+
+        case 'boolean':
+            if (spec.default !== undefined && typeof spec.default !== 'boolean') {
+                fail('default must be true or false');
+            }
+            definition.default = spec.default ?? false;
+            break;
+
+        case 'color':
+            if (spec.default !== undefined && !HEX_COLOR.test(spec.default)) {
+                fail('default must be a hex color like #000000');
+            }
+            definition.default = normalizeColor(spec.default ?? '#000000');
+            break;
+
+        case 'select': {
+            const { options } = spec;
+            const isPrimitive = (option) => typeof option === 'string' || Number.isFinite(option);
+            if (!Array.isArray(options) || options.length === 0 || !options.every(isPrimitive)) {
+                fail('options must be a non-empty array of strings or numbers');
+            }
+            if (spec.default !== undefined && !options.includes(spec.default)) {
+                fail('default must be one of the options');
+            }
+            definition.options = [...options];
+            definition.default = spec.default ?? options[0];
+            break;
+        }
+    }
+
+    return definition;
+}
+
+/**
+ * Clamp and round a number to a numeric parameter's range
+ *
+ * @param {ParamDefinition} definition - Number or int definition
+ * @param {number} value - Value to clamp
+ * @returns {number} Value within [min, max]
+ */
+function clampNumber(definition, value) {
+    const rounded = definition.type === 'int' ? Math.round(value) : value;
+    return Math.min(definition.max, Math.max(definition.min, rounded));
+}
+
+/**
+ * Resolve the value a parameter runs with
+ *
+ * Stored values that no longer fit the declaration (e.g. after the sketch
+ * changed a range or a type) are clamped or replaced by the default.
+ *
+ * @param {ParamDefinition} definition - Parameter definition
+ * @param {*} stored - Value saved with the project, if any
+ * @returns {number|boolean|string} Value to use
+ */
+export function resolveParamValue(definition, stored) {
+    switch (definition.type) {
+        case 'number':
+        case 'int':
+            return Number.isFinite(stored) ? clampNumber(definition, stored) : definition.default;
+        case 'boolean':
+            return typeof stored === 'boolean' ? stored : definition.default;
+        case 'color':
+            return typeof stored === 'string' && HEX_COLOR.test(stored)
+                ? normalizeColor(stored)
+                : definition.default;
+        case 'select':
+            return definition.options.includes(stored) ? stored : definition.default;
+        default:
+            return definition.default;
+    }
+}
+
+/**
+ * Validates a stored parameter value map
+ *
+ * @param {any} values - Value to validate
+ * @returns {boolean} True if the value is a plain object of primitive values
+ */
+export function isValidParamValues(values) {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        return false;
+    }
+    return Object.values(values).every(value =>
+        typeof value === 'boolean' || typeof value === 'string' || Number.isFinite(value)
+    );
+}
+
+/**
+ * Create the `params()` function injected into the sketch scope
+ *
+ * Each call declares parameters and returns their current values. All
+ * declarations made during a run are collected in `definitions`.
+ *
+ * @param {Object<string, *>} [storedValues={}] - Values saved with the project
+ * @returns {{params: function(Object): Object, definitions: DeclaredParam[]}}
+ */
+export function createParamsApi(storedValues = {}) {
+    const definitions = [];
+
+    const params = (spec) => {
+        if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+            throw new Error('params() expects an object of parameter declarations');
+        }
+
+        const values = {};
+        Object.entries(spec).forEach(([name, declaration]) => {
+            if (definitions.some(definition => definition.name === name)) {
+                throw new Error(`Invalid parameter "${name}": declared more than once`);
+            }
+            const definition = normalizeParamDefinition(name, declaration);
+            const value = resolveParamValue(definition, storedValues[name]);
+            definitions.push({ ...definition, value });
+            values[name] = value;
+        });
+        return values;
+    };
+
+    return { params, definitions };
+}
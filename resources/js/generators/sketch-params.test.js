@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    normalizeParamDefinition,
+    resolveParamValue,
+    isValidParamValues,
+    createParamsApi
+} from './sketch-params.js';
+
+describe('sketch params', () => {
+    describe('normalizeParamDefinition', () => {
+        it('should fill in labels, steps and defaults for numbers', () => {
+            expect(normalizeParamDefinition('size', { type: 'number', min: 0, max: 2 })).toEqual({
+                name: 'size',
+                type: 'number',
+                label: 'size',
+                min: 0,
+                max: 2,
+                step: 0.02,
+                default: 0
+            });
+        });
+
+        it('should round and clamp integer defaults', () => {
+            const definition = normalizeParamDefinition('count', { type: 'int', min: 1, max: 10, default: 20.4 });
+            expect(definition.step).toBe(1);
+            expect(definition.default).toBe(10);
+        });
+
+        it('should normalize colors and select defaults', () => {
+            expect(normalizeParamDefinition('ink', { type: 'color', default: '#F0A' }).default).toBe('#ff00aa');
+            expect(normalizeParamDefinition('pen', { type: 'select', options: ['a', 'b'] }).default).toBe('a');
+            expect(normalizeParamDefinition('on', { type: 'boolean' }).default).toBe(false);
+        });
+
+        it('should keep custom labels', () => {
+            expect(normalizeParamDefinition('n', { type: 'boolean', label: 'Show grid' }).label).toBe('Show grid');
+        });
+
+        it('should reject invalid declarations with the parameter name', () => {
+            expect(() => normalizeParamDefinition('x', 5)).toThrow('Invalid parameter "x": declaration must be an object');
+            expect(() => normalizeParamDefinition('x', { type: 'slider' })).toThrow('type must be one of');
+            expect(() => normalizeParamDefinition('x', { type: 'number', min: 5, max: 1 })).toThrow('min <= max');
+            expect(() => normalizeParamDefinition('x', { type: 'number', min: 0, max: 1, step: 0 })).toThrow('step');
+            expect(() => normalizeParamDefinition('x', { type: 'boolean', default: 'yes' })).toThrow('true or false');
+            expect(() => normalizeParamDefinition('x', { type: 'color', default: 'red' })).toThrow('hex color');
+            expect(() => normalizeParamDefinition('x', { type: 'select', options: [] })).toThrow('non-empty');
+            expect(() => normalizeParamDefinition('x', { type: 'select', options: ['a'], default: 'b' })).toThrow('one of the options');
+        });
+    });
+
+    describe('resolveParamValue', () => {
+        it('should keep numeric values within range for any stored number', () => {
+            const definition = normalizeParamDefinition('n', { type: 'int', min: -5, max: 5 });
+            fc.assert(
+                fc.property(fc.double({ noNaN: true, noDefaultInfinity: true }), (stored) => {
+                    const value = resolveParamValue(definition, stored);
+                    expect(Number.isInteger(value)).toBe(true);
+                    expect(value).toBeGreaterThanOrEqual(-5);
+                    expect(value).toBeLessThanOrEqual(5);
+                })
+            );
+        });
+
+        it('should fall back to the default for values of the wrong type', () => {
+            const number = normalizeParamDefinition('n', { type: 'number', min: 0, max: 1, default: 0.5 });
+            const select = normalizeParamDefinition('s', { type: 'select', options: [1, 2], default: 2 });
+            const color = normalizeParamDefinition('c', { type: 'color', default: '#123456' });
+
+            expect(resolveParamValue(number, 'big')).toBe(0.5);
+            expect(resolveParamValue(number, undefined)).toBe(0.5);
+            expect(resolveParamValue(select, 3)).toBe(2);
+            expect(resolveParamValue(select, 1)).toBe(1);
+            expect(resolveParamValue(color, 'blue')).toBe('#123456');
+            expect(resolveParamValue(color, '#ABC')).toBe('#aabbcc');
+        });
+    });
+
+    describe('isValidParamValues', () => {
+        it('should accept plain objects of primitives only', () => {
+            expect(isValidParamValues({})).toBe(true);
+            expect(isValidParamValues({ a: 1, b: true, c: '#000000' })).toBe(true);
+            expect(isValidParamValues(null)).toBe(false);
+            expect(isValidParamValues([])).toBe(false);
+            expect(isValidParamValues({ a: { nested: 1 } })).toBe(false);
+            expect(isValidParamValues({ a: NaN })).toBe(false);
+        });
+    });
+
+    describe('createParamsApi', () => {
+        it('should return stored values and collect declarations', () => {
+            const { params, definitions } = createParamsApi({ count: 7 });
+
+            const values = params({
+                count: { type: 'int', min: 1, max: 10, default: 3 },
+                fill: { type: 'boolean', default: true }
+            });
+
+            expect(values).toEqual({ count: 7, fill: true });
+            expect(definitions.map(definition => [definition.name, definition.value]))
+                .toEqual([['count', 7], ['fill', true]]);
+        });
+
+        it('should allow several calls but reject duplicate names', () => {
+            const { params, definitions } = createParamsApi();
+            params({ a: { type: 'boolean' } });
+            params({ b: { type: 'boolean' } });
+
+            expect(definitions).toHaveLength(2);
+            expect(() => params({ a: { type: 'boolean' } })).toThrow('declared more than once');
+        });
+
+        it('should reject non-object specs', () => {
+            const { params } = createParamsApi();
+            expect(() => params([])).toThrow('params() expects an object');
+        });
+    });
+});
@@ -0,0 +1,181 @@
+/**
+ * Sketch Plot Helpers
+ *
+ * Implements the `plot` object in the sketch scope: fills, offsets,
+ * clipping, resampling, smoothing and hidden line removal built on the
+ * geometry modules. Every
+ * helper accepts shapes as SVG.js elements (path, line, polyline, polygon,
+ * rect, circle, ellipse), as polylines (arrays of [x, y] points) or as
+ * arrays of either, in viewport units. Results are added to the drawing as
+ * stroked SVG.js elements that can be moved into a layer with `.addTo()`.
+ */
+
+import { boundsRing } from '../geometry/bounds.js';
+import { clipPolylines } from '../geometry/clip.js';
+import { concentricLines, hatchLines, spiralLines } from '../geometry/fill.js';
+import { removeHiddenLines } from '../geometry/occlusion.js';
+import { offsetPolygon } from '../geometry/offset.js';
+import { isClosedPolyline, polylineToPathData, resamplePolyline, smoothPolyline } from '../geometry/polyline.js';
+import { flattenSVG, shapeOutline } from '../geometry/svg-flatten.js';
+import { applyMatrix, parseTransform } from '../geometry/transform.js';
+import { appendPlotElements } from '../utils/svg-optimizer.js';
+import { LAYER_ATTRIBUTE } from './sketch-layers.js';
+
+/**
+ * Elements kept when a container is rebuilt from its visible lines
+ */
+const PRESERVED_ELEMENTS = new Set(['defs', 'style']);
+
+/**
+ * Create the `plot` helper object for a drawing
+ *
+ * @param {Object} draw - SVG.js root element
+ * @param {Object} options - Helper options
+ * @param {number} options.strokeWidth - Stroke width of created elements, in viewport units
+ * @returns {Object} The plot helpers
+ */
+export function createPlotApi(draw, options) {
+    const { strokeWidth } = options;
+
+    const output = (polylines) => draw
+        .path(polylines.filter(points => points.length > 1).map(points => polylineToPathData(points)).join(' '))
+        .fill('none')
+        .stroke({ color: '#000', width: strokeWidth });
+
+    const single = (shape) => {
+        const polylines = toPolylines(shape);
+        if (polylines.length !== 1) {
+            throw new Error('Expected a single polyline');
+        }
+        return polylines[0];
+    };
+
+    const polylineElement = (points) => {
+        const closed = isClosedPolyline(points);
+        const element = closed ? draw.polygon(points.slice(0, -1)) : draw.polyline(points);
+        return element.fill('none').stroke({ color: '#000', width: strokeWidth });
+    };
+
+    return {
+        /**
+         * Parallel hatching inside a shape
+         * Options: spacing, angle (degrees), offset, alternate.
+         */
+        hatch: (shape, fillOptions) => output(hatchLines(toPolylines(shape), fillOptions)),
+
+        /**
+         * Outlines inset from a shape's edges
+         * Options: spacing, outline (include the shape's own outline).
+         */
+        concentric: (shape, fillOptions) => output(concentricLines(toPolylines(shape), fillOptions)),
+
+        /**
+         * Spiral inside a shape
+         * Options: spacing, center ([x, y]).
+         */
+        spiral: (shape, fillOptions) => output(spiralLines(toPolylines(shape), fillOptions)),
+
+        /**
+         * Grown (positive distance) or shrunk (negative distance) outline of a shape
+         */
+        offset: (shape, distance) => output(offsetPolygon(toPolylines(shape), distance)),
+
+        /**
+         * Lines cut to the inside of a shape, or to its outside with { outside: true }
+         */
+        clip: (lines, shape, clipOptions = {}) => output(clipPolylines(toPolylines(lines), toPolylines(shape), clipOptions)),
+
+        /**
+         * Lines cut to the drawing's viewBox
+         */
+        clipToViewport: (lines) => {
+            const { x, y, width, height } = draw.viewbox();
+            const ring = boundsRing({ minX: x, minY: y, maxX: x + width, maxY: y + height });
+            return output(clipPolylines(toPolylines(lines), [ring]));
+        },
+
+        /**
+         * A polyline with evenly spaced points
+         */
+        resample: (shape, spacing) => {
+            if (typeof spacing !== 'number' || !Number.isFinite(spacing) || spacing <= 0) {
+                throw new Error('Invalid spacing: must be a positive number');
+            }
+            return polylineElement(resamplePolyline(single(shape), spacing));
+        },
+
+        /**
+         * A polyline with rounded corners
+         */
+        smooth: (shape, iterations = 2) => polylineElement(smoothPolyline(single(shape), iterations)),
+
+        /**
+         * Rebuild a group (by default the whole drawing) from the lines the
+         * plotter should draw: parts of lines covered by filled shapes drawn
+         * after them are removed and every shape becomes a stroked path.
+         * Layer groups are kept.
+         */
+        removeHiddenLines: (container = draw) => {
+            const root = container.node;
+            const { paths, unflattened } = flattenSVG(root);
+            _clearContent(root);
+            appendPlotElements(root, removeHiddenLines(paths), unflattened, strokeWidth);
+            return container;
+        }
+    };
+}
+
+/**
+ * Convert a shape argument into polylines
+ *
+ * @param {*} shape - SVG.js element, polyline, or array of either
+ * @returns {number[][][]} Polylines in viewport units
+ * @throws {Error} If the shape is not supported
+ */
+export function toPolylines(shape) {
+    if (shape && shape.node && typeof shape.node.getAttribute === 'function') {
+        const outline = shapeOutline(shape.node);
+        if (!outline) {
+            throw new Error(`Unsupported shape: <${shape.node.localName}>`);
+        }
+        const matrix = parseTransform(shape.node.getAttribute('transform'));
+        return outline.map(points => points.map(point => applyMatrix(matrix, point)));
+    }
+
+    if (Array.isArray(shape)) {
+        if (shape.length > 0 && _isPoint(shape[0])) {
+            return [shape];
+        }
+        return shape.flatMap(toPolylines);
+    }
+
+    throw new Error('Unsupported shape: expected an SVG element or an array of [x, y] points');
+}
+
+/**
+ * Remove an element's content, keeping definitions and emptied layer groups
+ *
+ * @private
+ * @param {Element} element - Element to clear
+ */
+function _clearContent(element) {
+    Array.from(element.children).forEach(child => {
+        if (PRESERVED_ELEMENTS.has(child.localName)) {
+            return;
+        }
+        if (child.localName === 'g' && child.hasAttribute(LAYER_ATTRIBUTE)) {
+            _clearContent(child);
+            return;
+        }
+        element.removeChild(child);
+    });
+}
+
+/**
+ * @private
+ * @param {*} value - Value to check
+ * @returns {boolean} True for [x, y] number pairs
+ */
+function _isPoint(value) {
+    return Array.isArray(value) && typeof value[0] === 'number' && typeof value[1] === 'number';
+}
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { runSketch } from './sketch-runtime.js';
+import { toPolylines } from './sketch-plot.js';
+
+describe('sketch plot helpers', () => {
+    const viewport = { width: 4, height: 4 };
+
+    it('should hatch SVG.js shapes into a stroked path', () => {
+        const { svg } = runSketch(`
+            const square = draw.rect(2, 2).move(1, 1);
+            plot.hatch(square, { spacing: 1, offset: 0.5 });
+        `, viewport);
+
+        expect(svg).toContain('d="M1 1.5 L3 1.5 M3 2.5 L1 2.5"');
+        expect(svg).toContain('fill="none" stroke-width="0.01" stroke="#000000"');
+    });
+
+    it('should accept point arrays and transformed elements', () => {
+        const { svg } = runSketch(`
+            plot.offset([[1, 1], [3, 1], [3, 3], [1, 3]], -0.5);
+            plot.concentric(draw.rect(2, 2).translate(1, 1), { spacing: 0.5 });
+        `, viewport);
+
+        expect(svg).toContain('d="M1.5 1.5 L2.5 1.5 L2.5 2.5 L1.5 2.5 L1.5 1.5"');
+        expect(svg.match(/M1\.5 1\.5 L2\.5 1\.5/g)).toHaveLength(2);
+    });
+
+    it('should clip lines to shapes and to the viewport', () => {
+        const { svg } = runSketch(`
+            const circle = draw.circle(2).center(2, 2);
+            plot.clip([[0, 2], [4, 2]], circle).attr('id', 'inside');
+            plot.clip([[0, 2], [4, 2]], circle, { outside: true }).attr('id', 'outside');
+            plot.clipToViewport([[-1, 1], [5, 1]]).attr('id', 'viewport');
+        `, viewport);
+
+        expect(svg).toMatch(/d="M1 2 L3 2"[^>]*id="inside"|id="inside"[^>]*d="M1 2 L3 2"/);
+        expect(svg).toMatch(/d="M0 2 L1 2 M3 2 L4 2"/);
+        expect(svg).toMatch(/d="M0 1 L4 1"/);
+    });
+
+    it('should resample and smooth polylines', () => {
+        const { svg } = runSketch(`
+            plot.resample([[0, 0], [2, 0]], 0.5);
+            plot.smooth([[0, 0], [2, 0], [2, 2], [0, 0]], 1);
+        `, viewport);
+
+        expect(svg).toContain('<polyline points="0,0 0.5,0 1,0 1.5,0 2,0"');
+        expect(svg).toContain('<polygon points="0.5,0 1.5,0 2,0.5 2,1.5 1.5,1.5 0.5,0.5"');
+    });
+
+    it('should rebuild the drawing from its visible lines', () => {
+        const { svg, layers } = runSketch(`
+            draw.line(0, 2, 4, 2).stroke({ color: '#f00', width: 0.02 });
+            draw.layer('top').rect(2, 2).move(1, 1).fill('#fff');
+            plot.removeHiddenLines();
+        `, viewport);
+
+        expect(svg).toContain('d="M0 2 L1 2" fill="none" stroke="#ff0000" stroke-width="0.02"');
+        expect(svg).toContain('d="M3 2 L4 2"');
+        expect(svg).toMatch(/<g data-layer="top"[^>]*><path d="M1 1 L3 1 L3 3 L1 3 L1 1" fill="none" stroke="#000000" stroke-width="0.01"/);
+        expect(svg).not.toContain('<rect');
+        expect(layers.map(layer => layer.name)).toEqual(['top']);
+    });
+
+    it('should use the drawing units for the stroke width', () => {
+        const { svg } = runSketch('plot.offset(draw.circle(20).center(50, 50), 1);', { width: 4, height: 4 }, { units: 'mm' });
+        expect(svg).toContain('stroke-width="0.254"');
+    });
+
+    it('should reject unsupported shapes', () => {
+        expect(() => runSketch("plot.hatch(draw.text('A'), { spacing: 1 });", viewport)).toThrow('Unsupported shape: <text>');
+        expect(() => toPolylines(42)).toThrow('Unsupported shape');
+        expect(() => runSketch('plot.smooth([[[0, 0], [1, 1]], [[2, 2], [3, 3]]]);', viewport)).toThrow('Expected a single polyline');
+        expect(() => runSketch('plot.resample([[0, 0], [1, 1]], 0);', viewport)).toThrow('Invalid spacing');
+    });
+
+    it('should flatten nested shape arrays', () => {
+        expect(toPolylines([[[0, 0], [1, 0]], [[[2, 2], [3, 3]]]])).toEqual([[[0, 0], [1, 0]], [[2, 2], [3, 3]]]);
+        expect(toPolylines([])).toEqual([]);
+    });
+});
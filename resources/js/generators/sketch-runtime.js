@@ -0,0 +1,179 @@
+/**
+ * Sketch Runtime
+ *
+ * Runs user sketch code against a real SVG.js drawing backed by a virtual
+ * DOM and returns the serialized SVG markup. The runtime never touches the
+ * page's document, so it works the same inside the sketch worker and on the
+ * main thread (used as a fallback where Web Workers are unavailable).
+ */
+
+import { SVG, registerWindow, saveWindow, restoreWindow } from '@svgdotjs/svg.js';
+import { createVirtualWindow } from './virtual-dom.js';
+import { createSeededRandom } from '../utils/seeded-random.js';
+import { createParamsApi } from './sketch-params.js';
+import { createLayersApi } from './sketch-layers.js';
+import { createPlotApi } from './sketch-plot.js';
+import { createTextApi } from './sketch-text.js';
+import { runModules, locateSketchError } from './sketch-modules.js';
+import { lintSVG } from '../utils/svg-lint.js';
+import { UNITS_PER_INCH } from '../models/paper-sizes.js';
+
+/**
+ * @typedef {Object} SketchResult
+ * @property {string} svg - Generated SVG markup
+ * @property {import('./sketch-params').DeclaredParam[]} params - Parameters declared by the sketch
+ * @property {import('./sketch-layers').LayerInfo[]} layers - Layers created with draw.layer()
+ * @property {import('../utils/svg-lint').PlotWarning[]} warnings - Features of the drawing a plotter cannot reproduce
+ */
+
+/**
+ * @typedef {Object} SerializedError
+ * @property {string} name - Error constructor name (e.g. 'SyntaxError')
+ * @property {string} message - Error message
+ * @property {string} [stack] - Stack trace, if available
+ * @property {string} [file] - Sketch file that failed to compile, if known
+ * @property {number} [line] - Line in that file the compile error is on, if known
+ */
+
+/**
+ * Execute sketch code and serialize the resulting drawing
+ *
+ * Besides `draw`, the sketch scope contains the seeded random helpers
+ * (`random`, `randomInt`, `randomGaussian`, `shuffle`, `pick`) and the
+ * `seed` they were created with, and `params()` for declaring tweakable
+ * parameters. `draw.layer(name)` groups shapes by plotter pen, `plot`
+ * offers fills, offsets and clipping for plotter lines, and `plotText()`
+ * writes single-stroke text. The code can import
+ * the helper modules passed in options.modules. The finished drawing is
+ * linted for features a plotter cannot reproduce, with the sketch line
+ * that created each kind where the stack shows it.
+ *
+ * @param {string} code - The user's JavaScript code
+ * @param {Object} viewportSize - Viewport dimensions
+ * @param {number} viewportSize.width - Width in inches
+ * @param {number} viewportSize.height - Height in inches
+ * @param {Object} [options] - Execution options
+ * @param {number} [options.dpi=96] - Pixels per inch for the SVG size attributes
+ * @param {'in'|'mm'} [options.units='in'] - Units of the drawing's viewBox
+ * @param {number} [options.seed=0] - Seed for the random helpers
+ * @param {Object<string, *>} [options.params={}] - Stored parameter values
+ * @param {Object<string, string>} [options.modules={}] - Helper module code keyed by file name
+ * @returns {SketchResult} The generated drawing
+ * @throws {Error} Any error thrown while compiling or running the sketch
+ */
+export function runSketch(code, viewportSize, options = {}) {
+    const { dpi = 96, units = 'in', seed = 0, params: storedParams = {}, modules = {} } = options;
+    // Drop float noise from the unit conversion (210 mm, not 210.00000000000003)
+    const toDrawingUnits = (inches) => Number((inches * UNITS_PER_INCH[units]).toPrecision(12));
+    const virtualWindow = createVirtualWindow();
+    const locate = _trackOrigins(virtualWindow.document);
+
+    // SVG.js keeps the document it builds into in module state; point it at
+    // the virtual document for the duration of this run only
+    saveWindow();
+    registerWindow(virtualWindow, virtualWindow.document);
+
+    try {
+        const draw = SVG()
+            .size(viewportSize.width * dpi, viewportSize.height * dpi)
+            .viewbox(0, 0, toDrawingUnits(viewportSize.width), toDrawingUnits(viewportSize.height));
+
+        const { params, definitions } = createParamsApi(storedParams);
+        const { describeLayers } = createLayersApi(draw);
+        const scope = {
+            draw,
+            params,
+            plot: createPlotApi(draw, { strokeWidth: toDrawingUnits(0.01) }),
+            ...createTextApi(draw, { strokeWidth: toDrawingUnits(0.01), size: toDrawingUnits(0.25) }),
+            ...createSeededRandom(seed)
+        };
+
+        // Files are compiled with the Function constructor instead of eval for better sandboxing
+        runModules(code, modules, scope);
+
+        return {
+            svg: draw.svg(),
+            params: definitions,
+            layers: describeLayers(),
+            warnings: lintSVG(draw.node, { locate })
+        };
+    } finally {
+        restoreWindow();
+    }
+}
+
+/**
+ * Remember where every element of a document is created
+ *
+ * The stack is captured when the element is created and only formatted when
+ * a location is asked for, which keeps large drawings fast.
+ *
+ * @private
+ * @param {Object} document - Virtual document, modified in place
+ * @returns {function(Object): ?{file: string, line: number, column: number}} Find the
+ *   sketch line that created an element
+ */
+function _trackOrigins(document) {
+    const origins = new WeakMap();
+    const createElementNS = document.createElementNS.bind(document);
+
+    document.createElementNS = (namespaceURI, qualifiedName) => {
+        const element = createElementNS(namespaceURI, qualifiedName);
+        origins.set(element, new Error());
+        return element;
+    };
+
+    return (element) => origins.has(element) ? locateSketchError(origins.get(element)) : null;
+}
+
+/**
+ * Convert an error into a structured-clone friendly object
+ * Errors lose their prototype when posted between threads.
+ *
+ * @param {*} error - Thrown value
+ * @returns {SerializedError} Plain error description
+ */
+export function serializeError(error) {
+    if (error instanceof Error) {
+        return {
+            name: error.name,
+            message: error.message,
+            stack: error.stack,
+            file: error.file,
+            line: error.line
+        };
+    }
+
+    return {
+        name: 'Error',
+        message: String(error),
+        stack: undefined
+    };
+}
+
+/**
+ * Rebuild an Error from its serialized form, preserving the error class
+ *
+ * @param {SerializedError} data - Serialized error
+ * @returns {Error} Reconstructed error
+ */
+export function deserializeError(data) {
+    const ErrorClass = {
+        SyntaxError,
+        TypeError,
+        RangeError,
+        ReferenceError,
+        EvalError,
+        URIError
+    }[data?.name] || Error;
+
+    const error = new ErrorClass(data?.message || 'Unknown error');
+    error.stack = data?.stack || `${error.name}: ${error.message}`;
+    if (data?.file) {
+        error.file = data.file;
+    }
+    if (Number.isInteger(data?.line)) {
+        error.line = data.line;
+    }
+    return error;
+}
@@ -0,0 +1,164 @@
+import { describe, it, expect } from 'vitest';
+import { getWindow } from '@svgdotjs/svg.js';
+import { runSketch, serializeError, deserializeError } from './sketch-runtime.js';
+
+describe('sketch runtime', () => {
+    const viewport = { width: 8.5, height: 11 };
+
+    describe('runSketch', () => {
+        it('should return SVG markup sized to the viewport', () => {
+            const { svg } = runSketch('draw.circle(1).center(2, 2);', viewport);
+
+            expect(svg).toMatch(/^<svg /);
+            expect(svg).toContain('width="816"');
+            expect(svg).toContain('height="1056"');
+            expect(svg).toContain('viewBox="0 0 8.5 11"');
+            expect(svg).toContain('<circle r="0.5" cx="2" cy="2"></circle>');
+        });
+
+        it('should honour a custom DPI', () => {
+            const { svg } = runSketch('', { width: 2, height: 1 }, { dpi: 100 });
+            expect(svg).toContain('width="200"');
+            expect(svg).toContain('height="100"');
+        });
+
+        it('should express the viewBox in millimetres when asked', () => {
+            const { svg } = runSketch('draw.text(String(draw.viewbox().width));', { width: 10, height: 5 }, { units: 'mm' });
+            expect(svg).toContain('width="960"');
+            expect(svg).toContain('viewBox="0 0 254 127"');
+            expect(svg).toContain('254');
+        });
+
+        it('should report unplottable features with the line that created them', () => {
+            const { warnings } = runSketch([
+                "draw.line(0, 0, 1, 1).stroke('#000');",
+                'draw.rect(1, 1);',
+                "draw.text('A');",
+                "draw.text('B');"
+            ].join('\n'), viewport);
+
+            expect(warnings).toEqual([
+                expect.objectContaining({ category: 'fill', count: 1, line: 2, file: 'main.js' }),
+                expect.objectContaining({ category: 'text', count: 2, line: 3, file: 'main.js' })
+            ]);
+        });
+
+        it('should support bbox-dependent SVG.js methods', () => {
+            const { svg } = runSketch(`
+                draw.rect(2, 1).center(4, 4);
+                draw.polygon([[0, 0], [1, 0], [1, 1]]).move(5, 5);
+            `, viewport);
+
+            expect(svg).toContain('x="3" y="3.5"');
+            expect(svg).toContain('points="5,5 6,5 6,6"');
+        });
+
+        it('should measure rbox() in drawing units with transforms applied', () => {
+            const { svg } = runSketch(`
+                const group = draw.group().translate(1, 2);
+                const circle = group.circle(2).center(1, 1).scale(2);
+                const box = circle.rbox();
+                const local = circle.rbox(group);
+                draw.rect(box.width, box.height).move(box.x, box.y).attr('id', 'box');
+                draw.rect(local.width, local.height).move(local.x, local.y).attr('id', 'local');
+            `, viewport);
+
+            expect(svg).toMatch(/<rect width="4" height="4" x="0" y="1" id="box"/);
+            expect(svg).toMatch(/<rect width="4" height="4" x="-1" y="-1" id="local"/);
+        });
+
+        it('should not touch the page document', () => {
+            const before = document.body.innerHTML;
+            runSketch('draw.circle(1); draw.defs();', viewport);
+            expect(document.body.innerHTML).toBe(before);
+        });
+
+        it('should restore the SVG.js window after running', () => {
+            const original = getWindow();
+            runSketch('draw.circle(1);', viewport);
+            expect(getWindow()).toBe(original);
+
+            expect(() => runSketch('throw new Error("boom")', viewport)).toThrow('boom');
+            expect(getWindow()).toBe(original);
+        });
+
+        it('should propagate syntax errors', () => {
+            expect(() => runSketch('draw.circle(', viewport)).toThrow(SyntaxError);
+        });
+
+        it('should inject seeded random helpers', () => {
+            const code = 'draw.text(String(seed + ":" + random() + ":" + randomInt(10) + ":" + pick(shuffle([1, 2, 3]))));';
+            const first = runSketch(code, viewport, { seed: 42 }).svg;
+
+            expect(first).toContain('42:');
+            expect(runSketch(code, viewport, { seed: 42 }).svg).toBe(first);
+            expect(runSketch(code, viewport, { seed: 43 }).svg).not.toBe(first);
+        });
+
+        it('should let sketches declare their own seed and random', () => {
+            const code = 'const seed = 42;\nconst random = () => 0.5;\ndraw.text(String(seed + ":" + random()));';
+            expect(runSketch(code, viewport, { seed: 7 }).svg).toContain('42:0.5');
+        });
+
+        it('should inject params() and report declarations', () => {
+            const code = `
+                const { count } = params({ count: { type: 'int', min: 1, max: 10, default: 2 } });
+                for (let i = 0; i < count; i++) draw.circle(1);
+            `;
+
+            const defaults = runSketch(code, viewport);
+            expect(defaults.svg.match(/<circle/g)).toHaveLength(2);
+            expect(defaults.params).toEqual([
+                expect.objectContaining({ name: 'count', type: 'int', default: 2, value: 2 })
+            ]);
+
+            const stored = runSketch(code, viewport, { params: { count: 4 } });
+            expect(stored.svg.match(/<circle/g)).toHaveLength(4);
+            expect(stored.params[0].value).toBe(4);
+        });
+
+        it('should run helper modules with the sketch scope', () => {
+            const modules = {
+                'shapes.js': 'export function dot(x, y) {\n  return draw.circle(random(1, 2)).center(x, y);\n}\n'
+            };
+            const code = "import { dot } from './shapes.js';\ndot(1, 1);\ndot(2, 2);";
+
+            const first = runSketch(code, viewport, { seed: 7, modules }).svg;
+            expect(first.match(/<circle/g)).toHaveLength(2);
+            expect(runSketch(code, viewport, { seed: 7, modules }).svg).toBe(first);
+            expect(() => runSketch(code, viewport)).toThrow("Cannot find module './shapes.js'");
+        });
+
+        it('should isolate drawings between runs', () => {
+            runSketch('draw.circle(1);', viewport);
+            const { svg } = runSketch('', viewport);
+            expect(svg).not.toContain('circle');
+        });
+    });
+
+    describe('error serialization', () => {
+        it('should round-trip error class, message and stack', () => {
+            const original = new SyntaxError('Unexpected token');
+            const restored = deserializeError(serializeError(original));
+
+            expect(restored).toBeInstanceOf(SyntaxError);
+            expect(restored.message).toBe('Unexpected token');
+            expect(restored.stack).toBe(original.stack);
+        });
+
+        it('should keep the file a compile error came from', () => {
+            const original = Object.assign(new SyntaxError('Unexpected token'), { file: 'shapes.js' });
+            expect(deserializeError(serializeError(original)).file).toBe('shapes.js');
+        });
+
+        it('should serialize thrown non-errors', () => {
+            expect(serializeError('oops')).toEqual({ name: 'Error', message: 'oops', stack: undefined });
+        });
+
+        it('should fall back to Error for unknown names', () => {
+            const restored = deserializeError({ name: 'CustomError', message: 'custom' });
+            expect(restored).toBeInstanceOf(Error);
+            expect(restored.message).toBe('custom');
+        });
+    });
+});
@@ -0,0 +1,40 @@
+/**
+ * Sketch Text
+ *
+ * Implements `plotText()` in the sketch scope, which writes text in a
+ * single-stroke Hershey font for signing and captioning plots. SVG.js's
+ * `draw.text()` uses outline fonts, which plot as doubled letter outlines
+ * or not at all.
+ */
+
+import { polylineToPathData } from '../geometry/polyline.js';
+import { textPolylines } from '../geometry/text.js';
+
+/**
+ * Create the `plotText` function for a drawing
+ *
+ * `plotText(text, options)` adds the text as one stroked, unfilled path and
+ * returns it, so it can be restyled or moved into a layer with `.addTo()`.
+ * Options are those of textPolylines in viewport units: font, bold,
+ * oblique, mono, size (height of capitals), x and y (anchor on the first
+ * baseline), align and lineHeight.
+ *
+ * @param {Object} draw - SVG.js root element
+ * @param {Object} options - Helper options
+ * @param {number} options.strokeWidth - Stroke width of the text path, in viewport units
+ * @param {number} options.size - Text size when the sketch gives none, in viewport units
+ * @returns {{plotText: Function}} The text function
+ */
+export function createTextApi(draw, options) {
+    const { strokeWidth, size } = options;
+
+    const plotText = (text, textOptions = {}) => {
+        const polylines = textPolylines(text, { size, ...textOptions });
+        return draw
+            .path(polylines.filter(points => points.length > 1).map(points => polylineToPathData(points)).join(' '))
+            .fill('none')
+            .stroke({ color: '#000', width: strokeWidth, linecap: 'round', linejoin: 'round' });
+    };
+
+    return { plotText };
+}
@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { runSketch } from './sketch-runtime.js';
+
+describe('sketch text', () => {
+    const viewport = { width: 4, height: 4 };
+
+    it('should write text as one stroked path', () => {
+        const { svg, warnings } = runSketch("plotText('Hi', { x: 1, y: 2, size: 0.5 }).attr('id', 'caption');", viewport);
+
+        expect(svg.match(/<path /g)).toHaveLength(1);
+        expect(svg).toContain('<path d="M1.0714 1.5 L1.0714 2 M1.4048 1.5 L1.4048 2 M1.0714 1.7381 L1.4048 1.7381');
+        expect(svg).toContain('fill="none" stroke-linejoin="round" stroke-linecap="round" stroke-width="0.01" stroke="#000000" id="caption"');
+        expect(svg).not.toContain('<text');
+        expect(warnings).toEqual([]);
+    });
+
+    it('should size text in the drawing units by default', () => {
+        const { svg } = runSketch("plotText('I');", viewport, { units: 'mm' });
+        // A quarter inch capital I from the baseline at 0
+        expect(svg).toMatch(/d="M[\d.]+ -6\.35 L[\d.]+ 0"/);
+    });
+
+    it('should report invalid options as sketch errors', () => {
+        expect(() => runSketch("plotText('A', { font: 'gothic' });", viewport)).toThrow('Unknown font: gothic');
+    });
+});
@@ -0,0 +1,24 @@
+/**
+ * Sketch Worker
+ *
+ * Web Worker entry point for sketch execution. Running sketches here keeps
+ * the editor responsive and lets SVGGenerator terminate runaway code such as
+ * synchronous infinite loops.
+ *
+ * Message protocol:
+ * - in:  { code, viewportSize, options }
+ * - out: { status: 'success', result } or { status: 'error', error }
+ */
+
+import { runSketch, serializeError } from './sketch-runtime.js';
+
+self.onmessage = (event) => {
+    const { code, viewportSize, options } = event.data;
+
+    try {
+        const result = runSketch(code, viewportSize, options);
+        self.postMessage({ status: 'success', result });
+    } catch (error) {
+        self.postMessage({ status: 'error', error: serializeError(error) });
+    }
+};
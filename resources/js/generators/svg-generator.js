@@ -1,10 +1,24 @@
-import { SVG } from '@svgdotjs/svg.js';
+import { runSketch, deserializeError } from './sketch-runtime.js';
+import { isValidSeed } from '../utils/seeded-random.js';
+import { isValidParamValues } from './sketch-params.js';
+import { DRAWING_UNITS } from '../models/paper-sizes.js';
+import { SKETCH_MAIN_FILE, isValidModuleName, locateSketchError } from './sketch-modules.js';
+
+/**
+ * Create the worker that runs sketch code off the main thread
+ * 
+ * @returns {Worker} A new sketch worker
+ */
+function createSketchWorker() {
+    return new Worker(new URL('./sketch-worker.js', import.meta.url), { type: 'module' });
+}
 
 /**
  * SVGGenerator class
  * 
  * Executes user code in a controlled context and generates SVG using SVG.js.
- * Provides sandboxed code execution with timeout protection and error handling.
+ * Code runs in a terminable Web Worker against a virtual DOM, so the editor
+ * stays responsive and runaway sketches are stopped after TIMEOUT_MS.
  * 
  * SVG.js Usage Patterns:
  * 
@@ -40,7 +54,36 @@ import { SVG } from '@svgdotjs/svg.js';
  * - group.circle(10).center(0, 0)
  * 
  * Viewport Access:
- * - draw.viewbox() returns { width, height, x, y }
+ * - draw.viewbox() returns { width, height, x, y } in inches, or millimetres
+ *   for projects drawn in mm
+ * 
+ * Seeded Randomness (reproducible from the project seed):
+ * - random() / random(max) / random(min, max)
+ * - randomInt(max) / randomInt(min, max)
+ * - randomGaussian(mean, standardDeviation)
+ * - shuffle(array), pick(array)
+ * 
+ * Parameters (rendered as controls in the parameter panel):
+ * - const { count } = params({ count: { type: 'int', min: 1, max: 50, default: 10 } })
+ * - Types: number, int, boolean, color, select
+ * 
+ * Plot Helpers (shapes are SVG.js elements or arrays of [x, y] points):
+ * - plot.hatch(shape, { spacing, angle }), plot.concentric(shape, { spacing }),
+ *   plot.spiral(shape, { spacing })
+ * - plot.offset(shape, distance), plot.clip(lines, shape, { outside }),
+ *   plot.clipToViewport(lines)
+ * - plot.resample(points, spacing), plot.smooth(points, iterations)
+ * - plot.removeHiddenLines(group): keep only the lines not covered by
+ *   filled shapes drawn after them (default group: the whole drawing)
+ * 
+ * Single-stroke Text (Hershey fonts, sizes in viewport units):
+ * - plotText('Signed 2026', { font, bold, oblique, mono, size, x, y, align, lineHeight })
+ * - One font, simplex, with bold, oblique and mono variations; size is the height of
+ *   capitals and x, y anchor the first baseline
+ * 
+ * Helper Modules (other files of the project, then the snippet library):
+ * - import { hatch } from './hatching.js'
+ * - const { hatch } = require('./hatching.js')
  * 
  * @example
  * // User code example:
@@ -65,6 +108,19 @@ export class SVGGenerator {
         this.lastError = null;
         this.DPI = 96; // Web standard DPI
         this.TIMEOUT_MS = 5000; // 5 second timeout
+        this.drawingUnits = 'in'; // Units of the sketch's viewBox
+        this.seed = 0; // Seed for the sketch's random helpers
+        this.paramValues = {}; // Values for parameters declared with params()
+        this.modules = {}; // Helper module code keyed by file name
+        this.libraryModules = {}; // Snippet library code keyed by name
+        this.paramDefinitions = []; // Parameters declared by the last successful run
+        this.layers = []; // Layers created by the last successful run
+        this.warnings = []; // Plottability warnings for the last successful run
+        this.runCount = 0; // Number of runs started
+        this.appliedRun = 0; // Latest run whose outcome is stored above
+
+        // Factory for sketch workers; null runs sketches inline on the main thread
+        this.workerFactory = typeof Worker === 'undefined' ? null : createSketchWorker;
     }
 
     /**
@@ -77,97 +133,221 @@ export class SVGGenerator {
         this.viewportSize = { width, height };
     }
 
+    /**
+     * Set the units of the sketch's viewBox
+     * With 'mm', draw.viewbox() reports the page size in millimetres.
+     * 
+     * @param {'in'|'mm'} units - Drawing units
+     * @throws {Error} If the units are not supported
+     */
+    setDrawingUnits(units) {
+        if (!DRAWING_UNITS.includes(units)) {
+            throw new Error(`Invalid drawing units: must be one of ${DRAWING_UNITS.join(', ')}`);
+        }
+        this.drawingUnits = units;
+    }
+
+    /**
+     * Set the seed used by the sketch's random helpers
+     * 
+     * @param {number} seed - Integer seed
+     * @throws {Error} If the seed is invalid
+     */
+    setSeed(seed) {
+        if (!isValidSeed(seed)) {
+            throw new Error('Invalid seed: must be a non-negative integer');
+        }
+        this.seed = seed;
+    }
+
+    /**
+     * Set the values the sketch's params() declarations resolve to
+     * 
+     * @param {Object<string, *>} values - Parameter values keyed by name
+     * @throws {Error} If the values are not a plain object of primitives
+     */
+    setParamValues(values) {
+        if (!isValidParamValues(values)) {
+            throw new Error('Invalid parameter values: must be an object of numbers, booleans or strings');
+        }
+        this.paramValues = { ...values };
+    }
+
+    /**
+     * Set the helper modules the sketch can import
+     * 
+     * @param {import('./sketch-modules').SketchFile[]} files - Files besides the main sketch
+     * @throws {Error} If a file name is invalid or used twice
+     */
+    setModules(files) {
+        this.modules = this._moduleMap(files);
+    }
+
+    /**
+     * Set the snippet library modules every sketch can import
+     * A project file with the same name takes precedence.
+     * 
+     * @param {import('../models/snippet').Snippet[]} snippets - Snippets of the library
+     * @throws {Error} If a snippet name is invalid or used twice
+     */
+    setLibraryModules(snippets) {
+        this.libraryModules = this._moduleMap(snippets);
+    }
+
+    /**
+     * Key module code by file name
+     * 
+     * @private
+     * @param {import('./sketch-modules').SketchFile[]} files - Modules
+     * @returns {Object<string, string>} Code keyed by name
+     * @throws {Error} If a name is invalid or used twice
+     */
+    _moduleMap(files) {
+        const modules = {};
+        for (const { name, code } of files) {
+            if (!isValidModuleName(name) || name === SKETCH_MAIN_FILE || Object.hasOwn(modules, name)) {
+                throw new Error(`Invalid module name: ${name}`);
+            }
+            modules[name] = code;
+        }
+        return modules;
+    }
+
     /**
      * Execute user code and generate SVG markup
      * 
+     * Code runs in a Web Worker when available so that TIMEOUT_MS can be
+     * enforced by terminating the worker. Without worker support (e.g. in
+     * tests) the same runtime executes inline on the main thread.
+     * 
+     * Runs may overlap. A run that finishes after a newer one still returns
+     * its markup or throws its error, but leaves the stored parameters,
+     * layers, warnings and last error to the newer run.
+     * 
      * @param {string} code - The user's JavaScript code to execute
      * @returns {Promise<string>} The generated SVG markup
      * @throws {Error} If code execution fails or times out
      */
     async execute(code) {
-        this.lastError = null;
-
-        // Create a temporary container for SVG generation
-        const container = document.createElement('div');
-        container.style.position = 'absolute';
-        container.style.left = '-9999px';
-        container.style.top = '-9999px';
-        document.body.appendChild(container);
+        const run = ++this.runCount;
 
         try {
-            // Initialize SVG.js instance with viewport dimensions
-            const pixelWidth = this.viewportSize.width * this.DPI;
-            const pixelHeight = this.viewportSize.height * this.DPI;
-
-            const draw = SVG()
-                .addTo(container)
-                .size(pixelWidth, pixelHeight)
-                .viewbox(0, 0, this.viewportSize.width, this.viewportSize.height);
-
-            // Execute user code with timeout protection
-            await this._executeWithTimeout(code, draw);
+            const result = this.workerFactory
+                ? await this._executeWithTimeout(code)
+                : runSketch(code, this.viewportSize, this._runOptions());
 
-            // Capture the generated SVG markup
-            const svgMarkup = container.innerHTML;
-
-            // Clean up
-            document.body.removeChild(container);
-
-            return svgMarkup;
+            if (this._applyRun(run)) {
+                this.lastError = null;
+                this.paramDefinitions = result.params || [];
+                this.layers = result.layers || [];
+                this.warnings = result.warnings || [];
+            }
+            return result.svg;
 
         } catch (error) {
-            // Clean up on error
-            if (document.body.contains(container)) {
-                document.body.removeChild(container);
+            const formatted = this._formatError(error, code);
+            // Store the error for later retrieval
+            if (this._applyRun(run)) {
+                this.lastError = formatted;
             }
+            throw formatted;
+        }
+    }
 
-            // Store the error for later retrieval
-            this.lastError = this._formatError(error, code);
-            throw this.lastError;
+    /**
+     * Claim the stored state for a finished run, unless a newer run has
+     * already stored its outcome
+     * 
+     * @private
+     * @param {number} run - Run number from execute()
+     * @returns {boolean} True if the run's outcome should be stored
+     */
+    _applyRun(run) {
+        if (run < this.appliedRun) {
+            return false;
         }
+        this.appliedRun = run;
+        return true;
     }
 
     /**
-     * Execute user code with timeout protection
+     * Execute user code in a worker with timeout protection
      * 
-     * Note: JavaScript's setTimeout cannot interrupt synchronous code execution.
-     * This timeout protection works for async operations but cannot stop
-     * synchronous infinite loops. This is a known limitation of JavaScript.
+     * Each execution gets a fresh worker, so sketches cannot leak globals
+     * into later runs. If the sketch does not finish within TIMEOUT_MS the
+     * worker is terminated, which also stops synchronous infinite loops.
      * 
      * @private
      * @param {string} code - The user's JavaScript code
-     * @param {Object} draw - The SVG.js drawing instance
-     * @returns {Promise<void>}
+     * @returns {Promise<import('./sketch-runtime').SketchResult>} The sketch result
      * @throws {Error} If execution fails or times out
      */
-    async _executeWithTimeout(code, draw) {
+    _executeWithTimeout(code) {
         return new Promise((resolve, reject) => {
+            const worker = this.workerFactory();
+
+            const finish = () => {
+                clearTimeout(timeoutId);
+                worker.terminate();
+            };
+
             // Set up timeout
             const timeoutId = setTimeout(() => {
-                reject(new Error(`Code execution timed out after ${this.TIMEOUT_MS / 1000} seconds`));
+                worker.terminate();
+                // The stack would point into the generator, not the sketch
+                const error = new Error(`Code execution timed out after ${this.TIMEOUT_MS / 1000} seconds`);
+                error.stack = `Error: ${error.message}`;
+                reject(error);
             }, this.TIMEOUT_MS);
 
-            try {
-                // Create a function from the user code
-                // Use Function constructor instead of eval for better sandboxing
-                const userFunction = new Function('draw', code);
+            worker.onmessage = (event) => {
+                finish();
 
-                // Execute the user code
-                userFunction(draw);
+                if (event.data.status === 'success') {
+                    resolve(event.data.result);
+                } else {
+                    reject(deserializeError(event.data.error));
+                }
+            };
 
-                // Clear timeout and resolve
-                clearTimeout(timeoutId);
-                resolve();
+            worker.onerror = (event) => {
+                finish();
+                if (event.preventDefault) {
+                    event.preventDefault();
+                }
+                reject(new Error(event.message || 'Sketch worker failed to start'));
+            };
 
-            } catch (error) {
-                clearTimeout(timeoutId);
-                reject(error);
-            }
+            worker.postMessage({
+                code,
+                viewportSize: {
+                    width: this.viewportSize.width,
+                    height: this.viewportSize.height
+                },
+                options: this._runOptions()
+            });
         });
     }
 
+    /**
+     * Options passed to the sketch runtime
+     * 
+     * @private
+     * @returns {{dpi: number, units: string, seed: number, params: Object, modules: Object}} Runtime options
+     */
+    _runOptions() {
+        return {
+            dpi: this.DPI,
+            units: this.drawingUnits,
+            seed: this.seed,
+            params: this.paramValues,
+            modules: { ...this.libraryModules, ...this.modules }
+        };
+    }
+
     /**
      * Format error with type detection and line number extraction
+     * Lines are reported against the sketch file the error was thrown in.
      * 
      * @private
      * @param {Error} error - The error object
@@ -177,6 +357,7 @@ export class SVGGenerator {
     _formatError(error, code) {
         const formattedError = {
             message: error.message,
+            file: error.file || null,
             line: null,
             column: null,
             type: 'runtime'
@@ -187,11 +368,12 @@ export class SVGGenerator {
             formattedError.type = 'syntax';
         }
 
-        // Try to extract line number from error stack
-        const lineMatch = error.stack?.match(/at.*:(\d+):(\d+)/);
-        if (lineMatch) {
-            formattedError.line = parseInt(lineMatch[1], 10);
-            formattedError.column = parseInt(lineMatch[2], 10);
+        // Find the innermost stack frame in a sketch file
+        const location = locateSketchError(error);
+        if (location) {
+            formattedError.file = location.file;
+            formattedError.line = location.line;
+            formattedError.column = location.column;
         }
 
         // For syntax errors, try to parse the error message for line info
@@ -213,4 +395,31 @@ export class SVGGenerator {
     getLastError() {
         return this.lastError;
     }
+
+    /**
+     * Get the parameters declared by the last successful execution
+     * 
+     * @returns {import('./sketch-params').DeclaredParam[]} Parameter definitions with their values
+     */
+    getParamDefinitions() {
+        return this.paramDefinitions;
+    }
+
+    /**
+     * Get the layers created by the last successful execution
+     * 
+     * @returns {import('./sketch-layers').LayerInfo[]} Layers in document order
+     */
+    getLayers() {
+        return this.layers;
+    }
+
+    /**
+     * Get the features of the last successful drawing a plotter cannot reproduce
+     * 
+     * @returns {import('../utils/svg-lint').PlotWarning[]} Warnings in category order
+     */
+    getWarnings() {
+        return this.warnings;
+    }
 }
@@ -35,6 +35,151 @@ describe('SVGGenerator', () => {
         });
     });
 
+    describe('setDrawingUnits', () => {
+        it('should run the sketch in the chosen units', async () => {
+            generator.setViewportSize(1, 1);
+            generator.setDrawingUnits('mm');
+            const result = await generator.execute('');
+            expect(result).toContain('viewBox="0 0 25.4 25.4"');
+        });
+
+        it('should reject unsupported units', () => {
+            expect(() => generator.setDrawingUnits('cm')).toThrow('Invalid drawing units: must be one of in, mm');
+        });
+    });
+
+    describe('setSeed', () => {
+        it('should pass the seed to the sketch', async () => {
+            generator.setSeed(1234);
+            const result = await generator.execute('draw.text(String(seed));');
+            expect(result).toContain('1234');
+        });
+
+        it('should produce identical output for identical seeds', async () => {
+            const code = 'draw.circle(random(1, 2)).center(random(8), random(11));';
+            generator.setSeed(7);
+            const first = await generator.execute(code);
+            const second = await generator.execute(code);
+            generator.setSeed(8);
+            const third = await generator.execute(code);
+
+            expect(second).toBe(first);
+            expect(third).not.toBe(first);
+        });
+
+        it('should reject invalid seeds', () => {
+            expect(() => generator.setSeed(-1)).toThrow('Invalid seed');
+            expect(() => generator.setSeed(1.5)).toThrow('Invalid seed');
+        });
+    });
+
+    describe('parameters', () => {
+        const code = "const { n } = params({ n: { type: 'int', min: 1, max: 5, default: 1 } }); draw.text(String(n));";
+
+        it('should expose the parameters declared by the last run', async () => {
+            expect(generator.getParamDefinitions()).toEqual([]);
+
+            await generator.execute(code);
+
+            expect(generator.getParamDefinitions()).toEqual([
+                expect.objectContaining({ name: 'n', type: 'int', value: 1 })
+            ]);
+        });
+
+        it('should run the sketch with the values set by setParamValues', async () => {
+            generator.setParamValues({ n: 3 });
+            const result = await generator.execute(code);
+
+            expect(result).toContain('>3<');
+            expect(generator.getParamDefinitions()[0].value).toBe(3);
+        });
+
+        it('should keep the previous declarations when a run fails', async () => {
+            await generator.execute(code);
+            await expect(generator.execute('throw new Error("x")')).rejects.toBeDefined();
+
+            expect(generator.getParamDefinitions()).toHaveLength(1);
+        });
+
+        it('should reject invalid parameter values', () => {
+            expect(() => generator.setParamValues(null)).toThrow('Invalid parameter values');
+            expect(() => generator.setParamValues({ n: [1] })).toThrow('Invalid parameter values');
+        });
+    });
+
+    describe('layers', () => {
+        it('should expose the layers created by the last run', async () => {
+            expect(generator.getLayers()).toEqual([]);
+
+            await generator.execute("draw.layer('1-black').line(0, 0, 1, 1).stroke('#000');");
+
+            expect(generator.getLayers()).toEqual([{ name: '1-black', color: '#000000' }]);
+        });
+    });
+
+    describe('warnings', () => {
+        it('should expose the plottability warnings of the last run', async () => {
+            expect(generator.getWarnings()).toEqual([]);
+
+            await generator.execute("draw.circle(1).opacity(0.5).fill('none');");
+
+            expect(generator.getWarnings()).toEqual([
+                expect.objectContaining({ category: 'opacity', count: 1, line: 1 })
+            ]);
+        });
+    });
+
+    describe('modules', () => {
+        it('should let the sketch import the modules set by setModules', async () => {
+            generator.setModules([{ name: 'shapes.js', code: 'export const size = 3;' }]);
+
+            const svg = await generator.execute("import { size } from './shapes.js';\ndraw.circle(size);");
+
+            expect(svg).toContain('r="1.5"');
+        });
+
+        it('should report errors against the module and line that threw', async () => {
+            generator.setModules([{ name: 'shapes.js', code: 'export function bad() {\n  return missing + 1;\n}' }]);
+
+            await expect(generator.execute("import { bad } from './shapes.js';\nbad();")).rejects.toMatchObject({
+                file: 'shapes.js',
+                line: 2,
+                type: 'runtime'
+            });
+        });
+
+        it('should report syntax errors against the module and line they are on', async () => {
+            generator.setModules([{ name: 'shapes.js', code: 'export const size = 3;\nexport const area = size *;' }]);
+
+            await expect(generator.execute("import { area } from './shapes.js';")).rejects.toMatchObject({
+                file: 'shapes.js',
+                line: 2,
+                type: 'syntax'
+            });
+        });
+
+        it('should let project files shadow snippet library modules', async () => {
+            generator.setLibraryModules([
+                { name: 'shapes.js', code: 'export const size = 1;', updatedAt: '' },
+                { name: 'units.js', code: 'export const scale = 4;', updatedAt: '' }
+            ]);
+            generator.setModules([{ name: 'shapes.js', code: 'export const size = 3;' }]);
+
+            const svg = await generator.execute("import { size } from './shapes.js';\nimport { scale } from 'units';\ndraw.circle(size * scale);");
+
+            expect(svg).toContain('r="6"');
+        });
+
+        it('should reject invalid or duplicate module names', () => {
+            expect(() => generator.setModules([{ name: 'main.js', code: '' }])).toThrow('Invalid module name');
+            expect(() => generator.setModules([{ name: 'a b.js', code: '' }])).toThrow('Invalid module name');
+            expect(() => generator.setModules([
+                { name: 'a.js', code: '' },
+                { name: 'a.js', code: '' }
+            ])).toThrow('Invalid module name: a.js');
+        });
+    });
+
     describe('execute', () => {
         it('should execute valid code and return SVG markup', async () => {
             const code = `
@@ -93,10 +238,6 @@ describe('SVGGenerator', () => {
             expect(generator.getLastError().type).toBe('runtime');
         });
 
-        // Note: JavaScript setTimeout cannot interrupt synchronous infinite loops
-        // This is a known limitation - the timeout protection works for async operations
-        // but cannot stop synchronous blocking code
-
         it('should clean up container on success', async () => {
             const code = `draw.circle(100);`;
             
@@ -141,6 +282,133 @@ describe('SVGGenerator', () => {
         });
     });
 
+    describe('worker execution', () => {
+        /**
+         * Minimal stand-in for a Web Worker. `respond` decides what the
+         * "worker thread" posts back; returning undefined simulates a sketch
+         * that never finishes (e.g. while(true) {}).
+         */
+        function createFakeWorker(respond) {
+            const worker = {
+                onmessage: null,
+                onerror: null,
+                terminate: vi.fn(),
+                postMessage: vi.fn((message) => {
+                    const reply = respond(message);
+                    if (reply) {
+                        setTimeout(() => worker.onmessage({ data: reply }), 0);
+                    }
+                })
+            };
+            return worker;
+        }
+
+        it('should default to inline execution when Worker is unavailable', () => {
+            expect(generator.workerFactory).toBeNull();
+        });
+
+        it('should post code and viewport to the worker and resolve with markup', async () => {
+            const worker = createFakeWorker(() => ({
+                status: 'success',
+                result: { svg: '<svg><circle></circle></svg>' }
+            }));
+            generator.workerFactory = () => worker;
+
+            const result = await generator.execute('draw.circle(1);');
+
+            expect(result).toBe('<svg><circle></circle></svg>');
+            expect(worker.postMessage).toHaveBeenCalledWith({
+                code: 'draw.circle(1);',
+                viewportSize: { width: 8.5, height: 11 },
+                options: { dpi: 96, units: 'in', seed: 0, params: {}, modules: {} }
+            });
+            expect(worker.terminate).toHaveBeenCalled();
+        });
+
+        it('should rebuild errors posted by the worker', async () => {
+            const worker = createFakeWorker(() => ({
+                status: 'error',
+                error: { name: 'SyntaxError', message: 'Unexpected end of input', stack: 'SyntaxError: Unexpected end of input', file: 'main.js', line: 1 }
+            }));
+            generator.workerFactory = () => worker;
+
+            await expect(generator.execute('draw.circle(')).rejects.toMatchObject({
+                message: 'Unexpected end of input',
+                file: 'main.js',
+                line: 1,
+                type: 'syntax'
+            });
+            expect(generator.getLastError().type).toBe('syntax');
+        });
+
+        it('should terminate the worker when a sketch never finishes', async () => {
+            vi.useFakeTimers();
+            try {
+                const worker = createFakeWorker(() => undefined);
+                generator.workerFactory = () => worker;
+
+                const promise = generator.execute('while (true) {}');
+                const assertion = expect(promise).rejects.toMatchObject({
+                    message: 'Code execution timed out after 5 seconds',
+                    line: null
+                });
+
+                await vi.advanceTimersByTimeAsync(generator.TIMEOUT_MS);
+                await assertion;
+
+                expect(worker.terminate).toHaveBeenCalled();
+            } finally {
+                vi.useRealTimers();
+            }
+        });
+
+        it('should use a fresh worker for every execution', async () => {
+            const factory = vi.fn(() => createFakeWorker(() => ({
+                status: 'success',
+                result: { svg: '<svg></svg>' }
+            })));
+            generator.workerFactory = factory;
+
+            await generator.execute('');
+            await generator.execute('');
+
+            expect(factory).toHaveBeenCalledTimes(2);
+        });
+
+        it('should keep the state of a newer run when an older one finishes last', async () => {
+            const workers = [];
+            generator.workerFactory = () => {
+                const worker = createFakeWorker(() => undefined);
+                workers.push(worker);
+                return worker;
+            };
+            const reply = (index, result) => workers[index].onmessage({ data: { status: 'success', result } });
+
+            const older = generator.execute('old');
+            const newer = generator.execute('new');
+            reply(1, { svg: '<svg id="new"></svg>', params: [{ name: 'new' }], layers: [{ name: 'new' }], warnings: [] });
+            reply(0, { svg: '<svg id="old"></svg>', params: [{ name: 'old' }], layers: [{ name: 'old' }], warnings: [{ category: 'fill' }] });
+
+            expect(await newer).toBe('<svg id="new"></svg>');
+            expect(await older).toBe('<svg id="old"></svg>');
+            expect(generator.getParamDefinitions()).toEqual([{ name: 'new' }]);
+            expect(generator.getLayers()).toEqual([{ name: 'new' }]);
+            expect(generator.getWarnings()).toEqual([]);
+        });
+
+        it('should reject when the worker fails to load', async () => {
+            const worker = createFakeWorker(() => undefined);
+            worker.postMessage = vi.fn(() => {
+                setTimeout(() => worker.onerror({ message: 'Failed to load worker script' }), 0);
+            });
+            generator.workerFactory = () => worker;
+
+            await expect(generator.execute('')).rejects.toMatchObject({
+                message: 'Failed to load worker script'
+            });
+        });
+    });
+
     describe('getLastError', () => {
         it('should return null when no error has occurred', () => {
             expect(generator.getLastError()).toBeNull();
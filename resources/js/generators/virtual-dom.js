@@ -0,0 +1,1039 @@
+/**
+ * Virtual DOM
+ *
+ * A minimal, DOM-free implementation of the document and element APIs that
+ * SVG.js relies on while building a drawing. It allows sketches to run inside
+ * a Web Worker, which has no `document`, while still using the real SVG.js API.
+ *
+ * Only what SVG.js needs for drawing and serialization is implemented.
+ * Layout-dependent methods such as getBBox() and getBoundingClientRect()
+ * are computed from element geometry; text metrics are estimated from the
+ * font size.
+ *
+ * Usage:
+ *   const virtualWindow = createVirtualWindow();
+ *   registerWindow(virtualWindow, virtualWindow.document); // from SVG.js
+ */
+
+import { flattenPathData } from '../geometry/path-data.js';
+import { applyMatrix, multiplyMatrices, parseTransform, IDENTITY_MATRIX } from '../geometry/transform.js';
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+/**
+ * Default font size used when a text element does not specify one
+ */
+const DEFAULT_FONT_SIZE = 16;
+
+/**
+ * Average glyph width relative to the font size, used to estimate text extents
+ */
+const AVERAGE_GLYPH_WIDTH = 0.6;
+
+/**
+ * Elements that never contribute to the bounding box of their parent
+ */
+const NON_RENDERED_ELEMENTS = new Set([
+    'defs', 'clipPath', 'mask', 'marker', 'pattern', 'linearGradient',
+    'radialGradient', 'symbol', 'style', 'script', 'title', 'desc', 'metadata'
+]);
+
+/**
+ * Base class for all virtual nodes
+ */
+export class VirtualNode {
+    /**
+     * @param {number} nodeType - DOM node type constant
+     * @param {string} nodeName - Node name
+     * @param {VirtualDocument|null} ownerDocument - Owning document
+     */
+    constructor(nodeType, nodeName, ownerDocument) {
+        this.nodeType = nodeType;
+        this.nodeName = nodeName;
+        this.ownerDocument = ownerDocument;
+        this.parentNode = null;
+        this.childNodes = [];
+    }
+
+    get firstChild() {
+        return this.childNodes[0] || null;
+    }
+
+    get lastChild() {
+        return this.childNodes[this.childNodes.length - 1] || null;
+    }
+
+    get nextSibling() {
+        if (!this.parentNode) return null;
+        const siblings = this.parentNode.childNodes;
+        return siblings[siblings.indexOf(this) + 1] || null;
+    }
+
+    get previousSibling() {
+        if (!this.parentNode) return null;
+        const siblings = this.parentNode.childNodes;
+        return siblings[siblings.indexOf(this) - 1] || null;
+    }
+
+    get children() {
+        return this.childNodes.filter(node => node.nodeType === 1);
+    }
+
+    get firstElementChild() {
+        return this.children[0] || null;
+    }
+
+    get lastElementChild() {
+        const children = this.children;
+        return children[children.length - 1] || null;
+    }
+
+    get textContent() {
+        return this.childNodes.map(node => node.textContent).join('');
+    }
+
+    set textContent(value) {
+        this._detachChildren();
+        if (value !== null && value !== undefined && value !== '') {
+            this.appendChild(this.ownerDocument.createTextNode(String(value)));
+        }
+    }
+
+    /**
+     * Append a child node (fragments are unpacked)
+     *
+     * @param {VirtualNode} child - Node to append
+     * @returns {VirtualNode} The appended node
+     */
+    appendChild(child) {
+        return this.insertBefore(child, null);
+    }
+
+    /**
+     * Insert a child node before a reference node
+     *
+     * @param {VirtualNode} child - Node to insert
+     * @param {VirtualNode|null} reference - Node to insert before (null appends)
+     * @returns {VirtualNode} The inserted node
+     */
+    insertBefore(child, reference) {
+        if (child.nodeType === 11) {
+            [...child.childNodes].forEach(node => this.insertBefore(node, reference));
+            return child;
+        }
+
+        if (child.parentNode) {
+            child.parentNode.removeChild(child);
+        }
+
+        const index = reference ? this.childNodes.indexOf(reference) : -1;
+        if (index === -1) {
+            this.childNodes.push(child);
+        } else {
+            this.childNodes.splice(index, 0, child);
+        }
+
+        child.parentNode = this;
+        return child;
+    }
+
+    /**
+     * Remove a child node
+     *
+     * @param {VirtualNode} child - Node to remove
+     * @returns {VirtualNode} The removed node
+     * @throws {Error} If the node is not a child of this node
+     */
+    removeChild(child) {
+        const index = this.childNodes.indexOf(child);
+        if (index === -1) {
+            throw new Error('The node to be removed is not a child of this node');
+        }
+
+        this.childNodes.splice(index, 1);
+        child.parentNode = null;
+        return child;
+    }
+
+    /**
+     * Replace a child node with another node
+     *
+     * @param {VirtualNode} newChild - Replacement node
+     * @param {VirtualNode} oldChild - Node to replace
+     * @returns {VirtualNode} The replaced node
+     */
+    replaceChild(newChild, oldChild) {
+        this.insertBefore(newChild, oldChild);
+        return this.removeChild(oldChild);
+    }
+
+    hasChildNodes() {
+        return this.childNodes.length > 0;
+    }
+
+    /**
+     * Check whether a node is this node or one of its descendants
+     *
+     * @param {VirtualNode} node - Node to look for
+     * @returns {boolean} True if contained
+     */
+    contains(node) {
+        for (let current = node; current; current = current.parentNode) {
+            if (current === this) return true;
+        }
+        return false;
+    }
+
+    // Events are meaningless without a renderer, but SVG.js may register them
+    addEventListener() {}
+
+    removeEventListener() {}
+
+    dispatchEvent() {
+        return true;
+    }
+
+    /**
+     * Remove all child nodes
+     *
+     * @private
+     */
+    _detachChildren() {
+        this.childNodes.forEach(node => {
+            node.parentNode = null;
+        });
+        this.childNodes = [];
+    }
+}
+
+/**
+ * Text node
+ */
+export class VirtualText extends VirtualNode {
+    /**
+     * @param {string} data - Text content
+     * @param {VirtualDocument} ownerDocument - Owning document
+     */
+    constructor(data, ownerDocument) {
+        super(3, '#text', ownerDocument);
+        this.nodeValue = String(data);
+    }
+
+    get data() {
+        return this.nodeValue;
+    }
+
+    set data(value) {
+        this.nodeValue = String(value);
+    }
+
+    get textContent() {
+        return this.nodeValue;
+    }
+
+    set textContent(value) {
+        this.nodeValue = String(value);
+    }
+
+    cloneNode() {
+        return new VirtualText(this.nodeValue, this.ownerDocument);
+    }
+}
+
+/**
+ * Document fragment
+ */
+export class VirtualFragment extends VirtualNode {
+    /**
+     * @param {VirtualDocument} ownerDocument - Owning document
+     */
+    constructor(ownerDocument) {
+        super(11, '#document-fragment', ownerDocument);
+    }
+
+    cloneNode(deep = false) {
+        const clone = new VirtualFragment(this.ownerDocument);
+        if (deep) {
+            this.childNodes.forEach(node => clone.appendChild(node.cloneNode(true)));
+        }
+        return clone;
+    }
+}
+
+/**
+ * CSSStyleDeclaration backed by the element's style attribute
+ */
+export class VirtualStyle {
+    /**
+     * @param {VirtualElement} element - Element the style belongs to
+     */
+    constructor(element) {
+        this._element = element;
+    }
+
+    get cssText() {
+        return this._element.getAttribute('style') || '';
+    }
+
+    set cssText(value) {
+        this._write(_parseDeclarations(value || ''));
+    }
+
+    getPropertyValue(name) {
+        return _parseDeclarations(this.cssText).get(name) || '';
+    }
+
+    setProperty(name, value) {
+        const declarations = _parseDeclarations(this.cssText);
+        if (value === null || value === undefined || value === '') {
+            declarations.delete(name);
+        } else {
+            declarations.set(name, String(value));
+        }
+        this._write(declarations);
+    }
+
+    removeProperty(name) {
+        const declarations = _parseDeclarations(this.cssText);
+        const previous = declarations.get(name) || '';
+        declarations.delete(name);
+        this._write(declarations);
+        return previous;
+    }
+
+    /**
+     * Serialize declarations back to the style attribute
+     *
+     * @private
+     * @param {Map<string, string>} declarations - Declarations to write
+     */
+    _write(declarations) {
+        if (declarations.size === 0) {
+            this._element.removeAttribute('style');
+            return;
+        }
+        const text = [...declarations].map(([name, value]) => `${name}: ${value};`).join(' ');
+        this._element.setAttribute('style', text);
+    }
+}
+
+/**
+ * Element node
+ */
+export class VirtualElement extends VirtualNode {
+    /**
+     * @param {string} namespaceURI - Element namespace
+     * @param {string} qualifiedName - Element name
+     * @param {VirtualDocument} ownerDocument - Owning document
+     */
+    constructor(namespaceURI, qualifiedName, ownerDocument) {
+        // HTML element names are reported in upper case, like browsers do
+        const nodeName = namespaceURI === HTML_NAMESPACE ? qualifiedName.toUpperCase() : qualifiedName;
+        super(1, nodeName, ownerDocument);
+        this.namespaceURI = namespaceURI;
+        this.localName = qualifiedName;
+        this._attributes = new Map();
+        this.style = new VirtualStyle(this);
+    }
+
+    get tagName() {
+        return this.nodeName;
+    }
+
+    get attributes() {
+        return [...this._attributes].map(([name, value]) => ({
+            name,
+            nodeName: name,
+            value,
+            nodeValue: value
+        }));
+    }
+
+    get id() {
+        return this.getAttribute('id') || '';
+    }
+
+    set id(value) {
+        this.setAttribute('id', value);
+    }
+
+    get outerHTML() {
+        return serializeNode(this);
+    }
+
+    get innerHTML() {
+        return this.childNodes.map(serializeNode).join('');
+    }
+
+    set innerHTML(value) {
+        if (value === '' || value === null || value === undefined) {
+            this._detachChildren();
+            return;
+        }
+        throw new Error('Importing SVG markup is not supported in the sketch runtime');
+    }
+
+    getAttribute(name) {
+        return this._attributes.has(name) ? this._attributes.get(name) : null;
+    }
+
+    setAttribute(name, value) {
+        this._attributes.set(name, String(value));
+    }
+
+    getAttributeNS(namespace, localName) {
+        if (this._attributes.has(localName)) {
+            return this._attributes.get(localName);
+        }
+        for (const [name, value] of this._attributes) {
+            if (name.endsWith(`:${localName}`)) return value;
+        }
+        return null;
+    }
+
+    setAttributeNS(namespace, qualifiedName, value) {
+        this.setAttribute(qualifiedName, value);
+    }
+
+    removeAttribute(name) {
+        this._attributes.delete(name);
+    }
+
+    removeAttributeNS(namespace, localName) {
+        for (const name of [...this._attributes.keys()]) {
+            if (name === localName || name.endsWith(`:${localName}`)) {
+                this._attributes.delete(name);
+            }
+        }
+    }
+
+    hasAttribute(name) {
+        return this._attributes.has(name);
+    }
+
+    hasAttributes() {
+        return this._attributes.size > 0;
+    }
+
+    cloneNode(deep = false) {
+        const clone = new VirtualElement(this.namespaceURI, this.localName, this.ownerDocument);
+        this._attributes.forEach((value, name) => clone.setAttribute(name, value));
+        if (deep) {
+            this.childNodes.forEach(node => clone.appendChild(node.cloneNode(true)));
+        }
+        return clone;
+    }
+
+    /**
+     * Check whether the element matches a simple selector
+     * Supports tag names, #id, .class, [attr], [attr=value], * and comma lists.
+     *
+     * @param {string} selector - Selector to test
+     * @returns {boolean} True if the element matches
+     */
+    matches(selector) {
+        return selector.split(',').some(part => _matchesCompound(this, part.trim()));
+    }
+
+    querySelector(selector) {
+        return _findDescendants(this, selector, true)[0] || null;
+    }
+
+    querySelectorAll(selector) {
+        return _findDescendants(this, selector, false);
+    }
+
+    getElementsByTagName(name) {
+        return _findDescendants(this, name, false);
+    }
+
+    /**
+     * Bounding box in the element's own user space
+     *
+     * @returns {{x: number, y: number, width: number, height: number}} Bounding box
+     */
+    getBBox() {
+        const box = computeBBox(this);
+        return box || { x: 0, y: 0, width: 0, height: 0 };
+    }
+
+    /**
+     * Bounding box in root coordinates, which stand in for the screen
+     * There is no viewport, so SVG.js's rbox() is in the drawing's units.
+     *
+     * @returns {{x: number, y: number, width: number, height: number, left: number, top: number, right: number, bottom: number}} Box
+     */
+    getBoundingClientRect() {
+        const { x, y, width, height } = this.getBBox();
+        const matrix = this.getScreenCTM();
+        const box = _boxFromPoints([[x, y], [x + width, y], [x, y + height], [x + width, y + height]]
+            .map(point => applyMatrix(matrix, point)));
+        return { ...box, left: box.x, top: box.y, right: box.x + box.width, bottom: box.y + box.height };
+    }
+
+    getCTM() {
+        return this.getScreenCTM();
+    }
+
+    /**
+     * Transform from this element's user space to the root coordinate system
+     *
+     * @returns {import('../geometry/transform').Matrix} Accumulated matrix
+     */
+    getScreenCTM() {
+        let matrix = { ...IDENTITY_MATRIX };
+        for (let node = this; node && node.nodeType === 1; node = node.parentNode) {
+            matrix = multiplyMatrices(parseTransform(node.getAttribute('transform')), matrix);
+        }
+        return matrix;
+    }
+
+    getTotalLength() {
+        return (_outlinePolylines(this) || []).reduce((total, polyline) => total + _polylineLength(polyline), 0);
+    }
+
+    getPointAtLength(distance) {
+        let remaining = Math.max(0, distance);
+        let last = { x: 0, y: 0 };
+
+        for (const polyline of _outlinePolylines(this) || []) {
+            for (let i = 1; i < polyline.length; i++) {
+                const [x1, y1] = polyline[i - 1];
+                const [x2, y2] = polyline[i];
+                const length = Math.hypot(x2 - x1, y2 - y1);
+                if (remaining <= length && length > 0) {
+                    const t = remaining / length;
+                    return { x: x1 + (x2 - x1) * t, y: y1 + (y2 - y1) * t };
+                }
+                remaining -= length;
+                last = { x: x2, y: y2 };
+            }
+        }
+
+        return last;
+    }
+
+    getComputedTextLength() {
+        return this.textContent.length * _fontSize(this) * AVERAGE_GLYPH_WIDTH;
+    }
+}
+
+/**
+ * Document node
+ */
+export class VirtualDocument extends VirtualNode {
+    constructor() {
+        super(9, '#document', null);
+        this.ownerDocument = null;
+        this.defaultView = null;
+
+        this.documentElement = this.createElementNS(HTML_NAMESPACE, 'html');
+        this.body = this.createElementNS(HTML_NAMESPACE, 'body');
+        this.documentElement.appendChild(this.body);
+        this.appendChild(this.documentElement);
+    }
+
+    createElementNS(namespaceURI, qualifiedName) {
+        return new VirtualElement(namespaceURI || SVG_NAMESPACE, qualifiedName, this);
+    }
+
+    createElement(tagName) {
+        return new VirtualElement(HTML_NAMESPACE, tagName, this);
+    }
+
+    createTextNode(data) {
+        return new VirtualText(data, this);
+    }
+
+    createDocumentFragment() {
+        return new VirtualFragment(this);
+    }
+
+    querySelector(selector) {
+        return this.documentElement.matches(selector)
+            ? this.documentElement
+            : this.documentElement.querySelector(selector);
+    }
+
+    querySelectorAll(selector) {
+        const matches = this.documentElement.querySelectorAll(selector);
+        return this.documentElement.matches(selector) ? [this.documentElement, ...matches] : matches;
+    }
+}
+
+/**
+ * Minimal Event implementation for SVG.js's event helpers
+ */
+export class VirtualEvent {
+    /**
+     * @param {string} type - Event type
+     * @param {Object} [options] - Event options
+     */
+    constructor(type, options = {}) {
+        this.type = type;
+        this.bubbles = Boolean(options.bubbles);
+        this.cancelable = Boolean(options.cancelable);
+        this.defaultPrevented = false;
+    }
+
+    preventDefault() {
+        if (this.cancelable) {
+            this.defaultPrevented = true;
+        }
+    }
+}
+
+/**
+ * Minimal CustomEvent implementation
+ */
+export class VirtualCustomEvent extends VirtualEvent {
+    /**
+     * @param {string} type - Event type
+     * @param {Object} [options] - Event options including detail
+     */
+    constructor(type, options = {}) {
+        super(type, options);
+        this.detail = options.detail ?? null;
+    }
+}
+
+/**
+ * Create a window-like object backed by a fresh virtual document
+ * Pass the result to SVG.js's registerWindow().
+ *
+ * @returns {Object} Virtual window with a `document` property
+ */
+export function createVirtualWindow() {
+    const document = new VirtualDocument();
+    const virtualWindow = {
+        document,
+        Node: VirtualNode,
+        Element: VirtualElement,
+        SVGElement: VirtualElement,
+        Event: VirtualEvent,
+        CustomEvent: VirtualCustomEvent,
+        pageXOffset: 0,
+        pageYOffset: 0,
+        getComputedStyle: (element) => ({
+            getPropertyValue: (name) => {
+                if (name === 'font-size') {
+                    return `${_fontSize(element)}px`;
+                }
+                return element.style ? element.style.getPropertyValue(name) : '';
+            }
+        })
+    };
+
+    document.defaultView = virtualWindow;
+    return virtualWindow;
+}
+
+/**
+ * Serialize a virtual node to markup
+ *
+ * @param {VirtualNode} node - Node to serialize
+ * @returns {string} Markup
+ */
+export function serializeNode(node) {
+    if (node.nodeType === 3) {
+        return _escapeText(node.nodeValue);
+    }
+
+    if (node.nodeType !== 1) {
+        return node.childNodes.map(serializeNode).join('');
+    }
+
+    const attributes = node.attributes
+        .map(({ name, value }) => ` ${name}="${_escapeAttribute(value)}"`)
+        .join('');
+    const children = node.childNodes.map(serializeNode).join('');
+
+    return `<${node.localName}${attributes}>${children}</${node.localName}>`;
+}
+
+/**
+ * Parse XML markup, such as a serialized drawing, into virtual nodes
+ * Elements, attributes, text, CDATA sections and character references are
+ * read; comments, processing instructions and the doctype are skipped.
+ * Elements without an xmlns take their parent's namespace, SVG at the root.
+ *
+ * @param {string} markup - Markup with a single root element
+ * @param {VirtualDocument} document - Document that owns the new nodes
+ * @returns {VirtualElement} Root element
+ * @throws {Error} If the markup is not well-formed
+ */
+export function parseMarkup(markup, document) {
+    const token = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<\/([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/y;
+    const attribute = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    const fragment = document.createDocumentFragment();
+    const open = [fragment];
+    const invalid = () => new Error('Failed to parse SVG markup: invalid XML');
+
+    while (token.lastIndex < markup.length) {
+        const match = token.exec(markup);
+        if (!match) {
+            throw invalid();
+        }
+        const [, cdata, closeName, openName, attributes, selfClosing, text] = match;
+        const parent = open[open.length - 1];
+
+        if (cdata !== undefined) {
+            parent.appendChild(document.createTextNode(cdata));
+        } else if (text !== undefined) {
+            // Whitespace outside the root element is not content
+            if (parent !== fragment || text.trim() !== '') {
+                parent.appendChild(document.createTextNode(_decodeEntities(text)));
+            }
+        } else if (closeName !== undefined) {
+            if (open.length === 1 || parent.localName !== closeName) {
+                throw invalid();
+            }
+            open.pop();
+        } else if (openName !== undefined) {
+            const values = [...attributes.matchAll(attribute)]
+                .map(([, name, doubleQuoted, singleQuoted]) => [name, _decodeEntities(doubleQuoted ?? singleQuoted)]);
+            const xmlns = values.find(([name]) => name === 'xmlns');
+            const element = document.createElementNS(xmlns ? xmlns[1] : parent.namespaceURI, openName);
+            values.forEach(([name, value]) => element.setAttribute(name, value));
+            parent.appendChild(element);
+            if (!selfClosing) {
+                open.push(element);
+            }
+        }
+    }
+
+    const roots = fragment.children;
+    if (open.length !== 1 || roots.length !== 1 || fragment.childNodes.length !== 1) {
+        throw invalid();
+    }
+    return roots[0];
+}
+
+/**
+ * Compute the bounding box of an element in its own user space
+ * Children are included with their transforms applied, the element's own
+ * transform is not (matching SVGGraphicsElement.getBBox()).
+ *
+ * @param {VirtualElement} element - Element to measure
+ * @returns {{x: number, y: number, width: number, height: number}|null} Box or null if empty
+ */
+export function computeBBox(element) {
+    const name = element.localName;
+
+    if (name === 'text' || name === 'tspan' || name === 'textPath') {
+        return _textBBox(element);
+    }
+
+    if (name === 'rect' || name === 'image' || name === 'use' || name === 'foreignObject') {
+        const width = _number(element, 'width');
+        const height = _number(element, 'height');
+        if (name === 'use' && width === 0 && height === 0) {
+            return null;
+        }
+        return { x: _number(element, 'x'), y: _number(element, 'y'), width, height };
+    }
+
+    const outline = _outlinePolylines(element);
+    if (outline) {
+        return _boxFromPoints(outline.flat());
+    }
+
+    // Containers: union of child boxes in this element's coordinate system
+    let points = [];
+    element.children.forEach(child => {
+        if (NON_RENDERED_ELEMENTS.has(child.localName)) {
+            return;
+        }
+        const box = computeBBox(child);
+        if (!box) {
+            return;
+        }
+        const matrix = parseTransform(child.getAttribute('transform'));
+        points = points.concat([
+            [box.x, box.y],
+            [box.x + box.width, box.y],
+            [box.x, box.y + box.height],
+            [box.x + box.width, box.y + box.height]
+        ].map(point => applyMatrix(matrix, point)));
+    });
+
+    return points.length > 0 ? _boxFromPoints(points) : null;
+}
+
+/**
+ * Total length of a polyline
+ *
+ * @private
+ * @param {number[][]} polyline - Points as [x, y]
+ * @returns {number} Length
+ */
+function _polylineLength(polyline) {
+    let length = 0;
+    for (let i = 1; i < polyline.length; i++) {
+        length += Math.hypot(polyline[i][0] - polyline[i - 1][0], polyline[i][1] - polyline[i - 1][1]);
+    }
+    return length;
+}
+
+/**
+ * Outline of a basic shape as polylines, or null for non-shapes
+ *
+ * @private
+ * @param {VirtualElement} element - Element to outline
+ * @returns {number[][][]|null} Polylines
+ */
+function _outlinePolylines(element) {
+    switch (element.localName) {
+        case 'path':
+            try {
+                return flattenPathData(element.getAttribute('d') || '');
+            } catch (error) {
+                return [];
+            }
+
+        case 'line':
+            return [[
+                [_number(element, 'x1'), _number(element, 'y1')],
+                [_number(element, 'x2'), _number(element, 'y2')]
+            ]];
+
+        case 'polyline':
+        case 'polygon': {
+            const values = (element.getAttribute('points') || '')
+                .split(/[\s,]+/)
+                .filter(value => value.length > 0)
+                .map(Number);
+            const points = [];
+            for (let i = 0; i + 1 < values.length; i += 2) {
+                points.push([values[i], values[i + 1]]);
+            }
+            if (element.localName === 'polygon' && points.length > 0) {
+                points.push(points[0]);
+            }
+            return [points];
+        }
+
+        case 'circle':
+        case 'ellipse': {
+            const cx = _number(element, 'cx');
+            const cy = _number(element, 'cy');
+            const rx = element.localName === 'circle' ? _number(element, 'r') : _number(element, 'rx');
+            const ry = element.localName === 'circle' ? rx : _number(element, 'ry');
+            const steps = 64;
+            const points = [];
+            for (let i = 0; i <= steps; i++) {
+                const angle = (i / steps) * Math.PI * 2;
+                points.push([cx + rx * Math.cos(angle), cy + ry * Math.sin(angle)]);
+            }
+            // Include the exact extremes so the box is not undersized
+            points.push([cx - rx, cy], [cx + rx, cy], [cx, cy - ry], [cx, cy + ry]);
+            return [points];
+        }
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Estimate the bounding box of a text element
+ *
+ * @private
+ * @param {VirtualElement} element - Text element
+ * @returns {{x: number, y: number, width: number, height: number}|null} Estimated box
+ */
+function _textBBox(element) {
+    const text = element.textContent;
+    if (!text) {
+        return null;
+    }
+    const fontSize = _fontSize(element);
+    const x = _number(element, 'x');
+    const y = _number(element, 'y');
+    return {
+        x,
+        y: y - fontSize * 0.8,
+        width: text.length * fontSize * AVERAGE_GLYPH_WIDTH,
+        height: fontSize
+    };
+}
+
+/**
+ * Resolve the font size of an element, walking up to inherited values
+ *
+ * @private
+ * @param {VirtualElement} element - Element to inspect
+ * @returns {number} Font size in user units
+ */
+function _fontSize(element) {
+    for (let node = element; node && node.nodeType === 1; node = node.parentNode) {
+        const value = node.style.getPropertyValue('font-size') || node.getAttribute('font-size');
+        const size = parseFloat(value);
+        if (!Number.isNaN(size)) {
+            return size;
+        }
+    }
+    return DEFAULT_FONT_SIZE;
+}
+
+/**
+ * Read a numeric attribute (first number of a list), defaulting to 0
+ *
+ * @private
+ * @param {VirtualElement} element - Element to read from
+ * @param {string} name - Attribute name
+ * @returns {number} Numeric value
+ */
+function _number(element, name) {
+    const value = parseFloat(element.getAttribute(name));
+    return Number.isNaN(value) ? 0 : value;
+}
+
+/**
+ * Axis-aligned box around a set of points
+ *
+ * @private
+ * @param {number[][]} points - Points as [x, y]
+ * @returns {{x: number, y: number, width: number, height: number}|null} Box or null if empty
+ */
+function _boxFromPoints(points) {
+    if (points.length === 0) {
+        return null;
+    }
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    points.forEach(([x, y]) => {
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+    });
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Parse a style attribute into an ordered map of declarations
+ *
+ * @private
+ * @param {string} cssText - Style attribute value
+ * @returns {Map<string, string>} Declarations
+ */
+function _parseDeclarations(cssText) {
+    const declarations = new Map();
+    cssText.split(';').forEach(declaration => {
+        const separator = declaration.indexOf(':');
+        if (separator === -1) return;
+        const name = declaration.slice(0, separator).trim();
+        const value = declaration.slice(separator + 1).trim();
+        if (name) {
+            declarations.set(name, value);
+        }
+    });
+    return declarations;
+}
+
+/**
+ * Check a single compound selector (no combinators) against an element
+ *
+ * @private
+ * @param {VirtualElement} element - Element to test
+ * @param {string} selector - Compound selector such as "circle.dot[fill]"
+ * @returns {boolean} True if the element matches
+ */
+function _matchesCompound(element, selector) {
+    const pattern = /([#.]?)([\w-]+|\*)|\[([\w:-]+)(?:=["']?([^"'\]]*)["']?)?\]/g;
+    let consumed = 0;
+    let match;
+
+    while ((match = pattern.exec(selector)) !== null) {
+        if (match.index !== consumed) {
+            return false;
+        }
+        consumed = match.index + match[0].length;
+
+        const [, prefix, name, attribute, attributeValue] = match;
+        if (attribute !== undefined) {
+            if (!element.hasAttribute(attribute)) return false;
+            if (attributeValue !== undefined && element.getAttribute(attribute) !== attributeValue) return false;
+        } else if (prefix === '#') {
+            if (element.getAttribute('id') !== name) return false;
+        } else if (prefix === '.') {
+            const classes = (element.getAttribute('class') || '').split(/\s+/);
+            if (!classes.includes(name)) return false;
+        } else if (name !== '*' && element.localName.toLowerCase() !== name.toLowerCase()) {
+            return false;
+        }
+    }
+
+    return consumed > 0 && consumed === selector.length;
+}
+
+/**
+ * Depth-first search for descendants matching a selector
+ *
+ * @private
+ * @param {VirtualNode} root - Node to search below
+ * @param {string} selector - Selector to match
+ * @param {boolean} firstOnly - Stop at the first match
+ * @returns {VirtualElement[]} Matching elements in document order
+ */
+function _findDescendants(root, selector, firstOnly) {
+    const results = [];
+    const visit = (node) => {
+        for (const child of node.children) {
+            if (child.matches(selector)) {
+                results.push(child);
+                if (firstOnly) return true;
+            }
+            if (visit(child)) return true;
+        }
+        return false;
+    };
+    visit(root);
+    return results;
+}
+
+/**
+ * Replace character references with the characters they stand for
+ *
+ * @private
+ * @param {string} text - Text or attribute value from markup
+ * @returns {string} Decoded text
+ */
+function _decodeEntities(text) {
+    const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+    return text.replace(/&(?:#x([0-9a-fA-F]+)|#(\d+)|(lt|gt|amp|quot|apos));/g, (reference, hex, decimal, name) => {
+        if (name) {
+            return named[name];
+        }
+        return String.fromCodePoint(parseInt(hex || decimal, hex ? 16 : 10));
+    });
+}
+
+/**
+ * Escape text content for markup
+ *
+ * @private
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function _escapeText(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Escape an attribute value for markup
+ *
+ * @private
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+function _escapeAttribute(value) {
+    return _escapeText(value).replace(/"/g, '&quot;');
+}
@@ -0,0 +1,319 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createVirtualWindow, serializeNode, parseMarkup, computeBBox } from './virtual-dom.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+describe('virtual DOM', () => {
+    let virtualWindow;
+    let document;
+
+    beforeEach(() => {
+        virtualWindow = createVirtualWindow();
+        document = virtualWindow.document;
+    });
+
+    describe('createVirtualWindow', () => {
+        it('should expose a document with html and body elements', () => {
+            expect(document.documentElement.nodeName).toBe('HTML');
+            expect(document.body.parentNode).toBe(document.documentElement);
+            expect(document.defaultView).toBe(virtualWindow);
+        });
+
+        it('should make created elements instances of Node and SVGElement', () => {
+            const circle = document.createElementNS(SVG_NS, 'circle');
+            expect(circle).toBeInstanceOf(virtualWindow.Node);
+            expect(circle).toBeInstanceOf(virtualWindow.SVGElement);
+        });
+
+        it('should not depend on the global document', () => {
+            const svg = document.createElementNS(SVG_NS, 'svg');
+            document.body.appendChild(svg);
+            expect(svg).not.toBeInstanceOf(globalThis.Node);
+            expect(globalThis.document.querySelector('svg')).toBeNull();
+        });
+    });
+
+    describe('tree manipulation', () => {
+        it('should append, insert and remove children', () => {
+            const parent = document.createElementNS(SVG_NS, 'g');
+            const a = document.createElementNS(SVG_NS, 'circle');
+            const b = document.createElementNS(SVG_NS, 'rect');
+            const c = document.createElementNS(SVG_NS, 'line');
+
+            parent.appendChild(a);
+            parent.appendChild(c);
+            parent.insertBefore(b, c);
+
+            expect(parent.childNodes).toEqual([a, b, c]);
+            expect(a.nextSibling).toBe(b);
+            expect(c.previousSibling).toBe(b);
+            expect(parent.firstChild).toBe(a);
+            expect(parent.lastChild).toBe(c);
+
+            parent.removeChild(b);
+            expect(parent.childNodes).toEqual([a, c]);
+            expect(b.parentNode).toBeNull();
+        });
+
+        it('should move a node that already has a parent', () => {
+            const first = document.createElementNS(SVG_NS, 'g');
+            const second = document.createElementNS(SVG_NS, 'g');
+            const child = document.createElementNS(SVG_NS, 'circle');
+
+            first.appendChild(child);
+            second.appendChild(child);
+
+            expect(first.childNodes).toHaveLength(0);
+            expect(child.parentNode).toBe(second);
+        });
+
+        it('should unpack document fragments', () => {
+            const fragment = document.createDocumentFragment();
+            fragment.appendChild(document.createElementNS(SVG_NS, 'circle'));
+            fragment.appendChild(document.createElementNS(SVG_NS, 'rect'));
+
+            const parent = document.createElementNS(SVG_NS, 'g');
+            parent.appendChild(fragment);
+
+            expect(parent.children.map(node => node.nodeName)).toEqual(['circle', 'rect']);
+            expect(fragment.childNodes).toHaveLength(0);
+        });
+
+        it('should throw when removing a non-child', () => {
+            const parent = document.createElementNS(SVG_NS, 'g');
+            const stranger = document.createElementNS(SVG_NS, 'circle');
+            expect(() => parent.removeChild(stranger)).toThrow();
+        });
+
+        it('should deep clone elements', () => {
+            const group = document.createElementNS(SVG_NS, 'g');
+            group.setAttribute('id', 'original');
+            group.appendChild(document.createElementNS(SVG_NS, 'circle'));
+
+            const clone = group.cloneNode(true);
+            expect(clone).not.toBe(group);
+            expect(clone.getAttribute('id')).toBe('original');
+            expect(clone.children).toHaveLength(1);
+            expect(clone.children[0]).not.toBe(group.children[0]);
+        });
+    });
+
+    describe('attributes and style', () => {
+        it('should store attributes as strings', () => {
+            const circle = document.createElementNS(SVG_NS, 'circle');
+            circle.setAttribute('r', 5);
+            expect(circle.getAttribute('r')).toBe('5');
+            expect(circle.hasAttribute('r')).toBe(true);
+            expect(circle.getAttribute('missing')).toBeNull();
+
+            circle.removeAttribute('r');
+            expect(circle.hasAttributes()).toBe(false);
+        });
+
+        it('should expose attributes as name/value pairs', () => {
+            const circle = document.createElementNS(SVG_NS, 'circle');
+            circle.setAttribute('cx', '1');
+            expect(circle.attributes).toEqual([
+                { name: 'cx', nodeName: 'cx', value: '1', nodeValue: '1' }
+            ]);
+        });
+
+        it('should map id to the id attribute', () => {
+            const circle = document.createElementNS(SVG_NS, 'circle');
+            circle.id = 'dot';
+            expect(circle.getAttribute('id')).toBe('dot');
+        });
+
+        it('should keep style properties in the style attribute', () => {
+            const circle = document.createElementNS(SVG_NS, 'circle');
+            circle.style.setProperty('opacity', '0.5');
+            circle.style.setProperty('display', 'none');
+            expect(circle.getAttribute('style')).toBe('opacity: 0.5; display: none;');
+            expect(circle.style.getPropertyValue('display')).toBe('none');
+
+            circle.style.removeProperty('opacity');
+            circle.style.removeProperty('display');
+            expect(circle.hasAttribute('style')).toBe(false);
+        });
+    });
+
+    describe('selectors', () => {
+        it('should support tag, id, class and attribute selectors', () => {
+            const svg = document.createElementNS(SVG_NS, 'svg');
+            const circle = document.createElementNS(SVG_NS, 'circle');
+            circle.setAttribute('id', 'dot');
+            circle.setAttribute('class', 'big red');
+            const rect = document.createElementNS(SVG_NS, 'rect');
+            rect.setAttribute('fill', 'none');
+            svg.appendChild(circle);
+            svg.appendChild(rect);
+
+            expect(svg.querySelector('circle')).toBe(circle);
+            expect(svg.querySelector('#dot')).toBe(circle);
+            expect(svg.querySelector('.red')).toBe(circle);
+            expect(svg.querySelector('circle.big')).toBe(circle);
+            expect(svg.querySelector('[fill=none]')).toBe(rect);
+            expect(svg.querySelectorAll('circle, rect')).toEqual([circle, rect]);
+            expect(svg.querySelector('line')).toBeNull();
+        });
+    });
+
+    describe('serializeNode', () => {
+        it('should serialize elements, attributes and text', () => {
+            const text = document.createElementNS(SVG_NS, 'text');
+            text.setAttribute('x', '1');
+            text.appendChild(document.createTextNode('a < b & "c"'));
+
+            expect(serializeNode(text)).toBe('<text x="1">a &lt; b &amp; "c"</text>');
+        });
+
+        it('should escape quotes in attributes', () => {
+            const g = document.createElementNS(SVG_NS, 'g');
+            g.setAttribute('data-svgjs', '{"a":1}');
+            expect(g.outerHTML).toBe('<g data-svgjs="{&quot;a&quot;:1}"></g>');
+        });
+
+        it('should reject markup parsing', () => {
+            const g = document.createElementNS(SVG_NS, 'g');
+            expect(() => { g.innerHTML = '<circle/>'; }).toThrow('not supported');
+        });
+    });
+
+    describe('parseMarkup', () => {
+        it('should read elements, attributes, text and character references', () => {
+            const root = parseMarkup(
+                '<?xml version="1.0"?>\n<!-- drawing -->\n' +
+                `<svg xmlns="${SVG_NS}" viewBox="0 0 4 3"><defs><style><![CDATA[path { fill: none }]]></style></defs>` +
+                '<g id=\'a\' data-svgjs="{&quot;a&quot;:1}"><path d="M0 0 L1 1"/><text>a &lt; b &amp;&#x20;&#99;</text></g></svg>\n',
+                document
+            );
+
+            expect(root.localName).toBe('svg');
+            expect(root.namespaceURI).toBe(SVG_NS);
+            expect(root.getAttribute('viewBox')).toBe('0 0 4 3');
+            expect(root.querySelector('style').textContent).toBe('path { fill: none }');
+            expect(root.querySelector('#a').getAttribute('data-svgjs')).toBe('{"a":1}');
+            expect(root.querySelector('path').getAttribute('d')).toBe('M0 0 L1 1');
+            expect(root.querySelector('text').textContent).toBe('a < b & c');
+            expect(root.querySelector('path').ownerDocument).toBe(document);
+        });
+
+        it('should round-trip serialized nodes', () => {
+            const svg = document.createElementNS(SVG_NS, 'svg');
+            const g = document.createElementNS(SVG_NS, 'g');
+            g.setAttribute('transform', 'translate(1, 2)');
+            g.appendChild(document.createElementNS(SVG_NS, 'circle'));
+            g.lastChild.setAttribute('r', '1');
+            svg.appendChild(g);
+            svg.appendChild(document.createElementNS(SVG_NS, 'text'));
+            svg.lastChild.appendChild(document.createTextNode('"<&>"'));
+
+            expect(serializeNode(parseMarkup(serializeNode(svg), document))).toBe(serializeNode(svg));
+        });
+
+        it('should reject markup that is not well-formed', () => {
+            ['', '<svg><g></svg>', '<svg>', '<svg/><svg/>', 'text', '<svg></g>', '<svg a=1/>'].forEach(markup => {
+                expect(() => parseMarkup(markup, document)).toThrow('invalid XML');
+            });
+        });
+    });
+
+    describe('computeBBox', () => {
+        const element = (name, attributes) => {
+            const node = document.createElementNS(SVG_NS, name);
+            Object.entries(attributes).forEach(([key, value]) => node.setAttribute(key, value));
+            return node;
+        };
+
+        it('should measure rects', () => {
+            expect(computeBBox(element('rect', { x: 1, y: 2, width: 3, height: 4 })))
+                .toEqual({ x: 1, y: 2, width: 3, height: 4 });
+        });
+
+        it('should measure circles and ellipses', () => {
+            const box = computeBBox(element('circle', { cx: 5, cy: 5, r: 2 }));
+            expect(box.x).toBeCloseTo(3);
+            expect(box.y).toBeCloseTo(3);
+            expect(box.width).toBeCloseTo(4);
+            expect(box.height).toBeCloseTo(4);
+
+            const ellipse = computeBBox(element('ellipse', { cx: 0, cy: 0, rx: 2, ry: 1 }));
+            expect(ellipse.width).toBeCloseTo(4);
+            expect(ellipse.height).toBeCloseTo(2);
+        });
+
+        it('should measure lines and polygons', () => {
+            expect(computeBBox(element('line', { x1: 3, y1: 1, x2: 1, y2: 4 })))
+                .toEqual({ x: 1, y: 1, width: 2, height: 3 });
+            expect(computeBBox(element('polygon', { points: '0,0 4,0 2,3' })))
+                .toEqual({ x: 0, y: 0, width: 4, height: 3 });
+        });
+
+        it('should measure curve extents of paths, not control points', () => {
+            const box = computeBBox(element('path', { d: 'M 0 0 C 0 2 2 2 2 0' }));
+            expect(box.height).toBeCloseTo(1.5, 2);
+        });
+
+        it('should include transformed children in group boxes', () => {
+            const group = element('g', {});
+            group.appendChild(element('rect', { x: 0, y: 0, width: 1, height: 1, transform: 'translate(5, 5)' }));
+            group.appendChild(element('rect', { x: 0, y: 0, width: 1, height: 1 }));
+
+            expect(computeBBox(group)).toEqual({ x: 0, y: 0, width: 6, height: 6 });
+        });
+
+        it('should ignore defs and return null for empty groups', () => {
+            const group = element('g', {});
+            const defs = element('defs', {});
+            defs.appendChild(element('rect', { x: 0, y: 0, width: 10, height: 10 }));
+            group.appendChild(defs);
+
+            expect(computeBBox(group)).toBeNull();
+        });
+
+        it('should estimate text extents from font size', () => {
+            const text = element('text', { x: 0, y: 10, 'font-size': 10 });
+            text.appendChild(document.createTextNode('abcd'));
+
+            const box = computeBBox(text);
+            expect(box.width).toBeCloseTo(24);
+            expect(box.height).toBe(10);
+        });
+    });
+
+    describe('geometry methods', () => {
+        it('should measure path length and points along it', () => {
+            const path = document.createElementNS(SVG_NS, 'path');
+            path.setAttribute('d', 'M 0 0 L 3 0 L 3 4');
+
+            expect(path.getTotalLength()).toBeCloseTo(7);
+            expect(path.getPointAtLength(5)).toEqual({ x: 3, y: 2 });
+        });
+
+        it('should accumulate ancestor transforms in getScreenCTM', () => {
+            const group = document.createElementNS(SVG_NS, 'g');
+            group.setAttribute('transform', 'translate(10, 0)');
+            const circle = document.createElementNS(SVG_NS, 'circle');
+            circle.setAttribute('transform', 'scale(2)');
+            group.appendChild(circle);
+
+            expect(circle.getScreenCTM()).toEqual({ a: 2, b: 0, c: 0, d: 2, e: 10, f: 0 });
+        });
+
+        it('should map the bounding box to root coordinates in getBoundingClientRect', () => {
+            const group = document.createElementNS(SVG_NS, 'g');
+            group.setAttribute('transform', 'translate(10, 0) rotate(90)');
+            const rect = document.createElementNS(SVG_NS, 'rect');
+            ['x', 'y', 'width', 'height'].forEach((name, i) => rect.setAttribute(name, String([1, 2, 3, 1][i])));
+            group.appendChild(rect);
+
+            const box = rect.getBoundingClientRect();
+            expect(box.x).toBeCloseTo(7);
+            expect(box.y).toBeCloseTo(1);
+            expect(box.width).toBeCloseTo(1);
+            expect(box.height).toBeCloseTo(3);
+            expect(box.right).toBeCloseTo(8);
+            expect(box.bottom).toBeCloseTo(4);
+        });
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * Bounds
+ *
+ * Bounding boxes of polylines, and checks against and clipping to the
+ * page's safe area, the part of the page inside the margins. Boxes are
+ * {minX, minY, maxX, maxY} in page inches with y pointing down.
+ */
+
+import { clipPolyline } from './clip.js';
+
+/**
+ * Page sides, in the order they are reported
+ * @type {string[]}
+ */
+export const PAGE_SIDES = ['top', 'right', 'bottom', 'left'];
+
+/**
+ * Distance geometry may reach past a margin before it counts as crossing,
+ * so shapes drawn exactly on the margin line are accepted
+ */
+const CROSSING_TOLERANCE = 1e-6;
+
+/**
+ * @typedef {Object} Bounds
+ * @property {number} minX - Left edge
+ * @property {number} minY - Top edge
+ * @property {number} maxX - Right edge
+ * @property {number} maxY - Bottom edge
+ */
+
+/**
+ * Bounding box of every point of the paths
+ *
+ * @param {Array<{points: number[][]}>} paths - Paths to measure
+ * @returns {Bounds|null} Bounds, or null when there are no points
+ */
+export function pathBounds(paths) {
+    let bounds = null;
+    paths.forEach(({ points }) => {
+        points.forEach(([x, y]) => {
+            if (!bounds) {
+                bounds = { minX: x, minY: y, maxX: x, maxY: y };
+                return;
+            }
+            bounds.minX = Math.min(bounds.minX, x);
+            bounds.minY = Math.min(bounds.minY, y);
+            bounds.maxX = Math.max(bounds.maxX, x);
+            bounds.maxY = Math.max(bounds.maxY, y);
+        });
+    });
+    return bounds;
+}
+
+/**
+ * Outline of a box as a closed polyline
+ *
+ * @param {Bounds} bounds - Box
+ * @returns {number[][]} The box's corners, clockwise on screen from the top left
+ */
+export function boundsRing(bounds) {
+    const { minX, minY, maxX, maxY } = bounds;
+    return [[minX, minY], [maxX, minY], [maxX, maxY], [minX, maxY], [minX, minY]];
+}
+
+/**
+ * The part of the page inside the margins
+ *
+ * @param {{width: number, height: number}} pageSize - Page size in inches
+ * @param {import('../models/project').Margins} margins - Margins in inches
+ * @returns {Bounds} Safe area
+ */
+export function safeArea(pageSize, margins) {
+    return {
+        minX: margins.left,
+        minY: margins.top,
+        maxX: pageSize.width - margins.right,
+        maxY: pageSize.height - margins.bottom
+    };
+}
+
+/**
+ * Sides whose margin the geometry reaches into
+ *
+ * @param {Bounds|null} bounds - Bounds of the geometry in page inches
+ * @param {{width: number, height: number}} pageSize - Page size in inches
+ * @param {import('../models/project').Margins} margins - Margins in inches
+ * @returns {string[]} Crossed sides, in PAGE_SIDES order; empty when none are
+ */
+export function marginCrossings(bounds, pageSize, margins) {
+    if (!bounds) {
+        return [];
+    }
+
+    const area = safeArea(pageSize, margins);
+    const crossed = {
+        top: bounds.minY < area.minY - CROSSING_TOLERANCE,
+        right: bounds.maxX > area.maxX + CROSSING_TOLERANCE,
+        bottom: bounds.maxY > area.maxY + CROSSING_TOLERANCE,
+        left: bounds.minX < area.minX - CROSSING_TOLERANCE
+    };
+    return PAGE_SIDES.filter(side => crossed[side]);
+}
+
+/**
+ * Number of shapes that reach outside an area
+ *
+ * @param {Array<{points: number[][], shape: number}>} paths - Paths; outlines of one shape share its index
+ * @param {Bounds} area - Area, in the paths' coordinates
+ * @returns {number} Shapes with a point outside the area
+ */
+export function countShapesOutside(paths, area) {
+    const shapes = new Set();
+    paths.forEach(path => {
+        if (!_insideArea(path.points, area)) {
+            shapes.add(path.shape);
+        }
+    });
+    return shapes.size;
+}
+
+/**
+ * Cut paths to an area, keeping the parts inside
+ *
+ * @param {Array<{points: number[][]}>} paths - Paths to cut
+ * @param {Bounds} area - Area, in the paths' coordinates
+ * @returns {Array<Object>} Paths inside the area unchanged, and pieces of the
+ *   others as copies of their path with the piece's points, in order
+ */
+export function clipPathsToArea(paths, area) {
+    const ring = boundsRing(area);
+    return paths.flatMap(path => _insideArea(path.points, area)
+        ? [path]
+        : clipPolyline(path.points, [ring]).map(points => ({ ...path, points })));
+}
+
+/**
+ * Whether every point lies inside an area, within the crossing tolerance
+ *
+ * @private
+ * @param {number[][]} points - Points to check
+ * @param {Bounds} area - Area
+ * @returns {boolean} True if no point is outside
+ */
+function _insideArea(points, area) {
+    return points.every(([x, y]) =>
+        x >= area.minX - CROSSING_TOLERANCE && x <= area.maxX + CROSSING_TOLERANCE &&
+        y >= area.minY - CROSSING_TOLERANCE && y <= area.maxY + CROSSING_TOLERANCE
+    );
+}
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { pathBounds, boundsRing, safeArea, marginCrossings, countShapesOutside, clipPathsToArea } from './bounds.js';
+
+const page = { width: 8, height: 10 };
+const margins = { top: 1, right: 0.5, bottom: 1, left: 0.5 };
+
+describe('bounds', () => {
+    it('should measure the bounds of every point', () => {
+        expect(pathBounds([
+            { points: [[1, 2], [3, 1]] },
+            { points: [] },
+            { points: [[-1, 4]] }
+        ])).toEqual({ minX: -1, minY: 1, maxX: 3, maxY: 4 });
+        expect(pathBounds([])).toBeNull();
+    });
+
+    it('should outline a box as a closed ring', () => {
+        expect(boundsRing({ minX: 0, minY: 1, maxX: 2, maxY: 3 })).toEqual([[0, 1], [2, 1], [2, 3], [0, 3], [0, 1]]);
+    });
+
+    it('should compute the safe area inside the margins', () => {
+        expect(safeArea(page, margins)).toEqual({ minX: 0.5, minY: 1, maxX: 7.5, maxY: 9 });
+    });
+
+    it('should report the margins the geometry crosses', () => {
+        expect(marginCrossings({ minX: 0.5, minY: 1, maxX: 7.5, maxY: 9 }, page, margins)).toEqual([]);
+        expect(marginCrossings({ minX: 0.2, minY: 0.5, maxX: 7, maxY: 9 }, page, margins)).toEqual(['top', 'left']);
+        expect(marginCrossings({ minX: 1, minY: 2, maxX: 7.6, maxY: 9.5 }, page, margins)).toEqual(['right', 'bottom']);
+        expect(marginCrossings(null, page, margins)).toEqual([]);
+    });
+
+    it('should never report crossings for geometry inside the safe area', () => {
+        fc.assert(
+            fc.property(
+                fc.array(fc.tuple(fc.double({ min: 0.5, max: 7.5, noNaN: true }), fc.double({ min: 1, max: 9, noNaN: true })), { minLength: 1, maxLength: 10 }),
+                (points) => marginCrossings(pathBounds([{ points }]), page, margins).length === 0
+            ),
+            { numRuns: 100 }
+        );
+    });
+
+    it('should count the shapes that reach outside an area', () => {
+        const area = { minX: 0, minY: 0, maxX: 4, maxY: 4 };
+        expect(countShapesOutside([
+            { points: [[0, 0], [4, 4]], shape: 0 },
+            { points: [[1, 1], [5, 1]], shape: 1 },
+            { points: [[1, -1], [2, -1]], shape: 1 },
+            { points: [[-1, 2], [1, 2]], shape: 2 }
+        ], area)).toBe(2);
+    });
+
+    it('should cut paths to an area', () => {
+        const area = { minX: 0, minY: 0, maxX: 4, maxY: 4 };
+        const inside = { points: [[0, 0], [4, 4]], layer: 'a' };
+        expect(clipPathsToArea([
+            inside,
+            { points: [[-1, 2], [5, 2]], layer: 'b' },
+            { points: [[5, 5], [6, 6]], layer: 'c' }
+        ], area)).toEqual([inside, { points: [[0, 2], [4, 2]], layer: 'b' }]);
+    });
+
+    it('should keep every clipped point inside the area', () => {
+        const area = { minX: 0, minY: 0, maxX: 4, maxY: 4 };
+        const coordinate = fc.double({ min: -3, max: 7, noNaN: true });
+        fc.assert(
+            fc.property(fc.array(fc.tuple(coordinate, coordinate), { minLength: 2, maxLength: 6 }), (points) => {
+                const clipped = clipPathsToArea([{ points, shape: 0 }], area);
+                expect(countShapesOutside(clipped, area)).toBe(0);
+            })
+        );
+    });
+});
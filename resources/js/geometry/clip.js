@@ -0,0 +1,128 @@
+/**
+ * Clipping
+ *
+ * Cuts polylines against polygons, keeping the parts inside (or outside)
+ * under the even-odd or nonzero rule. Polylines are split wherever they
+ * cross a ring and each piece is kept or dropped as a whole, so the result
+ * is exact for straight segments.
+ */
+
+import { isClosedPolyline } from './polyline.js';
+import { pointInPolygon } from './polygon.js';
+
+/**
+ * Cut a polyline against a polygon
+ *
+ * A closed polyline whose start is kept comes back with its first and last
+ * pieces joined, so it is not split at an arbitrary point.
+ *
+ * @param {number[][]} points - Polyline points
+ * @param {number[][][]} rings - Polygon rings
+ * @param {Object} [options] - Clipping options
+ * @param {boolean} [options.outside=false] - Keep the parts outside the polygon instead
+ * @param {'evenodd'|'nonzero'} [options.fillRule='evenodd'] - How overlapping rings combine
+ * @returns {number[][][]} Pieces of the polyline, in order along it
+ */
+export function clipPolyline(points, rings, options = {}) {
+    const { outside = false, fillRule = 'evenodd' } = options;
+    const pieces = [];
+    let current = null;
+
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        const at = (t) => [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+
+        const cuts = [0, ..._crossings(a, b, rings), 1].sort((t1, t2) => t1 - t2);
+        for (let k = 1; k < cuts.length; k++) {
+            const t0 = cuts[k - 1];
+            const t1 = cuts[k];
+            if (t1 - t0 < 1e-12) {
+                continue;
+            }
+
+            if (pointInPolygon(at((t0 + t1) / 2), rings, fillRule) !== outside) {
+                if (!current) {
+                    current = [at(t0)];
+                    pieces.push(current);
+                }
+                current.push(at(t1));
+            } else {
+                current = null;
+            }
+        }
+    }
+
+    // Rejoin a closed polyline that was only cut open at its start
+    if (pieces.length > 1 && isClosedPolyline(points)) {
+        const first = pieces[0];
+        const last = pieces[pieces.length - 1];
+        if (_samePoint(first[0], points[0]) && _samePoint(last[last.length - 1], points[points.length - 1])) {
+            pieces.pop();
+            pieces[0] = [...last, ...first.slice(1)];
+        }
+    }
+
+    return pieces;
+}
+
+/**
+ * Cut polylines against a polygon
+ *
+ * @param {number[][][]} polylines - Polylines to cut
+ * @param {number[][][]} rings - Polygon rings
+ * @param {Object} [options] - Options for clipPolyline
+ * @returns {number[][][]} Pieces of every polyline, in order
+ */
+export function clipPolylines(polylines, rings, options = {}) {
+    return polylines.flatMap(points => clipPolyline(points, rings, options));
+}
+
+/**
+ * Parameters along a segment where it crosses the polygon's edges
+ *
+ * @private
+ * @param {number[]} a - Segment start
+ * @param {number[]} b - Segment end
+ * @param {number[][][]} rings - Polygon rings
+ * @returns {number[]} Parameters strictly between 0 and 1
+ */
+function _crossings(a, b, rings) {
+    const rx = b[0] - a[0];
+    const ry = b[1] - a[1];
+    const result = [];
+
+    rings.forEach(ring => {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const c = ring[j];
+            const sx = ring[i][0] - c[0];
+            const sy = ring[i][1] - c[1];
+            const denominator = rx * sy - ry * sx;
+            if (Math.abs(denominator) < 1e-12) {
+                continue;
+            }
+
+            const qx = c[0] - a[0];
+            const qy = c[1] - a[1];
+            const t = (qx * sy - qy * sx) / denominator;
+            const u = (qx * ry - qy * rx) / denominator;
+            if (t > 0 && t < 1 && u >= 0 && u <= 1) {
+                result.push(t);
+            }
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Whether two points coincide
+ *
+ * @private
+ * @param {number[]} a - Point
+ * @param {number[]} b - Point
+ * @returns {boolean} True if equal
+ */
+function _samePoint(a, b) {
+    return a[0] === b[0] && a[1] === b[1];
+}
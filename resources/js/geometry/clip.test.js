@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { clipPolyline, clipPolylines } from './clip.js';
+import { pointInPolygon } from './polygon.js';
+
+const square = [[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]];
+const hole = [[1, 1], [3, 1], [3, 3], [1, 3], [1, 1]];
+
+// Pieces running along an edge may land on either side of it
+const onEdge = ([x, y]) => [square, hole].some(ring => ring.slice(1).some(([x2, y2], i) => {
+    const [x1, y1] = ring[i];
+    const t = Math.max(0, Math.min(1, ((x - x1) * (x2 - x1) + (y - y1) * (y2 - y1)) / ((x2 - x1) ** 2 + (y2 - y1) ** 2)));
+    return Math.hypot(x - x1 - t * (x2 - x1), y - y1 - t * (y2 - y1)) < 1e-9;
+}));
+
+describe('clip', () => {
+    it('should keep the parts of a line inside a polygon', () => {
+        expect(clipPolyline([[-1, 2], [5, 2]], [square])).toEqual([[[0, 2], [4, 2]]]);
+        expect(clipPolyline([[-1, 2], [5, 2]], [square, hole])).toEqual([[[0, 2], [1, 2]], [[3, 2], [4, 2]]]);
+        expect(clipPolyline([[5, 5], [6, 6]], [square])).toEqual([]);
+    });
+
+    it('should keep the parts outside when asked', () => {
+        expect(clipPolyline([[-1, 2], [5, 2]], [square], { outside: true })).toEqual([[[-1, 2], [0, 2]], [[4, 2], [5, 2]]]);
+    });
+
+    it('should combine rings with the requested fill rule', () => {
+        // Wound the same way as the square, so it is no hole under the nonzero rule
+        const inner = [[1, 1], [3, 1], [3, 3], [1, 3], [1, 1]];
+        expect(clipPolyline([[-1, 2], [5, 2]], [square, inner], { fillRule: 'nonzero' })).toEqual([[[0, 2], [1, 2], [3, 2], [4, 2]]]);
+        expect(clipPolyline([[-1, 2], [5, 2]], [square, inner])).toEqual([[[0, 2], [1, 2]], [[3, 2], [4, 2]]]);
+    });
+
+    it('should keep bends inside a piece', () => {
+        expect(clipPolyline([[-1, 1], [2, 1], [2, 5]], [square])).toEqual([[[0, 1], [2, 1], [2, 4]]]);
+    });
+
+    it('should rejoin closed polylines cut open at their start', () => {
+        const ring = [[2, 1], [5, 1], [5, 3], [2, 3], [2, 1]];
+        expect(clipPolyline(ring, [square])).toEqual([[[4, 3], [2, 3], [2, 1], [4, 1]]]);
+        expect(clipPolylines([ring, ring], [square], { outside: true })).toEqual([
+            [[4, 1], [5, 1], [5, 3], [4, 3]],
+            [[4, 1], [5, 1], [5, 3], [4, 3]]
+        ]);
+    });
+
+    it('should only keep points inside the polygon', () => {
+        const coordinate = fc.double({ min: -2, max: 6, noNaN: true });
+        const point = fc.tuple(coordinate, coordinate);
+        fc.assert(
+            fc.property(fc.array(point, { minLength: 2, maxLength: 6 }), (line) => {
+                clipPolyline(line, [square, hole]).forEach(piece => {
+                    for (let i = 1; i < piece.length; i++) {
+                        const middle = [(piece[i - 1][0] + piece[i][0]) / 2, (piece[i - 1][1] + piece[i][1]) / 2];
+                        expect(pointInPolygon(middle, [square, hole]) || onEdge(middle)).toBe(true);
+                    }
+                });
+            })
+        );
+    });
+});
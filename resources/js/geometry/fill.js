@@ -0,0 +1,224 @@
+/**
+ * Fills
+ *
+ * Line patterns that fill polygons for the plotter: parallel hatching,
+ * concentric outlines and spirals. Polygons are rings combined with the
+ * even-odd rule, so holes stay empty. Every pattern is returned as
+ * polylines in the polygon's coordinates.
+ */
+
+import { pathBounds } from './bounds.js';
+import { clipPolylines } from './clip.js';
+import { offsetRing } from './offset.js';
+import { ringDepths } from './polygon.js';
+
+/**
+ * Most lines or rings a single fill may produce, so a tiny spacing fails
+ * with an error instead of freezing the sketch
+ * @type {number}
+ */
+export const MAX_FILL_LINES = 20000;
+
+/**
+ * Parallel lines across a polygon
+ *
+ * @param {number[][][]} rings - Polygon rings (even-odd rule)
+ * @param {Object} [options] - Hatch options
+ * @param {number} options.spacing - Distance between lines
+ * @param {number} [options.angle=0] - Line angle in degrees, clockwise on screen from horizontal
+ * @param {number} [options.offset=0] - Shift of the lines across their direction
+ * @param {boolean} [options.alternate=true] - Reverse every other line so the pen zig-zags
+ * @param {'evenodd'|'nonzero'} [options.fillRule='evenodd'] - How overlapping rings combine
+ * @returns {number[][][]} Line segments
+ * @throws {Error} If the spacing is not positive or the fill would be too dense
+ */
+export function hatchLines(rings, options = {}) {
+    const { spacing, angle = 0, offset = 0, alternate = true, fillRule = 'evenodd' } = options;
+    _checkSpacing(spacing);
+
+    // Hatch horizontally in a frame rotated by the angle
+    const radians = angle * Math.PI / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    const toFrame = ([x, y]) => [x * cos + y * sin, -x * sin + y * cos];
+    const fromFrame = ([x, y]) => [x * cos - y * sin, x * sin + y * cos];
+
+    const rotated = rings.map(ring => ring.map(toFrame));
+    const bounds = pathBounds(rotated.map(points => ({ points })));
+    if (!bounds) {
+        return [];
+    }
+
+    const first = Math.ceil((bounds.minY - offset) / spacing);
+    const last = Math.floor((bounds.maxY - offset) / spacing);
+    _checkCount(last - first + 1);
+
+    const lines = [];
+    for (let k = first; k <= last; k++) {
+        const y = offset + k * spacing;
+        const segments = _scanline(rotated, y, fillRule).map(([start, end]) => [[start, y], [end, y]]);
+
+        const reversed = alternate && (k - first) % 2 === 1;
+        (reversed ? segments.reverse() : segments).forEach(segment => {
+            const points = (reversed ? segment.reverse() : segment).map(fromFrame);
+            lines.push(points);
+        });
+    }
+
+    return lines;
+}
+
+/**
+ * Outlines inset from a polygon's edges at a regular spacing
+ * Insets of holes grow instead, and outlines and hole insets are cut
+ * where they run into each other.
+ *
+ * @param {number[][][]} rings - Polygon rings (even-odd rule)
+ * @param {Object} [options] - Fill options
+ * @param {number} options.spacing - Distance between outlines
+ * @param {boolean} [options.outline=false] - Include the polygon's own rings
+ * @returns {number[][][]} Closed rings and pieces of rings, outermost first
+ * @throws {Error} If the spacing is not positive or the fill would be too dense
+ */
+export function concentricLines(rings, options = {}) {
+    const { spacing, outline = false } = options;
+    _checkSpacing(spacing);
+
+    const depths = ringDepths(rings);
+    const lines = [];
+
+    for (let level = outline ? 0 : 1; ; level++) {
+        const insets = rings
+            .map((ring, index) => ({
+                ring: offsetRing(ring, (depths[index] % 2 === 1 ? 1 : -1) * level * spacing),
+                hole: depths[index] % 2 === 1
+            }))
+            .filter(({ ring }) => ring !== null);
+
+        // Stop once no outline is left; growing holes alone fill nothing
+        if (!insets.some(({ hole }) => !hole)) {
+            break;
+        }
+        _checkCount(lines.length + insets.length);
+
+        insets.forEach(({ ring, hole }, index) => {
+            const others = insets.filter((other, otherIndex) => otherIndex !== index).map(other => other.ring);
+            if (others.length === 0) {
+                lines.push(ring);
+                return;
+            }
+            // Keep outlines outside grown holes and holes inside shrunk outlines
+            const kept = clipPolylines([ring], others, { outside: !hole });
+            lines.push(...kept);
+        });
+    }
+
+    return lines;
+}
+
+/**
+ * An Archimedean spiral cut to a polygon
+ *
+ * @param {number[][][]} rings - Polygon rings (even-odd rule)
+ * @param {Object} [options] - Fill options
+ * @param {number} options.spacing - Distance between turns
+ * @param {number[]} [options.center] - Spiral center (default: center of the polygon's bounds)
+ * @param {number} [options.tolerance=0.005] - Largest distance between the curve and its points
+ * @returns {number[][][]} Pieces of the spiral inside the polygon, from the center out
+ * @throws {Error} If the spacing is not positive or the fill would be too dense
+ */
+export function spiralLines(rings, options = {}) {
+    const { spacing, tolerance = 0.005 } = options;
+    _checkSpacing(spacing);
+
+    const bounds = pathBounds(rings.map(points => ({ points })));
+    if (!bounds) {
+        return [];
+    }
+
+    const center = options.center || [(bounds.minX + bounds.maxX) / 2, (bounds.minY + bounds.maxY) / 2];
+    const reach = Math.max(
+        ...[[bounds.minX, bounds.minY], [bounds.maxX, bounds.minY], [bounds.maxX, bounds.maxY], [bounds.minX, bounds.maxY]]
+            .map(([x, y]) => Math.hypot(x - center[0], y - center[1]))
+    );
+    _checkCount(Math.ceil(reach / spacing));
+
+    // r = spacing * turns; steps keep the chord within the tolerance
+    const points = [];
+    const maxAngle = 2 * Math.PI * reach / spacing;
+    for (let theta = 0; ; ) {
+        const radius = spacing * theta / (2 * Math.PI);
+        points.push([center[0] + radius * Math.cos(theta), center[1] + radius * Math.sin(theta)]);
+        if (theta >= maxAngle) {
+            break;
+        }
+        const step = radius > tolerance ? 2 * Math.sqrt(2 * tolerance / radius) : Math.PI / 8;
+        theta = Math.min(theta + Math.min(step, Math.PI / 8), maxAngle);
+    }
+
+    return clipPolylines([points], rings);
+}
+
+/**
+ * Spans of a horizontal line inside the rings
+ * Vertices count for the edge above them only, so a line through a vertex
+ * is not counted twice.
+ *
+ * @private
+ * @param {number[][][]} rings - Rings
+ * @param {number} y - Height of the line
+ * @param {'evenodd'|'nonzero'} fillRule - How overlapping rings combine
+ * @returns {number[][]} [start, end] x positions, left to right
+ */
+function _scanline(rings, y, fillRule) {
+    const crossings = [];
+    rings.forEach(ring => {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if ((yi > y) !== (yj > y)) {
+                crossings.push({ x: xj + (y - yj) * (xi - xj) / (yi - yj), winding: yi > yj ? 1 : -1 });
+            }
+        }
+    });
+    crossings.sort((a, b) => a.x - b.x);
+
+    const spans = [];
+    let winding = 0;
+    let start = null;
+    crossings.forEach(crossing => {
+        winding = fillRule === 'nonzero' ? winding + crossing.winding : 1 - winding;
+        if (winding !== 0 && start === null) {
+            start = crossing.x;
+        } else if (winding === 0 && start !== null) {
+            // Slivers where a line grazes a corner are not worth a pen stroke
+            if (crossing.x - start > 1e-9) {
+                spans.push([start, crossing.x]);
+            }
+            start = null;
+        }
+    });
+    return spans;
+}
+
+/**
+ * @private
+ * @param {any} spacing - Spacing option
+ * @throws {Error} If the spacing is not a positive number
+ */
+function _checkSpacing(spacing) {
+    if (typeof spacing !== 'number' || !Number.isFinite(spacing) || spacing <= 0) {
+        throw new Error('Invalid spacing: must be a positive number');
+    }
+}
+
+/**
+ * @private
+ * @param {number} count - Lines a fill is about to produce
+ * @throws {Error} If there are more than MAX_FILL_LINES
+ */
+function _checkCount(count) {
+    if (count > MAX_FILL_LINES) {
+        throw new Error(`Fill too dense: more than ${MAX_FILL_LINES} lines; increase the spacing`);
+    }
+}
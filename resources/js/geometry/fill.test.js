@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { hatchLines, concentricLines, spiralLines, MAX_FILL_LINES } from './fill.js';
+import { pointInPolygon } from './polygon.js';
+
+const square = [[0, 0], [4, 0], [4, 4], [0, 4]];
+const hole = [[1, 1], [3, 1], [3, 3], [1, 3]];
+
+// Lines running along an edge may land on either side of it
+const onEdge = ([x, y]) => [square, hole].some(ring => ring.some(([x1, y1], i) => {
+    const [x2, y2] = ring[(i + 1) % ring.length];
+    const t = Math.max(0, Math.min(1, ((x - x1) * (x2 - x1) + (y - y1) * (y2 - y1)) / ((x2 - x1) ** 2 + (y2 - y1) ** 2)));
+    return Math.hypot(x - x1 - t * (x2 - x1), y - y1 - t * (y2 - y1)) < 1e-9;
+}));
+
+describe('fill', () => {
+    describe('hatchLines', () => {
+        it('should hatch horizontally and zig-zag', () => {
+            expect(hatchLines([square], { spacing: 1.5 })).toEqual([
+                [[0, 0], [4, 0]],
+                [[4, 1.5], [0, 1.5]],
+                [[0, 3], [4, 3]]
+            ]);
+            expect(hatchLines([square], { spacing: 1.5, alternate: false, offset: 1 })[0]).toEqual([[0, 1], [4, 1]]);
+        });
+
+        it('should leave holes empty', () => {
+            expect(hatchLines([square, hole], { spacing: 1, offset: 0.5, alternate: false })).toEqual([
+                [[0, 0.5], [4, 0.5]],
+                [[0, 1.5], [1, 1.5]],
+                [[3, 1.5], [4, 1.5]],
+                [[0, 2.5], [1, 2.5]],
+                [[3, 2.5], [4, 2.5]],
+                [[0, 3.5], [4, 3.5]]
+            ]);
+        });
+
+        it('should fill overlaps under the nonzero rule', () => {
+            const inner = [[1, 1], [3, 1], [3, 3], [1, 3]];
+            const options = { spacing: 1, offset: 0.5, alternate: false };
+            expect(hatchLines([square, inner], { ...options, fillRule: 'nonzero' })).toEqual(hatchLines([square], options));
+            expect(hatchLines([square, [...inner].reverse()], { ...options, fillRule: 'nonzero' })).toHaveLength(6);
+        });
+
+        it('should hatch at an angle', () => {
+            const lines = hatchLines([square], { spacing: 1, angle: 90, offset: 0.5 });
+            expect(lines).toHaveLength(4);
+            lines.forEach(([start, end]) => {
+                expect(start[0]).toBeCloseTo(end[0]);
+                expect(Math.abs(end[1] - start[1])).toBeCloseTo(4);
+            });
+        });
+
+        it('should keep every line inside the polygon', () => {
+            fc.assert(
+                fc.property(fc.double({ min: 0.2, max: 2, noNaN: true }), fc.double({ min: -180, max: 180, noNaN: true }), (spacing, angle) => {
+                    hatchLines([square, hole], { spacing, angle }).forEach(([start, end]) => {
+                        const middle = [(start[0] + end[0]) / 2, (start[1] + end[1]) / 2];
+                        expect(pointInPolygon(middle, [square, hole]) || onEdge(middle)).toBe(true);
+                    });
+                })
+            );
+        });
+
+        it('should reject bad or too small spacings', () => {
+            expect(() => hatchLines([square], { spacing: 0 })).toThrow('Invalid spacing: must be a positive number');
+            expect(() => hatchLines([square])).toThrow('Invalid spacing');
+            expect(() => hatchLines([square], { spacing: 4 / (MAX_FILL_LINES * 2) })).toThrow('Fill too dense');
+        });
+    });
+
+    describe('concentricLines', () => {
+        it('should inset outlines until nothing is left', () => {
+            expect(concentricLines([square], { spacing: 0.75 })).toEqual([
+                [[0.75, 0.75], [3.25, 0.75], [3.25, 3.25], [0.75, 3.25], [0.75, 0.75]],
+                [[1.5, 1.5], [2.5, 1.5], [2.5, 2.5], [1.5, 2.5], [1.5, 1.5]]
+            ]);
+            expect(concentricLines([square], { spacing: 1.5, outline: true })).toHaveLength(2);
+        });
+
+        it('should grow holes and cut them against the outline', () => {
+            const corner = [[1, 1], [1, 2], [2, 2], [2, 1]];
+            const lines = concentricLines([square, corner], { spacing: 0.6 });
+            expect(lines).toHaveLength(2);
+            lines.forEach(points => {
+                expect(points[0]).not.toEqual(points[points.length - 1]);
+                points.forEach(([x, y]) => {
+                    expect(Math.min(x, y)).toBeGreaterThanOrEqual(0.6 - 1e-9);
+                    expect(Math.max(x, y)).toBeLessThanOrEqual(3.4 + 1e-9);
+                });
+            });
+        });
+    });
+
+    describe('spiralLines', () => {
+        it('should spiral out from the center inside the polygon', () => {
+            const lines = spiralLines([square], { spacing: 0.5 });
+            expect(lines.length).toBeGreaterThan(1);
+            expect(lines[0][0]).toEqual([2, 2]);
+            lines.flat().forEach(([x, y]) => {
+                expect(x).toBeGreaterThanOrEqual(-1e-9);
+                expect(x).toBeLessThanOrEqual(4 + 1e-9);
+                expect(y).toBeGreaterThanOrEqual(-1e-9);
+                expect(y).toBeLessThanOrEqual(4 + 1e-9);
+            });
+        });
+
+        it('should skip holes', () => {
+            const lines = spiralLines([square, hole], { spacing: 0.5, center: [0.5, 0.5] });
+            lines.forEach(points => {
+                for (let i = 1; i < points.length; i++) {
+                    const middle = [(points[i - 1][0] + points[i][0]) / 2, (points[i - 1][1] + points[i][1]) / 2];
+                    expect(pointInPolygon(middle, [square, hole])).toBe(true);
+                }
+            });
+        });
+    });
+});
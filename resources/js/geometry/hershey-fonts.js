@@ -0,0 +1,282 @@
+/**
+ * Hershey Fonts
+ *
+ * Single-stroke fonts for plotting text: every glyph is a few open or
+ * closed polylines that the pen draws once, unlike outline fonts whose
+ * letters plot as double contours. Glyphs are stored in the Hershey JHF
+ * encoding. Only the simplex design is bundled; bold, oblique and
+ * monospaced text are variations drawn from its glyphs.
+ *
+ * Glyph coordinates are integers with y pointing down: capitals run from
+ * CAP_TOP to the BASELINE, lowercase letters rise to X_HEIGHT_TOP and
+ * descenders reach DESCENDER.
+ */
+
+/**
+ * @typedef {Object} Glyph
+ * @property {number} left - Left edge of the glyph's advance
+ * @property {number} right - Right edge of the glyph's advance
+ * @property {number[][][]} strokes - Polylines in glyph units
+ */
+
+/**
+ * Top of capital letters and digits (glyph units)
+ * @type {number}
+ */
+export const CAP_TOP = -12;
+
+/**
+ * Baseline the glyphs stand on (glyph units)
+ * @type {number}
+ */
+export const BASELINE = 9;
+
+/**
+ * Top of lowercase letters without ascenders (glyph units)
+ * @type {number}
+ */
+export const X_HEIGHT_TOP = -5;
+
+/**
+ * Bottom of descenders (glyph units)
+ * @type {number}
+ */
+export const DESCENDER = 16;
+
+/**
+ * Character code of the first glyph in a glyph table
+ */
+const FIRST_CHARACTER = 32;
+
+/**
+ * Character that is 0 in the JHF encoding
+ */
+const ORIGIN = 'R'.charCodeAt(0);
+
+/**
+ * Simplex glyphs for the printable ASCII characters, space to tilde
+ *
+ * Each entry is a JHF glyph: two characters for the left and right edges,
+ * then x, y character pairs; " R" lifts the pen.
+ */
+const SIMPLEX_GLYPHS = [
+    'LX', // space
+    'NVRFRV RRZR[', // !
+    'LXOFOM RUFUM', // "
+    'I\\QFO[ RWFU[ RMNYN RLTXT', // #
+    'H\\YIWGTFPFMGKIKKLMMNOOUQWRXSYUYXWZT[P[MZKX RRCR^', // $
+    'G]ZFJ[ RPIPJOKNLMLLLKKJJJIJHKGLFMFNFOGPHPI RZXZYYZX[W[V[UZTYTXTWUVVUWUXUYVZWZX', // %
+    'G]Z[NNLKLIMGOFQGRIRKQMKRJTJWKYM[Q[TYXSYP', // &
+    'NVRFRM', // '
+    'MXUBSEQIPNPRQWS[U^', // (
+    'MXPBRETIUNURTWR[P^', // )
+    'JZRFRR RMIWO RWIMO', // *
+    'G]RIR[ RJRZR', // +
+    'NWSZS\\R^', // ,
+    'KYNRVR', // -
+    'NVRZR[', // .
+    'I[XDL^', // /
+    'I[RFTGVIXLXQXUVXTZR[PZNXLULQLLNIPGRF', // 0
+    'MWPJTFT[', // 1
+    'I[MKMJNHOGQFTFVGWHXJXLWNUQL[X[', // 2
+    'I[MFXFRNUNWOXQXVWYUZR[O[MZLX', // 3
+    'I[U[UFLUXU', // 4
+    'I[WFMFLOMNPMSMVNXPXVVYS[P[MZLX', // 5
+    'I[WHVGTFQFNGMILMLULSNQPOROTOVQXSXUXWVYT[R[P[NYLWLU', // 6
+    'I[LFXFP[', // 7
+    'I[RPPPNOMMMKMINGPFRFTFVGWIWKWMVOTPRP RRPTPVRXSXVXXVYT[R[P[NYLXLVLSNRPPRP', // 8
+    'I[XLXNVPTRRRPRNPLNLLLJNHPFRFTFVHXJXLXSWWUZR[P[MZLX', // 9
+    'NVRMRN RRZR[', // :
+    'NWSMSN RSZS\\R^', // ;
+    'H\\YIKRY[', // <
+    'H\\KOYO RKUYU', // =
+    'H\\KIYRK[', // >
+    'I[LKLJMHNGPFTFVGWHXJXLWNVORQRV RRZR[', // ?
+    'G^VMVVWXYX[V[RZNXKUIQIMKKNJRJUKXMZQ[U[XZ RVRVSUUTVSVQVPUOSOROPPNQMSMTMUNVPVQ', // @
+    'G]J[RFZ[ RMTWT', // A
+    'H\\KFK[ RKFTFWGXHYJYLXNWOTPKP RTPWQXRYTYWXYWZT[K[', // B
+    'H]ZJWGTFQGNILLKPLUNXQZT[WZZW', // C
+    'H\\KFK[ RKFRFUGWIXKYNYSXVWXUZR[K[', // D
+    'I\\YFLFL[Y[ RLPTP', // E
+    'I[XFLFL[ RLPTP', // F
+    'G]XJVGSFOGMIKLJPJTLXOZR[UZXXYUZQSP', // G
+    'H\\KFK[ RYFY[ RKPYP', // H
+    'NVRFR[', // I
+    'JZWFWVVYUZS[Q[OZNYMVMT', // J
+    'H\\KFK[ RYFKT RPOY[', // K
+    'I[LFL[X[', // L
+    'G]J[JFR[ZFZ[', // M
+    'H\\K[KFY[YF', // N
+    'G]RFUGXIYLZQYUXXUZR[OZLXKUJQKLLIOGRF', // O
+    'H\\KFK[ RKFTFWGXHYJYMXOWPTQKQ', // P
+    'G]RFUGXIYLZQYUXXUZR[OZLXKUJQKLLIOGRF RTWZ]', // Q
+    'H\\KFK[ RKFTFWGXHYJYMXOWPTQKQ RRQY[', // R
+    'H\\YIWGTFPFMGKIKKLMMNOOUQWRXSYUYXWZT[P[MZKX', // S
+    'H\\RFR[ RKFYF', // T
+    'H\\KFKULXNZQ[S[VZXXYUYF', // U
+    'G]JFR[ZF', // V
+    'E_HFM[RFW[\\F', // W
+    'H\\KFY[ RYFK[', // X
+    'G]JFRPR[ RZFRP', // Y
+    'H\\KFYFK[Y[', // Z
+    'MWTBPBP^T^', // [
+    'I[LDX^', // \
+    'MWPBTBT^P^', // ]
+    'I[LLRFXL', // ^
+    'G]J_Z_', // _
+    'NWQFTI', // `
+    'I[XMX[ RXRVOTNRMPMNOLQLTLWNYP[R[TZVYXV', // a
+    'I[LFL[ RLRNOPNRMTMVOXQXTXWVYT[R[PZNYLV', // b
+    'J[XPVNSMQMOOMQMTMWOYQ[S[VZXX', // c
+    'I[XFX[ RXRVOTNRMPMNOLQLTLWNYP[R[TZVYXV', // d
+    'I[LTXTXQVOTMRMPNNOLRLTMWNYP[R[UZWX', // e
+    'KYVFTFRGQJQ[ RNMUM', // f
+    'I[XMX]W`VaTbQbOaN` RXRVOTNRMPMNOLQLTLWNYP[R[TZVYXV', // g
+    'J[MFM[ RMQPNRMUMWNXPX[', // h
+    'NVRMR[ RRGRH', // i
+    'MWTMT^SaRbPb RTGTH', // j
+    'J[MFM[ RWMMW RQSX[', // k
+    'NVRFR[', // l
+    'E_HMH[ RHQKNMMOMQNRQR[ RRQUNWMYM[N\\Q\\[', // m
+    'J[MMM[ RMQPNRMUMWNXQX[', // n
+    'I[RMTNVOXQXTXWVYTZR[PZNYLWLTLQNOPNRM', // o
+    'I[LMLb RLRNOPNRMTMVOXQXTXWVYT[R[PZNYLV', // p
+    'I[XMXb RXRVOTNRMPMNOLQLTLWNYP[R[TZVYXV', // q
+    'KYNMN[ RNSOPQNSMVM', // r
+    'J[XOWNTMQMNNMOMQNRPSUTWUXVXYWZT[Q[NZMY', // s
+    'KZRFRXSZU[W[ RNMVM', // t
+    'J[MMMWNZP[S[UZXW RXMX[', // u
+    'I[LMR[XM', // v
+    'G]JMN[RMV[ZM', // w
+    'J[MMX[ RXMM[', // x
+    'I\\MMS[ RYMS[Q_OaMbLb', // y
+    'J[MMXMM[X[', // z
+    'MXUBSCRERLPPRTR[S]U^', // {
+    'NVRBR^', // |
+    'MXPBRCSESLUPSTS[R]P^', // }
+    'H\\KSLQNPPPRQTRVRXQYO', // ~
+];
+
+/**
+ * Bundled fonts by name, as glyph tables
+ * @type {Object<string, string[]>}
+ */
+export const HERSHEY_FONTS = {
+    simplex: SIMPLEX_GLYPHS
+};
+
+/**
+ * Units bold text draws every stroke a second time to the right
+ * @type {number}
+ */
+export const BOLD_WEIGHT = 1;
+
+/**
+ * Units oblique text leans right per unit of height
+ * @type {number}
+ */
+export const OBLIQUE_SLANT = 0.2;
+
+/**
+ * Width of every glyph in monospaced text
+ * @type {number}
+ */
+export const MONO_ADVANCE = 24;
+
+/**
+ * Name of the font used when none is given
+ * @type {string}
+ */
+export const DEFAULT_FONT = 'simplex';
+
+/**
+ * Decoded glyphs by font name and variations, then character
+ * @type {Map<string, Map<string, Glyph>>}
+ */
+const glyphCache = new Map();
+
+/**
+ * Decode a glyph in the JHF encoding
+ *
+ * @param {string} data - Edge characters followed by coordinate pairs
+ * @returns {Glyph} The decoded glyph
+ */
+export function decodeGlyph(data) {
+    const value = (index) => data.charCodeAt(index) - ORIGIN;
+    const strokes = [];
+    let stroke = [];
+
+    for (let i = 2; i + 1 < data.length; i += 2) {
+        if (data[i] === ' ' && data[i + 1] === 'R') {
+            strokes.push(stroke);
+            stroke = [];
+        } else {
+            stroke.push([value(i), value(i + 1)]);
+        }
+    }
+    strokes.push(stroke);
+
+    return { left: value(0), right: value(1), strokes: strokes.filter(points => points.length > 0) };
+}
+
+/**
+ * Glyph of a font for a character
+ * Characters the font does not have are drawn as a question mark.
+ *
+ * @param {string} fontName - Name in HERSHEY_FONTS
+ * @param {string} character - Single character
+ * @param {Object} [variations] - Variations drawn from the font's glyphs
+ * @param {boolean} [variations.bold=false] - Draw every stroke twice, BOLD_WEIGHT apart
+ * @param {boolean} [variations.oblique=false] - Lean the glyph right by OBLIQUE_SLANT
+ * @param {boolean} [variations.mono=false] - Give the glyph a width of MONO_ADVANCE
+ * @returns {Glyph} The glyph with the variations applied
+ * @throws {Error} If the font does not exist
+ */
+export function fontGlyph(fontName, character, variations = {}) {
+    const glyphs = Object.hasOwn(HERSHEY_FONTS, fontName) ? HERSHEY_FONTS[fontName] : null;
+    if (!glyphs) {
+        throw new Error(`Unknown font: ${fontName} (available: ${Object.keys(HERSHEY_FONTS).join(', ')})`);
+    }
+
+    const { bold = false, oblique = false, mono = false } = variations;
+    const key = [fontName, bold, oblique, mono].join();
+    if (!glyphCache.has(key)) {
+        glyphCache.set(key, new Map());
+    }
+    const cache = glyphCache.get(key);
+    if (!cache.has(character)) {
+        const index = character.charCodeAt(0) - FIRST_CHARACTER;
+        const data = character.length === 1 && glyphs[index] !== undefined
+            ? glyphs[index]
+            : glyphs['?'.charCodeAt(0) - FIRST_CHARACTER];
+        cache.set(character, _applyVariations(decodeGlyph(data), { bold, oblique, mono }));
+    }
+    return cache.get(character);
+}
+
+/**
+ * Make a glyph bold, oblique or monospaced
+ *
+ * @private
+ * @param {Glyph} glyph - Decoded glyph
+ * @param {{bold: boolean, oblique: boolean, mono: boolean}} variations - Variations to apply
+ * @returns {Glyph} The varied glyph
+ */
+function _applyVariations(glyph, { bold, oblique, mono }) {
+    let { left, right, strokes } = glyph;
+
+    if (bold) {
+        strokes = strokes.flatMap(points => [points, points.map(([x, y]) => [x + BOLD_WEIGHT, y])]);
+        right += BOLD_WEIGHT;
+    }
+    if (oblique) {
+        strokes = strokes.map(points => points.map(([x, y]) => [x + (BASELINE - y) * OBLIQUE_SLANT, y]));
+    }
+    if (mono) {
+        const center = (left + right) / 2;
+        left = center - MONO_ADVANCE / 2;
+        right = center + MONO_ADVANCE / 2;
+    }
+
+    return { left, right, strokes };
+}
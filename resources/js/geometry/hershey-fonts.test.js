@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { BASELINE, BOLD_WEIGHT, CAP_TOP, DESCENDER, MONO_ADVANCE, decodeGlyph, fontGlyph } from './hershey-fonts.js';
+
+const PRINTABLE = Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i));
+
+describe('hershey fonts', () => {
+    describe('decodeGlyph', () => {
+        it('should decode edges and split strokes at pen lifts', () => {
+            expect(decodeGlyph('MWRFR[ RMNWN')).toEqual({
+                left: -5,
+                right: 5,
+                strokes: [[[0, -12], [0, 9]], [[-5, -4], [5, -4]]]
+            });
+        });
+
+        it('should decode glyphs without strokes', () => {
+            expect(decodeGlyph('LX')).toEqual({ left: -6, right: 6, strokes: [] });
+        });
+    });
+
+    describe('fontGlyph', () => {
+        it('should have a glyph for every printable ASCII character', () => {
+            PRINTABLE.forEach(character => {
+                const glyph = fontGlyph('simplex', character);
+                expect(glyph.right).toBeGreaterThan(glyph.left);
+                glyph.strokes.flat().forEach(([x, y]) => {
+                    expect(x).toBeGreaterThanOrEqual(glyph.left);
+                    expect(x).toBeLessThanOrEqual(glyph.right);
+                    expect(y).toBeGreaterThanOrEqual(CAP_TOP - 4);
+                    expect(y).toBeLessThanOrEqual(DESCENDER);
+                });
+                expect(glyph.strokes.length > 0).toBe(character !== ' ');
+            });
+        });
+
+        it('should stand capitals on the baseline', () => {
+            const ys = fontGlyph('simplex', 'H').strokes.flat().map(([, y]) => y);
+            expect(Math.min(...ys)).toBe(CAP_TOP);
+            expect(Math.max(...ys)).toBe(BASELINE);
+        });
+
+        it('should draw missing characters as question marks', () => {
+            expect(fontGlyph('simplex', 'é')).toEqual(fontGlyph('simplex', '?'));
+        });
+
+        it('should apply the variations', () => {
+            const simplex = fontGlyph('simplex', 'I');
+            const bold = fontGlyph('simplex', 'I', { bold: true });
+            expect(bold.strokes).toEqual([simplex.strokes[0], simplex.strokes[0].map(([x, y]) => [x + BOLD_WEIGHT, y])]);
+            expect(bold.right).toBe(simplex.right + BOLD_WEIGHT);
+
+            expect(fontGlyph('simplex', 'I', { oblique: true }).strokes[0]).toEqual([[4.2, CAP_TOP], [0, BASELINE]]);
+
+            ['i', 'W', ' '].forEach(character => {
+                const glyph = fontGlyph('simplex', character, { mono: true });
+                expect(glyph.right - glyph.left).toBe(MONO_ADVANCE);
+            });
+
+            const combined = fontGlyph('simplex', 'I', { bold: true, oblique: true });
+            expect(combined.strokes).toHaveLength(2);
+            expect(combined.strokes[1][1]).toEqual([BOLD_WEIGHT, BASELINE]);
+            expect(fontGlyph('simplex', 'I')).toBe(simplex);
+        });
+
+        it('should reject unknown fonts', () => {
+            expect(() => fontGlyph('gothic', 'A')).toThrow('Unknown font: gothic (available: simplex)');
+            expect(() => fontGlyph('simplex-bold', 'A')).toThrow('Unknown font');
+            expect(() => fontGlyph('toString', 'A')).toThrow('Unknown font');
+        });
+    });
+});
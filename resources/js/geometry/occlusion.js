@@ -0,0 +1,88 @@
+/**
+ * Hidden Line Removal
+ *
+ * A browser paints shapes in document order, so a filled shape hides
+ * whatever was drawn under it; a plotter draws every line. These helpers
+ * cut away the parts of each path that later filled shapes cover, leaving
+ * the lines that are actually visible.
+ */
+
+import { pathBounds } from './bounds.js';
+import { clipPolylines } from './clip.js';
+
+/**
+ * Remove the parts of paths covered by filled shapes painted after them
+ *
+ * Paths are in painter's order. Consecutive paths with the same `shape`
+ * index outline one shape, which covers what is under it when it has a
+ * `fillRule`; a shape's own outline is not hidden by its fill.
+ *
+ * @param {Array<{points: number[][], shape: number, fillRule: ?string}>} paths - Paths in painter's order
+ * @returns {Array<Object>} Visible pieces in painter's order, each a copy of
+ *   its path with the piece's points
+ */
+export function removeHiddenLines(paths) {
+    const shapes = _groupShapes(paths);
+    const occluders = [];
+    const visible = [];
+
+    // Walk from the top so each shape only meets the occluders above it
+    for (let i = shapes.length - 1; i >= 0; i--) {
+        const shape = shapes[i];
+        const pieces = shape.paths.map(path => {
+            let kept = [path.points];
+            occluders.forEach(occluder => {
+                kept = kept.flatMap(points => _overlaps(pathBounds([{ points }]), occluder.bounds)
+                    ? clipPolylines([points], occluder.rings, { outside: true, fillRule: occluder.fillRule })
+                    : [points]);
+            });
+            return kept.filter(points => points.length > 1).map(points => ({ ...path, points }));
+        });
+        visible.push(pieces.flat());
+
+        if (shape.fillRule) {
+            const rings = shape.paths.map(path => path.points).filter(points => points.length > 2);
+            const bounds = pathBounds(rings.map(points => ({ points })));
+            if (bounds) {
+                occluders.push({ rings, fillRule: shape.fillRule, bounds });
+            }
+        }
+    }
+
+    return visible.reverse().flat();
+}
+
+/**
+ * Group consecutive paths of the same shape
+ *
+ * @private
+ * @param {Object[]} paths - Paths in painter's order
+ * @returns {Array<{paths: Object[], fillRule: string|null}>} Shapes in painter's order
+ */
+function _groupShapes(paths) {
+    const shapes = [];
+    let current = null;
+
+    paths.forEach(path => {
+        if (current && current.index === path.shape) {
+            current.paths.push(path);
+            return;
+        }
+        current = { paths: [path], fillRule: path.fillRule || null, index: path.shape };
+        shapes.push(current);
+    });
+
+    return shapes;
+}
+
+/**
+ * Whether two bounding boxes overlap
+ *
+ * @private
+ * @param {Object|null} a - Bounds
+ * @param {Object} b - Bounds
+ * @returns {boolean} True if they share any area
+ */
+function _overlaps(a, b) {
+    return a !== null && a.minX < b.maxX && b.minX < a.maxX && a.minY < b.maxY && b.minY < a.maxY;
+}
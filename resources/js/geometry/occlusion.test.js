@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { removeHiddenLines } from './occlusion.js';
+import { pointInPolygon } from './polygon.js';
+
+const square = [[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]];
+const hole = [[1, 1], [3, 1], [3, 3], [1, 3], [1, 1]];
+
+// Pieces running along an edge may land on either side of it
+const onEdge = ([x, y]) => [square, hole].some(ring => ring.slice(1).some(([x2, y2], i) => {
+    const [x1, y1] = ring[i];
+    const t = Math.max(0, Math.min(1, ((x - x1) * (x2 - x1) + (y - y1) * (y2 - y1)) / ((x2 - x1) ** 2 + (y2 - y1) ** 2)));
+    return Math.hypot(x - x1 - t * (x2 - x1), y - y1 - t * (y2 - y1)) < 1e-9;
+}));
+
+const line = (points, shape = -1) => ({ points, style: 'line', shape, fillRule: null });
+const filled = (points, shape, fillRule = 'nonzero') => ({ points, style: `shape ${shape}`, shape, fillRule });
+
+describe('occlusion', () => {
+    it('should cut lines under a later filled shape', () => {
+        const result = removeHiddenLines([line([[-2, 2], [6, 2]]), filled(square, 0)]);
+        expect(result.map(path => path.points)).toEqual([
+            [[-2, 2], [0, 2]],
+            [[4, 2], [6, 2]],
+            square
+        ]);
+        expect(result[0]).toEqual({ points: [[-2, 2], [0, 2]], style: 'line', shape: -1, fillRule: null });
+    });
+
+    it('should leave lines drawn over a filled shape', () => {
+        const paths = [filled(square, 0), line([[-2, 2], [6, 2]])];
+        expect(removeHiddenLines(paths)).toEqual(paths);
+    });
+
+    it('should not hide lines with unfilled shapes', () => {
+        const paths = [line([[-2, 2], [6, 2]]), line(square, 0)];
+        expect(removeHiddenLines(paths)).toEqual(paths);
+    });
+
+    it('should see through holes by the fill rule', () => {
+        const under = line([[-2, 2], [6, 2]]);
+        const evenOdd = removeHiddenLines([under, filled(square, 0, 'evenodd'), filled(hole, 0, 'evenodd')]);
+        expect(evenOdd.slice(0, 3).map(path => path.points)).toEqual([
+            [[-2, 2], [0, 2]],
+            [[1, 2], [3, 2]],
+            [[4, 2], [6, 2]]
+        ]);
+
+        // The hole is wound the same way as the square, so it is filled under the nonzero rule
+        const nonzero = removeHiddenLines([under, filled(square, 0), filled(hole, 0)]);
+        expect(nonzero.slice(0, 2).map(path => path.points)).toEqual([[[-2, 2], [0, 2]], [[4, 2], [6, 2]]]);
+    });
+
+    it('should hide lower filled shapes behind upper ones', () => {
+        const lower = [[2, 2], [6, 2], [6, 6], [2, 6], [2, 2]];
+        const result = removeHiddenLines([filled(lower, 0), filled(square, 1)]);
+        expect(result.map(path => path.points)).toEqual([
+            [[4, 2], [6, 2], [6, 6], [2, 6], [2, 4]],
+            square
+        ]);
+    });
+
+    it('should never keep lines under a later fill', () => {
+        const coordinate = fc.double({ min: -2, max: 6, noNaN: true });
+        const point = fc.tuple(coordinate, coordinate);
+        fc.assert(
+            fc.property(fc.array(point, { minLength: 2, maxLength: 6 }), (points) => {
+                removeHiddenLines([line(points), filled(square, 0, 'evenodd'), filled(hole, 0, 'evenodd')])
+                    .filter(path => path.fillRule === null)
+                    .forEach(({ points: piece }) => {
+                        for (let i = 1; i < piece.length; i++) {
+                            const middle = [(piece[i - 1][0] + piece[i][0]) / 2, (piece[i - 1][1] + piece[i][1]) / 2];
+                            expect(!pointInPolygon(middle, [square, hole]) || onEdge(middle)).toBe(true);
+                        }
+                    });
+            })
+        );
+    });
+});
@@ -0,0 +1,201 @@
+/**
+ * Polygon Offsetting
+ *
+ * Grows or shrinks polygons by moving every edge along its normal and
+ * joining neighbouring edges where their offset lines meet. When shrinking,
+ * edges that would turn back on themselves are dropped, so parts of the
+ * polygon narrower than the inset disappear. Sharp corners are mitred up to
+ * MITER_LIMIT times the distance and bevelled beyond it. The result is
+ * exact for convex polygons; concave polygons that split in two while
+ * shrinking are not separated.
+ */
+
+import { dedupePoints } from './polyline.js';
+import { closeRing, openRing, polygonArea, ringDepths } from './polygon.js';
+
+/**
+ * Longest mitre at a corner, as a multiple of the offset distance
+ * @type {number}
+ */
+export const MITER_LIMIT = 4;
+
+/**
+ * Grow or shrink a ring
+ *
+ * @param {number[][]} ring - Ring points
+ * @param {number} distance - Outward distance; negative values shrink the ring
+ * @returns {number[][]|null} Closed ring with the input's orientation, or null if it vanished
+ */
+export function offsetRing(ring, distance) {
+    const points = openRing(dedupePoints(ring));
+    const area = polygonArea(points);
+    if (points.length < 3 || area === 0) {
+        return null;
+    }
+    if (distance === 0) {
+        return closeRing(points);
+    }
+
+    // Outward is to the right of each edge for positive areas
+    const side = area > 0 ? 1 : -1;
+    let edges = points.map((start, index) => {
+        const end = points[(index + 1) % points.length];
+        const length = Math.hypot(end[0] - start[0], end[1] - start[1]);
+        const direction = [(end[0] - start[0]) / length, (end[1] - start[1]) / length];
+        const normal = [side * direction[1], -side * direction[0]];
+        return {
+            index,
+            start,
+            length,
+            direction,
+            normal,
+            origin: [start[0] + normal[0] * distance, start[1] + normal[1] * distance]
+        };
+    });
+
+    // Drop the edge that turned back the most until none do
+    let vertices = _joinEdges(edges);
+    while (edges.length >= 3) {
+        const worst = _mostReversedEdge(edges, vertices);
+        if (worst < 0) {
+            break;
+        }
+        edges = edges.filter((edge, i) => i !== worst);
+        vertices = _joinEdges(edges);
+    }
+
+    if (edges.length < 3) {
+        return null;
+    }
+
+    const result = _bevelCorners(edges, vertices, distance, points.length);
+    const resultArea = polygonArea(result);
+    return Math.sign(resultArea) === Math.sign(area) && Math.abs(resultArea) > 1e-12 ? closeRing(result) : null;
+}
+
+/**
+ * Grow or shrink a polygon, which may have holes
+ * Holes move the opposite way to outlines, so the shape as a whole grows
+ * or shrinks; vanished rings are left out.
+ *
+ * @param {number[][][]} rings - Polygon rings (even-odd rule)
+ * @param {number} distance - Outward distance; negative values shrink the polygon
+ * @returns {number[][][]} Closed rings
+ */
+export function offsetPolygon(rings, distance) {
+    const depths = ringDepths(rings);
+    return rings
+        .map((ring, index) => offsetRing(ring, depths[index] % 2 === 1 ? -distance : distance))
+        .filter(ring => ring !== null);
+}
+
+/**
+ * Corner points where each edge's offset line meets the previous one
+ *
+ * @private
+ * @param {Object[]} edges - Offset edges
+ * @returns {Array<number[]|null>} One vertex per edge, at its start; null
+ *   where the edge meets an edge running the opposite way
+ */
+function _joinEdges(edges) {
+    return edges.map((edge, i) => {
+        const previous = edges[(i - 1 + edges.length) % edges.length];
+        const vertex = _intersectLines(previous.origin, previous.direction, edge.origin, edge.direction);
+        if (vertex) {
+            return vertex;
+        }
+        // Parallel edges continue each other unless they turn back
+        const opposite = previous.direction[0] * edge.direction[0] + previous.direction[1] * edge.direction[1] < 0;
+        return opposite ? null : edge.origin;
+    });
+}
+
+/**
+ * The offset edge that runs backwards the furthest
+ * Of two edges that meet running opposite ways, the strip between them
+ * has closed up; the shorter one is dropped first.
+ *
+ * @private
+ * @param {Object[]} edges - Offset edges
+ * @param {Array<number[]|null>} vertices - Their start vertices
+ * @returns {number} Index of the edge, -1 if every edge runs forwards
+ */
+function _mostReversedEdge(edges, vertices) {
+    let worst = -1;
+    let worstDot = -1e-9;
+
+    for (let i = 0; i < edges.length; i++) {
+        const edge = edges[i];
+        const from = vertices[i];
+        const to = vertices[(i + 1) % edges.length];
+        if (!from) {
+            const previous = (i - 1 + edges.length) % edges.length;
+            return edges[previous].length < edge.length ? previous : i;
+        }
+        if (to) {
+            const dot = (to[0] - from[0]) * edge.direction[0] + (to[1] - from[1]) * edge.direction[1];
+            if (dot < worstDot) {
+                worst = i;
+                worstDot = dot;
+            }
+        }
+    }
+
+    return worst;
+}
+
+/**
+ * Replace mitres longer than the limit by two bevel points
+ * Only corners of the original polygon are bevelled; corners created by
+ * dropping edges are left mitred.
+ *
+ * @private
+ * @param {Object[]} edges - Remaining offset edges
+ * @param {number[][]} vertices - Their start vertices
+ * @param {number} distance - Offset distance
+ * @param {number} count - Number of edges of the original polygon
+ * @returns {number[][]} Ring points
+ */
+function _bevelCorners(edges, vertices, distance, count) {
+    const limit = MITER_LIMIT * Math.abs(distance);
+    const result = [];
+
+    edges.forEach((edge, i) => {
+        const previous = edges[(i - 1 + edges.length) % edges.length];
+        const vertex = vertices[i];
+        const corner = edge.start;
+        const adjacent = (previous.index + 1) % count === edge.index;
+        // Mitres extend the edges; where the edges are shortened instead there is nothing to bevel
+        const extended = (vertex[0] - edge.origin[0]) * edge.direction[0] + (vertex[1] - edge.origin[1]) * edge.direction[1] < 0;
+
+        if (adjacent && extended && Math.hypot(vertex[0] - corner[0], vertex[1] - corner[1]) > limit) {
+            result.push(
+                [corner[0] + previous.normal[0] * distance, corner[1] + previous.normal[1] * distance],
+                [corner[0] + edge.normal[0] * distance, corner[1] + edge.normal[1] * distance]
+            );
+        } else {
+            result.push(vertex);
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Intersection of two lines given by a point and a direction
+ *
+ * @private
+ * @param {number[]} p - Point on the first line
+ * @param {number[]} r - Direction of the first line
+ * @param {number[]} q - Point on the second line
+ * @param {number[]} s - Direction of the second line
+ * @returns {number[]|null} Intersection, or null for parallel lines
+ */
+function _intersectLines(p, r, q, s) {
+    const denominator = r[0] * s[1] - r[1] * s[0];
+    if (Math.abs(denominator) < 1e-9) {
+        return null;
+    }
+    const t = ((q[0] - p[0]) * s[1] - (q[1] - p[1]) * s[0]) / denominator;
+    return [p[0] + r[0] * t, p[1] + r[1] * t];
+}
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { offsetRing, offsetPolygon, MITER_LIMIT } from './offset.js';
+import { polygonArea } from './polygon.js';
+
+const square = [[0, 0], [4, 0], [4, 4], [0, 4]];
+
+describe('offset', () => {
+    it('should grow and shrink squares', () => {
+        expect(offsetRing(square, 1)).toEqual([[-1, -1], [5, -1], [5, 5], [-1, 5], [-1, -1]]);
+        expect(offsetRing(square, -1)).toEqual([[1, 1], [3, 1], [3, 3], [1, 3], [1, 1]]);
+        expect(offsetRing(square, 0)).toEqual([...square, [0, 0]]);
+    });
+
+    it('should keep the orientation of the ring', () => {
+        const reversed = [...square].reverse();
+        expect(polygonArea(offsetRing(reversed, -1))).toBe(-4);
+        expect(polygonArea(offsetRing(reversed, 1))).toBe(-36);
+    });
+
+    it('should return null once the ring vanishes', () => {
+        expect(offsetRing(square, -2)).toBeNull();
+        expect(offsetRing(square, -3)).toBeNull();
+        expect(offsetRing([[0, 0], [1, 1], [2, 2]], 1)).toBeNull();
+    });
+
+    it('should drop parts narrower than the inset', () => {
+        // The 1 wide foot of this L shape disappears when inset by 0.75
+        const shape = [[0, 0], [4, 0], [4, 4], [2, 4], [2, 1], [0, 1]];
+        expect(offsetRing(shape, -0.75)).toEqual([[2.75, 0.75], [3.25, 0.75], [3.25, 3.25], [2.75, 3.25], [2.75, 0.75]]);
+    });
+
+    it('should bevel sharp corners', () => {
+        const spike = [[0, 0], [10, 0.5], [0, 1]];
+        const grown = offsetRing(spike, 0.5);
+        grown.forEach(([x]) => expect(x).toBeLessThanOrEqual(10 + MITER_LIMIT * 0.5));
+        expect(grown).toHaveLength(5);
+    });
+
+    it('should move holes the opposite way', () => {
+        const hole = [[1, 1], [3, 1], [3, 3], [1, 3]];
+        const [outline, grownHole] = offsetPolygon([square, hole], -0.5);
+        expect(outline).toEqual([[0.5, 0.5], [3.5, 0.5], [3.5, 3.5], [0.5, 3.5], [0.5, 0.5]]);
+        expect(grownHole).toEqual([[0.5, 0.5], [3.5, 0.5], [3.5, 3.5], [0.5, 3.5], [0.5, 0.5]]);
+        expect(offsetPolygon([square, hole], -1)).toHaveLength(2);
+        expect(offsetPolygon([square], -5)).toEqual([]);
+    });
+});
@@ -0,0 +1,392 @@
+/**
+ * Path Cleanup
+ *
+ * Removes geometry that would be plotted twice and joins polylines that meet
+ * end to end. Sketches often draw shared edges once per shape (grids of
+ * polygons, tangent circles); plotting those edges twice bleeds ink through
+ * the paper and wastes time.
+ *
+ * Functions accept any objects with a `points` array; other properties (such
+ * as the stroke style) are kept. Only paths with the same `style` and `layer`
+ * are compared or joined, since either difference usually means another pen.
+ */
+
+import { distance, isClosedPolyline } from './polyline.js';
+
+/**
+ * Default distance within which endpoints count as coincident (inches)
+ * @type {number}
+ */
+export const DEFAULT_MERGE_TOLERANCE = 0.005;
+
+/**
+ * @typedef {Object} CleanupStats
+ * @property {number} removedLength - Total length of duplicate segments removed
+ * @property {number} joinedCount - Number of joins made between polylines
+ */
+
+/**
+ * Removes duplicate segments and joins touching polylines
+ *
+ * @param {Array<{points: number[][], style?: Object, layer?: string|null}>} paths - Paths to clean up
+ * @param {Object} [options] - Cleanup options
+ * @param {number} [options.tolerance=DEFAULT_MERGE_TOLERANCE] - Distance within which points coincide
+ * @returns {{paths: Array<{points: number[][]}>, stats: CleanupStats}} Cleaned paths and statistics
+ */
+export function cleanupPaths(paths, options = {}) {
+    const { tolerance = DEFAULT_MERGE_TOLERANCE } = options;
+    const stats = { removedLength: 0, joinedCount: 0 };
+    const result = [];
+
+    _groupByPen(paths).forEach(group => {
+        const deduped = removeDuplicateSegments(group, tolerance);
+        const merged = mergeEndpoints(deduped.paths, tolerance);
+        stats.removedLength += deduped.removedLength;
+        stats.joinedCount += merged.joinedCount;
+        result.push(...merged.paths);
+    });
+
+    return { paths: result, stats };
+}
+
+/**
+ * Removes segments that are covered by collinear segments drawn earlier
+ *
+ * Each segment is compared with the segments kept so far. The parts it
+ * shares with collinear segments (within the tolerance) are cut away and
+ * the remaining pieces are chained back into polylines.
+ *
+ * @param {Array<{points: number[][]}>} paths - Paths in drawing order
+ * @param {number} [tolerance=DEFAULT_MERGE_TOLERANCE] - Maximum distance between overlapping segments
+ * @returns {{paths: Array<{points: number[][]}>, removedLength: number}} Remaining paths and removed length
+ */
+export function removeDuplicateSegments(paths, tolerance = DEFAULT_MERGE_TOLERANCE) {
+    const index = new SegmentIndex(_cellSize(paths, tolerance));
+    const result = [];
+    let removedLength = 0;
+
+    paths.forEach(path => {
+        let current = null;
+        const flush = () => {
+            if (current) {
+                result.push({ ...path, points: current });
+            }
+            current = null;
+        };
+
+        for (let i = 1; i < path.points.length; i++) {
+            const start = path.points[i - 1];
+            const end = path.points[i];
+            const length = distance(start, end);
+            if (length === 0) {
+                continue;
+            }
+
+            const pieces = _uncoveredIntervals(start, end, length, index.query(start, end, tolerance), tolerance);
+            removedLength += length - pieces.reduce((sum, [from, to]) => sum + (to - from), 0);
+
+            pieces.forEach(([from, to]) => {
+                const pieceEnd = to === length ? end : _lerp(start, end, to / length);
+                // A piece continues the current polyline only if nothing was cut in between
+                if (current && from === 0) {
+                    current.push(pieceEnd);
+                } else {
+                    flush();
+                    current = [from === 0 ? start : _lerp(start, end, from / length), pieceEnd];
+                }
+            });
+
+            if (pieces.length === 0 || pieces[pieces.length - 1][1] !== length) {
+                flush();
+            }
+
+            index.insert(start, end);
+        }
+
+        flush();
+    });
+
+    return { paths: result, removedLength };
+}
+
+/**
+ * Joins polylines whose endpoints coincide within the tolerance
+ *
+ * Paths may be reversed to make a join. Closed polylines are left alone.
+ *
+ * @param {Array<{points: number[][]}>} paths - Paths to join
+ * @param {number} [tolerance=DEFAULT_MERGE_TOLERANCE] - Maximum gap between joined endpoints
+ * @returns {{paths: Array<{points: number[][]}>, joinedCount: number}} Joined paths and number of joins
+ */
+export function mergeEndpoints(paths, tolerance = DEFAULT_MERGE_TOLERANCE) {
+    const chains = paths.map(path => ({ ...path, points: [...path.points] }));
+    const alive = chains.map(() => true);
+    const endpoints = new EndpointIndex(Math.max(tolerance, Number.EPSILON));
+    let joinedCount = 0;
+
+    const isOpen = (chain) => !isClosedPolyline(chain.points, tolerance);
+    const first = (chain) => chain.points[0];
+    const last = (chain) => chain.points[chain.points.length - 1];
+
+    chains.forEach((chain, i) => {
+        if (isOpen(chain)) {
+            endpoints.add(first(chain), i, 'start');
+            endpoints.add(last(chain), i, 'end');
+        }
+    });
+
+    // Find another open chain with an endpoint near the given point
+    const findPartner = (point, self) => endpoints
+        .near(point, tolerance)
+        .find(entry => entry.id !== self && alive[entry.id]);
+
+    chains.forEach((chain, i) => {
+        if (!alive[i] || !isOpen(chain)) {
+            return;
+        }
+
+        // Grow the chain at its end, then at its start
+        for (const side of ['end', 'start']) {
+            let partner;
+            while (isOpen(chain) && (partner = findPartner(side === 'end' ? last(chain) : first(chain), i))) {
+                const other = chains[partner.id];
+                endpoints.remove(first(other), partner.id, 'start');
+                endpoints.remove(last(other), partner.id, 'end');
+                endpoints.remove(side === 'end' ? last(chain) : first(chain), i, side);
+                alive[partner.id] = false;
+
+                if (side === 'end') {
+                    // Continue through the partner, entering at whichever end touches
+                    const next = partner.side === 'start' ? other.points : [...other.points].reverse();
+                    chain.points.push(...next.slice(1));
+                    endpoints.add(last(chain), i, 'end');
+                } else {
+                    const previous = partner.side === 'end' ? other.points : [...other.points].reverse();
+                    chain.points.unshift(...previous.slice(0, -1));
+                    endpoints.add(first(chain), i, 'start');
+                }
+                joinedCount++;
+            }
+        }
+
+        // A chain that closed into a loop takes no further joins
+        if (!isOpen(chain)) {
+            endpoints.remove(first(chain), i, 'start');
+            endpoints.remove(last(chain), i, 'end');
+        }
+    });
+
+    return { paths: chains.filter((chain, i) => alive[i]), joinedCount };
+}
+
+/**
+ * Uniform grid of segments for finding overlap candidates
+ *
+ * @private
+ */
+class SegmentIndex {
+    /**
+     * @param {number} cellSize - Grid cell size
+     */
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+    }
+
+    /**
+     * Add a segment to every cell its bounding box touches
+     *
+     * @param {number[]} start - Segment start
+     * @param {number[]} end - Segment end
+     */
+    insert(start, end) {
+        const segment = [start, end];
+        this._forEachCell(start, end, 0, key => {
+            if (!this.cells.has(key)) {
+                this.cells.set(key, []);
+            }
+            this.cells.get(key).push(segment);
+        });
+    }
+
+    /**
+     * Segments whose cells overlap the segment's bounding box
+     *
+     * @param {number[]} start - Segment start
+     * @param {number[]} end - Segment end
+     * @param {number} margin - Extra distance around the bounding box
+     * @returns {Array<number[][]>} Candidate segments
+     */
+    query(start, end, margin) {
+        const found = new Set();
+        this._forEachCell(start, end, margin, key => {
+            (this.cells.get(key) || []).forEach(segment => found.add(segment));
+        });
+        return [...found];
+    }
+
+    _forEachCell(start, end, margin, callback) {
+        const minX = Math.floor((Math.min(start[0], end[0]) - margin) / this.cellSize);
+        const maxX = Math.floor((Math.max(start[0], end[0]) + margin) / this.cellSize);
+        const minY = Math.floor((Math.min(start[1], end[1]) - margin) / this.cellSize);
+        const maxY = Math.floor((Math.max(start[1], end[1]) + margin) / this.cellSize);
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) {
+                callback(`${x},${y}`);
+            }
+        }
+    }
+}
+
+/**
+ * Grid of polyline endpoints for finding join partners
+ *
+ * @private
+ */
+class EndpointIndex {
+    /**
+     * @param {number} cellSize - Grid cell size (at least the search radius)
+     */
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+    }
+
+    _key(point) {
+        return `${Math.floor(point[0] / this.cellSize)},${Math.floor(point[1] / this.cellSize)}`;
+    }
+
+    add(point, id, side) {
+        const key = this._key(point);
+        if (!this.cells.has(key)) {
+            this.cells.set(key, []);
+        }
+        this.cells.get(key).push({ point, id, side });
+    }
+
+    remove(point, id, side) {
+        const entries = this.cells.get(this._key(point));
+        if (entries) {
+            const position = entries.findIndex(entry => entry.id === id && entry.side === side);
+            if (position !== -1) {
+                entries.splice(position, 1);
+            }
+        }
+    }
+
+    near(point, radius) {
+        const cx = Math.floor(point[0] / this.cellSize);
+        const cy = Math.floor(point[1] / this.cellSize);
+        const found = [];
+        for (let x = cx - 1; x <= cx + 1; x++) {
+            for (let y = cy - 1; y <= cy + 1; y++) {
+                (this.cells.get(`${x},${y}`) || []).forEach(entry => {
+                    if (distance(entry.point, point) <= radius) {
+                        found.push(entry);
+                    }
+                });
+            }
+        }
+        return found;
+    }
+}
+
+/**
+ * Parts of segment start→end not covered by collinear candidate segments
+ *
+ * @private
+ * @param {number[]} start - Segment start
+ * @param {number[]} end - Segment end
+ * @param {number} length - Segment length
+ * @param {Array<number[][]>} candidates - Previously kept segments
+ * @param {number} tolerance - Maximum distance from the segment's line
+ * @returns {number[][]} Uncovered intervals as [from, to] distances along the segment
+ */
+function _uncoveredIntervals(start, end, length, candidates, tolerance) {
+    const ux = (end[0] - start[0]) / length;
+    const uy = (end[1] - start[1]) / length;
+    const along = (point) => (point[0] - start[0]) * ux + (point[1] - start[1]) * uy;
+    const across = (point) => (point[0] - start[0]) * uy - (point[1] - start[1]) * ux;
+
+    const covered = [];
+    candidates.forEach(([a, b]) => {
+        const ta = along(a);
+        const tb = along(b);
+        const from = Math.max(0, Math.min(ta, tb));
+        const to = Math.min(length, Math.max(ta, tb));
+        if (to - from <= tolerance) {
+            return;
+        }
+
+        // Only the part alongside this segment has to lie on its line
+        const sa = across(a);
+        const sb = across(b);
+        const offsetAt = (t) => Math.abs(sa + (sb - sa) * (t - ta) / (tb - ta));
+        if (offsetAt(from) <= tolerance && offsetAt(to) <= tolerance) {
+            covered.push([from, to]);
+        }
+    });
+
+    covered.sort((p, q) => p[0] - q[0]);
+
+    const pieces = [];
+    let position = 0;
+    covered.forEach(([from, to]) => {
+        if (from > position) {
+            pieces.push([position, from]);
+        }
+        position = Math.max(position, to);
+    });
+    if (position < length) {
+        pieces.push([position, length]);
+    }
+
+    // Slivers left between two overlaps are not worth a pen-down; a piece
+    // reaching an end of the segment has nothing on that side and is kept
+    return pieces.filter(([from, to]) => to - from > tolerance || ((from === 0 || to === length) && to > from));
+}
+
+/**
+ * Interpolate between two points
+ *
+ * @private
+ */
+function _lerp(a, b, t) {
+    return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+}
+
+/**
+ * Grid cell size for the segment index: about the average segment length
+ *
+ * @private
+ */
+function _cellSize(paths, tolerance) {
+    let total = 0;
+    let count = 0;
+    paths.forEach(({ points }) => {
+        for (let i = 1; i < points.length; i++) {
+            total += distance(points[i - 1], points[i]);
+            count++;
+        }
+    });
+    return Math.max(count > 0 ? total / count : 1, tolerance * 4, Number.EPSILON);
+}
+
+/**
+ * Split paths into groups of identical layer and style, in order of first appearance
+ *
+ * @private
+ * @param {Array<{style?: Object, layer?: string|null}>} paths - Paths to group
+ * @returns {Array<Array<Object>>} Groups
+ */
+function _groupByPen(paths) {
+    const groups = new Map();
+    paths.forEach(path => {
+        const key = JSON.stringify([path.layer ?? null, path.style ?? null]);
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(path);
+    });
+    return [...groups.values()];
+}
@@ -0,0 +1,163 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { cleanupPaths, mergeEndpoints, removeDuplicateSegments } from './path-cleanup.js';
+import { polylineLength } from './polyline.js';
+
+const totalLength = (paths) => paths.reduce((sum, path) => sum + polylineLength(path.points), 0);
+
+const pathArbitrary = fc.array(
+    fc.tuple(fc.integer({ min: 0, max: 20 }), fc.integer({ min: 0, max: 20 })),
+    { minLength: 2, maxLength: 5 }
+).map(points => ({ points }));
+
+describe('path cleanup', () => {
+    describe('removeDuplicateSegments', () => {
+        it('should remove a segment drawn twice in either direction', () => {
+            const { paths, removedLength } = removeDuplicateSegments([
+                { points: [[0, 0], [4, 0]] },
+                { points: [[4, 0], [0, 0]] }
+            ], 0.01);
+            expect(paths).toEqual([{ points: [[0, 0], [4, 0]] }]);
+            expect(removedLength).toBe(4);
+        });
+
+        it('should keep the parts of a segment that do not overlap', () => {
+            const { paths, removedLength } = removeDuplicateSegments([
+                { points: [[2, 0], [4, 0]] },
+                { points: [[0, 0], [6, 0]] }
+            ], 0.01);
+            expect(paths.map(path => path.points)).toEqual([
+                [[2, 0], [4, 0]],
+                [[0, 0], [2, 0]],
+                [[4, 0], [6, 0]]
+            ]);
+            expect(removedLength).toBeCloseTo(2);
+        });
+
+        it('should split a polyline where a duplicate was cut out', () => {
+            const { paths } = removeDuplicateSegments([
+                { points: [[1, 0], [1, 1]] },
+                { points: [[0, 0], [1, 0], [1, 1], [2, 1]], style: 'keep' }
+            ], 0.01);
+            expect(paths).toEqual([
+                { points: [[1, 0], [1, 1]] },
+                { points: [[0, 0], [1, 0]], style: 'keep' },
+                { points: [[1, 1], [2, 1]], style: 'keep' }
+            ]);
+        });
+
+        it('should treat nearly collinear segments within the tolerance as duplicates', () => {
+            const segments = [{ points: [[0, 0], [10, 0]] }, { points: [[0, 0.004], [10, 0.004]] }];
+            expect(removeDuplicateSegments(segments, 0.005).paths).toHaveLength(1);
+            expect(removeDuplicateSegments(segments, 0.001).paths).toHaveLength(2);
+        });
+
+        it('should keep lines that cross or touch only at a point', () => {
+            const { paths, removedLength } = removeDuplicateSegments([
+                { points: [[0, 0], [2, 2]] },
+                { points: [[0, 2], [2, 0]] },
+                { points: [[2, 2], [4, 2]] }
+            ], 0.01);
+            expect(paths).toHaveLength(3);
+            expect(removedLength).toBe(0);
+        });
+
+        it('should remove exactly the length of a repeated drawing', () => {
+            fc.assert(
+                fc.property(fc.array(pathArbitrary, { maxLength: 10 }), (paths) => {
+                    const once = removeDuplicateSegments(paths, 0.001);
+                    const twice = removeDuplicateSegments([...paths, ...paths], 0.001);
+                    expect(totalLength(twice.paths)).toBeCloseTo(totalLength(once.paths), 6);
+                    expect(twice.removedLength + totalLength(twice.paths)).toBeCloseTo(2 * totalLength(paths), 6);
+                })
+            );
+        });
+        it('should keep densely sampled curves that nothing overlaps', () => {
+            const points = Array.from({ length: 1001 }, (_, i) => {
+                const angle = (i / 1000) * Math.PI * 2;
+                return [1 + 0.4 * Math.cos(angle), 1 + 0.4 * Math.sin(angle)];
+            });
+
+            const { paths, removedLength } = removeDuplicateSegments([{ points }]);
+            expect(removedLength).toBe(0);
+            expect(paths).toEqual([{ points }]);
+            expect(totalLength(cleanupPaths([{ points }]).paths)).toBeCloseTo(polylineLength(points), 9);
+        });
+
+        it('should drop only the slivers left between two overlaps', () => {
+            const { paths } = removeDuplicateSegments([
+                { points: [[0, 0], [1, 0]] },
+                { points: [[1.001, 0], [2, 0]] },
+                { points: [[-1, 0], [2.5, 0]] }
+            ], 0.01);
+            expect(paths.slice(2)).toEqual([{ points: [[-1, 0], [0, 0]] }, { points: [[2, 0], [2.5, 0]] }]);
+        });
+    });
+
+    describe('mergeEndpoints', () => {
+        it('should join paths end to start', () => {
+            const { paths, joinedCount } = mergeEndpoints([
+                { points: [[0, 0], [1, 0]] },
+                { points: [[1, 0], [1, 1]] }
+            ]);
+            expect(paths).toEqual([{ points: [[0, 0], [1, 0], [1, 1]] }]);
+            expect(joinedCount).toBe(1);
+        });
+
+        it('should reverse paths to join them', () => {
+            const { paths } = mergeEndpoints([
+                { points: [[1, 0], [2, 0]] },
+                { points: [[3, 0], [2, 0]] },
+                { points: [[1, 0], [0, 0]] }
+            ]);
+            expect(paths).toEqual([{ points: [[0, 0], [1, 0], [2, 0], [3, 0]] }]);
+        });
+
+        it('should only join endpoints within the tolerance', () => {
+            const paths = [{ points: [[0, 0], [1, 0]] }, { points: [[1.05, 0], [2, 0]] }];
+            expect(mergeEndpoints(paths, 0.01).paths).toHaveLength(2);
+            expect(mergeEndpoints(paths, 0.1).paths).toHaveLength(1);
+        });
+
+        it('should close a loop and leave closed paths alone', () => {
+            const { paths } = mergeEndpoints([
+                { points: [[0, 0], [1, 0], [1, 1]] },
+                { points: [[1, 1], [0, 0]] },
+                { points: [[0, 0], [0, -1], [-1, -1], [0, 0]] }
+            ]);
+            expect(paths).toEqual([
+                { points: [[0, 0], [1, 0], [1, 1], [0, 0]] },
+                { points: [[0, 0], [0, -1], [-1, -1], [0, 0]] }
+            ]);
+        });
+
+        it('should keep every segment', () => {
+            fc.assert(
+                fc.property(fc.array(pathArbitrary, { maxLength: 20 }), (paths) => {
+                    const { paths: merged, joinedCount } = mergeEndpoints(paths, 0.001);
+                    expect(totalLength(merged)).toBeCloseTo(totalLength(paths), 6);
+                    expect(merged.length + joinedCount).toBe(paths.length);
+                })
+            );
+        });
+    });
+
+    describe('cleanupPaths', () => {
+        it('should only compare paths of the same style', () => {
+            const black = { stroke: '#000' };
+            const red = { stroke: '#f00' };
+            const { paths, stats } = cleanupPaths([
+                { points: [[0, 0], [1, 0]], style: black },
+                { points: [[0, 0], [1, 0]], style: red },
+                { points: [[1, 0], [0, 0]], style: black },
+                { points: [[1, 0], [1, 1]], style: black }
+            ], { tolerance: 0.01 });
+
+            expect(paths).toEqual([
+                { points: [[0, 0], [1, 0], [1, 1]], style: black },
+                { points: [[0, 0], [1, 0]], style: red }
+            ]);
+            expect(stats).toEqual({ removedLength: 1, joinedCount: 1 });
+        });
+    });
+});
@@ -0,0 +1,472 @@
+/**
+ * SVG Path Data Utilities
+ *
+ * Parses SVG path `d` strings and flattens them into polylines. Curves and
+ * arcs are subdivided until the polyline stays within a given tolerance of
+ * the true curve.
+ *
+ * Polylines are arrays of [x, y] points. Closed subpaths repeat their first
+ * point at the end so that consumers can treat every polyline the same way.
+ */
+
+/**
+ * Default flattening tolerance in user units (inches for plotter projects)
+ * @type {number}
+ */
+export const DEFAULT_TOLERANCE = 0.005;
+
+/**
+ * Upper bound on subdivisions per curve segment
+ * Prevents runaway point counts for degenerate tolerances.
+ */
+const MAX_SEGMENTS = 1000;
+
+/**
+ * Number of arguments consumed by each path command
+ */
+const ARGUMENT_COUNTS = {
+    M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0
+};
+
+/**
+ * Parses a path data string into absolute, normalized segments
+ *
+ * The result only contains M, L, C, Q, A and Z commands: relative commands
+ * are made absolute, H/V become L, and S/T are expanded to C/Q.
+ *
+ * @param {string} d - Path data string
+ * @returns {Array<Array<string|number>>} Segments as [command, ...values]
+ * @throws {Error} If the path data is malformed
+ */
+export function parsePathData(d) {
+    const tokens = _tokenize(d || '');
+    const segments = [];
+
+    let x = 0;
+    let y = 0;
+    let startX = 0;
+    let startY = 0;
+    let lastControl = null;
+    let lastCommand = null;
+    let index = 0;
+
+    while (index < tokens.length) {
+        let command = tokens[index];
+        if (typeof command !== 'string') {
+            // Implicit command repetition (a move is followed by implicit lines)
+            if (lastCommand === null) {
+                throw new Error('Invalid path data: must start with a move command');
+            }
+            if (lastCommand === 'Z' || lastCommand === 'z') {
+                throw new Error('Invalid path data: unexpected number after close command');
+            }
+            command = lastCommand === 'M' ? 'L' : lastCommand === 'm' ? 'l' : lastCommand;
+        } else {
+            index++;
+        }
+
+        const upper = command.toUpperCase();
+        const relative = command !== upper;
+        const count = ARGUMENT_COUNTS[upper];
+        const args = tokens.slice(index, index + count);
+
+        if (args.length !== count || args.some(arg => typeof arg !== 'number')) {
+            throw new Error(`Invalid path data: wrong number of arguments for "${command}"`);
+        }
+        index += count;
+
+        const ox = relative ? x : 0;
+        const oy = relative ? y : 0;
+
+        switch (upper) {
+            case 'M':
+                x = args[0] + ox;
+                y = args[1] + oy;
+                startX = x;
+                startY = y;
+                segments.push(['M', x, y]);
+                lastControl = null;
+                break;
+
+            case 'L':
+                x = args[0] + ox;
+                y = args[1] + oy;
+                segments.push(['L', x, y]);
+                lastControl = null;
+                break;
+
+            case 'H':
+                x = args[0] + ox;
+                segments.push(['L', x, y]);
+                lastControl = null;
+                break;
+
+            case 'V':
+                y = args[0] + oy;
+                segments.push(['L', x, y]);
+                lastControl = null;
+                break;
+
+            case 'C': {
+                const c1x = args[0] + ox;
+                const c1y = args[1] + oy;
+                const c2x = args[2] + ox;
+                const c2y = args[3] + oy;
+                x = args[4] + ox;
+                y = args[5] + oy;
+                segments.push(['C', c1x, c1y, c2x, c2y, x, y]);
+                lastControl = { type: 'C', x: c2x, y: c2y };
+                break;
+            }
+
+            case 'S': {
+                const c1x = lastControl?.type === 'C' ? 2 * x - lastControl.x : x;
+                const c1y = lastControl?.type === 'C' ? 2 * y - lastControl.y : y;
+                const c2x = args[0] + ox;
+                const c2y = args[1] + oy;
+                x = args[2] + ox;
+                y = args[3] + oy;
+                segments.push(['C', c1x, c1y, c2x, c2y, x, y]);
+                lastControl = { type: 'C', x: c2x, y: c2y };
+                break;
+            }
+
+            case 'Q': {
+                const cx = args[0] + ox;
+                const cy = args[1] + oy;
+                x = args[2] + ox;
+                y = args[3] + oy;
+                segments.push(['Q', cx, cy, x, y]);
+                lastControl = { type: 'Q', x: cx, y: cy };
+                break;
+            }
+
+            case 'T': {
+                const cx = lastControl?.type === 'Q' ? 2 * x - lastControl.x : x;
+                const cy = lastControl?.type === 'Q' ? 2 * y - lastControl.y : y;
+                x = args[0] + ox;
+                y = args[1] + oy;
+                segments.push(['Q', cx, cy, x, y]);
+                lastControl = { type: 'Q', x: cx, y: cy };
+                break;
+            }
+
+            case 'A':
+                x = args[5] + ox;
+                y = args[6] + oy;
+                segments.push(['A', args[0], args[1], args[2], args[3] ? 1 : 0, args[4] ? 1 : 0, x, y]);
+                lastControl = null;
+                break;
+
+            case 'Z':
+                x = startX;
+                y = startY;
+                segments.push(['Z']);
+                lastControl = null;
+                break;
+        }
+
+        lastCommand = command;
+    }
+
+    return segments;
+}
+
+/**
+ * Flattens path data into polylines
+ *
+ * @param {string} d - Path data string
+ * @param {number} [tolerance=DEFAULT_TOLERANCE] - Maximum deviation from the true curve
+ * @returns {number[][][]} One polyline per subpath
+ * @throws {Error} If the path data is malformed
+ */
+export function flattenPathData(d, tolerance = DEFAULT_TOLERANCE) {
+    const segments = parsePathData(d);
+    const polylines = [];
+    let current = null;
+    let x = 0;
+    let y = 0;
+
+    const finishSubpath = () => {
+        if (current && current.length > 1) {
+            polylines.push(current);
+        }
+        current = null;
+    };
+
+    for (const segment of segments) {
+        const [command] = segment;
+
+        if (command === 'M') {
+            finishSubpath();
+            x = segment[1];
+            y = segment[2];
+            current = [[x, y]];
+            continue;
+        }
+
+        if (!current) {
+            // Drawing after Z continues from the subpath start
+            current = [[x, y]];
+        }
+
+        switch (command) {
+            case 'L':
+                x = segment[1];
+                y = segment[2];
+                current.push([x, y]);
+                break;
+
+            case 'C':
+                current.push(...flattenCubic([x, y], [segment[1], segment[2]], [segment[3], segment[4]], [segment[5], segment[6]], tolerance));
+                x = segment[5];
+                y = segment[6];
+                break;
+
+            case 'Q':
+                current.push(...flattenQuadratic([x, y], [segment[1], segment[2]], [segment[3], segment[4]], tolerance));
+                x = segment[3];
+                y = segment[4];
+                break;
+
+            case 'A':
+                current.push(...flattenArc([x, y], segment.slice(1, 6), [segment[6], segment[7]], tolerance));
+                x = segment[6];
+                y = segment[7];
+                break;
+
+            case 'Z': {
+                const [firstX, firstY] = current[0];
+                current.push([firstX, firstY]);
+                x = firstX;
+                y = firstY;
+                finishSubpath();
+                break;
+            }
+        }
+    }
+
+    finishSubpath();
+    return polylines;
+}
+
+/**
+ * Flattens a cubic Bézier curve
+ * The start point is not included in the result.
+ *
+ * @param {number[]} p0 - Start point
+ * @param {number[]} p1 - First control point
+ * @param {number[]} p2 - Second control point
+ * @param {number[]} p3 - End point
+ * @param {number} tolerance - Maximum deviation
+ * @returns {number[][]} Points along the curve
+ */
+export function flattenCubic(p0, p1, p2, p3, tolerance) {
+    // The flattening error of n segments is bounded by 0.75 * D / n²,
+    // where D is the largest second difference of the control points
+    const d1 = Math.hypot(p0[0] - 2 * p1[0] + p2[0], p0[1] - 2 * p1[1] + p2[1]);
+    const d2 = Math.hypot(p1[0] - 2 * p2[0] + p3[0], p1[1] - 2 * p2[1] + p3[1]);
+    const n = _segmentCount(Math.sqrt(0.75 * Math.max(d1, d2) / tolerance));
+
+    const points = [];
+    for (let i = 1; i <= n; i++) {
+        const t = i / n;
+        const mt = 1 - t;
+        const a = mt * mt * mt;
+        const b = 3 * mt * mt * t;
+        const c = 3 * mt * t * t;
+        const e = t * t * t;
+        points.push([
+            a * p0[0] + b * p1[0] + c * p2[0] + e * p3[0],
+            a * p0[1] + b * p1[1] + c * p2[1] + e * p3[1]
+        ]);
+    }
+    return points;
+}
+
+/**
+ * Flattens a quadratic Bézier curve
+ * The start point is not included in the result.
+ *
+ * @param {number[]} p0 - Start point
+ * @param {number[]} p1 - Control point
+ * @param {number[]} p2 - End point
+ * @param {number} tolerance - Maximum deviation
+ * @returns {number[][]} Points along the curve
+ */
+export function flattenQuadratic(p0, p1, p2, tolerance) {
+    const d = Math.hypot(p0[0] - 2 * p1[0] + p2[0], p0[1] - 2 * p1[1] + p2[1]);
+    const n = _segmentCount(Math.sqrt(0.25 * d / tolerance));
+
+    const points = [];
+    for (let i = 1; i <= n; i++) {
+        const t = i / n;
+        const mt = 1 - t;
+        points.push([
+            mt * mt * p0[0] + 2 * mt * t * p1[0] + t * t * p2[0],
+            mt * mt * p0[1] + 2 * mt * t * p1[1] + t * t * p2[1]
+        ]);
+    }
+    return points;
+}
+
+/**
+ * Flattens an SVG elliptical arc
+ * The start point is not included in the result.
+ *
+ * @param {number[]} from - Start point
+ * @param {number[]} arc - Arc parameters [rx, ry, xAxisRotation, largeArcFlag, sweepFlag]
+ * @param {number[]} to - End point
+ * @param {number} tolerance - Maximum deviation
+ * @returns {number[][]} Points along the arc
+ */
+export function flattenArc(from, arc, to, tolerance) {
+    let [rx, ry] = arc;
+    const [, , rotation, largeArc, sweep] = arc;
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+
+    // Degenerate arcs are straight lines (SVG spec F.6.2)
+    if (rx === 0 || ry === 0 || (from[0] === to[0] && from[1] === to[1])) {
+        return [[to[0], to[1]]];
+    }
+
+    // Endpoint to center parameterization (SVG spec F.6.5)
+    const phi = rotation * Math.PI / 180;
+    const cosPhi = Math.cos(phi);
+    const sinPhi = Math.sin(phi);
+    const dx = (from[0] - to[0]) / 2;
+    const dy = (from[1] - to[1]) / 2;
+    const x1p = cosPhi * dx + sinPhi * dy;
+    const y1p = -sinPhi * dx + cosPhi * dy;
+
+    // Scale up radii that are too small to reach the end point (F.6.6)
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) {
+        const scale = Math.sqrt(lambda);
+        rx *= scale;
+        ry *= scale;
+    }
+
+    const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    let coefficient = Math.sqrt(Math.max(0, numerator / denominator));
+    if (Boolean(largeArc) === Boolean(sweep)) {
+        coefficient = -coefficient;
+    }
+
+    const cxp = coefficient * (rx * y1p) / ry;
+    const cyp = coefficient * -(ry * x1p) / rx;
+    const cx = cosPhi * cxp - sinPhi * cyp + (from[0] + to[0]) / 2;
+    const cy = sinPhi * cxp + cosPhi * cyp + (from[1] + to[1]) / 2;
+
+    const startAngle = Math.atan2((y1p - cyp) / ry, (x1p - cxp) / rx);
+    let deltaAngle = Math.atan2((-y1p - cyp) / ry, (-x1p - cxp) / rx) - startAngle;
+    if (sweep && deltaAngle < 0) {
+        deltaAngle += 2 * Math.PI;
+    } else if (!sweep && deltaAngle > 0) {
+        deltaAngle -= 2 * Math.PI;
+    }
+
+    const n = arcSegmentCount(Math.max(rx, ry), Math.abs(deltaAngle), tolerance);
+    const points = [];
+    for (let i = 1; i < n; i++) {
+        const angle = startAngle + deltaAngle * (i / n);
+        const ex = rx * Math.cos(angle);
+        const ey = ry * Math.sin(angle);
+        points.push([
+            cosPhi * ex - sinPhi * ey + cx,
+            sinPhi * ex + cosPhi * ey + cy
+        ]);
+    }
+
+    // Land exactly on the end point to avoid drift between segments
+    points.push([to[0], to[1]]);
+    return points;
+}
+
+/**
+ * Number of segments needed to approximate an arc within a tolerance
+ *
+ * @param {number} radius - Largest radius of the arc
+ * @param {number} sweepAngle - Swept angle in radians
+ * @param {number} tolerance - Maximum deviation
+ * @returns {number} Segment count (at least 1)
+ */
+export function arcSegmentCount(radius, sweepAngle, tolerance) {
+    if (radius <= tolerance) {
+        return _segmentCount(sweepAngle / (Math.PI / 2));
+    }
+    const maxStep = 2 * Math.acos(1 - tolerance / radius);
+    return _segmentCount(sweepAngle / maxStep);
+}
+
+/**
+ * Clamp a raw segment estimate to a sane integer range
+ *
+ * @private
+ * @param {number} estimate - Raw estimate
+ * @returns {number} Segment count between 1 and MAX_SEGMENTS
+ */
+function _segmentCount(estimate) {
+    if (!Number.isFinite(estimate)) {
+        return MAX_SEGMENTS;
+    }
+    return Math.min(MAX_SEGMENTS, Math.max(1, Math.ceil(estimate)));
+}
+
+/**
+ * Split path data into command letters and numbers
+ *
+ * Arc flags may be written without separators (e.g. "a1 1 0 00 1 1"),
+ * so they are read as single digits.
+ *
+ * @private
+ * @param {string} d - Path data string
+ * @returns {Array<string|number>} Tokens
+ * @throws {Error} If an unexpected character is found
+ */
+function _tokenize(d) {
+    const tokens = [];
+    const numberPattern = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/;
+    let index = 0;
+    let currentCommand = null;
+    let argumentIndex = 0;
+
+    while (index < d.length) {
+        const char = d[index];
+
+        if (/[\s,]/.test(char)) {
+            index++;
+            continue;
+        }
+
+        if (/[MmLlHhVvCcSsQqTtAaZz]/.test(char)) {
+            tokens.push(char);
+            currentCommand = char.toUpperCase();
+            argumentIndex = 0;
+            index++;
+            continue;
+        }
+
+        // Arc flags are the 4th and 5th of every 7 arc arguments
+        const arcArgument = argumentIndex % 7;
+        if (currentCommand === 'A' && (arcArgument === 3 || arcArgument === 4) && (char === '0' || char === '1')) {
+            tokens.push(char === '1' ? 1 : 0);
+            argumentIndex++;
+            index++;
+            continue;
+        }
+
+        const match = d.slice(index).match(numberPattern);
+        if (!match) {
+            throw new Error(`Invalid path data: unexpected "${char}" at position ${index}`);
+        }
+
+        tokens.push(parseFloat(match[0]));
+        argumentIndex++;
+        index += match[0].length;
+    }
+
+    return tokens;
+}
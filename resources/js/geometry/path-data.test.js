@@ -0,0 +1,168 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    parsePathData,
+    flattenPathData,
+    flattenCubic,
+    flattenArc,
+    arcSegmentCount
+} from './path-data.js';
+
+describe('path data utilities', () => {
+    describe('parsePathData', () => {
+        it('should parse absolute commands', () => {
+            expect(parsePathData('M 0 0 L 10 10 Z')).toEqual([
+                ['M', 0, 0],
+                ['L', 10, 10],
+                ['Z']
+            ]);
+        });
+
+        it('should convert relative commands to absolute', () => {
+            expect(parsePathData('m 1 1 l 2 0 l 0 2')).toEqual([
+                ['M', 1, 1],
+                ['L', 3, 1],
+                ['L', 3, 3]
+            ]);
+        });
+
+        it('should convert H and V to L', () => {
+            expect(parsePathData('M 1 1 H 5 V 4 h -1 v -1')).toEqual([
+                ['M', 1, 1],
+                ['L', 5, 1],
+                ['L', 5, 4],
+                ['L', 4, 4],
+                ['L', 4, 3]
+            ]);
+        });
+
+        it('should treat extra move coordinates as implicit lines', () => {
+            expect(parsePathData('M0 0 1 1 2 0')).toEqual([
+                ['M', 0, 0],
+                ['L', 1, 1],
+                ['L', 2, 0]
+            ]);
+        });
+
+        it('should reflect control points for S and T', () => {
+            const segments = parsePathData('M0 0 C 0 1 1 1 1 0 S 2 -1 2 0');
+            expect(segments[2]).toEqual(['C', 1, -1, 2, -1, 2, 0]);
+
+            const quadratic = parsePathData('M0 0 Q 1 1 2 0 T 4 0');
+            expect(quadratic[2]).toEqual(['Q', 3, -1, 4, 0]);
+        });
+
+        it('should parse compact number and arc flag syntax', () => {
+            expect(parsePathData('M.5.5L1-1')).toEqual([
+                ['M', 0.5, 0.5],
+                ['L', 1, -1]
+            ]);
+            expect(parsePathData('M0 0a1 1 0 011 1')).toEqual([
+                ['M', 0, 0],
+                ['A', 1, 1, 0, 0, 1, 1, 1]
+            ]);
+        });
+
+        it('should return to the subpath start after Z', () => {
+            const segments = parsePathData('M 1 1 L 2 2 Z l 1 0');
+            expect(segments[3]).toEqual(['L', 2, 1]);
+        });
+
+        it('should throw on malformed data', () => {
+            expect(() => parsePathData('M 0')).toThrow('Invalid path data');
+            expect(() => parsePathData('M 0 0 X 1')).toThrow('Invalid path data');
+            expect(() => parsePathData('M 0 0 Z 1 1')).toThrow('Invalid path data');
+        });
+    });
+
+    describe('flattenPathData', () => {
+        it('should return one polyline per subpath', () => {
+            const polylines = flattenPathData('M0 0 L1 0 M2 0 L3 0');
+            expect(polylines).toEqual([
+                [[0, 0], [1, 0]],
+                [[2, 0], [3, 0]]
+            ]);
+        });
+
+        it('should repeat the first point for closed subpaths', () => {
+            const [polyline] = flattenPathData('M0 0 L1 0 L1 1 Z');
+            expect(polyline[polyline.length - 1]).toEqual([0, 0]);
+        });
+
+        it('should drop lone move commands', () => {
+            expect(flattenPathData('M0 0 M1 1')).toEqual([]);
+        });
+
+        it('should keep curve points within tolerance', () => {
+            const tolerance = 0.001;
+            const [polyline] = flattenPathData('M 0 0 A 1 1 0 0 1 2 0', tolerance);
+
+            // Every vertex lies on the unit circle centered at (1, 0)
+            polyline.forEach(([x, y]) => {
+                expect(Math.hypot(x - 1, y)).toBeCloseTo(1, 9);
+            });
+
+            // And every segment midpoint is within tolerance of the circle
+            for (let i = 1; i < polyline.length; i++) {
+                const mx = (polyline[i][0] + polyline[i - 1][0]) / 2;
+                const my = (polyline[i][1] + polyline[i - 1][1]) / 2;
+                expect(1 - Math.hypot(mx - 1, my)).toBeLessThanOrEqual(tolerance);
+            }
+        });
+    });
+
+    describe('flattenCubic', () => {
+        it('should end exactly on the end point', () => {
+            const points = flattenCubic([0, 0], [0, 1], [1, 1], [1, 0], 0.01);
+            expect(points[points.length - 1]).toEqual([1, 0]);
+        });
+
+        it('should use a single segment for straight curves', () => {
+            expect(flattenCubic([0, 0], [1, 0], [2, 0], [3, 0], 0.01)).toHaveLength(1);
+        });
+
+        it('should use more segments for tighter tolerances', () => {
+            const coarse = flattenCubic([0, 0], [0, 1], [1, 1], [1, 0], 0.1);
+            const fine = flattenCubic([0, 0], [0, 1], [1, 1], [1, 0], 0.001);
+            expect(fine.length).toBeGreaterThan(coarse.length);
+        });
+    });
+
+    describe('flattenArc', () => {
+        it('should scale up radii that are too small', () => {
+            const points = flattenArc([0, 0], [0.1, 0.1, 0, 0, 1], [2, 0], 0.01);
+            points.forEach(([x, y]) => {
+                expect(Math.hypot(x - 1, y)).toBeCloseTo(1, 6);
+            });
+        });
+
+        it('should treat zero radii as a straight line', () => {
+            expect(flattenArc([0, 0], [0, 1, 0, 0, 1], [2, 0], 0.01)).toEqual([[2, 0]]);
+        });
+
+        it('should honour the sweep flag', () => {
+            const positive = flattenArc([0, 0], [1, 1, 0, 0, 1], [2, 0], 0.01);
+            const negative = flattenArc([0, 0], [1, 1, 0, 0, 0], [2, 0], 0.01);
+            const middle = (points) => points[Math.floor(points.length / 2)];
+            expect(Math.sign(middle(positive)[1])).toBe(-Math.sign(middle(negative)[1]));
+        });
+    });
+
+    describe('arcSegmentCount', () => {
+        it('should always return at least one segment', () => {
+            fc.assert(
+                fc.property(
+                    fc.double({ min: 0, max: 100, noNaN: true }),
+                    fc.double({ min: 0, max: Math.PI * 2, noNaN: true }),
+                    fc.double({ min: 1e-6, max: 1, noNaN: true }),
+                    (radius, sweep, tolerance) => {
+                        const count = arcSegmentCount(radius, sweep, tolerance);
+                        expect(count).toBeGreaterThanOrEqual(1);
+                        expect(Number.isInteger(count)).toBe(true);
+                    }
+                ),
+                { numRuns: 100 }
+            );
+        });
+    });
+});
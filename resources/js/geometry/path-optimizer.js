@@ -0,0 +1,312 @@
+/**
+ * Path Optimizer
+ *
+ * Reorders polylines to reduce pen-up travel on a plotter. Paths are first
+ * chained with a nearest-neighbour heuristic, using a grid of path ends so
+ * large drawings stay fast, and then improved with 2-opt moves, which
+ * reverse a run of paths when that shortens the travel.
+ *
+ * Functions accept any objects with a `points` array, so style and other
+ * metadata travel along with the geometry.
+ */
+
+import { distance } from './polyline.js';
+
+/**
+ * Where the pen is parked before plotting starts (top-left corner)
+ * @type {number[]}
+ */
+export const PEN_HOME = [0, 0];
+
+/**
+ * Maximum number of full 2-opt passes
+ */
+const MAX_TWO_OPT_PASSES = 8;
+
+/**
+ * 2-opt is quadratic per pass; above this many paths only nearest-neighbour runs
+ */
+const MAX_TWO_OPT_PATHS = 2000;
+
+/**
+ * Total pen-up travel for plotting paths in the given order
+ * Travel back to the start point after the last path is not included.
+ *
+ * @param {Array<{points: number[][]}>} paths - Paths in plotting order
+ * @param {number[]} [start=PEN_HOME] - Pen position before the first path
+ * @returns {number} Pen-up distance
+ */
+export function penUpDistance(paths, start = PEN_HOME) {
+    let total = 0;
+    let position = start;
+    paths.forEach(({ points }) => {
+        if (points.length === 0) {
+            return;
+        }
+        total += distance(position, points[0]);
+        position = points[points.length - 1];
+    });
+    return total;
+}
+
+/**
+ * Reverses the direction of a path
+ *
+ * @param {{points: number[][]}} path - Path to reverse
+ * @returns {{points: number[][]}} Copy of the path with its points reversed
+ */
+export function reversePath(path) {
+    return { ...path, points: [...path.points].reverse() };
+}
+
+/**
+ * Reorders paths to minimise pen-up travel
+ *
+ * @param {Array<{points: number[][]}>} paths - Paths in their original order
+ * @param {Object} [options] - Optimization options
+ * @param {boolean} [options.reverse=true] - Allow drawing paths in the opposite direction
+ * @param {number[]} [options.start=PEN_HOME] - Pen position before the first path
+ * @returns {Array<{points: number[][]}>} Reordered paths (reversed paths are copies)
+ */
+export function optimizePathOrder(paths, options = {}) {
+    const { reverse = true, start = PEN_HOME } = options;
+    const drawable = paths.filter(path => path.points.length > 0);
+
+    let ordered = _nearestNeighbour(drawable, start, reverse);
+
+    // 2-opt reverses runs of paths, which is only possible when paths may be reversed
+    if (reverse && ordered.length > 2 && ordered.length <= MAX_TWO_OPT_PATHS) {
+        ordered = _twoOpt(ordered, start);
+    }
+
+    // The heuristics are not guaranteed to beat an already good order
+    return penUpDistance(ordered, start) < penUpDistance(drawable, start) ? ordered : drawable;
+}
+
+/**
+ * Greedy ordering: always travel to the closest remaining path end
+ * Ties go to the earlier path, and to its start before its end.
+ *
+ * @private
+ * @param {Array<{points: number[][]}>} paths - Paths to order
+ * @param {number[]} start - Start position
+ * @param {boolean} reverse - Whether paths may be entered from their end
+ * @returns {Array<{points: number[][]}>} Ordered paths
+ */
+function _nearestNeighbour(paths, start, reverse) {
+    if (paths.length === 0) {
+        return [];
+    }
+
+    const index = new PathEndIndex(paths, reverse);
+    const ordered = [];
+    let position = start;
+
+    for (let count = 0; count < paths.length; count++) {
+        const end = index.nearest(position);
+        index.take(end.index);
+
+        const path = paths[end.index];
+        const next = end.reversed ? reversePath(path) : path;
+        ordered.push(next);
+        position = next.points[next.points.length - 1];
+    }
+
+    return ordered;
+}
+
+/**
+ * Improve an ordering with 2-opt moves
+ * Reversing the run i..j only changes the two travel moves at its ends.
+ * Runs are reversed in place on arrays of path indices and end points;
+ * the points of a path are only copied once, if it ends up reversed.
+ *
+ * @private
+ * @param {Array<{points: number[][]}>} paths - Ordered paths
+ * @param {number[]} start - Start position
+ * @returns {Array<{points: number[][]}>} Improved ordering
+ */
+function _twoOpt(paths, start) {
+    const n = paths.length;
+    const order = Int32Array.from(paths.keys());
+    const reversed = new Uint8Array(n);
+    const firstX = new Float64Array(n);
+    const firstY = new Float64Array(n);
+    const lastX = new Float64Array(n);
+    const lastY = new Float64Array(n);
+    paths.forEach(({ points }, index) => {
+        [firstX[index], firstY[index]] = points[0];
+        [lastX[index], lastY[index]] = points[points.length - 1];
+    });
+
+    const gap = (x1, y1, x2, y2) => Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2);
+
+    // Swap the entries at both ends towards the middle, turning each around
+    const reverseRun = (from, to) => {
+        for (; from <= to; from++, to--) {
+            const entry = [order[from], reversed[from], firstX[from], firstY[from], lastX[from], lastY[from]];
+            [order[from], reversed[from]] = [order[to], 1 - reversed[to]];
+            [firstX[from], firstY[from], lastX[from], lastY[from]] = [lastX[to], lastY[to], firstX[to], firstY[to]];
+            [order[to], reversed[to]] = [entry[0], 1 - entry[1]];
+            [firstX[to], firstY[to], lastX[to], lastY[to]] = [entry[4], entry[5], entry[2], entry[3]];
+        }
+    };
+
+    for (let pass = 0; pass < MAX_TWO_OPT_PASSES; pass++) {
+        let improved = false;
+
+        for (let i = 0; i < n - 1; i++) {
+            const beforeX = i === 0 ? start[0] : lastX[i - 1];
+            const beforeY = i === 0 ? start[1] : lastY[i - 1];
+            for (let j = i + 1; j < n; j++) {
+                let currentCost = gap(beforeX, beforeY, firstX[i], firstY[i]);
+                let newCost = gap(beforeX, beforeY, lastX[j], lastY[j]);
+                // Travel after the last path is free, so there is no closing move
+                if (j + 1 < n) {
+                    currentCost += gap(lastX[j], lastY[j], firstX[j + 1], firstY[j + 1]);
+                    newCost += gap(firstX[i], firstY[i], firstX[j + 1], firstY[j + 1]);
+                }
+
+                if (newCost < currentCost - 1e-12) {
+                    reverseRun(i, j);
+                    improved = true;
+                }
+            }
+        }
+
+        if (!improved) {
+            break;
+        }
+    }
+
+    return Array.from(order, (index, position) => (reversed[position] ? reversePath(paths[index]) : paths[index]));
+}
+
+/**
+ * Uniform grid of path ends for nearest-neighbour queries
+ * Cells are sized for about one end each, and a query searches rings of
+ * cells outwards until no closer end can remain. Taken paths are dropped
+ * from their cells as queries come across them.
+ *
+ * @private
+ */
+class PathEndIndex {
+    /**
+     * @param {Array<{points: number[][]}>} paths - Non-empty paths
+     * @param {boolean} reverse - Whether path ends are entry points too
+     */
+    constructor(paths, reverse) {
+        const ends = [];
+        paths.forEach(({ points }, index) => {
+            ends.push({ point: points[0], index, reversed: false });
+            if (reverse) {
+                ends.push({ point: points[points.length - 1], index, reversed: true });
+            }
+        });
+
+        let [minX, minY, maxX, maxY] = [Infinity, Infinity, -Infinity, -Infinity];
+        ends.forEach(({ point: [x, y] }) => {
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+        });
+        this.minX = minX;
+        this.minY = minY;
+        const width = maxX - minX;
+        const height = maxY - minY;
+
+        // Thin drawings are split along their long side instead
+        this.cellSize = Math.max(Math.sqrt((width * height) / ends.length), Math.max(width, height) / ends.length) || 1;
+        this.columns = Math.floor(width / this.cellSize) + 1;
+        this.rows = Math.floor(height / this.cellSize) + 1;
+        this.cells = Array.from({ length: this.columns * this.rows }, () => []);
+        this.taken = new Array(paths.length).fill(false);
+
+        ends.forEach(end => {
+            const [column, row] = this._cell(end.point);
+            this.cells[row * this.columns + column].push(end);
+        });
+    }
+
+    /**
+     * Mark a path as used so its ends are no longer found
+     *
+     * @param {number} index - Path index
+     */
+    take(index) {
+        this.taken[index] = true;
+    }
+
+    /**
+     * Closest end of a path not yet taken
+     *
+     * @param {number[]} position - Query point
+     * @returns {{point: number[], index: number, reversed: boolean}|null} Path end, or null when all are taken
+     */
+    nearest(position) {
+        const [column, row] = this._cell(position);
+        const lastRing = Math.max(column, this.columns - 1 - column, row, this.rows - 1 - row);
+        let best = null;
+        let bestDistance = Infinity;
+
+        // Ends in ring r are at least r - 1 cells away
+        for (let ring = 0; ring <= lastRing && !(bestDistance < (ring - 1) * this.cellSize); ring++) {
+            this._forEachRingCell(column, row, ring, cell => {
+                for (let k = cell.length - 1; k >= 0; k--) {
+                    const end = cell[k];
+                    if (this.taken[end.index]) {
+                        cell[k] = cell[cell.length - 1];
+                        cell.pop();
+                        continue;
+                    }
+                    const d = distance(position, end.point);
+                    if (d < bestDistance || (d === bestDistance && _precedes(end, best))) {
+                        best = end;
+                        bestDistance = d;
+                    }
+                }
+            });
+        }
+
+        return best;
+    }
+
+    _cell([x, y]) {
+        return [Math.floor((x - this.minX) / this.cellSize), Math.floor((y - this.minY) / this.cellSize)];
+    }
+
+    _forEachRingCell(column, row, ring, callback) {
+        const visit = (x, y) => {
+            if (x >= 0 && x < this.columns && y >= 0 && y < this.rows) {
+                callback(this.cells[y * this.columns + x]);
+            }
+        };
+        const fromX = Math.max(column - ring, 0);
+        const toX = Math.min(column + ring, this.columns - 1);
+        for (let x = fromX; x <= toX; x++) {
+            visit(x, row - ring);
+            if (ring > 0) {
+                visit(x, row + ring);
+            }
+        }
+        const fromY = Math.max(row - ring + 1, 0);
+        const toY = Math.min(row + ring - 1, this.rows - 1);
+        for (let y = fromY; y <= toY; y++) {
+            visit(column - ring, y);
+            visit(column + ring, y);
+        }
+    }
+}
+
+/**
+ * Whether a path end wins a distance tie: earlier paths first, starts before ends
+ *
+ * @private
+ * @param {{index: number, reversed: boolean}} end - Candidate end
+ * @param {{index: number, reversed: boolean}|null} other - Current best, if any
+ * @returns {boolean} True if the candidate comes first
+ */
+function _precedes(end, other) {
+    return !other || end.index < other.index || (end.index === other.index && !end.reversed);
+}
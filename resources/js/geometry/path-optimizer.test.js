@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { optimizePathOrder, penUpDistance, reversePath, PEN_HOME } from './path-optimizer.js';
+
+const line = (x1, y1, x2, y2, id) => ({ id, points: [[x1, y1], [x2, y2]] });
+
+const pathArbitrary = fc.tuple(
+    fc.integer({ min: 0, max: 100 }),
+    fc.integer({ min: 0, max: 100 }),
+    fc.integer({ min: 0, max: 100 }),
+    fc.integer({ min: 0, max: 100 })
+).map(([x1, y1, x2, y2]) => ({ points: [[x1, y1], [x2, y2]] }));
+
+describe('path optimizer', () => {
+    describe('penUpDistance', () => {
+        it('should sum travel from the pen home between paths', () => {
+            const paths = [line(1, 0, 2, 0), line(2, 3, 5, 3)];
+            expect(penUpDistance(paths)).toBe(1 + 3);
+            expect(penUpDistance(paths, [1, 0])).toBe(3);
+            expect(penUpDistance([])).toBe(0);
+        });
+    });
+
+    describe('reversePath', () => {
+        it('should reverse a copy and keep other properties', () => {
+            const path = { points: [[0, 0], [1, 1]], style: 'keep' };
+            const reversed = reversePath(path);
+            expect(reversed).toEqual({ points: [[1, 1], [0, 0]], style: 'keep' });
+            expect(path.points).toEqual([[0, 0], [1, 1]]);
+        });
+    });
+
+    describe('optimizePathOrder', () => {
+        it('should chain paths by proximity', () => {
+            const paths = [line(10, 0, 11, 0, 'far'), line(1, 0, 2, 0, 'near'), line(5, 0, 6, 0, 'middle')];
+            expect(optimizePathOrder(paths).map(path => path.id)).toEqual(['near', 'middle', 'far']);
+        });
+
+        it('should reverse paths when allowed', () => {
+            const paths = [line(0, 0, 5, 0, 'a'), line(10, 0, 6, 0, 'b')];
+
+            const reversed = optimizePathOrder(paths);
+            expect(reversed[1].points).toEqual([[6, 0], [10, 0]]);
+            expect(penUpDistance(reversed)).toBe(1);
+
+            const forward = optimizePathOrder(paths, { reverse: false });
+            expect(forward[1].points).toEqual([[10, 0], [6, 0]]);
+        });
+
+        it('should keep every path exactly once', () => {
+            fc.assert(
+                fc.property(fc.array(pathArbitrary, { maxLength: 40 }), fc.boolean(), (paths, reverse) => {
+                    const ordered = optimizePathOrder(paths, { reverse });
+                    const key = (path) => JSON.stringify([...path.points].sort());
+                    expect(ordered.map(key).sort()).toEqual(paths.map(key).sort());
+                })
+            );
+        });
+
+        it('should never increase pen-up travel', () => {
+            fc.assert(
+                fc.property(fc.array(pathArbitrary, { maxLength: 40 }), fc.boolean(), (paths, reverse) => {
+                    const ordered = optimizePathOrder(paths, { reverse });
+                    expect(penUpDistance(ordered)).toBeLessThanOrEqual(penUpDistance(paths) + 1e-9);
+                })
+            );
+        });
+
+        it('should always travel to the closest remaining path start without reversing', () => {
+            // Brute-force greedy ordering; ties go to the earlier path
+            const greedy = (paths) => {
+                const remaining = paths.map((path, index) => ({ path, index }));
+                const ordered = [];
+                let position = PEN_HOME;
+                while (remaining.length > 0) {
+                    let best = 0;
+                    remaining.forEach((entry, k) => {
+                        const d = Math.hypot(entry.path.points[0][0] - position[0], entry.path.points[0][1] - position[1]);
+                        const bestStart = remaining[best].path.points[0];
+                        const bestDistance = Math.hypot(bestStart[0] - position[0], bestStart[1] - position[1]);
+                        if (d < bestDistance || (d === bestDistance && entry.index < remaining[best].index)) {
+                            best = k;
+                        }
+                    });
+                    const [{ path }] = remaining.splice(best, 1);
+                    ordered.push(path);
+                    position = path.points[path.points.length - 1];
+                }
+                return ordered;
+            };
+
+            fc.assert(
+                fc.property(fc.array(pathArbitrary, { maxLength: 60 }), (paths) => {
+                    const expected = greedy(paths);
+                    const ordered = optimizePathOrder(paths, { reverse: false });
+                    expect(ordered).toEqual(penUpDistance(expected) < penUpDistance(paths) ? expected : paths);
+                })
+            );
+        });
+
+        it('should order thousands of paths and reverse runs without changing the input', () => {
+            const paths = Array.from({ length: 1500 }, (_, i) => line((i * 37) % 101, (i * 53) % 97, (i * 71) % 89, (i * 29) % 83, i));
+            const copy = JSON.parse(JSON.stringify(paths));
+
+            const ordered = optimizePathOrder(paths);
+            expect(ordered).toHaveLength(1500);
+            expect(new Set(ordered.map(path => path.id)).size).toBe(1500);
+            expect(penUpDistance(ordered)).toBeLessThan(penUpDistance(paths) / 10);
+            expect(paths).toEqual(copy);
+        });
+
+        it('should skip empty paths', () => {
+            expect(optimizePathOrder([{ points: [] }, line(0, 0, 1, 1)])).toHaveLength(1);
+        });
+
+        it('should start from the pen home by default', () => {
+            expect(PEN_HOME).toEqual([0, 0]);
+        });
+    });
+});
@@ -0,0 +1,90 @@
+/**
+ * Plot Statistics
+ *
+ * Estimates what plotting a drawing involves: how far the pen travels up
+ * and down, how often it is lifted and how long the plot takes with a given
+ * motion profile. The estimate plays the paths through the plot timeline,
+ * so it matches the preview's simulation.
+ *
+ * Distances and speeds are in viewBox units, which are inches for sketches
+ * made in the editor.
+ */
+
+import { buildPlotTimeline } from './plot-timeline.js';
+
+/**
+ * Rough motion profiles of common plotters, in inches and seconds
+ * @type {Object<string, import('./plot-timeline').MotionProfile>}
+ */
+export const MOTION_PRESETS = Object.freeze({
+    axidraw: Object.freeze({ drawSpeed: 2, travelSpeed: 6, acceleration: 15, penDelay: 0.2 }),
+    grbl: Object.freeze({ drawSpeed: 1, travelSpeed: 2, acceleration: 4, penDelay: 0.15 }),
+    hp7475a: Object.freeze({ drawSpeed: 10, travelSpeed: 15, acceleration: 400, penDelay: 0.05 })
+});
+
+/**
+ * @typedef {Object} PlotEstimate
+ * @property {number} pathCount - Number of paths drawn
+ * @property {number} penLifts - Number of times the pen is raised
+ * @property {number} penDownLength - Distance drawn
+ * @property {number} penUpLength - Distance travelled with the pen up
+ * @property {number} estimatedTime - Plotting time in seconds
+ */
+
+/**
+ * Estimate the plot of paths in the given order
+ *
+ * @param {Array<{points: number[][]}>} paths - Paths in plotting order
+ * @param {Partial<import('./plot-timeline').MotionProfile>} [profile] - Speeds, acceleration and pen delay
+ * @returns {PlotEstimate} Estimate
+ */
+export function computePlotStats(paths, profile = {}) {
+    const timeline = buildPlotTimeline(paths, profile);
+    let penDownLength = 0;
+    let penUpLength = 0;
+    timeline.steps.forEach(step => {
+        if (step.type === 'draw') {
+            penDownLength += step.length;
+        } else {
+            penUpLength += step.length;
+        }
+    });
+
+    return {
+        pathCount: timeline.pathCount,
+        penLifts: timeline.pathCount,
+        penDownLength,
+        penUpLength,
+        estimatedTime: timeline.duration
+    };
+}
+
+/**
+ * Find the preset a motion profile matches
+ *
+ * @param {import('./plot-timeline').MotionProfile} profile - Profile to look up
+ * @returns {string|null} Preset name, or null for a custom profile
+ */
+export function findMotionPreset(profile) {
+    const keys = ['drawSpeed', 'travelSpeed', 'acceleration', 'penDelay'];
+    const match = Object.entries(MOTION_PRESETS).find(([, preset]) =>
+        keys.every(key => preset[key] === profile[key])
+    );
+    return match ? match[0] : null;
+}
+
+/**
+ * Format a duration for display as m:ss, or h:mm:ss from an hour
+ *
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+export function formatDuration(seconds) {
+    const total = Math.floor(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0
+        ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+        : `${minutes}:${secs}`;
+}
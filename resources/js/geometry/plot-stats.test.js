@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { computePlotStats, findMotionPreset, formatDuration, MOTION_PRESETS } from './plot-stats.js';
+import { DEFAULT_MOTION_PROFILE, isValidMotionProfile } from './plot-timeline.js';
+import { penUpDistance } from './path-optimizer.js';
+import { polylineLength } from './polyline.js';
+
+describe('plot statistics', () => {
+    it('should measure distances, lifts and time', () => {
+        const stats = computePlotStats([
+            { points: [[3, 4], [6, 4]] },
+            { points: [[6, 4], [6, 8]] }
+        ], { drawSpeed: 1, travelSpeed: 5, acceleration: Infinity, penDelay: 0.25 });
+
+        expect(stats).toEqual({
+            pathCount: 2,
+            penLifts: 2,
+            penDownLength: 7,
+            penUpLength: 5,
+            estimatedTime: 1 + 0.5 + 3 + 0.5 + 4
+        });
+    });
+
+    it('should report nothing to do for an empty drawing', () => {
+        expect(computePlotStats([])).toEqual({
+            pathCount: 0, penLifts: 0, penDownLength: 0, penUpLength: 0, estimatedTime: 0
+        });
+    });
+
+    it('should take longer with slower acceleration', () => {
+        const paths = [{ points: [[0, 0], [10, 0]] }, { points: [[10, 1], [0, 1]] }];
+        const fast = computePlotStats(paths, { ...DEFAULT_MOTION_PROFILE, acceleration: 100 });
+        const slow = computePlotStats(paths, { ...DEFAULT_MOTION_PROFILE, acceleration: 1 });
+        expect(slow.estimatedTime).toBeGreaterThan(fast.estimatedTime);
+    });
+
+    it('should agree with the path lengths and pen-up distance', () => {
+        const point = fc.tuple(fc.integer({ min: 0, max: 50 }), fc.integer({ min: 0, max: 50 }));
+        fc.assert(
+            fc.property(fc.array(fc.array(point, { minLength: 1, maxLength: 5 }), { maxLength: 8 }), (polylines) => {
+                const paths = polylines.map(points => ({ points }));
+                const stats = computePlotStats(paths);
+                const drawn = paths.reduce((sum, { points }) => sum + polylineLength(points), 0);
+                return Math.abs(stats.penDownLength - drawn) < 1e-9 &&
+                    Math.abs(stats.penUpLength - penUpDistance(paths)) < 1e-9 &&
+                    stats.estimatedTime >= 0;
+            }),
+            { numRuns: 50 }
+        );
+    });
+
+    it('should offer valid presets and recognise them', () => {
+        Object.entries(MOTION_PRESETS).forEach(([name, preset]) => {
+            expect(isValidMotionProfile(preset)).toBe(true);
+            expect(findMotionPreset({ ...preset })).toBe(name);
+        });
+        expect(findMotionPreset({ ...MOTION_PRESETS.grbl, penDelay: 1 })).toBeNull();
+    });
+
+    it('should format durations in minutes and hours', () => {
+        expect(formatDuration(0)).toBe('0:00');
+        expect(formatDuration(65.7)).toBe('1:05');
+        expect(formatDuration(3 * 3600 + 62)).toBe('3:01:02');
+    });
+});
@@ -0,0 +1,228 @@
+/**
+ * Plot Timeline
+ *
+ * Turns polylines in plotting order into a timed sequence of pen moves:
+ * a pen-up travel to the start of each path followed by drawing it, with
+ * a pause whenever the pen is lowered or raised. The preview's plot
+ * simulation plays the timeline back.
+ *
+ * Distances and speeds are in viewBox units, which are inches for sketches
+ * made in the editor unless the project draws in millimetres; see
+ * scaleMotionProfile().
+ */
+
+import { distance, polylineLength } from './polyline.js';
+import { PEN_HOME } from './path-optimizer.js';
+
+/**
+ * @typedef {Object} MotionProfile
+ * @property {number} drawSpeed - Pen-down speed in units per second
+ * @property {number} travelSpeed - Pen-up speed in units per second
+ * @property {number} acceleration - Acceleration and deceleration in units per second²
+ * @property {number} penDelay - Seconds to lower or raise the pen
+ */
+
+/**
+ * Motion profile used when none is given
+ * @type {MotionProfile}
+ */
+export const DEFAULT_MOTION_PROFILE = Object.freeze({
+    drawSpeed: 1,
+    travelSpeed: 3,
+    acceleration: 10,
+    penDelay: 0.15
+});
+
+/**
+ * Validates a motion profile
+ * Speeds and acceleration must be positive and the pen delay at least 0.
+ *
+ * @param {any} profile - Object to validate
+ * @returns {boolean} True if valid
+ */
+export function isValidMotionProfile(profile) {
+    const positive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+    return Boolean(
+        profile &&
+        typeof profile === 'object' &&
+        positive(profile.drawSpeed) &&
+        positive(profile.travelSpeed) &&
+        positive(profile.acceleration) &&
+        typeof profile.penDelay === 'number' && Number.isFinite(profile.penDelay) && profile.penDelay >= 0
+    );
+}
+
+/**
+ * Converts a motion profile from inches to other length units
+ *
+ * @param {MotionProfile} profile - Speeds and acceleration in inches
+ * @param {number} unitsPerInch - Length units per inch (25.4 for millimetres)
+ * @returns {MotionProfile} Profile in the given units
+ */
+export function scaleMotionProfile(profile, unitsPerInch) {
+    return {
+        ...profile,
+        drawSpeed: profile.drawSpeed * unitsPerInch,
+        travelSpeed: profile.travelSpeed * unitsPerInch,
+        acceleration: profile.acceleration * unitsPerInch
+    };
+}
+
+/**
+ * Time to move a distance from standstill to standstill
+ * The pen accelerates to the target speed, cruises and decelerates; short
+ * moves never reach the target speed. Corners within a path are not
+ * slowed down for.
+ *
+ * @param {number} length - Distance to move
+ * @param {number} speed - Target speed
+ * @param {number} acceleration - Acceleration and deceleration
+ * @returns {number} Time in seconds
+ */
+export function moveDuration(length, speed, acceleration) {
+    const rampLength = (speed * speed) / acceleration;
+    if (length >= rampLength) {
+        return length / speed + speed / acceleration;
+    }
+    return 2 * Math.sqrt(length / acceleration);
+}
+
+/**
+ * @typedef {Object} TimelineStep
+ * @property {'travel'|'draw'} type - Pen-up move or drawn path
+ * @property {number} pathIndex - Path drawn by this step, or travelled to
+ * @property {number[][]} points - Points of the move
+ * @property {number} length - Length of the move
+ * @property {number} start - Time the step starts, in seconds
+ * @property {number} moveStart - Time the pen starts moving (after lowering it)
+ * @property {number} moveEnd - Time the pen stops moving
+ * @property {number} end - Time the step ends (after raising the pen)
+ * @property {number} speed - Target speed of the move
+ * @property {number} acceleration - Acceleration of the move
+ */
+
+/**
+ * @typedef {Object} PlotTimeline
+ * @property {TimelineStep[]} steps - Steps in order
+ * @property {number} duration - Total time in seconds
+ * @property {number} pathCount - Number of paths drawn
+ */
+
+/**
+ * Build the timeline for plotting paths in the given order
+ * Travel moves of zero length are left out.
+ *
+ * @param {Array<{points: number[][]}>} paths - Paths in plotting order
+ * @param {Partial<MotionProfile>} [profile] - Speeds and pen delay
+ * @param {number[]} [start=PEN_HOME] - Pen position before the first path
+ * @returns {PlotTimeline} Timeline
+ */
+export function buildPlotTimeline(paths, profile = {}, start = PEN_HOME) {
+    const { drawSpeed, travelSpeed, acceleration, penDelay } = { ...DEFAULT_MOTION_PROFILE, ...profile };
+    const steps = [];
+    let time = 0;
+    let position = start;
+    let pathCount = 0;
+
+    paths.forEach(({ points }, pathIndex) => {
+        if (points.length === 0) {
+            return;
+        }
+        pathCount++;
+
+        const travel = distance(position, points[0]);
+        if (travel > 0) {
+            const end = time + moveDuration(travel, travelSpeed, acceleration);
+            steps.push({
+                type: 'travel',
+                pathIndex,
+                points: [position, points[0]],
+                length: travel,
+                start: time,
+                moveStart: time,
+                moveEnd: end,
+                end,
+                speed: travelSpeed,
+                acceleration
+            });
+            time = end;
+        }
+
+        const length = polylineLength(points);
+        const moveStart = time + penDelay;
+        const moveEnd = moveStart + moveDuration(length, drawSpeed, acceleration);
+        const end = moveEnd + penDelay;
+        steps.push({
+            type: 'draw',
+            pathIndex,
+            points,
+            length,
+            start: time,
+            moveStart,
+            moveEnd,
+            end,
+            speed: drawSpeed,
+            acceleration
+        });
+        time = end;
+        position = points[points.length - 1];
+    });
+
+    return { steps, duration: time, pathCount };
+}
+
+/**
+ * Find the step in progress at a time
+ * Times before the start give the first step and times past the end give
+ * the last one.
+ *
+ * @param {PlotTimeline} timeline - Timeline to search
+ * @param {number} time - Time in seconds
+ * @returns {number} Step index, or -1 for an empty timeline
+ */
+export function timelineStepAt(timeline, time) {
+    const { steps } = timeline;
+    let low = 0;
+    let high = steps.length - 1;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (steps[mid].end <= time) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    return high;
+}
+
+/**
+ * Distance the pen has moved along a step at a time
+ *
+ * @param {TimelineStep} step - Step to measure
+ * @param {number} time - Time in seconds
+ * @returns {number} Distance between 0 and the step length
+ */
+export function stepProgress(step, time) {
+    const { length, speed, acceleration, moveStart, moveEnd } = step;
+    if (time <= moveStart) {
+        return 0;
+    }
+    if (time >= moveEnd) {
+        return length;
+    }
+
+    // Accelerate for half the move when the top speed is never reached
+    const peak = Math.min(speed, Math.sqrt(length * acceleration));
+    const rampTime = peak / acceleration;
+    const rampLength = (peak * rampTime) / 2;
+    const elapsed = time - moveStart;
+    const remaining = moveEnd - time;
+
+    if (elapsed < rampTime) {
+        return (acceleration * elapsed * elapsed) / 2;
+    }
+    if (remaining < rampTime) {
+        return length - (acceleration * remaining * remaining) / 2;
+    }
+    return rampLength + (elapsed - rampTime) * peak;
+}
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { buildPlotTimeline, timelineStepAt, stepProgress, moveDuration, isValidMotionProfile, scaleMotionProfile, DEFAULT_MOTION_PROFILE } from './plot-timeline.js';
+import { penUpDistance } from './path-optimizer.js';
+import { polylineLength } from './polyline.js';
+
+// Constant speeds keep the expected times simple
+const profile = { drawSpeed: 1, travelSpeed: 2, acceleration: Infinity, penDelay: 0.5 };
+
+describe('plot timeline', () => {
+    it('should alternate travel and drawing with pen delays', () => {
+        const timeline = buildPlotTimeline([
+            { points: [[2, 0], [4, 0]] },
+            { points: [[4, 0], [4, 3]] }
+        ], profile);
+
+        expect(timeline.steps.map(step => step.type)).toEqual(['travel', 'draw', 'draw']);
+        expect(timeline.steps.map(step => [step.start, step.moveStart, step.end])).toEqual([
+            [0, 0, 1],
+            [1, 1.5, 4],
+            [4, 4.5, 8]
+        ]);
+        expect(timeline.duration).toBe(8);
+        expect(timeline.pathCount).toBe(2);
+    });
+
+    it('should keep path indices for steps', () => {
+        const timeline = buildPlotTimeline([{ points: [[1, 0], [2, 0]] }, { points: [] }, { points: [[5, 0], [6, 0]] }]);
+        expect(timeline.steps.map(step => step.pathIndex)).toEqual([0, 0, 2, 2]);
+        expect(timeline.pathCount).toBe(2);
+    });
+
+    it('should find the step in progress', () => {
+        const timeline = buildPlotTimeline([{ points: [[2, 0], [4, 0]] }], profile);
+
+        expect(timelineStepAt(timeline, -1)).toBe(0);
+        expect(timelineStepAt(timeline, 0.5)).toBe(0);
+        expect(timelineStepAt(timeline, 1)).toBe(1);
+        expect(timelineStepAt(timeline, 100)).toBe(1);
+        expect(timelineStepAt(buildPlotTimeline([]), 0)).toBe(-1);
+    });
+
+    it('should measure progress along a step, holding still during pen delays', () => {
+        const [, draw] = buildPlotTimeline([{ points: [[2, 0], [4, 0]] }], profile).steps;
+
+        expect(stepProgress(draw, 1.2)).toBe(0);
+        expect(stepProgress(draw, 2.5)).toBe(1);
+        expect(stepProgress(draw, 3.8)).toBe(2);
+    });
+
+    it('should take as long as the distances, speeds and pen delays add up to', () => {
+        const point = fc.tuple(fc.integer({ min: 0, max: 50 }), fc.integer({ min: 0, max: 50 }));
+        fc.assert(
+            fc.property(fc.array(fc.array(point, { minLength: 1, maxLength: 5 }), { maxLength: 8 }), (polylines) => {
+                const paths = polylines.map(points => ({ points }));
+                const timeline = buildPlotTimeline(paths, profile);
+
+                const drawn = paths.reduce((sum, { points }) => sum + polylineLength(points), 0);
+                const expected = penUpDistance(paths) / 2 + drawn + paths.length * 2 * 0.5;
+                return Math.abs(timeline.duration - expected) < 1e-9;
+            }),
+            { numRuns: 50 }
+        );
+    });
+
+    it('should accelerate and decelerate on each move', () => {
+        // Reaches 2 units/s after 1 unit; 2 + 3 units at full speed
+        expect(moveDuration(5, 2, 2)).toBeCloseTo(3.5);
+        // Too short to reach full speed
+        expect(moveDuration(0.5, 2, 2)).toBeCloseTo(1);
+        expect(moveDuration(0, 2, 2)).toBe(0);
+    });
+
+    it('should follow the speed ramps when measuring progress', () => {
+        const [draw] = buildPlotTimeline([{ points: [[0, 0], [5, 0]] }], { drawSpeed: 2, acceleration: 2, penDelay: 0 }).steps;
+
+        expect(draw.end).toBeCloseTo(3.5);
+        expect(stepProgress(draw, 0.5)).toBeCloseTo(0.25);
+        expect(stepProgress(draw, 1)).toBeCloseTo(1);
+        expect(stepProgress(draw, 2)).toBeCloseTo(3);
+        expect(stepProgress(draw, 3)).toBeCloseTo(4.75);
+        expect(stepProgress(draw, 4)).toBe(5);
+    });
+
+    it('should take the same time in millimetres with a scaled profile', () => {
+        const timed = { ...profile, acceleration: 10 };
+        const paths = [{ points: [[1, 1], [3, 2], [3, 5]] }, { points: [[0, 4], [2, 4]] }];
+        const inMillimetres = paths.map(path => ({ points: path.points.map(([x, y]) => [x * 25.4, y * 25.4]) }));
+
+        expect(scaleMotionProfile(timed, 25.4)).toEqual({ drawSpeed: 25.4, travelSpeed: 50.8, acceleration: 254, penDelay: 0.5 });
+        expect(buildPlotTimeline(inMillimetres, scaleMotionProfile(timed, 25.4)).duration)
+            .toBeCloseTo(buildPlotTimeline(paths, timed).duration, 9);
+    });
+
+    it('should validate motion profiles', () => {
+        expect(isValidMotionProfile(DEFAULT_MOTION_PROFILE)).toBe(true);
+        expect(isValidMotionProfile({ ...DEFAULT_MOTION_PROFILE, penDelay: 0 })).toBe(true);
+        expect(isValidMotionProfile({ ...DEFAULT_MOTION_PROFILE, drawSpeed: 0 })).toBe(false);
+        expect(isValidMotionProfile({ ...DEFAULT_MOTION_PROFILE, acceleration: Infinity })).toBe(false);
+        expect(isValidMotionProfile({ drawSpeed: 1 })).toBe(false);
+        expect(isValidMotionProfile(null)).toBe(false);
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * Polygons
+ *
+ * Polygons are given as one or more rings, each a polyline that is closed
+ * implicitly (repeating the first point at the end is allowed but not
+ * required). Shapes with holes are several rings combined with the
+ * even-odd rule: a point is inside when it is inside an odd number of rings.
+ */
+
+import { distance } from './polyline.js';
+
+/**
+ * Signed area of a ring (shoelace formula)
+ * Positive for counter-clockwise rings in y-up coordinates, which is
+ * clockwise on screen where y points down.
+ *
+ * @param {number[][]} ring - Ring points
+ * @returns {number} Signed area
+ */
+export function polygonArea(ring) {
+    let area = 0;
+    for (let i = 0; i < ring.length; i++) {
+        const [x1, y1] = ring[i];
+        const [x2, y2] = ring[(i + 1) % ring.length];
+        area += x1 * y2 - x2 * y1;
+    }
+    return area / 2;
+}
+
+/**
+ * A ring without the repeated closing point
+ *
+ * @param {number[][]} ring - Ring points
+ * @returns {number[][]} Points with the last one dropped if it equals the first
+ */
+export function openRing(ring) {
+    return ring.length > 1 && distance(ring[0], ring[ring.length - 1]) === 0 ? ring.slice(0, -1) : ring;
+}
+
+/**
+ * A ring that repeats its first point at the end
+ *
+ * @param {number[][]} ring - Ring points
+ * @returns {number[][]} Closed polyline (a new array)
+ */
+export function closeRing(ring) {
+    const points = openRing(ring);
+    return points.length > 0 ? [...points, points[0]] : [];
+}
+
+/**
+ * Whether a point is inside a polygon
+ *
+ * @param {number[]} point - Point as [x, y]
+ * @param {number[][][]} rings - Polygon rings
+ * @param {'evenodd'|'nonzero'} [fillRule='evenodd'] - How overlapping rings combine
+ * @returns {boolean} True if inside an odd number of rings (even-odd), or
+ *   if the rings wind around the point (nonzero)
+ */
+export function pointInPolygon(point, rings, fillRule = 'evenodd') {
+    const [x, y] = point;
+    let winding = 0;
+
+    rings.forEach(ring => {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+            if ((yi > y) !== (yj > y) && x < xj + (y - yj) * (xi - xj) / (yi - yj)) {
+                winding += yi > yj ? 1 : -1;
+            }
+        }
+    });
+
+    return fillRule === 'nonzero' ? winding !== 0 : winding % 2 !== 0;
+}
+
+/**
+ * How many of the other rings contain each ring
+ * Even depths are outlines, odd depths are holes.
+ *
+ * @param {number[][][]} rings - Polygon rings that do not cross each other
+ * @returns {number[]} Depth of every ring
+ */
+export function ringDepths(rings) {
+    return rings.map((ring, index) => rings.filter((other, otherIndex) =>
+        otherIndex !== index && ring.length > 0 && pointInPolygon(ring[0], [other])
+    ).length);
+}
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { polygonArea, openRing, closeRing, pointInPolygon, ringDepths } from './polygon.js';
+
+const square = [[0, 0], [4, 0], [4, 4], [0, 4]];
+const hole = [[1, 1], [1, 3], [3, 3], [3, 1]];
+
+describe('polygon', () => {
+    it('should compute signed areas', () => {
+        expect(polygonArea(square)).toBe(16);
+        expect(polygonArea(closeRing(square))).toBe(16);
+        expect(polygonArea(hole)).toBe(-4);
+        expect(polygonArea([])).toBe(0);
+    });
+
+    it('should open and close rings', () => {
+        expect(closeRing(square)).toEqual([...square, [0, 0]]);
+        expect(closeRing(closeRing(square))).toEqual([...square, [0, 0]]);
+        expect(openRing(closeRing(square))).toEqual(square);
+        expect(closeRing([])).toEqual([]);
+    });
+
+    it('should test points with the even-odd rule', () => {
+        expect(pointInPolygon([0.5, 0.5], [square, hole])).toBe(true);
+        expect(pointInPolygon([2, 2], [square, hole])).toBe(false);
+        expect(pointInPolygon([5, 2], [square, hole])).toBe(false);
+    });
+
+    it('should test points with the nonzero rule', () => {
+        const sameWay = [[1, 1], [3, 1], [3, 3], [1, 3]];
+        const reversed = [...sameWay].reverse();
+        expect(pointInPolygon([2, 2], [square, sameWay], 'nonzero')).toBe(true);
+        expect(pointInPolygon([2, 2], [square, reversed], 'nonzero')).toBe(false);
+        expect(pointInPolygon([5, 2], [square, sameWay], 'nonzero')).toBe(false);
+    });
+
+    it('should nest rings by depth', () => {
+        const island = [[1.5, 1.5], [2.5, 1.5], [2.5, 2.5], [1.5, 2.5]];
+        expect(ringDepths([square, hole, island, [[5, 5], [6, 5], [6, 6]]])).toEqual([0, 1, 2, 0]);
+    });
+
+    it('should keep the area sign under reversal', () => {
+        const point = fc.tuple(fc.integer({ min: -50, max: 50 }), fc.integer({ min: -50, max: 50 }));
+        fc.assert(
+            fc.property(fc.array(point, { minLength: 3, maxLength: 8 }), (ring) => {
+                expect(polygonArea([...ring].reverse())).toBeCloseTo(-polygonArea(ring));
+            })
+        );
+    });
+});
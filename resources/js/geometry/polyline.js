@@ -0,0 +1,183 @@
+/**
+ * Polyline Utilities
+ *
+ * Small helpers shared by the plot processing stages. Points are [x, y]
+ * arrays and polylines are arrays of points; closed polylines repeat their
+ * first point at the end.
+ */
+
+/**
+ * Euclidean distance between two points
+ *
+ * @param {number[]} a - First point as [x, y]
+ * @param {number[]} b - Second point as [x, y]
+ * @returns {number} Distance
+ */
+export function distance(a, b) {
+    return Math.hypot(b[0] - a[0], b[1] - a[1]);
+}
+
+/**
+ * Total length of a polyline
+ *
+ * @param {number[][]} points - Polyline points
+ * @returns {number} Length
+ */
+export function polylineLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        length += distance(points[i - 1], points[i]);
+    }
+    return length;
+}
+
+/**
+ * Checks whether a polyline ends where it starts
+ *
+ * @param {number[][]} points - Polyline points
+ * @param {number} [tolerance=0] - Maximum gap between the end points
+ * @returns {boolean} True for closed polylines with at least three points
+ */
+export function isClosedPolyline(points, tolerance = 0) {
+    return points.length > 2 && distance(points[0], points[points.length - 1]) <= tolerance;
+}
+
+/**
+ * Removes consecutive duplicate points
+ *
+ * @param {number[][]} points - Polyline points
+ * @param {number} [tolerance=0] - Points closer than this to their predecessor are dropped
+ * @returns {number[][]} Cleaned polyline (a new array)
+ */
+export function dedupePoints(points, tolerance = 0) {
+    const result = [];
+    points.forEach(point => {
+        const previous = result[result.length - 1];
+        if (!previous || distance(previous, point) > tolerance) {
+            result.push(point);
+        }
+    });
+    return result;
+}
+
+/**
+ * The start of a polyline up to a given distance along it
+ *
+ * @param {number[][]} points - Polyline points
+ * @param {number} length - Distance along the polyline
+ * @returns {number[][]} Points of the partial polyline, ending at the
+ *   interpolated point (the whole polyline when length reaches its end)
+ */
+export function polylinePrefix(points, length) {
+    if (points.length === 0) {
+        return [];
+    }
+
+    const result = [points[0]];
+    let remaining = Math.max(0, length);
+    for (let i = 1; i < points.length; i++) {
+        const segment = distance(points[i - 1], points[i]);
+        if (remaining < segment) {
+            const t = remaining / segment;
+            const [x0, y0] = points[i - 1];
+            const [x1, y1] = points[i];
+            result.push([x0 + (x1 - x0) * t, y0 + (y1 - y0) * t]);
+            return result;
+        }
+        remaining -= segment;
+        result.push(points[i]);
+    }
+    return result;
+}
+
+/**
+ * Evenly spaced points along a polyline
+ * The length is split into equal steps as close to the spacing as
+ * possible, so both ends are kept.
+ *
+ * @param {number[][]} points - Polyline points
+ * @param {number} spacing - Target distance between points
+ * @returns {number[][]} Resampled polyline (a new array)
+ */
+export function resamplePolyline(points, spacing) {
+    const length = polylineLength(points);
+    if (points.length < 2 || length === 0) {
+        return points.slice();
+    }
+
+    const steps = Math.max(1, Math.round(length / spacing));
+    const result = [points[0]];
+    let index = 1;
+    let travelled = 0;
+    for (let step = 1; step < steps; step++) {
+        const target = length * step / steps;
+        while (index < points.length - 1 && travelled + distance(points[index - 1], points[index]) <= target) {
+            travelled += distance(points[index - 1], points[index]);
+            index++;
+        }
+        const t = (target - travelled) / distance(points[index - 1], points[index]);
+        const [x0, y0] = points[index - 1];
+        const [x1, y1] = points[index];
+        result.push([x0 + (x1 - x0) * t, y0 + (y1 - y0) * t]);
+    }
+    result.push(points[points.length - 1]);
+    return result;
+}
+
+/**
+ * Rounds the corners of a polyline (Chaikin corner cutting)
+ * Open polylines keep their end points; closed ones stay closed.
+ *
+ * @param {number[][]} points - Polyline points
+ * @param {number} [iterations=2] - Number of cutting passes
+ * @returns {number[][]} Smoothed polyline (a new array)
+ */
+export function smoothPolyline(points, iterations = 2) {
+    let result = points.slice();
+    if (points.length < 3) {
+        return result;
+    }
+
+    const closed = isClosedPolyline(points);
+    const cut = (a, b, t) => [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+    for (let pass = 0; pass < iterations; pass++) {
+        const next = closed ? [] : [result[0]];
+        for (let i = 1; i < result.length; i++) {
+            const a = result[i - 1];
+            const b = result[i];
+            next.push(cut(a, b, 0.25), cut(a, b, 0.75));
+        }
+        if (closed) {
+            next.push(next[0]);
+        } else {
+            next.push(result[result.length - 1]);
+        }
+        result = next;
+    }
+    return result;
+}
+
+/**
+ * Formats a coordinate for SVG output without float noise
+ *
+ * @param {number} value - Coordinate
+ * @param {number} [precision=4] - Maximum number of decimals
+ * @returns {string} Formatted number
+ */
+export function formatCoordinate(value, precision = 4) {
+    const rounded = Number(value.toFixed(precision));
+    return String(Object.is(rounded, -0) ? 0 : rounded);
+}
+
+/**
+ * Converts a polyline to SVG path data
+ *
+ * @param {number[][]} points - Polyline points
+ * @param {number} [precision=4] - Maximum number of decimals
+ * @returns {string} Path data using M and L commands
+ */
+export function polylineToPathData(points, precision = 4) {
+    return points
+        .map(([x, y], index) => `${index === 0 ? 'M' : 'L'}${formatCoordinate(x, precision)} ${formatCoordinate(y, precision)}`)
+        .join(' ');
+}
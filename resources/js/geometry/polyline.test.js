@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import {
+    distance,
+    polylineLength,
+    isClosedPolyline,
+    dedupePoints,
+    polylinePrefix,
+    resamplePolyline,
+    smoothPolyline,
+    formatCoordinate,
+    polylineToPathData
+} from './polyline.js';
+
+describe('polyline utilities', () => {
+    it('should measure distances and lengths', () => {
+        expect(distance([0, 0], [3, 4])).toBe(5);
+        expect(polylineLength([[0, 0], [3, 0], [3, 4]])).toBe(7);
+        expect(polylineLength([[1, 1]])).toBe(0);
+    });
+
+    it('should detect closed polylines', () => {
+        expect(isClosedPolyline([[0, 0], [1, 0], [1, 1], [0, 0]])).toBe(true);
+        expect(isClosedPolyline([[0, 0], [1, 0], [0.001, 0]], 0.01)).toBe(true);
+        expect(isClosedPolyline([[0, 0], [0, 0]])).toBe(false);
+        expect(isClosedPolyline([[0, 0], [1, 0], [1, 1]])).toBe(false);
+    });
+
+    it('should drop consecutive duplicate points', () => {
+        expect(dedupePoints([[0, 0], [0, 0], [1, 0], [1, 0.001], [2, 0]], 0.01))
+            .toEqual([[0, 0], [1, 0], [2, 0]]);
+    });
+
+    it('should format coordinates without float noise or negative zero', () => {
+        expect(formatCoordinate(0.1 + 0.2)).toBe('0.3');
+        expect(formatCoordinate(-0.00001)).toBe('0');
+        expect(formatCoordinate(1.23456789, 2)).toBe('1.23');
+    });
+
+    it('should convert polylines to path data', () => {
+        expect(polylineToPathData([[0, 0], [1.5, 2], [3, 0]])).toBe('M0 0 L1.5 2 L3 0');
+    });
+
+    it('should cut polylines at a distance along them', () => {
+        const points = [[0, 0], [3, 0], [3, 4]];
+        expect(polylinePrefix(points, 0)).toEqual([[0, 0], [0, 0]]);
+        expect(polylinePrefix(points, 1.5)).toEqual([[0, 0], [1.5, 0]]);
+        expect(polylinePrefix(points, 5)).toEqual([[0, 0], [3, 0], [3, 2]]);
+        expect(polylinePrefix(points, 10)).toEqual(points);
+        expect(polylinePrefix([], 1)).toEqual([]);
+    });
+
+    it('should resample polylines at an even spacing', () => {
+        expect(resamplePolyline([[0, 0], [3, 0], [3, 1]], 1)).toEqual([[0, 0], [1, 0], [2, 0], [3, 0], [3, 1]]);
+        expect(resamplePolyline([[0, 0], [0, 0], [2.2, 0]], 1)).toEqual([[0, 0], [1.1, 0], [2.2, 0]]);
+        expect(resamplePolyline([[0, 0], [1, 0]], 5)).toEqual([[0, 0], [1, 0]]);
+        expect(resamplePolyline([[1, 1]], 1)).toEqual([[1, 1]]);
+    });
+
+    it('should smooth polylines keeping open ends and closed rings', () => {
+        expect(smoothPolyline([[0, 0], [4, 0], [4, 4]], 1)).toEqual([[0, 0], [1, 0], [3, 0], [4, 1], [4, 3], [4, 4]]);
+
+        const smoothed = smoothPolyline([[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]], 2);
+        expect(isClosedPolyline(smoothed)).toBe(true);
+        expect(smoothed).toHaveLength(17);
+        expect(smoothPolyline([[0, 0], [1, 1]])).toEqual([[0, 0], [1, 1]]);
+    });
+});
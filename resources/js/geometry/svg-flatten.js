@@ -0,0 +1,288 @@
+/**
+ * SVG Flattening
+ *
+ * Converts an SVG element tree into polylines in root coordinates: shapes are
+ * outlined, curves are subdivided and transforms are applied. This is the
+ * first step of every plot processing stage, which all work on polylines.
+ */
+
+import { flattenPathData, DEFAULT_TOLERANCE } from './path-data.js';
+import { applyMatrix, matrixScale, multiplyMatrices, parseTransform, IDENTITY_MATRIX } from './transform.js';
+import { dedupePoints } from './polyline.js';
+import { LAYER_ATTRIBUTE } from '../generators/sketch-layers.js';
+
+/**
+ * @typedef {Object} StrokeStyle
+ * @property {string} stroke - Stroke color ('none' if the shape has no stroke)
+ * @property {number|null} strokeWidth - Stroke width in root units, null if unset
+ * @property {string|null} strokeLinecap - Line cap, null if unset
+ * @property {string|null} strokeLinejoin - Line join, null if unset
+ *
+ * @typedef {Object} FlatPath
+ * @property {number[][]} points - Polyline points in root coordinates
+ * @property {StrokeStyle} style - Stroke style of the source shape
+ * @property {string|null} layer - Name of the enclosing layer, null outside layers
+ * @property {number} shape - Index of the source shape in document order, shared by all of its outlines
+ * @property {'nonzero'|'evenodd'|null} fillRule - Fill rule of the source shape, null if it is not filled
+ *
+ * @typedef {Object} UnflattenedElement
+ * @property {Element} element - Element that could not be converted (e.g. text)
+ * @property {import('./transform').Matrix} matrix - Transform from the element to the root
+ * @property {string|null} layer - Name of the enclosing layer, null outside layers
+ *
+ * @typedef {Object} FlattenResult
+ * @property {FlatPath[]} paths - Polylines in document order
+ * @property {UnflattenedElement[]} unflattened - Visible elements kept as they are
+ */
+
+/**
+ * Elements whose content is never drawn directly
+ */
+export const NON_RENDERED_ELEMENTS = new Set([
+    'defs', 'clipPath', 'mask', 'marker', 'pattern', 'linearGradient',
+    'radialGradient', 'symbol', 'style', 'script', 'title', 'desc', 'metadata'
+]);
+
+/**
+ * Visible elements that have no polyline outline
+ */
+const UNFLATTENABLE_ELEMENTS = new Set(['text', 'image', 'use', 'foreignObject']);
+
+/**
+ * Inherited stroke properties that are carried over to flattened paths
+ */
+const STROKE_PROPERTIES = ['stroke', 'stroke-width', 'stroke-linecap', 'stroke-linejoin'];
+
+/**
+ * Inherited fill properties; shapes are filled black unless they say otherwise
+ */
+const FILL_PROPERTIES = ['fill', 'fill-rule'];
+
+/**
+ * Flattens an SVG element and its descendants into polylines
+ *
+ * @param {Element} root - Root element (usually the <svg> element)
+ * @param {Object} [options] - Flattening options
+ * @param {number} [options.tolerance=DEFAULT_TOLERANCE] - Maximum curve deviation in root units
+ * @returns {FlattenResult} Flattened paths and elements that were left as they are
+ */
+export function flattenSVG(root, options = {}) {
+    const { tolerance = DEFAULT_TOLERANCE } = options;
+    const paths = [];
+    const unflattened = [];
+    let shapes = 0;
+
+    walkRendered(root, (element, parent) => {
+        const name = element.localName;
+        const matrix = element === root
+            ? parent.matrix
+            : multiplyMatrices(parent.matrix, parseTransform(element.getAttribute('transform')));
+        const scale = matrixScale(matrix);
+
+        // Stroke widths are stored in root units so they survive flattening
+        const style = { ...parent.style };
+        [...STROKE_PROPERTIES, ...FILL_PROPERTIES].forEach(property => {
+            const value = readProperty(element, property);
+            if (value !== null) {
+                style[property] = property === 'stroke-width' ? parseFloat(value) * scale : value;
+            }
+        });
+
+        const layer = element.getAttribute(LAYER_ATTRIBUTE) ?? parent.layer;
+
+        if (UNFLATTENABLE_ELEMENTS.has(name)) {
+            unflattened.push({ element, matrix, layer });
+            return;
+        }
+
+        // Flatten in local units with a tolerance that maps to root units
+        const outline = shapeOutline(element, tolerance / scale);
+        if (outline) {
+            const shape = shapes++;
+            const fillRule = _isFilled(name, style) ? (style['fill-rule'] === 'evenodd' ? 'evenodd' : 'nonzero') : null;
+            outline.forEach(points => {
+                const transformed = dedupePoints(points.map(point => applyMatrix(matrix, point)));
+                if (transformed.length > 1) {
+                    paths.push({ points: transformed, style: _strokeStyle(style), layer, shape, fillRule });
+                }
+            });
+            return;
+        }
+
+        return { matrix, style, layer };
+    }, { matrix: { ...IDENTITY_MATRIX }, style: {}, layer: null });
+
+    return { paths, unflattened };
+}
+
+/**
+ * Visit the rendered elements of a tree in document order
+ *
+ * Non-rendered elements (defs, clip paths, gradients...) and elements
+ * hidden with display or visibility are skipped with their descendants.
+ * The visitor is called with each element and the value returned for its
+ * parent, and its return value is passed on to the element's children;
+ * returning undefined skips the children.
+ *
+ * @param {Element} root - Root element (usually the <svg> element)
+ * @param {function(Element, *): *} visit - Called for each rendered element
+ * @param {*} context - Value passed along with the root
+ */
+export function walkRendered(root, visit, context) {
+    const walk = (element, parentContext) => {
+        if (NON_RENDERED_ELEMENTS.has(element.localName)) {
+            return;
+        }
+        if (readProperty(element, 'display') === 'none' || readProperty(element, 'visibility') === 'hidden') {
+            return;
+        }
+
+        const childContext = visit(element, parentContext);
+        if (childContext !== undefined) {
+            Array.from(element.children).forEach(child => walk(child, childContext));
+        }
+    };
+
+    walk(root, context);
+}
+
+/**
+ * Presentation property of an element, the style attribute taking precedence
+ *
+ * @param {Element} element - Element to read
+ * @param {string} name - Property name
+ * @returns {string|null} Value, or null if unset
+ */
+export function readProperty(element, name) {
+    const declarations = (element.getAttribute('style') || '').split(';');
+    for (let i = declarations.length - 1; i >= 0; i--) {
+        const separator = declarations[i].indexOf(':');
+        if (separator !== -1 && declarations[i].slice(0, separator).trim() === name) {
+            const value = declarations[i].slice(separator + 1).trim();
+            if (value) {
+                return value;
+            }
+        }
+    }
+
+    const value = element.getAttribute(name);
+    return value !== null && value.trim() !== '' ? value.trim() : null;
+}
+
+/**
+ * Outline of a basic shape as polylines in its own coordinates
+ *
+ * @param {Element} element - Shape element
+ * @param {number} [tolerance=DEFAULT_TOLERANCE] - Maximum curve deviation
+ * @returns {number[][][]|null} Polylines, or null if the element is not a shape
+ */
+export function shapeOutline(element, tolerance = DEFAULT_TOLERANCE) {
+    const number = (attribute) => {
+        const value = parseFloat(element.getAttribute(attribute));
+        return Number.isNaN(value) ? 0 : value;
+    };
+
+    switch (element.localName) {
+        case 'path':
+            // Browsers render malformed path data as empty, so do the same
+            try {
+                return flattenPathData(element.getAttribute('d') || '', tolerance);
+            } catch (error) {
+                return [];
+            }
+
+        case 'line':
+            return [[[number('x1'), number('y1')], [number('x2'), number('y2')]]];
+
+        case 'polyline':
+        case 'polygon': {
+            const values = (element.getAttribute('points') || '')
+                .split(/[\s,]+/)
+                .filter(value => value.length > 0)
+                .map(Number);
+            const points = [];
+            for (let i = 0; i + 1 < values.length; i += 2) {
+                points.push([values[i], values[i + 1]]);
+            }
+            if (element.localName === 'polygon' && points.length > 2) {
+                points.push(points[0]);
+            }
+            return [points];
+        }
+
+        case 'rect': {
+            const x = number('x');
+            const y = number('y');
+            const width = number('width');
+            const height = number('height');
+            if (width <= 0 || height <= 0) {
+                return [];
+            }
+
+            // A missing rx or ry takes the value of the other one
+            let rx = element.hasAttribute('rx') ? number('rx') : number('ry');
+            let ry = element.hasAttribute('ry') ? number('ry') : number('rx');
+            rx = Math.min(Math.max(rx, 0), width / 2);
+            ry = Math.min(Math.max(ry, 0), height / 2);
+
+            if (rx === 0 || ry === 0) {
+                return [[[x, y], [x + width, y], [x + width, y + height], [x, y + height], [x, y]]];
+            }
+            return flattenPathData(
+                `M ${x + rx} ${y} H ${x + width - rx} A ${rx} ${ry} 0 0 1 ${x + width} ${y + ry} ` +
+                `V ${y + height - ry} A ${rx} ${ry} 0 0 1 ${x + width - rx} ${y + height} ` +
+                `H ${x + rx} A ${rx} ${ry} 0 0 1 ${x} ${y + height - ry} ` +
+                `V ${y + ry} A ${rx} ${ry} 0 0 1 ${x + rx} ${y} Z`,
+                tolerance
+            );
+        }
+
+        case 'circle':
+        case 'ellipse': {
+            const cx = number('cx');
+            const cy = number('cy');
+            const rx = element.localName === 'circle' ? number('r') : number('rx');
+            const ry = element.localName === 'circle' ? rx : number('ry');
+            if (rx <= 0 || ry <= 0) {
+                return [];
+            }
+            return flattenPathData(
+                `M ${cx + rx} ${cy} A ${rx} ${ry} 0 1 1 ${cx - rx} ${cy} A ${rx} ${ry} 0 1 1 ${cx + rx} ${cy} Z`,
+                tolerance
+            );
+        }
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Whether a shape paints its inside
+ *
+ * @private
+ * @param {string} name - Element name
+ * @param {Object<string, *>} style - Inherited property values
+ * @returns {boolean} True if filled
+ */
+function _isFilled(name, style) {
+    const fill = style.fill ?? '#000000';
+    return name !== 'line' && fill !== 'none' && fill !== 'transparent';
+}
+
+/**
+ * Convert collected properties into a StrokeStyle
+ *
+ * @private
+ * @param {Object<string, *>} style - Inherited property values
+ * @returns {StrokeStyle} Stroke style
+ */
+function _strokeStyle(style) {
+    const width = style['stroke-width'];
+    return {
+        stroke: style.stroke || 'none',
+        strokeWidth: Number.isFinite(width) ? width : null,
+        strokeLinecap: style['stroke-linecap'] || null,
+        strokeLinejoin: style['stroke-linejoin'] || null
+    };
+}
@@ -0,0 +1,153 @@
+import { describe, it, expect } from 'vitest';
+import { flattenSVG, readProperty, shapeOutline, walkRendered } from './svg-flatten.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+function parse(content) {
+    const markup = `<svg xmlns="${SVG_NS}" viewBox="0 0 10 10">${content}</svg>`;
+    return new DOMParser().parseFromString(markup, 'image/svg+xml').documentElement;
+}
+
+function element(name, attributes) {
+    const node = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => node.setAttribute(key, value));
+    return node;
+}
+
+describe('svg flatten', () => {
+    describe('shapeOutline', () => {
+        it('should outline lines, polylines and polygons', () => {
+            expect(shapeOutline(element('line', { x1: 0, y1: 1, x2: 2, y2: 3 }))).toEqual([[[0, 1], [2, 3]]]);
+            expect(shapeOutline(element('polyline', { points: '0,0 1,0 1,1' }))).toEqual([[[0, 0], [1, 0], [1, 1]]]);
+            expect(shapeOutline(element('polygon', { points: '0,0 1,0 1,1' }))).toEqual([[[0, 0], [1, 0], [1, 1], [0, 0]]]);
+        });
+
+        it('should outline rects as closed polylines', () => {
+            expect(shapeOutline(element('rect', { x: 1, y: 2, width: 3, height: 4 })))
+                .toEqual([[[1, 2], [4, 2], [4, 6], [1, 6], [1, 2]]]);
+        });
+
+        it('should round rect corners', () => {
+            const [outline] = shapeOutline(element('rect', { x: 0, y: 0, width: 4, height: 4, rx: 1 }));
+            expect(outline.length).toBeGreaterThan(5);
+            outline.forEach(([x, y]) => {
+                expect(x).toBeGreaterThanOrEqual(-1e-9);
+                expect(y).toBeLessThanOrEqual(4 + 1e-9);
+            });
+        });
+
+        it('should outline circles within tolerance', () => {
+            const [outline] = shapeOutline(element('circle', { cx: 5, cy: 5, r: 2 }), 0.001);
+            outline.forEach(([x, y]) => {
+                expect(Math.hypot(x - 5, y - 5)).toBeCloseTo(2, 5);
+            });
+            expect(outline[0]).toEqual(outline[outline.length - 1]);
+        });
+
+        it('should return null for containers and ignore degenerate shapes', () => {
+            expect(shapeOutline(element('g', {}))).toBeNull();
+            expect(shapeOutline(element('circle', { r: 0 }))).toEqual([]);
+            expect(shapeOutline(element('path', { d: 'M 0 0 L' }))).toEqual([]);
+        });
+    });
+
+    describe('flattenSVG', () => {
+        it('should apply nested transforms', () => {
+            const root = parse('<g transform="translate(5, 0)"><line x1="0" y1="0" x2="1" y2="0" transform="scale(2)"/></g>');
+            const { paths } = flattenSVG(root);
+            expect(paths[0].points).toEqual([[5, 0], [7, 0]]);
+        });
+
+        it('should keep document order', () => {
+            const root = parse('<line x1="0" y1="0" x2="1" y2="0"/><g><rect width="1" height="1"/></g><circle r="1"/>');
+            const { paths } = flattenSVG(root);
+            expect(paths).toHaveLength(3);
+            expect(paths[0].points).toHaveLength(2);
+            expect(paths[1].points).toHaveLength(5);
+        });
+
+        it('should inherit stroke styles and scale stroke widths', () => {
+            const root = parse(
+                '<g stroke="#f00" stroke-width="0.1" transform="scale(2)">' +
+                '<line x1="0" y1="0" x2="1" y2="0" style="stroke-linecap: round"/></g>'
+            );
+            const [path] = flattenSVG(root).paths;
+            expect(path.style).toEqual({
+                stroke: '#f00',
+                strokeWidth: 0.2,
+                strokeLinecap: 'round',
+                strokeLinejoin: null
+            });
+        });
+
+        it('should skip hidden and non-rendered elements', () => {
+            const root = parse(
+                '<defs><circle r="1"/></defs>' +
+                '<line x1="0" y1="0" x2="1" y2="0" display="none"/>' +
+                '<g style="visibility: hidden"><line x1="0" y1="0" x2="1" y2="0"/></g>'
+            );
+            expect(flattenSVG(root).paths).toEqual([]);
+        });
+
+        it('should report text as unflattened with its transform', () => {
+            const root = parse('<g transform="translate(1, 2)"><text x="0" y="0">Hi</text></g>');
+            const { paths, unflattened } = flattenSVG(root);
+            expect(paths).toEqual([]);
+            expect(unflattened).toHaveLength(1);
+            expect(unflattened[0].element.localName).toBe('text');
+            expect(unflattened[0].matrix).toEqual({ a: 1, b: 0, c: 0, d: 1, e: 1, f: 2 });
+        });
+
+        it('should record the enclosing layer', () => {
+            const root = parse(
+                '<line x1="0" y1="0" x2="1" y2="0"/>' +
+                '<g data-layer="1-black"><g><line x1="0" y1="0" x2="1" y2="0"/></g><text>Hi</text></g>'
+            );
+            const { paths, unflattened } = flattenSVG(root);
+            expect(paths.map(path => path.layer)).toEqual([null, '1-black']);
+            expect(unflattened[0].layer).toBe('1-black');
+        });
+
+        it('should record the fill of filled shapes', () => {
+            const root = parse(
+                '<line x1="0" y1="0" x2="1" y2="0"/>' +
+                '<path d="M 0 0 H 4 V 4 Z M 1 1 H 2 V 2 Z" fill-rule="evenodd"/>' +
+                '<g style="fill: none"><rect width="1" height="1"/><circle r="1" fill="#f00"/></g>'
+            );
+            const { paths } = flattenSVG(root);
+            expect(paths.map(path => path.fillRule)).toEqual([null, 'evenodd', 'evenodd', null, 'nonzero']);
+            expect(paths.map(path => path.shape)).toEqual([0, 1, 1, 2, 3]);
+        });
+
+        it('should drop zero-length outlines', () => {
+            const root = parse('<line x1="1" y1="1" x2="1" y2="1"/>');
+            expect(flattenSVG(root).paths).toEqual([]);
+        });
+    });
+
+    describe('readProperty', () => {
+        it('should let the last style declaration override the attribute', () => {
+            const shape = element('rect', { fill: ' red ', stroke: '', style: 'fill: blue; fill: green ; stroke:;' });
+            expect(readProperty(shape, 'fill')).toBe('green');
+            expect(readProperty(shape, 'stroke')).toBeNull();
+            expect(readProperty(element('rect', { fill: ' red ' }), 'fill')).toBe('red');
+        });
+    });
+
+    describe('walkRendered', () => {
+        it('should skip hidden and non-rendered subtrees and pass context to children', () => {
+            const root = parse(
+                '<defs><rect id="d"/></defs>' +
+                '<g id="g"><rect id="a"/><g style="display: none"><rect id="h"/></g></g>' +
+                '<circle id="c" visibility="hidden"/><text id="t"><tspan id="s"/></text>'
+            );
+            const visited = [];
+            walkRendered(root, (node, depth) => {
+                visited.push(`${node.getAttribute('id') || node.localName}:${depth}`);
+                return node.localName === 'text' ? undefined : depth + 1;
+            }, 0);
+
+            expect(visited).toEqual(['svg:0', 'g:1', 'a:2', 't:1']);
+        });
+    });
+});
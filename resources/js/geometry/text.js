@@ -0,0 +1,106 @@
+/**
+ * Text Layout
+ *
+ * Lays out text in a single-stroke Hershey font as polylines, so captions
+ * and signatures plot as one pen line per stroke instead of as outlined
+ * letters. Lines are separated by newlines and aligned on their own.
+ */
+
+import { BASELINE, CAP_TOP, DEFAULT_FONT, fontGlyph } from './hershey-fonts.js';
+
+/**
+ * Default distance between baselines, as a multiple of the text size
+ * @type {number}
+ */
+export const DEFAULT_LINE_HEIGHT = 1.5;
+
+/**
+ * Share of a line's width that lies left of the anchor, by alignment
+ */
+const ALIGN_OFFSETS = { left: 0, center: 0.5, right: 1 };
+
+/**
+ * Spaces a tab stands for
+ */
+const TAB = '    ';
+
+/**
+ * Lay out text as polylines
+ *
+ * The anchor is on the baseline of the first line: its left end, middle or
+ * right end depending on the alignment. Later lines go down by lineHeight
+ * times the size. Characters the font lacks are drawn as question marks.
+ *
+ * @param {string} text - Text to lay out; newlines start new lines
+ * @param {Object} [options] - Layout options
+ * @param {string} [options.font=DEFAULT_FONT] - Font name, see HERSHEY_FONTS
+ * @param {boolean} [options.bold=false] - Draw every stroke twice for a bolder line
+ * @param {boolean} [options.oblique=false] - Slant the letters
+ * @param {boolean} [options.mono=false] - Give every character the same width
+ * @param {number} [options.size=1] - Height of capital letters
+ * @param {number} [options.x=0] - Anchor x
+ * @param {number} [options.y=0] - Anchor y, the first baseline
+ * @param {'left'|'center'|'right'} [options.align='left'] - Alignment of each line to the anchor
+ * @param {number} [options.lineHeight=DEFAULT_LINE_HEIGHT] - Baseline distance as a multiple of the size
+ * @returns {number[][][]} Polylines in the units of the size and anchor
+ * @throws {Error} If an option is invalid or the font does not exist
+ */
+export function textPolylines(text, options = {}) {
+    const {
+        font = DEFAULT_FONT,
+        bold = false,
+        oblique = false,
+        mono = false,
+        size = 1,
+        x = 0,
+        y = 0,
+        align = 'left',
+        lineHeight = DEFAULT_LINE_HEIGHT
+    } = options;
+
+    if (!_isPositive(size)) {
+        throw new Error('Invalid size: must be a positive number');
+    }
+    if (!_isPositive(lineHeight)) {
+        throw new Error('Invalid line height: must be a positive number');
+    }
+    if (!Number.isFinite(x) || !Number.isFinite(y)) {
+        throw new Error('Invalid position: x and y must be numbers');
+    }
+    if (!Object.hasOwn(ALIGN_OFFSETS, align)) {
+        throw new Error(`Invalid align: ${align} (expected left, center or right)`);
+    }
+
+    const scale = size / (BASELINE - CAP_TOP);
+    const polylines = [];
+
+    String(text).split(/\r?\n/).forEach((line, index) => {
+        const glyphs = Array.from(line.replace(/\t/g, TAB)).map(character => fontGlyph(font, character, { bold, oblique, mono }));
+        const width = glyphs.reduce((sum, glyph) => sum + glyph.right - glyph.left, 0) * scale;
+        const baseline = y + index * lineHeight * size;
+        let pen = x - width * ALIGN_OFFSETS[align];
+
+        glyphs.forEach(glyph => {
+            glyph.strokes.forEach(points => {
+                polylines.push(points.map(([glyphX, glyphY]) => [
+                    pen + (glyphX - glyph.left) * scale,
+                    baseline + (glyphY - BASELINE) * scale
+                ]));
+            });
+            pen += (glyph.right - glyph.left) * scale;
+        });
+    });
+
+    return polylines;
+}
+
+/**
+ * Whether a value is a finite number above zero
+ *
+ * @private
+ * @param {*} value - Value to check
+ * @returns {boolean} True if positive
+ */
+function _isPositive(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { textPolylines } from './text.js';
+import { fontGlyph } from './hershey-fonts.js';
+
+const bounds = (polylines) => {
+    const xs = polylines.flat().map(([x]) => x);
+    const ys = polylines.flat().map(([, y]) => y);
+    return { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+};
+
+describe('text layout', () => {
+    describe('textPolylines', () => {
+        it('should scale capitals to the size and stand them on the anchor', () => {
+            const polylines = textPolylines('H', { size: 2, x: 1, y: 5 });
+            const box = bounds(polylines);
+
+            expect(polylines).toHaveLength(3);
+            expect(box.minY).toBeCloseTo(3);
+            expect(box.maxY).toBeCloseTo(5);
+            // The left side bearing comes before the first stroke
+            const glyph = fontGlyph('simplex', 'H');
+            expect(box.minX).toBeCloseTo(1 + (-7 - glyph.left) * 2 / 21);
+        });
+
+        it('should advance the pen by each glyph width', () => {
+            const glyph = fontGlyph('simplex', 'I');
+            const [first, second] = textPolylines('II', { size: 21 });
+            expect(second[0][0] - first[0][0]).toBe(glyph.right - glyph.left);
+        });
+
+        it('should align each line to the anchor', () => {
+            const left = bounds(textPolylines('Plot', { size: 1, x: 5 }));
+            const right = bounds(textPolylines('Plot', { size: 1, x: 5, align: 'right' }));
+            const center = bounds(textPolylines('Plot', { size: 1, x: 5, align: 'center' }));
+
+            expect(left.minX).toBeGreaterThan(5);
+            expect(right.maxX).toBeLessThan(5);
+            // Centered text is shifted half as far as right-aligned text
+            expect(center.minX - left.minX).toBeCloseTo((right.minX - left.minX) / 2);
+            expect(right.maxX - right.minX).toBeCloseTo(left.maxX - left.minX);
+        });
+
+        it('should break lines at newlines', () => {
+            const polylines = textPolylines('I\nI\r\nI', { size: 1, y: 2, lineHeight: 2 });
+            expect(polylines.map(points => points[1][1])).toEqual([2, 4, 6]);
+            expect(new Set(polylines.map(points => points[0][0])).size).toBe(1);
+        });
+
+        it('should lay out blank text as nothing', () => {
+            expect(textPolylines('')).toEqual([]);
+            expect(textPolylines(' \t\n ')).toEqual([]);
+        });
+
+        it('should keep any text inside its line box', () => {
+            fc.assert(fc.property(fc.string({ maxLength: 12 }), fc.record({ bold: fc.boolean(), oblique: fc.boolean(), mono: fc.boolean() }), (text, variations) => {
+                textPolylines(text.replace(/\s/g, ''), { ...variations, size: 21 }).flat().forEach(([, y]) => {
+                    expect(y).toBeGreaterThanOrEqual(-25);
+                    expect(y).toBeLessThanOrEqual(7);
+                });
+            }));
+        });
+
+        it('should reject invalid options', () => {
+            expect(() => textPolylines('A', { size: 0 })).toThrow('Invalid size');
+            expect(() => textPolylines('A', { lineHeight: -1 })).toThrow('Invalid line height');
+            expect(() => textPolylines('A', { x: '1' })).toThrow('Invalid position');
+            expect(() => textPolylines('A', { align: 'justify' })).toThrow('Invalid align: justify');
+            expect(() => textPolylines('A', { font: 'gothic' })).toThrow('Unknown font: gothic');
+        });
+    });
+});
@@ -0,0 +1,199 @@
+/**
+ * SVG Transform Utilities
+ *
+ * Parses SVG `transform` attribute strings into affine matrices and applies
+ * them to points. Matrices use the same { a, b, c, d, e, f } layout as
+ * DOMMatrix and SVG.js, so they can be handed to either directly.
+ */
+
+/**
+ * @typedef {Object} Matrix
+ * @property {number} a - Horizontal scaling
+ * @property {number} b - Vertical skewing
+ * @property {number} c - Horizontal skewing
+ * @property {number} d - Vertical scaling
+ * @property {number} e - Horizontal translation
+ * @property {number} f - Vertical translation
+ */
+
+/**
+ * The identity matrix
+ * @type {Matrix}
+ */
+export const IDENTITY_MATRIX = Object.freeze({ a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 });
+
+/**
+ * Multiplies two matrices (m1 × m2), so m2 is applied first
+ *
+ * @param {Matrix} m1 - Left-hand matrix
+ * @param {Matrix} m2 - Right-hand matrix
+ * @returns {Matrix} Product matrix
+ */
+export function multiplyMatrices(m1, m2) {
+    return {
+        a: m1.a * m2.a + m1.c * m2.b,
+        b: m1.b * m2.a + m1.d * m2.b,
+        c: m1.a * m2.c + m1.c * m2.d,
+        d: m1.b * m2.c + m1.d * m2.d,
+        e: m1.a * m2.e + m1.c * m2.f + m1.e,
+        f: m1.b * m2.e + m1.d * m2.f + m1.f
+    };
+}
+
+/**
+ * Applies a matrix to a point
+ *
+ * @param {Matrix} matrix - Matrix to apply
+ * @param {number[]} point - Point as [x, y]
+ * @returns {number[]} Transformed point as [x, y]
+ */
+export function applyMatrix(matrix, point) {
+    const [x, y] = point;
+    return [
+        matrix.a * x + matrix.c * y + matrix.e,
+        matrix.b * x + matrix.d * y + matrix.f
+    ];
+}
+
+/**
+ * Inverts a matrix
+ *
+ * @param {Matrix} matrix - Matrix to invert
+ * @returns {Matrix|null} Inverse matrix, or null if the matrix is singular
+ */
+export function invertMatrix(matrix) {
+    const { a, b, c, d, e, f } = matrix;
+    const determinant = a * d - b * c;
+    if (Math.abs(determinant) < 1e-12) {
+        return null;
+    }
+    return {
+        a: d / determinant,
+        b: -b / determinant,
+        c: -c / determinant,
+        d: a / determinant,
+        e: (c * f - d * e) / determinant,
+        f: (b * e - a * f) / determinant
+    };
+}
+
+/**
+ * Checks whether a matrix is (numerically) the identity
+ *
+ * @param {Matrix} matrix - Matrix to check
+ * @returns {boolean} True if the matrix leaves points unchanged
+ */
+export function isIdentityMatrix(matrix) {
+    const epsilon = 1e-12;
+    return (
+        Math.abs(matrix.a - 1) < epsilon &&
+        Math.abs(matrix.b) < epsilon &&
+        Math.abs(matrix.c) < epsilon &&
+        Math.abs(matrix.d - 1) < epsilon &&
+        Math.abs(matrix.e) < epsilon &&
+        Math.abs(matrix.f) < epsilon
+    );
+}
+
+/**
+ * Returns the average linear scale factor of a matrix
+ * Useful for converting a tolerance between coordinate systems.
+ *
+ * @param {Matrix} matrix - Matrix to measure
+ * @returns {number} Scale factor (always positive)
+ */
+export function matrixScale(matrix) {
+    return Math.sqrt(Math.abs(matrix.a * matrix.d - matrix.b * matrix.c)) || 1;
+}
+
+/**
+ * Parses an SVG transform attribute into a single matrix
+ *
+ * Supports matrix(), translate(), scale(), rotate(), skewX() and skewY().
+ * Unknown or malformed functions are ignored.
+ *
+ * @param {string|null|undefined} transform - Transform attribute value
+ * @returns {Matrix} Combined transformation matrix
+ */
+export function parseTransform(transform) {
+    if (!transform || typeof transform !== 'string') {
+        return { ...IDENTITY_MATRIX };
+    }
+
+    let result = { ...IDENTITY_MATRIX };
+    const functionPattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+    let match;
+
+    while ((match = functionPattern.exec(transform)) !== null) {
+        const args = match[2]
+            .split(/[\s,]+/)
+            .filter(arg => arg.length > 0)
+            .map(Number);
+
+        if (args.some(arg => Number.isNaN(arg))) {
+            continue;
+        }
+
+        const matrix = _functionToMatrix(match[1], args);
+        if (matrix) {
+            result = multiplyMatrices(result, matrix);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Converts a single transform function to a matrix
+ *
+ * @private
+ * @param {string} name - Transform function name
+ * @param {number[]} args - Numeric arguments
+ * @returns {Matrix|null} Matrix or null if arguments are invalid
+ */
+function _functionToMatrix(name, args) {
+    switch (name) {
+        case 'matrix':
+            if (args.length !== 6) return null;
+            return { a: args[0], b: args[1], c: args[2], d: args[3], e: args[4], f: args[5] };
+
+        case 'translate':
+            if (args.length < 1) return null;
+            return { a: 1, b: 0, c: 0, d: 1, e: args[0], f: args[1] || 0 };
+
+        case 'scale': {
+            if (args.length < 1) return null;
+            const sy = args.length > 1 ? args[1] : args[0];
+            return { a: args[0], b: 0, c: 0, d: sy, e: 0, f: 0 };
+        }
+
+        case 'rotate': {
+            if (args.length < 1) return null;
+            const radians = args[0] * Math.PI / 180;
+            const cos = Math.cos(radians);
+            const sin = Math.sin(radians);
+            const rotation = { a: cos, b: sin, c: -sin, d: cos, e: 0, f: 0 };
+
+            // rotate(angle, cx, cy) rotates about a point
+            if (args.length >= 3) {
+                const [, cx, cy] = args;
+                return multiplyMatrices(
+                    multiplyMatrices({ a: 1, b: 0, c: 0, d: 1, e: cx, f: cy }, rotation),
+                    { a: 1, b: 0, c: 0, d: 1, e: -cx, f: -cy }
+                );
+            }
+            return rotation;
+        }
+
+        case 'skewX':
+            if (args.length < 1) return null;
+            return { a: 1, b: 0, c: Math.tan(args[0] * Math.PI / 180), d: 1, e: 0, f: 0 };
+
+        case 'skewY':
+            if (args.length < 1) return null;
+            return { a: 1, b: Math.tan(args[0] * Math.PI / 180), c: 0, d: 1, e: 0, f: 0 };
+
+        default:
+            return null;
+    }
+}
@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    IDENTITY_MATRIX,
+    multiplyMatrices,
+    applyMatrix,
+    invertMatrix,
+    isIdentityMatrix,
+    matrixScale,
+    parseTransform
+} from './transform.js';
+
+function expectPointClose(actual, expected) {
+    expect(actual[0]).toBeCloseTo(expected[0], 9);
+    expect(actual[1]).toBeCloseTo(expected[1], 9);
+}
+
+describe('transform utilities', () => {
+    describe('parseTransform', () => {
+        it('should return identity for empty input', () => {
+            expect(parseTransform('')).toEqual(IDENTITY_MATRIX);
+            expect(parseTransform(null)).toEqual(IDENTITY_MATRIX);
+            expect(parseTransform(undefined)).toEqual(IDENTITY_MATRIX);
+        });
+
+        it('should parse translate', () => {
+            expectPointClose(applyMatrix(parseTransform('translate(2, 3)'), [1, 1]), [3, 4]);
+        });
+
+        it('should default translate y to 0', () => {
+            expectPointClose(applyMatrix(parseTransform('translate(2)'), [1, 1]), [3, 1]);
+        });
+
+        it('should parse uniform and non-uniform scale', () => {
+            expectPointClose(applyMatrix(parseTransform('scale(2)'), [1, 2]), [2, 4]);
+            expectPointClose(applyMatrix(parseTransform('scale(2 3)'), [1, 2]), [2, 6]);
+        });
+
+        it('should parse rotate about the origin', () => {
+            expectPointClose(applyMatrix(parseTransform('rotate(90)'), [1, 0]), [0, 1]);
+        });
+
+        it('should parse rotate about a point', () => {
+            expectPointClose(applyMatrix(parseTransform('rotate(180, 1, 1)'), [2, 1]), [0, 1]);
+        });
+
+        it('should parse matrix', () => {
+            const matrix = parseTransform('matrix(1,0,0,1,5,6)');
+            expect(matrix).toEqual({ a: 1, b: 0, c: 0, d: 1, e: 5, f: 6 });
+        });
+
+        it('should parse skewX and skewY', () => {
+            expectPointClose(applyMatrix(parseTransform('skewX(45)'), [0, 1]), [1, 1]);
+            expectPointClose(applyMatrix(parseTransform('skewY(45)'), [1, 0]), [1, 1]);
+        });
+
+        it('should compose functions from left to right', () => {
+            // translate is applied after scale
+            const matrix = parseTransform('translate(10, 0) scale(2)');
+            expectPointClose(applyMatrix(matrix, [1, 1]), [12, 2]);
+        });
+
+        it('should ignore malformed functions', () => {
+            expect(parseTransform('translate(a, b)')).toEqual(IDENTITY_MATRIX);
+            expect(parseTransform('matrix(1, 2)')).toEqual(IDENTITY_MATRIX);
+        });
+    });
+
+    describe('multiplyMatrices', () => {
+        it('should treat identity as neutral element', () => {
+            const matrix = { a: 2, b: 1, c: 0.5, d: 3, e: 4, f: 5 };
+            expect(multiplyMatrices(IDENTITY_MATRIX, matrix)).toEqual(matrix);
+            expect(multiplyMatrices(matrix, IDENTITY_MATRIX)).toEqual(matrix);
+        });
+
+        it('should apply the right-hand matrix first', () => {
+            fc.assert(
+                fc.property(
+                    fc.double({ min: -100, max: 100, noNaN: true }),
+                    fc.double({ min: -100, max: 100, noNaN: true }),
+                    (x, y) => {
+                        const first = parseTransform('rotate(30)');
+                        const second = parseTransform('translate(3, -2) scale(1.5)');
+                        const combined = multiplyMatrices(second, first);
+                        const expected = applyMatrix(second, applyMatrix(first, [x, y]));
+                        const actual = applyMatrix(combined, [x, y]);
+                        expect(actual[0]).toBeCloseTo(expected[0], 6);
+                        expect(actual[1]).toBeCloseTo(expected[1], 6);
+                    }
+                ),
+                { numRuns: 100 }
+            );
+        });
+    });
+
+    describe('invertMatrix', () => {
+        it('should undo the matrix', () => {
+            const matrix = parseTransform('translate(3, -2) rotate(30) scale(1.5, 2) skewX(10)');
+            expect(isIdentityMatrix(multiplyMatrices(invertMatrix(matrix), matrix))).toBe(true);
+            expectPointClose(applyMatrix(invertMatrix(matrix), applyMatrix(matrix, [4, 5])), [4, 5]);
+        });
+
+        it('should return null for singular matrices', () => {
+            expect(invertMatrix(parseTransform('scale(0, 1)'))).toBeNull();
+        });
+    });
+
+    describe('isIdentityMatrix', () => {
+        it('should detect identity matrices', () => {
+            expect(isIdentityMatrix(IDENTITY_MATRIX)).toBe(true);
+            expect(isIdentityMatrix(parseTransform('rotate(360)'))).toBe(true);
+            expect(isIdentityMatrix(parseTransform('translate(1)'))).toBe(false);
+        });
+    });
+
+    describe('matrixScale', () => {
+        it('should return the linear scale factor', () => {
+            expect(matrixScale(parseTransform('scale(3)'))).toBeCloseTo(3);
+            expect(matrixScale(parseTransform('rotate(45) scale(2)'))).toBeCloseTo(2);
+        });
+    });
+});
@@ -0,0 +1,245 @@
+/**
+ * ProjectLibrary
+ *
+ * Keeps every project the user works on, with a thumbnail of its last
+ * render, in a ProjectStore (IndexedDB in the browser). Provides the
+ * listing, search, duplicate and delete operations behind the gallery.
+ */
+
+import { applyProjectDefaults, createId, isValidProject, migrateProject } from '../models/project.js';
+import { removeLayers } from '../utils/svg-layers.js';
+import { formatPaperDimensions } from '../models/paper-sizes.js';
+import { STORAGE_KEYS, isLocalStorageAvailable } from '../utils/local-storage.js';
+import { createStoreQueue } from '../utils/project-db.js';
+
+/**
+ * Thumbnails longer than this are not stored (characters of SVG markup)
+ */
+export const MAX_THUMBNAIL_LENGTH = 200000;
+
+/**
+ * @typedef {Object} ProjectSummary
+ * @property {string} id - Project id
+ * @property {string} name - Project name
+ * @property {string[]} tags - Project tags
+ * @property {string} paper - Paper size label
+ * @property {string} createdAt - ISO 8601 timestamp
+ * @property {string} updatedAt - ISO 8601 timestamp
+ * @property {string|null} thumbnail - SVG markup of the last render, or null
+ */
+
+/**
+ * Creates a gallery thumbnail from a rendered SVG
+ * Hidden layers are left out; very large drawings get no thumbnail.
+ *
+ * @param {string} svgMarkup - Rendered SVG markup
+ * @param {string[]} [hiddenLayers=[]] - Names of hidden layers
+ * @returns {string|null} Thumbnail markup, or null
+ */
+export function createThumbnail(svgMarkup, hiddenLayers = []) {
+    if (!svgMarkup) {
+        return null;
+    }
+    const markup = hiddenLayers.length > 0 ? removeLayers(svgMarkup, hiddenLayers) : svgMarkup;
+    return markup.length <= MAX_THUMBNAIL_LENGTH ? markup : null;
+}
+
+/**
+ * Parses comma-separated tags, dropping blanks and duplicates
+ *
+ * @param {string} text - Tags as typed, e.g. "flow field, a4"
+ * @returns {string[]} Tags
+ */
+export function parseTags(text) {
+    const tags = text.split(',').map(tag => tag.trim()).filter(Boolean);
+    return [...new Set(tags)];
+}
+
+/**
+ * Filters project summaries by a search query
+ * Every word of the query must appear in the name or one of the tags.
+ *
+ * @param {ProjectSummary[]} summaries - Projects to filter
+ * @param {string} query - Search text
+ * @returns {ProjectSummary[]} Matching projects, in their original order
+ */
+export function filterProjects(summaries, query) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return summaries.filter(summary => {
+        const fields = [summary.name, ...summary.tags].map(field => field.toLowerCase());
+        return words.every(word => fields.some(field => field.includes(word)));
+    });
+}
+
+/**
+ * ProjectLibrary class stores and lists projects
+ */
+export class ProjectLibrary {
+    /**
+     * @param {import('../utils/project-db').ProjectStore|Promise<import('../utils/project-db').ProjectStore>} store - Record store, or a promise for one while it opens
+     */
+    constructor(store) {
+        // Operations run one at a time so a save is never overtaken by a read
+        this.queue = createStoreQueue(store);
+    }
+
+    /**
+     * Lists stored projects, most recently modified first
+     *
+     * @param {string} [query=''] - Search text
+     * @returns {Promise<ProjectSummary[]>} Matching projects
+     */
+    list(query = '') {
+        return this.queue(async store => {
+            const records = await store.getAll();
+            const summaries = records
+                .map(record => this._summarize(record))
+                .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+            return filterProjects(summaries, query);
+        });
+    }
+
+    /**
+     * Gets a stored project, upgraded to the current format version
+     *
+     * @param {string} id - Project id
+     * @returns {Promise<import('../models/project').Project|null>} Project, or null if not found
+     * @throws {Error} If the project was stored by a newer format version
+     */
+    get(id) {
+        return this.queue(async store => {
+            const record = await store.get(id);
+            if (!record) {
+                return null;
+            }
+
+            const project = migrateProject(record.project);
+            return isValidProject(project) ? applyProjectDefaults(project) : null;
+        });
+    }
+
+    /**
+     * Adds or updates a project
+     * The project is copied when called, so later edits are not stored.
+     *
+     * @param {import('../models/project').Project} project - Project with an id
+     * @param {string|null} [thumbnail] - Thumbnail markup; omit to keep the stored one
+     * @returns {Promise<void>}
+     * @throws {Error} If project is invalid
+     */
+    save(project, thumbnail) {
+        if (!isValidProject(project) || !project.id) {
+            return Promise.reject(new Error('Invalid project: cannot save to library'));
+        }
+
+        const copy = JSON.parse(JSON.stringify(project));
+        return this.queue(async store => {
+            const existing = thumbnail === undefined ? await store.get(copy.id) : null;
+            await store.put({
+                id: copy.id,
+                project: copy,
+                thumbnail: thumbnail === undefined ? (existing ? existing.thumbnail : null) : thumbnail
+            });
+        });
+    }
+
+    /**
+     * Stores a copy of a project under a new id
+     *
+     * @param {string} id - Id of the project to copy
+     * @returns {Promise<import('../models/project').Project|null>} The copy, or null if not found
+     */
+    duplicate(id) {
+        return this.queue(async store => {
+            const record = await store.get(id);
+            if (!record) {
+                return null;
+            }
+
+            const now = new Date().toISOString();
+            const project = {
+                ...record.project,
+                id: createId(),
+                name: `${record.project.name} (copy)`,
+                createdAt: now,
+                updatedAt: now
+            };
+            await store.put({ id: project.id, project, thumbnail: record.thumbnail });
+            return project;
+        });
+    }
+
+    /**
+     * Replaces the tags of a stored project
+     *
+     * @param {string} id - Project id
+     * @param {string[]} tags - New tags
+     * @returns {Promise<boolean>} True if the project was found
+     */
+    setTags(id, tags) {
+        return this.queue(async store => {
+            const record = await store.get(id);
+            if (!record) {
+                return false;
+            }
+
+            const project = { ...record.project, tags: [...tags], updatedAt: new Date().toISOString() };
+            await store.put({ ...record, project });
+            return true;
+        });
+    }
+
+    /**
+     * Deletes a stored project
+     *
+     * @param {string} id - Project id
+     * @returns {Promise<void>}
+     */
+    delete(id) {
+        return this.queue(store => store.delete(id));
+    }
+
+    /**
+     * Copies the project restored from localStorage into the library
+     * Runs once per browser; later runs leave the library alone.
+     *
+     * @param {import('../models/project').Project|null} project - Project found in localStorage
+     * @returns {Promise<boolean>} True if the project was added
+     */
+    async migrateFromLocalStorage(project) {
+        if (!isLocalStorageAvailable() || localStorage.getItem(STORAGE_KEYS.LIBRARY_MIGRATED)) {
+            return false;
+        }
+
+        let added = false;
+        if (project) {
+            const existing = await this.queue(store => store.get(project.id));
+            if (!existing) {
+                await this.save(project, null);
+                added = true;
+            }
+        }
+
+        localStorage.setItem(STORAGE_KEYS.LIBRARY_MIGRATED, 'true');
+        return added;
+    }
+
+
+    /**
+     * @private
+     * @param {import('../utils/project-db').ProjectRecord} record - Stored record
+     * @returns {ProjectSummary} Summary for listing
+     */
+    _summarize({ id, project, thumbnail }) {
+        const { viewportSize } = project;
+        return {
+            id,
+            name: project.name,
+            tags: project.tags || [],
+            paper: viewportSize.label || formatPaperDimensions(viewportSize.width, viewportSize.height, 'in'),
+            createdAt: project.createdAt,
+            updatedAt: project.updatedAt,
+            thumbnail
+        };
+    }
+}
@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    ProjectLibrary,
+    createThumbnail,
+    parseTags,
+    filterProjects,
+    MAX_THUMBNAIL_LENGTH
+} from './project-library.js';
+import { createMemoryStore } from '../utils/project-db.js';
+import { createProject, VIEWPORT_PRESETS } from '../models/project.js';
+import { STORAGE_KEYS } from '../utils/local-storage.js';
+
+describe('ProjectLibrary', () => {
+    let library;
+
+    /** Create a project last modified at the given time */
+    const makeProject = (name, updatedAt = '2026-01-01T00:00:00.000Z', tags = []) => ({
+        ...createProject(name, VIEWPORT_PRESETS[0], `// ${name}`),
+        tags,
+        updatedAt
+    });
+
+    beforeEach(() => {
+        localStorage.clear();
+        library = new ProjectLibrary(createMemoryStore());
+    });
+
+    it('should list saved projects, most recently modified first', async () => {
+        const older = makeProject('Waves', '2026-01-01T00:00:00.000Z');
+        const newer = makeProject('Spirals', '2026-02-01T00:00:00.000Z', ['a4']);
+        await library.save(older, '<svg></svg>');
+        await library.save(newer);
+
+        const projects = await library.list();
+        expect(projects.map(project => project.name)).toEqual(['Spirals', 'Waves']);
+        expect(projects[0]).toMatchObject({ id: newer.id, tags: ['a4'], paper: '8.5x11', thumbnail: null });
+        expect(projects[1].thumbnail).toBe('<svg></svg>');
+    });
+
+    it('should store a copy and keep the thumbnail when none is given', async () => {
+        const project = makeProject('Grid');
+        await library.save(project, '<svg>1</svg>');
+        project.code = 'changed later';
+        await library.save({ ...project, name: 'Grid 2' });
+
+        const stored = await library.get(project.id);
+        expect(stored.name).toBe('Grid 2');
+        expect((await library.list())[0].thumbnail).toBe('<svg>1</svg>');
+        expect(await library.get('missing')).toBeNull();
+    });
+
+    it('should reject invalid projects', async () => {
+        await expect(library.save({ name: 'Broken' })).rejects.toThrow('Invalid project: cannot save to library');
+        // The queue keeps working after a failure
+        await library.save(makeProject('Fine'));
+        expect(await library.list()).toHaveLength(1);
+    });
+
+    it('should duplicate, tag and delete projects', async () => {
+        const project = makeProject('Moire');
+        await library.save(project, '<svg></svg>');
+
+        const copy = await library.duplicate(project.id);
+        expect(copy.name).toBe('Moire (copy)');
+        expect(copy.id).not.toBe(project.id);
+        expect(await library.duplicate('missing')).toBeNull();
+
+        expect(await library.setTags(copy.id, ['print', 'a3'])).toBe(true);
+        expect((await library.get(copy.id)).tags).toEqual(['print', 'a3']);
+        expect(await library.list('a3')).toMatchObject([{ id: copy.id, thumbnail: '<svg></svg>' }]);
+
+        await library.delete(project.id);
+        expect((await library.list()).map(summary => summary.id)).toEqual([copy.id]);
+    });
+
+    it('should migrate the localStorage project only once', async () => {
+        const project = makeProject('Legacy');
+
+        expect(await library.migrateFromLocalStorage(project)).toBe(true);
+        expect(localStorage.getItem(STORAGE_KEYS.LIBRARY_MIGRATED)).toBe('true');
+        await library.delete(project.id);
+
+        expect(await library.migrateFromLocalStorage(project)).toBe(false);
+        expect(await library.list()).toEqual([]);
+    });
+});
+
+describe('project library helpers', () => {
+    it('should search names and tags with every word', () => {
+        const summaries = [
+            { name: 'Flow field', tags: ['A4', 'black'] },
+            { name: 'Circles', tags: ['flow'] },
+            { name: 'Truchet', tags: [] }
+        ];
+
+        expect(filterProjects(summaries, '').length).toBe(3);
+        expect(filterProjects(summaries, 'FLOW').map(s => s.name)).toEqual(['Flow field', 'Circles']);
+        expect(filterProjects(summaries, 'flow a4').map(s => s.name)).toEqual(['Flow field']);
+        expect(filterProjects(summaries, 'hexagon')).toEqual([]);
+    });
+
+    it('should parse comma-separated tags', () => {
+        expect(parseTags(' flow field, a4,, a4 ,')).toEqual(['flow field', 'a4']);
+        fc.assert(
+            fc.property(fc.string(), text => parseTags(text).every(tag => tag.length > 0 && tag === tag.trim()))
+        );
+    });
+
+    it('should leave hidden layers and oversized drawings out of thumbnails', () => {
+        const svg = '<svg xmlns="http://www.w3.org/2000/svg"><g data-layer="ink"><path d="M0 0L1 1"/></g><g data-layer="red"><path d="M1 1L2 2"/></g></svg>';
+
+        expect(createThumbnail(svg)).toBe(svg);
+        expect(createThumbnail(svg, ['red'])).not.toContain('M1 1L2 2');
+        expect(createThumbnail(`<svg>${' '.repeat(MAX_THUMBNAIL_LENGTH)}</svg>`)).toBeNull();
+        expect(createThumbnail(null)).toBeNull();
+    });
+});
@@ -5,7 +5,14 @@
  * and localStorage persistence for the SVG Plotter Editor.
  */
 
-import { createProject, touchProject, isValidProject, VIEWPORT_PRESETS } from '../models/project.js';
+import {
+    createProject,
+    touchProject,
+    isValidProject,
+    applyProjectDefaults,
+    migrateProject,
+    VIEWPORT_PRESETS
+} from '../models/project.js';
 import { 
     saveProjectToLocalStorage, 
     loadProjectFromLocalStorage, 
@@ -19,6 +26,9 @@ import { downloadJSON, readJSONFile } from '../utils/file-utils.js';
 export class ProjectManager {
     constructor() {
         this.currentProject = null;
+        // Set when localStorage holds a project from a newer version of the
+        // editor, which must not be overwritten by this one
+        this.storedProjectLocked = false;
     }
 
     /**
@@ -60,10 +70,11 @@ export class ProjectManager {
 
     /**
      * Loads a project from a file
+     * Files saved in an older format are upgraded first.
      * 
      * @param {File} file - File object to load
      * @returns {Promise<import('../models/project').Project>} Loaded project
-     * @throws {Error} If file is invalid or parsing fails
+     * @throws {Error} If file is invalid, from a newer format version, or parsing fails
      */
     async loadFromFile(file) {
         if (!file) {
@@ -71,18 +82,18 @@ export class ProjectManager {
         }
 
         try {
-            // Use the file utility to read JSON
-            const project = await readJSONFile(file);
+            // Use the file utility to read JSON and upgrade older formats
+            const project = migrateProject(await readJSONFile(file));
             
             // Validate project structure
             if (!isValidProject(project)) {
                 throw new Error('Invalid project structure: missing required fields or invalid data');
             }
             
-            this.currentProject = project;
-            return project;
+            this.currentProject = applyProjectDefaults(project);
+            return this.currentProject;
         } catch (error) {
-            if (error.message.startsWith('Invalid') || error.message.startsWith('No file')) {
+            if (['Invalid', 'Unsupported', 'No file'].some(prefix => error.message.startsWith(prefix))) {
                 throw error;
             }
             throw new Error(`Failed to load project from file: ${error.message}`);
@@ -91,11 +102,16 @@ export class ProjectManager {
 
     /**
      * Saves the project to localStorage
+     * Nothing is saved while the stored project is from a newer version.
      * 
      * @param {import('../models/project').Project} project - Project to save
      * @returns {boolean} True if save was successful
      */
     saveToLocalStorage(project) {
+        if (this.storedProjectLocked) {
+            return false;
+        }
+
         if (!isValidProject(project)) {
             console.error('Invalid project: cannot save to localStorage');
             return false;
@@ -109,15 +125,38 @@ export class ProjectManager {
 
     /**
      * Loads the project from localStorage
+     * A project saved in an older format is upgraded and saved back. A
+     * project saved in a newer format is left in place and locks
+     * localStorage, so later saves cannot overwrite it.
      * 
      * @returns {import('../models/project').Project|null} Loaded project or null if not found
+     * @throws {Error} If the stored project is from a newer format version
      */
     loadFromLocalStorage() {
-        const project = loadProjectFromLocalStorage();
+        const stored = loadProjectFromLocalStorage();
+        if (!stored) {
+            return null;
+        }
+
+        let project;
+        try {
+            project = migrateProject(stored);
+        } catch (error) {
+            if (error.message.startsWith('Unsupported')) {
+                this.storedProjectLocked = true;
+                throw error;
+            }
+            console.error('Cannot restore project from localStorage:', error.message);
+            return null;
+        }
         
-        if (project && isValidProject(project)) {
-            this.currentProject = project;
-            return project;
+        if (isValidProject(project)) {
+            this.currentProject = applyProjectDefaults(project);
+            if (stored.formatVersion !== project.formatVersion || stored.id === undefined) {
+                // Keep the upgrade, including any id assigned to it
+                saveProjectToLocalStorage(this.currentProject);
+            }
+            return this.currentProject;
         }
         
         return null;
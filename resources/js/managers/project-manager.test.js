@@ -14,7 +14,10 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import * as fc from 'fast-check';
 import { ProjectManager } from './project-manager.js';
-import { VIEWPORT_PRESETS } from '../models/project.js';
+import { VIEWPORT_PRESETS, DEFAULT_PLOT_OPTIONS, DEFAULT_MARGINS, DEFAULT_GUIDE_OPTIONS, PROJECT_FORMAT_VERSION } from '../models/project.js';
+import { DEFAULT_GCODE_OPTIONS } from '../utils/gcode-exporter.js';
+import { DEFAULT_HPGL_OPTIONS } from '../utils/hpgl-exporter.js';
+import { DEFAULT_MOTION_PROFILE } from '../geometry/plot-timeline.js';
 
 describe('ProjectManager Property Tests', () => {
     let projectManager;
@@ -351,4 +354,192 @@ describe('ProjectManager Property Tests', () => {
             { numRuns: 100 } // Run 100 iterations as specified in design doc
         );
     });
+
+    it('should give projects saved without a seed a valid unlocked seed', async () => {
+        const legacyProject = {
+            name: 'Legacy',
+            code: 'draw.circle(1);',
+            viewportSize: VIEWPORT_PRESETS[0],
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+        const file = new File([JSON.stringify(legacyProject)], 'legacy.json', { type: 'application/json' });
+
+        const loadedProject = await projectManager.loadFromFile(file);
+
+        expect(Number.isInteger(loadedProject.seed)).toBe(true);
+        expect(loadedProject.seed).toBeGreaterThanOrEqual(0);
+        expect(loadedProject.seedLocked).toBe(false);
+    });
+
+    it('should reject projects with an invalid seed', async () => {
+        const project = { ...projectManager.createProject('Bad seed', VIEWPORT_PRESETS[0]), seed: -3 };
+        const file = new File([JSON.stringify(project)], 'bad.json', { type: 'application/json' });
+
+        await expect(projectManager.loadFromFile(file)).rejects.toThrow('Invalid project structure');
+    });
+
+    it('should fill in plot options added after a project was saved', async () => {
+        const project = { ...projectManager.createProject('Older', VIEWPORT_PRESETS[0]), plotOptions: { optimizePaths: false } };
+        const file = new File([JSON.stringify(project)], 'older.json', { type: 'application/json' });
+
+        const loadedProject = await projectManager.loadFromFile(file);
+
+        expect(loadedProject.plotOptions).toEqual({ ...DEFAULT_PLOT_OPTIONS, optimizePaths: false });
+    });
+
+    it('should reject projects with a negative merge tolerance', async () => {
+        const project = projectManager.createProject('Bad tolerance', VIEWPORT_PRESETS[0]);
+        project.plotOptions.mergeTolerance = -0.1;
+        const file = new File([JSON.stringify(project)], 'bad.json', { type: 'application/json' });
+
+        await expect(projectManager.loadFromFile(file)).rejects.toThrow('Invalid project structure');
+    });
+
+    it('should reject projects with a hatch spacing of zero', async () => {
+        const project = projectManager.createProject('Bad spacing', VIEWPORT_PRESETS[0]);
+        project.plotOptions.hatchSpacing = 0;
+        const file = new File([JSON.stringify(project)], 'bad.json', { type: 'application/json' });
+
+        await expect(projectManager.loadFromFile(file)).rejects.toThrow('Invalid project structure');
+    });
+
+    it('should give projects without G-code settings the defaults', async () => {
+        const { gcodeOptions, ...project } = projectManager.createProject('Older', VIEWPORT_PRESETS[0]);
+        const file = new File([JSON.stringify(project)], 'older.json', { type: 'application/json' });
+
+        const loadedProject = await projectManager.loadFromFile(file);
+
+        expect(loadedProject.gcodeOptions).toEqual(DEFAULT_GCODE_OPTIONS);
+    });
+
+    it('should reject projects with invalid G-code settings', async () => {
+        const project = projectManager.createProject('Bad G-code', VIEWPORT_PRESETS[0]);
+        project.gcodeOptions.drawFeedRate = 0;
+        const file = new File([JSON.stringify(project)], 'bad.json', { type: 'application/json' });
+
+        await expect(projectManager.loadFromFile(file)).rejects.toThrow('Invalid project structure');
+    });
+
+    it('should fill in HPGL settings and reject invalid ones', async () => {
+        const { hpglOptions, ...older } = projectManager.createProject('Older', VIEWPORT_PRESETS[0]);
+        const loadedProject = await projectManager.loadFromFile(
+            new File([JSON.stringify(older)], 'older.json', { type: 'application/json' })
+        );
+        expect(loadedProject.hpglOptions).toEqual(DEFAULT_HPGL_OPTIONS);
+
+        const bad = { ...older, hpglOptions: { penCount: 0 } };
+        await expect(projectManager.loadFromFile(
+            new File([JSON.stringify(bad)], 'bad.json', { type: 'application/json' })
+        )).rejects.toThrow('Invalid project structure');
+    });
+
+    it('should fill in the motion profile and reject invalid ones', async () => {
+        const { motionProfile, ...older } = projectManager.createProject('Older', VIEWPORT_PRESETS[0]);
+        const loadedProject = await projectManager.loadFromFile(
+            new File([JSON.stringify(older)], 'older.json', { type: 'application/json' })
+        );
+        expect(loadedProject.motionProfile).toEqual(DEFAULT_MOTION_PROFILE);
+
+        const bad = { ...older, motionProfile: { ...DEFAULT_MOTION_PROFILE, drawSpeed: 0 } };
+        await expect(projectManager.loadFromFile(
+            new File([JSON.stringify(bad)], 'bad.json', { type: 'application/json' })
+        )).rejects.toThrow('Invalid project structure');
+    });
+
+    it('should fill in margins and guides and reject invalid ones', async () => {
+        const { margins, guides, ...older } = projectManager.createProject('Older', VIEWPORT_PRESETS[0]);
+        const loadedProject = await projectManager.loadFromFile(
+            new File([JSON.stringify({ ...older, guides: { rulers: true } })], 'older.json', { type: 'application/json' })
+        );
+        expect(loadedProject.margins).toEqual(DEFAULT_MARGINS);
+        expect(loadedProject.guides).toEqual({ ...DEFAULT_GUIDE_OPTIONS, rulers: true });
+
+        for (const bad of [
+            { ...older, margins: { top: -1, right: 0, bottom: 0, left: 0 } },
+            { ...older, margins: { top: 1 } },
+            { ...older, guides: { units: 'cm' } },
+            { ...older, guides: { gridSpacing: 0 } }
+        ]) {
+            await expect(projectManager.loadFromFile(
+                new File([JSON.stringify(bad)], 'bad.json', { type: 'application/json' })
+            )).rejects.toThrow('Invalid project structure');
+        }
+    });
+    it('should keep metric paper sizes and default to drawing in inches', async () => {
+        const a4 = { width: 210 / 25.4, height: 297 / 25.4, label: 'A4 (210 × 297 mm)', unit: 'mm' };
+        const { drawingUnits, ...older } = projectManager.createProject('A4', a4);
+        expect(drawingUnits).toBe('in');
+        expect(older.guides.units).toBe('mm');
+
+        const loadedProject = await projectManager.loadFromFile(
+            new File([JSON.stringify({ ...older, viewportSize: { width: 5, height: 7 } })], 'older.json', { type: 'application/json' })
+        );
+        expect(loadedProject.drawingUnits).toBe('in');
+        expect(loadedProject.viewportSize).toEqual({ width: 5, height: 7 });
+
+        for (const bad of [
+            { ...older, drawingUnits: 'cm' },
+            { ...older, viewportSize: { ...a4, unit: 'pt' } }
+        ]) {
+            await expect(projectManager.loadFromFile(
+                new File([JSON.stringify(bad)], 'bad.json', { type: 'application/json' })
+            )).rejects.toThrow('Invalid project structure');
+        }
+    });
+
+    it('should give projects an id and tags, keeping a legacy id once assigned', async () => {
+        const project = projectManager.createProject('Tagged', VIEWPORT_PRESETS[0]);
+        expect(project.id).toEqual(expect.any(String));
+        expect(project.tags).toEqual([]);
+
+        const { id, tags, ...legacy } = project;
+        localStorage.setItem('plotter_current_project', JSON.stringify(legacy));
+        const restored = projectManager.loadFromLocalStorage();
+        expect(restored.id).not.toBe(id);
+        expect(restored.tags).toEqual([]);
+        expect(projectManager.loadFromLocalStorage().id).toBe(restored.id);
+
+        for (const bad of [{ ...project, id: '' }, { ...project, tags: ['ok', ' '] }]) {
+            await expect(projectManager.loadFromFile(
+                new File([JSON.stringify(bad)], 'bad.json', { type: 'application/json' })
+            )).rejects.toThrow('Invalid project structure');
+        }
+    });
+
+    it('should upgrade older formats and refuse newer ones', async () => {
+        const { formatVersion, id, tags, ...unversioned } = projectManager.createProject('Old format', VIEWPORT_PRESETS[0]);
+
+        localStorage.setItem('plotter_current_project', JSON.stringify(unversioned));
+        const restored = projectManager.loadFromLocalStorage();
+        expect(restored.formatVersion).toBe(PROJECT_FORMAT_VERSION);
+        expect(JSON.parse(localStorage.getItem('plotter_current_project'))).toMatchObject({
+            formatVersion: PROJECT_FORMAT_VERSION,
+            id: restored.id
+        });
+
+        const newer = { ...unversioned, formatVersion: PROJECT_FORMAT_VERSION + 1 };
+        await expect(projectManager.loadFromFile(
+            new File([JSON.stringify(newer)], 'newer.json', { type: 'application/json' })
+        )).rejects.toThrow('saved by a newer version of the editor');
+
+        localStorage.setItem('plotter_current_project', JSON.stringify(newer));
+        expect(() => projectManager.loadFromLocalStorage()).toThrow('saved by a newer version of the editor');
+
+        // The newer project is never overwritten
+        const current = projectManager.createProject('Current', VIEWPORT_PRESETS[0]);
+        expect(projectManager.saveToLocalStorage(current)).toBe(false);
+        expect(JSON.parse(localStorage.getItem('plotter_current_project'))).toEqual(newer);
+    });
+
+    it('should still restore over unreadable stored projects', () => {
+        const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+        const project = projectManager.createProject('Broken', VIEWPORT_PRESETS[0]);
+        localStorage.setItem('plotter_current_project', JSON.stringify({ ...project, formatVersion: 'x' }));
+
+        expect(projectManager.loadFromLocalStorage()).toBeNull();
+        expect(consoleError).toHaveBeenCalled();
+        expect(projectManager.saveToLocalStorage(project)).toBe(true);
+        consoleError.mockRestore();
+    });
 });
@@ -0,0 +1,149 @@
+/**
+ * SnapshotHistory
+ *
+ * Version history for projects: timestamped snapshots of the code,
+ * parameter values and seed, each with a thumbnail of its render.
+ * Automatic snapshots are taken on successful runs after Regenerate or a
+ * code change, unless nothing changed, and only the most recent ones are
+ * kept; snapshots taken explicitly are never pruned.
+ */
+
+import { createId } from '../models/project.js';
+import { createStoreQueue } from '../utils/project-db.js';
+
+/**
+ * Automatic snapshots kept per project
+ */
+export const MAX_AUTO_SNAPSHOTS = 50;
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {string} id - Snapshot id
+ * @property {string} projectId - Id of the project it belongs to
+ * @property {string} createdAt - ISO 8601 timestamp
+ * @property {boolean} manual - True for snapshots taken explicitly
+ * @property {string} code - Sketch code
+ * @property {import('../generators/sketch-modules').SketchFile[]} files - Helper modules (missing from snapshots older than multi-file projects)
+ * @property {Object<string, number|boolean|string>} params - Values chosen for the sketch's params()
+ * @property {number} seed - Seed of the random helpers
+ * @property {string|null} thumbnail - SVG markup of the render, or null
+ */
+
+/**
+ * SnapshotHistory class stores and lists project snapshots
+ */
+export class SnapshotHistory {
+    /**
+     * @param {import('../utils/project-db').ProjectStore|Promise<import('../utils/project-db').ProjectStore>} store - Snapshot store, or a promise for one while it opens
+     */
+    constructor(store) {
+        // Operations run one at a time so a snapshot is never overtaken by a read
+        this.queue = createStoreQueue(store);
+    }
+
+    /**
+     * Lists a project's snapshots, newest first
+     *
+     * @param {string} projectId - Project id
+     * @returns {Promise<Snapshot[]>} Snapshots
+     */
+    list(projectId) {
+        return this.queue(store => this._list(store, projectId));
+    }
+
+    /**
+     * Gets a snapshot
+     *
+     * @param {string} id - Snapshot id
+     * @returns {Promise<Snapshot|null>} Snapshot, or null if not found
+     */
+    get(id) {
+        return this.queue(store => store.get(id));
+    }
+
+    /**
+     * Takes a snapshot of a project's code, parameters and seed
+     * An automatic snapshot identical to the latest one is skipped.
+     *
+     * @param {string} projectId - Project id
+     * @param {Object} state - State to record
+     * @param {string} state.code - Sketch code
+     * @param {import('../generators/sketch-modules').SketchFile[]} [state.files=[]] - Helper modules
+     * @param {Object<string, number|boolean|string>} state.params - Parameter values
+     * @param {number} state.seed - Seed
+     * @param {Object} [options={}] - Snapshot options
+     * @param {string|null} [options.thumbnail=null] - Thumbnail markup
+     * @param {boolean} [options.manual=false] - Taken explicitly rather than on Regenerate
+     * @returns {Promise<Snapshot|null>} The new snapshot, or null if skipped
+     */
+    add(projectId, { code, files = [], params, seed }, { thumbnail = null, manual = false } = {}) {
+        const snapshot = {
+            id: createId(),
+            projectId,
+            createdAt: new Date().toISOString(),
+            manual,
+            code,
+            files: files.map(file => ({ name: file.name, code: file.code })),
+            params: JSON.parse(JSON.stringify(params)),
+            seed,
+            thumbnail
+        };
+
+        return this.queue(async store => {
+            const snapshots = await this._list(store, projectId);
+            if (!manual && snapshots.length > 0 && _sameState(snapshots[0], snapshot)) {
+                return null;
+            }
+
+            await store.put(snapshot);
+
+            // Drop the oldest automatic snapshots beyond the limit
+            const automatic = [snapshot, ...snapshots].filter(existing => !existing.manual);
+            for (const old of automatic.slice(MAX_AUTO_SNAPSHOTS)) {
+                await store.delete(old.id);
+            }
+            return snapshot;
+        });
+    }
+
+    /**
+     * Deletes every snapshot of a project
+     *
+     * @param {string} projectId - Project id
+     * @returns {Promise<void>}
+     */
+    clear(projectId) {
+        return this.queue(async store => {
+            const snapshots = await store.getAllBy('projectId', projectId);
+            for (const snapshot of snapshots) {
+                await store.delete(snapshot.id);
+            }
+        });
+    }
+
+    /**
+     * @private
+     * @param {import('../utils/project-db').ProjectStore} store - Snapshot store
+     * @param {string} projectId - Project id
+     * @returns {Promise<Snapshot[]>} Snapshots, newest first
+     */
+    async _list(store, projectId) {
+        const snapshots = await store.getAllBy('projectId', projectId);
+        // Reversing first keeps later snapshots ahead of earlier ones taken in the same millisecond
+        return snapshots.reverse().sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+}
+
+/**
+ * Whether two snapshots record the same code, files, parameters and seed
+ *
+ * @private
+ * @param {Snapshot} a - Snapshot
+ * @param {Snapshot} b - Snapshot
+ * @returns {boolean} True if nothing differs
+ */
+function _sameState(a, b) {
+    return a.code === b.code && a.seed === b.seed &&
+        JSON.stringify(a.files ?? []) === JSON.stringify(b.files ?? []) &&
+        JSON.stringify(a.params) === JSON.stringify(b.params);
+}
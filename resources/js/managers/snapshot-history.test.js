@@ -0,0 +1,66 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SnapshotHistory, MAX_AUTO_SNAPSHOTS } from './snapshot-history.js';
+import { createMemoryStore } from '../utils/project-db.js';
+
+describe('SnapshotHistory', () => {
+    let history;
+
+    const state = (code, seed = 1, params = {}) => ({ code, seed, params });
+
+    beforeEach(() => {
+        history = new SnapshotHistory(createMemoryStore());
+    });
+
+    it('should list a project\'s snapshots newest first', async () => {
+        await history.add('a', state('one'), { thumbnail: '<svg/>' });
+        await history.add('b', state('other project'));
+        await history.add('a', state('two', 2, { size: 3 }));
+
+        const snapshots = await history.list('a');
+        expect(snapshots.map(snapshot => snapshot.code)).toEqual(['two', 'one']);
+        expect(snapshots[0]).toMatchObject({ projectId: 'a', seed: 2, params: { size: 3 }, manual: false, thumbnail: null });
+        expect(snapshots[1].thumbnail).toBe('<svg/>');
+        expect(await history.get(snapshots[1].id)).toEqual(snapshots[1]);
+    });
+
+    it('should skip automatic snapshots that change nothing', async () => {
+        expect(await history.add('a', state('same'))).not.toBeNull();
+        expect(await history.add('a', state('same'))).toBeNull();
+        expect(await history.add('a', state('same', 2))).not.toBeNull();
+        expect(await history.add('a', state('same', 2), { manual: true })).toMatchObject({ manual: true });
+
+        expect(await history.list('a')).toHaveLength(3);
+    });
+
+    it('should record helper files and notice when they change', async () => {
+        const files = [{ name: 'a.js', code: 'one' }];
+        const snapshot = await history.add('a', { ...state('same'), files });
+
+        expect(snapshot.files).toEqual(files);
+        expect(snapshot.files).not.toBe(files);
+        expect(await history.add('a', { ...state('same'), files: [{ name: 'a.js', code: 'one' }] })).toBeNull();
+        expect(await history.add('a', { ...state('same'), files: [{ name: 'a.js', code: 'two' }] })).not.toBeNull();
+        expect((await history.add('b', state('none'))).files).toEqual([]);
+    });
+
+    it('should prune old automatic snapshots but keep manual ones', async () => {
+        await history.add('a', state('keep me'), { manual: true });
+        for (let i = 0; i <= MAX_AUTO_SNAPSHOTS; i++) {
+            await history.add('a', state(`edit ${i}`));
+        }
+
+        const snapshots = await history.list('a');
+        expect(snapshots.filter(snapshot => !snapshot.manual)).toHaveLength(MAX_AUTO_SNAPSHOTS);
+        expect(snapshots.some(snapshot => snapshot.code === 'edit 0')).toBe(false);
+        expect(snapshots.some(snapshot => snapshot.code === 'keep me')).toBe(true);
+    });
+
+    it('should clear a project\'s snapshots', async () => {
+        await history.add('a', state('one'));
+        await history.add('b', state('two'));
+        await history.clear('a');
+
+        expect(await history.list('a')).toEqual([]);
+        expect(await history.list('b')).toHaveLength(1);
+    });
+});
@@ -0,0 +1,141 @@
+/**
+ * SnippetLibrary
+ *
+ * The user's library of reusable modules, kept in localStorage so every
+ * project in this browser can import them. Provides the edit, delete,
+ * export and import operations behind the snippet library dialog.
+ */
+
+import { createSnippetBundle, isValidSnippetName, parseSnippetBundle } from '../models/snippet.js';
+import { saveSnippetsToLocalStorage, loadSnippetsFromLocalStorage } from '../utils/local-storage.js';
+
+/**
+ * SnippetLibrary class stores and lists snippets
+ */
+export class SnippetLibrary {
+    constructor() {
+        this.snippets = loadSnippetsFromLocalStorage();
+        this.callbacks = {
+            change: []
+        };
+    }
+
+    /**
+     * Lists the snippets, sorted by name
+     *
+     * @returns {import('../models/snippet').Snippet[]} Snippets
+     */
+    list() {
+        return this.snippets
+            .map(snippet => ({ ...snippet }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Gets a snippet
+     *
+     * @param {string} name - Snippet name
+     * @returns {import('../models/snippet').Snippet|null} Snippet, or null if not found
+     */
+    get(name) {
+        const snippet = this.snippets.find(existing => existing.name === name);
+        return snippet ? { ...snippet } : null;
+    }
+
+    /**
+     * Creates or updates a snippet
+     *
+     * @param {string} name - Snippet name, e.g. "hatching.js"
+     * @param {string} code - Source code
+     * @returns {import('../models/snippet').Snippet} The saved snippet
+     * @throws {Error} If the name is invalid or the library cannot be stored
+     */
+    save(name, code) {
+        if (!isValidSnippetName(name)) {
+            throw new Error(`Invalid snippet name: ${name}`);
+        }
+
+        const snippet = { name, code, updatedAt: new Date().toISOString() };
+        this._store([...this.snippets.filter(existing => existing.name !== name), snippet]);
+        return { ...snippet };
+    }
+
+    /**
+     * Deletes a snippet
+     *
+     * @param {string} name - Snippet name
+     * @returns {boolean} True if a snippet was deleted
+     * @throws {Error} If the library cannot be stored
+     */
+    remove(name) {
+        const remaining = this.snippets.filter(existing => existing.name !== name);
+        if (remaining.length === this.snippets.length) {
+            return false;
+        }
+
+        this._store(remaining);
+        return true;
+    }
+
+    /**
+     * Creates a bundle of every snippet for export
+     *
+     * @returns {import('../models/snippet').SnippetBundle} Bundle
+     */
+    exportBundle() {
+        return createSnippetBundle(this.list());
+    }
+
+    /**
+     * Adds the snippets of an exported bundle
+     * Snippets with the same name as one in the bundle are replaced.
+     *
+     * @param {any} data - Parsed JSON of the bundle
+     * @returns {{added: number, replaced: number}} Counts of new and replaced snippets
+     * @throws {Error} If the bundle is invalid or the library cannot be stored
+     */
+    importBundle(data) {
+        const imported = parseSnippetBundle(data);
+        const names = new Set(imported.map(snippet => snippet.name));
+        const kept = this.snippets.filter(existing => !names.has(existing.name));
+        const replaced = this.snippets.length - kept.length;
+
+        this._store([...kept, ...imported]);
+        return { added: imported.length - replaced, replaced };
+    }
+
+    /**
+     * Register a callback for changes to the library
+     *
+     * @param {Function} callback - Called with the snippets, sorted by name
+     */
+    onChange(callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+        this.callbacks.change.push(callback);
+    }
+
+    /**
+     * Replace the snippets, persist them and notify listeners
+     *
+     * @private
+     * @param {import('../models/snippet').Snippet[]} snippets - New library contents
+     * @throws {Error} If localStorage refuses the snippets
+     */
+    _store(snippets) {
+        if (!saveSnippetsToLocalStorage(snippets)) {
+            throw new Error('Failed to save the snippet library to localStorage');
+        }
+        this.snippets = snippets;
+
+        const listed = this.list();
+        this.callbacks.change.forEach(callback => {
+            try {
+                callback(listed);
+            } catch (error) {
+                console.error('Error in change callback:', error);
+            }
+        });
+    }
+}
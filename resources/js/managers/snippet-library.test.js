@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { SnippetLibrary } from './snippet-library.js';
+import { SNIPPET_BUNDLE_FORMAT, SNIPPET_BUNDLE_VERSION } from '../models/snippet.js';
+import { STORAGE_KEYS } from '../utils/local-storage.js';
+
+describe('SnippetLibrary', () => {
+    let library;
+
+    beforeEach(() => {
+        localStorage.clear();
+        library = new SnippetLibrary();
+    });
+
+    it('should save, list and delete snippets across instances', () => {
+        library.save('shapes.js', 'export const a = 1;');
+        library.save('hatching.js', 'export function hatchPolygon() {}');
+        library.save('shapes.js', 'export const a = 2;');
+
+        const reloaded = new SnippetLibrary();
+        expect(reloaded.list().map(snippet => snippet.name)).toEqual(['hatching.js', 'shapes.js']);
+        expect(reloaded.get('shapes.js')).toMatchObject({ code: 'export const a = 2;', updatedAt: expect.any(String) });
+
+        expect(reloaded.remove('shapes.js')).toBe(true);
+        expect(reloaded.remove('shapes.js')).toBe(false);
+        expect(new SnippetLibrary().get('shapes.js')).toBeNull();
+    });
+
+    it('should refuse names sketches cannot import', () => {
+        for (const name of ['main.js', 'hatching', '../x.js', '']) {
+            expect(() => library.save(name, '')).toThrow(`Invalid snippet name: ${name}`);
+        }
+        expect(localStorage.getItem(STORAGE_KEYS.SNIPPETS)).toBeNull();
+    });
+
+    it('should notify listeners of changes', () => {
+        const change = vi.fn();
+        library.onChange(change);
+
+        library.save('a.js', 'x');
+
+        expect(change).toHaveBeenCalledWith([expect.objectContaining({ name: 'a.js', code: 'x' })]);
+        expect(() => library.onChange('nope')).toThrow('Callback must be a function');
+    });
+
+    it('should round trip a bundle, replacing snippets with the same name', () => {
+        library.save('a.js', 'old a');
+        library.save('b.js', 'b');
+        const bundle = JSON.parse(JSON.stringify(library.exportBundle()));
+        expect(bundle).toMatchObject({ format: SNIPPET_BUNDLE_FORMAT, version: SNIPPET_BUNDLE_VERSION });
+
+        localStorage.clear();
+        const other = new SnippetLibrary();
+        other.save('a.js', 'new a');
+        other.save('c.js', 'c');
+
+        expect(other.importBundle(bundle)).toEqual({ added: 1, replaced: 1 });
+        expect(other.list().map(snippet => [snippet.name, snippet.code])).toEqual([['a.js', 'old a'], ['b.js', 'b'], ['c.js', 'c']]);
+    });
+
+    it('should reject invalid bundles without changing the library', () => {
+        library.save('a.js', 'a');
+        const snippet = { name: 'b.js', code: 'b', updatedAt: '2026-01-01T00:00:00.000Z' };
+
+        expect(() => library.importBundle({ snippets: [] })).toThrow('Invalid snippet bundle');
+        expect(() => library.importBundle({ format: SNIPPET_BUNDLE_FORMAT, version: 99, snippets: [] })).toThrow('Unsupported snippet bundle version 99');
+        expect(() => library.importBundle({ format: SNIPPET_BUNDLE_FORMAT, version: 1, snippets: [snippet, snippet] })).toThrow('duplicate snippet "b.js"');
+        expect(() => library.importBundle({ format: SNIPPET_BUNDLE_FORMAT, version: 1, snippets: [{ ...snippet, name: 'main.js' }] })).toThrow('Invalid snippet bundle');
+
+        expect(library.list().map(existing => existing.name)).toEqual(['a.js']);
+    });
+
+    it('should report when localStorage refuses the library', () => {
+        vi.spyOn(localStorage, 'setItem').mockImplementation(() => {
+            throw new DOMException('Quota exceeded', 'QuotaExceededError');
+        });
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect(() => library.save('a.js', 'a')).toThrow('Failed to save the snippet library');
+        expect(library.list()).toEqual([]);
+
+        vi.restoreAllMocks();
+    });
+});
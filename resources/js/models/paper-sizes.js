@@ -0,0 +1,188 @@
+/**
+ * Paper Sizes
+ *
+ * Standard paper presets (US, ISO A and B series, cards and watercolor
+ * blocks) and conversions between the units paper is measured in. Presets
+ * keep the dimensions they are sold in; viewport sizes are always stored
+ * in inches with the unit the user chose for display.
+ *
+ * @typedef {Object} PaperSize
+ * @property {string} id - Unique identifier
+ * @property {string} name - Display name
+ * @property {string} group - Group shown in the paper menu
+ * @property {number} width - Portrait width in the paper's unit
+ * @property {number} height - Portrait height in the paper's unit
+ * @property {'in'|'mm'|'cm'} unit - Unit the dimensions are given in
+ */
+
+import { formatCoordinate } from '../geometry/polyline.js';
+
+/**
+ * Units paper sizes can be entered in
+ * @type {string[]}
+ */
+export const PAPER_UNITS = ['in', 'mm', 'cm'];
+
+/**
+ * Units a sketch's viewBox can be expressed in
+ * @type {string[]}
+ */
+export const DRAWING_UNITS = ['in', 'mm'];
+
+/**
+ * Length of an inch in each unit
+ */
+export const UNITS_PER_INCH = Object.freeze({
+    in: 1,
+    mm: 25.4,
+    cm: 2.54
+});
+
+/**
+ * Group of the presets the user saves
+ */
+export const CUSTOM_PAPER_GROUP = 'My sizes';
+
+/**
+ * Standard paper sizes, in portrait orientation
+ * @type {PaperSize[]}
+ */
+export const PAPER_SIZES = [
+    { id: 'letter', name: 'Letter', group: 'US', width: 8.5, height: 11, unit: 'in' },
+    { id: 'legal', name: 'Legal', group: 'US', width: 8.5, height: 14, unit: 'in' },
+    { id: 'tabloid', name: 'Tabloid', group: 'US', width: 11, height: 17, unit: 'in' },
+    { id: 'a0', name: 'A0', group: 'ISO A', width: 841, height: 1189, unit: 'mm' },
+    { id: 'a1', name: 'A1', group: 'ISO A', width: 594, height: 841, unit: 'mm' },
+    { id: 'a2', name: 'A2', group: 'ISO A', width: 420, height: 594, unit: 'mm' },
+    { id: 'a3', name: 'A3', group: 'ISO A', width: 297, height: 420, unit: 'mm' },
+    { id: 'a4', name: 'A4', group: 'ISO A', width: 210, height: 297, unit: 'mm' },
+    { id: 'a5', name: 'A5', group: 'ISO A', width: 148, height: 210, unit: 'mm' },
+    { id: 'a6', name: 'A6', group: 'ISO A', width: 105, height: 148, unit: 'mm' },
+    { id: 'b1', name: 'B1', group: 'ISO B', width: 707, height: 1000, unit: 'mm' },
+    { id: 'b2', name: 'B2', group: 'ISO B', width: 500, height: 707, unit: 'mm' },
+    { id: 'b3', name: 'B3', group: 'ISO B', width: 353, height: 500, unit: 'mm' },
+    { id: 'b4', name: 'B4', group: 'ISO B', width: 250, height: 353, unit: 'mm' },
+    { id: 'b5', name: 'B5', group: 'ISO B', width: 176, height: 250, unit: 'mm' },
+    { id: 'b6', name: 'B6', group: 'ISO B', width: 125, height: 176, unit: 'mm' },
+    { id: 'postcard', name: 'Postcard', group: 'Cards', width: 4, height: 6, unit: 'in' },
+    { id: 'postcard-large', name: 'Large postcard', group: 'Cards', width: 5, height: 7, unit: 'in' },
+    { id: 'small-print', name: 'Small print', group: 'Cards', width: 4, height: 5, unit: 'in' },
+    { id: 'square', name: 'Square', group: 'Cards', width: 6, height: 6, unit: 'in' },
+    { id: 'block-9x12', name: 'Watercolor block', group: 'Watercolor blocks', width: 9, height: 12, unit: 'in' },
+    { id: 'block-10x14', name: 'Watercolor block', group: 'Watercolor blocks', width: 10, height: 14, unit: 'in' },
+    { id: 'block-12x16', name: 'Watercolor block', group: 'Watercolor blocks', width: 12, height: 16, unit: 'in' },
+    { id: 'block-18x26', name: 'Watercolor block', group: 'Watercolor blocks', width: 18, height: 26, unit: 'cm' },
+    { id: 'block-23x31', name: 'Watercolor block', group: 'Watercolor blocks', width: 23, height: 31, unit: 'cm' },
+    { id: 'block-26x36', name: 'Watercolor block', group: 'Watercolor blocks', width: 26, height: 36, unit: 'cm' },
+    { id: 'block-31x41', name: 'Watercolor block', group: 'Watercolor blocks', width: 31, height: 41, unit: 'cm' }
+];
+
+/**
+ * Converts a length to inches
+ *
+ * @param {number} value - Length in the given unit
+ * @param {'in'|'mm'|'cm'} unit - Unit of the length
+ * @returns {number} Length in inches
+ */
+export function toInches(value, unit) {
+    return value / UNITS_PER_INCH[unit];
+}
+
+/**
+ * Converts a length from inches
+ *
+ * @param {number} inches - Length in inches
+ * @param {'in'|'mm'|'cm'} unit - Unit to convert to
+ * @returns {number} Length in the given unit
+ */
+export function fromInches(inches, unit) {
+    return inches * UNITS_PER_INCH[unit];
+}
+
+/**
+ * Formats paper dimensions for display, e.g. "210 × 297 mm"
+ *
+ * @param {number} width - Width in the given unit
+ * @param {number} height - Height in the given unit
+ * @param {'in'|'mm'|'cm'} unit - Unit of the dimensions
+ * @returns {string} Formatted dimensions
+ */
+export function formatPaperDimensions(width, height, unit) {
+    return `${formatCoordinate(width, 2)} × ${formatCoordinate(height, 2)} ${unit}`;
+}
+
+/**
+ * Builds a viewport size from dimensions in any paper unit
+ *
+ * @param {number} width - Width in the given unit
+ * @param {number} height - Height in the given unit
+ * @param {'in'|'mm'|'cm'} unit - Unit of the dimensions
+ * @param {string} [name] - Paper name to prefix the label with
+ * @returns {import('./project').ViewportSize} Viewport size in inches
+ */
+export function createViewportSize(width, height, unit, name) {
+    const dimensions = formatPaperDimensions(width, height, unit);
+    return {
+        width: toInches(width, unit),
+        height: toInches(height, unit),
+        label: name ? `${name} (${dimensions})` : dimensions,
+        unit
+    };
+}
+
+/**
+ * Builds the viewport size for a paper in the given orientation
+ *
+ * @param {PaperSize} paper - Paper size
+ * @param {'portrait'|'landscape'} [orientation='portrait'] - Page orientation
+ * @returns {import('./project').ViewportSize} Viewport size in inches
+ */
+export function paperViewportSize(paper, orientation = 'portrait') {
+    const [width, height] = orientation === 'landscape'
+        ? [paper.height, paper.width]
+        : [paper.width, paper.height];
+    return createViewportSize(width, height, paper.unit, paper.name);
+}
+
+/**
+ * Finds the paper a viewport size was made from, in either orientation
+ * Sizes match when they agree to within a hundredth of a millimetre.
+ *
+ * @param {{width: number, height: number}} viewportSize - Size in inches
+ * @param {PaperSize[]} [papers=PAPER_SIZES] - Papers to search
+ * @returns {{paper: PaperSize, orientation: 'portrait'|'landscape'}|null} Matching paper, or null
+ */
+export function findPaperSize(viewportSize, papers = PAPER_SIZES) {
+    const tolerance = toInches(0.01, 'mm');
+    const near = (a, b) => Math.abs(a - b) <= tolerance;
+
+    for (const paper of papers) {
+        const width = toInches(paper.width, paper.unit);
+        const height = toInches(paper.height, paper.unit);
+        if (near(viewportSize.width, width) && near(viewportSize.height, height)) {
+            return { paper, orientation: 'portrait' };
+        }
+        if (near(viewportSize.width, height) && near(viewportSize.height, width)) {
+            return { paper, orientation: 'landscape' };
+        }
+    }
+    return null;
+}
+
+/**
+ * Validates a paper size
+ *
+ * @param {any} paper - Object to validate
+ * @returns {boolean} True if valid paper size
+ */
+export function isValidPaperSize(paper) {
+    return Boolean(
+        paper &&
+        typeof paper === 'object' &&
+        typeof paper.id === 'string' &&
+        typeof paper.name === 'string' &&
+        typeof paper.group === 'string' &&
+        [paper.width, paper.height].every(value => typeof value === 'number' && Number.isFinite(value) && value > 0) &&
+        PAPER_UNITS.includes(paper.unit)
+    );
+}
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    PAPER_SIZES,
+    PAPER_UNITS,
+    toInches,
+    fromInches,
+    createViewportSize,
+    paperViewportSize,
+    findPaperSize,
+    isValidPaperSize
+} from './paper-sizes.js';
+import { isValidViewportSize } from './project.js';
+
+describe('paper sizes', () => {
+    it('should list valid portrait presets with unique ids', () => {
+        expect(PAPER_SIZES.every(isValidPaperSize)).toBe(true);
+        expect(PAPER_SIZES.every(paper => paper.width <= paper.height)).toBe(true);
+        expect(new Set(PAPER_SIZES.map(paper => paper.id)).size).toBe(PAPER_SIZES.length);
+    });
+
+    it('should convert between units', () => {
+        expect(toInches(25.4, 'mm')).toBe(1);
+        expect(toInches(2.54, 'cm')).toBe(1);
+        expect(fromInches(2, 'in')).toBe(2);
+        fc.assert(
+            fc.property(
+                fc.double({ min: 0.001, max: 5000, noNaN: true }),
+                fc.constantFrom(...PAPER_UNITS),
+                (value, unit) => Math.abs(fromInches(toInches(value, unit), unit) - value) < 1e-9 * value
+            )
+        );
+    });
+
+    it('should build labelled viewport sizes in inches', () => {
+        const a4 = PAPER_SIZES.find(paper => paper.id === 'a4');
+        const landscape = paperViewportSize(a4, 'landscape');
+
+        expect(landscape.label).toBe('A4 (297 × 210 mm)');
+        expect(landscape.unit).toBe('mm');
+        expect(landscape.width).toBeCloseTo(11.6929, 4);
+        expect(isValidViewportSize(landscape)).toBe(true);
+        expect(createViewportSize(12.5, 9, 'in')).toEqual({ width: 12.5, height: 9, label: '12.5 × 9 in', unit: 'in' });
+    });
+
+    it('should find the paper of a size in either orientation', () => {
+        expect(findPaperSize({ width: 11, height: 8.5 })).toMatchObject({ paper: { id: 'letter' }, orientation: 'landscape' });
+        expect(findPaperSize({ width: 18 / 2.54, height: 26 / 2.54 })).toMatchObject({ paper: { id: 'block-18x26' } });
+        expect(findPaperSize({ width: 7, height: 7 })).toBeNull();
+    });
+
+    it('should reject invalid paper sizes', () => {
+        const valid = { id: 'x', name: 'X', group: 'My sizes', width: 1, height: 2, unit: 'cm' };
+        expect(isValidPaperSize(valid)).toBe(true);
+        expect(isValidPaperSize({ ...valid, unit: 'pt' })).toBe(false);
+        expect(isValidPaperSize({ ...valid, width: 0 })).toBe(false);
+        expect(isValidPaperSize({ ...valid, name: undefined })).toBe(false);
+        expect(isValidPaperSize(null)).toBe(false);
+    });
+});
@@ -6,18 +6,120 @@
  * @typedef {Object} ViewportSize
  * @property {number} width - Width in inches
  * @property {number} height - Height in inches
- * @property {string} label - Display label (e.g., "8.5x11")
+ * @property {string} [label] - Display label (e.g., "A4 (210 × 297 mm)")
+ * @property {'in'|'mm'|'cm'} [unit] - Unit the size was chosen in, used to display it (default inches)
  */
 
 /**
  * @typedef {Object} Project
+ * @property {number} formatVersion - Version of the saved project format
+ * @property {string} id - Identifier of the project in the project library
  * @property {string} name - Project name
  * @property {string} code - JavaScript code for SVG generation
+ * @property {import('../generators/sketch-modules').SketchFile[]} files - Helper modules the code can import, in tab order
  * @property {ViewportSize} viewportSize - Viewport dimensions
+ * @property {number} seed - Seed for the sketch's random helpers
+ * @property {boolean} seedLocked - Whether Regenerate keeps the current seed
+ * @property {Object<string, number|boolean|string>} params - Values chosen for the sketch's params()
+ * @property {PlotOptions} plotOptions - Export-time plot processing settings
+ * @property {string[]} hiddenLayers - Names of layers hidden in the preview and left out of exports
+ * @property {import('../utils/gcode-exporter').GCodeOptions} gcodeOptions - Machine settings for G-code export
+ * @property {import('../utils/hpgl-exporter').HPGLOptions} hpglOptions - Plotter settings for HPGL export
+ * @property {import('../geometry/plot-timeline').MotionProfile} motionProfile - Plotter speeds for the time estimate and simulation
+ * @property {Margins} margins - Paper margins shown as guides in the preview
+ * @property {GuideOptions} guides - Rulers and grid shown in the preview
+ * @property {'in'|'mm'} drawingUnits - Units of the sketch's viewBox
+ * @property {string[]} tags - Tags for finding the project in the library
  * @property {string} createdAt - ISO 8601 timestamp
  * @property {string} updatedAt - ISO 8601 timestamp
  */
 
+import { generateSeed, isValidSeed } from '../utils/seeded-random.js';
+import { isValidParamValues } from '../generators/sketch-params.js';
+import { SKETCH_MAIN_FILE, isValidModuleName } from '../generators/sketch-modules.js';
+import { DEFAULT_MERGE_TOLERANCE } from '../geometry/path-cleanup.js';
+import { DEFAULT_HATCH_SPACING, DEFAULT_HATCH_ANGLE } from '../utils/svg-hatching.js';
+import { DEFAULT_GCODE_OPTIONS, isValidGCodeOptions } from '../utils/gcode-exporter.js';
+import { DEFAULT_HPGL_OPTIONS, isValidHPGLOptions } from '../utils/hpgl-exporter.js';
+import { DEFAULT_MOTION_PROFILE, isValidMotionProfile } from '../geometry/plot-timeline.js';
+import { PAPER_UNITS, DRAWING_UNITS } from './paper-sizes.js';
+
+/**
+ * @typedef {Object} PlotOptions
+ * @property {boolean} optimizePaths - Flatten and reorder paths to reduce pen-up travel
+ * @property {boolean} reversePaths - Allow paths to be drawn in the opposite direction
+ * @property {boolean} mergePaths - Join touching paths and remove duplicate segments
+ * @property {number} mergeTolerance - Distance within which endpoints coincide (inches)
+ * @property {boolean} separateLayers - Export each layer as its own file
+ * @property {boolean} clipToPage - Cut lines at the edge of the page so the pen never leaves it
+ * @property {boolean} clipToMargins - Cut lines at the margins instead of the page edge
+ * @property {boolean} hatchFills - Replace fills with hatch lines, which the plotter can draw
+ * @property {number} hatchSpacing - Distance between hatch lines (inches)
+ * @property {number} hatchAngle - Hatch angle (degrees)
+ * @property {boolean} crossHatch - Hatch in two directions
+ * @property {boolean} removeHiddenLines - Remove lines covered by filled shapes drawn after them
+ * @property {boolean} previewPlotted - Show fills in the preview as they will be plotted
+ */
+
+/**
+ * Plot processing settings for new projects
+ * @type {PlotOptions}
+ */
+export const DEFAULT_PLOT_OPTIONS = Object.freeze({
+    optimizePaths: true,
+    reversePaths: true,
+    mergePaths: true,
+    mergeTolerance: DEFAULT_MERGE_TOLERANCE,
+    separateLayers: false,
+    clipToPage: true,
+    clipToMargins: false,
+    hatchFills: false,
+    hatchSpacing: DEFAULT_HATCH_SPACING,
+    hatchAngle: DEFAULT_HATCH_ANGLE,
+    crossHatch: false,
+    removeHiddenLines: false,
+    previewPlotted: false
+});
+
+/**
+ * @typedef {Object} Margins
+ * @property {number} top - Top margin in inches
+ * @property {number} right - Right margin in inches
+ * @property {number} bottom - Bottom margin in inches
+ * @property {number} left - Left margin in inches
+ */
+
+/**
+ * Margins for new projects: none, so no guide is drawn
+ * @type {Margins}
+ */
+export const DEFAULT_MARGINS = Object.freeze({ top: 0, right: 0, bottom: 0, left: 0 });
+
+/**
+ * Units the rulers and guide settings can show
+ * @type {string[]}
+ */
+export const GUIDE_UNITS = ['in', 'mm'];
+
+/**
+ * @typedef {Object} GuideOptions
+ * @property {boolean} rulers - Show rulers along the preview edges
+ * @property {boolean} grid - Show a grid over the page
+ * @property {number} gridSpacing - Grid spacing in inches
+ * @property {'in'|'mm'} units - Units of the rulers and guide settings
+ */
+
+/**
+ * Preview guide settings for new projects
+ * @type {GuideOptions}
+ */
+export const DEFAULT_GUIDE_OPTIONS = Object.freeze({
+    rulers: false,
+    grid: false,
+    gridSpacing: 0.5,
+    units: 'in'
+});
+
 /**
  * Predefined viewport size presets for common plotter dimensions
  * @type {ViewportSize[]}
@@ -29,6 +131,79 @@ export const VIEWPORT_PRESETS = [
     { width: 4, height: 5, label: "4x5" }
 ];
 
+/**
+ * Version of the project format written by this build
+ * Files without a formatVersion are version 1.
+ * @type {number}
+ */
+export const PROJECT_FORMAT_VERSION = 3;
+
+/**
+ * Upgrades between consecutive format versions
+ * The function under key n turns a version n project into version n + 1.
+ * Add one here whenever a change to the model needs older files rewritten.
+ * 
+ * @type {Object<number, function(Object): Object>}
+ */
+const PROJECT_MIGRATIONS = {
+    // Version 1 files predate the project library, which needs an id and tags
+    1: project => ({
+        ...project,
+        id: project.id === undefined ? createId() : project.id,
+        tags: project.tags === undefined ? [] : project.tags
+    }),
+    // Version 3 adds helper modules; older editors would drop them silently
+    2: project => ({
+        ...project,
+        files: project.files === undefined ? [] : project.files
+    })
+};
+
+/**
+ * Upgrades a saved project to the current format version
+ * Runs every migration from the project's version onwards. Fields are
+ * validated afterwards by isValidProject.
+ * 
+ * @param {Object} project - Project as read from a file or storage
+ * @returns {Object} Project in the current format
+ * @throws {Error} If the format version is invalid or newer than this build supports
+ */
+export function migrateProject(project) {
+    if (!project || typeof project !== 'object') {
+        throw new Error('Invalid project structure: not an object');
+    }
+
+    const version = project.formatVersion === undefined ? 1 : project.formatVersion;
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`Invalid project format version: ${JSON.stringify(project.formatVersion)}`);
+    }
+    if (version > PROJECT_FORMAT_VERSION) {
+        throw new Error(
+            `Unsupported project format version ${version}: the project was saved by a newer version of the editor, ` +
+            `which this version (format ${PROJECT_FORMAT_VERSION}) cannot open`
+        );
+    }
+
+    let migrated = project;
+    for (let from = version; from < PROJECT_FORMAT_VERSION; from++) {
+        migrated = PROJECT_MIGRATIONS[from](migrated);
+    }
+    return { ...migrated, formatVersion: PROJECT_FORMAT_VERSION };
+}
+
+/**
+ * Creates a unique identifier for a project or snapshot
+ * 
+ * @returns {string} New id
+ */
+export function createId() {
+    if (globalThis.crypto && typeof globalThis.crypto.randomUUID === 'function') {
+        return globalThis.crypto.randomUUID();
+    }
+    // randomUUID is only available in secure contexts
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
 /**
  * Creates a new Project object with default values
  * 
@@ -40,9 +215,25 @@ export const VIEWPORT_PRESETS = [
 export function createProject(name, viewportSize, code = '') {
     const now = new Date().toISOString();
     return {
+        formatVersion: PROJECT_FORMAT_VERSION,
+        id: createId(),
         name,
         code,
+        files: [],
         viewportSize,
+        seed: generateSeed(),
+        seedLocked: false,
+        params: {},
+        plotOptions: { ...DEFAULT_PLOT_OPTIONS },
+        hiddenLayers: [],
+        gcodeOptions: { ...DEFAULT_GCODE_OPTIONS },
+        hpglOptions: { ...DEFAULT_HPGL_OPTIONS },
+        motionProfile: { ...DEFAULT_MOTION_PROFILE },
+        margins: { ...DEFAULT_MARGINS },
+        // Metric paper gets metric rulers
+        guides: { ...DEFAULT_GUIDE_OPTIONS, units: _isMetric(viewportSize) ? 'mm' : 'in' },
+        drawingUnits: 'in',
+        tags: [],
         createdAt: now,
         updatedAt: now
     };
@@ -61,8 +252,168 @@ export function touchProject(project) {
     };
 }
 
+/**
+ * Fills in optional fields that projects saved by older versions lack
+ * 
+ * @param {Project} project - Project to complete
+ * @returns {Project} Project with all optional fields present
+ */
+export function applyProjectDefaults(project) {
+    return {
+        ...project,
+        id: _isValidId(project.id) ? project.id : createId(),
+        files: isValidProjectFiles(project.files) ? project.files : [],
+        seed: isValidSeed(project.seed) ? project.seed : generateSeed(),
+        seedLocked: typeof project.seedLocked === 'boolean' ? project.seedLocked : false,
+        params: isValidParamValues(project.params) ? project.params : {},
+        plotOptions: {
+            ...DEFAULT_PLOT_OPTIONS,
+            ...(isValidPlotOptions(project.plotOptions) ? project.plotOptions : {})
+        },
+        hiddenLayers: isValidLayerNames(project.hiddenLayers) ? project.hiddenLayers : [],
+        gcodeOptions: {
+            ...DEFAULT_GCODE_OPTIONS,
+            ...(isValidGCodeOptions(project.gcodeOptions) ? project.gcodeOptions : {})
+        },
+        hpglOptions: {
+            ...DEFAULT_HPGL_OPTIONS,
+            ...(isValidHPGLOptions(project.hpglOptions) ? project.hpglOptions : {})
+        },
+        motionProfile: isValidMotionProfile(project.motionProfile)
+            ? project.motionProfile
+            : { ...DEFAULT_MOTION_PROFILE },
+        margins: isValidMargins(project.margins) ? project.margins : { ...DEFAULT_MARGINS },
+        guides: {
+            ...DEFAULT_GUIDE_OPTIONS,
+            ...(isValidGuideOptions(project.guides) ? project.guides : {})
+        },
+        drawingUnits: DRAWING_UNITS.includes(project.drawingUnits) ? project.drawingUnits : 'in',
+        tags: isValidTags(project.tags) ? project.tags : []
+    };
+}
+
+/**
+ * Whether a value can be used as a project id
+ * 
+ * @private
+ * @param {any} id - Value to check
+ * @returns {boolean} True for a non-empty string
+ */
+function _isValidId(id) {
+    return typeof id === 'string' && id.length > 0;
+}
+
+/**
+ * Whether a viewport size was chosen in metric units
+ * 
+ * @private
+ * @param {ViewportSize} viewportSize - Viewport size
+ * @returns {boolean} True for sizes chosen in mm or cm
+ */
+function _isMetric(viewportSize) {
+    return Boolean(viewportSize) && (viewportSize.unit === 'mm' || viewportSize.unit === 'cm');
+}
+
+/**
+ * Validates the helper modules of a project
+ * 
+ * @param {any} files - Value to validate
+ * @returns {boolean} True if an array of {name, code} with unique valid names other than the main file
+ */
+export function isValidProjectFiles(files) {
+    return (
+        Array.isArray(files) &&
+        files.every(file =>
+            file &&
+            typeof file === 'object' &&
+            isValidModuleName(file.name) &&
+            file.name !== SKETCH_MAIN_FILE &&
+            typeof file.code === 'string'
+        ) &&
+        new Set(files.map(file => file.name)).size === files.length
+    );
+}
+
+/**
+ * Validates a list of project tags
+ * 
+ * @param {any} tags - Value to validate
+ * @returns {boolean} True if an array of non-empty strings
+ */
+export function isValidTags(tags) {
+    return Array.isArray(tags) && tags.every(tag => typeof tag === 'string' && tag.trim().length > 0);
+}
+
+/**
+ * Validates a list of layer names
+ * 
+ * @param {any} names - Value to validate
+ * @returns {boolean} True if an array of strings
+ */
+export function isValidLayerNames(names) {
+    return Array.isArray(names) && names.every(name => typeof name === 'string');
+}
+
+/**
+ * Validates plot options
+ * Options missing from older projects are allowed and take their defaults.
+ * 
+ * @param {any} plotOptions - Object to validate
+ * @returns {boolean} True if valid plot options
+ */
+export function isValidPlotOptions(plotOptions) {
+    return Boolean(
+        plotOptions &&
+        typeof plotOptions === 'object' &&
+        ['optimizePaths', 'reversePaths', 'mergePaths', 'separateLayers', 'clipToPage', 'clipToMargins', 'hatchFills', 'crossHatch', 'removeHiddenLines', 'previewPlotted'].every(key =>
+            plotOptions[key] === undefined || typeof plotOptions[key] === 'boolean'
+        ) &&
+        (plotOptions.mergeTolerance === undefined ||
+            (Number.isFinite(plotOptions.mergeTolerance) && plotOptions.mergeTolerance >= 0)) &&
+        (plotOptions.hatchSpacing === undefined ||
+            (Number.isFinite(plotOptions.hatchSpacing) && plotOptions.hatchSpacing > 0)) &&
+        (plotOptions.hatchAngle === undefined || Number.isFinite(plotOptions.hatchAngle))
+    );
+}
+
+/**
+ * Validates page margins
+ * Every side is required and must be at least 0.
+ * 
+ * @param {any} margins - Object to validate
+ * @returns {boolean} True if valid margins
+ */
+export function isValidMargins(margins) {
+    return Boolean(
+        margins &&
+        typeof margins === 'object' &&
+        ['top', 'right', 'bottom', 'left'].every(side =>
+            typeof margins[side] === 'number' && Number.isFinite(margins[side]) && margins[side] >= 0
+        )
+    );
+}
+
+/**
+ * Validates preview guide options
+ * Options missing from older projects are allowed and take their defaults.
+ * 
+ * @param {any} guides - Object to validate
+ * @returns {boolean} True if valid guide options
+ */
+export function isValidGuideOptions(guides) {
+    return Boolean(
+        guides &&
+        typeof guides === 'object' &&
+        ['rulers', 'grid'].every(key => guides[key] === undefined || typeof guides[key] === 'boolean') &&
+        (guides.gridSpacing === undefined ||
+            (typeof guides.gridSpacing === 'number' && Number.isFinite(guides.gridSpacing) && guides.gridSpacing > 0)) &&
+        (guides.units === undefined || GUIDE_UNITS.includes(guides.units))
+    );
+}
+
 /**
  * Validates a viewport size object
+ * The label and unit are optional; sizes are always in inches.
  * 
  * @param {any} viewportSize - Object to validate
  * @returns {boolean} True if valid viewport size
@@ -73,7 +424,8 @@ export function isValidViewportSize(viewportSize) {
         typeof viewportSize === 'object' &&
         typeof viewportSize.width === 'number' &&
         typeof viewportSize.height === 'number' &&
-        typeof viewportSize.label === 'string' &&
+        (viewportSize.label === undefined || typeof viewportSize.label === 'string') &&
+        (viewportSize.unit === undefined || PAPER_UNITS.includes(viewportSize.unit)) &&
         viewportSize.width > 0 &&
         viewportSize.height > 0
     );
@@ -89,9 +441,27 @@ export function isValidProject(project) {
     return (
         project &&
         typeof project === 'object' &&
+        (project.formatVersion === undefined ||
+            (Number.isInteger(project.formatVersion) &&
+                project.formatVersion >= 1 &&
+                project.formatVersion <= PROJECT_FORMAT_VERSION)) &&
+        (project.id === undefined || _isValidId(project.id)) &&
         typeof project.name === 'string' &&
         typeof project.code === 'string' &&
+        (project.files === undefined || isValidProjectFiles(project.files)) &&
         isValidViewportSize(project.viewportSize) &&
+        (project.seed === undefined || isValidSeed(project.seed)) &&
+        (project.seedLocked === undefined || typeof project.seedLocked === 'boolean') &&
+        (project.params === undefined || isValidParamValues(project.params)) &&
+        (project.plotOptions === undefined || isValidPlotOptions(project.plotOptions)) &&
+        (project.hiddenLayers === undefined || isValidLayerNames(project.hiddenLayers)) &&
+        (project.gcodeOptions === undefined || isValidGCodeOptions(project.gcodeOptions)) &&
+        (project.hpglOptions === undefined || isValidHPGLOptions(project.hpglOptions)) &&
+        (project.motionProfile === undefined || isValidMotionProfile(project.motionProfile)) &&
+        (project.margins === undefined || isValidMargins(project.margins)) &&
+        (project.guides === undefined || isValidGuideOptions(project.guides)) &&
+        (project.drawingUnits === undefined || DRAWING_UNITS.includes(project.drawingUnits)) &&
+        (project.tags === undefined || isValidTags(project.tags)) &&
         typeof project.createdAt === 'string' &&
         typeof project.updatedAt === 'string'
     );
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    PROJECT_FORMAT_VERSION,
+    VIEWPORT_PRESETS,
+    createProject,
+    migrateProject,
+    isValidProject
+} from './project.js';
+
+describe('project format migrations', () => {
+    const legacy = {
+        name: 'Legacy',
+        code: 'draw.circle(1);',
+        viewportSize: VIEWPORT_PRESETS[0],
+        createdAt: '2025-01-01T00:00:00.000Z',
+        updatedAt: '2025-01-01T00:00:00.000Z'
+    };
+
+    it('should write new projects in the current format', () => {
+        expect(createProject('New', VIEWPORT_PRESETS[0]).formatVersion).toBe(PROJECT_FORMAT_VERSION);
+    });
+
+    it('should upgrade unversioned files, keeping what they have', () => {
+        const migrated = migrateProject(legacy);
+
+        expect(migrated).toMatchObject({ ...legacy, formatVersion: PROJECT_FORMAT_VERSION, tags: [], files: [] });
+        expect(migrated.id).toEqual(expect.any(String));
+        expect(isValidProject(migrated)).toBe(true);
+        expect(legacy).not.toHaveProperty('formatVersion');
+
+        expect(migrateProject({ ...legacy, id: 'kept', tags: ['a'] })).toMatchObject({ id: 'kept', tags: ['a'] });
+    });
+
+    it('should give version 2 files no helper modules', () => {
+        const { files, ...version2 } = { ...createProject('Two', VIEWPORT_PRESETS[0]), formatVersion: 2 };
+        expect(migrateProject(version2)).toEqual({ ...version2, files: [], formatVersion: PROJECT_FORMAT_VERSION });
+    });
+
+    it('should validate helper modules', () => {
+        const project = createProject('Files', VIEWPORT_PRESETS[0]);
+        expect(isValidProject({ ...project, files: [{ name: 'hatching.js', code: '' }] })).toBe(true);
+
+        for (const files of [
+            [{ name: 'main.js', code: '' }],
+            [{ name: 'hatching', code: '' }],
+            [{ name: 'a.js', code: 1 }],
+            [{ name: 'a.js', code: '' }, { name: 'a.js', code: '' }]
+        ]) {
+            expect(isValidProject({ ...project, files })).toBe(false);
+        }
+    });
+
+    it('should leave current projects unchanged', () => {
+        fc.assert(
+            fc.property(fc.string(), fc.string(), (name, code) => {
+                const project = createProject(name, VIEWPORT_PRESETS[1], code);
+                expect(migrateProject(project)).toEqual(project);
+            }),
+            { numRuns: 25 }
+        );
+    });
+
+    it('should refuse files from a newer format version', () => {
+        const newer = { ...legacy, formatVersion: PROJECT_FORMAT_VERSION + 1 };
+
+        expect(() => migrateProject(newer)).toThrow(`Unsupported project format version ${PROJECT_FORMAT_VERSION + 1}`);
+        expect(isValidProject(newer)).toBe(false);
+    });
+
+    it('should reject invalid format versions', () => {
+        for (const formatVersion of [0, 1.5, '2', null]) {
+            expect(() => migrateProject({ ...legacy, formatVersion })).toThrow('Invalid project format version');
+        }
+        expect(() => migrateProject('text')).toThrow('Invalid project structure');
+    });
+});
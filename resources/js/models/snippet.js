@@ -0,0 +1,100 @@
+/**
+ * Snippets
+ *
+ * Modules in the user's snippet library, shared by every project in this
+ * browser. A sketch imports a snippet by name just like one of its own
+ * files; a project file with the same name takes precedence. The library
+ * moves between browsers as a JSON bundle.
+ *
+ * @typedef {Object} Snippet
+ * @property {string} name - Module name, e.g. "hatching.js"
+ * @property {string} code - Source code
+ * @property {string} updatedAt - ISO 8601 timestamp of the last edit
+ *
+ * @typedef {Object} SnippetBundle
+ * @property {string} format - Always SNIPPET_BUNDLE_FORMAT
+ * @property {number} version - Bundle format version
+ * @property {string} exportedAt - ISO 8601 timestamp
+ * @property {Snippet[]} snippets - Snippets in the bundle
+ */
+
+import { SKETCH_MAIN_FILE, isValidModuleName } from '../generators/sketch-modules.js';
+
+/**
+ * Marks a JSON file as a snippet bundle
+ * @type {string}
+ */
+export const SNIPPET_BUNDLE_FORMAT = 'plotter-snippets';
+
+/**
+ * Version of the bundle format written by createSnippetBundle
+ * @type {number}
+ */
+export const SNIPPET_BUNDLE_VERSION = 1;
+
+/**
+ * Whether a name can be used for a snippet
+ * Snippet names follow the rules for sketch files; main.js is reserved.
+ *
+ * @param {any} name - Value to check
+ * @returns {boolean} True if valid snippet name
+ */
+export function isValidSnippetName(name) {
+    return isValidModuleName(name) && name !== SKETCH_MAIN_FILE;
+}
+
+/**
+ * Validates a snippet
+ *
+ * @param {any} snippet - Object to validate
+ * @returns {boolean} True if valid snippet
+ */
+export function isValidSnippet(snippet) {
+    return Boolean(
+        snippet &&
+        typeof snippet === 'object' &&
+        isValidSnippetName(snippet.name) &&
+        typeof snippet.code === 'string' &&
+        typeof snippet.updatedAt === 'string'
+    );
+}
+
+/**
+ * Creates a bundle for exporting snippets
+ *
+ * @param {Snippet[]} snippets - Snippets to export
+ * @returns {SnippetBundle} Bundle ready to be written as JSON
+ */
+export function createSnippetBundle(snippets) {
+    return {
+        format: SNIPPET_BUNDLE_FORMAT,
+        version: SNIPPET_BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        snippets: snippets.map(({ name, code, updatedAt }) => ({ name, code, updatedAt }))
+    };
+}
+
+/**
+ * Reads the snippets from an imported bundle
+ *
+ * @param {any} data - Parsed JSON of the bundle
+ * @returns {Snippet[]} Snippets in the bundle
+ * @throws {Error} If the data is not a bundle, is from a newer version or holds an invalid snippet
+ */
+export function parseSnippetBundle(data) {
+    if (!data || typeof data !== 'object' || data.format !== SNIPPET_BUNDLE_FORMAT || !Array.isArray(data.snippets)) {
+        throw new Error('Invalid snippet bundle: not a snippet library export');
+    }
+    if (data.version !== SNIPPET_BUNDLE_VERSION) {
+        throw new Error(`Unsupported snippet bundle version ${data.version}`);
+    }
+
+    const names = new Set();
+    return data.snippets.map(snippet => {
+        if (!isValidSnippet(snippet) || names.has(snippet.name)) {
+            throw new Error(`Invalid snippet bundle: bad or duplicate snippet ${JSON.stringify(snippet?.name ?? null)}`);
+        }
+        names.add(snippet.name);
+        return { name: snippet.name, code: snippet.code, updatedAt: snippet.updatedAt };
+    });
+}
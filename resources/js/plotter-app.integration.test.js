@@ -5,6 +5,10 @@
 
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { PlotterApp } from './plotter-app.js';
+import { SnippetLibrary } from './managers/snippet-library.js';
+import { MOTION_PRESETS } from './geometry/plot-stats.js';
+import { PROJECT_FORMAT_VERSION } from './models/project.js';
+import { runSketch } from './generators/sketch-runtime.js';
 
 describe('PlotterApp Integration Tests', () => {
     let container;
@@ -18,6 +22,7 @@ describe('PlotterApp Integration Tests', () => {
         document.body.innerHTML = `
             <div id="app">
                 <div id="preview-panel"></div>
+                <div id="file-tabs"></div>
                 <div id="code-editor"></div>
                 <div id="control-panel">
                     <button id="new-project-btn">New Project</button>
@@ -28,20 +33,63 @@ describe('PlotterApp Integration Tests', () => {
                 </div>
                 <div id="error-display"></div>
                 <div id="viewport-display"></div>
+                <div id="seed-display"></div>
+                <div id="param-panel"></div>
+                <div id="layer-panel"></div>
+                <div id="plot-options-panel"></div>
+                <div id="plot-stats-panel"></div>
+                <div id="guides-panel"></div>
                 <div id="save-dialog" class="hidden">
                     <input id="save-filename" type="text" />
                     <button id="confirm-save">Save</button>
                     <button id="cancel-save">Cancel</button>
                 </div>
+                <div id="gcode-dialog" class="hidden">
+                    <div id="gcode-fields"></div>
+                    <button id="confirm-gcode">Export</button>
+                    <button id="cancel-gcode">Cancel</button>
+                </div>
+                <div id="hpgl-dialog" class="hidden">
+                    <div id="hpgl-fields"></div>
+                    <button id="confirm-hpgl">Export</button>
+                    <button id="cancel-hpgl">Cancel</button>
+                </div>
                 <div id="new-project-dialog" class="hidden">
                     <input id="project-name" />
-                    <input type="radio" name="viewport" value="8.5x11" checked />
-                    <input type="radio" name="viewport" value="11x8.5" />
-                    <input type="radio" name="viewport" value="6x6" />
-                    <input type="radio" name="viewport" value="4x5" />
+                    <div id="new-project-paper"></div>
+                    <input type="checkbox" id="drawing-units-mm" />
                     <button id="confirm-new-project">Create</button>
                     <button id="cancel-new-project">Cancel</button>
                 </div>
+                <div id="page-setup-dialog" class="hidden">
+                    <div id="page-setup-paper"></div>
+                    <button id="confirm-page-setup">Apply</button>
+                    <button id="cancel-page-setup">Cancel</button>
+                </div>
+                <div id="project-gallery-dialog" class="hidden">
+                    <input id="project-gallery-search" />
+                    <div id="project-gallery-list"></div>
+                    <button id="close-project-gallery">Close</button>
+                </div>
+                <div id="history-panel"></div>
+                <div id="snippet-library-dialog" class="hidden">
+                    <ul id="snippet-library-list"></ul>
+                    <span id="snippet-library-name"></span>
+                    <div id="snippet-library-editor"></div>
+                    <button id="new-snippet">New</button>
+                    <button id="save-snippet">Save</button>
+                    <button id="delete-snippet">Delete</button>
+                    <button id="export-snippets">Export</button>
+                    <button id="import-snippets">Import</button>
+                    <button id="close-snippet-library">Close</button>
+                </div>
+                <div id="snapshot-diff-dialog" class="hidden">
+                    <h3 id="snapshot-diff-title"></h3>
+                    <select id="snapshot-diff-file"></select>
+                    <div id="snapshot-diff-editor"></div>
+                    <button id="restore-snapshot">Restore</button>
+                    <button id="close-snapshot-diff">Close</button>
+                </div>
             </div>
         `;
 
@@ -66,9 +114,10 @@ describe('PlotterApp Integration Tests', () => {
 
             // Fill in project details
             const nameInput = document.getElementById('project-name');
-            const viewportRadio = dialog.querySelector('input[name="viewport"][value="8.5x11"]');
+            const paperSelect = dialog.querySelector('select[data-option="paper"]');
             nameInput.value = 'Test Project';
-            viewportRadio.checked = true;
+            paperSelect.value = 'letter';
+            paperSelect.dispatchEvent(new Event('change'));
 
             // Confirm project creation
             const confirmBtn = document.getElementById('confirm-new-project');
@@ -321,6 +370,29 @@ describe('PlotterApp Integration Tests', () => {
             expect(projectData.viewportSize.width).toBe(8.5);
         });
 
+        it('should refuse a stored project from a newer version without overwriting it', async () => {
+            const newer = JSON.stringify({
+                name: 'Future Project',
+                formatVersion: PROJECT_FORMAT_VERSION + 1,
+                code: 'draw.rect(1, 1);'
+            });
+            localStorage.setItem('plotter_current_project', newer);
+            const alertSpy = vi.spyOn(window, 'alert').mockImplementation(() => {});
+            vi.spyOn(console, 'error').mockImplementation(() => {});
+
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            expect(alertSpy).toHaveBeenCalledWith(expect.stringContaining('saved by a newer version of the editor'));
+            expect(app.currentProject.name).toBe('Untitled Project');
+
+            // Auto-save leaves the stored project alone
+            app._handleAutoSave('draw.circle(1);');
+            expect(localStorage.getItem('plotter_current_project')).toBe(newer);
+            vi.restoreAllMocks();
+        });
+
         it('should handle missing localStorage data gracefully', async () => {
             // Ensure localStorage is empty
             localStorage.clear();
@@ -337,6 +409,721 @@ describe('PlotterApp Integration Tests', () => {
         });
     });
 
+    describe('Workflow: Seeded randomness', () => {
+        const seededProject = (seedLocked) => ({
+            name: 'Seeded Project',
+            viewportSize: { width: 8.5, height: 11, label: '8.5x11' },
+            code: 'draw.circle(random(1, 2)).center(random(8), random(11));',
+            seed: 1234,
+            seedLocked,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        });
+
+        it('should restore and display the saved seed', async () => {
+            localStorage.setItem('plotter_current_project', JSON.stringify(seededProject(false)));
+
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            expect(app.getCurrentProject().seed).toBe(1234);
+            expect(document.getElementById('seed-display').textContent).toBe('1234');
+        });
+
+        it('should keep a locked seed and reproduce the same drawing', async () => {
+            localStorage.setItem('plotter_current_project', JSON.stringify(seededProject(true)));
+
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            // The mocked Monaco editor does not keep its value
+            vi.spyOn(app.codeEditor, 'getValue').mockReturnValue(seededProject(true).code);
+            await app.handleRegenerate();
+            const first = app.previewPanel.container.innerHTML;
+            expect(first).toContain('<circle');
+
+            await app.handleRegenerate({ rollSeed: true });
+
+            expect(app.getCurrentProject().seed).toBe(1234);
+            expect(app.previewPanel.container.innerHTML).toBe(first);
+        });
+
+        it('should roll a new seed on regenerate when unlocked', async () => {
+            localStorage.setItem('plotter_current_project', JSON.stringify(seededProject(false)));
+
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            const randomSpy = vi.spyOn(Math, 'random').mockReturnValue(0.5);
+            await app.handleRegenerate({ rollSeed: true });
+            randomSpy.mockRestore();
+
+            expect(app.getCurrentProject().seed).toBe(500000);
+            const stored = JSON.parse(localStorage.getItem('plotter_current_project'));
+            expect(stored.seed).toBe(500000);
+        });
+
+        it('should toggle the seed lock', async () => {
+            localStorage.setItem('plotter_current_project', JSON.stringify(seededProject(false)));
+
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            app.handleToggleSeedLock();
+
+            expect(app.getCurrentProject().seedLocked).toBe(true);
+            expect(app.controlPanel.getButton('lockSeed').textContent).toContain('Unlock Seed');
+        });
+    });
+
+    describe('Workflow: Sketch parameters', () => {
+        it('should render declared parameters and persist changed values', async () => {
+            const code = "const { count } = params({ count: { type: 'int', min: 1, max: 10, default: 2 } });\n" +
+                'for (let i = 0; i < count; i++) draw.circle(0.5).center(i + 1, 1);';
+
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            // The mocked Monaco editor does not keep its value
+            vi.spyOn(app.codeEditor, 'getValue').mockReturnValue(code);
+            await app.handleRegenerate();
+
+            const slider = document.querySelector('#param-panel [data-param="count"] input[type="range"]');
+            expect(slider).toBeTruthy();
+            expect(app.previewPanel.container.querySelectorAll('circle')).toHaveLength(2);
+
+            slider.value = '5';
+            slider.dispatchEvent(new Event('change'));
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            expect(app.previewPanel.container.querySelectorAll('circle')).toHaveLength(5);
+            const stored = JSON.parse(localStorage.getItem('plotter_current_project'));
+            expect(stored.params).toEqual({ count: 5 });
+        });
+    });
+
+    describe('Workflow: Overlapping runs', () => {
+        it('should keep the preview of the latest run when an older run finishes last', async () => {
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            let finishOlder;
+            const older = new Promise(resolve => { finishOlder = resolve; });
+            const newer = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 8.5 11"><rect id="newer" width="1" height="1"></rect></svg>';
+            vi.spyOn(app.svgGenerator, 'execute')
+                .mockReturnValueOnce(older)
+                .mockResolvedValueOnce(newer);
+            const setButtonState = vi.spyOn(app.controlPanel, 'setButtonState');
+
+            const first = app.handleRegenerate();
+            await app.handleRegenerate({ rollSeed: true });
+            finishOlder('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 8.5 11"><circle id="older" r="1"></circle></svg>');
+            await first;
+
+            expect(app.lastSvgMarkup).toBe(newer);
+            expect(app.previewPanel.container.querySelector('#newer')).not.toBeNull();
+            expect(app.previewPanel.container.querySelector('#older')).toBeNull();
+            expect(setButtonState).toHaveBeenLastCalledWith('regenerate', true);
+        });
+    });
+
+    describe('Workflow: Layers', () => {
+        const layeredCode =
+            'draw.layer("1-black").line(1, 1, 2, 1).stroke({ width: 0.02, color: "#000000" });\n' +
+            'draw.layer("2-red").line(1, 2, 2, 2).stroke({ width: 0.02, color: "#ff0000" });';
+
+        it('should list layers and leave hidden layers out of the preview and export', async () => {
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            vi.spyOn(app.codeEditor, 'getValue').mockReturnValue(layeredCode);
+            await app.handleRegenerate();
+
+            const rows = document.querySelectorAll('#layer-panel li[data-layer]');
+            expect(Array.from(rows).map(row => row.dataset.layer)).toEqual(['1-black', '2-red']);
+
+            const checkbox = rows[1].querySelector('input');
+            checkbox.checked = false;
+            checkbox.dispatchEvent(new Event('change'));
+
+            expect(document.querySelector('#preview-panel g[data-layer="2-red"]').style.display).toBe('none');
+            expect(JSON.parse(localStorage.getItem('plotter_current_project')).hiddenLayers).toEqual(['2-red']);
+
+            let exported = null;
+            const originalBlob = global.Blob;
+            global.Blob = class extends originalBlob {
+                constructor(parts, options) {
+                    super(parts, options);
+                    exported = parts.join('');
+                }
+            };
+            await app.handleExport();
+            global.Blob = originalBlob;
+
+            expect(exported).toContain('inkscape:label="1-black"');
+            expect(exported).not.toContain('2-red');
+        });
+
+        it('should export one file per layer when enabled', async () => {
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            vi.spyOn(app.codeEditor, 'getValue').mockReturnValue(layeredCode);
+            app.handlePlotOptionsChange({ separateLayers: true });
+
+            const files = [];
+            const originalBlob = global.Blob;
+            global.Blob = class extends originalBlob {
+                constructor(parts, options) {
+                    super(parts, options);
+                    files.push(parts.join(''));
+                }
+            };
+            await app.handleExport();
+            global.Blob = originalBlob;
+
+            expect(files).toHaveLength(2);
+            expect(files[0]).toContain('inkscape:label="1-black"');
+            expect(files[1]).toContain('inkscape:label="2-red"');
+        });
+    });
+
+    describe('Workflow: Path optimization', () => {
+        it('should show pen-up travel stats and export optimized paths', async () => {
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            vi.spyOn(app.codeEditor, 'getValue').mockReturnValue(
+                'draw.line(7, 1, 8, 1).stroke({ width: 0.02, color: "#000" });\n' +
+                'draw.line(1, 1, 2, 1).stroke({ width: 0.02, color: "#000" });\n' +
+                'draw.line(4, 1, 3, 1).stroke({ width: 0.02, color: "#000" });'
+            );
+            await app.handleRegenerate();
+
+            const panel = document.getElementById('plot-options-panel');
+            expect(panel.textContent).toMatch(/Pen-up travel: .+ → .+ · 3 paths/);
+
+            let exported = null;
+            const originalBlob = global.Blob;
+            global.Blob = class extends originalBlob {
+                constructor(parts, options) {
+                    super(parts, options);
+                    exported = parts.join('');
+                }
+            };
+            await app.handleExport();
+            global.Blob = originalBlob;
+
+            const starts = [...exported.matchAll(/d="M(\S+) 1/g)].map(match => Number(match[1]));
+            expect(starts).toEqual([1, 3, 7]);
+        });
+
+        it('should persist plot option changes', async () => {
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            const checkbox = document.querySelector('#plot-options-panel input[data-option="optimizePaths"]');
+            expect(checkbox.checked).toBe(true);
+
+            checkbox.checked = false;
+            checkbox.dispatchEvent(new Event('change'));
+
+            const stored = JSON.parse(localStorage.getItem('plotter_current_project'));
+            expect(stored.plotOptions.optimizePaths).toBe(false);
+        });
+
+        it('should remove duplicate edges on export using the project tolerance', async () => {
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            vi.spyOn(app.codeEditor, 'getValue').mockReturnValue(
+                'draw.rect(1, 1).move(1, 1).fill("none").stroke({ width: 0.02, color: "#000" });\n' +
+                'draw.rect(1, 1).move(2, 1).fill("none").stroke({ width: 0.02, color: "#000" });'
+            );
+            await app.handleRegenerate();
+
+            const panel = document.getElementById('plot-options-panel');
+            expect(panel.textContent).toContain('1.00 in duplicate removed');
+
+            const tolerance = panel.querySelector('input[data-option="mergeTolerance"]');
+            tolerance.value = '0.05';
+            tolerance.dispatchEvent(new Event('change'));
+
+            const stored = JSON.parse(localStorage.getItem('plotter_current_project'));
+            expect(stored.plotOptions.mergeTolerance).toBe(0.05);
+        });
+    });
+
+    describe('Workflow: Fill hatching', () => {
+        it('should preview and export fills as hatch lines', async () => {
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            vi.spyOn(app.codeEditor, 'getValue').mockReturnValue('draw.rect(1, 1).move(1, 1).fill("#333");');
+            await app.handleRegenerate();
+            expect(document.querySelector('#preview-panel rect').getAttribute('fill')).toBe('#333333');
+
+            const preview = document.querySelector('#plot-options-panel input[data-option="previewPlotted"]');
+            preview.checked = true;
+            preview.dispatchEvent(new Event('change'));
+            await vi.waitFor(() => {
+                expect(document.querySelector('#preview-panel rect').getAttribute('fill')).toBe('none');
+            });
+            expect(document.querySelector('#preview-panel path')).toBeNull();
+
+            await app.handlePlotOptionsChange({ hatchFills: true, hatchSpacing: 0.25, hatchAngle: 0 });
+            expect(document.querySelector('#preview-panel path').getAttribute('stroke')).toBe('#333333');
+
+            let exported = null;
+            const originalBlob = global.Blob;
+            global.Blob = class extends originalBlob {
+                constructor(parts, options) {
+                    super(parts, options);
+                    exported = parts.join('');
+                }
+            };
+            await app.handleExport();
+            global.Blob = originalBlob;
+
+            expect(exported).toContain('<path d="M2 1.25 L1 1.25" fill="none" stroke="#333333"');
+        });
+    });
+
+    describe('Workflow: Hidden line removal', () => {
+        it('should export only the lines not covered by filled shapes', async () => {
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            vi.spyOn(app.codeEditor, 'getValue').mockReturnValue(
+                'draw.line(0, 1.5, 3, 1.5).stroke({ width: 0.02, color: "#000" });' +
+                'draw.rect(1, 1).move(1, 1).fill("#fff");'
+            );
+            await app.handleRegenerate();
+
+            const hidden = document.querySelector('#plot-options-panel input[data-option="removeHiddenLines"]');
+            hidden.checked = true;
+            hidden.dispatchEvent(new Event('change'));
+            expect(app.currentProject.plotOptions.removeHiddenLines).toBe(true);
+            await vi.waitFor(() => {
+                expect(document.querySelector('#plot-options-panel').textContent).toContain('1.00 in hidden removed');
+            });
+
+            let exported = null;
+            const originalBlob = global.Blob;
+            global.Blob = class extends originalBlob {
+                constructor(parts, options) {
+                    super(parts, options);
+                    exported = parts.join('');
+                }
+            };
+            await app.handleExport();
+            global.Blob = originalBlob;
+
+            expect(exported).toMatch(/d="M0 1\.5 L1 1\.5"|d="M1 1\.5 L0 1\.5"/);
+            expect(exported).toMatch(/d="M2 1\.5 L3 1\.5"|d="M3 1\.5 L2 1\.5"/);
+            expect(exported).not.toMatch(/M0 1\.5 L3 1\.5|M3 1\.5 L0 1\.5/);
+        });
+    });
+
+    describe('Workflow: Page clipping', () => {
+        it('should warn about and clip geometry past the page', async () => {
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            vi.spyOn(app.codeEditor, 'getValue').mockReturnValue(
+                'draw.line(-1, 2, 3, 2).stroke({ width: 0.02, color: "#000" });'
+            );
+            await app.handleRegenerate();
+
+            const warning = document.querySelector('#preview-panel .preview-margin-warning');
+            expect(warning.textContent).toContain('1 element extends past the page and will be clipped');
+
+            let exported = null;
+            const originalBlob = global.Blob;
+            global.Blob = class extends originalBlob {
+                constructor(parts, options) {
+                    super(parts, options);
+                    exported = parts.join('');
+                }
+            };
+            await app.handleExport();
+
+            expect(exported).toMatch(/d="M0 2 L3 2"|d="M3 2 L0 2"/);
+
+            await app.handlePlotOptionsChange({ clipToPage: false });
+            expect(warning.textContent).not.toContain('clipped');
+            await app.handleExport();
+            global.Blob = originalBlob;
+
+            expect(exported).toMatch(/d="M-1 2 L3 2"|d="M3 2 L-1 2"/);
+        });
+    });
+
+    describe('Workflow: Plottability warnings', () => {
+        it('should warn about features the plotter cannot draw until they are fixed', async () => {
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            const getValue = vi.spyOn(app.codeEditor, 'getValue').mockReturnValue(
+                'draw.line(0, 0, 1, 1).stroke("#000");\ndraw.rect(1, 1).fill("#333");\ndraw.text("Hi");'
+            );
+            await app.handleRegenerate();
+
+            const display = document.getElementById('error-display');
+            expect(display.classList.contains('hidden')).toBe(false);
+            expect(display.classList.contains('warning-display')).toBe(true);
+            expect(display.textContent).toContain('Fills are not plotted');
+            expect(display.textContent).toContain('Line 2');
+            expect(display.textContent).toContain('Text uses system fonts');
+
+            // Hatching turns fills into lines, so only the text is left to report
+            app.handlePlotOptionsChange({ hatchFills: true });
+            expect(display.textContent).not.toContain('Fills are not plotted');
+            expect(display.textContent).toContain('Text uses system fonts');
+
+            getValue.mockReturnValue('draw.line(0, 0, 1, 1).stroke("#000");');
+            await app.handleRegenerate();
+            expect(display.classList.contains('hidden')).toBe(true);
+
+            // Errors take the place of warnings
+            vi.spyOn(app.codeEditor, 'highlightError').mockImplementation(() => {});
+            getValue.mockReturnValue('draw.text("Hi"); missing();');
+            await app.handleRegenerate();
+            expect(display.classList.contains('warning-display')).toBe(false);
+            expect(display.textContent).toContain('Runtime Error');
+        });
+    });
+
+    describe('Workflow: Preview zoom', () => {
+        it('should keep the zoom across Regenerate and fit again for a new project', async () => {
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            vi.spyOn(app.codeEditor, 'getValue').mockReturnValue(
+                'draw.line(1, 1, 2, 1).stroke({ width: 0.02, color: "#000" });'
+            );
+            await app.handleRegenerate();
+
+            app.previewPanel.zoomBy(4);
+            app.previewPanel.panBy(-30, 15);
+            const view = app.previewPanel.getView();
+
+            await app.handleRegenerate();
+            expect(app.previewPanel.getView()).toEqual(view);
+
+            app._handleNewProjectConfirm({ name: 'Fresh', viewportSize: { width: 6, height: 6 } });
+            expect(app.previewPanel.getView().mode).toBe('fit');
+        });
+
+        it('should remember the calibrated screen DPI', async () => {
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            const input = document.querySelector('#preview-panel [data-zoom-control="dpi"]');
+            input.value = '109';
+            input.dispatchEvent(new Event('change'));
+
+            const reloaded = new PlotterApp();
+            reloaded.init();
+            expect(reloaded.previewPanel.DPI).toBe(109);
+        });
+    });
+
+    describe('Workflow: Paper sizes', () => {
+        it('should create a metric project that draws in millimetres', async () => {
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            app.handleNewProject();
+            const dialog = document.getElementById('new-project-dialog');
+            const paperSelect = dialog.querySelector('select[data-option="paper"]');
+            paperSelect.value = 'a4';
+            paperSelect.dispatchEvent(new Event('change'));
+            document.getElementById('drawing-units-mm').checked = true;
+            document.getElementById('project-name').value = 'Metric';
+            document.getElementById('confirm-new-project').click();
+
+            expect(app.currentProject.viewportSize).toMatchObject({ label: 'A4 (210 × 297 mm)', unit: 'mm' });
+            expect(app.currentProject.drawingUnits).toBe('mm');
+            expect(app.currentProject.guides.units).toBe('mm');
+            expect(document.getElementById('viewport-display').textContent).toBe('210 × 297 mm');
+
+            // The starter drawing has the same size on paper as in an inch project
+            const starter = runSketch(app.currentProject.code, app.currentProject.viewportSize, { units: 'mm' }).svg;
+            expect(starter).toContain('r="12.5"');
+            expect(starter).toContain('r="18.75"');
+            expect(starter).toContain('stroke-width="0.5"');
+            expect(app.currentProject.code).toContain('dimensions in millimetres');
+
+            // A 25.4 mm line is one inch on paper
+            vi.spyOn(app.codeEditor, 'getValue').mockReturnValue(
+                'draw.line(10, 10, 35.4, 10).stroke({ width: 0.5, color: "#000" });'
+            );
+            await app.handleRegenerate();
+
+            expect(app.lastSvgMarkup).toContain('viewBox="0 0 210 297"');
+            expect(document.querySelector('#plot-stats-panel .plot-estimate').textContent).toContain('1.00 in drawn');
+
+            const reloaded = new PlotterApp();
+            reloaded.init();
+            expect(reloaded.svgGenerator.drawingUnits).toBe('mm');
+        });
+
+        it('should rotate the page of an open project and keep its code', async () => {
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            const code = 'draw.line(1, 1, 9, 1).stroke({ width: 0.02, color: "#000" });';
+            app.currentProject.code = code;
+            vi.spyOn(app.codeEditor, 'getValue').mockReturnValue(code);
+            const setValue = vi.spyOn(app.codeEditor, 'setValue');
+
+            app.controlPanel.getButton('pageSetup').click();
+            const dialog = document.getElementById('page-setup-dialog');
+            expect(dialog.classList.contains('hidden')).toBe(false);
+
+            const orientation = dialog.querySelector('select[data-option="orientation"]');
+            orientation.value = 'landscape';
+            orientation.dispatchEvent(new Event('change'));
+            document.getElementById('confirm-page-setup').click();
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(app.currentProject.viewportSize).toMatchObject({ width: 11, height: 8.5, label: 'Letter (11 × 8.5 in)' });
+            expect(app.currentProject.code).toBe(code);
+            expect(setValue).not.toHaveBeenCalled();
+            expect(app.svgGenerator.viewportSize).toEqual({ width: 11, height: 8.5 });
+            expect(app.previewPanel.viewportSize).toMatchObject({ width: 11, height: 8.5 });
+            expect(document.getElementById('viewport-display').textContent).toBe('11" × 8.5"');
+            expect(app.lastSvgMarkup).toContain('viewBox="0 0 11 8.5"');
+
+            const stored = JSON.parse(localStorage.getItem('plotter_current_project'));
+            expect(stored.viewportSize.width).toBe(11);
+        });
+    });
+
+    describe('Workflow: Guides', () => {
+        it('should draw margin guides, warn about crossings and leave guides out of exports', async () => {
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            vi.spyOn(app.codeEditor, 'getValue').mockReturnValue(
+                'draw.line(0.25, 2, 3, 2).stroke({ width: 0.02, color: "#000" });'
+            );
+            await app.handleRegenerate();
+
+            const panel = document.getElementById('guides-panel');
+            const warning = document.querySelector('#preview-panel .preview-margin-warning');
+            expect(warning.classList.contains('hidden')).toBe(true);
+
+            const left = panel.querySelector('input[data-option="left"]');
+            left.value = '0.5';
+            left.dispatchEvent(new Event('change'));
+            const grid = panel.querySelector('input[data-option="grid"]');
+            grid.checked = true;
+            grid.dispatchEvent(new Event('change'));
+
+            await vi.waitFor(() => expect(warning.textContent).toBe('⚠️ Drawing crosses the left margin'));
+            expect(document.querySelector('#preview-panel .preview-guides .preview-margins')).not.toBeNull();
+            expect(document.querySelector('#preview-panel .preview-guides .preview-grid')).not.toBeNull();
+
+            const stored = JSON.parse(localStorage.getItem('plotter_current_project'));
+            expect(stored.margins.left).toBe(0.5);
+            expect(stored.guides.grid).toBe(true);
+
+            let exported = null;
+            const originalBlob = global.Blob;
+            global.Blob = class extends originalBlob {
+                constructor(parts, options) {
+                    super(parts, options);
+                    exported = parts.join('');
+                }
+            };
+            await app.handleExport();
+            global.Blob = originalBlob;
+
+            expect(exported).not.toContain('preview-guides');
+        });
+
+        it('should clear the warning when the crossing layer is hidden', async () => {
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            app.handleGuidesChange({ margins: { top: 1, right: 1, bottom: 1, left: 1 }, guides: app.currentProject.guides });
+            vi.spyOn(app.codeEditor, 'getValue').mockReturnValue(
+                'draw.layer("edge").line(0, 5, 2, 5).stroke({ width: 0.02, color: "#000" });\n' +
+                'draw.layer("inside").line(2, 5, 3, 5).stroke({ width: 0.02, color: "#000" });'
+            );
+            await app.handleRegenerate();
+
+            const warning = document.querySelector('#preview-panel .preview-margin-warning');
+            expect(warning.classList.contains('hidden')).toBe(false);
+
+            await app.handleLayerToggle('edge', false);
+            expect(warning.classList.contains('hidden')).toBe(true);
+        });
+    });
+
+    describe('Workflow: Plot statistics', () => {
+        it('should show the plot estimate and include it in the exported SVG', async () => {
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            vi.spyOn(app.codeEditor, 'getValue').mockReturnValue(
+                'draw.line(1, 1, 3, 1).stroke({ width: 0.02, color: "#000" });\n' +
+                'draw.line(1, 2, 3, 2).stroke({ width: 0.02, color: "#000" });'
+            );
+            await app.handleRegenerate();
+
+            const panel = document.getElementById('plot-stats-panel');
+            expect(panel.textContent).toMatch(/Est\. time: \d+:\d\d · 4\.00 in drawn · .+ pen-up · 2 pen lifts/);
+
+            let exported = null;
+            const originalBlob = global.Blob;
+            global.Blob = class extends originalBlob {
+                constructor(parts, options) {
+                    super(parts, options);
+                    exported = parts.join('');
+                }
+            };
+            await app.handleExport();
+            global.Blob = originalBlob;
+
+            expect(exported).toContain('id="plot-stats"');
+            expect(exported).toContain('"penLifts":2');
+        });
+
+        it('should persist motion profile changes', async () => {
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            const preset = document.querySelector('#plot-stats-panel select[data-option="preset"]');
+            preset.value = 'axidraw';
+            preset.dispatchEvent(new Event('change'));
+
+            const stored = JSON.parse(localStorage.getItem('plotter_current_project'));
+            expect(stored.motionProfile).toEqual(MOTION_PRESETS.axidraw);
+        });
+    });
+
+    describe('Workflow: G-code export', () => {
+        it('should export G-code with the settings from the dialog', async () => {
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            vi.spyOn(app.codeEditor, 'getValue').mockReturnValue(
+                'draw.line(1, 1, 2, 1).stroke({ width: 0.02, color: "#000" });'
+            );
+
+            await app.handleExportGCode();
+            const dialog = document.getElementById('gcode-dialog');
+            expect(dialog.classList.contains('hidden')).toBe(false);
+
+            const units = dialog.querySelector('[data-option="units"]');
+            units.value = 'in';
+
+            let exported = null;
+            const originalBlob = global.Blob;
+            global.Blob = class extends originalBlob {
+                constructor(parts, options) {
+                    super(parts, options);
+                    exported = parts.join('');
+                }
+            };
+            await app._handleGCodeConfirm(app.gcodeDialog.getOptions());
+            global.Blob = originalBlob;
+
+            expect(exported).toContain('G20 ; inches');
+            expect(exported).toContain('G1 X1 Y10');
+            expect(exported).toContain('G1 X2 Y10 F1500');
+
+            const stored = JSON.parse(localStorage.getItem('plotter_current_project'));
+            expect(stored.gcodeOptions.units).toBe('in');
+        });
+    });
+
+    describe('Workflow: HPGL export', () => {
+        it('should export HPGL in plotter units with the settings from the dialog', async () => {
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            vi.spyOn(app.codeEditor, 'getValue').mockReturnValue(
+                'draw.line(1, 1, 2, 1).stroke({ width: 0.02, color: "#000" });'
+            );
+
+            await app.handleExportHPGL();
+            const dialog = document.getElementById('hpgl-dialog');
+            expect(dialog.classList.contains('hidden')).toBe(false);
+
+            dialog.querySelector('[data-option="penCount"]').value = '2';
+
+            let exported = null;
+            const originalBlob = global.Blob;
+            global.Blob = class extends originalBlob {
+                constructor(parts, options) {
+                    super(parts, options);
+                    exported = parts.join('');
+                }
+            };
+            await app._handleHPGLConfirm(app.hpglDialog.getOptions());
+            global.Blob = originalBlob;
+
+            expect(exported.startsWith('IN;\nSP1;\nPU1016,10160;\nPD2032,10160;')).toBe(true);
+
+            const stored = JSON.parse(localStorage.getItem('plotter_current_project'));
+            expect(stored.hpglOptions.penCount).toBe(2);
+        });
+    });
+
+    describe('Workflow: Plot simulation', () => {
+        it('should simulate the drawing in export order and close again', async () => {
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            vi.spyOn(app.codeEditor, 'getValue').mockReturnValue(
+                'draw.line(7, 1, 8, 1).stroke({ width: 0.02, color: "#000" });\n' +
+                'draw.line(1, 1, 2, 1).stroke({ width: 0.02, color: "#000" });'
+            );
+            await app.handleRegenerate();
+            await app.handleSimulate();
+
+            expect(app.previewPanel.isSimulating()).toBe(true);
+            app.previewPanel.simulator.seek(app.previewPanel.simulator.getState().duration);
+
+            const drawn = document.querySelectorAll('#preview-panel .plot-simulator-draw');
+            expect(Array.from(drawn).map(line => line.getAttribute('points'))).toEqual(['1,1 2,1', '7,1 8,1']);
+            expect(document.querySelector('#preview-panel .plot-simulator-readout').textContent).toMatch(/^Path 2 \/ 2/);
+
+            await app.handleSimulate();
+            expect(app.previewPanel.isSimulating()).toBe(false);
+        });
+    });
+
     describe('Edge Cases and Error Scenarios', () => {
         it('should handle empty code gracefully', async () => {
             app = new PlotterApp();
@@ -390,4 +1177,237 @@ describe('PlotterApp Integration Tests', () => {
             expect(app).toBeTruthy();
         });
     });
+
+    describe('Workflow: Project library', () => {
+        it('should migrate the saved project and switch projects from the gallery', async () => {
+            const legacy = {
+                name: 'Legacy Waves',
+                viewportSize: { width: 8.5, height: 11, label: '8.5x11' },
+                code: 'draw.line(1, 1, 7, 1).stroke({ width: 0.02, color: "#000" });',
+                createdAt: '2025-06-01T00:00:00.000Z',
+                updatedAt: '2025-06-01T00:00:00.000Z'
+            };
+            localStorage.setItem('plotter_current_project', JSON.stringify(legacy));
+
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            // The legacy project got an id that survives a reload
+            const legacyId = app.currentProject.id;
+            expect(JSON.parse(localStorage.getItem('plotter_current_project')).id).toBe(legacyId);
+            expect(localStorage.getItem('plotter_library_migrated')).toBe('true');
+
+            app.handleNewProject();
+            document.getElementById('project-name').value = 'Fresh';
+            document.getElementById('confirm-new-project').click();
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            await app.handleLibrary();
+            const dialog = document.getElementById('project-gallery-dialog');
+            const card = id => dialog.querySelector(`.project-card[data-project-id="${id}"]`);
+            expect(dialog.classList.contains('hidden')).toBe(false);
+            expect([...dialog.querySelectorAll('.project-name')].map(name => name.textContent))
+                .toEqual(['Fresh (open)', 'Legacy Waves']);
+            expect(card(app.currentProject.id).querySelector('img.project-thumbnail')).not.toBeNull();
+
+            vi.spyOn(window, 'prompt').mockReturnValue('lines, test');
+            card(legacyId).querySelector('button[data-action="tags"]').click();
+            await app._refreshGallery();
+            expect((await app.projectLibrary.get(legacyId)).tags).toEqual(['lines', 'test']);
+
+            card(legacyId).querySelector('button[data-action="duplicate"]').click();
+            await app._refreshGallery();
+            expect(dialog.querySelectorAll('.project-card').length).toBe(3);
+
+            card(legacyId).querySelector('button[data-action="open"]').click();
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(app.currentProject).toMatchObject({ id: legacyId, name: 'Legacy Waves', tags: ['lines', 'test'] });
+
+            const freshId = (await app.projectLibrary.list('fresh'))[0].id;
+            vi.spyOn(window, 'confirm').mockReturnValue(true);
+            await app.handleLibrary();
+            card(freshId).querySelector('button[data-action="delete"]').click();
+            await app._refreshGallery();
+            expect((await app.projectLibrary.list()).map(project => project.name).sort())
+                .toEqual(['Legacy Waves', 'Legacy Waves (copy)']);
+            vi.restoreAllMocks();
+        });
+    });
+
+    describe('Workflow: Multiple files', () => {
+        it('should import helper modules and report errors in the file they occur in', async () => {
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            // Type into the file shown in the mock Monaco editor
+            const type = (text) => app.codeEditor.editor.setValue(text);
+            type('import { square } from "./shapes.js";\nsquare(2);');
+            const render = vi.spyOn(app.previewPanel, 'render');
+            const tabs = document.getElementById('file-tabs');
+
+            app.handleAddFile('shapes.js');
+            expect(app.codeEditor.getActiveFile()).toBe('shapes.js');
+            expect([...tabs.querySelectorAll('.file-tab')].map(tab => tab.dataset.file)).toEqual(['main.js', 'shapes.js']);
+            type('export function square(size) {\n    return draw.rect(size, size).fill("none").stroke({ width: 0.02, color: "#000" });\n}');
+
+            tabs.querySelector('[data-file="main.js"] [data-action="select"]').click();
+            await app.handleRegenerate();
+            expect(render.mock.calls.at(-1)[0]).toContain('<rect');
+            expect(app.currentProject.files).toEqual([expect.objectContaining({ name: 'shapes.js' })]);
+
+            // An error in the helper names it and opens its tab
+            window.monaco.Range = class {};
+            app.codeEditor.editor.deltaDecorations = vi.fn(() => ['decoration']);
+            app.codeEditor.openFile('shapes.js');
+            type('export function square(size) {\n    return undefinedThing.rect(size);\n}');
+            app.codeEditor.openFile('main.js');
+            await app.handleRegenerate();
+
+            expect(document.getElementById('error-display').textContent).toContain('Line 2');
+            expect(document.getElementById('error-display').textContent).toContain('in shapes.js');
+            expect(app.codeEditor.getActiveFile()).toBe('shapes.js');
+            expect(tabs.querySelector('.file-tab.active').dataset.file).toBe('shapes.js');
+
+            // Files are saved with the project
+            app._handleAutoSave(app.codeEditor.getValue());
+            expect(JSON.parse(localStorage.getItem('plotter_current_project')).files[0].code).toContain('undefinedThing');
+
+            delete window.monaco.Range;
+            vi.restoreAllMocks();
+        });
+    });
+
+    describe('Workflow: Snippet library', () => {
+        it('should let any sketch import a snippet edited in the library', async () => {
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            // The dialog's Monaco editor holds text
+            let snippetText = '';
+            const createEditor = window.monaco.editor.create;
+            window.monaco.editor.create = vi.fn(() => ({
+                getValue: () => snippetText,
+                setValue: value => { snippetText = value; },
+                updateOptions: () => {}
+            }));
+            vi.stubGlobal('prompt', vi.fn(() => 'hatching'));
+
+            try {
+                app.handleSnippets();
+                document.getElementById('new-snippet').click();
+                expect(snippetText).toContain("from 'hatching'");
+
+                snippetText = 'export const size = 2;';
+                document.getElementById('save-snippet').click();
+                expect(new SnippetLibrary().get('hatching.js').code).toBe('export const size = 2;');
+
+                vi.spyOn(app.codeEditor, 'getValue').mockReturnValue("import { size } from 'hatching';\ndraw.circle(size).fill('none');");
+                const render = vi.spyOn(app.previewPanel, 'render');
+                await app.handleRegenerate();
+                expect(render.mock.calls.at(-1)[0]).toContain('r="1"');
+
+                // Deleting the snippet breaks the import
+                vi.stubGlobal('confirm', vi.fn(() => true));
+                window.monaco.Range = class {};
+                app.codeEditor.editor.deltaDecorations = vi.fn(() => []);
+                document.getElementById('delete-snippet').click();
+                await app.handleRegenerate();
+                expect(document.getElementById('error-display').textContent).toContain("Cannot find module 'hatching'");
+            } finally {
+                window.monaco.editor.create = createEditor;
+                delete window.monaco.Range;
+                vi.unstubAllGlobals();
+                vi.restoreAllMocks();
+            }
+        });
+    });
+
+    describe('Workflow: Version history', () => {
+        it('should snapshot each regenerate and restore an older version', async () => {
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            let editorCode = 'draw.line(0, 0, 1, 1).stroke({ width: 0.02, color: "#000" });';
+            vi.spyOn(app.codeEditor, 'getValue').mockImplementation(() => editorCode);
+            vi.spyOn(app.codeEditor, 'setValue').mockImplementation(code => { editorCode = code; });
+
+            app.currentProject.params = { size: 2 };
+            await app.handleRegenerate();
+            const firstSeed = app.currentProject.seed;
+
+            editorCode = 'draw.circle(1).move(2, 2).fill("none").stroke({ width: 0.02, color: "#000" });';
+            app.currentProject.params = { size: 5 };
+            await app.handleRegenerate({ rollSeed: true });
+            await app.handleRegenerate();
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            // The repeated regenerate changed nothing, so it added no snapshot
+            const snapshots = await app.snapshotHistory.list(app.currentProject.id);
+            expect(snapshots.slice(0, 2).map(snapshot => snapshot.params)).toEqual([{ size: 5 }, { size: 2 }]);
+            const panel = document.getElementById('history-panel');
+            expect(panel.querySelectorAll('.history-item').length).toBe(snapshots.length);
+            expect(panel.querySelector('.history-item img.history-thumbnail')).not.toBeNull();
+
+            // Compare the older snapshot in the diff editor
+            const older = snapshots[1];
+            const diffEditor = { setModel: vi.fn(), getModel: vi.fn(() => null) };
+            window.monaco.editor.createDiffEditor = vi.fn(() => diffEditor);
+            await app.handleCompareSnapshot(older.id);
+            const { original, modified } = diffEditor.setModel.mock.calls.at(-1)[0];
+            expect(original.getValue()).toBe(older.code);
+            expect(modified.getValue()).toBe(editorCode);
+
+            // Restore it from the dialog
+            document.getElementById('restore-snapshot').click();
+            await new Promise(resolve => setTimeout(resolve, 50));
+            expect(editorCode).toBe(older.code);
+            expect(app.currentProject).toMatchObject({ code: older.code, params: { size: 2 }, seed: firstSeed });
+            expect(JSON.parse(localStorage.getItem('plotter_current_project')).code).toBe(older.code);
+
+            // The state that was replaced is still in the history
+            const after = await app.snapshotHistory.list(app.currentProject.id);
+            expect(after[0].code).toBe(older.code);
+            expect(after.some(snapshot => snapshot.params.size === 5)).toBe(true);
+
+            // A manual snapshot is marked in the panel
+            panel.querySelector('button[data-action="snapshot"]').click();
+            await new Promise(resolve => setTimeout(resolve, 0));
+            await app._refreshHistory();
+            expect(panel.querySelector('.history-badge')).not.toBeNull();
+
+            delete window.monaco.editor.createDiffEditor;
+            vi.restoreAllMocks();
+        });
+
+        it('should snapshot parameter changes only on an explicit regenerate', async () => {
+            app = new PlotterApp();
+            app.init();
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            vi.spyOn(app.codeEditor, 'getValue').mockReturnValue(
+                'const { size } = params({ size: { type: "number", min: 1, max: 10, default: 2 } });\n' +
+                'draw.circle(size).fill("none").stroke({ width: 0.02, color: "#000" });'
+            );
+            await app.handleRegenerate();
+            const count = async () => (await app.snapshotHistory.list(app.currentProject.id)).length;
+            const before = await count();
+
+            for (const size of [3, 4, 5, 6]) {
+                app.currentProject.params = { size };
+                await app.handleRegenerate();
+            }
+            expect(await count()).toBe(before);
+
+            await app.handleRegenerate({ snapshot: true });
+            const snapshots = await app.snapshotHistory.list(app.currentProject.id);
+            expect(snapshots).toHaveLength(before + 1);
+            expect(snapshots[0].params).toEqual({ size: 6 });
+
+            vi.restoreAllMocks();
+        });
+    });
 });
@@ -5,29 +5,99 @@
  * - ProjectManager: Handles project lifecycle and persistence
  * - SVGGenerator: Executes code and generates SVG
  * - CodeEditor: Manages code editing interface
- * - PreviewPanel: Displays generated SVG
+ * - PreviewPanel: Displays generated SVG with zoom and pan, and the plot simulation
  * - ControlPanel: Manages UI controls
+ * - ParamPanel: Controls for parameters declared with params()
+ * - LayerPanel: Layer visibility toggles and pen colors
+ * - PlotOptionsPanel: Path cleanup and optimization settings, plot stats
+ * - PlotStatsPanel: Plot time estimate and plotter motion profile
+ * - GuidesPanel: Rulers, grid and margin guides for the preview
+ * - HistoryPanel: Snapshots of the open project with compare and restore
  * - NewProjectDialog: Handles new project creation
+ * - PageSetupDialog: Changes the paper size of the open project
+ * - ProjectGalleryDialog: Browses the project library
+ * - SnapshotDiffDialog: Compares a snapshot with the current code
+ * - GCodeDialog: Machine settings for G-code export
+ * - HPGLDialog: Plotter settings for HPGL export
  * 
  * Requirements: 2.1, 2.4, 3.1, 4.3, 5.1, 5.5, 7.2, 7.3, 9.1
  */
 
 import { ProjectManager } from './managers/project-manager.js';
+import { ProjectLibrary, createThumbnail } from './managers/project-library.js';
+import { SnapshotHistory } from './managers/snapshot-history.js';
+import { SnippetLibrary } from './managers/snippet-library.js';
 import { SVGGenerator } from './generators/svg-generator.js';
 import { CodeEditor } from './editors/code-editor.js';
 import { PreviewPanel } from './preview/preview-panel.js';
 import { ControlPanel } from './controls/control-panel.js';
+import { ParamPanel } from './controls/param-panel.js';
+import { LayerPanel } from './controls/layer-panel.js';
+import { PlotOptionsPanel } from './controls/plot-options-panel.js';
+import { PlotStatsPanel } from './controls/plot-stats-panel.js';
+import { GuidesPanel } from './controls/guides-panel.js';
+import { HistoryPanel } from './controls/history-panel.js';
+import { FileTabs } from './controls/file-tabs.js';
 import { NewProjectDialog } from './dialogs/new-project-dialog.js';
+import { PageSetupDialog } from './dialogs/page-setup-dialog.js';
+import { ProjectGalleryDialog } from './dialogs/project-gallery-dialog.js';
+import { SnapshotDiffDialog } from './dialogs/snapshot-diff-dialog.js';
+import { SnippetLibraryDialog } from './dialogs/snippet-library-dialog.js';
 import { SaveDialog } from './dialogs/save-dialog.js';
+import { GCodeDialog } from './dialogs/gcode-dialog.js';
+import { HPGLDialog } from './dialogs/hpgl-dialog.js';
 import { ErrorDisplay } from './errors/error-display.js';
 import { VIEWPORT_PRESETS } from './models/project.js';
-import { exportSVG } from './utils/svg-exporter.js';
+import { UNITS_PER_INCH, fromInches, formatPaperDimensions } from './models/paper-sizes.js';
+import { exportSVG, exportLayerSVGs } from './utils/svg-exporter.js';
+import { PlotAnalyzer } from './utils/plot-analyzer.js';
+import { removeLayers } from './utils/svg-layers.js';
+import { marginCrossings } from './geometry/bounds.js';
+import { scaleMotionProfile } from './geometry/plot-timeline.js';
+import { generateGCode, exportGCode } from './utils/gcode-exporter.js';
+import { generateHPGL, exportHPGL } from './utils/hpgl-exporter.js';
+import { generateSeed } from './utils/seeded-random.js';
+import { saveScreenDPIToLocalStorage, loadScreenDPIFromLocalStorage } from './utils/local-storage.js';
+import { openProjectStore, openSnapshotStore } from './utils/project-db.js';
+import { downloadJSON, selectAndReadJSONFile } from './utils/file-utils.js';
 
 /**
- * Default starter code for new projects with comprehensive comments
+ * Sizes used by the starter code, per drawing unit, so the starter drawing
+ * is the same size on paper in inch and millimetre projects
+ */
+const STARTER_SIZES = {
+    in: {
+        unitName: 'inches',
+        radius: { min: 0.1, max: 3, step: 0.05, default: 1 },
+        orbitRadius: { min: 0, max: 4, step: 0.1, default: 2 },
+        strokeWidth: 0.02,
+        strokeRange: '0.01 - 0.05 inches',
+        layerExample: 'black.circle(1).center(2, 2);',
+        textExample: "plotText('Untitled', { x: 1, y: 10, size: 0.25 });"
+    },
+    mm: {
+        unitName: 'millimetres',
+        radius: { min: 2.5, max: 75, step: 1, default: 25 },
+        orbitRadius: { min: 0, max: 100, step: 2.5, default: 50 },
+        strokeWidth: 0.5,
+        strokeRange: '0.25 - 1 mm',
+        layerExample: 'black.circle(25).center(50, 50);',
+        textExample: "plotText('Untitled', { x: 25, y: 250, size: 6 });"
+    }
+};
+
+/**
+ * Starter code for new projects with comprehensive comments
  * to help users understand SVG.js usage patterns
+ *
+ * @param {'in'|'mm'} [units='in'] - Drawing units of the project
+ * @returns {string} Sketch code
  */
-const DEFAULT_CODE = `// ═══════════════════════════════════════════════════════════════
+function defaultCode(units = 'in') {
+    const sizes = STARTER_SIZES[units] || STARTER_SIZES.in;
+    const range = ({ min, max, step }) => `min: ${min}, max: ${max}, step: ${step}`;
+
+    return `// ═══════════════════════════════════════════════════════════════
 // Welcome to SVG Plotter Editor!
 // ═══════════════════════════════════════════════════════════════
 //
@@ -41,16 +111,20 @@ const DEFAULT_CODE = `// ══════════════════
 // ───────────────────────────────────────────────────────────────
 // 1. Get viewport dimensions
 // ───────────────────────────────────────────────────────────────
-// The viewbox() method returns the canvas dimensions in inches
+// The viewbox() method returns the canvas dimensions in ${sizes.unitName}
 const centerX = draw.viewbox().width / 2;
 const centerY = draw.viewbox().height / 2;
 
 // ───────────────────────────────────────────────────────────────
 // 2. Define drawing parameters
 // ───────────────────────────────────────────────────────────────
-const radius = 1;        // Circle radius in inches
-const orbitRadius = 2;   // Distance from center in inches
-const numCircles = 12;   // Number of circles in the pattern
+// params() adds a control for each entry to the Parameters panel.
+// Changing a control re-runs the sketch with the new value.
+const { radius, orbitRadius, numCircles } = params({
+  radius:      { type: 'number', ${range(sizes.radius)}, default: ${sizes.radius.default}, label: 'Circle radius' },
+  orbitRadius: { type: 'number', ${range(sizes.orbitRadius)}, default: ${sizes.orbitRadius.default}, label: 'Orbit radius' },
+  numCircles:  { type: 'int', min: 1, max: 48, default: 12, label: 'Circles' }
+});
 
 // ───────────────────────────────────────────────────────────────
 // 3. Draw a circular pattern
@@ -69,7 +143,7 @@ for (let i = 0; i < numCircles; i++) {
     .center(x, y)           // Position the circle
     .fill('none')           // No fill (transparent)
     .stroke({               // Stroke styling
-      width: 0.02,          // Line width in inches
+      width: ${`${sizes.strokeWidth},`.padEnd(15)}// Line width in ${sizes.unitName}
       color: '#000'         // Black color
     });
 }
@@ -80,15 +154,15 @@ for (let i = 0; i < numCircles; i++) {
 draw.circle(radius * 1.5)
   .center(centerX, centerY)
   .fill('none')
-  .stroke({ width: 0.02, color: '#000' });
+  .stroke({ width: ${sizes.strokeWidth}, color: '#000' });
 
 // ═══════════════════════════════════════════════════════════════
 // 💡 Tips for creating plotter art:
 // ═══════════════════════════════════════════════════════════════
 //
 // • Use .fill('none') for pen plotters (they draw outlines only)
-// • Keep stroke widths small (0.01 - 0.05 inches work well)
-// • Dimensions are in inches to match your viewport size
+// • Keep stroke widths small (${sizes.strokeRange} work well)
+// • Dimensions are in the project's drawing units (inches or mm)
 // • Use draw.group() to organize complex drawings
 // • Try draw.rect(), draw.line(), draw.polygon() for variety
 // • Use transformations: .rotate(), .scale(), .translate()
@@ -100,9 +174,32 @@ draw.circle(radius * 1.5)
 //   draw.polygon([[x1,y1], [x2,y2], [x3,y3]])
 //   draw.path('M 0 0 L 10 10')
 //
+// 🎛️ Parameter types:
+//   { type: 'number', min, max, step, default }
+//   { type: 'int', min, max, default }
+//   { type: 'boolean', default }
+//   { type: 'color', default: '#000000' }
+//   { type: 'select', options: ['a', 'b'], default: 'a' }
+//
+// 🎲 Randomness:
+//   Use random(), randomInt(), randomGaussian(), shuffle() and
+//   pick() instead of Math.random(). They follow the project's
+//   seed, so the same seed always reproduces the same plot.
+//   Lock the seed to keep a result you like.
+//
+// 🖊️ Layers (one per pen):
+//   const black = draw.layer('1-black');
+//   ${sizes.layerExample}
+//   Layers export as Inkscape layers for AxiDraw and vpype.
+//
+// ✍️ Text (single-stroke, plots as one line per stroke):
+//   ${sizes.textExample}
+//   Font: simplex, with bold, oblique and mono options.
+//
 // 🔄 Click "Regenerate" to see your changes!
 // ═══════════════════════════════════════════════════════════════
 `;
+}
 
 /**
  * PlotterApp class orchestrates the entire application
@@ -110,15 +207,37 @@ draw.circle(radius * 1.5)
 export class PlotterApp {
     constructor() {
         this.projectManager = null;
+        this.projectLibrary = null;
+        this.snapshotHistory = null;
+        this.snippetLibrary = null;
         this.svgGenerator = null;
+        this.regenerateCount = 0; // Preview runs started; only the latest updates the UI
+        this.snapshotSources = null; // Code and files of the last run that was snapshotted, as JSON
+        this.plotAnalyzer = null;
+        this.plotPreviewer = null;
         this.codeEditor = null;
+        this.fileTabs = null;
         this.previewPanel = null;
         this.controlPanel = null;
+        this.paramPanel = null;
+        this.layerPanel = null;
+        this.plotOptionsPanel = null;
+        this.plotStatsPanel = null;
+        this.guidesPanel = null;
+        this.historyPanel = null;
         this.newProjectDialog = null;
+        this.pageSetupDialog = null;
+        this.projectGalleryDialog = null;
+        this.snapshotDiffDialog = null;
+        this.snippetLibraryDialog = null;
         this.saveDialog = null;
+        this.gcodeDialog = null;
+        this.hpglDialog = null;
         this.errorDisplay = null;
         this.currentProject = null;
         this.viewportDisplay = null;
+        this.seedDisplay = null;
+        this.lastSvgMarkup = null;
     }
 
     /**
@@ -139,6 +258,7 @@ export class PlotterApp {
 
         // Initialize viewport display
         this.viewportDisplay = document.getElementById('viewport-display');
+        this.seedDisplay = document.getElementById('seed-display');
 
         // Initialize ErrorDisplay
         this.errorDisplay = new ErrorDisplay(errorDisplayContainer);
@@ -147,7 +267,17 @@ export class PlotterApp {
         this.projectManager = new ProjectManager();
 
         // Load initial state from localStorage or use default
-        const savedProject = this.projectManager.loadFromLocalStorage();
+        let savedProject = null;
+        try {
+            savedProject = this.projectManager.loadFromLocalStorage();
+        } catch (error) {
+            // The stored project stays untouched for the newer editor
+            console.error('Failed to load project:', error);
+            alert(
+                `Failed to load project: ${error.message}. ` +
+                'It is kept in browser storage; changes made here are saved to the project library only.'
+            );
+        }
         
         if (savedProject) {
             console.log('Loaded project from localStorage:', savedProject.name);
@@ -157,12 +287,30 @@ export class PlotterApp {
             this.currentProject = this.projectManager.createProject(
                 'Untitled Project',
                 VIEWPORT_PRESETS[0], // Default to 8.5x11
-                DEFAULT_CODE
+                defaultCode()
             );
         }
 
+        // Initialize ProjectLibrary and bring the localStorage project into it on first run
+        this.projectLibrary = new ProjectLibrary(openProjectStore());
+        this.projectLibrary.migrateFromLocalStorage(savedProject).catch(error => {
+            console.error('Failed to migrate project to library:', error);
+        });
+
+        // Initialize SnapshotHistory
+        this.snapshotHistory = new SnapshotHistory(openSnapshotStore());
+
+        // Initialize SnippetLibrary
+        this.snippetLibrary = new SnippetLibrary();
+
         // Initialize SVGGenerator with current viewport
         this.svgGenerator = new SVGGenerator(this.currentProject.viewportSize);
+        this.svgGenerator.setDrawingUnits(this.currentProject.drawingUnits);
+        this.svgGenerator.setLibraryModules(this.snippetLibrary.list());
+
+        // Plot stats, margin checks and the plotted preview are computed off the main thread
+        this.plotAnalyzer = new PlotAnalyzer();
+        this.plotPreviewer = new PlotAnalyzer();
 
         // Initialize PreviewPanel with current viewport
         this.previewPanel = new PreviewPanel(
@@ -170,24 +318,107 @@ export class PlotterApp {
             this.currentProject.viewportSize
         );
 
+        // Restore the calibrated screen DPI for 1:1 view
+        const screenDPI = loadScreenDPIFromLocalStorage();
+        if (screenDPI) {
+            this.previewPanel.setScreenDPI(screenDPI);
+        }
+
         // Initialize CodeEditor
         this.codeEditor = new CodeEditor(codeEditorContainer);
         this.codeEditor.init(this.currentProject.code);
+        this.codeEditor.setFiles(this.currentProject.files);
+
+        // Initialize FileTabs (optional container)
+        const fileTabsContainer = document.getElementById('file-tabs');
+        if (fileTabsContainer) {
+            this.fileTabs = new FileTabs(fileTabsContainer);
+        }
 
         // Initialize ControlPanel
         this.controlPanel = new ControlPanel(controlPanelContainer);
 
+        // Initialize ParamPanel (optional container)
+        const paramPanelContainer = document.getElementById('param-panel');
+        if (paramPanelContainer) {
+            this.paramPanel = new ParamPanel(paramPanelContainer);
+        }
+
+        // Initialize LayerPanel (optional container)
+        const layerPanelContainer = document.getElementById('layer-panel');
+        if (layerPanelContainer) {
+            this.layerPanel = new LayerPanel(layerPanelContainer);
+        }
+
+        // Initialize PlotOptionsPanel (optional container)
+        const plotOptionsContainer = document.getElementById('plot-options-panel');
+        if (plotOptionsContainer) {
+            this.plotOptionsPanel = new PlotOptionsPanel(plotOptionsContainer);
+        }
+
+        // Initialize PlotStatsPanel (optional container)
+        const plotStatsContainer = document.getElementById('plot-stats-panel');
+        if (plotStatsContainer) {
+            this.plotStatsPanel = new PlotStatsPanel(plotStatsContainer);
+        }
+
+        // Initialize GuidesPanel (optional container)
+        const guidesContainer = document.getElementById('guides-panel');
+        if (guidesContainer) {
+            this.guidesPanel = new GuidesPanel(guidesContainer);
+        }
+
+        // Initialize HistoryPanel (optional container)
+        const historyContainer = document.getElementById('history-panel');
+        if (historyContainer) {
+            this.historyPanel = new HistoryPanel(historyContainer);
+        }
+
         // Initialize NewProjectDialog
         this.newProjectDialog = new NewProjectDialog();
 
+        // Initialize PageSetupDialog (optional element)
+        if (document.getElementById('page-setup-dialog')) {
+            this.pageSetupDialog = new PageSetupDialog();
+        }
+
+        // Initialize ProjectGalleryDialog (optional element)
+        if (document.getElementById('project-gallery-dialog')) {
+            this.projectGalleryDialog = new ProjectGalleryDialog();
+        }
+
+        // Initialize SnapshotDiffDialog (optional element)
+        if (document.getElementById('snapshot-diff-dialog')) {
+            this.snapshotDiffDialog = new SnapshotDiffDialog();
+        }
+
+        // Initialize SnippetLibraryDialog (optional element)
+        if (document.getElementById('snippet-library-dialog')) {
+            this.snippetLibraryDialog = new SnippetLibraryDialog();
+        }
+
         // Initialize SaveDialog
         this.saveDialog = new SaveDialog();
 
+        // Initialize GCodeDialog (optional element)
+        if (document.getElementById('gcode-dialog')) {
+            this.gcodeDialog = new GCodeDialog();
+        }
+
+        // Initialize HPGLDialog (optional element)
+        if (document.getElementById('hpgl-dialog')) {
+            this.hpglDialog = new HPGLDialog();
+        }
+
         // Wire up event handlers
         this._wireEventHandlers();
 
-        // Update viewport display
+        // Update viewport, seed and plot option displays
         this._updateViewportDisplay();
+        this._updateSeedDisplay();
+        this._updatePlotOptionsDisplay();
+        this._updateGuidesDisplay();
+        this._refreshHistory();
 
         // Initial render
         this.handleRegenerate();
@@ -203,25 +434,121 @@ export class PlotterApp {
     _wireEventHandlers() {
         // Control Panel button handlers
         this.controlPanel.onNewProject(() => this.handleNewProject());
+        this.controlPanel.onPageSetup(() => this.handlePageSetup());
+        this.controlPanel.onLibrary(() => this.handleLibrary());
+        this.controlPanel.onSnippets(() => this.handleSnippets());
         this.controlPanel.onSave((event) => this.handleSave(event));
         this.controlPanel.onOpen(() => this.handleOpen());
-        this.controlPanel.onRegenerate(() => this.handleRegenerate());
+        this.controlPanel.onRegenerate(() => this.handleRegenerate({ rollSeed: true, snapshot: true }));
         this.controlPanel.onExport(() => this.handleExport());
+        this.controlPanel.onExportGCode(() => this.handleExportGCode());
+        this.controlPanel.onExportHPGL(() => this.handleExportHPGL());
+        this.controlPanel.onSimulate(() => this.handleSimulate());
+        this.controlPanel.onRerollSeed(() => this.handleRerollSeed());
+        this.controlPanel.onToggleSeedLock(() => this.handleToggleSeedLock());
+
+        // Parameter panel handlers
+        if (this.paramPanel) {
+            this.paramPanel.onChange((name, value) => this.handleParamChange(name, value));
+            this.paramPanel.onReset(() => this.handleParamReset());
+        }
+
+        // Layer panel handler
+        if (this.layerPanel) {
+            this.layerPanel.onToggle((name, visible) => this.handleLayerToggle(name, visible));
+        }
+
+        // Plot options handler
+        if (this.plotOptionsPanel) {
+            this.plotOptionsPanel.onChange((options) => this.handlePlotOptionsChange(options));
+        }
+
+        // Motion profile handler
+        if (this.plotStatsPanel) {
+            this.plotStatsPanel.onChange((profile) => this.handleMotionProfileChange(profile));
+        }
+
+        // Preview guides handler
+        if (this.guidesPanel) {
+            this.guidesPanel.onChange((settings) => this.handleGuidesChange(settings));
+        }
+
+        // History panel handlers
+        if (this.historyPanel) {
+            this.historyPanel.onSnapshot(() => this.handleSnapshot());
+            this.historyPanel.onCompare((id) => this.handleCompareSnapshot(id));
+            this.historyPanel.onRestore((id) => this.handleRestoreSnapshot(id));
+        }
+
+        // Screen DPI calibration handler
+        this.previewPanel.onScreenDPIChange((dpi) => saveScreenDPIToLocalStorage(dpi));
 
         // Code Editor auto-save handler
         this.codeEditor.container.addEventListener('autosave', (event) => {
-            this._handleAutoSave(event.detail.code);
+            this._handleAutoSave(event.detail.code, event.detail.files);
         });
 
+        // File tab handlers
+        this.codeEditor.on('fileopen', () => this._updateFileTabs());
+        if (this.fileTabs) {
+            this.fileTabs.onSelect((name) => this.codeEditor.openFile(name));
+            this.fileTabs.onAdd((name) => this.handleAddFile(name));
+            this.fileTabs.onRemove((name) => this.handleRemoveFile(name));
+            this._updateFileTabs();
+        }
+
         // New Project Dialog handlers
         this.newProjectDialog.onConfirm((projectData) => {
             this._handleNewProjectConfirm(projectData);
         });
 
+        // Page Setup Dialog handlers
+        if (this.pageSetupDialog) {
+            this.pageSetupDialog.onConfirm((viewportSize) => {
+                this._handlePageSetupConfirm(viewportSize);
+            });
+        }
+
+        // Project Gallery Dialog handlers
+        if (this.projectGalleryDialog) {
+            this.projectGalleryDialog.onOpen((id) => this._handleLibraryOpen(id));
+            this.projectGalleryDialog.onDuplicate((id) => this._handleLibraryDuplicate(id));
+            this.projectGalleryDialog.onDelete((id) => this._handleLibraryDelete(id));
+            this.projectGalleryDialog.onTags((id, tags) => this._handleLibraryTags(id, tags));
+        }
+
+        // Snapshot Diff Dialog handler
+        if (this.snapshotDiffDialog) {
+            this.snapshotDiffDialog.onRestore((id) => this.handleRestoreSnapshot(id));
+        }
+
+        // Snippet library handlers
+        this.snippetLibrary.onChange((snippets) => this._handleSnippetsChange(snippets));
+        if (this.snippetLibraryDialog) {
+            this.snippetLibraryDialog.onSave((name, code) => this._handleSnippetSave(name, code));
+            this.snippetLibraryDialog.onDelete((name) => this._handleSnippetDelete(name));
+            this.snippetLibraryDialog.onExport(() => this._handleSnippetExport());
+            this.snippetLibraryDialog.onImport(() => this._handleSnippetImport());
+        }
+
         // Save Dialog handlers
         this.saveDialog.onConfirm((filename) => {
             this._handleSaveConfirm(filename);
         });
+
+        // G-code Dialog handlers
+        if (this.gcodeDialog) {
+            this.gcodeDialog.onConfirm((options) => {
+                this._handleGCodeConfirm(options);
+            });
+        }
+
+        // HPGL Dialog handlers
+        if (this.hpglDialog) {
+            this.hpglDialog.onConfirm((options) => {
+                this._handleHPGLConfirm(options);
+            });
+        }
     }
 
     /**
@@ -248,43 +575,93 @@ export class PlotterApp {
     _handleNewProjectConfirm(projectData) {
         console.log('Creating new project:', projectData.name);
 
-        // Create new project with empty code
+        // Create new project with starter code in its drawing units
+        const drawingUnits = projectData.drawingUnits || 'in';
         this.currentProject = this.projectManager.createProject(
             projectData.name,
             projectData.viewportSize,
-            DEFAULT_CODE
+            defaultCode(drawingUnits)
         );
+        this.currentProject.drawingUnits = drawingUnits;
 
         // Update SVG generator viewport
         this.svgGenerator.setViewportSize(
             projectData.viewportSize.width,
             projectData.viewportSize.height
         );
+        this.svgGenerator.setDrawingUnits(this.currentProject.drawingUnits);
 
         // Update preview panel viewport
         this.previewPanel.setViewportSize(
             projectData.viewportSize.width,
             projectData.viewportSize.height
         );
+        this.previewPanel.fitToView();
 
         // Update code editor with default code
-        this.codeEditor.setValue(DEFAULT_CODE);
+        this.codeEditor.setFiles(this.currentProject.files);
+        this.codeEditor.setValue(this.currentProject.code);
         this.codeEditor.clearErrors();
+        this._updateFileTabs();
 
         // Clear preview and errors
         this.previewPanel.clear();
         this.errorDisplay.clearError();
 
-        // Update viewport display
+        // Update viewport, seed and plot option displays
         this._updateViewportDisplay();
+        this._updateSeedDisplay();
+        this._updatePlotOptionsDisplay();
+        this._updateGuidesDisplay();
+        this._refreshHistory();
 
-        // Save to localStorage
-        this.projectManager.saveToLocalStorage(this.currentProject);
+        // Save to localStorage and the project library
+        this._saveProject();
 
         // Regenerate preview
         this.handleRegenerate();
     }
 
+    /**
+     * Handle Page Setup button click
+     * Shows the page setup dialog with the current paper size
+     */
+    handlePageSetup() {
+        if (this.pageSetupDialog) {
+            this.pageSetupDialog.show(this.currentProject.viewportSize);
+        }
+    }
+
+    /**
+     * Handle page setup confirmation from dialog
+     * Resizes the open project in place; the code and settings are kept.
+     * 
+     * @private
+     * @param {import('./models/project').ViewportSize} viewportSize - New paper size
+     */
+    _handlePageSetupConfirm(viewportSize) {
+        console.log('Changing paper size:', viewportSize.label);
+
+        this.currentProject.viewportSize = viewportSize;
+
+        // Update SVG generator viewport
+        this.svgGenerator.setViewportSize(viewportSize.width, viewportSize.height);
+
+        // Update preview panel viewport
+        this.previewPanel.setViewportSize(viewportSize.width, viewportSize.height);
+        this.previewPanel.fitToView();
+
+        // Update viewport and guide displays
+        this._updateViewportDisplay();
+        this._updateGuidesDisplay();
+
+        // Save to localStorage and the project library
+        this._saveProject();
+
+        // Regenerate preview at the new size
+        this.handleRegenerate();
+    }
+
     /**
      * Handle Save button click
      * Shows save dialog by default, or saves directly if Alt/Option key is held
@@ -326,6 +703,7 @@ export class PlotterApp {
         try {
             // Update current project with latest code
             this.currentProject.code = this.codeEditor.getValue();
+            this.currentProject.files = this.codeEditor.getFiles();
 
             // Save to file (triggers download)
             this.projectManager.saveToFile(this.currentProject);
@@ -349,6 +727,7 @@ export class PlotterApp {
         try {
             // Update current project with latest code
             this.currentProject.code = this.codeEditor.getValue();
+            this.currentProject.files = this.codeEditor.getFiles();
             
             // Update project name
             this.currentProject.name = filename;
@@ -357,7 +736,7 @@ export class PlotterApp {
             this.projectManager.saveToFile(this.currentProject);
 
             // Save to localStorage with updated name
-            this.projectManager.saveToLocalStorage(this.currentProject);
+            this._saveProject();
 
             console.log('Project saved successfully');
         } catch (error) {
@@ -392,36 +771,7 @@ export class PlotterApp {
                 
                 console.log('Project loaded successfully:', project.name);
 
-                // Update current project
-                this.currentProject = project;
-
-                // Update SVG generator viewport
-                this.svgGenerator.setViewportSize(
-                    project.viewportSize.width,
-                    project.viewportSize.height
-                );
-
-                // Update preview panel viewport
-                this.previewPanel.setViewportSize(
-                    project.viewportSize.width,
-                    project.viewportSize.height
-                );
-
-                // Update code editor
-                this.codeEditor.setValue(project.code);
-                this.codeEditor.clearErrors();
-                
-                // Clear any displayed errors
-                this.errorDisplay.clearError();
-
-                // Update viewport display
-                this._updateViewportDisplay();
-
-                // Save to localStorage (Requirement 7.4)
-                this.projectManager.saveToLocalStorage(project);
-
-                // Regenerate preview (Requirement 5.5)
-                this.handleRegenerate();
+                this._loadProject(project);
 
             } catch (error) {
                 console.error('Failed to load project:', error);
@@ -434,106 +784,1062 @@ export class PlotterApp {
     }
 
     /**
-     * Handle Regenerate button click
-     * Executes the current code and updates the preview
+     * Make a loaded project the current one
+     * Updates every component, saves to localStorage and regenerates.
      * 
-     * Requirements: 2.1, 2.4
+     * @private
+     * @param {import('./models/project').Project} project - Project to show
+     * 
+     * Requirements: 5.5, 7.4
      */
-    async handleRegenerate() {
-        console.log('Regenerating SVG preview');
+    _loadProject(project) {
+        // Update current project
+        this.currentProject = project;
 
-        // Get current code
-        const code = this.codeEditor.getValue();
+        // Update SVG generator viewport
+        this.svgGenerator.setViewportSize(
+            project.viewportSize.width,
+            project.viewportSize.height
+        );
+        this.svgGenerator.setDrawingUnits(project.drawingUnits);
 
-        // Clear previous errors
+        // Update preview panel viewport
+        this.previewPanel.setViewportSize(
+            project.viewportSize.width,
+            project.viewportSize.height
+        );
+        this.previewPanel.fitToView();
+
+        // Update code editor
+        this.codeEditor.setFiles(project.files);
+        this.codeEditor.setValue(project.code);
         this.codeEditor.clearErrors();
+        this._updateFileTabs();
+        
+        // Clear any displayed errors
         this.errorDisplay.clearError();
 
-        try {
-            // Execute code and generate SVG
-            const svgMarkup = await this.svgGenerator.execute(code);
+        // Update viewport, seed and plot option displays
+        this._updateViewportDisplay();
+        this._updateSeedDisplay();
+        this._updatePlotOptionsDisplay();
+        this._updateGuidesDisplay();
+        this._refreshHistory();
 
-            // Render in preview panel
-            this.previewPanel.render(svgMarkup);
+        // Save to localStorage (Requirement 7.4)
+        this.projectManager.saveToLocalStorage(project);
 
-            console.log('SVG generated successfully');
+        // Regenerate preview (Requirement 5.5)
+        this.handleRegenerate();
+    }
 
-        } catch (error) {
-            console.error('SVG generation failed:', error);
+    /**
+     * Handle Projects button click
+     * Shows the gallery of the project library
+     */
+    async handleLibrary() {
+        if (!this.projectGalleryDialog) {
+            return;
+        }
 
-            // Display error using ErrorDisplay component (Requirements 8.1, 8.2, 8.3)
-            this.errorDisplay.showError(error);
+        try {
+            // The library lists the open project as last saved
+            await this._saveToLibrary();
+            const projects = await this.projectLibrary.list();
+            this.projectGalleryDialog.show(projects, this.currentProject.id);
+        } catch (error) {
+            console.error('Failed to list projects:', error);
+            alert(`Failed to list projects: ${error.message}`);
+        }
+    }
 
-            // Highlight error in code editor if line number is available
-            if (error.line) {
-                this.codeEditor.highlightError(error.line, error.message);
+    /**
+     * Open a project from the library
+     * 
+     * @private
+     * @param {string} id - Project id
+     */
+    async _handleLibraryOpen(id) {
+        try {
+            const project = await this.projectLibrary.get(id);
+            if (!project) {
+                throw new Error('Project not found in library');
             }
+            console.log('Opening project from library:', project.name);
+            this._loadProject(project);
+        } catch (error) {
+            console.error('Failed to open project:', error);
+            alert(`Failed to open project: ${error.message}`);
         }
     }
 
     /**
-     * Handle Export button click
-     * Exports the current SVG to a file
+     * Duplicate a project in the library
      * 
-     * Requirements: 9.1, 9.2, 9.3, 9.4, 9.6
+     * @private
+     * @param {string} id - Project id
      */
-    async handleExport() {
-        console.log('Exporting SVG');
+    async _handleLibraryDuplicate(id) {
+        try {
+            await this.projectLibrary.duplicate(id);
+            await this._refreshGallery();
+        } catch (error) {
+            console.error('Failed to duplicate project:', error);
+            alert(`Failed to duplicate project: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete a project from the library
+     * The open project is never deleted.
+     * 
+     * @private
+     * @param {string} id - Project id
+     */
+    async _handleLibraryDelete(id) {
+        if (id === this.currentProject.id) {
+            return;
+        }
 
         try {
-            // Get current code
-            const code = this.codeEditor.getValue();
+            await this.projectLibrary.delete(id);
+            await this.snapshotHistory.clear(id);
+            await this._refreshGallery();
+        } catch (error) {
+            console.error('Failed to delete project:', error);
+            alert(`Failed to delete project: ${error.message}`);
+        }
+    }
 
-            // Generate SVG
-            const svgMarkup = await this.svgGenerator.execute(code);
+    /**
+     * Replace the tags of a project in the library
+     * 
+     * @private
+     * @param {string} id - Project id
+     * @param {string[]} tags - New tags
+     */
+    async _handleLibraryTags(id, tags) {
+        try {
+            if (id === this.currentProject.id) {
+                this.currentProject.tags = tags;
+                this._saveProject();
+            } else {
+                await this.projectLibrary.setTags(id, tags);
+            }
+            await this._refreshGallery();
+        } catch (error) {
+            console.error('Failed to update tags:', error);
+            alert(`Failed to update tags: ${error.message}`);
+        }
+    }
 
-            // Export using the SVG exporter utility
-            exportSVG(
-                svgMarkup,
-                this.currentProject.name,
-                this.currentProject.viewportSize
-            );
+    /**
+     * Reload the gallery's project list
+     * 
+     * @private
+     */
+    async _refreshGallery() {
+        this.projectGalleryDialog.setProjects(await this.projectLibrary.list());
+    }
 
-            console.log('SVG exported successfully');
+    /**
+     * Handle Snippets button click
+     * Shows the snippet library editor
+     */
+    handleSnippets() {
+        if (!this.snippetLibraryDialog) {
+            return;
+        }
 
+        try {
+            this.snippetLibraryDialog.show(this.snippetLibrary.list());
         } catch (error) {
-            console.error('Failed to export SVG:', error);
-            alert(`Failed to export SVG: ${error.message}`);
+            console.error('Failed to show snippets:', error);
+            alert(`Failed to show snippets: ${error.message}`);
         }
     }
 
     /**
-     * Handle auto-save event from code editor
-     * Saves current state to localStorage
+     * Give the generator and the dialog the changed snippet library
      * 
      * @private
-     * @param {string} code - Current code from editor
+     * @param {import('./models/snippet').Snippet[]} snippets - Snippets, sorted by name
+     */
+    _handleSnippetsChange(snippets) {
+        this.svgGenerator.setLibraryModules(snippets);
+        if (this.snippetLibraryDialog) {
+            this.snippetLibraryDialog.setSnippets(snippets);
+        }
+    }
+
+    /**
+     * Store a snippet edited in the dialog
      * 
-     * Requirement: 7.1
+     * @private
+     * @param {string} name - Snippet name
+     * @param {string} code - Source code
      */
-    _handleAutoSave(code) {
-        // Update current project code
-        this.currentProject.code = code;
+    _handleSnippetSave(name, code) {
+        try {
+            this.snippetLibrary.save(name, code);
+        } catch (error) {
+            console.error('Failed to save snippet:', error);
+            alert(`Failed to save snippet: ${error.message}`);
+        }
+    }
 
-        // Save to localStorage
-        const success = this.projectManager.saveToLocalStorage(this.currentProject);
+    /**
+     * Delete a snippet from the library
+     * 
+     * @private
+     * @param {string} name - Snippet name
+     */
+    _handleSnippetDelete(name) {
+        try {
+            this.snippetLibrary.remove(name);
+        } catch (error) {
+            console.error('Failed to delete snippet:', error);
+            alert(`Failed to delete snippet: ${error.message}`);
+        }
+    }
 
-        if (success) {
-            console.log('Auto-saved to localStorage');
-        } else {
-            console.warn('Auto-save to localStorage failed');
+    /**
+     * Download the snippet library as a JSON bundle
+     * 
+     * @private
+     */
+    _handleSnippetExport() {
+        try {
+            downloadJSON(this.snippetLibrary.exportBundle(), 'snippets');
+        } catch (error) {
+            console.error('Failed to export snippets:', error);
+            alert(`Failed to export snippets: ${error.message}`);
         }
     }
 
     /**
-     * Update the viewport display in the header
+     * Add the snippets of a JSON bundle chosen by the user
      * 
      * @private
      */
-    _updateViewportDisplay() {
-        if (this.viewportDisplay && this.currentProject) {
-            const { width, height } = this.currentProject.viewportSize;
-            this.viewportDisplay.textContent = `${width}" × ${height}"`;
+    async _handleSnippetImport() {
+        try {
+            const { added, replaced } = this.snippetLibrary.importBundle(await selectAndReadJSONFile());
+            console.log(`Imported snippets: ${added} added, ${replaced} replaced`);
+        } catch (error) {
+            if (error.message.startsWith('File selection cancelled')) {
+                return;
+            }
+            console.error('Failed to import snippets:', error);
+            alert(`Failed to import snippets: ${error.message}`);
+        }
+    }
+
+    /**
+     * Handle Snapshot button click in the history panel
+     * Keeps the current code, parameters and seed; never pruned
+     */
+    async handleSnapshot() {
+        await this._addSnapshot(this._editorSources(), {
+            thumbnail: this._lastThumbnail(),
+            manual: true
+        });
+    }
+
+    /**
+     * Show the differences between a snapshot and the code in the editor
+     * 
+     * @param {string} id - Snapshot id
+     */
+    async handleCompareSnapshot(id) {
+        if (!this.snapshotDiffDialog) {
+            return;
+        }
+
+        try {
+            const snapshot = await this.snapshotHistory.get(id);
+            if (!snapshot) {
+                throw new Error('Snapshot not found');
+            }
+            this.snapshotDiffDialog.show(snapshot, this._editorSources());
+        } catch (error) {
+            console.error('Failed to compare snapshot:', error);
+            alert(`Failed to compare snapshot: ${error.message}`);
+        }
+    }
+
+    /**
+     * Go back to a snapshot's code, parameters and seed
+     * The state being replaced is snapshotted first, so a restore can be undone.
+     * 
+     * @param {string} id - Snapshot id
+     */
+    async handleRestoreSnapshot(id) {
+        try {
+            const snapshot = await this.snapshotHistory.get(id);
+            if (!snapshot) {
+                throw new Error('Snapshot not found');
+            }
+            console.log('Restoring snapshot from', snapshot.createdAt);
+
+            await this._addSnapshot(this._editorSources(), { thumbnail: this._lastThumbnail() });
+
+            const files = snapshot.files ?? [];
+            this.codeEditor.setFiles(files);
+            this.codeEditor.setValue(snapshot.code);
+            this._updateFileTabs();
+            this.currentProject.code = snapshot.code;
+            this.currentProject.files = files.map(file => ({ ...file }));
+            this.currentProject.params = { ...snapshot.params };
+            this.currentProject.seed = snapshot.seed;
+            this._updateSeedDisplay();
+            this._saveProject();
+
+            await this.handleRegenerate();
+        } catch (error) {
+            console.error('Failed to restore snapshot:', error);
+            alert(`Failed to restore snapshot: ${error.message}`);
+        }
+    }
+
+    /**
+     * Snapshot the current project's parameters and seed with the given code
+     * Failures are logged; the history panel is refreshed afterwards.
+     * 
+     * @private
+     * @param {Object} sources - Sketch sources to record
+     * @param {string} sources.code - Main sketch code
+     * @param {import('./generators/sketch-modules').SketchFile[]} sources.files - Helper modules
+     * @param {Object} [options] - Options for SnapshotHistory.add
+     * @returns {Promise<void>} Resolves when the snapshot has been stored
+     */
+    async _addSnapshot({ code, files }, options) {
+        const { id, params, seed } = this.currentProject;
+        try {
+            await this.snapshotHistory.add(id, { code, files, params, seed }, options);
+        } catch (error) {
+            console.error('Failed to take snapshot:', error);
+        }
+        await this._refreshHistory();
+    }
+
+    /**
+     * Main sketch code and helper modules in the editor
+     * 
+     * @private
+     * @returns {{code: string, files: import('./generators/sketch-modules').SketchFile[]}} Sources
+     */
+    _editorSources() {
+        return { code: this.codeEditor.getValue(), files: this.codeEditor.getFiles() };
+    }
+
+    /**
+     * Add a helper module to the project and open it
+     * 
+     * @param {string} name - File name, e.g. "hatching.js"
+     */
+    handleAddFile(name) {
+        try {
+            this.codeEditor.addFile(name, `// Export what other files import, e.g.\n// export function hatch(x, y, size) { ... }\n`);
+            this._syncFiles();
+        } catch (error) {
+            console.error('Failed to add file:', error);
+            alert(`Failed to add file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete a helper module from the project
+     * 
+     * @param {string} name - File name
+     */
+    handleRemoveFile(name) {
+        try {
+            this.codeEditor.removeFile(name);
+            this._syncFiles();
+        } catch (error) {
+            console.error('Failed to remove file:', error);
+            alert(`Failed to remove file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Store the editor's helper modules in the project and refresh the tabs
+     * 
+     * @private
+     */
+    _syncFiles() {
+        this.currentProject.files = this.codeEditor.getFiles();
+        this._updateFileTabs();
+        this._saveProject();
+    }
+
+    /**
+     * Show the editor's files in the tab bar
+     * 
+     * @private
+     */
+    _updateFileTabs() {
+        if (this.fileTabs) {
+            this.fileTabs.render(this.codeEditor.getFileNames(), this.codeEditor.getActiveFile());
+        }
+    }
+
+    /**
+     * Thumbnail of the last generated SVG
+     * 
+     * @private
+     * @returns {string|null} Thumbnail markup, or null before the first render
+     */
+    _lastThumbnail() {
+        return this.lastSvgMarkup ? createThumbnail(this.lastSvgMarkup, this.currentProject.hiddenLayers) : null;
+    }
+
+    /**
+     * Reload the history panel with the current project's snapshots
+     * 
+     * @private
+     */
+    async _refreshHistory() {
+        if (!this.historyPanel) {
+            return;
+        }
+
+        try {
+            this.historyPanel.render(await this.snapshotHistory.list(this.currentProject.id));
+        } catch (error) {
+            console.error('Failed to list snapshots:', error);
+        }
+    }
+
+    /**
+     * Handle Regenerate button click
+     * Executes the current code and updates the preview. When runs overlap,
+     * a run that a newer one has replaced changes nothing.
+     * 
+     * Requirements: 2.1, 2.4
+     * 
+     * @param {Object} [options] - Regenerate options
+     * @param {boolean} [options.rollSeed=false] - Pick a new seed first unless the seed is locked
+     * @param {boolean} [options.snapshot=false] - Snapshot the run even if its code is unchanged
+     */
+    async handleRegenerate(options = {}) {
+        console.log('Regenerating SVG preview');
+        // Parameter changes, New Seed and Page Setup can start a run while another is going
+        const run = ++this.regenerateCount;
+        let preview = null;
+        let analysis = null;
+
+        if (options.rollSeed && !this.currentProject.seedLocked) {
+            this._setSeed(generateSeed());
+        }
+
+        // Get current code
+        const { code, files } = this._editorSources();
+
+        // Clear previous errors
+        this.codeEditor.clearErrors();
+        this.errorDisplay.clearError();
+
+        // Disabled while the sketch worker is busy
+        this.controlPanel.setButtonState('regenerate', false);
+
+        try {
+            // Execute code and generate SVG
+            this.svgGenerator.setSeed(this.currentProject.seed);
+            this.svgGenerator.setParamValues(this.currentProject.params);
+            this.svgGenerator.setModules(files);
+            const svgMarkup = await this.svgGenerator.execute(code);
+            if (run !== this.regenerateCount) {
+                return;
+            }
+
+            // Render in preview panel
+            this.previewPanel.setHiddenLayers(this.currentProject.hiddenLayers);
+            preview = this._renderPreview(svgMarkup);
+            this.lastSvgMarkup = svgMarkup;
+            analysis = this._updatePlotAnalysis();
+            this._updatePlotWarnings();
+
+            const thumbnail = createThumbnail(svgMarkup, this.currentProject.hiddenLayers);
+            this._saveToLibrary(thumbnail);
+
+            // Runs for parameter and seed changes alone are not snapshotted, so
+            // dragging a slider does not push older versions out of the history
+            const sources = JSON.stringify({ code, files });
+            if (options.snapshot || sources !== this.snapshotSources) {
+                this.snapshotSources = sources;
+                this._addSnapshot({ code, files }, { thumbnail });
+            }
+
+            // Rebuild parameter controls from the declarations of this run
+            if (this.paramPanel) {
+                this.paramPanel.render(this.svgGenerator.getParamDefinitions());
+            }
+            if (this.layerPanel) {
+                this.layerPanel.render(this.svgGenerator.getLayers(), this.currentProject.hiddenLayers);
+            }
+
+            console.log('SVG generated successfully');
+
+        } catch (error) {
+            if (run !== this.regenerateCount) {
+                return;
+            }
+            console.error('SVG generation failed:', error);
+
+            // Display error using ErrorDisplay component (Requirements 8.1, 8.2, 8.3)
+            this.errorDisplay.showError(error);
+
+            // Highlight error in code editor if line number is available
+            if (error.line) {
+                this.codeEditor.highlightError(error.line, error.message, error.file || undefined);
+            }
+        } finally {
+            if (run === this.regenerateCount) {
+                this.controlPanel.setButtonState('regenerate', true);
+            }
+        }
+
+        // Resolve once the preview and plot panels show the new drawing too
+        await Promise.all([preview, analysis]);
+    }
+
+    /**
+     * Handle Export button click
+     * Exports the current SVG to a file
+     * 
+     * Requirements: 9.1, 9.2, 9.3, 9.4, 9.6
+     */
+    async handleExport() {
+        console.log('Exporting SVG');
+
+        try {
+            const svg = await this._generatePlotSVG();
+
+            // Export using the SVG exporter utility
+            const exportFile = this.currentProject.plotOptions.separateLayers ? exportLayerSVGs : exportSVG;
+            exportFile(
+                svg,
+                this.currentProject.name,
+                this.currentProject.viewportSize,
+                { motionProfile: this.currentProject.motionProfile }
+            );
+
+            console.log('SVG exported successfully');
+
+        } catch (error) {
+            console.error('Failed to export SVG:', error);
+            alert(`Failed to export SVG: ${error.message}`);
+        }
+    }
+
+    /**
+     * Handle Export G-code button click
+     * Shows the G-code settings dialog, or exports right away without one
+     */
+    async handleExportGCode() {
+        if (this.gcodeDialog) {
+            this.gcodeDialog.show(this.currentProject.gcodeOptions);
+            return;
+        }
+        await this._exportGCode();
+    }
+
+    /**
+     * Handle G-code dialog confirmation
+     * Stores the settings on the project and exports
+     * 
+     * @private
+     * @param {import('./utils/gcode-exporter').GCodeOptions} options - Settings from the dialog
+     */
+    async _handleGCodeConfirm(options) {
+        this.currentProject.gcodeOptions = { ...this.currentProject.gcodeOptions, ...options };
+        this._saveProject();
+        await this._exportGCode();
+    }
+
+    /**
+     * Generate G-code for the current drawing and download it
+     * 
+     * @private
+     */
+    async _exportGCode() {
+        console.log('Exporting G-code');
+
+        try {
+            const svg = await this._generatePlotSVG();
+            const gcode = generateGCode(
+                svg,
+                this.currentProject.viewportSize,
+                this.currentProject.gcodeOptions,
+                this.currentProject.motionProfile
+            );
+            exportGCode(gcode, this.currentProject.name);
+
+            console.log('G-code exported successfully');
+
+        } catch (error) {
+            console.error('Failed to export G-code:', error);
+            alert(`Failed to export G-code: ${error.message}`);
+        }
+    }
+
+    /**
+     * Handle Export HPGL button click
+     * Shows the HPGL settings dialog, or exports right away without one
+     */
+    async handleExportHPGL() {
+        if (this.hpglDialog) {
+            this.hpglDialog.show(this.currentProject.hpglOptions);
+            return;
+        }
+        await this._exportHPGL();
+    }
+
+    /**
+     * Handle HPGL dialog confirmation
+     * Stores the settings on the project and exports
+     * 
+     * @private
+     * @param {import('./utils/hpgl-exporter').HPGLOptions} options - Settings from the dialog
+     */
+    async _handleHPGLConfirm(options) {
+        this.currentProject.hpglOptions = { ...this.currentProject.hpglOptions, ...options };
+        this._saveProject();
+        await this._exportHPGL();
+    }
+
+    /**
+     * Generate HPGL for the current drawing and download it
+     * 
+     * @private
+     */
+    async _exportHPGL() {
+        console.log('Exporting HPGL');
+
+        try {
+            const svg = await this._generatePlotSVG();
+            const hpgl = generateHPGL(svg, this.currentProject.viewportSize, this.currentProject.hpglOptions);
+            exportHPGL(hpgl, this.currentProject.name);
+
+            console.log('HPGL exported successfully');
+
+        } catch (error) {
+            console.error('Failed to export HPGL:', error);
+            alert(`Failed to export HPGL: ${error.message}`);
+        }
+    }
+
+    /**
+     * Handle Simulate Plot button click
+     * Animates the drawing in export order, or closes a running simulation
+     */
+    async handleSimulate() {
+        if (this.previewPanel.isSimulating()) {
+            this.previewPanel.stopSimulation();
+            return;
+        }
+
+        try {
+            const svg = await this._generatePlotSVG();
+            // The simulation runs in viewBox units
+            this.previewPanel.startSimulation(
+                svg,
+                scaleMotionProfile(this.currentProject.motionProfile, this._unitsPerInch())
+            );
+        } catch (error) {
+            console.error('Failed to simulate plot:', error);
+            alert(`Failed to simulate plot: ${error.message}`);
+        }
+    }
+
+    /**
+     * Run the sketch and prepare its output for plotting in the plot worker
+     * Uses the same seed and parameters as the preview, leaves out hidden
+     * layers and applies the project's plot options.
+     * 
+     * @private
+     * @returns {Promise<string>} SVG markup ready for export
+     * @throws {Error} If the sketch fails or its markup is invalid
+     */
+    async _generatePlotSVG() {
+        const code = this.codeEditor.getValue();
+
+        this.svgGenerator.setSeed(this.currentProject.seed);
+        this.svgGenerator.setParamValues(this.currentProject.params);
+        this.svgGenerator.setModules(this.codeEditor.getFiles());
+        const svgMarkup = await this.svgGenerator.execute(code);
+
+        // Leave out hidden layers, then clean up and reorder paths for the plotter
+        // Each export gets a worker of its own, so none cancels another
+        const visibleMarkup = removeLayers(svgMarkup, this.currentProject.hiddenLayers);
+        const { svg, stats } = await new PlotAnalyzer().prepare(visibleMarkup, this._plotProcessingOptions());
+        this._showPlotStats(stats);
+        return svg;
+    }
+
+    /**
+     * Handle New Seed button click
+     * Always picks a new seed, even when the seed is locked
+     */
+    handleRerollSeed() {
+        console.log('Rolling a new seed');
+        this._setSeed(generateSeed());
+        this.handleRegenerate();
+    }
+
+    /**
+     * Handle Lock Seed button click
+     * Toggles whether Regenerate keeps the current seed
+     */
+    handleToggleSeedLock() {
+        this.currentProject.seedLocked = !this.currentProject.seedLocked;
+        this._updateSeedDisplay();
+        this._saveProject();
+    }
+
+    /**
+     * Handle a value change in the parameter panel
+     * Stores the value with the project and re-runs the sketch
+     * 
+     * @param {string} name - Parameter name
+     * @param {number|boolean|string} value - New value
+     */
+    handleParamChange(name, value) {
+        this.currentProject.params = { ...this.currentProject.params, [name]: value };
+        this._saveProject();
+        this.handleRegenerate();
+    }
+
+    /**
+     * Handle Reset to defaults in the parameter panel
+     */
+    handleParamReset() {
+        this.currentProject.params = {};
+        this._saveProject();
+        this.handleRegenerate();
+    }
+
+    /**
+     * Handle a layer visibility toggle
+     * Hidden layers are hidden in the preview and left out of exports
+     * 
+     * @param {string} name - Layer name
+     * @param {boolean} visible - Whether the layer is shown
+     * @returns {Promise<void>} Resolves when the plot panels are updated
+     */
+    handleLayerToggle(name, visible) {
+        const hidden = this.currentProject.hiddenLayers.filter(layer => layer !== name);
+        this.currentProject.hiddenLayers = visible ? hidden : [...hidden, name];
+        this._saveProject();
+
+        this.previewPanel.setHiddenLayers(this.currentProject.hiddenLayers);
+        return this._updatePlotAnalysis();
+    }
+
+    /**
+     * Handle a change in the plot options panel
+     * 
+     * @param {import('./models/project').PlotOptions} options - New plot options
+     * @returns {Promise<void>} Resolves when the preview and plot panels are updated
+     */
+    handlePlotOptionsChange(options) {
+        const previewedPlotted = this.currentProject.plotOptions.previewPlotted;
+        this.currentProject.plotOptions = { ...this.currentProject.plotOptions, ...options };
+        this._saveProject();
+        const analysis = this._updatePlotAnalysis();
+        this._updatePlotWarnings();
+
+        // Fill settings change what the plotted preview shows
+        let preview = null;
+        if (this.lastSvgMarkup && (previewedPlotted || this.currentProject.plotOptions.previewPlotted)) {
+            preview = this._renderPreview(this.lastSvgMarkup);
+        }
+        return Promise.all([preview, analysis]).then(() => {});
+    }
+
+    /**
+     * Handle a change in the guides panel
+     * 
+     * @param {Object} settings - New guide settings
+     * @param {import('./models/project').Margins} settings.margins - Margins in inches
+     * @param {import('./models/project').GuideOptions} settings.guides - Ruler and grid options
+     * @returns {Promise<void>} Resolves when the plot panels are updated
+     */
+    handleGuidesChange({ margins, guides }) {
+        this.currentProject.margins = { ...margins };
+        this.currentProject.guides = { ...guides };
+        this._saveProject();
+        this._updateGuidesDisplay();
+        return this._updatePlotAnalysis();
+    }
+
+    /**
+     * Handle a change of the plotter motion profile
+     * 
+     * @param {import('./geometry/plot-timeline').MotionProfile} profile - New motion profile
+     * @returns {Promise<void>} Resolves when the plot panels are updated
+     */
+    handleMotionProfileChange(profile) {
+        this.currentProject.motionProfile = { ...profile };
+        this._saveProject();
+        return this._updatePlotAnalysis();
+    }
+
+    /**
+     * Measure the last generated SVG in the plot worker, then show its
+     * pen-up travel stats and plot estimate, and warn in the preview when
+     * visible geometry reaches into the margins or past the area the export
+     * clips to. Results replaced by a newer request are dropped.
+     * 
+     * @private
+     * @returns {Promise<void>} Resolves when the panels are updated
+     */
+    async _updatePlotAnalysis() {
+        if (!this.lastSvgMarkup) {
+            this.previewPanel.setMarginCrossings([]);
+            this.previewPanel.setClippedShapes(0);
+            return;
+        }
+
+        const { viewportSize, margins, plotOptions } = this.currentProject;
+        let analysis;
+        try {
+            const visibleMarkup = removeLayers(this.lastSvgMarkup, this.currentProject.hiddenLayers);
+            analysis = await this.plotAnalyzer.analyze(visibleMarkup, viewportSize, this._plotProcessingOptions());
+        } catch (error) {
+            console.warn('Failed to compute plot stats:', error);
+            if (this.plotOptionsPanel) {
+                this.plotOptionsPanel.clearStats();
+            }
+            if (this.plotStatsPanel) {
+                this.plotStatsPanel.clearStats();
+            }
+            this.previewPanel.setMarginCrossings([]);
+            this.previewPanel.setClippedShapes(0);
+            return;
+        }
+
+        if (!analysis) {
+            return;
+        }
+        this._showPlotStats(analysis.stats);
+        this.previewPanel.setMarginCrossings(marginCrossings(analysis.bounds, viewportSize, margins));
+        this.previewPanel.setClippedShapes(analysis.clippedShapes, plotOptions.clipToMargins ? 'margins' : 'page');
+    }
+
+    /**
+     * Show the sketch's output in the preview, or with fills shown as
+     * plotted when the project asks for it. The plotted markup comes from
+     * the plot worker; results replaced by a newer request are dropped.
+     * 
+     * @private
+     * @param {string} svgMarkup - SVG markup from the generator
+     * @returns {Promise<void>} Resolves when the preview is updated
+     */
+    async _renderPreview(svgMarkup) {
+        let markup = svgMarkup;
+
+        if (!this.currentProject.plotOptions.previewPlotted) {
+            this.plotPreviewer.cancel();
+        } else {
+            try {
+                markup = await this.plotPreviewer.preview(svgMarkup, this._plotProcessingOptions());
+            } catch (error) {
+                console.warn('Failed to preview fills as plotted:', error);
+            }
+            if (markup === null) {
+                return;
+            }
+        }
+
+        this.previewPanel.render(markup);
+    }
+
+    /**
+     * Options for prepareSVGForPlot from the current project
+     * 
+     * @private
+     * @returns {Object} Plot options with the motion profile for the estimate
+     */
+    _plotProcessingOptions() {
+        return {
+            ...this.currentProject.plotOptions,
+            margins: this.currentProject.margins,
+            unitsPerInch: this._unitsPerInch(),
+            motionProfile: this.currentProject.motionProfile
+        };
+    }
+
+    /**
+     * ViewBox units per inch for the current project's drawing units
+     * 
+     * @private
+     * @returns {number} 1 for inches, 25.4 for millimetres
+     */
+    _unitsPerInch() {
+        return UNITS_PER_INCH[this.currentProject.drawingUnits];
+    }
+
+    /**
+     * Show processing stats and the plot estimate in their panels
+     * 
+     * @private
+     * @param {import('./utils/svg-exporter').PlotStats} stats - Stats from prepareSVGForPlot
+     */
+    _showPlotStats(stats) {
+        if (this.plotOptionsPanel) {
+            this.plotOptionsPanel.showStats(stats);
+        }
+        if (this.plotStatsPanel) {
+            this.plotStatsPanel.showStats(stats.estimate);
+        }
+    }
+
+    /**
+     * Store a new seed on the current project and persist it
+     * 
+     * @private
+     * @param {number} seed - New seed
+     */
+    _setSeed(seed) {
+        this.currentProject.seed = seed;
+        this._updateSeedDisplay();
+        this._saveProject();
+    }
+
+    /**
+     * Save the edited current project to localStorage and the project library
+     * 
+     * @private
+     * @returns {boolean} True if the localStorage save succeeded
+     */
+    _saveProject() {
+        this.currentProject.updatedAt = new Date().toISOString();
+        this._saveToLibrary();
+        return this.projectManager.saveToLocalStorage(this.currentProject);
+    }
+
+    /**
+     * Store the current project in the project library
+     * Library writes finish in the background; failures are logged.
+     * 
+     * @private
+     * @param {string|null} [thumbnail] - Thumbnail markup; omit to keep the stored one
+     * @returns {Promise<void>} Resolves when the write has finished
+     */
+    _saveToLibrary(thumbnail) {
+        return this.projectLibrary.save(this.currentProject, thumbnail).catch(error => {
+            console.error('Failed to save project to library:', error);
+        });
+    }
+
+    /**
+     * Handle auto-save event from code editor
+     * Saves current state to localStorage
+     * 
+     * @private
+     * @param {string} code - Current code from editor
+     * @param {import('./generators/sketch-modules').SketchFile[]} [files] - Current helper modules
+     * 
+     * Requirement: 7.1
+     */
+    _handleAutoSave(code, files = this.codeEditor.getFiles()) {
+        // Update current project code
+        this.currentProject.code = code;
+        this.currentProject.files = files;
+
+        // Save to localStorage
+        const success = this._saveProject();
+
+        if (success) {
+            console.log('Auto-saved to localStorage');
+        } else if (!this.projectManager.storedProjectLocked) {
+            console.warn('Auto-save to localStorage failed');
+        }
+    }
+
+    /**
+     * Update the viewport display in the header
+     * 
+     * @private
+     */
+    _updateViewportDisplay() {
+        if (this.viewportDisplay && this.currentProject) {
+            const { width, height, unit } = this.currentProject.viewportSize;
+            this.viewportDisplay.textContent = unit && unit !== 'in'
+                ? formatPaperDimensions(fromInches(width, unit), fromInches(height, unit), unit)
+                : `${width}" × ${height}"`;
+        }
+    }
+
+    /**
+     * Show the current project's plot options in the plot options panel
+     * 
+     * @private
+     */
+    _updatePlotOptionsDisplay() {
+        if (this.plotOptionsPanel && this.currentProject) {
+            this.plotOptionsPanel.setOptions(this.currentProject.plotOptions);
+        }
+        if (this.plotStatsPanel && this.currentProject) {
+            this.plotStatsPanel.setProfile(this.currentProject.motionProfile);
+        }
+    }
+
+    /**
+     * Show the current project's margins, rulers and grid in the preview
+     * and the guides panel
+     * 
+     * @private
+     */
+    _updateGuidesDisplay() {
+        if (!this.currentProject) {
+            return;
+        }
+
+        const { margins, guides } = this.currentProject;
+        this.previewPanel.setGuides({ ...guides, margins });
+        if (this.guidesPanel) {
+            this.guidesPanel.setGuides(margins, guides);
+        }
+    }
+
+    /**
+     * Show the plottability warnings of the last drawing
+     * Fills are not reported while the plot options turn them into lines
+     * (hatching) or use them to hide lines underneath.
+     * 
+     * @private
+     */
+    _updatePlotWarnings() {
+        if (!this.lastSvgMarkup) {
+            this.errorDisplay.clearWarnings();
+            return;
+        }
+
+        const { hatchFills, removeHiddenLines } = this.currentProject.plotOptions;
+        const warnings = this.svgGenerator.getWarnings()
+            .filter(warning => warning.category !== 'fill' || !(hatchFills || removeHiddenLines));
+        this.errorDisplay.showWarnings(warnings);
+    }
+
+    /**
+     * Update the seed display in the header and the lock button state
+     * 
+     * @private
+     */
+    _updateSeedDisplay() {
+        if (!this.currentProject) {
+            return;
+        }
+
+        if (this.seedDisplay) {
+            this.seedDisplay.textContent = String(this.currentProject.seed);
+        }
+        if (this.controlPanel) {
+            this.controlPanel.setSeedLocked(this.currentProject.seedLocked);
         }
     }
 
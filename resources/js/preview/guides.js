@@ -0,0 +1,115 @@
+/**
+ * Preview Guides
+ *
+ * Geometry for the guides drawn over the preview: ruler ticks along the
+ * panel edges, the grid and the margin band. Guides only exist in the
+ * preview and are never part of the drawing or an export.
+ *
+ * Page coordinates are in inches; ruler positions are in screen pixels.
+ */
+
+import { formatCoordinate } from '../geometry/polyline.js';
+import { UNITS_PER_INCH } from '../models/paper-sizes.js';
+
+/**
+ * Tick spacings the rulers choose from, in ruler units
+ */
+const RULER_STEPS = {
+    in: [1 / 16, 1 / 8, 1 / 4, 1 / 2, 1, 2, 5, 10, 20],
+    mm: [1, 2, 5, 10, 20, 50, 100, 200, 500]
+};
+
+/**
+ * Minimum screen distance between labelled ticks, and between any ticks
+ */
+const MIN_LABEL_SPACING = 50;
+const MIN_TICK_SPACING = 6;
+
+/**
+ * @typedef {Object} RulerTick
+ * @property {number} position - Screen position along the ruler, in pixels
+ * @property {number} value - Page position in ruler units
+ * @property {boolean} major - Whether the tick is labelled
+ */
+
+/**
+ * Ticks of a ruler along one edge of the preview
+ * Tick spacing adapts to the zoom so labels never crowd each other.
+ *
+ * @param {number} pixelsPerInch - Displayed size of one inch
+ * @param {number} origin - Screen position of the page's edge, in pixels
+ * @param {number} length - Length of the ruler, in pixels
+ * @param {'in'|'mm'} units - Ruler units
+ * @returns {RulerTick[]} Ticks from the start of the ruler to its end
+ */
+export function rulerTicks(pixelsPerInch, origin, length, units) {
+    const unitPixels = pixelsPerInch / UNITS_PER_INCH[units];
+    const steps = RULER_STEPS[units];
+    const major = steps.find(step => step * unitPixels >= MIN_LABEL_SPACING) ?? steps[steps.length - 1];
+    const minor = steps.find(step => step * unitPixels >= MIN_TICK_SPACING && _isMultiple(major, step)) ?? major;
+
+    const first = Math.ceil(-origin / unitPixels / minor);
+    const last = Math.floor((length - origin) / unitPixels / minor);
+    const ticks = [];
+    for (let i = first; i <= last; i++) {
+        const value = i * minor + 0; // Avoid -0
+        ticks.push({ position: origin + value * unitPixels, value, major: _isMultiple(value, major) });
+    }
+    return ticks;
+}
+
+/**
+ * Label for a ruler value
+ *
+ * @param {number} value - Value in ruler units
+ * @returns {string} Label without trailing zeros
+ */
+export function formatRulerValue(value) {
+    return formatCoordinate(value, 3);
+}
+
+/**
+ * Path data for grid lines across the page
+ *
+ * @param {{width: number, height: number}} pageSize - Page size in inches
+ * @param {number} spacing - Grid spacing in inches
+ * @returns {string} Path data in page inches; empty when no line fits
+ */
+export function gridPathData(pageSize, spacing) {
+    const commands = [];
+    for (let i = 1; i * spacing < pageSize.width - 1e-9; i++) {
+        commands.push(`M${formatCoordinate(i * spacing)} 0 V${formatCoordinate(pageSize.height)}`);
+    }
+    for (let i = 1; i * spacing < pageSize.height - 1e-9; i++) {
+        commands.push(`M0 ${formatCoordinate(i * spacing)} H${formatCoordinate(pageSize.width)}`);
+    }
+    return commands.join(' ');
+}
+
+/**
+ * Path data for the margin band, to be filled with the even-odd rule
+ *
+ * @param {{width: number, height: number}} pageSize - Page size in inches
+ * @param {import('../models/project').Margins} margins - Margins in inches
+ * @returns {string} Path data in page inches
+ */
+export function marginPathData(pageSize, margins) {
+    const { width, height } = pageSize;
+    const { top, right, bottom, left } = margins;
+    const [w, h, x0, y0, x1, y1] = [width, height, left, top, width - right, height - bottom]
+        .map(value => formatCoordinate(value));
+    return `M0 0 H${w} V${h} H0 Z M${x0} ${y0} V${y1} H${x1} V${y0} Z`;
+}
+
+/**
+ * Check whether a value is a whole multiple of a step
+ *
+ * @private
+ * @param {number} value - Value to check
+ * @param {number} step - Step size
+ * @returns {boolean} True if a multiple
+ */
+function _isMultiple(value, step) {
+    const ratio = value / step;
+    return Math.abs(ratio - Math.round(ratio)) < 1e-9;
+}
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { rulerTicks, formatRulerValue, gridPathData, marginPathData } from './guides.js';
+
+describe('preview guides', () => {
+    describe('rulerTicks', () => {
+        it('should label every inch with sixteenth-inch ticks at 96 pixels per inch', () => {
+            const ticks = rulerTicks(96, 0, 200, 'in');
+            expect(ticks[0]).toEqual({ position: 0, value: 0, major: true });
+            expect(ticks[1].position).toBe(6);
+            expect(ticks.filter(tick => tick.major).map(tick => tick.value)).toEqual([0, 1, 2]);
+            expect(ticks.map(tick => tick.value).slice(0, 5)).toEqual([0, 0.0625, 0.125, 0.1875, 0.25]);
+        });
+
+        it('should include ticks before the page edge', () => {
+            const ticks = rulerTicks(96, 100, 200, 'in');
+            expect(ticks[0].value).toBeLessThan(0);
+            expect(ticks[0].position).toBeGreaterThanOrEqual(0);
+        });
+
+        it('should label centimetres at 96 pixels per inch', () => {
+            const ticks = rulerTicks(96, 0, 200, 'mm');
+            expect(ticks.filter(tick => tick.major).map(tick => tick.value)).toEqual([0, 20, 40]);
+        });
+
+        it('should keep labels apart at any zoom', () => {
+            fc.assert(
+                fc.property(
+                    fc.double({ min: 4.8, max: 6144, noNaN: true }),
+                    fc.double({ min: -2000, max: 2000, noNaN: true }),
+                    fc.constantFrom('in', 'mm'),
+                    (pixelsPerInch, origin, units) => {
+                        const majors = rulerTicks(pixelsPerInch, origin, 1000, units).filter(tick => tick.major);
+                        return majors.every((tick, i) => i === 0 || tick.position - majors[i - 1].position >= 50 - 1e-6);
+                    }
+                ),
+                { numRuns: 100 }
+            );
+        });
+
+        it('should format values without trailing zeros', () => {
+            expect(formatRulerValue(2)).toBe('2');
+            expect(formatRulerValue(0.5)).toBe('0.5');
+            expect(formatRulerValue(-10)).toBe('-10');
+        });
+    });
+
+    describe('gridPathData', () => {
+        it('should draw lines inside the page only', () => {
+            expect(gridPathData({ width: 2, height: 1.5 }, 0.5)).toBe(
+                'M0.5 0 V1.5 M1 0 V1.5 M1.5 0 V1.5 M0 0.5 H2 M0 1 H2'
+            );
+            expect(gridPathData({ width: 1, height: 1 }, 2)).toBe('');
+        });
+    });
+
+    describe('marginPathData', () => {
+        it('should outline the page and the safe area', () => {
+            expect(marginPathData({ width: 8.5, height: 11 }, { top: 1, right: 0.5, bottom: 1, left: 0.5 }))
+                .toBe('M0 0 H8.5 V11 H0 Z M0.5 1 V10 H8 V1 Z');
+        });
+    });
+});
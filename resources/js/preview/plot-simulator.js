@@ -0,0 +1,434 @@
+/**
+ * PlotSimulator Component
+ *
+ * Animates the pen drawing a plot-ready SVG in export order. Drawn paths
+ * appear as the pen reaches them and pen-up travel is shown as dashed
+ * lines. Play/pause, a scrub bar and a speed multiplier control playback,
+ * and a readout shows the current path and the simulated time.
+ */
+
+import { flattenSVG } from '../geometry/svg-flatten.js';
+import { polylinePrefix } from '../geometry/polyline.js';
+import { buildPlotTimeline, timelineStepAt, stepProgress } from '../geometry/plot-timeline.js';
+import { formatDuration } from '../geometry/plot-stats.js';
+import { parseSVGMarkup } from '../utils/svg-optimizer.js';
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+/**
+ * Playback speed multipliers offered in the speed menu
+ * @type {number[]}
+ */
+export const SPEED_MULTIPLIERS = [1, 2, 5, 10, 25, 100];
+
+/**
+ * Speed multiplier when the simulation opens
+ */
+const DEFAULT_SPEED = 10;
+
+/**
+ * Steps of the scrub bar
+ */
+const SCRUB_RESOLUTION = 1000;
+
+/**
+ * PlotSimulator class builds the simulation stage and controls and runs playback
+ */
+export class PlotSimulator {
+    /**
+     * @param {HTMLElement} containerElement - The DOM element to contain the simulation
+     */
+    constructor(containerElement) {
+        if (!containerElement) {
+            throw new Error('Container element is required for PlotSimulator');
+        }
+
+        this.container = containerElement;
+        this.timeline = { steps: [], duration: 0, pathCount: 0 };
+        this.stepElements = [];
+        this.pathNumbers = [];
+        this.svg = null;
+        this.time = 0;
+        this.speed = DEFAULT_SPEED;
+        this.playing = false;
+        this.renderedStep = -1;
+        this.frameId = null;
+        this.lastTimestamp = null;
+        this.callbacks = {
+            close: []
+        };
+
+        this._initializeContainer();
+    }
+
+    /**
+     * Build the stage and the playback controls
+     *
+     * @private
+     */
+    _initializeContainer() {
+        this.container.innerHTML = '';
+        this.container.classList.add('plot-simulator', 'flex', 'flex-col', 'w-full', 'h-full');
+
+        this.stage = document.createElement('div');
+        this.stage.className = 'plot-simulator-stage flex-1 flex items-center justify-center overflow-auto';
+
+        const controls = document.createElement('div');
+        controls.className = 'plot-simulator-controls flex items-center gap-3 px-4 py-2 border-t border-gray-200 bg-white text-sm text-gray-700';
+
+        this.playButton = document.createElement('button');
+        this.playButton.type = 'button';
+        this.playButton.dataset.action = 'play';
+        this.playButton.className = 'w-8 h-8 rounded-md bg-blue-600 text-white hover:bg-blue-700';
+        this.playButton.addEventListener('click', () => {
+            if (this.playing) {
+                this.pause();
+            } else {
+                this.play();
+            }
+        });
+
+        this.scrubInput = document.createElement('input');
+        this.scrubInput.type = 'range';
+        this.scrubInput.min = '0';
+        this.scrubInput.max = String(SCRUB_RESOLUTION);
+        this.scrubInput.value = '0';
+        this.scrubInput.dataset.control = 'scrub';
+        this.scrubInput.className = 'flex-1 accent-blue-600';
+        this.scrubInput.title = 'Scrub through the plot';
+        this.scrubInput.addEventListener('input', () => {
+            this.seek((Number(this.scrubInput.value) / SCRUB_RESOLUTION) * this.timeline.duration);
+        });
+
+        this.speedSelect = document.createElement('select');
+        this.speedSelect.dataset.control = 'speed';
+        this.speedSelect.className = 'px-2 py-1 border border-gray-300 rounded-md text-sm';
+        this.speedSelect.title = 'Playback speed';
+        SPEED_MULTIPLIERS.forEach(multiplier => {
+            const option = document.createElement('option');
+            option.value = String(multiplier);
+            option.textContent = `${multiplier}×`;
+            this.speedSelect.appendChild(option);
+        });
+        this.speedSelect.value = String(this.speed);
+        this.speedSelect.addEventListener('change', () => {
+            this.setSpeed(Number(this.speedSelect.value));
+        });
+
+        this.readout = document.createElement('span');
+        this.readout.className = 'plot-simulator-readout font-mono text-xs whitespace-nowrap';
+
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.dataset.action = 'close';
+        closeButton.className = 'px-3 py-1 rounded-md bg-gray-100 hover:bg-gray-200';
+        closeButton.textContent = 'Close';
+        closeButton.title = 'Back to the preview';
+        closeButton.addEventListener('click', () => {
+            this._triggerCallbacks('close');
+        });
+
+        controls.appendChild(this.playButton);
+        controls.appendChild(this.scrubInput);
+        controls.appendChild(this.speedSelect);
+        controls.appendChild(this.readout);
+        controls.appendChild(closeButton);
+
+        this.container.appendChild(this.stage);
+        this.container.appendChild(controls);
+        this._updateControls();
+    }
+
+    /**
+     * Load a drawing and rewind to the start
+     * The markup's paths are plotted in document order, so pass the output
+     * of prepareSVGForPlot to simulate the exported order.
+     *
+     * @param {string} svgMarkup - Plot-ready SVG markup
+     * @param {Partial<import('../geometry/plot-timeline').MotionProfile>} [profile] - Speeds and pen delay
+     * @throws {Error} If the markup is invalid
+     */
+    load(svgMarkup, profile = {}) {
+        this.pause();
+
+        const source = parseSVGMarkup(svgMarkup);
+        const { paths } = flattenSVG(source);
+        this.timeline = buildPlotTimeline(paths, profile);
+
+        // 1-based number of the path each step draws or travels to
+        let drawn = 0;
+        this.pathNumbers = this.timeline.steps.map(step => (step.type === 'draw' ? ++drawn : drawn + 1));
+
+        this.svg = document.createElementNS(SVG_NAMESPACE, 'svg');
+        ['viewBox', 'width', 'height'].forEach(name => {
+            if (source.hasAttribute(name)) {
+                this.svg.setAttribute(name, source.getAttribute(name));
+            }
+        });
+
+        const size = this._pageSize(source);
+        this.stepElements = this.timeline.steps.map(step => {
+            const polyline = document.createElementNS(SVG_NAMESPACE, 'polyline');
+            polyline.setAttribute('fill', 'none');
+            polyline.setAttribute('stroke-linecap', 'round');
+            polyline.setAttribute('stroke-linejoin', 'round');
+            if (step.type === 'travel') {
+                polyline.setAttribute('stroke', '#9ca3af');
+                polyline.setAttribute('stroke-width', String(size / 1000));
+                polyline.setAttribute('stroke-dasharray', `${size / 200} ${size / 200}`);
+                polyline.classList.add('plot-simulator-travel');
+            } else {
+                const { style } = paths[step.pathIndex];
+                polyline.setAttribute('stroke', style.stroke === 'none' ? '#000000' : style.stroke);
+                polyline.setAttribute('stroke-width', String(style.strokeWidth ?? size / 1000));
+                polyline.classList.add('plot-simulator-draw');
+            }
+            polyline.style.display = 'none';
+            this.svg.appendChild(polyline);
+            return polyline;
+        });
+
+        this.pen = document.createElementNS(SVG_NAMESPACE, 'circle');
+        this.pen.setAttribute('r', String(size / 150));
+        this.pen.setAttribute('fill', '#ef4444');
+        this.pen.classList.add('plot-simulator-pen');
+        this.svg.appendChild(this.pen);
+
+        this.stage.innerHTML = '';
+        this.stage.appendChild(this.svg);
+
+        this.renderedStep = -1;
+        this.seek(0);
+    }
+
+    /**
+     * Start or resume playback
+     * Playback restarts from the beginning when it has reached the end.
+     */
+    play() {
+        if (this.playing || this.timeline.steps.length === 0) {
+            return;
+        }
+        if (this.time >= this.timeline.duration) {
+            this.seek(0);
+        }
+
+        this.playing = true;
+        this.lastTimestamp = null;
+        this.frameId = requestAnimationFrame(timestamp => this._frame(timestamp));
+        this._updateControls();
+    }
+
+    /**
+     * Pause playback
+     */
+    pause() {
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+        this.playing = false;
+        this._updateControls();
+    }
+
+    /**
+     * Check whether playback is running
+     *
+     * @returns {boolean} True while playing
+     */
+    isPlaying() {
+        return this.playing;
+    }
+
+    /**
+     * Jump to a simulated time
+     *
+     * @param {number} time - Time in seconds, clamped to the plot duration
+     */
+    seek(time) {
+        this.time = Math.min(this.timeline.duration, Math.max(0, time));
+        this._render();
+        this._updateControls();
+    }
+
+    /**
+     * Move the simulation forward
+     * Playback pauses when it reaches the end.
+     *
+     * @param {number} seconds - Simulated seconds to advance
+     */
+    advance(seconds) {
+        this.seek(this.time + seconds);
+        if (this.time >= this.timeline.duration) {
+            this.pause();
+        }
+    }
+
+    /**
+     * Set the playback speed
+     *
+     * @param {number} multiplier - Simulated seconds per real second
+     * @throws {Error} If the multiplier is not a positive number
+     */
+    setSpeed(multiplier) {
+        if (typeof multiplier !== 'number' || !(multiplier > 0)) {
+            throw new Error('Invalid speed: must be a positive number');
+        }
+        this.speed = multiplier;
+        this.speedSelect.value = String(multiplier);
+    }
+
+    /**
+     * Get the playback position
+     *
+     * @returns {{time: number, duration: number, pathNumber: number, pathCount: number}}
+     *   Simulated time, total time, current path (1-based, 0 when there is none)
+     *   and the number of paths
+     */
+    getState() {
+        const index = timelineStepAt(this.timeline, this.time);
+        return {
+            time: this.time,
+            duration: this.timeline.duration,
+            pathNumber: index === -1 ? 0 : this.pathNumbers[index],
+            pathCount: this.timeline.pathCount
+        };
+    }
+
+    /**
+     * Stop playback and remove the simulation from the container
+     */
+    destroy() {
+        this.pause();
+        this.callbacks.close = [];
+        this.container.innerHTML = '';
+    }
+
+    /**
+     * Register a callback for the Close button
+     *
+     * @param {Function} callback - Function to call when the simulation is closed
+     */
+    onClose(callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+        this.callbacks.close.push(callback);
+    }
+
+    /**
+     * Animation frame handler
+     *
+     * @private
+     * @param {number} timestamp - Frame time in milliseconds
+     */
+    _frame(timestamp) {
+        if (!this.playing) {
+            return;
+        }
+        if (this.lastTimestamp !== null) {
+            this.advance(((timestamp - this.lastTimestamp) / 1000) * this.speed);
+        }
+        this.lastTimestamp = timestamp;
+
+        if (this.playing) {
+            this.frameId = requestAnimationFrame(next => this._frame(next));
+        }
+    }
+
+    /**
+     * Show the moves completed at the current time
+     * Only steps between the previously and newly active step are updated,
+     * so playing and scrubbing stay cheap for large drawings.
+     *
+     * @private
+     */
+    _render() {
+        const index = timelineStepAt(this.timeline, this.time);
+        if (index === -1) {
+            this.pen.style.display = 'none';
+            return;
+        }
+
+        const from = this.renderedStep === -1 ? 0 : Math.min(this.renderedStep, index);
+        const to = this.renderedStep === -1 ? this.stepElements.length - 1 : Math.max(this.renderedStep, index);
+        for (let i = from; i <= to; i++) {
+            const step = this.timeline.steps[i];
+            const element = this.stepElements[i];
+            if (i < index || (i === index && this.time >= step.end)) {
+                this._setPoints(element, step.points);
+                element.style.display = '';
+            } else if (i === index) {
+                this._setPoints(element, polylinePrefix(step.points, stepProgress(step, this.time)));
+                element.style.display = '';
+            } else {
+                element.style.display = 'none';
+            }
+        }
+        this.renderedStep = index;
+
+        const current = this.timeline.steps[index];
+        const drawn = polylinePrefix(current.points, stepProgress(current, this.time));
+        const [x, y] = drawn[drawn.length - 1];
+        this.pen.setAttribute('cx', String(x));
+        this.pen.setAttribute('cy', String(y));
+        this.pen.style.display = '';
+    }
+
+    /**
+     * Update the play button, scrub bar and readout
+     *
+     * @private
+     */
+    _updateControls() {
+        const { time, duration, pathNumber, pathCount } = this.getState();
+
+        this.playButton.textContent = this.playing ? '⏸' : '▶';
+        this.playButton.title = this.playing ? 'Pause' : 'Play';
+        this.scrubInput.value = String(duration > 0 ? Math.round((time / duration) * SCRUB_RESOLUTION) : 0);
+        this.readout.textContent = `Path ${pathNumber} / ${pathCount} · ${formatDuration(time)} / ${formatDuration(duration)}`;
+    }
+
+    /**
+     * Set the points of a polyline element
+     *
+     * @private
+     * @param {SVGPolylineElement} element - Polyline to update
+     * @param {number[][]} points - New points
+     */
+    _setPoints(element, points) {
+        element.setAttribute('points', points.map(([x, y]) => `${x},${y}`).join(' '));
+    }
+
+    /**
+     * Larger page dimension in viewBox units, for sizing the overlay marks
+     *
+     * @private
+     * @param {SVGSVGElement} svgElement - Root element
+     * @returns {number} Page size
+     */
+    _pageSize(svgElement) {
+        const viewBox = (svgElement.getAttribute('viewBox') || '')
+            .split(/[\s,]+/)
+            .map(Number);
+        const size = viewBox.length === 4 ? Math.max(viewBox[2], viewBox[3]) : 0;
+        return size > 0 ? size : 1000;
+    }
+
+    /**
+     * Trigger all callbacks for an event
+     *
+     * @private
+     * @param {string} eventName - Event identifier
+     * @param {...*} args - Arguments passed to the callbacks
+     */
+    _triggerCallbacks(eventName, ...args) {
+        this.callbacks[eventName].forEach(callback => {
+            try {
+                callback(...args);
+            } catch (error) {
+                console.error(`Error in ${eventName} callback:`, error);
+            }
+        });
+    }
+}
@@ -0,0 +1,133 @@
+/**
+ * Tests for PlotSimulator Component
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { PlotSimulator } from './plot-simulator.js';
+
+const wrap = (content) =>
+    `<svg xmlns="http://www.w3.org/2000/svg" width="960" height="960" viewBox="0 0 10 10">${content}</svg>`;
+
+// Two paths: travel 1, draw 2, travel 1, draw 2 (at constant unit speed
+// with no pen delay)
+const markup = wrap(
+    '<path d="M1 0 L3 0" fill="none" stroke="#000000" stroke-width="0.02"/>' +
+    '<path d="M3 1 L3 3" fill="none" stroke="#ff0000" stroke-width="0.02"/>'
+);
+const profile = { drawSpeed: 1, travelSpeed: 1, acceleration: Infinity, penDelay: 0 };
+
+describe('PlotSimulator', () => {
+    let container;
+    let simulator;
+
+    const visible = (selector) => Array.from(container.querySelectorAll(selector))
+        .filter(element => element.style.display !== 'none');
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        simulator = new PlotSimulator(container);
+        simulator.load(markup, profile);
+    });
+
+    afterEach(() => {
+        simulator.destroy();
+        container.remove();
+        vi.restoreAllMocks();
+    });
+
+    it('should throw without a container', () => {
+        expect(() => new PlotSimulator(null)).toThrow('Container element is required for PlotSimulator');
+    });
+
+    it('should start with nothing drawn and the pen at home', () => {
+        expect(simulator.getState()).toEqual({ time: 0, duration: 6, pathNumber: 1, pathCount: 2 });
+        expect(visible('.plot-simulator-draw')).toHaveLength(0);
+        expect(container.querySelector('.plot-simulator-pen').getAttribute('cx')).toBe('0');
+        expect(container.querySelector('.plot-simulator-readout').textContent).toBe('Path 1 / 2 · 0:00 / 0:06');
+    });
+
+    it('should draw paths partially as time advances', () => {
+        simulator.seek(2);
+
+        const drawn = visible('.plot-simulator-draw');
+        expect(drawn).toHaveLength(1);
+        expect(drawn[0].getAttribute('points')).toBe('1,0 2,0');
+        expect(drawn[0].getAttribute('stroke')).toBe('#000000');
+        expect(visible('.plot-simulator-travel')).toHaveLength(1);
+        expect(container.querySelector('.plot-simulator-pen').getAttribute('cx')).toBe('2');
+    });
+
+    it('should show travel moves as dashed lines', () => {
+        simulator.seek(6);
+
+        const travel = visible('.plot-simulator-travel');
+        expect(travel).toHaveLength(2);
+        expect(travel[1].getAttribute('points')).toBe('3,0 3,1');
+        expect(travel[1].getAttribute('stroke-dasharray')).toBeTruthy();
+        expect(simulator.getState().pathNumber).toBe(2);
+    });
+
+    it('should hide later moves when scrubbing back', () => {
+        simulator.seek(6);
+        simulator.seek(0.5);
+
+        expect(visible('.plot-simulator-draw')).toHaveLength(0);
+        expect(visible('.plot-simulator-travel')).toHaveLength(1);
+        expect(visible('.plot-simulator-travel')[0].getAttribute('points')).toBe('0,0 0.5,0');
+    });
+
+    it('should seek from the scrub bar', () => {
+        const scrub = container.querySelector('[data-control="scrub"]');
+        scrub.value = '500';
+        scrub.dispatchEvent(new Event('input'));
+
+        expect(simulator.getState().time).toBe(3);
+    });
+
+    it('should play with animation frames at the chosen speed', () => {
+        const frames = [];
+        vi.spyOn(window, 'requestAnimationFrame').mockImplementation(callback => frames.push(callback));
+        vi.spyOn(window, 'cancelAnimationFrame').mockImplementation(() => {});
+
+        const speed = container.querySelector('[data-control="speed"]');
+        speed.value = '2';
+        speed.dispatchEvent(new Event('change'));
+
+        container.querySelector('[data-action="play"]').click();
+        expect(simulator.isPlaying()).toBe(true);
+
+        frames.shift()(1000);
+        frames.shift()(1500);
+        expect(simulator.getState().time).toBe(1);
+
+        frames.shift()(5000);
+        expect(simulator.getState().time).toBe(6);
+        expect(simulator.isPlaying()).toBe(false);
+        expect(frames).toHaveLength(0);
+    });
+
+    it('should pause from the play button', () => {
+        vi.spyOn(window, 'requestAnimationFrame').mockImplementation(() => 1);
+        const cancel = vi.spyOn(window, 'cancelAnimationFrame').mockImplementation(() => {});
+
+        const button = container.querySelector('[data-action="play"]');
+        button.click();
+        button.click();
+
+        expect(simulator.isPlaying()).toBe(false);
+        expect(cancel).toHaveBeenCalledWith(1);
+    });
+
+    it('should notify close callbacks', () => {
+        const callback = vi.fn();
+        simulator.onClose(callback);
+        container.querySelector('[data-action="close"]').click();
+        expect(callback).toHaveBeenCalledTimes(1);
+        expect(() => simulator.onClose('nope')).toThrow('Callback must be a function');
+    });
+
+    it('should reject invalid speeds', () => {
+        expect(() => simulator.setSpeed(0)).toThrow('Invalid speed');
+    });
+});
@@ -1,8 +1,79 @@
+import { PlotSimulator } from './plot-simulator.js';
+import { rulerTicks, formatRulerValue, gridPathData, marginPathData } from './guides.js';
+import { DEFAULT_MARGINS, DEFAULT_GUIDE_OPTIONS } from '../models/project.js';
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+/**
+ * Thickness of the rulers in pixels
+ */
+const RULER_SIZE = 20;
+
+/**
+ * CSS pixels per inch, the size browsers show an SVG in inches at
+ */
+export const CSS_PIXELS_PER_INCH = 96;
+
+/**
+ * Smallest and largest zoom, relative to 100%
+ */
+export const MIN_ZOOM = 0.05;
+export const MAX_ZOOM = 64;
+
+/**
+ * Zoom factor of one zoom in/out button click
+ */
+const ZOOM_STEP = 1.25;
+
+/**
+ * Zoom change per pixel of mouse wheel movement
+ */
+const WHEEL_ZOOM_SPEED = 0.0015;
+
+/**
+ * @typedef {import('../models/project').GuideOptions & {margins: import('../models/project').Margins}} PreviewGuides
+ */
+
+/**
+ * @typedef {Object} PreviewView
+ * @property {'fit'|'actual'|'zoom'} mode - Fit the page, show it at physical size, or a chosen zoom
+ * @property {number} pixelsPerInch - Displayed size of one inch in CSS pixels
+ * @property {number} panX - Horizontal offset of the page centre from the panel centre, in pixels
+ * @property {number} panY - Vertical offset of the page centre from the panel centre, in pixels
+ */
+
+/**
+ * Zoom a view around a point, keeping the drawing under that point in place
+ * 
+ * @param {PreviewView} view - Current view
+ * @param {number} pixelsPerInch - New displayed size of one inch
+ * @param {{x: number, y: number}} point - Fixed point, relative to the panel centre
+ * @returns {PreviewView} Zoomed view
+ */
+export function zoomViewAt(view, pixelsPerInch, point) {
+    const ratio = pixelsPerInch / view.pixelsPerInch;
+    return {
+        mode: 'zoom',
+        pixelsPerInch,
+        panX: point.x - (point.x - view.panX) * ratio,
+        panY: point.y - (point.y - view.panY) * ratio
+    };
+}
+
 /**
  * PreviewPanel class
  * 
  * Manages the SVG preview display with proper scaling and aspect ratio preservation.
- * Handles rendering of generated SVG content and error display.
+ * Handles rendering of generated SVG content and error display, and can
+ * swap the preview for an animated plot simulation.
+ * 
+ * The preview fits the page to the panel by default. The mouse wheel zooms
+ * around the cursor, dragging pans, and the toolbar switches between fit,
+ * 100% and physical size at the calibrated screen DPI. The view is kept
+ * when a new drawing is rendered.
+ * 
+ * Rulers, a grid and the margin band can be shown over the drawing. They
+ * belong to the preview only and are never exported.
  */
 export class PreviewPanel {
     /**
@@ -16,7 +87,17 @@ export class PreviewPanel {
     constructor(containerElement, viewportSize) {
         this.container = containerElement;
         this.viewportSize = viewportSize;
-        this.DPI = 96; // Web standard DPI
+        this.DPI = CSS_PIXELS_PER_INCH; // Screen DPI for physical size, until calibrated
+        this.hiddenLayers = [];
+        this.simulator = null;
+        this.view = { mode: 'fit', pixelsPerInch: 0, panX: 0, panY: 0 };
+        this.dragStart = null;
+        this.guides = { ...DEFAULT_GUIDE_OPTIONS, margins: { ...DEFAULT_MARGINS } };
+        this.marginCrossings = [];
+        this.clippedShapes = { count: 0, boundary: 'page' };
+        this.callbacks = {
+            screenDPIChange: []
+        };
         
         this._initializeContainer();
     }
@@ -30,17 +111,107 @@ export class PreviewPanel {
         // Clear any existing content
         this.container.innerHTML = '';
         
+        this.container.classList.add('relative');
+        
         // Create SVG container
         this.svgContainer = document.createElement('div');
-        this.svgContainer.className = 'preview-svg-container w-full h-full flex items-center justify-center overflow-auto';
+        this.svgContainer.className = 'preview-svg-container w-full h-full flex items-center justify-center overflow-hidden cursor-grab';
+        this.svgContainer.addEventListener('wheel', (event) => this._handleWheel(event), { passive: false });
+        this.svgContainer.addEventListener('mousedown', (event) => this._handleDragStart(event));
         
         // Create error display area
         this.errorContainer = document.createElement('div');
         this.errorContainer.className = 'preview-error-container hidden p-4 m-4 bg-red-50 border border-red-300 rounded-lg text-red-800 font-mono whitespace-pre-wrap break-words';
         
-        // Add both to container
+        // Create rulers along the top and left edges
+        this.rulers = {
+            top: this._createRuler('top', 'top-0 left-0 right-0 h-5'),
+            left: this._createRuler('left', 'top-0 bottom-0 left-0 w-5')
+        };
+        
+        // Create margin warning
+        this.marginWarning = document.createElement('div');
+        this.marginWarning.className = 'preview-margin-warning hidden absolute bottom-2 left-8 px-2 py-1 bg-amber-50 border border-amber-300 rounded-lg text-xs text-amber-800';
+        
+        // Add everything to container
         this.container.appendChild(this.svgContainer);
         this.container.appendChild(this.errorContainer);
+        this.container.appendChild(this.rulers.top);
+        this.container.appendChild(this.rulers.left);
+        this.container.appendChild(this.marginWarning);
+        this.container.appendChild(this._createZoomToolbar());
+    }
+
+    /**
+     * Build an empty ruler strip
+     * 
+     * @private
+     * @param {'top'|'left'} edge - Edge of the panel the ruler runs along
+     * @param {string} positionClasses - Classes placing the strip
+     * @returns {HTMLElement} The ruler element
+     */
+    _createRuler(edge, positionClasses) {
+        const ruler = document.createElement('div');
+        ruler.className = `preview-ruler preview-ruler-${edge} hidden absolute ${positionClasses} overflow-hidden bg-white/90 border-gray-300 pointer-events-none ${edge === 'top' ? 'border-b' : 'border-r'}`;
+        return ruler;
+    }
+
+    /**
+     * Build the zoom buttons, zoom readout and screen DPI input
+     * 
+     * @private
+     * @returns {HTMLElement} The toolbar element
+     */
+    _createZoomToolbar() {
+        this.zoomToolbar = document.createElement('div');
+        this.zoomToolbar.className = 'preview-zoom-toolbar absolute bottom-2 right-2 flex items-center gap-1 px-2 py-1 bg-white/90 border border-gray-200 rounded-lg shadow-sm text-xs text-gray-700';
+
+        const buttons = [
+            { zoom: 'out', label: '−', title: 'Zoom out', action: () => this.zoomBy(1 / ZOOM_STEP) },
+            { zoom: 'in', label: '+', title: 'Zoom in', action: () => this.zoomBy(ZOOM_STEP) },
+            { zoom: 'fit', label: 'Fit', title: 'Fit the page to the preview', action: () => this.fitToView() },
+            { zoom: '100', label: '100%', title: 'One inch as 96 screen pixels', action: () => this.setZoom(1) },
+            { zoom: 'actual', label: '1:1', title: 'Physical size at the screen DPI', action: () => this.showActualSize() }
+        ];
+        this.zoomButtons = {};
+        buttons.forEach(({ zoom, label, title, action }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dataset.zoom = zoom;
+            button.className = 'px-2 py-0.5 rounded hover:bg-gray-100';
+            button.textContent = label;
+            button.title = title;
+            button.addEventListener('click', action);
+            this.zoomToolbar.appendChild(button);
+            this.zoomButtons[zoom] = button;
+        });
+
+        this.zoomReadout = document.createElement('span');
+        this.zoomReadout.className = 'preview-zoom-readout w-12 text-right font-mono';
+        this.zoomToolbar.appendChild(this.zoomReadout);
+
+        const dpiLabel = document.createElement('label');
+        dpiLabel.className = 'inline-flex items-center gap-1 ml-2';
+        dpiLabel.title = 'Calibrate 1:1: hold a ruler to the screen and adjust until the page measures its real size';
+
+        const dpiText = document.createElement('span');
+        dpiText.textContent = 'DPI';
+
+        this.dpiInput = document.createElement('input');
+        this.dpiInput.type = 'number';
+        this.dpiInput.min = '1';
+        this.dpiInput.step = '1';
+        this.dpiInput.dataset.zoomControl = 'dpi';
+        this.dpiInput.className = 'w-14 px-1 py-0.5 border border-gray-300 rounded font-mono';
+        this.dpiInput.value = String(this.DPI);
+        this.dpiInput.addEventListener('change', () => this._handleDPIInput());
+
+        dpiLabel.appendChild(dpiText);
+        dpiLabel.appendChild(this.dpiInput);
+        this.zoomToolbar.appendChild(dpiLabel);
+
+        this._updateZoomToolbar();
+        return this.zoomToolbar;
     }
 
     /**
@@ -49,6 +220,9 @@ export class PreviewPanel {
      * @param {string} svgContent - The SVG markup to display
      */
     render(svgContent) {
+        // A new drawing replaces any running simulation
+        this.stopSimulation();
+
         // Clear any existing errors
         this.clearError();
         
@@ -67,49 +241,589 @@ export class PreviewPanel {
             return;
         }
         
-        // Apply scaling to fit the container while maintaining aspect ratio
-        this._applyScaling(svgElement);
+        // Apply the current zoom, fitting the container by default
+        this._applyView(svgElement);
+        this._applyLayerVisibility(svgElement);
+        this._applyGuides(svgElement);
         
         // Add the SVG to the container
         this.svgContainer.appendChild(svgElement);
+        this._updateRulers();
     }
 
     /**
-     * Apply appropriate scaling to the SVG element
-     * Maintains aspect ratio based on viewport dimensions
+     * Replace the preview with an animated simulation of the plot
+     * 
+     * @param {string} svgMarkup - Plot-ready SVG markup, paths in plotting order
+     * @param {Partial<import('../geometry/plot-timeline').MotionProfile>} [profile] - Speeds and pen delay
+     * @throws {Error} If the markup is invalid
+     */
+    startSimulation(svgMarkup, profile = {}) {
+        this.stopSimulation();
+
+        const simulationContainer = document.createElement('div');
+        this.simulator = new PlotSimulator(simulationContainer);
+        this.simulator.onClose(() => this.stopSimulation());
+
+        try {
+            this.simulator.load(svgMarkup, profile);
+        } catch (error) {
+            this.simulator = null;
+            throw error;
+        }
+
+        this._applyScaling(this.simulator.svg);
+        this.svgContainer.classList.add('hidden');
+        this.zoomToolbar.classList.add('hidden');
+        this.marginWarning.classList.add('hidden');
+        this._updateRulers();
+        this.container.insertBefore(simulationContainer, this.errorContainer);
+    }
+
+    /**
+     * Close the simulation and show the preview again
+     */
+    stopSimulation() {
+        if (!this.simulator) {
+            return;
+        }
+
+        const simulationContainer = this.simulator.container;
+        this.simulator.destroy();
+        simulationContainer.remove();
+        this.simulator = null;
+        this.svgContainer.classList.remove('hidden');
+        this.zoomToolbar.classList.remove('hidden');
+        this._updateMarginWarning();
+        this._updateRulers();
+    }
+
+    /**
+     * Check whether the simulation is showing
+     * 
+     * @returns {boolean} True while the simulation replaces the preview
+     */
+    isSimulating() {
+        return this.simulator !== null;
+    }
+
+    /**
+     * Hide the named layers of the current and future drawings
+     * 
+     * @param {string[]} names - Names of the layers to hide
+     */
+    setHiddenLayers(names) {
+        this.hiddenLayers = [...names];
+
+        const currentSvg = this.svgContainer.querySelector('svg');
+        if (currentSvg) {
+            this._applyLayerVisibility(currentSvg);
+        }
+    }
+
+    /**
+     * Set the rulers, grid and margin guides shown over the drawing
+     * 
+     * @param {PreviewGuides} guides - Guide options and margins in inches
+     */
+    setGuides(guides) {
+        this.guides = { ...DEFAULT_GUIDE_OPTIONS, ...guides, margins: { ...DEFAULT_MARGINS, ...guides.margins } };
+
+        const currentSvg = this.svgContainer.querySelector('svg');
+        if (currentSvg) {
+            this._applyGuides(currentSvg);
+        }
+        this._updateRulers();
+    }
+
+    /**
+     * Warn that the drawing reaches into the margins
+     * 
+     * @param {string[]} sides - Sides whose margin the drawing crosses; empty to clear the warning
+     */
+    setMarginCrossings(sides) {
+        this.marginCrossings = [...sides];
+
+        const currentSvg = this.svgContainer.querySelector('svg');
+        if (currentSvg) {
+            this._applyGuides(currentSvg);
+        }
+        this._updateMarginWarning();
+    }
+
+    /**
+     * Warn that elements reach past the area the export clips to
+     * 
+     * @param {number} count - Number of elements that will be clipped; 0 to clear the warning
+     * @param {'page'|'margins'} [boundary='page'] - Where they will be cut
+     */
+    setClippedShapes(count, boundary = 'page') {
+        this.clippedShapes = { count, boundary };
+        this._updateMarginWarning();
+    }
+
+    /**
+     * Show the margin warning when the drawing crosses a margin or will be clipped
+     * 
+     * @private
+     */
+    _updateMarginWarning() {
+        const sides = this.marginCrossings;
+        const { count, boundary } = this.clippedShapes;
+        if ((sides.length === 0 && count === 0) || this.simulator) {
+            this.marginWarning.textContent = '';
+            this.marginWarning.classList.add('hidden');
+            return;
+        }
+
+        const messages = [];
+        if (sides.length > 0) {
+            const list = sides.length === 1
+                ? sides[0]
+                : `${sides.slice(0, -1).join(', ')} and ${sides[sides.length - 1]}`;
+            messages.push(`Drawing crosses the ${list} ${sides.length === 1 ? 'margin' : 'margins'}`);
+        }
+        if (count > 0) {
+            const elements = count === 1 ? '1 element extends' : `${count} elements extend`;
+            messages.push(`${elements} past the ${boundary === 'margins' ? 'margins' : 'page'} and will be clipped`);
+        }
+        this.marginWarning.textContent = `⚠️ ${messages.join(' · ')}`;
+        this.marginWarning.classList.remove('hidden');
+    }
+
+    /**
+     * Draw the grid and margin band into the drawing, replacing earlier guides
+     * The guide group sits on top of the drawing and ignores the mouse.
+     * 
+     * @private
+     * @param {SVGElement} svgElement - The SVG element to draw into
+     */
+    _applyGuides(svgElement) {
+        svgElement.querySelectorAll(':scope > g.preview-guides').forEach(group => group.remove());
+
+        const { margins, grid, gridSpacing } = this.guides;
+        const hasMargins = Object.values(margins).some(value => value > 0);
+        if (!grid && !hasMargins) {
+            return;
+        }
+
+        const group = document.createElementNS(SVG_NAMESPACE, 'g');
+        group.setAttribute('class', 'preview-guides');
+        group.setAttribute('pointer-events', 'none');
+        group.setAttribute('transform', this._pageToViewBoxTransform(svgElement));
+
+        const addPath = (className, d, attributes) => {
+            const path = document.createElementNS(SVG_NAMESPACE, 'path');
+            path.setAttribute('class', className);
+            path.setAttribute('d', d);
+            path.setAttribute('vector-effect', 'non-scaling-stroke');
+            Object.entries(attributes).forEach(([name, value]) => path.setAttribute(name, value));
+            group.appendChild(path);
+        };
+
+        if (grid) {
+            const d = gridPathData(this.viewportSize, gridSpacing);
+            if (d) {
+                addPath('preview-grid', d, { fill: 'none', stroke: '#93c5fd', 'stroke-width': '1', 'stroke-opacity': '0.6' });
+            }
+        }
+
+        if (hasMargins) {
+            const color = this.marginCrossings.length > 0 ? '#ef4444' : '#f59e0b';
+            addPath('preview-margins', marginPathData(this.viewportSize, margins), {
+                fill: color,
+                'fill-opacity': '0.12',
+                'fill-rule': 'evenodd',
+                stroke: color,
+                'stroke-width': '1',
+                'stroke-dasharray': '4 3'
+            });
+        }
+
+        svgElement.appendChild(group);
+    }
+
+    /**
+     * Transform from page inches to the drawing's viewBox units
+     * 
+     * @private
+     * @param {SVGElement} svgElement - The SVG element
+     * @returns {string} SVG transform attribute value
+     */
+    _pageToViewBoxTransform(svgElement) {
+        const viewBox = (svgElement.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+        if (viewBox.length !== 4 || !(viewBox[2] > 0) || !(viewBox[3] > 0)) {
+            return '';
+        }
+
+        const [minX, minY, boxWidth, boxHeight] = viewBox;
+        const scaleX = boxWidth / this.viewportSize.width;
+        const scaleY = boxHeight / this.viewportSize.height;
+        return `matrix(${scaleX} 0 0 ${scaleY} ${minX} ${minY})`;
+    }
+
+    /**
+     * Redraw the rulers for the current view, or hide them
+     * 
+     * @private
+     */
+    _updateRulers() {
+        const visible = this.guides.rulers && !this.simulator && this.svgContainer.querySelector('svg') !== null;
+        Object.values(this.rulers).forEach(ruler => {
+            ruler.classList.toggle('hidden', !visible);
+            ruler.innerHTML = '';
+        });
+        if (!visible) {
+            return;
+        }
+
+        const containerWidth = this.container.clientWidth || 800;
+        const containerHeight = this.container.clientHeight || 600;
+        const { pixelsPerInch, panX, panY } = this.getView();
+        const originX = containerWidth / 2 + panX - (this.viewportSize.width * pixelsPerInch) / 2;
+        const originY = containerHeight / 2 + panY - (this.viewportSize.height * pixelsPerInch) / 2;
+
+        this.rulers.top.appendChild(this._rulerSVG('top', rulerTicks(pixelsPerInch, originX, containerWidth, this.guides.units)));
+        this.rulers.left.appendChild(this._rulerSVG('left', rulerTicks(pixelsPerInch, originY, containerHeight, this.guides.units)));
+    }
+
+    /**
+     * Draw ruler ticks and labels
+     * 
+     * @private
+     * @param {'top'|'left'} edge - Edge of the panel the ruler runs along
+     * @param {import('./guides').RulerTick[]} ticks - Ticks to draw
+     * @returns {SVGSVGElement} Ruler drawing
+     */
+    _rulerSVG(edge, ticks) {
+        const svg = document.createElementNS(SVG_NAMESPACE, 'svg');
+        svg.setAttribute('class', 'w-full h-full');
+
+        ticks.forEach(({ position, value, major }) => {
+            const length = major ? RULER_SIZE : RULER_SIZE / 3;
+            const line = document.createElementNS(SVG_NAMESPACE, 'line');
+            const [x1, y1, x2, y2] = edge === 'top'
+                ? [position, RULER_SIZE - length, position, RULER_SIZE]
+                : [RULER_SIZE - length, position, RULER_SIZE, position];
+            line.setAttribute('x1', String(x1));
+            line.setAttribute('y1', String(y1));
+            line.setAttribute('x2', String(x2));
+            line.setAttribute('y2', String(y2));
+            line.setAttribute('stroke', '#6b7280');
+            svg.appendChild(line);
+
+            if (major) {
+                const label = document.createElementNS(SVG_NAMESPACE, 'text');
+                label.setAttribute('font-size', '9');
+                label.setAttribute('fill', '#374151');
+                if (edge === 'top') {
+                    label.setAttribute('x', String(position + 2));
+                    label.setAttribute('y', '9');
+                } else {
+                    label.setAttribute('x', '9');
+                    label.setAttribute('y', String(position - 2));
+                    label.setAttribute('transform', `rotate(-90 9 ${position - 2})`);
+                }
+                label.textContent = formatRulerValue(value);
+                svg.appendChild(label);
+            }
+        });
+
+        return svg;
+    }
+
+    /**
+     * Show or hide layer groups according to the hidden layer list
+     * 
+     * @private
+     * @param {SVGElement} svgElement - The SVG element containing the layers
+     */
+    _applyLayerVisibility(svgElement) {
+        svgElement.querySelectorAll(':scope > g[data-layer]').forEach(group => {
+            group.style.display = this.hiddenLayers.includes(group.getAttribute('data-layer')) ? 'none' : '';
+        });
+    }
+
+    /**
+     * Fit the page to the panel
+     */
+    fitToView() {
+        this.view = { mode: 'fit', pixelsPerInch: 0, panX: 0, panY: 0 };
+        this._refreshView();
+    }
+
+    /**
+     * Show the page at its physical size, using the screen DPI
+     */
+    showActualSize() {
+        this.view = { mode: 'actual', pixelsPerInch: this.DPI, panX: 0, panY: 0 };
+        this._refreshView();
+    }
+
+    /**
+     * Zoom to a level relative to 100%, centred on the page
+     * 
+     * @param {number} zoom - Zoom level, 1 for 100%
+     */
+    setZoom(zoom) {
+        this.view = { mode: 'zoom', pixelsPerInch: this._clampPixelsPerInch(zoom * CSS_PIXELS_PER_INCH), panX: 0, panY: 0 };
+        this._refreshView();
+    }
+
+    /**
+     * Zoom in or out around a point
+     * 
+     * @param {number} factor - Zoom factor, above 1 to zoom in
+     * @param {{x: number, y: number}} [point] - Fixed point relative to the panel centre, the centre by default
+     */
+    zoomBy(factor, point = { x: 0, y: 0 }) {
+        const view = this.getView();
+        this.view = zoomViewAt(view, this._clampPixelsPerInch(view.pixelsPerInch * factor), point);
+        this._refreshView();
+    }
+
+    /**
+     * Move the page by a distance on screen
+     * 
+     * @param {number} dx - Horizontal distance in pixels
+     * @param {number} dy - Vertical distance in pixels
+     */
+    panBy(dx, dy) {
+        const view = this.getView();
+        this.view = { ...view, mode: view.mode === 'fit' ? 'zoom' : view.mode, panX: view.panX + dx, panY: view.panY + dy };
+        this._refreshView();
+    }
+
+    /**
+     * Get the current view
+     * 
+     * @returns {PreviewView} The current view, with the fitted size in fit mode
+     */
+    getView() {
+        if (this.view.mode === 'fit') {
+            return { ...this.view, pixelsPerInch: this._fitPixelsPerInch() };
+        }
+        if (this.view.mode === 'actual') {
+            return { ...this.view, pixelsPerInch: this.DPI };
+        }
+        return { ...this.view };
+    }
+
+    /**
+     * Get the zoom level relative to 100%
+     * 
+     * @returns {number} Zoom level, 1 for 100%
+     */
+    getZoom() {
+        return this.getView().pixelsPerInch / CSS_PIXELS_PER_INCH;
+    }
+
+    /**
+     * Set the screen DPI used for the physical size view
+     * 
+     * @param {number} dpi - Screen pixels per physical inch
+     * @throws {Error} If the DPI is not a positive number
+     */
+    setScreenDPI(dpi) {
+        if (typeof dpi !== 'number' || !Number.isFinite(dpi) || dpi <= 0) {
+            throw new Error('Invalid screen DPI: must be a positive number');
+        }
+
+        this.DPI = dpi;
+        this.dpiInput.value = String(dpi);
+        this._refreshView();
+    }
+
+    /**
+     * Register a callback for screen DPI changes made in the toolbar
+     * 
+     * @param {Function} callback - Called with the new DPI
+     */
+    onScreenDPIChange(callback) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
+        }
+        this.callbacks.screenDPIChange.push(callback);
+    }
+
+    /**
+     * Apply the DPI entered in the toolbar, or restore the current one
+     * 
+     * @private
+     */
+    _handleDPIInput() {
+        const dpi = parseFloat(this.dpiInput.value);
+        if (!Number.isFinite(dpi) || dpi <= 0) {
+            this.dpiInput.value = String(this.DPI);
+            return;
+        }
+
+        this.setScreenDPI(dpi);
+        this.callbacks.screenDPIChange.forEach(callback => {
+            try {
+                callback(dpi);
+            } catch (error) {
+                console.error('Error in screen DPI change callback:', error);
+            }
+        });
+    }
+
+    /**
+     * Zoom around the cursor with the mouse wheel
+     * 
+     * @private
+     * @param {WheelEvent} event - Wheel event
+     */
+    _handleWheel(event) {
+        if (!this.svgContainer.querySelector('svg')) {
+            return;
+        }
+        event.preventDefault();
+
+        // Line-based scrolling (Firefox) reports lines instead of pixels
+        const delta = event.deltaMode === 1 ? event.deltaY * 16 : event.deltaY;
+        this.zoomBy(Math.exp(-delta * WHEEL_ZOOM_SPEED), this._pointInPanel(event));
+    }
+
+    /**
+     * Start panning when the preview is dragged
+     * 
+     * @private
+     * @param {MouseEvent} event - Mouse down event
+     */
+    _handleDragStart(event) {
+        if (event.button !== 0 || !this.svgContainer.querySelector('svg')) {
+            return;
+        }
+        event.preventDefault();
+
+        this.dragStart = { x: event.clientX, y: event.clientY };
+        this.svgContainer.classList.add('cursor-grabbing');
+
+        const handleMove = (moveEvent) => {
+            this.panBy(moveEvent.clientX - this.dragStart.x, moveEvent.clientY - this.dragStart.y);
+            this.dragStart = { x: moveEvent.clientX, y: moveEvent.clientY };
+        };
+        const handleUp = () => {
+            this.dragStart = null;
+            this.svgContainer.classList.remove('cursor-grabbing');
+            window.removeEventListener('mousemove', handleMove);
+            window.removeEventListener('mouseup', handleUp);
+        };
+        window.addEventListener('mousemove', handleMove);
+        window.addEventListener('mouseup', handleUp);
+    }
+
+    /**
+     * Position of a mouse event relative to the panel centre
+     * 
+     * @private
+     * @param {MouseEvent} event - Mouse event
+     * @returns {{x: number, y: number}} Position in pixels
+     */
+    _pointInPanel(event) {
+        const rect = this.svgContainer.getBoundingClientRect();
+        return {
+            x: event.clientX - rect.left - rect.width / 2,
+            y: event.clientY - rect.top - rect.height / 2
+        };
+    }
+
+    /**
+     * Keep a displayed inch size within the zoom limits
+     * 
+     * @private
+     * @param {number} pixelsPerInch - Requested size
+     * @returns {number} Size within the limits
+     */
+    _clampPixelsPerInch(pixelsPerInch) {
+        return Math.min(MAX_ZOOM * CSS_PIXELS_PER_INCH, Math.max(MIN_ZOOM * CSS_PIXELS_PER_INCH, pixelsPerInch));
+    }
+
+    /**
+     * Apply the view to the current drawing and update the toolbar
+     * 
+     * @private
+     */
+    _refreshView() {
+        const currentSvg = this.svgContainer.querySelector('svg');
+        if (currentSvg) {
+            this._applyView(currentSvg);
+        }
+        this._updateZoomToolbar();
+        this._updateRulers();
+    }
+
+    /**
+     * Show the zoom level and highlight the active zoom mode
+     * 
+     * @private
+     */
+    _updateZoomToolbar() {
+        this.zoomReadout.textContent = `${Math.round(this.getZoom() * 100)}%`;
+
+        const active = this.view.mode === 'fit' ? 'fit'
+            : this.view.mode === 'actual' ? 'actual'
+            : this.view.pixelsPerInch === CSS_PIXELS_PER_INCH ? '100'
+            : null;
+        Object.entries(this.zoomButtons).forEach(([zoom, button]) => {
+            button.classList.toggle('bg-blue-100', zoom === active);
+        });
+    }
+
+    /**
+     * Size and position the SVG element for the current view
      * 
      * @private
      * @param {SVGElement} svgElement - The SVG element to scale
      */
-    _applyScaling(svgElement) {
+    _applyView(svgElement) {
+        if (this.view.mode === 'fit') {
+            this._applyScaling(svgElement);
+            svgElement.style.flex = '';
+            svgElement.style.transform = '';
+            return;
+        }
+
+        const { pixelsPerInch, panX, panY } = this.getView();
+        svgElement.style.width = `${this.viewportSize.width * pixelsPerInch}px`;
+        svgElement.style.height = `${this.viewportSize.height * pixelsPerInch}px`;
+        svgElement.style.maxWidth = 'none';
+        svgElement.style.maxHeight = 'none';
+        svgElement.style.flex = 'none';
+        svgElement.style.transform = `translate(${panX}px, ${panY}px)`;
+    }
+
+    /**
+     * Displayed size of one inch when the page fits 90% of the container
+     * 
+     * @private
+     * @returns {number} Pixels per inch
+     */
+    _fitPixelsPerInch() {
         // Get container dimensions
         const containerWidth = this.container.clientWidth || 800;
         const containerHeight = this.container.clientHeight || 600;
         
-        // Calculate pixel dimensions based on viewport size
-        const viewportPixelWidth = this.viewportSize.width * this.DPI;
-        const viewportPixelHeight = this.viewportSize.height * this.DPI;
-        
-        // Calculate aspect ratio
-        const viewportAspectRatio = this.viewportSize.width / this.viewportSize.height;
-        const containerAspectRatio = containerWidth / containerHeight;
-        
-        // Calculate scale to fit container while maintaining aspect ratio
-        let scale;
-        if (containerAspectRatio > viewportAspectRatio) {
-            // Container is wider than viewport - fit to height
-            scale = (containerHeight * 0.9) / viewportPixelHeight;
-        } else {
-            // Container is taller than viewport - fit to width
-            scale = (containerWidth * 0.9) / viewportPixelWidth;
-        }
-        
-        // Apply scaling
-        const scaledWidth = viewportPixelWidth * scale;
-        const scaledHeight = viewportPixelHeight * scale;
+        // Fit to whichever side is tighter, maintaining aspect ratio
+        return Math.min(
+            (containerWidth * 0.9) / this.viewportSize.width,
+            (containerHeight * 0.9) / this.viewportSize.height
+        );
+    }
+
+    /**
+     * Apply appropriate scaling to the SVG element
+     * Fits the container and maintains aspect ratio based on viewport dimensions
+     * 
+     * @private
+     * @param {SVGElement} svgElement - The SVG element to scale
+     */
+    _applyScaling(svgElement) {
+        const pixelsPerInch = this._fitPixelsPerInch();
         
-        svgElement.style.width = `${scaledWidth}px`;
-        svgElement.style.height = `${scaledHeight}px`;
+        svgElement.style.width = `${this.viewportSize.width * pixelsPerInch}px`;
+        svgElement.style.height = `${this.viewportSize.height * pixelsPerInch}px`;
         svgElement.style.maxWidth = '100%';
         svgElement.style.maxHeight = '100%';
     }
@@ -118,7 +832,11 @@ export class PreviewPanel {
      * Clear the preview panel
      */
     clear() {
+        this.stopSimulation();
         this.svgContainer.innerHTML = '';
+        this.setMarginCrossings([]);
+        this.setClippedShapes(0);
+        this._updateRulers();
         this.clearError();
     }
 
@@ -134,7 +852,11 @@ export class PreviewPanel {
         // If there's currently rendered content, re-render it with new dimensions
         const currentSvg = this.svgContainer.querySelector('svg');
         if (currentSvg) {
-            this._applyScaling(currentSvg);
+            this._applyGuides(currentSvg);
+        }
+        this._refreshView();
+        if (this.simulator) {
+            this._applyScaling(this.simulator.svg);
         }
     }
 
@@ -1,5 +1,5 @@
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
-import { PreviewPanel } from './preview-panel.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { PreviewPanel, zoomViewAt, CSS_PIXELS_PER_INCH, MAX_ZOOM } from './preview-panel.js';
 import * as fc from 'fast-check';
 
 describe('PreviewPanel', () => {
@@ -126,6 +126,207 @@ describe('PreviewPanel', () => {
         });
     });
 
+    describe('setHiddenLayers', () => {
+        const layered = '<svg width="100" height="100">' +
+            '<g data-layer="1-black"><circle r="1"/></g><g data-layer="2-red"><circle r="2"/></g></svg>';
+
+        it('should hide layers of the current drawing', () => {
+            previewPanel.render(layered);
+            previewPanel.setHiddenLayers(['2-red']);
+
+            expect(container.querySelector('g[data-layer="1-black"]').style.display).toBe('');
+            expect(container.querySelector('g[data-layer="2-red"]').style.display).toBe('none');
+
+            previewPanel.setHiddenLayers([]);
+            expect(container.querySelector('g[data-layer="2-red"]').style.display).toBe('');
+        });
+
+        it('should keep layers hidden in later renders', () => {
+            previewPanel.setHiddenLayers(['1-black']);
+            previewPanel.render(layered);
+
+            expect(container.querySelector('g[data-layer="1-black"]').style.display).toBe('none');
+        });
+    });
+
+    describe('warnings', () => {
+        it('should warn about margin crossings and clipped elements together', () => {
+            const warning = container.querySelector('.preview-margin-warning');
+
+            previewPanel.setClippedShapes(1);
+            expect(warning.textContent).toBe('⚠️ 1 element extends past the page and will be clipped');
+
+            previewPanel.setMarginCrossings(['top', 'left']);
+            previewPanel.setClippedShapes(3, 'margins');
+            expect(warning.textContent).toBe('⚠️ Drawing crosses the top and left margins · 3 elements extend past the margins and will be clipped');
+
+            previewPanel.clear();
+            expect(warning.classList.contains('hidden')).toBe(true);
+        });
+    });
+
+    describe('simulation', () => {
+        const plotSvg = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 8.5 11"><path d="M1 1 L2 1" stroke="#000000" fill="none"/></svg>';
+
+        it('should replace the preview with the simulation and restore it', () => {
+            previewPanel.render('<svg width="100" height="100"><circle cx="50" cy="50" r="40" /></svg>');
+            previewPanel.startSimulation(plotSvg);
+
+            expect(previewPanel.isSimulating()).toBe(true);
+            expect(container.querySelector('.plot-simulator')).not.toBeNull();
+            expect(previewPanel.svgContainer.classList.contains('hidden')).toBe(true);
+            expect(previewPanel.simulator.svg.style.width).toMatch(/px$/);
+
+            previewPanel.stopSimulation();
+
+            expect(previewPanel.isSimulating()).toBe(false);
+            expect(container.querySelector('.plot-simulator')).toBeNull();
+            expect(previewPanel.svgContainer.classList.contains('hidden')).toBe(false);
+            expect(container.querySelector('circle')).not.toBeNull();
+        });
+
+        it('should close the simulation from its Close button', () => {
+            previewPanel.startSimulation(plotSvg);
+            container.querySelector('[data-action="close"]').click();
+            expect(previewPanel.isSimulating()).toBe(false);
+        });
+
+        it('should close the simulation when a new drawing is rendered', () => {
+            previewPanel.startSimulation(plotSvg);
+            previewPanel.render('<svg width="100" height="100"><rect width="10" height="10" /></svg>');
+            expect(previewPanel.isSimulating()).toBe(false);
+        });
+
+        it('should keep the preview when the markup is invalid', () => {
+            expect(() => previewPanel.startSimulation('<svg><g></svg>')).toThrow();
+            expect(previewPanel.isSimulating()).toBe(false);
+            expect(previewPanel.svgContainer.classList.contains('hidden')).toBe(false);
+        });
+    });
+
+    describe('zoom and pan', () => {
+        const svgContent = '<svg width="816" height="1056"><rect width="816" height="1056" /></svg>';
+        const fitPixelsPerInch = Math.min(800 * 0.9 / 8.5, 600 * 0.9 / 11);
+
+        it('should fit the page by default', () => {
+            previewPanel.render(svgContent);
+            expect(previewPanel.getView()).toEqual({ mode: 'fit', pixelsPerInch: fitPixelsPerInch, panX: 0, panY: 0 });
+            expect(container.querySelector('.preview-zoom-readout').textContent).toBe(`${Math.round(fitPixelsPerInch / 96 * 100)}%`);
+        });
+
+        it('should show the page at 100% and at physical size', () => {
+            previewPanel.render(svgContent);
+            const svgElement = container.querySelector('svg');
+
+            container.querySelector('[data-zoom="100"]').click();
+            expect(svgElement.style.width).toBe(`${8.5 * CSS_PIXELS_PER_INCH}px`);
+            expect(svgElement.style.maxWidth).toBe('none');
+
+            previewPanel.setScreenDPI(110);
+            container.querySelector('[data-zoom="actual"]').click();
+            expect(svgElement.style.width).toBe(`${8.5 * 110}px`);
+            expect(svgElement.style.height).toBe(`${11 * 110}px`);
+
+            container.querySelector('[data-zoom="fit"]').click();
+            expect(svgElement.style.maxWidth).toBe('100%');
+            expect(svgElement.style.transform).toBe('');
+        });
+
+        it('should follow DPI calibration in physical size mode and report it', () => {
+            const callback = vi.fn();
+            previewPanel.onScreenDPIChange(callback);
+            previewPanel.render(svgContent);
+            previewPanel.showActualSize();
+
+            const input = container.querySelector('[data-zoom-control="dpi"]');
+            input.value = '120';
+            input.dispatchEvent(new Event('change'));
+
+            expect(callback).toHaveBeenCalledWith(120);
+            expect(container.querySelector('svg').style.width).toBe(`${8.5 * 120}px`);
+
+            input.value = '-5';
+            input.dispatchEvent(new Event('change'));
+            expect(input.value).toBe('120');
+            expect(callback).toHaveBeenCalledTimes(1);
+        });
+
+        it('should reject invalid screen DPI values', () => {
+            expect(() => previewPanel.setScreenDPI(0)).toThrow('Invalid screen DPI');
+            expect(() => previewPanel.setScreenDPI(NaN)).toThrow('Invalid screen DPI');
+        });
+
+        it('should zoom around the cursor with the mouse wheel', () => {
+            previewPanel.render(svgContent);
+            const wheel = new WheelEvent('wheel', { deltaY: -100, clientX: 100, clientY: 50, cancelable: true });
+            previewPanel.svgContainer.dispatchEvent(wheel);
+
+            const view = previewPanel.getView();
+            expect(wheel.defaultPrevented).toBe(true);
+            expect(view.mode).toBe('zoom');
+            expect(view.pixelsPerInch).toBeGreaterThan(fitPixelsPerInch);
+            expect(container.querySelector('svg').style.transform).toBe(`translate(${view.panX}px, ${view.panY}px)`);
+        });
+
+        it('should pan when dragged', () => {
+            previewPanel.render(svgContent);
+            previewPanel.setZoom(2);
+
+            previewPanel.svgContainer.dispatchEvent(new MouseEvent('mousedown', { button: 0, clientX: 10, clientY: 10 }));
+            window.dispatchEvent(new MouseEvent('mousemove', { clientX: 40, clientY: 5 }));
+            window.dispatchEvent(new MouseEvent('mouseup'));
+            window.dispatchEvent(new MouseEvent('mousemove', { clientX: 100, clientY: 100 }));
+
+            expect(previewPanel.getView()).toMatchObject({ mode: 'zoom', panX: 30, panY: -5 });
+        });
+
+        it('should keep the zoom when a new drawing is rendered', () => {
+            previewPanel.render(svgContent);
+            previewPanel.zoomBy(3);
+            previewPanel.panBy(20, 10);
+            const view = previewPanel.getView();
+
+            previewPanel.render('<svg width="816" height="1056"><circle cx="5" cy="5" r="4" /></svg>');
+
+            expect(previewPanel.getView()).toEqual(view);
+            expect(container.querySelector('svg').style.transform).toBe('translate(20px, 10px)');
+        });
+
+        it('should limit the zoom level', () => {
+            previewPanel.setZoom(1000);
+            expect(previewPanel.getZoom()).toBe(MAX_ZOOM);
+        });
+
+        it('should hide the zoom toolbar during the simulation', () => {
+            previewPanel.startSimulation('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 8.5 11"><path d="M1 1 L2 1" stroke="#000"/></svg>');
+            expect(previewPanel.zoomToolbar.classList.contains('hidden')).toBe(true);
+            previewPanel.stopSimulation();
+            expect(previewPanel.zoomToolbar.classList.contains('hidden')).toBe(false);
+        });
+
+        it('should keep the drawing under the zoom point in place', () => {
+            fc.assert(
+                fc.property(
+                    fc.double({ min: 10, max: 500, noNaN: true }),
+                    fc.double({ min: 10, max: 500, noNaN: true }),
+                    fc.double({ min: -400, max: 400, noNaN: true }),
+                    fc.double({ min: -400, max: 400, noNaN: true }),
+                    fc.double({ min: -400, max: 400, noNaN: true }),
+                    (before, after, panX, x, y) => {
+                        const view = { mode: 'zoom', pixelsPerInch: before, panX, panY: 0 };
+                        const zoomed = zoomViewAt(view, after, { x, y });
+                        // Drawing position under the point, in inches from the page centre
+                        const inchesBefore = [(x - view.panX) / before, (y - view.panY) / before];
+                        const inchesAfter = [(x - zoomed.panX) / after, (y - zoomed.panY) / after];
+                        return Math.abs(inchesBefore[0] - inchesAfter[0]) < 1e-9 &&
+                            Math.abs(inchesBefore[1] - inchesAfter[1]) < 1e-9;
+                    }
+                ),
+                { numRuns: 100 }
+            );
+        });
+    });
+
     describe('setViewportSize', () => {
         it('should update viewport dimensions', () => {
             previewPanel.setViewportSize(11, 8.5);
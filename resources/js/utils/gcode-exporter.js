@@ -0,0 +1,226 @@
+/**
+ * G-code Exporter Utility
+ *
+ * Converts generated SVG into G-code for GRBL-style pen plotters. Shapes are
+ * flattened to polylines, scaled from the viewBox to the project's physical
+ * size and written as travel and drawing moves between pen-up and pen-down
+ * commands. Layers are plotted in order with a pause for a pen change
+ * between them.
+ */
+
+import { flattenSVG } from '../geometry/svg-flatten.js';
+import { formatCoordinate } from '../geometry/polyline.js';
+import { parseSVGMarkup, pageTransform, measurePlot } from './svg-optimizer.js';
+import { formatDuration } from '../geometry/plot-stats.js';
+import { downloadFile } from './file-utils.js';
+
+/**
+ * Machine origin positions on the page
+ * @type {string[]}
+ */
+export const GCODE_ORIGINS = ['bottom-left', 'top-left', 'center'];
+
+/**
+ * How the pen is lifted: a servo driven by spindle commands, or the Z axis
+ * @type {string[]}
+ */
+export const PEN_MODES = ['servo', 'z'];
+
+/**
+ * @typedef {Object} GCodeOptions
+ * @property {'mm'|'in'} units - Output units (G21 or G20)
+ * @property {'servo'|'z'} penMode - How the pen is lifted
+ * @property {string} penUpCommand - Pen-up command in servo mode
+ * @property {string} penDownCommand - Pen-down command in servo mode
+ * @property {number} zUp - Z height with the pen up (z mode, output units)
+ * @property {number} zDown - Z height with the pen down (z mode, output units)
+ * @property {number} penDelay - Dwell after each pen move in seconds (0 for none)
+ * @property {number} drawFeedRate - Feed rate while drawing (units per minute)
+ * @property {number} travelFeedRate - Feed rate for pen-up travel (units per minute)
+ * @property {'bottom-left'|'top-left'|'center'} origin - Where the machine's X0 Y0 is on the page
+ * @property {boolean} flipY - Machine Y increases towards the top of the page
+ */
+
+/**
+ * G-code settings for new projects
+ * @type {GCodeOptions}
+ */
+export const DEFAULT_GCODE_OPTIONS = Object.freeze({
+    units: 'mm',
+    penMode: 'servo',
+    penUpCommand: 'M5',
+    penDownCommand: 'M3 S1000',
+    zUp: 5,
+    zDown: 0,
+    penDelay: 0.15,
+    drawFeedRate: 1500,
+    travelFeedRate: 3000,
+    origin: 'bottom-left',
+    flipY: true
+});
+
+const MM_PER_INCH = 25.4;
+
+/**
+ * Validates G-code options
+ * Options missing from older projects are allowed and take their defaults.
+ *
+ * @param {any} options - Object to validate
+ * @returns {boolean} True if valid G-code options
+ */
+export function isValidGCodeOptions(options) {
+    if (!options || typeof options !== 'object') {
+        return false;
+    }
+
+    const optional = (key, check) => options[key] === undefined || check(options[key]);
+    const finite = (value) => typeof value === 'number' && Number.isFinite(value);
+    const positive = (value) => finite(value) && value > 0;
+
+    return (
+        optional('units', value => value === 'mm' || value === 'in') &&
+        optional('penMode', value => PEN_MODES.includes(value)) &&
+        optional('penUpCommand', value => typeof value === 'string') &&
+        optional('penDownCommand', value => typeof value === 'string') &&
+        optional('zUp', finite) &&
+        optional('zDown', finite) &&
+        optional('penDelay', value => finite(value) && value >= 0) &&
+        optional('drawFeedRate', positive) &&
+        optional('travelFeedRate', positive) &&
+        optional('origin', value => GCODE_ORIGINS.includes(value)) &&
+        optional('flipY', value => typeof value === 'boolean')
+    );
+}
+
+/**
+ * Convert SVG markup to G-code
+ *
+ * Paths are written in document order, so run the markup through
+ * prepareSVGForPlot first to clean up and reorder it. Text and images
+ * cannot be plotted and are skipped with a note in the header. The header
+ * also lists the plot estimate for the given motion profile.
+ *
+ * @param {string} svgMarkup - SVG markup to convert
+ * @param {Object} viewportSize - Physical page size
+ * @param {number} viewportSize.width - Width in inches
+ * @param {number} viewportSize.height - Height in inches
+ * @param {Partial<GCodeOptions>} [options] - G-code settings
+ * @param {Partial<import('../geometry/plot-timeline').MotionProfile>} [motionProfile] - Plotter motion for the time estimate
+ * @returns {string} G-code program
+ * @throws {Error} If the markup or options are invalid
+ */
+export function generateGCode(svgMarkup, viewportSize, options = {}, motionProfile = {}) {
+    if (!viewportSize || !(viewportSize.width > 0) || !(viewportSize.height > 0)) {
+        throw new Error('Invalid viewport size: must have positive width and height');
+    }
+    if (!isValidGCodeOptions(options)) {
+        throw new Error('Invalid G-code options');
+    }
+
+    const settings = { ...DEFAULT_GCODE_OPTIONS, ...options };
+    const svgElement = parseSVGMarkup(svgMarkup);
+    const { paths, unflattened } = flattenSVG(svgElement);
+    const toMachine = _machineTransform(svgElement, viewportSize, settings);
+    const format = (value) => formatCoordinate(value, 3);
+    const position = ([x, y]) => {
+        const [mx, my] = toMachine([x, y]);
+        return `X${format(mx)} Y${format(my)}`;
+    };
+
+    const penUp = settings.penMode === 'z'
+        ? [`G0 Z${format(settings.zUp)}`]
+        : [settings.penUpCommand];
+    const penDown = settings.penMode === 'z'
+        ? [`G1 Z${format(settings.zDown)} F${format(settings.drawFeedRate)}`]
+        : [settings.penDownCommand];
+    if (settings.penDelay > 0) {
+        penUp.push(`G4 P${format(settings.penDelay)}`);
+        penDown.push(`G4 P${format(settings.penDelay)}`);
+    }
+
+    const estimate = measurePlot(svgElement, viewportSize, motionProfile);
+    const unitScale = settings.units === 'mm' ? MM_PER_INCH : 1;
+    const length = (inches) => `${(inches * unitScale).toFixed(1)} ${settings.units}`;
+
+    const lines = [
+        '; Generated by SVG Plotter Editor',
+        `; Page: ${viewportSize.width} x ${viewportSize.height} in, origin ${settings.origin}`,
+        `; Paths: ${paths.length}`,
+        `; Estimated time: ${formatDuration(estimate.estimatedTime)}`,
+        `; Pen down: ${length(estimate.penDownLength)}, pen up: ${length(estimate.penUpLength)}, pen lifts: ${estimate.penLifts}`
+    ];
+    if (unflattened.length > 0) {
+        lines.push(`; Skipped ${unflattened.length} element(s) that cannot be plotted (text, images)`);
+    }
+    lines.push(
+        settings.units === 'mm' ? 'G21 ; millimetres' : 'G20 ; inches',
+        'G90 ; absolute positioning',
+        ...penUp
+    );
+
+    let currentLayer;
+    paths.forEach(({ points, layer = null }, index) => {
+        if (layer !== currentLayer) {
+            if (index > 0) {
+                lines.push(`M0 ; change pen for layer ${layer ?? '(none)'}`);
+            }
+            if (layer !== null) {
+                lines.push(`; Layer: ${layer}`);
+            }
+            currentLayer = layer;
+        }
+
+        // GRBL ignores feed rates on G0, so travel uses G1 to honour travelFeedRate
+        lines.push(`G1 ${position(points[0])} F${format(settings.travelFeedRate)}`);
+        lines.push(...penDown);
+        points.slice(1).forEach((point, i) => {
+            lines.push(`G1 ${position(point)}${i === 0 ? ` F${format(settings.drawFeedRate)}` : ''}`);
+        });
+        lines.push(...penUp);
+    });
+
+    lines.push(`G1 X0 Y0 F${format(settings.travelFeedRate)}`, 'M2 ; end of program');
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Download a G-code program
+ *
+ * @param {string} gcode - G-code program
+ * @param {string} filename - Desired filename (without extension)
+ * @returns {void}
+ * @throws {Error} If the download fails
+ */
+export function exportGCode(gcode, filename) {
+    downloadFile(gcode, `${filename}.gcode`, 'text/x-gcode');
+}
+
+/**
+ * Build the mapping from SVG root coordinates to machine coordinates
+ *
+ * @private
+ * @param {SVGSVGElement} svgElement - Root element
+ * @param {Object} viewportSize - Physical page size in inches
+ * @param {GCodeOptions} settings - G-code settings
+ * @returns {function(number[]): number[]} Point transform
+ */
+function _machineTransform(svgElement, viewportSize, settings) {
+    const toPage = pageTransform(svgElement, viewportSize);
+    const unitScale = settings.units === 'mm' ? MM_PER_INCH : 1;
+    const pageWidth = viewportSize.width * unitScale;
+    const pageHeight = viewportSize.height * unitScale;
+
+    const originX = settings.origin === 'center' ? pageWidth / 2 : 0;
+    const originY = {
+        'top-left': 0,
+        'bottom-left': pageHeight,
+        'center': pageHeight / 2
+    }[settings.origin];
+
+    return (point) => {
+        const [x, y] = toPage(point);
+        const pageX = x * unitScale;
+        const pageY = y * unitScale;
+        return [pageX - originX, settings.flipY ? originY - pageY : pageY - originY];
+    };
+}
@@ -0,0 +1,185 @@
+/**
+ * Tests for G-code Exporter Utility
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    generateGCode,
+    exportGCode,
+    isValidGCodeOptions,
+    DEFAULT_GCODE_OPTIONS
+} from './gcode-exporter.js';
+import * as fileUtils from './file-utils.js';
+
+const wrap = (content, viewBox = '0 0 10 10') =>
+    `<svg xmlns="http://www.w3.org/2000/svg" width="960" height="960" viewBox="${viewBox}">${content}</svg>`;
+
+const page = { width: 10, height: 10 };
+
+/** Extract the XY moves of a program as [x, y] pairs */
+const moves = (gcode) => [...gcode.matchAll(/^G1 X(\S+) Y(\S+)/gm)].map(match => [Number(match[1]), Number(match[2])]);
+
+describe('generateGCode', () => {
+    const line = wrap('<line x1="1" y1="2" x2="3" y2="2" stroke="#000" stroke-width="0.02"/>');
+
+    it('should write a header, setup, moves and footer', () => {
+        const gcode = generateGCode(line, page, { units: 'in', penDelay: 0 });
+        const lines = gcode.trim().split('\n');
+
+        expect(lines.slice(0, 3)).toEqual([
+            '; Generated by SVG Plotter Editor',
+            '; Page: 10 x 10 in, origin bottom-left',
+            '; Paths: 1'
+        ]);
+        expect(lines[3]).toMatch(/^; Estimated time: \d+:\d\d$/);
+        expect(lines[4]).toBe('; Pen down: 2.0 in, pen up: 2.2 in, pen lifts: 1');
+        expect(lines.slice(5)).toEqual([
+            'G20 ; inches',
+            'G90 ; absolute positioning',
+            'M5',
+            'G1 X1 Y8 F3000',
+            'M3 S1000',
+            'G1 X3 Y8 F1500',
+            'M5',
+            'G1 X0 Y0 F3000',
+            'M2 ; end of program'
+        ]);
+        expect(gcode.endsWith('\n')).toBe(true);
+    });
+
+    it('should estimate the plot time with the motion profile', () => {
+        const profile = { drawSpeed: 2, travelSpeed: 4, acceleration: 1000, penDelay: 0 };
+        const slow = generateGCode(line, page, {}, { ...profile, drawSpeed: 0.02 });
+        expect(generateGCode(line, page, {}, profile)).toContain('; Estimated time: 0:01');
+        expect(slow).toContain('; Estimated time: 1:40');
+        expect(slow).toContain('; Pen down: 50.8 mm');
+    });
+
+    it('should convert to millimetres by default', () => {
+        const gcode = generateGCode(line, page);
+        expect(gcode).toContain('G21 ; millimetres');
+        expect(moves(gcode)).toEqual([[25.4, 203.2], [76.2, 203.2], [0, 0]]);
+    });
+
+    it('should scale from the viewBox to the page size', () => {
+        const gcode = generateGCode(line, { width: 5, height: 5 }, { units: 'in' });
+        expect(moves(gcode).slice(0, 2)).toEqual([[0.5, 4], [1.5, 4]]);
+    });
+
+    it('should account for a viewBox offset', () => {
+        const markup = wrap('<line x1="1" y1="2" x2="3" y2="2" stroke="#000"/>', '-5 -5 10 10');
+        const gcode = generateGCode(markup, page, { units: 'in', origin: 'top-left', flipY: false });
+        expect(moves(gcode).slice(0, 2)).toEqual([[6, 7], [8, 7]]);
+    });
+
+    it('should place the origin and Y direction as configured', () => {
+        const first = (options) => moves(generateGCode(line, page, { units: 'in', ...options }))[0];
+
+        expect(first({ origin: 'bottom-left', flipY: true })).toEqual([1, 8]);
+        expect(first({ origin: 'top-left', flipY: false })).toEqual([1, 2]);
+        expect(first({ origin: 'top-left', flipY: true })).toEqual([1, -2]);
+        expect(first({ origin: 'center', flipY: true })).toEqual([-4, 3]);
+        expect(first({ origin: 'center', flipY: false })).toEqual([-4, -3]);
+    });
+
+    it('should lift the pen with Z moves in z mode', () => {
+        const gcode = generateGCode(line, page, { penMode: 'z', zUp: 3, zDown: -0.5, penDelay: 0 });
+        expect(gcode).toContain('G0 Z3');
+        expect(gcode).toContain('G1 Z-0.5 F1500');
+        expect(gcode).not.toContain('M3');
+        expect(gcode).not.toContain('M5');
+    });
+
+    it('should use custom servo commands', () => {
+        const gcode = generateGCode(line, page, { penUpCommand: 'M3 S30', penDownCommand: 'M3 S90' });
+        expect(gcode).toContain('M3 S30');
+        expect(gcode).toContain('M3 S90');
+    });
+
+    it('should dwell after pen moves when a delay is set', () => {
+        const gcode = generateGCode(line, page, { penDelay: 0.25 });
+        expect(gcode.match(/^G4 P0.25$/gm)).toHaveLength(3);
+        expect(generateGCode(line, page, { penDelay: 0 })).not.toContain('G4');
+    });
+
+    it('should pause for a pen change between layers', () => {
+        const markup = wrap(
+            '<g data-layer="black"><line x1="1" y1="1" x2="2" y2="1" stroke="#000"/></g>' +
+            '<g data-layer="red"><line x1="1" y1="2" x2="2" y2="2" stroke="#f00"/></g>'
+        );
+        const gcode = generateGCode(markup, page);
+
+        expect(gcode).toContain('; Layer: black');
+        expect(gcode).toContain('; Layer: red');
+        expect(gcode.match(/^M0 /gm)).toHaveLength(1);
+        expect(gcode.indexOf('M0 ; change pen for layer red')).toBeGreaterThan(gcode.indexOf('; Layer: black'));
+    });
+
+    it('should note elements that cannot be plotted', () => {
+        const markup = wrap('<text x="1" y="1">Hi</text><line x1="1" y1="1" x2="2" y2="1" stroke="#000"/>');
+        const gcode = generateGCode(markup, page);
+        expect(gcode).toContain('; Skipped 1 element(s) that cannot be plotted (text, images)');
+        expect(gcode).toContain('; Paths: 1');
+    });
+
+    it('should write only setup and footer for an empty drawing', () => {
+        const gcode = generateGCode(wrap(''), page);
+        expect(gcode).toContain('; Paths: 0');
+        expect(moves(gcode)).toEqual([[0, 0]]);
+    });
+
+    it('should reject invalid viewport sizes and options', () => {
+        expect(() => generateGCode(line, { width: 0, height: 10 })).toThrow('Invalid viewport size');
+        expect(() => generateGCode(line, null)).toThrow('Invalid viewport size');
+        expect(() => generateGCode(line, page, { drawFeedRate: 0 })).toThrow('Invalid G-code options');
+        expect(() => generateGCode(line, page, { origin: 'top-right' })).toThrow('Invalid G-code options');
+    });
+
+    it('should keep every drawing move on the page with a bottom-left origin', () => {
+        fc.assert(
+            fc.property(
+                fc.array(fc.tuple(fc.integer({ min: 0, max: 100 }), fc.integer({ min: 0, max: 100 })), { minLength: 2, maxLength: 6 }),
+                (points) => {
+                    const markup = wrap(
+                        `<polyline points="${points.map(([x, y]) => `${x / 10},${y / 10}`).join(' ')}" stroke="#000" fill="none"/>`
+                    );
+                    const gcode = generateGCode(markup, page, { units: 'in' });
+                    return moves(gcode).every(([x, y]) => x >= 0 && x <= 10 && y >= 0 && y <= 10);
+                }
+            ),
+            { numRuns: 50 }
+        );
+    });
+});
+
+describe('isValidGCodeOptions', () => {
+    it('should accept the defaults and partial options', () => {
+        expect(isValidGCodeOptions(DEFAULT_GCODE_OPTIONS)).toBe(true);
+        expect(isValidGCodeOptions({})).toBe(true);
+        expect(isValidGCodeOptions({ units: 'in' })).toBe(true);
+    });
+
+    it('should reject invalid values', () => {
+        expect(isValidGCodeOptions(null)).toBe(false);
+        expect(isValidGCodeOptions({ units: 'cm' })).toBe(false);
+        expect(isValidGCodeOptions({ penMode: 'solenoid' })).toBe(false);
+        expect(isValidGCodeOptions({ penUpCommand: 5 })).toBe(false);
+        expect(isValidGCodeOptions({ zUp: NaN })).toBe(false);
+        expect(isValidGCodeOptions({ penDelay: -1 })).toBe(false);
+        expect(isValidGCodeOptions({ travelFeedRate: -100 })).toBe(false);
+        expect(isValidGCodeOptions({ flipY: 'yes' })).toBe(false);
+    });
+});
+
+describe('exportGCode', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should download the program with a .gcode extension', () => {
+        const downloadSpy = vi.spyOn(fileUtils, 'downloadFile').mockImplementation(() => {});
+        exportGCode('G21\n', 'my-sketch');
+        expect(downloadSpy).toHaveBeenCalledWith('G21\n', 'my-sketch.gcode', 'text/x-gcode');
+    });
+});
@@ -0,0 +1,200 @@
+/**
+ * HPGL Exporter Utility
+ *
+ * Converts generated SVG into HPGL for HP 7475A-style pen plotters. Shapes
+ * are flattened to polylines, scaled from the viewBox to plotter units
+ * (40 per millimetre, origin at the bottom-left with Y up) and written as
+ * PU/PD moves. Each layer, or each stroke color when the drawing has no
+ * layers, is drawn with its own pen from the carousel.
+ */
+
+import { flattenSVG } from '../geometry/svg-flatten.js';
+import { parseSVGMarkup, pageTransform } from './svg-optimizer.js';
+import { downloadFile } from './file-utils.js';
+
+/**
+ * Plotter units per inch (40 units per millimetre)
+ * @type {number}
+ */
+export const HPGL_UNITS_PER_INCH = 1016;
+
+/**
+ * When to turn the drawing a quarter turn on the plotter
+ * 'auto' rotates landscape pages such as 11x8.5.
+ * @type {string[]}
+ */
+export const HPGL_ROTATIONS = ['auto', 'always', 'never'];
+
+/**
+ * Number of pens in the largest carousels
+ * @type {number}
+ */
+export const MAX_HPGL_PENS = 8;
+
+/**
+ * @typedef {Object} HPGLOptions
+ * @property {'auto'|'always'|'never'} rotate - When to rotate the drawing by 90°
+ * @property {number} penCount - Pens in the carousel; pens are reused when there are more layers
+ * @property {number} maxPointsPerCommand - Longest PD coordinate list before it is split (0 for no limit)
+ */
+
+/**
+ * HPGL settings for new projects
+ * @type {HPGLOptions}
+ */
+export const DEFAULT_HPGL_OPTIONS = Object.freeze({
+    rotate: 'auto',
+    penCount: 6,
+    maxPointsPerCommand: 100
+});
+
+/**
+ * Validates HPGL options
+ * Options missing from older projects are allowed and take their defaults.
+ *
+ * @param {any} options - Object to validate
+ * @returns {boolean} True if valid HPGL options
+ */
+export function isValidHPGLOptions(options) {
+    if (!options || typeof options !== 'object') {
+        return false;
+    }
+
+    const optional = (key, check) => options[key] === undefined || check(options[key]);
+
+    return (
+        optional('rotate', value => HPGL_ROTATIONS.includes(value)) &&
+        optional('penCount', value => Number.isInteger(value) && value >= 1 && value <= MAX_HPGL_PENS) &&
+        optional('maxPointsPerCommand', value => Number.isInteger(value) && value >= 0)
+    );
+}
+
+/**
+ * Convert SVG markup to HPGL
+ *
+ * Paths are written in document order, so run the markup through
+ * prepareSVGForPlot first to clean up and reorder it. Text and images
+ * cannot be plotted and are skipped.
+ *
+ * @param {string} svgMarkup - SVG markup to convert
+ * @param {Object} viewportSize - Physical page size
+ * @param {number} viewportSize.width - Width in inches
+ * @param {number} viewportSize.height - Height in inches
+ * @param {Partial<HPGLOptions>} [options] - HPGL settings
+ * @returns {string} HPGL program
+ * @throws {Error} If the markup or options are invalid
+ */
+export function generateHPGL(svgMarkup, viewportSize, options = {}) {
+    if (!viewportSize || !(viewportSize.width > 0) || !(viewportSize.height > 0)) {
+        throw new Error('Invalid viewport size: must have positive width and height');
+    }
+    if (!isValidHPGLOptions(options)) {
+        throw new Error('Invalid HPGL options');
+    }
+
+    const settings = { ...DEFAULT_HPGL_OPTIONS, ...options };
+    const svgElement = parseSVGMarkup(svgMarkup);
+    const { paths } = flattenSVG(svgElement);
+    const toPlotter = _plotterTransform(svgElement, viewportSize, settings);
+    const coordinates = (points) => points.map(point => toPlotter(point).join(',')).join(',');
+    const penFor = _penAssigner(settings.penCount);
+
+    const commands = ['IN;'];
+    let currentPen = null;
+    paths.forEach(path => {
+        if (path.points.length < 2) {
+            return;
+        }
+
+        const pen = penFor(path);
+        if (pen !== currentPen) {
+            commands.push(`SP${pen};`);
+            currentPen = pen;
+        }
+
+        commands.push(`PU${coordinates([path.points[0]])};`);
+        _chunk(path.points.slice(1), settings.maxPointsPerCommand).forEach(chunk => {
+            commands.push(`PD${coordinates(chunk)};`);
+        });
+    });
+
+    // Lift the pen and put it back in the carousel
+    commands.push('PU;', 'SP0;');
+    return `${commands.join('\n')}\n`;
+}
+
+/**
+ * Download an HPGL program
+ *
+ * @param {string} hpgl - HPGL program
+ * @param {string} filename - Desired filename (without extension)
+ * @returns {void}
+ * @throws {Error} If the download fails
+ */
+export function exportHPGL(hpgl, filename) {
+    downloadFile(hpgl, `${filename}.hpgl`, 'application/vnd.hp-hpgl');
+}
+
+/**
+ * Build the mapping from SVG root coordinates to integer plotter units
+ * The rotated mapping turns the page a quarter turn counter-clockwise, so
+ * its top edge runs along the plotter's Y axis.
+ *
+ * @private
+ * @param {SVGSVGElement} svgElement - Root element
+ * @param {Object} viewportSize - Physical page size in inches
+ * @param {HPGLOptions} settings - HPGL settings
+ * @returns {function(number[]): number[]} Point transform
+ */
+function _plotterTransform(svgElement, viewportSize, settings) {
+    const toPage = pageTransform(svgElement, viewportSize);
+    const rotate = settings.rotate === 'always' ||
+        (settings.rotate === 'auto' && viewportSize.width > viewportSize.height);
+
+    return (point) => {
+        const [x, y] = toPage(point);
+        const plotterX = rotate ? y : x;
+        const plotterY = rotate ? x : viewportSize.height - y;
+        return [Math.round(plotterX * HPGL_UNITS_PER_INCH), Math.round(plotterY * HPGL_UNITS_PER_INCH)];
+    };
+}
+
+/**
+ * Create a function that picks the pen for a path
+ * Pens are numbered from 1 in order of first use, keyed by layer or, for
+ * paths outside any layer, by stroke color. Keys beyond the carousel size
+ * reuse pens from the start.
+ *
+ * @private
+ * @param {number} penCount - Pens in the carousel
+ * @returns {function(import('../geometry/svg-flatten').FlatPath): number} Pen picker
+ */
+function _penAssigner(penCount) {
+    const pens = new Map();
+    return ({ layer, style }) => {
+        const key = layer ? `layer:${layer}` : `color:${style.stroke}`;
+        if (!pens.has(key)) {
+            pens.set(key, (pens.size % penCount) + 1);
+        }
+        return pens.get(key);
+    };
+}
+
+/**
+ * Split a list into chunks of at most `size` items
+ *
+ * @private
+ * @param {Array} items - Items to split
+ * @param {number} size - Chunk size (0 for a single chunk)
+ * @returns {Array<Array>} Chunks
+ */
+function _chunk(items, size) {
+    if (size <= 0 || items.length <= size) {
+        return [items];
+    }
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
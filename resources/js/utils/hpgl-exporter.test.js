@@ -0,0 +1,152 @@
+/**
+ * Tests for HPGL Exporter Utility
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import * as fc from 'fast-check';
+import {
+    generateHPGL,
+    exportHPGL,
+    isValidHPGLOptions,
+    DEFAULT_HPGL_OPTIONS,
+    HPGL_UNITS_PER_INCH
+} from './hpgl-exporter.js';
+import * as fileUtils from './file-utils.js';
+
+const wrap = (content, viewBox = '0 0 10 10') =>
+    `<svg xmlns="http://www.w3.org/2000/svg" width="960" height="960" viewBox="${viewBox}">${content}</svg>`;
+
+const page = { width: 10, height: 10 };
+
+/** Extract the coordinate pairs of every PU/PD command */
+const points = (hpgl) => [...hpgl.matchAll(/^P[UD]([\d,-]+);/gm)]
+    .flatMap(match => match[1].split(',').map(Number))
+    .reduce((pairs, value, i) => (i % 2 === 0 ? pairs.push([value]) : pairs[pairs.length - 1].push(value), pairs), []);
+
+describe('generateHPGL', () => {
+    const line = wrap('<line x1="1" y1="2" x2="3" y2="2" stroke="#000" stroke-width="0.02"/>');
+
+    it('should initialize, select a pen, draw and park the pen', () => {
+        const hpgl = generateHPGL(line, page);
+        expect(hpgl.trim().split('\n')).toEqual([
+            'IN;',
+            'SP1;',
+            'PU1016,8128;',
+            'PD3048,8128;',
+            'PU;',
+            'SP0;'
+        ]);
+    });
+
+    it('should scale from the viewBox to plotter units', () => {
+        const hpgl = generateHPGL(line, { width: 5, height: 5 });
+        expect(points(hpgl)).toEqual([[508, 4064], [1524, 4064]]);
+    });
+
+    it('should rotate landscape pages by default', () => {
+        const markup = wrap('<line x1="1" y1="2" x2="3" y2="2" stroke="#000"/>', '0 0 11 8.5');
+        const landscape = { width: 11, height: 8.5 };
+
+        expect(points(generateHPGL(markup, landscape))).toEqual([[2032, 1016], [2032, 3048]]);
+        expect(points(generateHPGL(markup, landscape, { rotate: 'never' }))).toEqual([[1016, 6604], [3048, 6604]]);
+        expect(points(generateHPGL(line, page, { rotate: 'always' }))).toEqual([[2032, 1016], [2032, 3048]]);
+    });
+
+    it('should select a pen per layer', () => {
+        const markup = wrap(
+            '<g data-layer="black"><line x1="1" y1="1" x2="2" y2="1" stroke="#000"/></g>' +
+            '<g data-layer="red"><line x1="1" y1="2" x2="2" y2="2" stroke="#f00"/>' +
+            '<line x1="1" y1="3" x2="2" y2="3" stroke="#00f"/></g>'
+        );
+        const hpgl = generateHPGL(markup, page);
+        expect(hpgl.match(/^SP\d;/gm)).toEqual(['SP1;', 'SP2;', 'SP0;']);
+    });
+
+    it('should select a pen per stroke color without layers', () => {
+        const markup = wrap(
+            '<line x1="1" y1="1" x2="2" y2="1" stroke="#000"/>' +
+            '<line x1="1" y1="2" x2="2" y2="2" stroke="#f00"/>' +
+            '<line x1="1" y1="3" x2="2" y2="3" stroke="#000"/>'
+        );
+        const hpgl = generateHPGL(markup, page);
+        expect(hpgl.match(/^SP\d;/gm)).toEqual(['SP1;', 'SP2;', 'SP1;', 'SP0;']);
+    });
+
+    it('should reuse pens when there are more colors than pens', () => {
+        const markup = wrap(['#000', '#f00', '#00f'].map((color, i) =>
+            `<line x1="1" y1="${i + 1}" x2="2" y2="${i + 1}" stroke="${color}"/>`
+        ).join(''));
+        const hpgl = generateHPGL(markup, page, { penCount: 2 });
+        expect(hpgl.match(/^SP\d;/gm)).toEqual(['SP1;', 'SP2;', 'SP1;', 'SP0;']);
+    });
+
+    it('should split long PD coordinate lists', () => {
+        const coords = Array.from({ length: 11 }, (_, i) => `${i * 0.5},1`).join(' ');
+        const markup = wrap(`<polyline points="${coords}" stroke="#000" fill="none"/>`);
+
+        const chunked = generateHPGL(markup, page, { maxPointsPerCommand: 4 });
+        expect(chunked.match(/^PD/gm)).toHaveLength(3);
+
+        const unlimited = generateHPGL(markup, page, { maxPointsPerCommand: 0 });
+        expect(unlimited.match(/^PD/gm)).toHaveLength(1);
+        expect(points(chunked)).toEqual(points(unlimited));
+    });
+
+    it('should write only setup and parking for an empty drawing', () => {
+        expect(generateHPGL(wrap(''), page)).toBe('IN;\nPU;\nSP0;\n');
+    });
+
+    it('should reject invalid viewport sizes and options', () => {
+        expect(() => generateHPGL(line, { width: 10, height: -1 })).toThrow('Invalid viewport size');
+        expect(() => generateHPGL(line, page, { penCount: 9 })).toThrow('Invalid HPGL options');
+        expect(() => generateHPGL(line, page, { rotate: 'sideways' })).toThrow('Invalid HPGL options');
+    });
+
+    it('should keep every coordinate on the page in whole plotter units', () => {
+        fc.assert(
+            fc.property(
+                fc.array(fc.tuple(fc.integer({ min: 0, max: 100 }), fc.integer({ min: 0, max: 100 })), { minLength: 2, maxLength: 6 }),
+                fc.constantFrom('always', 'never'),
+                (coords, rotate) => {
+                    const markup = wrap(
+                        `<polyline points="${coords.map(([x, y]) => `${x / 10},${y / 10}`).join(' ')}" stroke="#000" fill="none"/>`
+                    );
+                    const max = 10 * HPGL_UNITS_PER_INCH;
+                    return points(generateHPGL(markup, page, { rotate })).every(([x, y]) =>
+                        Number.isInteger(x) && Number.isInteger(y) && x >= 0 && x <= max && y >= 0 && y <= max
+                    );
+                }
+            ),
+            { numRuns: 50 }
+        );
+    });
+});
+
+describe('isValidHPGLOptions', () => {
+    it('should accept the defaults and partial options', () => {
+        expect(isValidHPGLOptions(DEFAULT_HPGL_OPTIONS)).toBe(true);
+        expect(isValidHPGLOptions({})).toBe(true);
+        expect(isValidHPGLOptions({ penCount: 8 })).toBe(true);
+    });
+
+    it('should reject invalid values', () => {
+        expect(isValidHPGLOptions(null)).toBe(false);
+        expect(isValidHPGLOptions({ rotate: true })).toBe(false);
+        expect(isValidHPGLOptions({ penCount: 0 })).toBe(false);
+        expect(isValidHPGLOptions({ penCount: 2.5 })).toBe(false);
+        expect(isValidHPGLOptions({ maxPointsPerCommand: -1 })).toBe(false);
+        expect(isValidHPGLOptions({ maxPointsPerCommand: NaN })).toBe(false);
+    });
+});
+
+describe('exportHPGL', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should download the program with a .hpgl extension', () => {
+        const downloadSpy = vi.spyOn(fileUtils, 'downloadFile').mockImplementation(() => {});
+        exportHPGL('IN;\n', 'my-sketch');
+        expect(downloadSpy).toHaveBeenCalledWith('IN;\n', 'my-sketch.hpgl', 'application/vnd.hp-hpgl');
+    });
+});
@@ -5,6 +5,9 @@
  * and quota management for the SVG Plotter Editor.
  */
 
+import { isValidPaperSize } from '../models/paper-sizes.js';
+import { isValidSnippet } from '../models/snippet.js';
+
 /**
  * Storage keys used by the application
  */
@@ -12,9 +15,24 @@ export const STORAGE_KEYS = {
     PROJECT: 'plotter_current_project',
     CODE: 'plotter_code',
     VIEWPORT: 'plotter_viewport',
-    PROJECT_NAME: 'plotter_project_name'
+    PROJECT_NAME: 'plotter_project_name',
+    SCREEN_DPI: 'plotter_screen_dpi',
+    PAPER_SIZES: 'plotter_paper_sizes',
+    SNIPPETS: 'plotter_snippets',
+    LIBRARY_MIGRATED: 'plotter_library_migrated'
 };
 
+/**
+ * Keys holding the current project and its legacy single-value copies
+ * Settings, saved paper sizes and snippets are kept when these are cleared.
+ */
+const PROJECT_KEYS = [
+    STORAGE_KEYS.PROJECT,
+    STORAGE_KEYS.CODE,
+    STORAGE_KEYS.VIEWPORT,
+    STORAGE_KEYS.PROJECT_NAME
+];
+
 /**
  * Checks if localStorage is available in the current browser
  * 
@@ -50,9 +68,12 @@ export function saveProjectToLocalStorage(project) {
     } catch (e) {
         if (e.name === 'QuotaExceededError') {
             console.error('localStorage quota exceeded. Unable to save project.');
-            // Attempt to clear old data and retry
+            // Attempt to free the legacy single-value keys and retry; saved paper
+            // sizes and settings are kept, and the project library has its own copy
             try {
-                clearLocalStorage();
+                [STORAGE_KEYS.CODE, STORAGE_KEYS.VIEWPORT, STORAGE_KEYS.PROJECT_NAME].forEach(key => {
+                    localStorage.removeItem(key);
+                });
                 const projectJson = JSON.stringify(project);
                 localStorage.setItem(STORAGE_KEYS.PROJECT, projectJson);
                 console.info('Cleared old data and successfully saved project');
@@ -218,7 +239,131 @@ export function loadProjectNameFromLocalStorage() {
 }
 
 /**
- * Clears all plotter-related data from localStorage
+ * Saves the calibrated screen DPI to localStorage
+ * The DPI belongs to the screen rather than a project.
+ * 
+ * @param {number} dpi - Screen pixels per physical inch
+ * @returns {boolean} True if save was successful
+ */
+export function saveScreenDPIToLocalStorage(dpi) {
+    if (!isLocalStorageAvailable()) {
+        return false;
+    }
+    
+    try {
+        localStorage.setItem(STORAGE_KEYS.SCREEN_DPI, String(dpi));
+        return true;
+    } catch (e) {
+        console.error('Error saving screen DPI to localStorage:', e);
+        return false;
+    }
+}
+
+/**
+ * Loads the calibrated screen DPI from localStorage
+ * 
+ * @returns {number|null} Loaded DPI, or null if none is stored or it is invalid
+ */
+export function loadScreenDPIFromLocalStorage() {
+    if (!isLocalStorageAvailable()) {
+        return null;
+    }
+    
+    try {
+        const dpi = Number(localStorage.getItem(STORAGE_KEYS.SCREEN_DPI));
+        return Number.isFinite(dpi) && dpi > 0 ? dpi : null;
+    } catch (e) {
+        console.error('Error loading screen DPI from localStorage:', e);
+        return null;
+    }
+}
+
+/**
+ * Saves the user's paper size presets to localStorage
+ * 
+ * @param {import('../models/paper-sizes').PaperSize[]} sizes - Paper sizes to save
+ * @returns {boolean} True if save was successful
+ */
+export function savePaperSizesToLocalStorage(sizes) {
+    if (!isLocalStorageAvailable()) {
+        return false;
+    }
+    
+    try {
+        localStorage.setItem(STORAGE_KEYS.PAPER_SIZES, JSON.stringify(sizes));
+        return true;
+    } catch (e) {
+        console.error('Error saving paper sizes to localStorage:', e);
+        return false;
+    }
+}
+
+/**
+ * Loads the user's paper size presets from localStorage
+ * Invalid entries are skipped.
+ * 
+ * @returns {import('../models/paper-sizes').PaperSize[]} Saved paper sizes, empty if none are stored
+ */
+export function loadPaperSizesFromLocalStorage() {
+    if (!isLocalStorageAvailable()) {
+        return [];
+    }
+    
+    try {
+        const data = localStorage.getItem(STORAGE_KEYS.PAPER_SIZES);
+        const sizes = data ? JSON.parse(data) : [];
+        return Array.isArray(sizes) ? sizes.filter(isValidPaperSize) : [];
+    } catch (e) {
+        console.error('Error loading paper sizes from localStorage:', e);
+        return [];
+    }
+}
+
+/**
+ * Saves the user's snippet library to localStorage
+ * 
+ * @param {import('../models/snippet').Snippet[]} snippets - Snippets to save
+ * @returns {boolean} True if save was successful
+ */
+export function saveSnippetsToLocalStorage(snippets) {
+    if (!isLocalStorageAvailable()) {
+        return false;
+    }
+    
+    try {
+        localStorage.setItem(STORAGE_KEYS.SNIPPETS, JSON.stringify(snippets));
+        return true;
+    } catch (e) {
+        console.error('Error saving snippets to localStorage:', e);
+        return false;
+    }
+}
+
+/**
+ * Loads the user's snippet library from localStorage
+ * Invalid entries are skipped.
+ * 
+ * @returns {import('../models/snippet').Snippet[]} Saved snippets, empty if none are stored
+ */
+export function loadSnippetsFromLocalStorage() {
+    if (!isLocalStorageAvailable()) {
+        return [];
+    }
+    
+    try {
+        const data = localStorage.getItem(STORAGE_KEYS.SNIPPETS);
+        const snippets = data ? JSON.parse(data) : [];
+        return Array.isArray(snippets) ? snippets.filter(isValidSnippet) : [];
+    } catch (e) {
+        console.error('Error loading snippets from localStorage:', e);
+        return [];
+    }
+}
+
+/**
+ * Clears the current project from localStorage
+ * The snippet library, saved paper sizes, screen DPI and the library
+ * migration flag are kept.
  * 
  * @returns {boolean} True if clear was successful
  */
@@ -228,7 +373,7 @@ export function clearLocalStorage() {
     }
     
     try {
-        Object.values(STORAGE_KEYS).forEach(key => {
+        PROJECT_KEYS.forEach(key => {
             localStorage.removeItem(key);
         });
         return true;
@@ -8,15 +8,19 @@
  * ensuring that page refresh restores previous state correctly.
  */
 
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
 import * as fc from 'fast-check';
 import {
     saveProjectToLocalStorage,
     loadProjectFromLocalStorage,
     clearLocalStorage,
-    isLocalStorageAvailable
+    isLocalStorageAvailable,
+    savePaperSizesToLocalStorage,
+    loadPaperSizesFromLocalStorage,
+    STORAGE_KEYS
 } from './local-storage.js';
 import { createProject, VIEWPORT_PRESETS } from '../models/project.js';
+import { PAPER_SIZES } from '../models/paper-sizes.js';
 
 describe('LocalStorage Round Trip Property Tests', () => {
     beforeEach(() => {
@@ -190,4 +194,55 @@ describe('LocalStorage Round Trip Property Tests', () => {
             { numRuns: 100 }
         );
     });
+
+    it('should round trip saved paper sizes and skip invalid entries', () => {
+        const saved = { id: 'saved-panel', name: 'Panel', group: 'My sizes', width: 30, height: 40, unit: 'cm' };
+
+        expect(loadPaperSizesFromLocalStorage()).toEqual([]);
+        expect(savePaperSizesToLocalStorage([saved, PAPER_SIZES[0]])).toBe(true);
+        expect(loadPaperSizesFromLocalStorage()).toEqual([saved, PAPER_SIZES[0]]);
+
+        localStorage.setItem(STORAGE_KEYS.PAPER_SIZES, JSON.stringify([saved, { id: 'broken', width: -1 }]));
+        expect(loadPaperSizesFromLocalStorage()).toEqual([saved]);
+
+        localStorage.setItem(STORAGE_KEYS.PAPER_SIZES, '{not json');
+        expect(loadPaperSizesFromLocalStorage()).toEqual([]);
+    });
+
+    it('should clear only the current project', () => {
+        const project = createProject('Cleared', VIEWPORT_PRESETS[0], 'draw.rect(1, 1);');
+        saveProjectToLocalStorage(project);
+        localStorage.setItem(STORAGE_KEYS.CODE, 'legacy');
+        const kept = [STORAGE_KEYS.SCREEN_DPI, STORAGE_KEYS.PAPER_SIZES, STORAGE_KEYS.SNIPPETS, STORAGE_KEYS.LIBRARY_MIGRATED];
+        kept.forEach(key => localStorage.setItem(key, '1'));
+
+        expect(clearLocalStorage()).toBe(true);
+
+        expect(loadProjectFromLocalStorage()).toBeNull();
+        expect(localStorage.getItem(STORAGE_KEYS.CODE)).toBeNull();
+        kept.forEach(key => expect(localStorage.getItem(key)).toBe('1'));
+    });
+
+    it('should keep paper sizes when the quota is exceeded', () => {
+        const saved = { id: 'saved-panel', name: 'Panel', group: 'My sizes', width: 30, height: 40, unit: 'cm' };
+        savePaperSizesToLocalStorage([saved]);
+        localStorage.setItem(STORAGE_KEYS.CODE, 'legacy');
+
+        const setItem = localStorage.setItem.bind(localStorage);
+        let quotaErrors = 0;
+        const spy = vi.spyOn(localStorage, 'setItem').mockImplementation((key, value) => {
+            if (key === STORAGE_KEYS.PROJECT && quotaErrors++ === 0) {
+                throw new DOMException('Quota exceeded', 'QuotaExceededError');
+            }
+            return setItem(key, value);
+        });
+
+        const project = createProject('Big', VIEWPORT_PRESETS[0], 'draw.rect(1, 1);');
+        expect(saveProjectToLocalStorage(project)).toBe(true);
+        spy.mockRestore();
+
+        expect(loadProjectFromLocalStorage().name).toBe('Big');
+        expect(localStorage.getItem(STORAGE_KEYS.CODE)).toBeNull();
+        expect(loadPaperSizesFromLocalStorage()).toEqual([saved]);
+    });
 });
@@ -0,0 +1,205 @@
+/**
+ * Plot Analyzer
+ *
+ * Runs the plot pipeline of svg-exporter.js for the editor: it measures the
+ * generator's drawing for the plot panels (processing stats, the plot
+ * estimate, shapes that will be clipped and the page bounds), prepares it
+ * for export and shows it as plotted. The work runs in a Web Worker on the
+ * virtual DOM, so the editor stays responsive while large drawings are
+ * cleaned up and reordered.
+ */
+
+import { createVirtualWindow, parseMarkup, serializeNode } from '../generators/virtual-dom.js';
+import { analyzePlot, preparePlot, previewPlotted } from './svg-exporter.js';
+
+/**
+ * Create the worker that processes drawings off the main thread
+ *
+ * @returns {Worker} A new plot worker
+ */
+function createPlotWorker() {
+    return new Worker(new URL('./plot-worker.js', import.meta.url), { type: 'module' });
+}
+
+/**
+ * Measure a drawing from its markup without a DOM
+ *
+ * @param {string} svgMarkup - SVG markup from the generator
+ * @param {Object} viewportSize - Physical page size in inches
+ * @param {Object} [options] - Processing options, as for prepareSVGForPlot
+ * @returns {import('./svg-exporter').PlotAnalysis} Stats, clipped shapes and bounds
+ * @throws {Error} If the markup is invalid
+ */
+export function analyzePlotMarkup(svgMarkup, viewportSize, options = {}) {
+    const { document } = createVirtualWindow();
+    return analyzePlot(parseMarkup(svgMarkup, document), viewportSize, options);
+}
+
+/**
+ * Run prepareSVGForPlot without a DOM
+ *
+ * @param {string} svgMarkup - SVG markup from the generator
+ * @param {Object} [options] - Processing options, as for prepareSVGForPlot
+ * @returns {import('./svg-exporter').PlotPreparationResult} Markup to export and statistics
+ * @throws {Error} If the markup is invalid
+ */
+export function preparePlotMarkup(svgMarkup, options = {}) {
+    const { document } = createVirtualWindow();
+    const { svg, stats } = preparePlot(parseMarkup(svgMarkup, document), options);
+    return { svg: svg ? serializeNode(svg) : svgMarkup, stats };
+}
+
+/**
+ * Run previewPlottedSVG without a DOM
+ *
+ * @param {string} svgMarkup - SVG markup from the generator
+ * @param {Object} [options] - Processing options, as for prepareSVGForPlot
+ * @returns {string} SVG markup for the preview
+ * @throws {Error} If the markup is invalid
+ */
+export function previewPlottedMarkup(svgMarkup, options = {}) {
+    const { document } = createVirtualWindow();
+    const svg = previewPlotted(parseMarkup(svgMarkup, document), options);
+    return svg ? serializeNode(svg) : svgMarkup;
+}
+
+/**
+ * Run a plot worker request
+ *
+ * @param {Object} message - Request posted to the plot worker
+ * @param {'analyze'|'prepare'|'preview'} message.task - Work to do
+ * @param {string} message.svgMarkup - SVG markup from the generator
+ * @param {Object} [message.viewportSize] - Physical page size in inches, for analyze
+ * @param {Object} [message.options] - Processing options, as for prepareSVGForPlot
+ * @returns {*} Result of analyzePlotMarkup, preparePlotMarkup or previewPlottedMarkup
+ * @throws {Error} If the task is unknown or the markup is invalid
+ */
+export function runPlotTask({ task, svgMarkup, viewportSize, options }) {
+    switch (task) {
+        case 'analyze':
+            return analyzePlotMarkup(svgMarkup, viewportSize, options);
+        case 'prepare':
+            return preparePlotMarkup(svgMarkup, options);
+        case 'preview':
+            return previewPlottedMarkup(svgMarkup, options);
+        default:
+            throw new Error(`Unknown plot task: ${task}`);
+    }
+}
+
+/**
+ * PlotAnalyzer class
+ *
+ * Only the latest request counts: starting one terminates the worker of
+ * the previous request, whose promise resolves to null, so a slow result
+ * for an old drawing or old options never replaces a newer one.
+ */
+export class PlotAnalyzer {
+    constructor() {
+        this.request = null; // Worker and resolve function of the running request
+
+        // Factory for plot workers; null analyzes inline on the main thread
+        this.workerFactory = typeof Worker === 'undefined' ? null : createPlotWorker;
+    }
+
+    /**
+     * Measure a drawing, replacing any request still running
+     *
+     * @param {string} svgMarkup - SVG markup from the generator
+     * @param {Object} viewportSize - Physical page size in inches
+     * @param {Object} [options] - Processing options, as for prepareSVGForPlot
+     * @returns {Promise<import('./svg-exporter').PlotAnalysis|null>} The analysis, or null if a newer request replaced it
+     * @throws {Error} If the markup is invalid or the worker fails
+     */
+    analyze(svgMarkup, viewportSize, options = {}) {
+        return this._run({
+            task: 'analyze',
+            svgMarkup,
+            viewportSize: { width: viewportSize.width, height: viewportSize.height },
+            options
+        });
+    }
+
+    /**
+     * Prepare a drawing for export, replacing any request still running
+     *
+     * @param {string} svgMarkup - SVG markup from the generator
+     * @param {Object} [options] - Processing options, as for prepareSVGForPlot
+     * @returns {Promise<import('./svg-exporter').PlotPreparationResult|null>} Markup and stats, or null if a newer request replaced it
+     * @throws {Error} If the markup is invalid or the worker fails
+     */
+    prepare(svgMarkup, options = {}) {
+        return this._run({ task: 'prepare', svgMarkup, options });
+    }
+
+    /**
+     * Show a drawing as it will be plotted, replacing any request still running
+     *
+     * @param {string} svgMarkup - SVG markup from the generator
+     * @param {Object} [options] - Processing options, as for prepareSVGForPlot
+     * @returns {Promise<string|null>} Markup for the preview, or null if a newer request replaced it
+     * @throws {Error} If the markup is invalid or the worker fails
+     */
+    preview(svgMarkup, options = {}) {
+        return this._run({ task: 'preview', svgMarkup, options });
+    }
+
+    /**
+     * Run a request in a new worker, or inline without workers
+     *
+     * @private
+     * @param {Object} message - Request for runPlotTask
+     * @returns {Promise<*|null>} The result, or null if a newer request replaced it
+     */
+    _run(message) {
+        this.cancel();
+
+        if (!this.workerFactory) {
+            return new Promise(resolve => resolve(runPlotTask(message)));
+        }
+
+        return new Promise((resolve, reject) => {
+            const worker = this.workerFactory();
+            const request = { worker, resolve };
+            this.request = request;
+
+            const finish = () => {
+                worker.terminate();
+                if (this.request === request) {
+                    this.request = null;
+                }
+            };
+
+            worker.onmessage = (event) => {
+                finish();
+
+                if (event.data.status === 'success') {
+                    resolve(event.data.result);
+                } else {
+                    reject(new Error(event.data.error));
+                }
+            };
+
+            worker.onerror = (event) => {
+                finish();
+                if (event.preventDefault) {
+                    event.preventDefault();
+                }
+                reject(new Error(event.message || 'Plot worker failed to start'));
+            };
+
+            worker.postMessage(message);
+        });
+    }
+
+    /**
+     * Stop the running request, if any; its promise resolves to null
+     */
+    cancel() {
+        if (this.request) {
+            this.request.worker.terminate();
+            this.request.resolve(null);
+            this.request = null;
+        }
+    }
+}
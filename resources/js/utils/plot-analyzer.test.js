@@ -0,0 +1,170 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { PlotAnalyzer, analyzePlotMarkup, preparePlotMarkup, previewPlottedMarkup, runPlotTask } from './plot-analyzer.js';
+import { prepareSVGForPlot, previewPlottedSVG, countClippedShapes } from './svg-exporter.js';
+import { measureBounds, parseSVGMarkup } from './svg-optimizer.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const PAGE = { width: 4, height: 3 };
+const drawing = (content) => `<svg xmlns="${SVG_NS}" width="4in" height="3in" viewBox="0 0 4 3">${content}</svg>`;
+
+describe('plot analyzer', () => {
+    describe('analyzePlotMarkup', () => {
+        it('should match the stats, clipping and bounds measured on a parsed document', () => {
+            const markup = drawing(
+                '<line x1="3" y1="1" x2="2" y2="1" stroke="#000"/>' +
+                '<rect x="0.5" y="0.5" width="1" height="1" fill="#fff" stroke="#000"/>' +
+                '<path d="M-1 2 L1 2 M1 2 L2 2" stroke="#000" fill="none"/>'
+            );
+            const options = { hatchFills: true, hatchSpacing: 0.25, removeHiddenLines: true, margins: { top: 0, right: 0, bottom: 0, left: 0 } };
+
+            const analysis = analyzePlotMarkup(markup, PAGE, options);
+
+            expect(analysis.stats).toEqual(prepareSVGForPlot(markup, options).stats);
+            expect(analysis.clippedShapes).toBe(countClippedShapes(markup, options));
+            expect(analysis.clippedShapes).toBe(1);
+            expect(analysis.bounds).toEqual(measureBounds(parseSVGMarkup(markup), PAGE));
+        });
+
+        it('should reject invalid markup', () => {
+            expect(() => analyzePlotMarkup('<svg>', PAGE)).toThrow('invalid XML');
+        });
+    });
+
+    describe('preparePlotMarkup', () => {
+        const markup = drawing(
+            '<line x1="3" y1="1" x2="2" y2="1" stroke="#000"/>' +
+            '<rect x="0.5" y="0.5" width="1" height="1" fill="#fff" stroke="#000"/>' +
+            '<text x="1" y="2">Label</text>'
+        );
+
+        it('should prepare the same drawing as a parsed document', () => {
+            const options = { hatchFills: true, hatchSpacing: 0.25, removeHiddenLines: true };
+
+            const prepared = preparePlotMarkup(markup, options);
+            const expected = prepareSVGForPlot(markup, options);
+
+            expect(prepared.stats).toEqual(expected.stats);
+            const paths = svg => Array.from(parseSVGMarkup(svg).querySelectorAll('path'), path => path.getAttribute('d'));
+            expect(paths(prepared.svg)).toEqual(paths(expected.svg));
+            expect(parseSVGMarkup(prepared.svg).querySelector('text').textContent).toBe('Label');
+        });
+
+        it('should return the markup unchanged when there is nothing to do', () => {
+            const options = { optimizePaths: false, mergePaths: false };
+            expect(preparePlotMarkup(markup, options).svg).toBe(markup);
+        });
+    });
+
+    describe('previewPlottedMarkup', () => {
+        it('should preview the same drawing as a parsed document', () => {
+            const markup = drawing('<rect x="1" y="1" width="1" height="1" fill="#333"/>');
+
+            for (const options of [{}, { hatchFills: true, hatchSpacing: 0.25 }, { removeHiddenLines: true }]) {
+                const preview = parseSVGMarkup(previewPlottedMarkup(markup, options));
+                const expected = parseSVGMarkup(previewPlottedSVG(markup, options));
+                const shapes = root => Array.from(root.children, child => [child.localName, child.getAttribute('d'), child.getAttribute('fill')]);
+                expect(shapes(preview)).toEqual(shapes(expected));
+            }
+        });
+
+        it('should return markup without fills unchanged', () => {
+            const markup = drawing('<line x1="1" y1="1" x2="2" y2="1" stroke="#000"/>');
+            expect(previewPlottedMarkup(markup)).toBe(markup);
+        });
+    });
+
+    describe('runPlotTask', () => {
+        it('should reject unknown tasks', () => {
+            expect(() => runPlotTask({ task: 'plot', svgMarkup: drawing('') })).toThrow('Unknown plot task: plot');
+        });
+    });
+
+    describe('PlotAnalyzer', () => {
+        let analyzer;
+
+        beforeEach(() => {
+            analyzer = new PlotAnalyzer();
+        });
+
+        /**
+         * Minimal stand-in for a Web Worker that answers when told to
+         */
+        function createFakeWorker() {
+            const worker = {
+                onmessage: null,
+                onerror: null,
+                message: null,
+                terminate: vi.fn(),
+                postMessage: vi.fn((message) => {
+                    worker.message = message;
+                }),
+                reply: (data) => worker.onmessage({ data })
+            };
+            return worker;
+        }
+
+        it('should analyze inline when Worker is unavailable', async () => {
+            expect(analyzer.workerFactory).toBeNull();
+
+            const analysis = await analyzer.analyze(drawing('<line x1="1" y1="1" x2="2" y2="1" stroke="#000"/>'), PAGE);
+            expect(analysis.stats.estimate.penDownLength).toBeCloseTo(1);
+        });
+
+        it('should post the markup to a worker and resolve with its result', async () => {
+            const worker = createFakeWorker();
+            analyzer.workerFactory = () => worker;
+
+            const promise = analyzer.analyze('<svg></svg>', { width: 4, height: 3, label: 'Custom' }, { mergePaths: false });
+            expect(worker.message).toEqual({ task: 'analyze', svgMarkup: '<svg></svg>', viewportSize: PAGE, options: { mergePaths: false } });
+
+            worker.reply({ status: 'success', result: { clippedShapes: 2 } });
+            await expect(promise).resolves.toEqual({ clippedShapes: 2 });
+            expect(worker.terminate).toHaveBeenCalled();
+        });
+
+        it('should reject with the worker error', async () => {
+            const worker = createFakeWorker();
+            analyzer.workerFactory = () => worker;
+
+            const promise = analyzer.analyze('<svg>', PAGE);
+            worker.reply({ status: 'error', error: 'Failed to parse SVG markup: invalid XML' });
+            await expect(promise).rejects.toThrow('invalid XML');
+
+            const failed = createFakeWorker();
+            analyzer.workerFactory = () => failed;
+            const failing = analyzer.analyze('<svg></svg>', PAGE);
+            failed.onerror({ message: 'Failed to load worker script' });
+            await expect(failing).rejects.toThrow('Failed to load worker script');
+        });
+
+        it('should post prepare and preview requests', async () => {
+            const worker = createFakeWorker();
+            analyzer.workerFactory = () => worker;
+
+            const prepared = analyzer.prepare('<svg></svg>', { hatchFills: true });
+            expect(worker.message).toEqual({ task: 'prepare', svgMarkup: '<svg></svg>', options: { hatchFills: true } });
+            worker.reply({ status: 'success', result: { svg: '<svg/>', stats: {} } });
+            await expect(prepared).resolves.toEqual({ svg: '<svg/>', stats: {} });
+
+            const preview = analyzer.preview('<svg></svg>');
+            expect(worker.message).toEqual({ task: 'preview', svgMarkup: '<svg></svg>', options: {} });
+            worker.reply({ status: 'success', result: '<svg/>' });
+            await expect(preview).resolves.toBe('<svg/>');
+        });
+
+        it('should stop a running request when a new one starts', async () => {
+            const workers = [createFakeWorker(), createFakeWorker()];
+            analyzer.workerFactory = vi.fn(() => workers[analyzer.workerFactory.mock.calls.length - 1]);
+
+            const first = analyzer.analyze('<svg id="old"></svg>', PAGE);
+            const second = analyzer.analyze('<svg id="new"></svg>', PAGE);
+
+            expect(workers[0].terminate).toHaveBeenCalled();
+            await expect(first).resolves.toBeNull();
+
+            workers[1].reply({ status: 'success', result: { clippedShapes: 0 } });
+            await expect(second).resolves.toEqual({ clippedShapes: 0 });
+            expect(analyzer.request).toBeNull();
+        });
+    });
+});
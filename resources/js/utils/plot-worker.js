@@ -0,0 +1,22 @@
+/**
+ * Plot Worker
+ *
+ * Web Worker entry point for the plot pipeline: measuring drawings for the
+ * plot panels, preparing them for export and previewing them as plotted.
+ * Path cleanup and ordering take seconds on large drawings, which would
+ * freeze the editor after every run and plot option change on the main thread.
+ *
+ * Message protocol:
+ * - in:  { task: 'analyze' | 'prepare' | 'preview', svgMarkup, viewportSize, options }
+ * - out: { status: 'success', result } or { status: 'error', error }
+ */
+
+import { runPlotTask } from './plot-analyzer.js';
+
+self.onmessage = (event) => {
+    try {
+        self.postMessage({ status: 'success', result: runPlotTask(event.data) });
+    } catch (error) {
+        self.postMessage({ status: 'error', error: error.message });
+    }
+};
@@ -0,0 +1,264 @@
+/**
+ * Project Database Utility
+ *
+ * Stores project library records and version history snapshots in
+ * IndexedDB, which holds far more than localStorage. When IndexedDB is
+ * unavailable (some private browsing modes) in-memory stores keep the
+ * library and history working for the session.
+ */
+
+/**
+ * Name of the IndexedDB database holding the project library
+ */
+export const PROJECT_DB_NAME = 'plotter_projects';
+
+/**
+ * Schema version of the project database
+ * Version 2 added the snapshots store.
+ */
+const PROJECT_DB_VERSION = 2;
+
+/**
+ * Object stores of the database, keyed by id, with the fields they index
+ */
+const OBJECT_STORES = {
+    projects: [],
+    snapshots: ['projectId']
+};
+
+/**
+ * Open connections by database name, shared by all stores of a database
+ * @type {Map<string, Promise<IDBDatabase>>}
+ */
+const connections = new Map();
+
+/**
+ * @typedef {Object} ProjectRecord
+ * @property {string} id - Project id
+ * @property {import('../models/project').Project} project - Stored project
+ * @property {string|null} thumbnail - SVG markup of the last render, or null
+ */
+
+/**
+ * @typedef {Object} ProjectStore
+ * @property {function(): Promise<Object[]>} getAll - All records
+ * @property {function(string, *): Promise<Object[]>} getAllBy - Records whose indexed field has a value
+ * @property {function(string): Promise<Object|null>} get - Record by id, or null
+ * @property {function(Object): Promise<void>} put - Add or replace a record
+ * @property {function(string): Promise<void>} delete - Remove a record by id
+ */
+
+/**
+ * Checks if IndexedDB is available in the current browser
+ *
+ * @returns {boolean} True if IndexedDB is available
+ */
+export function isIndexedDBAvailable() {
+    try {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Opens the store of project library records
+ *
+ * @returns {Promise<ProjectStore>} Project store
+ */
+export function openProjectStore() {
+    return _openStore('projects');
+}
+
+/**
+ * Opens the store of version history snapshots
+ *
+ * @returns {Promise<ProjectStore>} Snapshot store, indexed by projectId
+ */
+export function openSnapshotStore() {
+    return _openStore('snapshots');
+}
+
+/**
+ * Opens an object store of the project database in IndexedDB
+ * The database is created or upgraded on first use.
+ *
+ * @param {string} storeName - Object store name ('projects' or 'snapshots')
+ * @param {string} [name=PROJECT_DB_NAME] - Database name
+ * @returns {Promise<ProjectStore>} Store backed by IndexedDB
+ * @throws {Error} If the database cannot be opened, or another tab blocks its upgrade
+ */
+export function openIndexedDBStore(storeName, name = PROJECT_DB_NAME) {
+    return _connect(name).then(() => _createIndexedDBStore(name, storeName));
+}
+
+/**
+ * Creates a queue that runs operations on a store one at a time
+ * Each operation starts once the store has opened and the operations
+ * queued before it have settled; a failed operation does not block the
+ * ones after it.
+ *
+ * @param {ProjectStore|Promise<ProjectStore>} store - Store, or a promise for one while it opens
+ * @returns {function(function(ProjectStore): Promise<any>): Promise<any>} Queues an operation and resolves with its result
+ */
+export function createStoreQueue(store) {
+    const opened = Promise.resolve(store);
+    let pending = Promise.resolve();
+
+    return (operation) => {
+        const result = pending.then(() => opened).then(operation);
+        pending = result.catch(() => {});
+        return result;
+    };
+}
+
+/**
+ * Creates a store that keeps records in memory
+ * Records are copied in and out, as IndexedDB does.
+ *
+ * @returns {ProjectStore} In-memory store
+ */
+export function createMemoryStore() {
+    const records = new Map();
+    const copy = record => JSON.parse(JSON.stringify(record));
+
+    return {
+        async getAll() {
+            return [...records.values()].map(copy);
+        },
+        async getAllBy(field, value) {
+            return [...records.values()].filter(record => record[field] === value).map(copy);
+        },
+        async get(id) {
+            return records.has(id) ? copy(records.get(id)) : null;
+        },
+        async put(record) {
+            records.set(record.id, copy(record));
+        },
+        async delete(id) {
+            records.delete(id);
+        }
+    };
+}
+
+/**
+ * Opens an object store, falling back to memory when IndexedDB fails
+ *
+ * @private
+ * @param {string} storeName - Object store name
+ * @returns {Promise<ProjectStore>} Store
+ */
+function _openStore(storeName) {
+    if (!isIndexedDBAvailable()) {
+        console.warn(`IndexedDB is not available; ${storeName} will not persist`);
+        return Promise.resolve(createMemoryStore());
+    }
+
+    return openIndexedDBStore(storeName).catch(error => {
+        console.error('Error opening the project database:', error);
+        return createMemoryStore();
+    });
+}
+
+/**
+ * Shared connection to a database, opened on first use
+ *
+ * The connection closes when another tab upgrades the database, so the
+ * upgrade is not blocked; the next request opens it again. Opening is
+ * rejected when this tab's upgrade is blocked by a tab that keeps an
+ * older version open.
+ *
+ * @private
+ * @param {string} name - Database name
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function _connect(name) {
+    if (!connections.has(name)) {
+        const connection = new Promise((resolve, reject) => {
+            const request = indexedDB.open(name, PROJECT_DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.entries(OBJECT_STORES).forEach(([objectStoreName, indexes]) => {
+                    if (!db.objectStoreNames.contains(objectStoreName)) {
+                        const objectStore = db.createObjectStore(objectStoreName, { keyPath: 'id' });
+                        indexes.forEach(field => objectStore.createIndex(field, field));
+                    }
+                });
+            };
+            request.onblocked = () => {
+                reject(new Error('The project database is open in another tab with an older version'));
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                db.onversionchange = () => {
+                    db.close();
+                    connections.delete(name);
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+
+        connections.set(name, connection);
+        connection.catch(() => connections.delete(name));
+    }
+    return connections.get(name);
+}
+
+/**
+ * Wraps an object store of a database in the ProjectStore interface
+ *
+ * @private
+ * @param {string} name - Database name
+ * @param {string} storeName - Object store name
+ * @returns {ProjectStore} Store backed by the database
+ */
+function _createIndexedDBStore(name, storeName) {
+    /**
+     * Run one request in its own transaction
+     * Resolves with the request's result once the transaction has committed.
+     */
+    const run = (mode, operation) => _connect(name).then(db => {
+        const transaction = db.transaction(storeName, mode);
+        const committed = new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onabort = () => reject(transaction.error);
+            transaction.onerror = () => reject(transaction.error);
+        });
+        const result = _requestResult(operation(transaction.objectStore(storeName)));
+        return Promise.all([result, committed]).then(([value]) => value);
+    });
+
+    return {
+        getAll() {
+            return run('readonly', store => store.getAll());
+        },
+        getAllBy(field, value) {
+            return run('readonly', store => store.index(field).getAll(value));
+        },
+        get(id) {
+            return run('readonly', store => store.get(id)).then(record => record || null);
+        },
+        put(record) {
+            return run('readwrite', store => store.put(record)).then(() => undefined);
+        },
+        delete(id) {
+            return run('readwrite', store => store.delete(id)).then(() => undefined);
+        }
+    };
+}
+
+/**
+ * Promise for the result of an IndexedDB request
+ *
+ * @private
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<any>} Request result
+ */
+function _requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
@@ -0,0 +1,155 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import { createMemoryStore, createStoreQueue, isIndexedDBAvailable, openIndexedDBStore, openProjectStore, openSnapshotStore } from './project-db.js';
+
+describe('project database', () => {
+    it('should keep copies of records in the memory store', async () => {
+        const store = createMemoryStore();
+        const record = { id: 'p1', project: { name: 'One' }, thumbnail: null };
+
+        await store.put(record);
+        record.project.name = 'Changed';
+
+        expect(await store.get('p1')).toEqual({ id: 'p1', project: { name: 'One' }, thumbnail: null });
+        expect(await store.get('missing')).toBeNull();
+
+        await store.put({ id: 'p2', project: { name: 'Two' }, thumbnail: '<svg/>' });
+        expect((await store.getAll()).map(r => r.id)).toEqual(['p1', 'p2']);
+
+        await store.delete('p1');
+        expect((await store.getAll()).map(r => r.id)).toEqual(['p2']);
+    });
+
+    it('should find records by an indexed field', async () => {
+        const store = createMemoryStore();
+        await store.put({ id: 's1', projectId: 'a' });
+        await store.put({ id: 's2', projectId: 'b' });
+        await store.put({ id: 's3', projectId: 'a' });
+
+        expect((await store.getAllBy('projectId', 'a')).map(r => r.id)).toEqual(['s1', 's3']);
+        expect(await store.getAllBy('projectId', 'c')).toEqual([]);
+    });
+
+    it('should run queued operations one at a time once the store opens', async () => {
+        let open;
+        const queue = createStoreQueue(new Promise(resolve => { open = resolve; }));
+        const order = [];
+
+        const slow = queue(async store => {
+            await new Promise(resolve => setTimeout(resolve, 10));
+            order.push('slow');
+            return store.name;
+        });
+        const failing = queue(async () => {
+            order.push('failing');
+            throw new Error('Write failed');
+        });
+        const last = queue(async () => order.push('last'));
+
+        open({ name: 'store' });
+        await expect(slow).resolves.toBe('store');
+        await expect(failing).rejects.toThrow('Write failed');
+        await last;
+        expect(order).toEqual(['slow', 'failing', 'last']);
+    });
+
+    it('should fall back to memory without IndexedDB', async () => {
+        // jsdom has no IndexedDB
+        expect(isIndexedDBAvailable()).toBe(false);
+
+        const store = await openProjectStore();
+        await store.put({ id: 'p1', project: {}, thumbnail: null });
+        expect(await store.get('p1')).not.toBeNull();
+
+        const snapshots = await openSnapshotStore();
+        expect(await snapshots.get('p1')).toBeNull();
+    });
+
+    describe('IndexedDB', () => {
+        let databaseCount = 0;
+        let name;
+
+        beforeEach(() => {
+            vi.stubGlobal('indexedDB', new IDBFactory());
+            // Connections are shared by name, so every test gets a database of its own
+            name = `plotter_test_${++databaseCount}`;
+        });
+
+        afterEach(() => {
+            vi.unstubAllGlobals();
+        });
+
+        /**
+         * Open a database directly, as another tab would
+         */
+        function openDirectly(version, upgrade = () => {}) {
+            return new Promise((resolve, reject) => {
+                const request = indexedDB.open(name, version);
+                request.onupgradeneeded = () => upgrade(request.result);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        it('should create the stores and keep records', async () => {
+            const projects = await openIndexedDBStore('projects', name);
+            const snapshots = await openIndexedDBStore('snapshots', name);
+
+            await projects.put({ id: 'p1', project: { name: 'One' }, thumbnail: null });
+            await projects.put({ id: 'p2', project: { name: 'Two' }, thumbnail: '<svg/>' });
+            await snapshots.put({ id: 's1', projectId: 'p1' });
+            await snapshots.put({ id: 's2', projectId: 'p2' });
+
+            expect(await projects.get('p1')).toEqual({ id: 'p1', project: { name: 'One' }, thumbnail: null });
+            expect(await projects.get('missing')).toBeNull();
+            expect((await projects.getAll()).map(record => record.id)).toEqual(['p1', 'p2']);
+            expect((await snapshots.getAllBy('projectId', 'p2')).map(record => record.id)).toEqual(['s2']);
+
+            await projects.delete('p1');
+            expect((await projects.getAll()).map(record => record.id)).toEqual(['p2']);
+        });
+
+        it('should add the snapshots store to a version 1 database', async () => {
+            const old = await openDirectly(1, db => {
+                db.createObjectStore('projects', { keyPath: 'id' }).put({ id: 'p1', project: {}, thumbnail: null });
+            });
+            old.close();
+
+            const projects = await openIndexedDBStore('projects', name);
+            const snapshots = await openIndexedDBStore('snapshots', name);
+
+            expect(await projects.get('p1')).toEqual({ id: 'p1', project: {}, thumbnail: null });
+            await snapshots.put({ id: 's1', projectId: 'p1' });
+            expect(await snapshots.getAllBy('projectId', 'p1')).toEqual([{ id: 's1', projectId: 'p1' }]);
+        });
+
+        it('should share one connection between the stores', async () => {
+            const open = vi.spyOn(indexedDB, 'open');
+
+            const [projects, snapshots] = await Promise.all([
+                openIndexedDBStore('projects', name),
+                openIndexedDBStore('snapshots', name)
+            ]);
+            await projects.put({ id: 'p1' });
+            await snapshots.put({ id: 's1', projectId: 'p1' });
+
+            expect(open).toHaveBeenCalledTimes(1);
+        });
+
+        it('should close its connection when another tab upgrades the database', async () => {
+            const projects = await openIndexedDBStore('projects', name);
+            await projects.put({ id: 'p1' });
+
+            const newer = await openDirectly(3);
+            expect(newer.version).toBe(3);
+            newer.close();
+        });
+
+        it('should reject when a tab with an older version blocks the upgrade', async () => {
+            const old = await openDirectly(1, db => db.createObjectStore('projects', { keyPath: 'id' }));
+
+            await expect(openIndexedDBStore('projects', name)).rejects.toThrow('open in another tab');
+            old.close();
+        });
+    });
+});
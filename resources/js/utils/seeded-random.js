@@ -0,0 +1,137 @@
+/**
+ * Seeded Random Utility
+ *
+ * Deterministic pseudo-random number generation for sketches. The same seed
+ * always produces the same sequence, so a plot can be reproduced exactly
+ * after a Regenerate or on another machine.
+ */
+
+/**
+ * Largest seed value produced by generateSeed() (exclusive)
+ * Six digits keep seeds easy to read and type.
+ */
+export const MAX_SEED = 1000000;
+
+/**
+ * @typedef {Object} SeededRandom
+ * @property {number} seed - The seed this generator was created with
+ * @property {function(number=, number=): number} random - Float in [0, 1), [0, max) or [min, max)
+ * @property {function(number, number=): number} randomInt - Integer in [0, max) or [min, max)
+ * @property {function(number=, number=): number} randomGaussian - Normally distributed value
+ * @property {function(Array): Array} shuffle - Shuffled copy of an array
+ * @property {function(Array): *} pick - Random element of an array
+ */
+
+/**
+ * Generates a new random seed
+ *
+ * @returns {number} Integer seed in [0, MAX_SEED)
+ */
+export function generateSeed() {
+    return Math.floor(Math.random() * MAX_SEED);
+}
+
+/**
+ * Validates a seed value
+ *
+ * @param {any} seed - Value to validate
+ * @returns {boolean} True if the value is a non-negative integer
+ */
+export function isValidSeed(seed) {
+    return Number.isSafeInteger(seed) && seed >= 0;
+}
+
+/**
+ * Creates a seeded random number generator
+ *
+ * Uses the mulberry32 algorithm: fast, small state and good enough
+ * statistical quality for generative art.
+ *
+ * @param {number} seed - Integer seed
+ * @returns {SeededRandom} Random helpers sharing one deterministic sequence
+ * @throws {Error} If the seed is invalid
+ */
+export function createSeededRandom(seed) {
+    if (!isValidSeed(seed)) {
+        throw new Error('Invalid seed: must be a non-negative integer');
+    }
+
+    let state = seed >>> 0;
+
+    // Next float in [0, 1)
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    // Box-Muller produces values in pairs; keep the spare for the next call
+    let spareGaussian = null;
+
+    /**
+     * random() → [0, 1), random(max) → [0, max), random(min, max) → [min, max)
+     */
+    const random = (min, max) => {
+        if (min === undefined) {
+            return next();
+        }
+        if (max === undefined) {
+            return next() * min;
+        }
+        return min + next() * (max - min);
+    };
+
+    /**
+     * randomInt(max) → [0, max), randomInt(min, max) → [min, max)
+     */
+    const randomInt = (min, max) => {
+        if (max === undefined) {
+            max = min;
+            min = 0;
+        }
+        min = Math.ceil(min);
+        max = Math.floor(max);
+        return min + Math.floor(next() * (max - min));
+    };
+
+    const randomGaussian = (mean = 0, standardDeviation = 1) => {
+        if (spareGaussian !== null) {
+            const value = spareGaussian;
+            spareGaussian = null;
+            return mean + value * standardDeviation;
+        }
+
+        let u;
+        do {
+            u = next();
+        } while (u === 0);
+        const v = next();
+        const magnitude = Math.sqrt(-2 * Math.log(u));
+
+        spareGaussian = magnitude * Math.sin(2 * Math.PI * v);
+        return mean + magnitude * Math.cos(2 * Math.PI * v) * standardDeviation;
+    };
+
+    const shuffle = (array) => {
+        if (!Array.isArray(array)) {
+            throw new Error('shuffle() expects an array');
+        }
+        const result = [...array];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(next() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    };
+
+    const pick = (array) => {
+        if (!Array.isArray(array)) {
+            throw new Error('pick() expects an array');
+        }
+        return array.length > 0 ? array[Math.floor(next() * array.length)] : undefined;
+    };
+
+    return { seed, random, randomInt, randomGaussian, shuffle, pick };
+}
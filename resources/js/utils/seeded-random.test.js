@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { createSeededRandom, generateSeed, isValidSeed, MAX_SEED } from './seeded-random.js';
+
+describe('seeded random', () => {
+    describe('generateSeed', () => {
+        it('should produce valid seeds below MAX_SEED', () => {
+            for (let i = 0; i < 100; i++) {
+                const seed = generateSeed();
+                expect(isValidSeed(seed)).toBe(true);
+                expect(seed).toBeLessThan(MAX_SEED);
+            }
+        });
+    });
+
+    describe('isValidSeed', () => {
+        it('should accept non-negative integers only', () => {
+            expect(isValidSeed(0)).toBe(true);
+            expect(isValidSeed(42)).toBe(true);
+            expect(isValidSeed(-1)).toBe(false);
+            expect(isValidSeed(1.5)).toBe(false);
+            expect(isValidSeed('42')).toBe(false);
+            expect(isValidSeed(NaN)).toBe(false);
+        });
+    });
+
+    describe('createSeededRandom', () => {
+        it('should throw on invalid seeds', () => {
+            expect(() => createSeededRandom(-5)).toThrow('Invalid seed');
+        });
+
+        it('should produce the same sequence for the same seed', () => {
+            fc.assert(
+                fc.property(fc.integer({ min: 0, max: MAX_SEED }), (seed) => {
+                    const a = createSeededRandom(seed);
+                    const b = createSeededRandom(seed);
+                    for (let i = 0; i < 20; i++) {
+                        expect(a.random()).toBe(b.random());
+                    }
+                })
+            );
+        });
+
+        it('should produce different sequences for different seeds', () => {
+            const a = createSeededRandom(1);
+            const b = createSeededRandom(2);
+            const seqA = Array.from({ length: 5 }, () => a.random());
+            const seqB = Array.from({ length: 5 }, () => b.random());
+            expect(seqA).not.toEqual(seqB);
+        });
+
+        it('should keep random() within the requested range', () => {
+            const { random } = createSeededRandom(3);
+            for (let i = 0; i < 1000; i++) {
+                const unit = random();
+                expect(unit).toBeGreaterThanOrEqual(0);
+                expect(unit).toBeLessThan(1);
+
+                const scaled = random(10);
+                expect(scaled).toBeGreaterThanOrEqual(0);
+                expect(scaled).toBeLessThan(10);
+
+                const ranged = random(-2, 2);
+                expect(ranged).toBeGreaterThanOrEqual(-2);
+                expect(ranged).toBeLessThan(2);
+            }
+        });
+
+        it('should return integers with an exclusive upper bound from randomInt()', () => {
+            const { randomInt } = createSeededRandom(4);
+            const seen = new Set();
+            for (let i = 0; i < 1000; i++) {
+                const value = randomInt(3, 6);
+                expect(Number.isInteger(value)).toBe(true);
+                seen.add(value);
+            }
+            expect([...seen].sort()).toEqual([3, 4, 5]);
+            expect(randomInt(1)).toBe(0);
+        });
+
+        it('should centre randomGaussian() on the mean', () => {
+            const { randomGaussian } = createSeededRandom(5);
+            let sum = 0;
+            const count = 5000;
+            for (let i = 0; i < count; i++) {
+                sum += randomGaussian(10, 2);
+            }
+            expect(sum / count).toBeCloseTo(10, 0);
+        });
+
+        it('should shuffle a copy without losing elements', () => {
+            const { shuffle } = createSeededRandom(6);
+            const original = [1, 2, 3, 4, 5, 6, 7, 8];
+            const shuffled = shuffle(original);
+
+            expect(original).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+            expect([...shuffled].sort()).toEqual(original);
+            expect(() => shuffle('abc')).toThrow('shuffle() expects an array');
+        });
+
+        it('should pick elements from the array', () => {
+            const { pick } = createSeededRandom(7);
+            const items = ['a', 'b', 'c'];
+            for (let i = 0; i < 50; i++) {
+                expect(items).toContain(pick(items));
+            }
+            expect(pick([])).toBeUndefined();
+            expect(() => pick(null)).toThrow('pick() expects an array');
+        });
+    });
+});
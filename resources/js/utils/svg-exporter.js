@@ -2,11 +2,364 @@
  * SVG Exporter Utility
  * 
  * Handles exporting generated SVG with proper XML declarations,
- * namespaces, and viewBox attributes for pen plotter compatibility.
+ * namespaces, and viewBox attributes for pen plotter compatibility, and
+ * the cleanup pipeline that prepares the geometry for plotting.
  * 
  * Requirements: 9.1, 9.2, 9.3, 9.4, 9.6
  */
 
+import { flattenSVG } from '../geometry/svg-flatten.js';
+import { DEFAULT_TOLERANCE } from '../geometry/path-data.js';
+import { cleanupPaths, DEFAULT_MERGE_TOLERANCE } from '../geometry/path-cleanup.js';
+import { optimizePathOrder, penUpDistance } from '../geometry/path-optimizer.js';
+import { parseSVGMarkup, buildPlotElement, measurePlot, measureBounds, pageArea } from './svg-optimizer.js';
+import { computePlotStats } from '../geometry/plot-stats.js';
+import { removeHiddenLines } from '../geometry/occlusion.js';
+import { clipPathsToArea, countShapesOutside } from '../geometry/bounds.js';
+import { polylineLength } from '../geometry/polyline.js';
+import { getLayerGroups, splitLayers } from './svg-layers.js';
+import { hatchFills, removeFills, DEFAULT_HATCH_SPACING, DEFAULT_HATCH_ANGLE } from './svg-hatching.js';
+import { LAYER_ATTRIBUTE } from '../generators/sketch-layers.js';
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const XMLNS_NAMESPACE = 'http://www.w3.org/2000/xmlns/';
+const INKSCAPE_NAMESPACE = 'http://www.inkscape.org/namespaces/inkscape';
+
+/**
+ * @typedef {Object} PlotStats
+ * @property {number} pathCount - Number of polylines to plot
+ * @property {number} penUpBefore - Pen-up travel in document order (inches)
+ * @property {number} penUpAfter - Pen-up travel after processing (inches)
+ * @property {number} removedLength - Length of duplicate segments removed (inches)
+ * @property {number} hiddenLength - Length of lines hidden under filled shapes removed (inches)
+ * @property {number} clippedCount - Number of shapes cut at the page or margins
+ * @property {number} joinedCount - Number of joins between touching paths
+ * @property {import('../geometry/plot-stats').PlotEstimate} estimate - Distances, pen lifts and time for the processed paths
+ *
+ * @typedef {Object} PlotPreparationResult
+ * @property {string} svg - SVG markup to export
+ * @property {PlotStats} stats - Processing statistics
+ *
+ * @typedef {Object} PlotAnalysis
+ * @property {PlotStats} stats - Processing statistics
+ * @property {number} clippedShapes - Shapes of the unprocessed drawing that will be clipped
+ * @property {import('../geometry/bounds').Bounds|null} bounds - Plottable geometry on the page in inches
+ */
+
+/**
+ * Export-time cleanup pipeline: hatch fills, flatten shapes to polylines,
+ * remove lines hidden under filled shapes, cut everything to the page,
+ * remove duplicate segments and join touching paths, then reorder the paths
+ * to minimise pen-up travel.
+ *
+ * With every stage disabled, or nothing for them to do, the markup is
+ * returned unchanged and only the current pen-up distance is measured.
+ *
+ * Tolerances and statistics are in inches. Sketches whose viewBox is in
+ * other units (millimetres) pass how many viewBox units make an inch.
+ *
+ * @param {string} svgMarkup - SVG markup from the generator
+ * @param {Object} [options] - Processing options (see PlotOptions)
+ * @param {boolean} [options.optimizePaths=true] - Reorder paths
+ * @param {boolean} [options.reversePaths=true] - Allow drawing paths in the opposite direction
+ * @param {boolean} [options.mergePaths=true] - Join touching paths and remove duplicate segments
+ * @param {number} [options.mergeTolerance=DEFAULT_MERGE_TOLERANCE] - Merge distance in inches
+ * @param {boolean} [options.hatchFills=false] - Replace fills with hatch lines
+ * @param {number} [options.hatchSpacing=DEFAULT_HATCH_SPACING] - Distance between hatch lines in inches
+ * @param {number} [options.hatchAngle=DEFAULT_HATCH_ANGLE] - Hatch angle in degrees
+ * @param {boolean} [options.crossHatch=false] - Hatch in two directions
+ * @param {boolean} [options.removeHiddenLines=false] - Remove lines covered by filled shapes painted after them
+ * @param {boolean} [options.clipToPage=true] - Cut lines at the edge of the page (the viewBox)
+ * @param {boolean} [options.clipToMargins=false] - Cut lines at the margins instead
+ * @param {import('../models/project').Margins} [options.margins] - Margins in inches, for clipToMargins
+ * @param {number} [options.tolerance=DEFAULT_TOLERANCE] - Curve flattening tolerance in inches
+ * @param {number} [options.unitsPerInch=1] - ViewBox units per inch
+ * @param {Partial<import('../geometry/plot-timeline').MotionProfile>} [options.motionProfile] - Plotter motion for the time estimate
+ * @returns {PlotPreparationResult} Markup to export and statistics
+ * @throws {Error} If the markup is invalid
+ */
+export function prepareSVGForPlot(svgMarkup, options = {}) {
+    const { svg, stats } = preparePlot(parseSVGMarkup(svgMarkup), options);
+    return { svg: svg ? new XMLSerializer().serializeToString(svg) : svgMarkup, stats };
+}
+
+/**
+ * Run prepareSVGForPlot on a parsed drawing
+ * The plot worker calls it on the virtual DOM.
+ *
+ * @param {SVGSVGElement} svgElement - Root element of the generator's drawing; fills are hatched in place
+ * @param {Object} [options] - Processing options, as for prepareSVGForPlot
+ * @returns {{svg: SVGSVGElement|null, stats: PlotStats}} Root element to export, null if the drawing is plotted as it is, and statistics
+ */
+export function preparePlot(svgElement, options = {}) {
+    const { paths, unflattened, stats, hatched, rebuilt } = _processForPlot(svgElement, options);
+
+    if (!rebuilt) {
+        return { svg: hatched ? svgElement : null, stats };
+    }
+    return { svg: buildPlotElement(svgElement, paths, unflattened), stats };
+}
+
+/**
+ * Measure a drawing for the plot panels without building the plot markup:
+ * the stats of prepareSVGForPlot, the count of countClippedShapes and the
+ * page bounds of measureBounds
+ *
+ * The element is changed when fills are hatched.
+ *
+ * @param {SVGSVGElement} svgElement - Root element of the generator's drawing
+ * @param {Object} viewportSize - Physical page size in inches
+ * @param {Object} [options] - Processing options, as for prepareSVGForPlot
+ * @returns {PlotAnalysis} Stats, clipped shapes and bounds
+ */
+export function analyzePlot(svgElement, viewportSize, options = {}) {
+    // Both are measured on the drawing as the sketch made it, before hatching
+    const clippedShapes = _countClippedShapes(svgElement, options);
+    const bounds = measureBounds(svgElement, viewportSize);
+    return { stats: _processForPlot(svgElement, options).stats, clippedShapes, bounds };
+}
+
+/**
+ * Run the cleanup pipeline of prepareSVGForPlot on a parsed drawing
+ *
+ * @private
+ * @param {SVGSVGElement} svgElement - Root element; fills are hatched in place
+ * @param {Object} options - Processing options, as for prepareSVGForPlot
+ * @returns {{paths: import('../geometry/svg-flatten').FlatPath[], unflattened: import('../geometry/svg-flatten').UnflattenedElement[], stats: PlotStats, hatched: boolean, rebuilt: boolean}}
+ *   Processed paths and statistics; rebuilt is false when no stage had anything to do
+ */
+function _processForPlot(svgElement, options) {
+    const {
+        optimizePaths = true,
+        reversePaths = true,
+        mergePaths = true,
+        mergeTolerance = DEFAULT_MERGE_TOLERANCE,
+        hatchFills: hatch = false,
+        removeHiddenLines: occlude = false,
+        tolerance = DEFAULT_TOLERANCE,
+        unitsPerInch = 1,
+        motionProfile
+    } = options;
+    // Hatched shapes keep their fills while hidden lines are found, since they still cover what is under them
+    const hatched = hatch && _hatchFills(svgElement, options, !occlude) > 0;
+
+    const { paths, unflattened } = flattenSVG(svgElement, { tolerance: tolerance * unitsPerInch });
+    const penUpBefore = _layeredPenUpDistance(paths) / unitsPerInch;
+    const stats = {
+        pathCount: paths.length,
+        penUpBefore,
+        penUpAfter: penUpBefore,
+        removedLength: 0,
+        hiddenLength: 0,
+        clippedCount: 0,
+        joinedCount: 0
+    };
+
+    const area = _clipArea(svgElement, options);
+    if (area) {
+        stats.clippedCount = countShapesOutside(paths, area);
+    }
+
+    if (!optimizePaths && !mergePaths && !occlude && stats.clippedCount === 0) {
+        stats.estimate = computePlotStats(_toInches(paths, unitsPerInch), motionProfile);
+        return { paths, unflattened, stats, hatched, rebuilt: false };
+    }
+
+    let processed = paths;
+
+    if (occlude) {
+        processed = removeHiddenLines(processed);
+        stats.hiddenLength = (_totalLength(paths) - _totalLength(processed)) / unitsPerInch;
+    }
+
+    if (stats.clippedCount > 0) {
+        processed = clipPathsToArea(processed, area);
+    }
+
+    if (mergePaths) {
+        const cleaned = cleanupPaths(processed, { tolerance: mergeTolerance * unitsPerInch });
+        processed = cleaned.paths;
+        Object.assign(stats, cleaned.stats, { removedLength: cleaned.stats.removedLength / unitsPerInch });
+    }
+
+    if (optimizePaths) {
+        // Each layer is plotted separately with its own pen, starting from home
+        processed = _groupByLayer(processed)
+            .flatMap(layerPaths => optimizePathOrder(layerPaths, { reverse: reversePaths }));
+    }
+
+    stats.pathCount = processed.length;
+    stats.penUpAfter = _layeredPenUpDistance(processed) / unitsPerInch;
+    stats.estimate = computePlotStats(_toInches(processed, unitsPerInch), motionProfile);
+
+    return { paths: processed, unflattened, stats, hatched, rebuilt: true };
+}
+
+/**
+ * Show a drawing as it will be plotted: fills are replaced by hatching
+ * when the hatchFills option is set and removed otherwise, and with the
+ * removeHiddenLines option the drawing is rebuilt from its visible lines
+ *
+ * @param {string} svgMarkup - SVG markup from the generator
+ * @param {Object} [options] - Processing options, as for prepareSVGForPlot
+ * @returns {string} SVG markup for the preview
+ * @throws {Error} If the markup is invalid
+ */
+export function previewPlottedSVG(svgMarkup, options = {}) {
+    const svg = previewPlotted(parseSVGMarkup(svgMarkup), options);
+    return svg ? new XMLSerializer().serializeToString(svg) : svgMarkup;
+}
+
+/**
+ * Run previewPlottedSVG on a parsed drawing
+ * The plot worker calls it on the virtual DOM.
+ *
+ * @param {SVGSVGElement} svgElement - Root element of the generator's drawing; changed in place
+ * @param {Object} [options] - Processing options, as for prepareSVGForPlot
+ * @returns {SVGSVGElement|null} Root element to preview, null if the drawing is shown as it is
+ */
+export function previewPlotted(svgElement, options = {}) {
+    if (options.removeHiddenLines) {
+        const { tolerance = DEFAULT_TOLERANCE, unitsPerInch = 1 } = options;
+        if (options.hatchFills) {
+            _hatchFills(svgElement, options, false);
+        }
+        const { paths, unflattened } = flattenSVG(svgElement, { tolerance: tolerance * unitsPerInch });
+        return buildPlotElement(svgElement, removeHiddenLines(paths), unflattened);
+    }
+
+    const changed = options.hatchFills ? _hatchFills(svgElement, options) : removeFills(svgElement);
+    return changed > 0 ? svgElement : null;
+}
+
+/**
+ * Number of shapes that reach past the page, or past the margins with the
+ * clipToMargins option, and will be cut on export
+ *
+ * @param {string} svgMarkup - SVG markup from the generator
+ * @param {Object} [options] - Processing options, as for prepareSVGForPlot
+ * @returns {number} Shapes that will be clipped; 0 when clipping is off
+ * @throws {Error} If the markup is invalid
+ */
+export function countClippedShapes(svgMarkup, options = {}) {
+    return _countClippedShapes(parseSVGMarkup(svgMarkup), options);
+}
+
+/**
+ * Number of shapes in a parsed drawing that will be clipped
+ *
+ * @private
+ * @param {SVGSVGElement} svgElement - Root element
+ * @param {Object} options - Processing options, as for prepareSVGForPlot
+ * @returns {number} Shapes that will be clipped; 0 when clipping is off
+ */
+function _countClippedShapes(svgElement, options) {
+    const { tolerance = DEFAULT_TOLERANCE, unitsPerInch = 1 } = options;
+    const area = _clipArea(svgElement, options);
+    if (!area) {
+        return 0;
+    }
+    return countShapesOutside(flattenSVG(svgElement, { tolerance: tolerance * unitsPerInch }).paths, area);
+}
+
+/**
+ * Area that lines are cut to, in viewBox units
+ *
+ * @private
+ * @param {SVGSVGElement} svgElement - Root element
+ * @param {Object} options - Processing options, as for prepareSVGForPlot
+ * @returns {import('../geometry/bounds').Bounds|null} Area, or null when clipping is off
+ */
+function _clipArea(svgElement, options) {
+    const { clipToPage = true, clipToMargins = false, margins, unitsPerInch = 1 } = options;
+    if (!clipToPage) {
+        return null;
+    }
+    return pageArea(svgElement, clipToMargins && margins ? margins : null, unitsPerInch);
+}
+
+/**
+ * Hatch the fills of a document with options given in inches
+ *
+ * @private
+ * @param {SVGSVGElement} svgElement - Root element to modify in place
+ * @param {Object} options - Processing options, as for prepareSVGForPlot
+ * @param {boolean} [clearFills=true] - Remove the fills of hatched shapes
+ * @returns {number} Number of shapes hatched
+ */
+function _hatchFills(svgElement, options, clearFills = true) {
+    const {
+        hatchSpacing = DEFAULT_HATCH_SPACING,
+        hatchAngle = DEFAULT_HATCH_ANGLE,
+        crossHatch = false,
+        tolerance = DEFAULT_TOLERANCE,
+        unitsPerInch = 1
+    } = options;
+    return hatchFills(svgElement, {
+        spacing: hatchSpacing * unitsPerInch,
+        angle: hatchAngle,
+        crossHatch,
+        tolerance: tolerance * unitsPerInch,
+        clearFills
+    });
+}
+
+/**
+ * Total length of paths
+ *
+ * @private
+ * @param {import('../geometry/svg-flatten').FlatPath[]} paths - Paths
+ * @returns {number} Sum of their lengths
+ */
+function _totalLength(paths) {
+    return paths.reduce((total, path) => total + polylineLength(path.points), 0);
+}
+
+/**
+ * Scale paths from viewBox units to inches
+ *
+ * @private
+ * @param {import('../geometry/svg-flatten').FlatPath[]} paths - Paths in viewBox units
+ * @param {number} unitsPerInch - ViewBox units per inch
+ * @returns {import('../geometry/svg-flatten').FlatPath[]} Paths in inches
+ */
+function _toInches(paths, unitsPerInch) {
+    if (unitsPerInch === 1) {
+        return paths;
+    }
+    return paths.map(path => ({ ...path, points: path.points.map(([x, y]) => [x / unitsPerInch, y / unitsPerInch]) }));
+}
+
+/**
+ * Pen-up travel when every layer is plotted from the pen's home position
+ *
+ * @private
+ * @param {import('../geometry/svg-flatten').FlatPath[]} paths - Paths in plotting order
+ * @returns {number} Pen-up distance
+ */
+function _layeredPenUpDistance(paths) {
+    return _groupByLayer(paths).reduce((total, layerPaths) => total + penUpDistance(layerPaths), 0);
+}
+
+/**
+ * Split paths by layer, keeping layers in order of first appearance
+ *
+ * @private
+ * @param {import('../geometry/svg-flatten').FlatPath[]} paths - Paths to split
+ * @returns {Array<import('../geometry/svg-flatten').FlatPath[]>} Paths of each layer
+ */
+function _groupByLayer(paths) {
+    const layers = new Map();
+    paths.forEach(path => {
+        const key = path.layer ?? null;
+        if (!layers.has(key)) {
+            layers.set(key, []);
+        }
+        layers.get(key).push(path);
+    });
+    return [...layers.values()];
+}
+
 /**
  * Export SVG markup to a downloadable file
  * 
@@ -15,17 +368,22 @@
  * @param {Object} viewportSize - Viewport dimensions
  * @param {number} viewportSize.width - Width in inches
  * @param {number} viewportSize.height - Height in inches
+ * @param {Object} [options] - Export options
+ * @param {Partial<import('../geometry/plot-timeline').MotionProfile>} [options.motionProfile] - Plotter motion for the time estimate
  * @returns {void}
  * @throws {Error} If SVG markup is invalid or export fails
  * 
  * Requirements:
  * - 9.1: Provide raw SVG markup for download
  * - 9.2: Include proper XML declarations and namespaces
- * - 9.3: Set viewBox attribute to match viewport
+ * - 9.3: Set viewBox attribute to match viewport where the markup has none
  * - 9.4: Trigger file download with .svg extension
  * - 9.6: Preserve all paths, strokes, and attributes
+ *
+ * Layer groups created with draw.layer() are written as Inkscape layers,
+ * and the plot estimate is stored in a <metadata id="plot-stats"> element.
  */
-export function exportSVG(svgMarkup, filename, viewportSize) {
+export function exportSVG(svgMarkup, filename, viewportSize, options = {}) {
     if (!svgMarkup || typeof svgMarkup !== 'string') {
         throw new Error('Invalid SVG markup: must be a non-empty string');
     }
@@ -60,9 +418,16 @@ export function exportSVG(svgMarkup, filename, viewportSize) {
         svgElement.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
         svgElement.setAttribute('xmlns:xlink', 'http://www.w3.org/1999/xlink');
 
-        // Set viewBox to match viewport dimensions (Requirement 9.3)
-        const viewBox = `0 0 ${viewportSize.width} ${viewportSize.height}`;
-        svgElement.setAttribute('viewBox', viewBox);
+        // Layers become Inkscape layers, which AxiDraw and vpype recognise
+        _applyInkscapeLayers(svgElement);
+
+        _setPlotMetadata(svgElement, measurePlot(svgElement, viewportSize, options.motionProfile));
+
+        // Keep the sketch's viewBox, which is in its drawing units (inches or
+        // millimetres); documents without one are in inches (Requirement 9.3)
+        if (pageArea(svgElement) === null) {
+            svgElement.setAttribute('viewBox', `0 0 ${viewportSize.width} ${viewportSize.height}`);
+        }
 
         // Serialize the SVG element (Requirement 9.6: preserves all paths, strokes, attributes)
         const serializer = new XMLSerializer();
@@ -96,6 +461,81 @@ export function exportSVG(svgMarkup, filename, viewportSize) {
     }
 }
 
+/**
+ * Export every layer of the SVG markup as its own file
+ *
+ * Files are named `<filename>-<layer>.svg`; content drawn outside layers
+ * goes to `<filename>-unlayered.svg`.
+ *
+ * @param {string} svgMarkup - SVG markup, usually from prepareSVGForPlot
+ * @param {string} filename - Base filename (without extension)
+ * @param {Object} viewportSize - Viewport dimensions in inches
+ * @param {Object} [options] - Export options, as for exportSVG
+ * @returns {number} Number of files exported
+ * @throws {Error} If SVG markup is invalid or export fails
+ */
+export function exportLayerSVGs(svgMarkup, filename, viewportSize, options = {}) {
+    if (!svgMarkup || typeof svgMarkup !== 'string') {
+        throw new Error('Invalid SVG markup: must be a non-empty string');
+    }
+
+    const documents = splitLayers(svgMarkup);
+    documents.forEach(({ name, svg }) => {
+        const suffix = name === null ? 'unlayered' : name.replace(/[^\w.-]+/g, '_');
+        exportSVG(svg, `${filename}-${suffix}`, viewportSize, options);
+    });
+    return documents.length;
+}
+
+/**
+ * Mark layer groups as Inkscape layers
+ *
+ * @private
+ * @param {SVGSVGElement} svgElement - Root element to modify in place
+ */
+function _applyInkscapeLayers(svgElement) {
+    const groups = getLayerGroups(svgElement);
+    if (groups.length === 0) {
+        return;
+    }
+
+    svgElement.setAttributeNS(XMLNS_NAMESPACE, 'xmlns:inkscape', INKSCAPE_NAMESPACE);
+    groups.forEach((group, index) => {
+        group.setAttributeNS(INKSCAPE_NAMESPACE, 'inkscape:groupmode', 'layer');
+        group.setAttributeNS(INKSCAPE_NAMESPACE, 'inkscape:label', group.getAttribute(LAYER_ATTRIBUTE));
+        if (!group.hasAttribute('id')) {
+            group.setAttribute('id', `layer${index + 1}`);
+        }
+        group.removeAttribute(LAYER_ATTRIBUTE);
+    });
+}
+
+/**
+ * Store a plot estimate as JSON in a metadata element
+ * Distances are in inches and the time in seconds.
+ *
+ * @private
+ * @param {SVGSVGElement} svgElement - Root element to modify in place
+ * @param {import('../geometry/plot-stats').PlotEstimate} estimate - Plot estimate
+ */
+function _setPlotMetadata(svgElement, estimate) {
+    const existing = svgElement.querySelector(':scope > metadata#plot-stats');
+    if (existing) {
+        existing.remove();
+    }
+
+    const metadata = svgElement.ownerDocument.createElementNS(SVG_NAMESPACE, 'metadata');
+    metadata.setAttribute('id', 'plot-stats');
+    metadata.textContent = JSON.stringify({
+        pathCount: estimate.pathCount,
+        penLifts: estimate.penLifts,
+        penDownLength: Number(estimate.penDownLength.toFixed(3)),
+        penUpLength: Number(estimate.penUpLength.toFixed(3)),
+        estimatedTime: Math.round(estimate.estimatedTime)
+    });
+    svgElement.insertBefore(metadata, svgElement.firstChild);
+}
+
 /**
  * Extract SVG markup from a preview container
  * 
@@ -3,7 +3,8 @@
  */
 
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
-import { exportSVG, extractSVGFromPreview } from './svg-exporter.js';
+import { exportSVG, exportLayerSVGs, extractSVGFromPreview, prepareSVGForPlot, previewPlottedSVG, countClippedShapes } from './svg-exporter.js';
+import { parseSVGMarkup } from './svg-optimizer.js';
 
 describe('SVG Exporter', () => {
     let mockLink;
@@ -97,6 +98,28 @@ describe('SVG Exporter', () => {
             expect(text).toContain('viewBox="0 0 8.5 11"');
         });
 
+        it('should keep the viewBox of a millimetre drawing', async () => {
+            const svgMarkup = '<svg viewBox="0 0 210 297"><line x1="0" y1="10" x2="25.4" y2="10" stroke="#000"/></svg>';
+
+            exportSVG(svgMarkup, 'metric-test', { width: 210 / 25.4, height: 297 / 25.4 });
+
+            const text = await readBlobAsText(capturedBlob);
+            const svg = new DOMParser().parseFromString(text, 'image/svg+xml').documentElement;
+            expect(svg.getAttribute('viewBox')).toBe('0 0 210 297');
+            expect(svg.querySelector('line').getAttribute('x2')).toBe('25.4');
+            expect(JSON.parse(svg.querySelector('metadata#plot-stats').textContent).penDownLength).toBeCloseTo(1);
+        });
+
+        it('should include the plot estimate in page inches as metadata', async () => {
+            const svgMarkup = '<svg viewBox="0 0 10 10"><line x1="1" y1="1" x2="3" y2="1" stroke="#000"/></svg>';
+
+            exportSVG(svgMarkup, 'stats-test', { width: 5, height: 5 });
+
+            const text = await readBlobAsText(capturedBlob);
+            const metadata = new DOMParser().parseFromString(text, 'image/svg+xml').querySelector('metadata#plot-stats');
+            expect(JSON.parse(metadata.textContent)).toMatchObject({ pathCount: 1, penLifts: 1, penDownLength: 1 });
+        });
+
         it('should trigger download with .svg extension', () => {
             const svgMarkup = '<svg><path d="M 0 0 L 100 100"/></svg>';
             const filename = 'download-test';
@@ -231,6 +254,42 @@ describe('SVG Exporter', () => {
         });
     });
 
+    describe('layers', () => {
+        const layered = '<svg xmlns="http://www.w3.org/2000/svg">' +
+            '<line x1="0" y1="0" x2="1" y2="1"/>' +
+            '<g data-layer="1-black"><line x1="0" y1="0" x2="1" y2="0"/></g>' +
+            '<g data-layer="2 red/blue"><line x1="0" y1="1" x2="1" y2="1"/></g>' +
+            '</svg>';
+
+        it('should export layer groups as Inkscape layers', async () => {
+            exportSVG(layered, 'layers', { width: 2, height: 2 });
+
+            const text = await readBlobAsText(capturedBlob);
+            const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+            const inkscape = 'http://www.inkscape.org/namespaces/inkscape';
+            const groups = Array.from(doc.querySelectorAll('g'));
+
+            expect(text).toContain(`xmlns:inkscape="${inkscape}"`);
+            expect(groups.map(group => group.getAttributeNS(inkscape, 'groupmode'))).toEqual(['layer', 'layer']);
+            expect(groups.map(group => group.getAttributeNS(inkscape, 'label'))).toEqual(['1-black', '2 red/blue']);
+            expect(groups.map(group => group.id)).toEqual(['layer1', 'layer2']);
+            expect(text).not.toContain('data-layer');
+        });
+
+        it('should not declare the Inkscape namespace without layers', async () => {
+            exportSVG('<svg><line x1="0" y1="0" x2="1" y2="1"/></svg>', 'plain', { width: 2, height: 2 });
+            expect(await readBlobAsText(capturedBlob)).not.toContain('inkscape');
+        });
+
+        it('should export one file per layer', () => {
+            const downloads = [];
+            mockLink.click = vi.fn(() => downloads.push(mockLink.download));
+
+            expect(exportLayerSVGs(layered, 'sketch', { width: 2, height: 2 })).toBe(3);
+            expect(downloads).toEqual(['sketch-unlayered.svg', 'sketch-1-black.svg', 'sketch-2_red_blue.svg']);
+        });
+    });
+
     describe('extractSVGFromPreview', () => {
         it('should extract SVG from preview container', () => {
             const container = originalCreateElement('div');
@@ -259,3 +318,284 @@ describe('SVG Exporter', () => {
         });
     });
 });
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const wrap = (content) => `<svg xmlns="${SVG_NS}" width="960" height="960" viewBox="0 0 10 10">${content}</svg>`;
+
+describe('prepareSVGForPlot', () => {
+    const markup = wrap(
+        '<line x1="9" y1="0" x2="10" y2="0" stroke="#000" stroke-width="0.02"/>' +
+        '<line x1="1" y1="0" x2="2" y2="0" stroke="#000" stroke-width="0.02"/>' +
+        '<line x1="5" y1="0" x2="3" y2="0" stroke="#000" stroke-width="0.02"/>'
+    );
+
+    it('should reorder paths and report the saved travel', () => {
+        const { svg, stats } = prepareSVGForPlot(markup);
+
+        expect(stats.pathCount).toBe(3);
+        expect(stats.penUpBefore).toBeCloseTo(9 + 9 + 3);
+        expect(stats.penUpAfter).toBeCloseTo(1 + 1 + 4);
+
+        const root = parseSVGMarkup(svg);
+        const paths = Array.from(root.querySelectorAll('path'));
+        expect(paths.map(path => path.getAttribute('d'))).toEqual([
+            'M1 0 L2 0',
+            'M3 0 L5 0',
+            'M9 0 L10 0'
+        ]);
+    });
+
+    it('should keep path directions when reversing is disabled', () => {
+        const { svg } = prepareSVGForPlot(markup, { reversePaths: false });
+        expect(svg).toContain('M5 0 L3 0');
+    });
+
+    it('should keep size, viewBox and stroke styles', () => {
+        const root = parseSVGMarkup(prepareSVGForPlot(markup).svg);
+        expect(root.getAttribute('viewBox')).toBe('0 0 10 10');
+        expect(root.getAttribute('width')).toBe('960');
+
+        const path = root.querySelector('path');
+        expect(path.getAttribute('fill')).toBe('none');
+        expect(path.getAttribute('stroke')).toBe('#000');
+        expect(path.getAttribute('stroke-width')).toBe('0.02');
+    });
+
+    it('should give fill-only shapes a thin visible stroke', () => {
+        const root = parseSVGMarkup(prepareSVGForPlot(wrap('<rect width="1" height="1" fill="#f00"/>')).svg);
+        const path = root.querySelector('path');
+        expect(path.getAttribute('stroke')).toBe('#000000');
+        expect(path.getAttribute('stroke-width')).toBe('0.01');
+    });
+
+    it('should keep text elements with their transforms', () => {
+        const root = parseSVGMarkup(prepareSVGForPlot(wrap('<g transform="translate(2, 3)"><text>Hi</text></g>')).svg);
+        const text = root.querySelector('text');
+        expect(text.textContent).toBe('Hi');
+        expect(text.getAttribute('transform')).toBe('matrix(1 0 0 1 2 3)');
+    });
+
+    it('should return the markup unchanged when every stage is disabled', () => {
+        const { svg, stats } = prepareSVGForPlot(markup, { optimizePaths: false, mergePaths: false });
+        expect(svg).toBe(markup);
+        expect(stats.penUpAfter).toBe(stats.penUpBefore);
+    });
+
+    it('should remove shared edges of adjacent squares', () => {
+        const squares = wrap(
+            '<rect x="0" y="0" width="1" height="1" fill="none" stroke="#000"/>' +
+            '<rect x="1" y="0" width="1" height="1" fill="none" stroke="#000"/>'
+        );
+        const { svg, stats } = prepareSVGForPlot(squares, { optimizePaths: false });
+
+        expect(stats.removedLength).toBeCloseTo(1);
+        const paths = Array.from(parseSVGMarkup(svg).querySelectorAll('path'));
+        expect(paths.map(path => path.getAttribute('d'))).toEqual([
+            'M0 0 L1 0 L1 1 L0 1 L0 0',
+            'M1 0 L2 0 L2 1 L1 1'
+        ]);
+    });
+
+    it('should join touching lines using the given tolerance', () => {
+        const lines = wrap(
+            '<line x1="0" y1="0" x2="1" y2="0" stroke="#000"/>' +
+            '<line x1="1.01" y1="0" x2="1.01" y2="1" stroke="#000"/>'
+        );
+
+        expect(prepareSVGForPlot(lines).stats.joinedCount).toBe(0);
+
+        const { svg, stats } = prepareSVGForPlot(lines, { mergeTolerance: 0.02 });
+        expect(stats.joinedCount).toBe(1);
+        expect(stats.pathCount).toBe(1);
+        expect(parseSVGMarkup(svg).querySelector('path').getAttribute('d')).toBe('M0 0 L1 0 L1.01 1');
+    });
+
+    it('should not merge paths drawn with different pens', () => {
+        const lines = wrap(
+            '<line x1="0" y1="0" x2="1" y2="0" stroke="#000"/>' +
+            '<line x1="0" y1="0" x2="1" y2="0" stroke="#f00"/>'
+        );
+        const { stats } = prepareSVGForPlot(lines);
+        expect(stats.pathCount).toBe(2);
+        expect(stats.removedLength).toBe(0);
+    });
+
+    it('should keep layers and plot each one from the pen home', () => {
+        const layered = wrap(
+            '<g data-layer="1-black"><line x1="5" y1="0" x2="6" y2="0" stroke="#000"/></g>' +
+            '<g data-layer="2-red"><line x1="2" y1="0" x2="1" y2="0" stroke="#f00"/></g>' +
+            '<g data-layer="1-black"><line x1="9" y1="0" x2="8" y2="0" stroke="#000"/></g>'
+        );
+        const { svg, stats } = prepareSVGForPlot(layered);
+
+        const groups = Array.from(parseSVGMarkup(svg).querySelectorAll('g'));
+        expect(groups.map(group => group.getAttribute('data-layer'))).toEqual(['1-black', '2-red']);
+        expect(Array.from(groups[0].querySelectorAll('path')).map(path => path.getAttribute('d')))
+            .toEqual(['M5 0 L6 0', 'M8 0 L9 0']);
+        expect(groups[1].querySelector('path').getAttribute('d')).toBe('M1 0 L2 0');
+        expect(stats.penUpAfter).toBeCloseTo(5 + 2 + 1);
+    });
+
+    it('should estimate the plot with the motion profile', () => {
+        const profile = { drawSpeed: 1, travelSpeed: 1, acceleration: Infinity, penDelay: 0 };
+        const { stats } = prepareSVGForPlot(markup, { motionProfile: profile });
+
+        expect(stats.estimate.pathCount).toBe(3);
+        expect(stats.estimate.penDownLength).toBeCloseTo(4);
+        expect(stats.estimate.penUpLength).toBeCloseTo(stats.penUpAfter);
+        expect(stats.estimate.estimatedTime).toBeCloseTo(4 + stats.penUpAfter);
+
+        const unprocessed = prepareSVGForPlot(markup, { optimizePaths: false, mergePaths: false, motionProfile: profile });
+        expect(unprocessed.stats.estimate.penUpLength).toBeCloseTo(stats.penUpBefore);
+    });
+
+    it('should report inches for drawings in millimetres', () => {
+        const scale = (value) => String(Number(value) * 25.4);
+        const metric = markup
+            .replace(/(x1|y1|x2|y2)="([\d.]+)"/g, (_, name, value) => `${name}="${scale(value)}"`)
+            .replace('viewBox="0 0 10 10"', 'viewBox="0 0 254 254"');
+        const inches = prepareSVGForPlot(markup);
+        const millimetres = prepareSVGForPlot(metric, { unitsPerInch: 25.4 });
+
+        expect(millimetres.stats.penUpBefore).toBeCloseTo(inches.stats.penUpBefore);
+        expect(millimetres.stats.penUpAfter).toBeCloseTo(inches.stats.penUpAfter);
+        expect(millimetres.stats.estimate.penDownLength).toBeCloseTo(inches.stats.estimate.penDownLength);
+        expect(millimetres.stats.estimate.estimatedTime).toBeCloseTo(inches.stats.estimate.estimatedTime);
+    });
+
+    it('should apply the merge tolerance in inches for drawings in millimetres', () => {
+        const lines = wrap(
+            '<line x1="0" y1="0" x2="25.4" y2="0" stroke="#000"/>' +
+            '<line x1="25.6" y1="0" x2="25.6" y2="25.4" stroke="#000"/>'
+        ).replace('viewBox="0 0 10 10"', 'viewBox="0 0 254 254"');
+        expect(prepareSVGForPlot(lines, { mergeTolerance: 0.01, unitsPerInch: 25.4 }).stats.joinedCount).toBe(1);
+        expect(prepareSVGForPlot(lines, { mergeTolerance: 0.005, unitsPerInch: 25.4 }).stats.joinedCount).toBe(0);
+    });
+});
+
+describe('fill hatching', () => {
+    const filled = wrap('<rect x="1" y="1" width="2" height="2" fill="#f00"/>');
+
+    it('should hatch fills before flattening when asked', () => {
+        const { svg, stats } = prepareSVGForPlot(filled, { hatchFills: true, hatchSpacing: 1, hatchAngle: 0, optimizePaths: false });
+        const paths = Array.from(parseSVGMarkup(svg).querySelectorAll('path'));
+
+        expect(stats.pathCount).toBe(3);
+        expect(paths.slice(1).map(path => path.getAttribute('d'))).toEqual(['M1 1 L3 1', 'M3 2 L1 2']);
+        expect(paths[1].getAttribute('stroke')).toBe('#f00');
+    });
+
+    it('should hatch with the spacing in inches for drawings in millimetres', () => {
+        const metric = wrap('<rect width="25.4" height="25.4" fill="#000"/>').replace('viewBox="0 0 10 10"', 'viewBox="0 0 254 254"');
+        const { stats } = prepareSVGForPlot(metric, { hatchFills: true, hatchSpacing: 0.25, hatchAngle: 0, unitsPerInch: 25.4, mergePaths: false, optimizePaths: false });
+        // The outline and one line every quarter inch, the top and bottom edges included once
+        expect(stats.pathCount).toBe(1 + 4);
+    });
+
+    it('should return hatched markup with the other stages disabled', () => {
+        const { svg } = prepareSVGForPlot(filled, { hatchFills: true, hatchSpacing: 1, optimizePaths: false, mergePaths: false });
+        expect(svg).not.toBe(filled);
+        expect(parseSVGMarkup(svg).querySelector('rect').getAttribute('fill')).toBe('none');
+    });
+
+    it('should preview fills as hatching or as nothing', () => {
+        const hatched = parseSVGMarkup(previewPlottedSVG(filled, { hatchFills: true, hatchSpacing: 0.5 }));
+        expect(hatched.querySelector('rect').getAttribute('fill')).toBe('none');
+        expect(hatched.querySelector('path')).not.toBeNull();
+
+        const stripped = parseSVGMarkup(previewPlottedSVG(filled));
+        expect(stripped.querySelector('rect').getAttribute('fill')).toBe('none');
+        expect(stripped.querySelector('path')).toBeNull();
+
+        const outlines = wrap('<rect width="1" height="1" fill="none" stroke="#000"/>');
+        expect(previewPlottedSVG(outlines)).toBe(outlines);
+    });
+});
+
+describe('hidden line removal', () => {
+    const stacked = wrap(
+        '<line x1="0" y1="2" x2="4" y2="2" stroke="#000"/>' +
+        '<rect x="1" y="1" width="2" height="2" fill="#fff" stroke="#00f"/>'
+    );
+    const pathData = (svg) => Array.from(parseSVGMarkup(svg).querySelectorAll('path')).map(path => path.getAttribute('d'));
+
+    it('should leave covered lines alone by default', () => {
+        const { svg, stats } = prepareSVGForPlot(stacked, { optimizePaths: false, mergePaths: false });
+        expect(svg).toBe(stacked);
+        expect(stats.hiddenLength).toBe(0);
+    });
+
+    it('should cut lines covered by later filled shapes', () => {
+        const { svg, stats } = prepareSVGForPlot(stacked, { removeHiddenLines: true, optimizePaths: false, mergePaths: false });
+        expect(pathData(svg)).toEqual(['M0 2 L1 2', 'M3 2 L4 2', 'M1 1 L3 1 L3 3 L1 3 L1 1']);
+        expect(stats.hiddenLength).toBeCloseTo(2);
+        expect(stats.pathCount).toBe(3);
+    });
+
+    it('should hide lines under hatched shapes and hatching under later shapes', () => {
+        const markup = wrap(
+            '<line x1="0" y1="2" x2="4" y2="2" stroke="#000"/>' +
+            '<rect x="1" y="1" width="2" height="2" fill="#f00"/>' +
+            '<rect x="2" y="0" width="2" height="4" fill="#fff" stroke="#000"/>'
+        );
+        const { svg } = prepareSVGForPlot(markup, {
+            removeHiddenLines: true,
+            hatchFills: true,
+            hatchSpacing: 0.5,
+            hatchAngle: 0,
+            optimizePaths: false,
+            mergePaths: false
+        });
+        const red = Array.from(parseSVGMarkup(svg).querySelectorAll('path[stroke="#f00"]')).map(path => path.getAttribute('d'));
+
+        expect(pathData(svg)[0]).toBe('M0 2 L1 2');
+        // Red hatching stops at the white rectangle
+        expect(red.filter(d => d.endsWith(' 1.5'))).toEqual(['M2 1.5 L1 1.5']);
+        expect(parseSVGMarkup(svg).querySelector('rect')).toBeNull();
+    });
+
+    it('should preview only the visible lines', () => {
+        expect(pathData(previewPlottedSVG(stacked, { removeHiddenLines: true })))
+            .toEqual(['M0 2 L1 2', 'M3 2 L4 2', 'M1 1 L3 1 L3 3 L1 3 L1 1']);
+    });
+});
+
+describe('page clipping', () => {
+    const overflowing = wrap(
+        '<line x1="-5" y1="5" x2="15" y2="5" stroke="#000"/>' +
+        '<circle cx="5" cy="5" r="2" stroke="#000"/>'
+    );
+    const options = { optimizePaths: false, mergePaths: false };
+    const firstPath = (svg) => parseSVGMarkup(svg).querySelector('path').getAttribute('d');
+
+    it('should cut lines at the edge of the page by default', () => {
+        const { svg, stats } = prepareSVGForPlot(overflowing, options);
+        expect(firstPath(svg)).toBe('M0 5 L10 5');
+        expect(stats.clippedCount).toBe(1);
+    });
+
+    it('should cut lines at the margins when asked', () => {
+        const margins = { top: 1, right: 2, bottom: 1, left: 0.5 };
+        const { svg, stats } = prepareSVGForPlot(overflowing, { ...options, clipToMargins: true, margins });
+        expect(firstPath(svg)).toBe('M0.5 5 L8 5');
+        expect(stats.clippedCount).toBe(1);
+
+        const metric = prepareSVGForPlot(overflowing, { ...options, clipToMargins: true, margins, unitsPerInch: 2 });
+        expect(firstPath(metric.svg)).toBe('M1 5 L6 5');
+    });
+
+    it('should leave geometry alone when clipping is off or nothing overflows', () => {
+        const off = prepareSVGForPlot(overflowing, { ...options, clipToPage: false });
+        expect(off.svg).toBe(overflowing);
+        expect(off.stats.clippedCount).toBe(0);
+
+        const inside = wrap('<line x1="0" y1="5" x2="10" y2="5" stroke="#000"/>');
+        expect(prepareSVGForPlot(inside, options).svg).toBe(inside);
+    });
+
+    it('should count the shapes that will be clipped', () => {
+        expect(countClippedShapes(overflowing)).toBe(1);
+        expect(countClippedShapes(overflowing, { clipToMargins: true, margins: { top: 0, right: 0, bottom: 0, left: 4 } })).toBe(2);
+        expect(countClippedShapes(overflowing, { clipToPage: false })).toBe(0);
+    });
+});
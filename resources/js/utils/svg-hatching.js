@@ -0,0 +1,187 @@
+/**
+ * SVG Fill Hatching
+ *
+ * Pen plotters only draw lines, so the fills of a sketch never reach the
+ * paper. These helpers replace fills with hatch lines drawn in the fill
+ * color, or strip them to show what the plotter will draw.
+ */
+
+import { readProperty, shapeOutline, walkRendered } from '../geometry/svg-flatten.js';
+import { DEFAULT_TOLERANCE } from '../geometry/path-data.js';
+import { hatchLines } from '../geometry/fill.js';
+import { polylineToPathData, formatCoordinate } from '../geometry/polyline.js';
+import { applyMatrix, invertMatrix, matrixScale, multiplyMatrices, parseTransform, IDENTITY_MATRIX } from '../geometry/transform.js';
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+/**
+ * Default distance between hatch lines (inches)
+ * @type {number}
+ */
+export const DEFAULT_HATCH_SPACING = 0.02;
+
+/**
+ * Default hatch angle (degrees)
+ * @type {number}
+ */
+export const DEFAULT_HATCH_ANGLE = 45;
+
+/**
+ * Shapes whose fill is painted; lines have no inside
+ */
+const FILLABLE_ELEMENTS = new Set(['path', 'polyline', 'polygon', 'rect', 'circle', 'ellipse']);
+
+/**
+ * Inherited properties that decide how a shape is filled
+ */
+const FILL_PROPERTIES = ['fill', 'fill-rule', 'stroke-width'];
+
+/**
+ * Replace the fills of filled shapes with hatch lines
+ *
+ * Hatching is computed on the page, so spacing and angle are the same for
+ * every shape whatever its transform. The lines are added as a <path> right
+ * after each shape, stroked in the fill color, and the shape's fill is
+ * removed unless clearFills is false. Fill rules (even-odd and nonzero)
+ * are respected.
+ *
+ * @param {Element} root - Root element (usually the <svg> element), modified in place
+ * @param {Object} options - Hatching options
+ * @param {number} options.spacing - Distance between lines in root units
+ * @param {number} [options.angle=DEFAULT_HATCH_ANGLE] - Line angle in degrees, clockwise on screen from horizontal
+ * @param {boolean} [options.crossHatch=false] - Add a second set of lines at right angles
+ * @param {number} [options.tolerance=DEFAULT_TOLERANCE] - Curve flattening tolerance in root units
+ * @param {boolean} [options.clearFills=true] - Remove the fills of hatched shapes
+ * @returns {number} Number of shapes hatched
+ * @throws {Error} If the spacing is not positive or a fill would be too dense
+ */
+export function hatchFills(root, options) {
+    const {
+        spacing,
+        angle = DEFAULT_HATCH_ANGLE,
+        crossHatch = false,
+        tolerance = DEFAULT_TOLERANCE,
+        clearFills = true
+    } = options;
+    const targets = _filledShapes(root);
+
+    targets.forEach(({ element, parentMatrix, matrix, properties }) => {
+        const outline = shapeOutline(element, tolerance / matrixScale(matrix)) || [];
+        const rings = outline
+            .filter(points => points.length > 2)
+            .map(points => points.map(point => applyMatrix(matrix, point)));
+        const fillRule = properties['fill-rule'] === 'evenodd' ? 'evenodd' : 'nonzero';
+
+        const lines = hatchLines(rings, { spacing, angle, fillRule });
+        if (crossHatch) {
+            lines.push(...hatchLines(rings, { spacing, angle: angle + 90, fillRule }));
+        }
+
+        const inverse = invertMatrix(parentMatrix);
+        if (lines.length > 0 && inverse) {
+            const path = element.ownerDocument.createElementNS(SVG_NAMESPACE, 'path');
+            path.setAttribute('d', lines
+                .map(points => polylineToPathData(points.map(point => applyMatrix(inverse, point))))
+                .join(' '));
+            path.setAttribute('fill', 'none');
+            path.setAttribute('stroke', _hatchColor(properties));
+            // The pen width of the shape's outline if it has one, else thin enough to show the spacing
+            const strokeWidth = properties['stroke-width'] ?? spacing / 2;
+            path.setAttribute('stroke-width', formatCoordinate(strokeWidth / matrixScale(parentMatrix)));
+            element.parentNode.insertBefore(path, element.nextSibling);
+        }
+
+        if (clearFills) {
+            _clearFill(element);
+        }
+    });
+
+    return targets.length;
+}
+
+/**
+ * Remove the fills of all shapes, leaving what a plotter draws
+ *
+ * @param {Element} root - Root element (usually the <svg> element), modified in place
+ * @returns {number} Number of shapes whose fill was removed
+ */
+export function removeFills(root) {
+    const targets = _filledShapes(root);
+    targets.forEach(({ element }) => _clearFill(element));
+    return targets.length;
+}
+
+/**
+ * Visible shapes that are filled, with their transforms and fill properties
+ * Shapes are filled black unless they or an ancestor say otherwise.
+ *
+ * @private
+ * @param {Element} root - Root element
+ * @returns {Array<{element: Element, parentMatrix: Object, matrix: Object, properties: Object}>} Filled shapes in document order
+ */
+function _filledShapes(root) {
+    const targets = [];
+
+    walkRendered(root, (element, parent) => {
+        const name = element.localName;
+        const parentMatrix = parent.matrix;
+        const matrix = element === root
+            ? parentMatrix
+            : multiplyMatrices(parentMatrix, parseTransform(element.getAttribute('transform')));
+
+        const properties = { ...parent.properties };
+        FILL_PROPERTIES.forEach(property => {
+            const value = readProperty(element, property);
+            if (value !== null) {
+                // Stroke widths are stored in root units, like the hatch spacing
+                properties[property] = property === 'stroke-width' ? parseFloat(value) * matrixScale(matrix) : value;
+            }
+        });
+
+        if (FILLABLE_ELEMENTS.has(name)) {
+            if (properties.fill !== 'none' && properties.fill !== 'transparent') {
+                targets.push({ element, parentMatrix, matrix, properties });
+            }
+            return;
+        }
+
+        return { matrix, properties };
+    }, { matrix: { ...IDENTITY_MATRIX }, properties: { fill: '#000000' } });
+
+    return targets;
+}
+
+/**
+ * Stroke color for a shape's hatching: its fill color where that is a plain color
+ *
+ * @private
+ * @param {Object<string, string>} properties - Fill properties of the shape
+ * @returns {string} Color
+ */
+function _hatchColor(properties) {
+    const fill = properties.fill;
+    return fill.startsWith('url(') || fill === 'currentColor' || fill === 'inherit' ? '#000000' : fill;
+}
+
+/**
+ * Set a shape's fill to none, overriding style declarations
+ *
+ * @private
+ * @param {Element} element - Shape element
+ */
+function _clearFill(element) {
+    element.setAttribute('fill', 'none');
+
+    const style = element.getAttribute('style');
+    if (style) {
+        const kept = style.split(';').filter(declaration => {
+            const separator = declaration.indexOf(':');
+            return separator === -1 ? declaration.trim() !== '' : declaration.slice(0, separator).trim() !== 'fill';
+        });
+        if (kept.length > 0) {
+            element.setAttribute('style', kept.join(';'));
+        } else {
+            element.removeAttribute('style');
+        }
+    }
+}
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { hatchFills, removeFills } from './svg-hatching.js';
+import { parseSVGMarkup } from './svg-optimizer.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const parse = (content) => parseSVGMarkup(`<svg xmlns="${SVG_NS}" viewBox="0 0 10 10">${content}</svg>`);
+
+describe('svg hatching', () => {
+    describe('hatchFills', () => {
+        it('should replace fills with hatch lines in the fill color', () => {
+            const root = parse('<rect x="1" y="1" width="2" height="2" fill="#f00" stroke="#000" stroke-width="0.1"/>');
+
+            expect(hatchFills(root, { spacing: 0.5, angle: 0 })).toBe(1);
+
+            const rect = root.querySelector('rect');
+            const path = rect.nextElementSibling;
+            expect(rect.getAttribute('fill')).toBe('none');
+            expect(path.getAttribute('d')).toBe('M1 1 L3 1 M3 1.5 L1 1.5 M1 2 L3 2 M3 2.5 L1 2.5');
+            expect(path.getAttribute('stroke')).toBe('#f00');
+            expect(path.getAttribute('stroke-width')).toBe('0.1');
+            expect(path.getAttribute('fill')).toBe('none');
+        });
+
+        it('should fill unstyled shapes black and skip unfilled ones and lines', () => {
+            const root = parse(
+                '<circle cx="5" cy="5" r="1"/>' +
+                '<rect width="1" height="1" style="fill: none"/>' +
+                '<g fill="none"><polygon points="0,0 1,0 1,1"/></g>' +
+                '<line x1="0" y1="0" x2="5" y2="5"/>'
+            );
+
+            expect(hatchFills(root, { spacing: 0.25 })).toBe(1);
+            expect(root.querySelectorAll('path')).toHaveLength(1);
+            expect(root.querySelector('path').getAttribute('stroke')).toBe('#000000');
+        });
+
+        it('should hatch on the page and place lines in the parent coordinates', () => {
+            const root = parse('<g transform="translate(2, 0) scale(2)"><rect width="1" height="1" fill="blue"/></g>');
+
+            hatchFills(root, { spacing: 1, angle: 0 });
+
+            // One line per unit on the page is one per half unit inside the scaled group
+            const path = root.querySelector('path');
+            expect(path.parentNode.localName).toBe('g');
+            expect(path.getAttribute('d')).toBe('M0 0 L1 0 M1 0.5 L0 0.5');
+            expect(path.getAttribute('stroke-width')).toBe('0.25');
+        });
+
+        it('should respect the fill rule', () => {
+            const rings = 'M0 0 H4 V4 H0 Z M1 1 H3 V3 H1 Z';
+            const evenOdd = parse(`<path d="${rings}" fill-rule="evenodd"/>`);
+            const nonZero = parse(`<path d="${rings}"/>`);
+
+            hatchFills(evenOdd, { spacing: 2, angle: 0 });
+            hatchFills(nonZero, { spacing: 2, angle: 0 });
+
+            expect(evenOdd.querySelectorAll('path')[1].getAttribute('d')).toBe('M0 0 L4 0 M4 2 L3 2 M1 2 L0 2');
+            expect(nonZero.querySelectorAll('path')[1].getAttribute('d')).toBe('M0 0 L4 0 M4 2 L0 2');
+        });
+
+        it('should cross-hatch and clear fills set in style attributes', () => {
+            const root = parse('<rect width="2" height="2" style="stroke: red; fill: #0f0"/>');
+
+            hatchFills(root, { spacing: 1, angle: 0, crossHatch: true });
+
+            const rect = root.querySelector('rect');
+            expect(rect.getAttribute('style')).toBe('stroke: red');
+            expect(root.querySelector('path').getAttribute('d').match(/M/g)).toHaveLength(4);
+            expect(root.querySelector('path').getAttribute('stroke')).toBe('#0f0');
+        });
+
+        it('should keep fills when asked', () => {
+            const root = parse('<rect width="2" height="2" fill="#0f0"/>');
+
+            expect(hatchFills(root, { spacing: 1, angle: 0, clearFills: false })).toBe(1);
+            expect(root.querySelector('rect').getAttribute('fill')).toBe('#0f0');
+            expect(root.querySelector('path')).not.toBeNull();
+        });
+
+        it('should leave hidden and non-rendered content alone', () => {
+            const root = parse('<defs><rect width="1" height="1"/></defs><g display="none"><rect width="1" height="1"/></g>');
+            expect(hatchFills(root, { spacing: 0.5 })).toBe(0);
+            expect(root.querySelector('path')).toBeNull();
+        });
+    });
+
+    describe('removeFills', () => {
+        it('should clear every fill and leave the rest', () => {
+            const root = parse('<rect width="1" height="1" fill="red" stroke="#000"/><text>Hi</text>');
+
+            expect(removeFills(root)).toBe(1);
+            expect(root.querySelector('rect').getAttribute('fill')).toBe('none');
+            expect(root.querySelector('rect').getAttribute('stroke')).toBe('#000');
+            expect(root.querySelector('text').hasAttribute('fill')).toBe(false);
+        });
+    });
+});
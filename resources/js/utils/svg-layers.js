@@ -0,0 +1,102 @@
+/**
+ * SVG Layers Utility
+ *
+ * Works with the layer groups that `draw.layer()` creates in generated
+ * markup: hiding layers before export and splitting a drawing into one
+ * document per layer.
+ */
+
+import { LAYER_ATTRIBUTE } from '../generators/sketch-layers.js';
+import { parseSVGMarkup } from './svg-optimizer.js';
+
+/**
+ * Root-level elements that belong to every layer's document
+ */
+const SHARED_ROOT_ELEMENTS = new Set(['defs', 'style']);
+
+/**
+ * @typedef {Object} LayerDocument
+ * @property {string|null} name - Layer name, null for content drawn outside layers
+ * @property {string} svg - SVG markup containing only that layer
+ */
+
+/**
+ * Top-level layer groups of an SVG root element
+ *
+ * @param {Element} svgElement - Root <svg> element
+ * @returns {Element[]} Layer groups in document order
+ */
+export function getLayerGroups(svgElement) {
+    return Array.from(svgElement.children).filter(child =>
+        child.localName === 'g' && child.hasAttribute(LAYER_ATTRIBUTE)
+    );
+}
+
+/**
+ * Remove the named layers from SVG markup
+ *
+ * @param {string} svgMarkup - SVG markup
+ * @param {string[]} names - Names of the layers to remove
+ * @returns {string} Markup without those layers (unchanged if there are none)
+ * @throws {Error} If the markup is invalid
+ */
+export function removeLayers(svgMarkup, names) {
+    const svgElement = parseSVGMarkup(svgMarkup);
+    const groups = getLayerGroups(svgElement)
+        .filter(group => names.includes(group.getAttribute(LAYER_ATTRIBUTE)));
+
+    if (groups.length === 0) {
+        return svgMarkup;
+    }
+
+    groups.forEach(group => svgElement.removeChild(group));
+    return new XMLSerializer().serializeToString(svgElement);
+}
+
+/**
+ * Split SVG markup into one document per layer
+ *
+ * Content drawn outside layers gets a document of its own, listed first,
+ * if there is any. Shared definitions are copied into every document.
+ *
+ * @param {string} svgMarkup - SVG markup
+ * @returns {LayerDocument[]} One document per layer
+ * @throws {Error} If the markup is invalid
+ */
+export function splitLayers(svgMarkup) {
+    const svgElement = parseSVGMarkup(svgMarkup);
+    const serializer = new XMLSerializer();
+    const documents = [];
+
+    const unlayered = Array.from(svgElement.children).filter(child =>
+        !SHARED_ROOT_ELEMENTS.has(child.localName) && !getLayerGroups(svgElement).includes(child)
+    );
+    if (unlayered.length > 0) {
+        documents.push({ name: null, svg: serializer.serializeToString(_documentWith(svgElement, unlayered)) });
+    }
+
+    getLayerGroups(svgElement).forEach(group => {
+        documents.push({
+            name: group.getAttribute(LAYER_ATTRIBUTE),
+            svg: serializer.serializeToString(_documentWith(svgElement, [group]))
+        });
+    });
+
+    return documents;
+}
+
+/**
+ * Copy of the root element with the shared definitions and the given children
+ *
+ * @private
+ * @param {Element} svgElement - Root element
+ * @param {Element[]} children - Children to copy
+ * @returns {Element} New root element
+ */
+function _documentWith(svgElement, children) {
+    const root = svgElement.cloneNode(false);
+    Array.from(svgElement.children)
+        .filter(child => SHARED_ROOT_ELEMENTS.has(child.localName) || children.includes(child))
+        .forEach(child => root.appendChild(child.cloneNode(true)));
+    return root;
+}
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { getLayerGroups, removeLayers, splitLayers } from './svg-layers.js';
+import { parseSVGMarkup } from './svg-optimizer.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const wrap = (content) => `<svg xmlns="${SVG_NS}" viewBox="0 0 10 10">${content}</svg>`;
+
+const markup = wrap(
+    '<defs><marker id="m"/></defs>' +
+    '<circle r="1"/>' +
+    '<g data-layer="1-black"><line x1="0" y1="0" x2="1" y2="0"/></g>' +
+    '<g data-layer="2-red"><rect width="1" height="1"/></g>'
+);
+
+describe('SVG layers', () => {
+    describe('getLayerGroups', () => {
+        it('should find top-level layer groups only', () => {
+            const root = parseSVGMarkup(wrap('<g data-layer="a"><g data-layer="nested"/></g><g/>'));
+            expect(getLayerGroups(root).map(group => group.getAttribute('data-layer'))).toEqual(['a']);
+        });
+    });
+
+    describe('removeLayers', () => {
+        it('should remove the named layers', () => {
+            const root = parseSVGMarkup(removeLayers(markup, ['2-red']));
+            expect(getLayerGroups(root).map(group => group.getAttribute('data-layer'))).toEqual(['1-black']);
+            expect(root.querySelector('circle')).not.toBeNull();
+        });
+
+        it('should return the markup unchanged when nothing is removed', () => {
+            expect(removeLayers(markup, [])).toBe(markup);
+            expect(removeLayers(markup, ['missing'])).toBe(markup);
+        });
+    });
+
+    describe('splitLayers', () => {
+        it('should create one document per layer plus one for unlayered content', () => {
+            const documents = splitLayers(markup);
+            expect(documents.map(doc => doc.name)).toEqual([null, '1-black', '2-red']);
+
+            const [unlayered, black] = documents.map(doc => parseSVGMarkup(doc.svg));
+            expect(unlayered.querySelector('circle')).not.toBeNull();
+            expect(getLayerGroups(unlayered)).toHaveLength(0);
+            expect(black.querySelector('line')).not.toBeNull();
+            expect(black.querySelector('circle')).toBeNull();
+            expect(black.querySelector('rect')).toBeNull();
+            expect(black.getAttribute('viewBox')).toBe('0 0 10 10');
+            expect(black.querySelector('defs marker')).not.toBeNull();
+        });
+
+        it('should skip the unlayered document when everything is in layers', () => {
+            const documents = splitLayers(wrap('<defs/><g data-layer="only"/>'));
+            expect(documents.map(doc => doc.name)).toEqual(['only']);
+        });
+    });
+});
@@ -0,0 +1,158 @@
+/**
+ * SVG Plottability Lint
+ *
+ * The preview shows everything a browser can paint, but a pen plotter only
+ * draws stroked lines. These helpers find the features of a drawing that
+ * will not reach the paper as they look on screen (fills, gradients, text,
+ * images, opacity, filters and zero-width strokes) so they can be reported
+ * as warnings rather than discovered after a plot.
+ */
+
+import { readProperty, walkRendered } from '../geometry/svg-flatten.js';
+
+/**
+ * @typedef {Object} PlotWarning
+ * @property {string} category - One of PLOT_WARNING_CATEGORIES
+ * @property {string} message - Description of the problem
+ * @property {number} count - Number of elements with the problem
+ * @property {number|null} line - Line that created the first such element, if known
+ * @property {string|null} file - Sketch file the line is in, if known
+ */
+
+/**
+ * Warning categories in report order, with their messages
+ * @type {Object<string, string>}
+ */
+export const PLOT_WARNING_CATEGORIES = {
+    fill: 'Fills are not plotted, only outlines (turn on fill hatching or use plot.hatch())',
+    paint: 'Gradients and patterns cannot be plotted',
+    text: 'Text uses system fonts and is not converted to plotter lines (use plotText())',
+    image: 'Images cannot be plotted',
+    opacity: 'Opacity is ignored, pens draw at full strength',
+    effect: 'Filters, masks and clip paths are ignored when plotting',
+    stroke: 'Zero-width strokes are invisible in the preview but still plotted'
+};
+
+/**
+ * Shapes that are drawn as outlines; all but lines have a fill
+ */
+const SHAPE_ELEMENTS = new Set(['path', 'polyline', 'polygon', 'rect', 'circle', 'ellipse', 'line']);
+
+/**
+ * Elements drawn as pictures rather than shapes
+ */
+const IMAGE_ELEMENTS = new Set(['image', 'foreignObject']);
+
+/**
+ * Properties that apply effects a plotter cannot reproduce
+ */
+const EFFECT_PROPERTIES = ['filter', 'mask', 'clip-path'];
+
+/**
+ * Properties that make an element translucent
+ */
+const OPACITY_PROPERTIES = ['opacity', 'fill-opacity', 'stroke-opacity'];
+
+/**
+ * Find the features of a drawing that a plotter cannot reproduce
+ *
+ * Hidden and non-rendered content is ignored. Each element counts once per
+ * category; a gradient fill counts as a paint, not as a fill.
+ *
+ * @param {Element} root - Root element (usually the <svg> element)
+ * @param {Object} [options] - Lint options
+ * @param {function(Element): ?{file: string, line: number}} [options.locate] - Find the
+ *   sketch line that created an element
+ * @returns {PlotWarning[]} Warnings in category order, only for categories with elements
+ */
+export function lintSVG(root, options = {}) {
+    const { locate = () => null } = options;
+    const found = {};
+
+    const report = (category, element) => {
+        if (!found[category]) {
+            found[category] = { count: 0, location: null };
+        }
+        found[category].count++;
+        if (!found[category].location) {
+            found[category].location = locate(element) || null;
+        }
+    };
+
+    walkRendered(root, (element, inherited) => {
+        const name = element.localName;
+        const properties = { ...inherited };
+        ['fill', 'stroke', 'stroke-width'].forEach(property => {
+            const value = readProperty(element, property);
+            if (value !== null) {
+                properties[property] = value;
+            }
+        });
+
+        if (OPACITY_PROPERTIES.some(property => _opacity(readProperty(element, property)) < 1)) {
+            report('opacity', element);
+        }
+        if (EFFECT_PROPERTIES.some(property => _isReference(readProperty(element, property)))) {
+            report('effect', element);
+        }
+
+        if (name === 'text') {
+            report('text', element);
+            return;
+        }
+        if (IMAGE_ELEMENTS.has(name)) {
+            report('image', element);
+            return;
+        }
+        if (SHAPE_ELEMENTS.has(name)) {
+            const filled = name !== 'line' && properties.fill !== 'none' && properties.fill !== 'transparent';
+            if (_isReference(properties.stroke) || (filled && _isReference(properties.fill))) {
+                report('paint', element);
+            } else if (filled) {
+                report('fill', element);
+            }
+            if (parseFloat(properties['stroke-width']) === 0) {
+                report('stroke', element);
+            }
+            return;
+        }
+
+        return properties;
+    }, { fill: '#000000', stroke: 'none', 'stroke-width': '1' });
+
+    return Object.keys(PLOT_WARNING_CATEGORIES)
+        .filter(category => found[category])
+        .map(category => ({
+            category,
+            message: PLOT_WARNING_CATEGORIES[category],
+            count: found[category].count,
+            line: found[category].location?.line ?? null,
+            file: found[category].location?.file ?? null
+        }));
+}
+
+/**
+ * Numeric value of an opacity property
+ *
+ * @private
+ * @param {string|null} value - Property value, a number or a percentage
+ * @returns {number} Opacity, 1 if unset or invalid
+ */
+function _opacity(value) {
+    const number = parseFloat(value);
+    if (!Number.isFinite(number)) {
+        return 1;
+    }
+    return value.endsWith('%') ? number / 100 : number;
+}
+
+/**
+ * Whether a property value references another element, like url(#gradient)
+ *
+ * @private
+ * @param {string|null|undefined} value - Property value
+ * @returns {boolean} True for url() references
+ */
+function _isReference(value) {
+    return typeof value === 'string' && value.startsWith('url(');
+}
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { lintSVG } from './svg-lint.js';
+import { parseSVGMarkup } from './svg-optimizer.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const parse = (content) => parseSVGMarkup(`<svg xmlns="${SVG_NS}" viewBox="0 0 10 10">${content}</svg>`);
+const summary = (warnings) => Object.fromEntries(warnings.map(warning => [warning.category, warning.count]));
+
+describe('svg lint', () => {
+    describe('lintSVG', () => {
+        it('should report nothing for stroked outlines', () => {
+            const root = parse(
+                '<g fill="none" stroke="#000" stroke-width="0.01">' +
+                '<rect width="1" height="1"/><circle r="1"/><path d="M0 0 L1 1"/></g>' +
+                '<line x1="0" y1="0" x2="1" y2="1" stroke="#000"/>'
+            );
+            expect(lintSVG(root)).toEqual([]);
+        });
+
+        it('should count filled shapes, inheriting the fill and black by default', () => {
+            const root = parse(
+                '<rect width="1" height="1"/>' +
+                '<g fill="#f00"><circle r="1"/><ellipse rx="1" ry="2" style="fill: none"/></g>' +
+                '<line x1="0" y1="0" x2="1" y2="1"/>'
+            );
+
+            const [warning] = lintSVG(root);
+            expect(warning).toMatchObject({ category: 'fill', count: 2, line: null, file: null });
+            expect(warning.message).toContain('Fills are not plotted');
+        });
+
+        it('should report gradients, text, images, opacity, effects and zero-width strokes', () => {
+            const root = parse(
+                '<defs><linearGradient id="g"/><rect width="1" height="1"/></defs>' +
+                '<rect width="1" height="1" fill="url(#g)"/>' +
+                '<line x1="0" y1="0" x2="1" y2="1" stroke="url(#g)"/>' +
+                '<text>Hi<tspan>there</tspan></text>' +
+                '<image href="a.png" width="1" height="1"/>' +
+                '<g opacity="0.5" filter="url(#blur)"><path d="M0 0 L1 1" fill="none" style="stroke-opacity: 50%"/></g>' +
+                '<circle r="1" fill="none" stroke-width="0" clip-path="url(#c)"/>'
+            );
+
+            expect(summary(lintSVG(root))).toEqual({
+                paint: 2,
+                text: 1,
+                image: 1,
+                opacity: 2,
+                effect: 2,
+                stroke: 1
+            });
+            expect(lintSVG(root).map(warning => warning.category))
+                .toEqual(['paint', 'text', 'image', 'opacity', 'effect', 'stroke']);
+        });
+
+        it('should ignore hidden content and full opacity', () => {
+            const root = parse(
+                '<g display="none"><rect width="1" height="1"/></g>' +
+                '<text style="visibility: hidden">Hi</text>' +
+                '<path d="M0 0 L1 1" fill="none" opacity="1" stroke-opacity="100%"/>'
+            );
+            expect(lintSVG(root)).toEqual([]);
+        });
+
+        it('should locate the first element of each category', () => {
+            const root = parse('<text id="a">A</text><text id="b">B</text><rect id="c" width="1" height="1"/>');
+            const lines = { b: 4, c: 7 };
+            const locate = (element) => lines[element.getAttribute('id')]
+                ? { file: 'main.js', line: lines[element.getAttribute('id')] }
+                : null;
+
+            expect(lintSVG(root, { locate })).toEqual([
+                expect.objectContaining({ category: 'fill', count: 1, line: 7, file: 'main.js' }),
+                expect.objectContaining({ category: 'text', count: 2, line: 4, file: 'main.js' })
+            ]);
+        });
+    });
+});
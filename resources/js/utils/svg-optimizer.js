@@ -0,0 +1,234 @@
+/**
+ * SVG Optimizer Utility
+ *
+ * Document helpers for the export pipeline in svg-exporter.js: parsing the
+ * generator's markup, rebuilding it from processed polylines (one <path>
+ * per polyline in plotting order), mapping its coordinates to the page,
+ * measuring its extent and estimating its plot.
+ */
+
+import { polylineToPathData, formatCoordinate } from '../geometry/polyline.js';
+import { isIdentityMatrix } from '../geometry/transform.js';
+import { LAYER_ATTRIBUTE } from '../generators/sketch-layers.js';
+import { flattenSVG } from '../geometry/svg-flatten.js';
+import { computePlotStats } from '../geometry/plot-stats.js';
+import { pathBounds } from '../geometry/bounds.js';
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+/**
+ * Root-level elements copied to the optimized document
+ * Unflattened elements such as text may reference them.
+ */
+const PRESERVED_ROOT_ELEMENTS = new Set(['defs', 'style']);
+
+/**
+ * Parse SVG markup and return its root <svg> element
+ *
+ * @param {string} svgMarkup - SVG markup
+ * @returns {SVGSVGElement} Root element
+ * @throws {Error} If the markup is invalid
+ */
+export function parseSVGMarkup(svgMarkup) {
+    if (!svgMarkup || typeof svgMarkup !== 'string') {
+        throw new Error('Invalid SVG markup: must be a non-empty string');
+    }
+
+    const doc = new DOMParser().parseFromString(svgMarkup, 'image/svg+xml');
+    if (doc.querySelector('parsererror')) {
+        throw new Error('Failed to parse SVG markup: invalid XML');
+    }
+
+    const svgElement = doc.querySelector('svg');
+    if (!svgElement) {
+        throw new Error('No SVG element found in markup');
+    }
+    return svgElement;
+}
+
+/**
+ * Build SVG markup with one <path> per polyline, in plotting order
+ * Paths and elements with a layer are placed in that layer's group.
+ *
+ * @param {SVGSVGElement} sourceSvg - Original root element (size and viewBox are kept)
+ * @param {import('../geometry/svg-flatten').FlatPath[]} paths - Paths in plotting order
+ * @param {import('../geometry/svg-flatten').UnflattenedElement[]} [unflattened=[]] - Elements appended unchanged
+ * @returns {string} SVG markup
+ */
+export function buildPlotSVG(sourceSvg, paths, unflattened = []) {
+    return new XMLSerializer().serializeToString(buildPlotElement(sourceSvg, paths, unflattened));
+}
+
+/**
+ * Build the root element of buildPlotSVG in the source's document
+ *
+ * @param {SVGSVGElement} sourceSvg - Original root element (size and viewBox are kept)
+ * @param {import('../geometry/svg-flatten').FlatPath[]} paths - Paths in plotting order
+ * @param {import('../geometry/svg-flatten').UnflattenedElement[]} [unflattened=[]] - Elements appended unchanged
+ * @returns {SVGSVGElement} New root element
+ */
+export function buildPlotElement(sourceSvg, paths, unflattened = []) {
+    const svg = sourceSvg.cloneNode(false);
+
+    Array.from(sourceSvg.children)
+        .filter(child => PRESERVED_ROOT_ELEMENTS.has(child.localName))
+        .forEach(child => svg.appendChild(child.cloneNode(true)));
+
+    appendPlotElements(svg, paths, unflattened, _fallbackStrokeWidth(sourceSvg));
+
+    return svg;
+}
+
+/**
+ * Append one <path> per polyline, and the unflattened elements, to a container
+ * Paths and elements with a layer go into the container's group for that
+ * layer, which is created in order of first use if it does not exist.
+ *
+ * @param {Element} container - Element to append to, in the paths' coordinates
+ * @param {import('../geometry/svg-flatten').FlatPath[]} paths - Paths in plotting order
+ * @param {import('../geometry/svg-flatten').UnflattenedElement[]} unflattened - Elements appended unchanged
+ * @param {number} fallbackWidth - Stroke width for paths whose source shape had none
+ */
+export function appendPlotElements(container, paths, unflattened, fallbackWidth) {
+    const doc = container.ownerDocument;
+
+    const layerGroups = new Map();
+    Array.from(container.children)
+        .filter(child => child.localName === 'g' && child.hasAttribute(LAYER_ATTRIBUTE))
+        .forEach(group => layerGroups.set(group.getAttribute(LAYER_ATTRIBUTE), group));
+    const parentFor = (layer) => {
+        if (layer == null || layer === container.getAttribute(LAYER_ATTRIBUTE)) {
+            return container;
+        }
+        if (!layerGroups.has(layer)) {
+            const group = doc.createElementNS(SVG_NAMESPACE, 'g');
+            group.setAttribute(LAYER_ATTRIBUTE, layer);
+            container.appendChild(group);
+            layerGroups.set(layer, group);
+        }
+        return layerGroups.get(layer);
+    };
+
+    paths.forEach(({ points, style, layer }) => {
+        const path = doc.createElementNS(SVG_NAMESPACE, 'path');
+        path.setAttribute('d', polylineToPathData(points));
+        path.setAttribute('fill', 'none');
+        // Outlines of fill-only shapes are plotted too, so they need a visible stroke
+        path.setAttribute('stroke', style.stroke !== 'none' ? style.stroke : '#000000');
+        path.setAttribute('stroke-width', formatCoordinate(style.strokeWidth ?? fallbackWidth));
+        if (style.strokeLinecap) {
+            path.setAttribute('stroke-linecap', style.strokeLinecap);
+        }
+        if (style.strokeLinejoin) {
+            path.setAttribute('stroke-linejoin', style.strokeLinejoin);
+        }
+        parentFor(layer).appendChild(path);
+    });
+
+    unflattened.forEach(({ element, matrix, layer }) => {
+        const clone = element.cloneNode(true);
+        if (isIdentityMatrix(matrix)) {
+            clone.removeAttribute('transform');
+        } else {
+            const { a, b, c, d, e, f } = matrix;
+            clone.setAttribute('transform', `matrix(${[a, b, c, d, e, f].map(value => formatCoordinate(value, 6)).join(' ')})`);
+        }
+        parentFor(layer).appendChild(clone);
+    });
+}
+
+/**
+ * Build the mapping from root coordinates to page coordinates in inches
+ * The page origin is its top-left corner with Y pointing down. Documents
+ * without a usable viewBox are taken to be in inches already.
+ *
+ * @param {SVGSVGElement} svgElement - Root element
+ * @param {Object} viewportSize - Physical page size in inches
+ * @param {number} viewportSize.width - Page width
+ * @param {number} viewportSize.height - Page height
+ * @returns {function(number[]): number[]} Point transform
+ */
+export function pageTransform(svgElement, viewportSize) {
+    const viewBox = (svgElement.getAttribute('viewBox') || '')
+        .split(/[\s,]+/)
+        .map(Number);
+    const [minX, minY, boxWidth, boxHeight] = viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0
+        ? viewBox
+        : [0, 0, viewportSize.width, viewportSize.height];
+
+    const scaleX = viewportSize.width / boxWidth;
+    const scaleY = viewportSize.height / boxHeight;
+    return ([x, y]) => [(x - minX) * scaleX, (y - minY) * scaleY];
+}
+
+/**
+ * The page in root coordinates, or the safe area inside margins
+ * The page is the document's viewBox, which sketches size to the paper.
+ *
+ * @param {SVGSVGElement} svgElement - Root element
+ * @param {import('../models/project').Margins|null} [margins=null] - Margins in inches; none by default
+ * @param {number} [unitsPerInch=1] - ViewBox units per inch
+ * @returns {import('../geometry/bounds').Bounds|null} Area, or null without a usable viewBox
+ */
+export function pageArea(svgElement, margins = null, unitsPerInch = 1) {
+    const viewBox = (svgElement.getAttribute('viewBox') || '')
+        .split(/[\s,]+/)
+        .map(Number);
+    if (viewBox.length !== 4 || !viewBox.every(Number.isFinite) || viewBox[2] <= 0 || viewBox[3] <= 0) {
+        return null;
+    }
+
+    const [minX, minY, width, height] = viewBox;
+    const inset = (side) => (margins ? margins[side] * unitsPerInch : 0);
+    return {
+        minX: minX + inset('left'),
+        minY: minY + inset('top'),
+        maxX: minX + width - inset('right'),
+        maxY: minY + height - inset('bottom')
+    };
+}
+
+/**
+ * Estimate plotting a document in its current path order
+ * Distances are measured on the page, in inches.
+ *
+ * @param {SVGSVGElement} svgElement - Root element
+ * @param {Object} viewportSize - Physical page size in inches
+ * @param {Partial<import('../geometry/plot-timeline').MotionProfile>} [profile] - Speeds in inches per second
+ * @returns {import('../geometry/plot-stats').PlotEstimate} Estimate
+ */
+export function measurePlot(svgElement, viewportSize, profile = {}) {
+    const toPage = pageTransform(svgElement, viewportSize);
+    const { paths } = flattenSVG(svgElement);
+    return computePlotStats(paths.map(path => ({ ...path, points: path.points.map(toPage) })), profile);
+}
+
+/**
+ * Bounding box of a document's plottable geometry on the page, in inches
+ * Stroke widths are not included.
+ *
+ * @param {SVGSVGElement} svgElement - Root element
+ * @param {Object} viewportSize - Physical page size in inches
+ * @returns {import('../geometry/bounds').Bounds|null} Bounds, or null for an empty drawing
+ */
+export function measureBounds(svgElement, viewportSize) {
+    const toPage = pageTransform(svgElement, viewportSize);
+    const { paths } = flattenSVG(svgElement);
+    return pathBounds(paths.map(path => ({ points: path.points.map(toPage) })));
+}
+
+/**
+ * Stroke width for paths whose source shape had none: a thin line
+ * relative to the page, independent of the document's units
+ *
+ * @private
+ * @param {SVGSVGElement} svgElement - Root element
+ * @returns {number} Stroke width in viewBox units
+ */
+function _fallbackStrokeWidth(svgElement) {
+    const viewBox = (svgElement.getAttribute('viewBox') || '')
+        .split(/[\s,]+/)
+        .map(Number);
+    const size = viewBox.length === 4 ? Math.max(viewBox[2], viewBox[3]) : 0;
+    return size > 0 ? size / 1000 : 1;
+}
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { buildPlotSVG, parseSVGMarkup, pageTransform, measureBounds } from './svg-optimizer.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const wrap = (content) => `<svg xmlns="${SVG_NS}" width="960" height="960" viewBox="0 0 10 10">${content}</svg>`;
+
+describe('SVG optimizer', () => {
+    describe('parseSVGMarkup', () => {
+        it('should reject invalid markup', () => {
+            expect(() => parseSVGMarkup('')).toThrow('Invalid SVG markup');
+            expect(() => parseSVGMarkup('<svg><g></svg>')).toThrow('Failed to parse SVG markup');
+        });
+    });
+
+    describe('buildPlotSVG', () => {
+        it('should write one path per polyline in the given order', () => {
+            const source = parseSVGMarkup(wrap(''));
+            const style = { stroke: '#f00', strokeWidth: 0.5, strokeLinecap: 'round', strokeLinejoin: null };
+            const root = parseSVGMarkup(buildPlotSVG(source, [
+                { points: [[2, 2], [3, 3]], style },
+                { points: [[0, 0], [1, 0], [1, 1]], style }
+            ]));
+
+            const paths = Array.from(root.querySelectorAll('path'));
+            expect(paths.map(path => path.getAttribute('d'))).toEqual(['M2 2 L3 3', 'M0 0 L1 0 L1 1']);
+            expect(paths[0].getAttribute('stroke')).toBe('#f00');
+            expect(paths[0].getAttribute('stroke-linecap')).toBe('round');
+            expect(paths[0].hasAttribute('stroke-linejoin')).toBe(false);
+        });
+    });
+
+    describe('pageTransform', () => {
+        it('should map viewBox coordinates to inches on the page', () => {
+            const root = parseSVGMarkup(`<svg xmlns="${SVG_NS}" viewBox="-10 0 20 40"></svg>`);
+            const toPage = pageTransform(root, { width: 5, height: 10 });
+            expect(toPage([-10, 0])).toEqual([0, 0]);
+            expect(toPage([0, 20])).toEqual([2.5, 5]);
+        });
+
+        it('should treat documents without a viewBox as inches', () => {
+            const root = parseSVGMarkup(`<svg xmlns="${SVG_NS}"></svg>`);
+            expect(pageTransform(root, { width: 5, height: 10 })([1, 2])).toEqual([1, 2]);
+        });
+    });
+
+    describe('measureBounds', () => {
+        it('should measure the drawing in page inches', () => {
+            const root = parseSVGMarkup(wrap('<rect x="1" y="2" width="3" height="4" stroke="#000"/><line x1="0" y1="9" x2="6" y2="9" stroke="#000"/>'));
+            expect(measureBounds(root, { width: 5, height: 5 })).toEqual({ minX: 0, minY: 1, maxX: 3, maxY: 4.5 });
+            expect(measureBounds(parseSVGMarkup(wrap('')), { width: 5, height: 5 })).toBeNull();
+        });
+    });
+});
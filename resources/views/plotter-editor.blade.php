@@ -21,12 +21,18 @@
                     </div>
                     <h1 class="text-2xl font-bold text-gray-800">{{ config('app.name', 'Kiro Laravel Skeleton') }}</h1>
                 </div>
-                <div id="viewport-info" class="flex items-center gap-2 px-4 py-2 bg-gray-100 rounded-lg border border-gray-200">
-                    <svg class="w-4 h-4 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 8V4m0 0h4M4 4l5 5m11-1V4m0 0h-4m4 0l-5 5M4 16v4m0 0h4m-4 0l5-5m11 5l-5-5m5 5v-4m0 4h-4"></path>
-                    </svg>
-                    <span class="text-sm font-medium text-gray-700">Viewport:</span>
-                    <span id="viewport-display" class="text-sm font-semibold text-blue-600">8.5" × 11"</span>
+                <div class="flex items-center gap-3">
+                    <div id="seed-info" class="flex items-center gap-2 px-4 py-2 bg-gray-100 rounded-lg border border-gray-200">
+                        <span class="text-sm font-medium text-gray-700">Seed:</span>
+                        <span id="seed-display" class="text-sm font-semibold font-mono text-blue-600">0</span>
+                    </div>
+                    <div id="viewport-info" class="flex items-center gap-2 px-4 py-2 bg-gray-100 rounded-lg border border-gray-200">
+                        <svg class="w-4 h-4 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 8V4m0 0h4M4 4l5 5m11-1V4m0 0h-4m4 0l-5 5M4 16v4m0 0h4m-4 0l5-5m11 5l-5-5m5 5v-4m0 4h-4"></path>
+                        </svg>
+                        <span class="text-sm font-medium text-gray-700">Viewport:</span>
+                        <span id="viewport-display" class="text-sm font-semibold text-blue-600">8.5" × 11"</span>
+                    </div>
                 </div>
             </div>
         </header>
@@ -45,6 +51,18 @@
                 <div id="preview-panel" class="flex-1 border-2 border-gray-300 rounded-xl overflow-hidden bg-linear-to-br from-white to-gray-50 flex items-center justify-center shadow-sm hover:shadow-md transition-shadow duration-200">
                     <!-- SVG will be rendered here -->
                 </div>
+                <div id="layer-panel" class="hidden mt-4 px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl">
+                    <!-- Layer visibility toggles and pen swatches will be added here -->
+                </div>
+                <div id="plot-options-panel" class="mt-4 px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl">
+                    <!-- Path optimization options and pen-up travel stats will be added here -->
+                </div>
+                <div id="plot-stats-panel" class="mt-4 px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl">
+                    <!-- Plot time estimate and plotter speed settings will be added here -->
+                </div>
+                <div id="guides-panel" class="mt-4 px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl">
+                    <!-- Ruler, grid and margin guide settings will be added here -->
+                </div>
                 <div id="error-display" class="mt-4 hidden">
                     <!-- Error messages will appear here -->
                 </div>
@@ -63,10 +81,21 @@
                         <!-- Control buttons will be added here -->
                     </div>
                 </div>
+                <div id="param-panel" class="hidden mb-4 p-4 bg-gray-50 border border-gray-200 rounded-xl">
+                    <!-- Sketch parameter controls will be added here -->
+                </div>
+                <div id="file-tabs" class="flex items-end gap-1 px-1 overflow-x-auto">
+                    <!-- Sketch file tabs will be added here -->
+                </div>
                 <div id="code-editor" class="flex-1 border-2 border-gray-300 rounded-xl overflow-hidden shadow-sm hover:shadow-md transition-shadow duration-200 min-h-64 md:min-h-a">
                     <!-- Monaco Editor will be mounted here -->
                 </div>
             </div>
+
+            <!-- History Sidebar (Right) -->
+            <aside id="history-panel" class="w-full md:w-72 shrink-0 bg-gray-50 border-t md:border-t-0 md:border-l border-gray-200 p-4 overflow-y-auto">
+                <!-- Snapshots of the open project will be listed here -->
+            </aside>
         </div>
     </div>
 
@@ -110,6 +139,68 @@ class="px-6 py-3 text-white font-medium bg-linear-to-r from-blue-600 to-blue-700
         </div>
     </div>
 
+    <!-- G-code Export Dialog (Hidden by default) -->
+    <div id="gcode-dialog" class="hidden fixed inset-0 bg-black bg-opacity-50 backdrop-blur-sm items-center justify-center z-50 p-4">
+        <div class="bg-white rounded-2xl shadow-2xl p-8 max-w-md w-full transform transition-all">
+            <div class="flex items-center gap-3 mb-6">
+                <div class="w-12 h-12 bg-linear-to-br from-blue-500 to-blue-600 rounded-xl flex items-center justify-center shadow-md">
+                    <svg class="w-7 h-7 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"></path>
+                    </svg>
+                </div>
+                <h3 class="text-2xl font-bold text-gray-800">Export G-code</h3>
+            </div>
+            
+            <div id="gcode-fields" class="space-y-3 mb-8"></div>
+            
+            <div class="flex gap-3 justify-end">
+                <button 
+                    id="cancel-gcode" 
+                    class="px-6 py-3 text-gray-700 font-medium bg-gray-100 rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 focus:ring-offset-2 transition-all duration-200 shadow-sm hover:shadow"
+                >
+                    Cancel
+                </button>
+                <button 
+                    id="confirm-gcode" 
+                    class="px-6 py-3 text-white font-medium bg-linear-to-r from-blue-600 to-blue-700 rounded-lg hover:from-blue-700 hover:to-blue-800 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-all duration-200 shadow-md hover:shadow-lg"
+                >
+                    Export
+                </button>
+            </div>
+        </div>
+    </div>
+
+    <!-- HPGL Export Dialog (Hidden by default) -->
+    <div id="hpgl-dialog" class="hidden fixed inset-0 bg-black bg-opacity-50 backdrop-blur-sm items-center justify-center z-50 p-4">
+        <div class="bg-white rounded-2xl shadow-2xl p-8 max-w-md w-full transform transition-all">
+            <div class="flex items-center gap-3 mb-6">
+                <div class="w-12 h-12 bg-linear-to-br from-blue-500 to-blue-600 rounded-xl flex items-center justify-center shadow-md">
+                    <svg class="w-7 h-7 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"></path>
+                    </svg>
+                </div>
+                <h3 class="text-2xl font-bold text-gray-800">Export HPGL</h3>
+            </div>
+            
+            <div id="hpgl-fields" class="space-y-3 mb-8"></div>
+            
+            <div class="flex gap-3 justify-end">
+                <button 
+                    id="cancel-hpgl" 
+                    class="px-6 py-3 text-gray-700 font-medium bg-gray-100 rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 focus:ring-offset-2 transition-all duration-200 shadow-sm hover:shadow"
+                >
+                    Cancel
+                </button>
+                <button 
+                    id="confirm-hpgl" 
+                    class="px-6 py-3 text-white font-medium bg-linear-to-r from-blue-600 to-blue-700 rounded-lg hover:from-blue-700 hover:to-blue-800 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-all duration-200 shadow-md hover:shadow-lg"
+                >
+                    Export
+                </button>
+            </div>
+        </div>
+    </div>
+
     <!-- New Project Dialog (Hidden by default) -->
     <div id="new-project-dialog" class="hidden fixed inset-0 bg-black bg-opacity-50 backdrop-blur-sm items-center justify-center z-50 p-4">
         <div class="bg-white rounded-2xl shadow-2xl p-8 max-w-md w-full transform transition-all">
@@ -133,25 +224,13 @@ class="w-full px-4 py-3 border-2 border-gray-300 rounded-lg focus:outline-none f
             </div>
             
             <div class="mb-8">
-                <label class="block text-sm font-semibold text-gray-700 mb-3">Viewport Size</label>
-                <div class="space-y-3">
-                    <label class="flex items-center p-3 border-2 border-gray-200 rounded-lg cursor-pointer hover:bg-blue-50 hover:border-blue-300 transition-all duration-200 group">
-                        <input type="radio" name="viewport" value="8.5x11" checked class="w-4 h-4 text-blue-600 focus:ring-2 focus:ring-blue-500">
-                        <span class="ml-3 text-gray-700 group-hover:text-blue-700 font-medium">8.5" × 11" <span class="text-gray-500 text-sm">(Letter Portrait)</span></span>
-                    </label>
-                    <label class="flex items-center p-3 border-2 border-gray-200 rounded-lg cursor-pointer hover:bg-blue-50 hover:border-blue-300 transition-all duration-200 group">
-                        <input type="radio" name="viewport" value="11x8.5" class="w-4 h-4 text-blue-600 focus:ring-2 focus:ring-blue-500">
-                        <span class="ml-3 text-gray-700 group-hover:text-blue-700 font-medium">11" × 8.5" <span class="text-gray-500 text-sm">(Letter Landscape)</span></span>
-                    </label>
-                    <label class="flex items-center p-3 border-2 border-gray-200 rounded-lg cursor-pointer hover:bg-blue-50 hover:border-blue-300 transition-all duration-200 group">
-                        <input type="radio" name="viewport" value="6x6" class="w-4 h-4 text-blue-600 focus:ring-2 focus:ring-blue-500">
-                        <span class="ml-3 text-gray-700 group-hover:text-blue-700 font-medium">6" × 6" <span class="text-gray-500 text-sm">(Square)</span></span>
-                    </label>
-                    <label class="flex items-center p-3 border-2 border-gray-200 rounded-lg cursor-pointer hover:bg-blue-50 hover:border-blue-300 transition-all duration-200 group">
-                        <input type="radio" name="viewport" value="4x5" class="w-4 h-4 text-blue-600 focus:ring-2 focus:ring-blue-500">
-                        <span class="ml-3 text-gray-700 group-hover:text-blue-700 font-medium">4" × 5" <span class="text-gray-500 text-sm">(Small Portrait)</span></span>
-                    </label>
-                </div>
+                <label class="block text-sm font-semibold text-gray-700 mb-3">Paper Size</label>
+                <!-- Paper menu, orientation and custom size (built by PaperSizePicker) -->
+                <div id="new-project-paper"></div>
+                <label class="flex items-center mt-4 text-sm text-gray-700 cursor-pointer" title="draw.viewbox() and all coordinates use millimetres instead of inches">
+                    <input type="checkbox" id="drawing-units-mm" class="w-4 h-4 accent-blue-600">
+                    <span class="ml-2">Draw in millimetres</span>
+                </label>
             </div>
             
             <div class="flex gap-3 justify-end">
@@ -170,5 +249,156 @@ class="px-6 py-3 text-white font-medium bg-linear-to-r from-blue-600 to-blue-700
             </div>
         </div>
     </div>
+    <!-- Page Setup Dialog (Hidden by default) -->
+    <div id="page-setup-dialog" class="hidden fixed inset-0 bg-black bg-opacity-50 backdrop-blur-sm items-center justify-center z-50 p-4">
+        <div class="bg-white rounded-2xl shadow-2xl p-8 max-w-md w-full transform transition-all">
+            <div class="flex items-center gap-3 mb-6">
+                <div class="w-12 h-12 bg-linear-to-br from-blue-500 to-blue-600 rounded-xl flex items-center justify-center shadow-md">
+                    <svg class="w-7 h-7 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 8V4m0 0h4M4 4l5 5m11-1V4m0 0h-4m4 0l-5 5M4 16v4m0 0h4m-4 0l5-5m11 5l-5-5m5 5v-4m0 4h-4"></path>
+                    </svg>
+                </div>
+                <h3 class="text-2xl font-bold text-gray-800">Page Setup</h3>
+            </div>
+            
+            <div class="mb-8">
+                <label class="block text-sm font-semibold text-gray-700 mb-3">Paper Size</label>
+                <!-- Paper menu, orientation and custom size (built by PaperSizePicker) -->
+                <div id="page-setup-paper"></div>
+                <p class="mt-4 text-sm text-gray-500">The code is kept and regenerated at the new size.</p>
+            </div>
+            
+            <div class="flex gap-3 justify-end">
+                <button 
+                    id="cancel-page-setup" 
+                    class="px-6 py-3 text-gray-700 font-medium bg-gray-100 rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 focus:ring-offset-2 transition-all duration-200 shadow-sm hover:shadow"
+                >
+                    Cancel
+                </button>
+                <button 
+                    id="confirm-page-setup" 
+                    class="px-6 py-3 text-white font-medium bg-linear-to-r from-blue-600 to-blue-700 rounded-lg hover:from-blue-700 hover:to-blue-800 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-all duration-200 shadow-md hover:shadow-lg"
+                >
+                    Apply
+                </button>
+            </div>
+        </div>
+    </div>
+    <!-- Project Gallery Dialog (Hidden by default) -->
+    <div id="project-gallery-dialog" class="hidden fixed inset-0 bg-black bg-opacity-50 backdrop-blur-sm items-center justify-center z-50 p-4">
+        <div class="bg-white rounded-2xl shadow-2xl p-8 max-w-5xl w-full max-h-[90vh] flex flex-col transform transition-all">
+            <div class="flex items-center gap-3 mb-6">
+                <div class="w-12 h-12 bg-linear-to-br from-blue-500 to-blue-600 rounded-xl flex items-center justify-center shadow-md">
+                    <svg class="w-7 h-7 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2V6zm10 0a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2V6zM4 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2v-2zm10 0a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2v-2z"></path>
+                    </svg>
+                </div>
+                <h3 class="text-2xl font-bold text-gray-800">Projects</h3>
+                <input 
+                    type="search" 
+                    id="project-gallery-search" 
+                    class="ml-auto w-64 px-4 py-2 border-2 border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 hover:border-gray-400" 
+                    placeholder="Search names and tags"
+                >
+            </div>
+            
+            <!-- Project cards (built by ProjectGalleryDialog) -->
+            <div id="project-gallery-list" class="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 overflow-y-auto mb-6"></div>
+            
+            <div class="flex justify-end">
+                <button 
+                    id="close-project-gallery" 
+                    class="px-6 py-3 text-gray-700 font-medium bg-gray-100 rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 focus:ring-offset-2 transition-all duration-200 shadow-sm hover:shadow"
+                >
+                    Close
+                </button>
+            </div>
+        </div>
+    </div>
+    <!-- Snapshot Diff Dialog (Hidden by default) -->
+    <div id="snapshot-diff-dialog" class="hidden fixed inset-0 bg-black bg-opacity-50 backdrop-blur-sm items-center justify-center z-50 p-4">
+        <div class="bg-white rounded-2xl shadow-2xl p-8 max-w-6xl w-full h-[90vh] flex flex-col transform transition-all">
+            <div class="flex items-center gap-3 mb-6">
+                <div class="w-12 h-12 bg-linear-to-br from-blue-500 to-blue-600 rounded-xl flex items-center justify-center shadow-md">
+                    <svg class="w-7 h-7 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"></path>
+                    </svg>
+                </div>
+                <h3 id="snapshot-diff-title" class="text-2xl font-bold text-gray-800">Compare Snapshot</h3>
+                <!-- Files of both versions (filled by SnapshotDiffDialog) -->
+                <select
+                    id="snapshot-diff-file"
+                    aria-label="File to compare"
+                    class="ml-auto px-3 py-2 border-2 border-gray-300 rounded-lg font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent hover:border-gray-400"
+                ></select>
+            </div>
+            
+            <!-- Monaco diff editor (created by SnapshotDiffDialog) -->
+            <div id="snapshot-diff-editor" class="flex-1 border-2 border-gray-300 rounded-xl overflow-hidden mb-6"></div>
+            
+            <div class="flex gap-3 justify-end">
+                <button 
+                    id="close-snapshot-diff" 
+                    class="px-6 py-3 text-gray-700 font-medium bg-gray-100 rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 focus:ring-offset-2 transition-all duration-200 shadow-sm hover:shadow"
+                >
+                    Close
+                </button>
+                <button 
+                    id="restore-snapshot" 
+                    class="px-6 py-3 text-white font-medium bg-linear-to-r from-blue-600 to-blue-700 rounded-lg hover:from-blue-700 hover:to-blue-800 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-all duration-200 shadow-md hover:shadow-lg"
+                >
+                    Restore Snapshot
+                </button>
+            </div>
+        </div>
+    </div>
+    <!-- Snippet Library Dialog (Hidden by default) -->
+    <div id="snippet-library-dialog" class="hidden fixed inset-0 bg-black bg-opacity-50 backdrop-blur-sm items-center justify-center z-50 p-4">
+        <div class="bg-white rounded-2xl shadow-2xl p-8 max-w-6xl w-full h-[90vh] flex flex-col transform transition-all">
+            <div class="flex items-center gap-3 mb-6">
+                <div class="w-12 h-12 bg-linear-to-br from-blue-500 to-blue-600 rounded-xl flex items-center justify-center shadow-md">
+                    <svg class="w-7 h-7 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10 20l4-16m4 4l4 4-4 4M6 16l-4-4 4-4"></path>
+                    </svg>
+                </div>
+                <h3 class="text-2xl font-bold text-gray-800">Snippets</h3>
+                <div class="ml-auto flex gap-2">
+                    <button id="import-snippets" class="px-4 py-2 text-gray-700 font-medium bg-gray-100 rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 focus:ring-offset-2 transition-all duration-200 shadow-sm hover:shadow disabled:opacity-50">Import</button>
+                    <button id="export-snippets" class="px-4 py-2 text-gray-700 font-medium bg-gray-100 rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 focus:ring-offset-2 transition-all duration-200 shadow-sm hover:shadow disabled:opacity-50">Export</button>
+                </div>
+            </div>
+            
+            <div class="flex-1 flex gap-4 min-h-0 mb-6">
+                <div class="w-56 shrink-0 flex flex-col">
+                    <!-- Snippet names (built by SnippetLibraryDialog) -->
+                    <ul id="snippet-library-list" class="flex-1 overflow-y-auto space-y-1 mb-3"></ul>
+                    <button id="new-snippet" class="px-4 py-2 text-gray-700 font-medium bg-gray-100 rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 focus:ring-offset-2 transition-all duration-200 shadow-sm hover:shadow disabled:opacity-50">New Snippet</button>
+                </div>
+                <div class="flex-1 flex flex-col min-w-0">
+                    <div class="flex items-center gap-2 mb-2">
+                        <span id="snippet-library-name" class="font-mono text-sm text-gray-700"></span>
+                        <button id="delete-snippet" class="ml-auto px-3 py-1 text-sm text-red-700 bg-red-50 rounded-lg hover:bg-red-100 disabled:opacity-50">Delete</button>
+                    </div>
+                    <!-- Monaco editor (created by SnippetLibraryDialog) -->
+                    <div id="snippet-library-editor" class="flex-1 border-2 border-gray-300 rounded-xl overflow-hidden"></div>
+                </div>
+            </div>
+            
+            <div class="flex gap-3 justify-end">
+                <button 
+                    id="close-snippet-library" 
+                    class="px-6 py-3 text-gray-700 font-medium bg-gray-100 rounded-lg hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-400 focus:ring-offset-2 transition-all duration-200 shadow-sm hover:shadow"
+                >
+                    Close
+                </button>
+                <button 
+                    id="save-snippet" 
+                    class="px-6 py-3 text-white font-medium bg-linear-to-r from-blue-600 to-blue-700 rounded-lg hover:from-blue-700 hover:to-blue-800 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition-all duration-200 shadow-md hover:shadow-lg disabled:opacity-50"
+                >
+                    Save Snippet
+                </button>
+            </div>
+        </div>
+    </div>
 </body>
 </html>
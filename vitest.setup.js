@@ -37,18 +37,33 @@ class LocalStorageMock {
 
 global.localStorage = new LocalStorageMock();
 
-// Mock Monaco Editor for testing
+// Mock Monaco Editor for testing; models hold their text
+const createModel = (value = '') => {
+    let text = value;
+    return {
+        getValue: () => text,
+        setValue: (next) => { text = next; },
+        dispose: () => {}
+    };
+};
+
 global.monaco = {
     editor: {
-        create: () => ({
-            getValue: () => '',
-            setValue: () => {},
-            onDidChangeModelContent: () => ({ dispose: () => {} }),
-            dispose: () => {},
-            getModel: () => ({
-                deltaDecorations: () => []
-            })
-        }),
+        createModel,
+        create: (container, options = {}) => {
+            let model = options.model || createModel(options.value);
+            return {
+                getValue: () => model.getValue(),
+                setValue: (value) => model.setValue(value),
+                getModel: () => model,
+                setModel: (next) => { model = next; },
+                saveViewState: () => null,
+                restoreViewState: () => {},
+                onDidChangeModelContent: () => ({ dispose: () => {} }),
+                deltaDecorations: () => [],
+                dispose: () => {}
+            };
+        },
         defineTheme: () => {},
         setTheme: () => {}
     },